@@ -26,10 +26,16 @@ import authRoutes from './routes/authRoutes.js';
 import simpleAuthRoutes from './routes/simpleAuth.js';
 import companyRoutes from './routes/companyRoutes.js';
 import documentRoutes from './routes/documentRoutes.js';
+import recurringDocumentRoutes from './routes/recurringDocumentRoutes.js';
 import memberRoutes from './routes/memberRoutes.js';
 import invoiceRoutes from './routes/invoiceRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import reconciliationRoutes from './routes/reconciliationRoutes.js';
+import numberingRoutes from './routes/numberingRoutes.js';
 import mydataRoutes from './routes/mydataRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
+import dunningRoutes from './routes/dunningRoutes.js';
+import purchaseRoutes from './routes/purchaseRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import systemRoutes from './routes/systemRoutes.js';
 import testRoutes from './routes/testRoutes.js';
@@ -141,10 +147,16 @@ app.use(`${API_PREFIX}/test`, testRoutes); // Test routes for development
 // Protected routes (authentication required)
 app.use(`${API_PREFIX}/companies`, authenticate, companyRoutes);
 app.use(`${API_PREFIX}/documents`, authenticate, documentRoutes);
+app.use(`${API_PREFIX}/recurring-documents`, authenticate, recurringDocumentRoutes);
 app.use(`${API_PREFIX}/members`, authenticate, memberRoutes);
 app.use(`${API_PREFIX}/invoices`, authenticate, invoiceRoutes);
+app.use(`${API_PREFIX}/purchases`, authenticate, purchaseRoutes);
+app.use(`${API_PREFIX}/payments`, authenticate, paymentRoutes);
+app.use(`${API_PREFIX}/reconciliation`, authenticate, reconciliationRoutes);
+app.use(`${API_PREFIX}/numbering`, authenticate, numberingRoutes);
 app.use(`${API_PREFIX}/mydata`, authenticate, mydataRoutes);
 app.use(`${API_PREFIX}/reports`, authenticate, reportRoutes);
+app.use(`${API_PREFIX}/dunning`, authenticate, dunningRoutes);
 app.use(`${API_PREFIX}/admin`, authenticate, adminRoutes);
 
 // ============================================
@@ -3,6 +3,7 @@
 
 import Redis from 'ioredis';
 import { logger } from '../middleware/logger.js';
+import { getTenantCacheScope } from '../utils/tenantContext.js';
 
 // Redis connection options
 const redisConfig = {
@@ -129,9 +130,10 @@ export class CacheService {
     this.prefix = options.prefix || '';
   }
   
-  // Get cache key
+  // Get cache key (ανά tenant μέσα σε request)
   getKey(key) {
-    return this.prefix ? `${this.prefix}:${key}` : key;
+    const scoped = `tenant:${getTenantCacheScope()}:${key}`;
+    return this.prefix ? `${this.prefix}:${scoped}` : scoped;
   }
   
   // Get value from cache
@@ -362,6 +364,10 @@ if (process.env.REDIS_ENABLED === 'true') {
   initializeRedis();
 }
 
+// Συνδέσεις pub/sub του Socket.io adapter (ο subscriber δεν εκτελεί άλλες εντολές)· null χωρίς Redis
+export const redisPublisher = redisClient ? redisClient.duplicate() : null;
+export const redisSubscriber = redisClient ? redisClient.duplicate() : null;
+
 // Create cache service instance
 export const cache = new CacheService(redisClient);
 
@@ -386,6 +392,8 @@ export default {
   RedisRateLimiter,
   RedisSessionStore,
   initializeRedis,
+  redisPublisher,
+  redisSubscriber,
   getRedisClient,
   isRedisConnected,
   closeRedisConnection
@@ -7,6 +7,10 @@ import jwt from 'jsonwebtoken';
 import { redisPublisher, redisSubscriber } from './redis.js';
 import { logger } from '../middleware/logger.js';
 import User from '../models/User.js';
+import Company from '../models/Company.js';
+import Document from '../models/Document.js';
+import { auditCrossTenantAccess } from '../middleware/tenant.js';
+import { runWithTenant, runWithoutTenantScope } from '../utils/tenantContext.js';
 
 let io;
 
@@ -29,8 +33,8 @@ export const initSocketIO = (server) => {
     transports: ['websocket', 'polling'],
     allowUpgrades: true,
     
-    // Adapter for Redis
-    adapter: createAdapter(redisPublisher, redisSubscriber)
+    // Adapter for Redis (events μεταξύ instances)· χωρίς Redis ο in-memory adapter ενός instance
+    ...(redisPublisher && { adapter: createAdapter(redisPublisher, redisSubscriber) })
   });
 
   // Authentication middleware
@@ -43,11 +47,11 @@ export const initSocketIO = (server) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId, {
-        attributes: ['id', 'username', 'email', 'role', 'isActive']
-      });
+      const user = await runWithoutTenantScope(() => User.findByPk(decoded.userId || decoded.id, {
+        attributes: ['id', 'name', 'email', 'role', 'status', 'companyId', 'isSuperAdmin']
+      }));
 
-      if (!user || !user.isActive) {
+      if (!user || user.status !== 'active') {
         return next(new Error('Invalid user'));
       }
 
@@ -62,13 +66,14 @@ export const initSocketIO = (server) => {
 
   // Connection handler
   io.on('connection', (socket) => {
-    logger.info(`User ${socket.user.username} connected via socket ${socket.id}`);
+    logger.info(`User ${socket.user.name} connected via socket ${socket.id}`);
     
     // Join user's personal room
     socket.join(`user:${socket.userId}`);
     
-    // Join role-based rooms
-    socket.join(`role:${socket.user.role}`);
+    // Tenant room και role rooms ανά tenant (ένας ρόλος δεν λαμβάνει events άλλων εταιρειών)
+    socket.join(tenantRoom(socket.user.companyId));
+    socket.join(roleRoom(socket.user.role, socket.user.companyId));
     
     // Track online users
     trackUserStatus(socket.userId, true);
@@ -81,9 +86,9 @@ export const initSocketIO = (server) => {
     socket.on('join:company', async (companyId) => {
       try {
         // Verify user has access to company
-        const hasAccess = await verifyCompanyAccess(socket.userId, companyId);
+        const hasAccess = await verifyCompanyAccess(socket, companyId);
         if (hasAccess) {
-          socket.join(`company:${companyId}`);
+          socket.join(tenantRoom(companyId));
           socket.emit('joined:company', { companyId });
         } else {
           socket.emit('error', { message: 'Access denied to company' });
@@ -94,23 +99,36 @@ export const initSocketIO = (server) => {
       }
     });
 
-    // Document events
-    socket.on('document:viewing', (documentId) => {
+    // Document events (μόνο παραστατικά του tenant του χρήστη)
+    socket.on('document:viewing', async (documentId) => {
+      try {
+        if (!(await verifyDocumentAccess(socket, documentId))) {
+          socket.emit('error', { message: 'Access denied to document' });
+          return;
+        }
+      } catch (error) {
+        logger.error('Document room error:', error);
+        socket.emit('error', { message: 'Failed to join document room' });
+        return;
+      }
+
       socket.join(`document:${documentId}`);
       socket.to(`document:${documentId}`).emit('document:viewer:joined', {
         userId: socket.userId,
-        username: socket.user.username
+        username: socket.user.name
       });
     });
 
     socket.on('document:editing', (documentId) => {
+      if (!socket.rooms.has(`document:${documentId}`)) return;
       socket.to(`document:${documentId}`).emit('document:editor:active', {
         userId: socket.userId,
-        username: socket.user.username
+        username: socket.user.name
       });
     });
 
     socket.on('document:stopEditing', (documentId) => {
+      if (!socket.rooms.has(`document:${documentId}`)) return;
       socket.to(`document:${documentId}`).emit('document:editor:inactive', {
         userId: socket.userId
       });
@@ -120,22 +138,24 @@ export const initSocketIO = (server) => {
     socket.on('notification:mark-read', async (notificationId) => {
       try {
         // Mark notification as read in database
-        await markNotificationRead(notificationId, socket.userId);
+        await markNotificationRead(notificationId);
         socket.emit('notification:marked-read', { notificationId });
       } catch (error) {
         logger.error('Mark notification error:', error);
       }
     });
 
-    // Typing indicators
+    // Typing indicators (μόνο σε rooms όπου έχει ήδη μπει ο χρήστης)
     socket.on('typing:start', (data) => {
+      if (!socket.rooms.has(data?.room)) return;
       socket.to(data.room).emit('typing:user:start', {
         userId: socket.userId,
-        username: socket.user.username
+        username: socket.user.name
       });
     });
 
     socket.on('typing:stop', (data) => {
+      if (!socket.rooms.has(data?.room)) return;
       socket.to(data.room).emit('typing:user:stop', {
         userId: socket.userId
       });
@@ -154,16 +174,16 @@ export const initSocketIO = (server) => {
 
     // Disconnect handler
     socket.on('disconnect', (reason) => {
-      logger.info(`User ${socket.user.username} disconnected: ${reason}`);
+      logger.info(`User ${socket.user.name} disconnected: ${reason}`);
       trackUserStatus(socket.userId, false);
       
       // Notify rooms about user leaving
-      io.emit('user:offline', { userId: socket.userId });
+      io.to(tenantRoom(socket.user.companyId)).emit('user:offline', { userId: socket.userId });
     });
 
     // Error handler
     socket.on('error', (error) => {
-      logger.error(`Socket error for user ${socket.user.username}:`, error);
+      logger.error(`Socket error for user ${socket.user.name}:`, error);
     });
   });
 
@@ -180,6 +200,10 @@ export const initSocketIO = (server) => {
 // Utility Functions
 // ======================
 
+// Rooms ανά tenant (χρήστες χωρίς εταιρεία: 'default')
+const tenantRoom = (companyId) => `company:${companyId || 'default'}`;
+const roleRoom = (role, companyId) => `${tenantRoom(companyId)}:role:${role}`;
+
 // Track user online status
 const onlineUsers = new Map();
 
@@ -215,16 +239,16 @@ export function emitToUser(userId, event, data) {
   io.to(`user:${userId}`).emit(event, data);
 }
 
-// Emit to role
-export function emitToRole(role, event, data) {
+// Emit to role (μέσα σε έναν tenant)
+export function emitToRole(role, event, data, companyId = null) {
   if (!io) return;
-  io.to(`role:${role}`).emit(event, data);
+  io.to(roleRoom(role, companyId)).emit(event, data);
 }
 
 // Emit to company
 export function emitToCompany(companyId, event, data) {
   if (!io) return;
-  io.to(`company:${companyId}`).emit(event, data);
+  io.to(tenantRoom(companyId)).emit(event, data);
 }
 
 // Broadcast to all
@@ -263,7 +287,7 @@ export function notifyDocumentUpdate(documentId, changes, userId) {
 
 // Notify payment received
 export function notifyPaymentReceived(payment) {
-  emitToRole('accountant', 'payment:received', payment);
+  emitToRole('accountant', 'payment:received', payment, payment.tenantId);
   emitToUser(payment.userId, 'payment:confirmed', payment);
 }
 
@@ -289,13 +313,49 @@ export function systemAnnouncement(message, level = 'info') {
 // Helper Functions
 // ======================
 
-async function verifyCompanyAccess(userId, companyId) {
-  // Implement access verification logic
-  // Check if user has permission to access company data
-  return true; // Placeholder
+// Η εταιρεία του χρήστη· ο admin και εταιρείες (πελάτες) του ίδιου tenant· ο super-admin όλες
+async function verifyCompanyAccess(socket, companyId) {
+  const { user } = socket;
+
+  if (user.isSuperAdmin || (user.companyId || null) === companyId) return true;
+
+  if (user.role === 'admin') {
+    const count = await runWithTenant({ tenantId: user.companyId || null, userId: user.id }, () =>
+      Company.count({ where: { id: companyId } })
+    );
+    if (count > 0) return true;
+  }
+
+  await auditCrossTenantAccess(socketRequest(socket), { tenantId: companyId, description: 'Socket company room denied' });
+  return false;
 }
 
-async function markNotificationRead(notificationId, userId) {
+async function verifyDocumentAccess(socket, documentId) {
+  const { user } = socket;
+  if (user.isSuperAdmin) return true;
+
+  const count = await runWithTenant({ tenantId: user.companyId || null, userId: user.id }, () =>
+    Document.count({ where: { id: documentId } })
+  );
+  if (count > 0) return true;
+
+  await auditCrossTenantAccess(socketRequest(socket), {
+    entityType: 'Document',
+    entityId: documentId,
+    description: 'Socket document room denied'
+  });
+  return false;
+}
+
+// Στοιχεία για το audit με τη μορφή του Express request
+const socketRequest = (socket) => ({
+  user: socket.user,
+  ip: socket.handshake.address,
+  method: 'SOCKET',
+  originalUrl: socket.nsp?.name
+});
+
+async function markNotificationRead(notificationId) {
   // Implement notification marking logic
   // Update notification status in database
   return true; // Placeholder
@@ -144,7 +144,7 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['admin', 'manager', 'accountant', 'user', 'viewer'],
+            description: 'Role name (built-in: admin, manager, accountant, user, viewer; custom roles via /api/admin/roles)',
             example: 'user'
           },
           status: {
@@ -541,6 +541,18 @@ const swaggerDefinition = {
       name: 'Documents',
       description: 'Document and invoice management'
     },
+    {
+      name: 'Payments',
+      description: 'Payments, allocations and receipts'
+    },
+    {
+      name: 'Reconciliation',
+      description: 'Bank statement import and payment reconciliation'
+    },
+    {
+      name: 'Numbering',
+      description: 'Document numbering series and gap reports'
+    },
     {
       name: 'Reports',
       description: 'Reporting and analytics'
@@ -1,8 +1,19 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Company from '../models/Company.js';
+import sessionService from '../services/sessionService.js';
+import permissionService from '../services/permissionService.js';
+import { tenantScope, auditCrossTenantAccess } from './tenant.js';
+import { runWithoutTenantScope } from '../utils/tenantContext.js';
 
 // Middleware για έλεγχο authentication
 export const authenticate = async (req, res, next) => {
+  // Ήδη επαληθευμένο από το authenticate του app: ο tenant έχει επιλυθεί (και το override
+  // του super-admin καταγραφεί) μία φορά και τα επόμενα middleware τρέχουν ήδη μέσα στο context
+  if (req.user && req.tenant) {
+    return next();
+  }
+
   try {
     // Παίρνουμε το token από το header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -14,33 +25,44 @@ export const authenticate = async (req, res, next) => {
     // Επαληθεύουμε το token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Βρίσκουμε τον χρήστη (PostgreSQL με Sequelize)
-    const user = await User.findByPk(decoded.userId, {
+    // Βρίσκουμε τον χρήστη (PostgreSQL με Sequelize)· εκτός tenant scope, γιατί ο tenant
+    // επιλύεται μετά τον χρήστη
+    const user = await runWithoutTenantScope(() => User.findByPk(decoded.userId || decoded.id, {
       attributes: { exclude: ['password'] }
-    });
+    }));
     
     if (!user) {
       throw new Error();
     }
 
+    // Συνεδρία που ανακλήθηκε (αποσύνδεση συσκευής/παντού) δεν δέχεται πλέον το access token
+    if (decoded.sid && !(await sessionService.isActive(user.id, decoded.sid))) {
+      throw new Error();
+    }
+
     // Προσθέτουμε τον χρήστη στο request
     req.user = user;
     req.token = token;
-    
-    next();
+    req.sessionId = decoded.sid || null;
   } catch (error) {
-    res.status(401).json({ error: 'Παρακαλώ συνδεθείτε' });
+    return res.status(401).json({ error: 'Παρακαλώ συνδεθείτε' });
   }
+
+  // Όλα τα queries των επόμενων middleware/handlers περιορίζονται στον tenant του χρήστη
+  return tenantScope(req, res, next);
 };
 
-// Middleware για έλεγχο ρόλων
+// Middleware για έλεγχο ρόλων (δέχεται και authorize(['admin', 'manager']))
+// Για νέα routes προτιμάται το can() με ονομαστικό δικαίωμα
 export const authorize = (...roles) => {
+  const allowedRoles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Μη εξουσιοδοτημένη πρόσβαση' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({ error: 'Δεν έχετε δικαίωμα πρόσβασης' });
     }
 
@@ -70,6 +92,28 @@ export const requireRole = (roles) => {
   };
 };
 
+// Middleware για έλεγχο δικαιώματος (ρόλος από τη βάση + εξαιρέσεις χρήστη)
+export const can = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      if (!(await permissionService.hasPermission(req.user, permission))) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          required: permission
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 // Middleware για έλεγχο ιδιοκτησίας εταιρείας
 export const checkCompanyOwnership = async (req, res, next) => {
   try {
@@ -79,11 +123,14 @@ export const checkCompanyOwnership = async (req, res, next) => {
       return res.status(400).json({ error: 'Απαιτείται ID εταιρείας' });
     }
 
-    // Έλεγχος αν ο χρήστης είναι admin ή ιδιοκτήτης της εταιρείας
-    if (req.user.role === 'admin' || 
-        (req.user.companyId && req.user.companyId === companyId)) {
+    const tenant = req.tenant || { tenantId: req.user.companyId || null, bypass: false };
+
+    // Η εταιρεία του tenant· ο admin και σε εταιρείες του ίδιου tenant (η αναζήτηση περιορίζεται από το scope)
+    if (tenant.bypass || tenant.tenantId === companyId ||
+        (req.user.role === 'admin' && await Company.count({ where: { id: companyId } }) > 0)) {
       next();
     } else {
+      await auditCrossTenantAccess(req, { tenantId: companyId, description: 'Company access denied' });
       res.status(403).json({ error: 'Δεν έχετε δικαίωμα πρόσβασης σε αυτήν την εταιρεία' });
     }
   } catch (error) {
@@ -94,5 +141,7 @@ export const checkCompanyOwnership = async (req, res, next) => {
 export default {
   authenticate,
   authorize,
+  requireRole,
+  can,
   checkCompanyOwnership
 };
\ No newline at end of file
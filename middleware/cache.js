@@ -3,6 +3,7 @@
 
 import crypto from 'crypto';
 import { logger } from './logger.js';
+import { getTenantCacheScope } from '../utils/tenantContext.js';
 
 // In-memory cache store (for development/small deployments)
 // For production, consider using Redis
@@ -14,16 +15,19 @@ const cacheStore = new Map();
 const generateCacheKey = (req) => {
   const { url, method, query, params } = req;
   const userId = req.user?.id || 'anonymous';
+  const tenant = getTenantCacheScope();
   
   const keyData = {
     method,
     url,
     query,
     params,
-    userId
+    userId,
+    tenant
   };
   
-  return crypto
+  // Το πρόθεμα tenant επιτρέπει clearCache(`tenant:${id}:`) για έναν tenant
+  return `tenant:${tenant}:` + crypto
     .createHash('md5')
     .update(JSON.stringify(keyData))
     .digest('hex');
@@ -240,7 +244,7 @@ export const startCacheCleanup = (interval = 300000) => { // 5 minutes
         remainingEntries: cacheStore.size
       });
     }
-  }, interval);
+  }, interval).unref(); // Cleanup alone should not keep the process alive
 };
 
 /**
@@ -0,0 +1,41 @@
+// middleware/subscription.js
+// Όρια του πακέτου συνδρομής στα endpoints δημιουργίας (402 Payment Required όταν εξαντληθούν)
+
+import subscriptionService from '../services/subscriptionService.js';
+import { AppError } from './errorHandler.js';
+import { logger } from './logger.js';
+
+/**
+ * Check the tenant's subscription inside the transaction that creates records of a metered resource.
+ * The tenant company stays locked until that transaction ends, so concurrent creates at the limit
+ * are checked one after the other (the usage meter counts each create in the same transaction).
+ * @param {Object} tenant - req.tenant ({ tenantId, bypass })
+ * @param {string} metric - 'members' or 'invoices'
+ * @param {number} quantity - Records about to be created
+ * @param {Object} options - { transaction } of the create
+ * @returns {Promise<Object|null>} null when allowed, otherwise the 402 response body
+ * @throws {AppError} 503 when the subscription cannot be checked
+ */
+export const checkPlanLimit = async (tenant, metric, quantity = 1, options = {}) => {
+  // Χρήστες χωρίς εταιρεία και super-admin σε όλους τους tenants δεν έχουν πακέτο
+  if (!tenant?.tenantId || tenant.bypass) return null;
+
+  const { transaction } = options;
+
+  try {
+    const company = await subscriptionService.getTenantCompany(tenant.tenantId, transaction
+      ? { transaction, lock: transaction.LOCK.UPDATE }
+      : {});
+    return await subscriptionService.checkLimit(company, metric, quantity, { transaction });
+  } catch (error) {
+    // Tenant χωρίς εταιρεία-πακέτο· κάθε άλλο σφάλμα δεν επιτρέπει τη δημιουργία (όχι fail-open)
+    if (error instanceof AppError && error.statusCode === 404) return null;
+
+    logger.error('Plan limit check failed', { tenantId: tenant.tenantId, metric, error: error.message });
+    throw new AppError('Subscription check unavailable, please try again later', 503);
+  }
+};
+
+export default {
+  checkPlanLimit
+};
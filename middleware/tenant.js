@@ -0,0 +1,103 @@
+// middleware/tenant.js
+// Tenant του request (εταιρεία του χρήστη) και έλεγχος πρόσβασης σε άλλους tenants
+
+import Company from '../models/Company.js';
+import auditService from '../services/auditService.js';
+import { AppError } from './errorHandler.js';
+import { TENANT_HEADER, ALL_TENANTS, runWithTenant, runWithoutTenantScope } from '../utils/tenantContext.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Record an attempt to reach another tenant's data
+ * @param {Object} req - Express request (or { user, ip } for sockets)
+ * @param {Object} details - { tenantId, entityType, entityId, description }
+ */
+export const auditCrossTenantAccess = async (req, details = {}) => {
+  const { tenantId, entityType = 'Company', entityId, description } = details;
+
+  await auditService.logSecurityEvent('CROSS_TENANT_ACCESS_DENIED', 'high', {
+    userId: req.user?.id,
+    userEmail: req.user?.email,
+    entityType,
+    entityId: entityId || tenantId,
+    description: description || 'Attempt to access another tenant',
+    ipAddress: req.ip,
+    metadata: {
+      userTenantId: req.user?.companyId || null,
+      requestedTenantId: tenantId || null,
+      path: req.originalUrl,
+      method: req.method
+    }
+  });
+};
+
+/**
+ * Resolve the tenant of an authenticated request.
+ * Users act in their own company; only super-admins may switch tenant (X-Tenant-Id: <id>)
+ * or bypass scoping (X-Tenant-Id: *), and every such request is audited.
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Object>} { tenantId, bypass }
+ */
+export const resolveTenant = async (req) => {
+  const { user } = req;
+  const ownTenantId = user.companyId || null;
+  const requested = req.header(TENANT_HEADER);
+
+  if (!requested || requested === ownTenantId) {
+    return { tenantId: ownTenantId, bypass: false };
+  }
+
+  if (!user.isSuperAdmin) {
+    await auditCrossTenantAccess(req, { tenantId: requested, description: `Tenant override denied (${TENANT_HEADER})` });
+    throw new AppError('Access to another tenant is not allowed', 403);
+  }
+
+  if (requested !== ALL_TENANTS) {
+    if (!UUID_PATTERN.test(requested)) {
+      throw new AppError(`Invalid ${TENANT_HEADER} header`, 400);
+    }
+
+    const tenant = await runWithoutTenantScope(() => Company.findByPk(requested, { attributes: ['id'] }));
+    if (!tenant) {
+      throw new AppError('Tenant not found', 404);
+    }
+  }
+
+  await auditService.logSecurityEvent('TENANT_OVERRIDE', 'medium', {
+    userId: user.id,
+    userEmail: user.email,
+    entityType: 'Company',
+    entityId: requested === ALL_TENANTS ? null : requested,
+    description: requested === ALL_TENANTS ? 'Super-admin request across all tenants' : 'Super-admin request in another tenant',
+    ipAddress: req.ip,
+    metadata: { path: req.originalUrl, method: req.method }
+  });
+
+  return requested === ALL_TENANTS
+    ? { tenantId: ownTenantId, bypass: true }
+    : { tenantId: requested, bypass: false };
+};
+
+/**
+ * Run the rest of the request inside the tenant context (after authenticate)
+ */
+export const tenantScope = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.tenant = await resolveTenant(req);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.message });
+  }
+
+  runWithTenant({ ...req.tenant, userId: req.user.id }, next);
+};
+
+export default {
+  resolveTenant,
+  tenantScope,
+  auditCrossTenantAccess
+};
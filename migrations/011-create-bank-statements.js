@@ -0,0 +1,328 @@
+// migrations/011-create-bank-statements.js
+// Migration for creating bank_statements and bank_statement_lines tables
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('bank_statements', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    // Statement identification
+    statementReference: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      field: 'statement_reference',
+      comment: 'Bank statement reference (CAMT Stmt/Id or file name)'
+    },
+
+    format: {
+      type: Sequelize.ENUM('csv', 'camt053'),
+      allowNull: false,
+      comment: 'Source file format'
+    },
+
+    fileName: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      field: 'file_name',
+      comment: 'Uploaded file name'
+    },
+
+    fileHash: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      field: 'file_hash',
+      comment: 'SHA-256 of uploaded file (duplicate import guard)'
+    },
+
+    // Account
+    iban: {
+      type: Sequelize.STRING(34),
+      allowNull: true,
+      comment: 'Account IBAN'
+    },
+
+    currency: {
+      type: Sequelize.STRING(3),
+      defaultValue: 'EUR',
+      comment: 'Currency code'
+    },
+
+    bankName: {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      field: 'bank_name',
+      comment: 'Bank name'
+    },
+
+    // Period and balances
+    periodStart: {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      field: 'period_start',
+      comment: 'Statement period start'
+    },
+
+    periodEnd: {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      field: 'period_end',
+      comment: 'Statement period end'
+    },
+
+    openingBalance: {
+      type: Sequelize.DECIMAL(15, 2),
+      allowNull: true,
+      field: 'opening_balance',
+      comment: 'Opening balance'
+    },
+
+    closingBalance: {
+      type: Sequelize.DECIMAL(15, 2),
+      allowNull: true,
+      field: 'closing_balance',
+      comment: 'Closing balance'
+    },
+
+    // Progress
+    status: {
+      type: Sequelize.ENUM('imported', 'in_review', 'reconciled'),
+      defaultValue: 'imported',
+      allowNull: false,
+      comment: 'Reconciliation status'
+    },
+
+    totalLines: {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      field: 'total_lines',
+      comment: 'Number of lines'
+    },
+
+    matchedLines: {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      field: 'matched_lines',
+      comment: 'Number of confirmed lines'
+    },
+
+    importedBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'imported_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Imported by user'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.createTable('bank_statement_lines', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+
+    statementId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'statement_id',
+      references: {
+        model: 'bank_statements',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    lineNumber: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      field: 'line_number',
+      comment: 'Line number within statement'
+    },
+
+    // Transaction data
+    bookingDate: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      field: 'booking_date',
+      comment: 'Booking date'
+    },
+
+    valueDate: {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      field: 'value_date',
+      comment: 'Value date'
+    },
+
+    amount: {
+      type: Sequelize.DECIMAL(15, 2),
+      allowNull: false,
+      comment: 'Absolute amount'
+    },
+
+    direction: {
+      type: Sequelize.ENUM('credit', 'debit'),
+      allowNull: false,
+      comment: 'credit = money in, debit = money out'
+    },
+
+    currency: {
+      type: Sequelize.STRING(3),
+      defaultValue: 'EUR'
+    },
+
+    counterpartyName: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      field: 'counterparty_name'
+    },
+
+    counterpartyIban: {
+      type: Sequelize.STRING(34),
+      allowNull: true,
+      field: 'counterparty_iban'
+    },
+
+    reference: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'End-to-end / structured reference'
+    },
+
+    bankReference: {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      field: 'bank_reference',
+      comment: 'Account servicer reference'
+    },
+
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Remittance information'
+    },
+
+    // Matching
+    status: {
+      type: Sequelize.ENUM('unmatched', 'proposed', 'matched', 'ignored'),
+      defaultValue: 'unmatched',
+      allowNull: false,
+      comment: 'Matching status'
+    },
+
+    confidence: {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Confidence of best candidate (0-100)'
+    },
+
+    candidates: {
+      type: Sequelize.JSON,
+      defaultValue: [],
+      comment: 'Proposed match candidates'
+    },
+
+    paymentId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'payment_id',
+      references: {
+        model: 'payments',
+        key: 'id'
+      },
+      comment: 'Confirmed payment'
+    },
+
+    confirmedBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'confirmed_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    confirmedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'confirmed_at'
+    },
+
+    reviewNotes: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      field: 'review_notes'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  // Indexes
+  await queryInterface.addIndex('bank_statements', ['file_hash'], {
+    unique: true,
+    name: 'bank_statements_file_hash_unique'
+  });
+
+  await queryInterface.addIndex('bank_statements', ['iban', 'period_end'], {
+    name: 'bank_statements_iban_period_index'
+  });
+
+  await queryInterface.addIndex('bank_statement_lines', ['statement_id'], {
+    name: 'bank_statement_lines_statement_index'
+  });
+
+  await queryInterface.addIndex('bank_statement_lines', ['status'], {
+    name: 'bank_statement_lines_status_index'
+  });
+
+  await queryInterface.addIndex('bank_statement_lines', ['payment_id'], {
+    name: 'bank_statement_lines_payment_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('bank_statement_lines', 'bank_statement_lines_statement_index');
+  await queryInterface.removeIndex('bank_statement_lines', 'bank_statement_lines_status_index');
+  await queryInterface.removeIndex('bank_statement_lines', 'bank_statement_lines_payment_index');
+  await queryInterface.removeIndex('bank_statements', 'bank_statements_file_hash_unique');
+  await queryInterface.removeIndex('bank_statements', 'bank_statements_iban_period_index');
+
+  await queryInterface.dropTable('bank_statement_lines');
+  await queryInterface.dropTable('bank_statements');
+};
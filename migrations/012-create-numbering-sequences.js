@@ -0,0 +1,205 @@
+// migrations/012-create-numbering-sequences.js
+// Migration for creating numbering_sequences table and linking documents/invoices to it
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('numbering_sequences', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    // Sequence identification
+    sequenceKey: {
+      type: Sequelize.STRING(150),
+      allowNull: false,
+      field: 'sequence_key',
+      comment: 'Unique key (company:entity:type:series:year)'
+    },
+
+    entityType: {
+      type: Sequelize.ENUM('document', 'invoice'),
+      allowNull: false,
+      defaultValue: 'document',
+      field: 'entity_type',
+      comment: 'Numbered entity'
+    },
+
+    companyId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'company_id',
+      references: {
+        model: 'companies',
+        key: 'id'
+      },
+      comment: 'Issuing company (null = default)'
+    },
+
+    documentType: {
+      type: Sequelize.STRING(30),
+      allowNull: false,
+      field: 'document_type',
+      comment: 'Document type'
+    },
+
+    series: {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'A',
+      comment: 'Series (e.g. per branch)'
+    },
+
+    fiscalYear: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      field: 'fiscal_year',
+      comment: 'Fiscal year'
+    },
+
+    // Formatting
+    format: {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Number format, e.g. INV-{YEAR}-{NUMBER:5}'
+    },
+
+    branch: {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Branch / installation description'
+    },
+
+    description: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Description'
+    },
+
+    // Counter
+    startValue: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'start_value',
+      comment: 'First number of the sequence'
+    },
+
+    currentValue: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'current_value',
+      comment: 'Last issued number'
+    },
+
+    lastIssuedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'last_issued_at',
+      comment: 'Last issue timestamp'
+    },
+
+    isActive: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active',
+      comment: 'Active flag'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Created by user'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  // Σύνδεση παραστατικών με τη σειρά αρίθμησης
+  await queryInterface.addColumn('documents', 'numbering_sequence_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'numbering_sequences',
+      key: 'id'
+    },
+    comment: 'Numbering sequence'
+  });
+
+  await queryInterface.addColumn('documents', 'sequence_number', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    comment: 'Sequential number within series'
+  });
+
+  await queryInterface.addColumn('invoices', 'numbering_sequence_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'numbering_sequences',
+      key: 'id'
+    },
+    comment: 'Numbering sequence'
+  });
+
+  await queryInterface.addColumn('invoices', 'sequence_number', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    comment: 'Sequential number within series'
+  });
+
+  // Indexes
+  await queryInterface.addIndex('numbering_sequences', ['sequence_key'], {
+    unique: true,
+    name: 'numbering_sequences_key_unique'
+  });
+
+  await queryInterface.addIndex('numbering_sequences', ['document_type', 'fiscal_year'], {
+    name: 'numbering_sequences_type_year_index'
+  });
+
+  await queryInterface.addIndex('documents', ['numbering_sequence_id', 'sequence_number'], {
+    unique: true,
+    name: 'documents_sequence_number_unique'
+  });
+
+  await queryInterface.addIndex('invoices', ['numbering_sequence_id', 'sequence_number'], {
+    unique: true,
+    name: 'invoices_sequence_number_unique'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('invoices', 'invoices_sequence_number_unique');
+  await queryInterface.removeIndex('documents', 'documents_sequence_number_unique');
+  await queryInterface.removeIndex('numbering_sequences', 'numbering_sequences_type_year_index');
+  await queryInterface.removeIndex('numbering_sequences', 'numbering_sequences_key_unique');
+
+  await queryInterface.removeColumn('invoices', 'sequence_number');
+  await queryInterface.removeColumn('invoices', 'numbering_sequence_id');
+  await queryInterface.removeColumn('documents', 'sequence_number');
+  await queryInterface.removeColumn('documents', 'numbering_sequence_id');
+
+  await queryInterface.dropTable('numbering_sequences');
+};
@@ -0,0 +1,103 @@
+// migrations/013-create-saved-reports.js
+// Migration for creating saved_reports table (custom report definitions)
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('saved_reports', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    userId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Owner'
+    },
+
+    name: {
+      type: Sequelize.STRING(150),
+      allowNull: false,
+      comment: 'Report name'
+    },
+
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Report description'
+    },
+
+    entityType: {
+      type: Sequelize.STRING(30),
+      allowNull: false,
+      field: 'entity_type',
+      comment: 'Queried entity (invoice, document, member, company, payment)'
+    },
+
+    definition: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      comment: 'Fields, filters, groupBy, aggregations, sorting and limit'
+    },
+
+    isShared: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_shared',
+      comment: 'Visible to other users'
+    },
+
+    lastRunAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'last_run_at',
+      comment: 'Last execution'
+    },
+
+    runCount: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'run_count',
+      comment: 'Number of executions'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('saved_reports', ['user_id'], {
+    name: 'saved_reports_user_index'
+  });
+
+  await queryInterface.addIndex('saved_reports', ['is_shared'], {
+    name: 'saved_reports_shared_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('saved_reports', 'saved_reports_user_index');
+  await queryInterface.removeIndex('saved_reports', 'saved_reports_shared_index');
+
+  await queryInterface.dropTable('saved_reports');
+};
@@ -0,0 +1,277 @@
+// migrations/014-create-scheduled-reports.js
+// Migration for creating scheduled_reports and scheduled_report_runs tables
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('scheduled_reports', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    name: {
+      type: Sequelize.STRING(150),
+      allowNull: false,
+      comment: 'Schedule name'
+    },
+
+    // Report definition
+    reportType: {
+      type: Sequelize.ENUM('financial', 'customers', 'aging', 'tax', 'vat', 'members', 'custom'),
+      allowNull: false,
+      field: 'report_type',
+      comment: 'Report generated by reportService'
+    },
+
+    savedReportId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'saved_report_id',
+      references: {
+        model: 'saved_reports',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Saved custom report (reportType = custom)'
+    },
+
+    parameters: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Report parameters (period, companyId, reportType, ...)'
+    },
+
+    // Cadence
+    frequency: {
+      type: Sequelize.ENUM('daily', 'weekly', 'monthly', 'cron'),
+      allowNull: false,
+      defaultValue: 'monthly',
+      comment: 'Cadence'
+    },
+
+    cronExpression: {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      field: 'cron_expression',
+      comment: 'Cron expression (frequency = cron)'
+    },
+
+    timeOfDay: {
+      type: Sequelize.STRING(5),
+      allowNull: false,
+      defaultValue: '08:00',
+      field: 'time_of_day',
+      comment: 'Execution time (HH:mm)'
+    },
+
+    dayOfWeek: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      field: 'day_of_week',
+      comment: 'Day of week 0-6 (weekly)'
+    },
+
+    dayOfMonth: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      field: 'day_of_month',
+      comment: 'Day of month 1-28 (monthly)'
+    },
+
+    timezone: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: 'Europe/Athens',
+      comment: 'Timezone of the schedule'
+    },
+
+    // Delivery
+    recipients: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Recipient email addresses'
+    },
+
+    format: {
+      type: Sequelize.ENUM('pdf', 'excel', 'both'),
+      allowNull: false,
+      defaultValue: 'pdf',
+      comment: 'Attachment format'
+    },
+
+    status: {
+      type: Sequelize.ENUM('active', 'paused'),
+      allowNull: false,
+      defaultValue: 'active',
+      comment: 'Schedule status'
+    },
+
+    // Last execution
+    lastRunAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'last_run_at',
+      comment: 'Last execution start'
+    },
+
+    lastStatus: {
+      type: Sequelize.ENUM('success', 'failed'),
+      allowNull: true,
+      field: 'last_status',
+      comment: 'Last execution result'
+    },
+
+    lastError: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      field: 'last_error',
+      comment: 'Last execution error'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Created by user'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  // Ιστορικό εκτελέσεων
+  await queryInterface.createTable('scheduled_report_runs', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    scheduledReportId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'scheduled_report_id',
+      references: {
+        model: 'scheduled_reports',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Scheduled report'
+    },
+
+    trigger: {
+      type: Sequelize.ENUM('schedule', 'manual'),
+      allowNull: false,
+      defaultValue: 'schedule',
+      comment: 'Cron tick or run-now'
+    },
+
+    status: {
+      type: Sequelize.ENUM('running', 'success', 'failed'),
+      allowNull: false,
+      defaultValue: 'running',
+      comment: 'Execution status'
+    },
+
+    startedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'started_at',
+      comment: 'Execution start'
+    },
+
+    finishedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'finished_at',
+      comment: 'Execution end'
+    },
+
+    durationMs: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      field: 'duration_ms',
+      comment: 'Duration in milliseconds'
+    },
+
+    recipients: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Recipients the report was sent to'
+    },
+
+    attachments: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Generated files (filename, size)'
+    },
+
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Error message on failure'
+    },
+
+    triggeredBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'triggered_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User for manual runs'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('scheduled_reports', ['status'], {
+    name: 'scheduled_reports_status_index'
+  });
+
+  await queryInterface.addIndex('scheduled_report_runs', ['scheduled_report_id', 'started_at'], {
+    name: 'scheduled_report_runs_report_started_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('scheduled_report_runs', 'scheduled_report_runs_report_started_index');
+  await queryInterface.removeIndex('scheduled_reports', 'scheduled_reports_status_index');
+
+  await queryInterface.dropTable('scheduled_report_runs');
+  await queryInterface.dropTable('scheduled_reports');
+};
@@ -0,0 +1,44 @@
+// migrations/015-add-document-pdf-fields.js
+// Migration for adding stamp duty, myDATA QR and stored PDF path to documents
+
+// Οι στήλες υπάρχουν ήδη σε βάσεις που δημιουργήθηκαν από το 004
+const COLUMNS = ['stamp_duty', 'mydata_qr', 'pdf_path'];
+
+export const up = async (queryInterface, Sequelize) => {
+  const table = await queryInterface.describeTable('documents');
+
+  if (!table.stamp_duty) {
+    await queryInterface.addColumn('documents', 'stamp_duty', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true,
+      defaultValue: 0,
+      comment: 'Stamp duty amount'
+    });
+  }
+
+  if (!table.mydata_qr) {
+    await queryInterface.addColumn('documents', 'mydata_qr', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'myDATA QR code URL'
+    });
+  }
+
+  if (!table.pdf_path) {
+    await queryInterface.addColumn('documents', 'pdf_path', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'Stored PDF path'
+    });
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  const table = await queryInterface.describeTable('documents');
+
+  for (const column of COLUMNS) {
+    if (table[column]) {
+      await queryInterface.removeColumn('documents', column);
+    }
+  }
+};
@@ -0,0 +1,326 @@
+// migrations/016-create-dunning.js
+// Migration for dunning levels, reminder log, customer opt-outs and document disputes
+
+import { randomUUID } from 'crypto';
+
+// Προεπιλεγμένα επίπεδα: 3 ημέρες πριν τη λήξη, 7/30/60 ημέρες μετά
+const DEFAULT_LEVELS = [
+  { name: 'Υπενθύμιση λήξης', days_offset: -3, late_fee_type: 'none', late_fee_value: 0, is_final_notice: false },
+  { name: '1η υπενθύμιση', days_offset: 7, late_fee_type: 'none', late_fee_value: 0, is_final_notice: false },
+  { name: '2η υπενθύμιση', days_offset: 30, late_fee_type: 'none', late_fee_value: 0, is_final_notice: false },
+  { name: 'Τελική ειδοποίηση', days_offset: 60, late_fee_type: 'none', late_fee_value: 0, is_final_notice: true }
+];
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('dunning_levels', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      comment: 'Level name'
+    },
+
+    daysOffset: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      field: 'days_offset',
+      comment: 'Days relative to due date (negative = before due)'
+    },
+
+    template: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      defaultValue: 'reminder',
+      comment: 'Email template in templates/emails'
+    },
+
+    subject: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Email subject ({{documentNumber}} placeholder)'
+    },
+
+    lateFeeType: {
+      type: Sequelize.ENUM('none', 'fixed', 'percentage', 'interest'),
+      allowNull: false,
+      defaultValue: 'none',
+      field: 'late_fee_type',
+      comment: 'Late fee calculation'
+    },
+
+    lateFeeValue: {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'late_fee_value',
+      comment: 'Amount, percentage or annual interest rate'
+    },
+
+    isFinalNotice: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_final_notice',
+      comment: 'Last reminder before collection'
+    },
+
+    isActive: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active',
+      comment: 'Level enabled'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Creator'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('dunning_levels', ['days_offset'], {
+    unique: true,
+    name: 'dunning_levels_days_offset_unique'
+  });
+
+  const now = new Date();
+  await queryInterface.bulkInsert('dunning_levels', DEFAULT_LEVELS.map(level => ({
+    id: randomUUID(),
+    ...level,
+    template: 'reminder',
+    is_active: true,
+    created_at: now,
+    updated_at: now
+  })));
+
+  await queryInterface.createTable('dunning_reminders', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    sourceType: {
+      type: Sequelize.ENUM('document', 'invoice'),
+      allowNull: false,
+      field: 'source_type',
+      comment: 'Reminded entity'
+    },
+
+    sourceId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'source_id',
+      comment: 'Document or invoice id'
+    },
+
+    dunningLevelId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'dunning_level_id',
+      references: {
+        model: 'dunning_levels',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Level sent'
+    },
+
+    companyId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'company_id',
+      references: {
+        model: 'companies',
+        key: 'id'
+      },
+      comment: 'Customer company'
+    },
+
+    memberId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'member_id',
+      references: {
+        model: 'members',
+        key: 'id'
+      },
+      comment: 'Customer member'
+    },
+
+    documentNumber: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      field: 'document_number',
+      comment: 'Document number at send time'
+    },
+
+    recipient: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Email recipient'
+    },
+
+    daysOverdue: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'days_overdue',
+      comment: 'Days past due (negative = before due)'
+    },
+
+    outstandingAmount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'outstanding_amount',
+      comment: 'Open balance reminded'
+    },
+
+    lateFee: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'late_fee',
+      comment: 'Calculated late fee'
+    },
+
+    status: {
+      type: Sequelize.ENUM('pending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Delivery status'
+    },
+
+    trigger: {
+      type: Sequelize.ENUM('schedule', 'manual'),
+      allowNull: false,
+      defaultValue: 'schedule',
+      comment: 'Daily job or manual run'
+    },
+
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Error message on failure'
+    },
+
+    sentAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'sent_at',
+      comment: 'Delivery time'
+    },
+
+    sentBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'sent_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User for manual runs'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  // Κάθε επίπεδο στέλνεται μία φορά ανά παραστατικό
+  await queryInterface.addIndex('dunning_reminders', ['source_type', 'source_id', 'dunning_level_id'], {
+    unique: true,
+    name: 'dunning_reminders_source_level_unique'
+  });
+
+  await queryInterface.addIndex('dunning_reminders', ['company_id'], {
+    name: 'dunning_reminders_company_index'
+  });
+
+  await queryInterface.addIndex('dunning_reminders', ['created_at'], {
+    name: 'dunning_reminders_created_index'
+  });
+
+  // Opt-out πελατών
+  await queryInterface.addColumn('companies', 'dunning_opt_out', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Exclude from automated reminders'
+  });
+
+  await queryInterface.addColumn('members', 'dunning_opt_out', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Exclude from automated reminders'
+  });
+
+  // Αμφισβήτηση παραστατικού σταματά τις υπενθυμίσεις
+  for (const table of ['documents', 'invoices']) {
+    await queryInterface.addColumn(table, 'disputed_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Dispute opened at'
+    });
+
+    await queryInterface.addColumn(table, 'dispute_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Dispute reason'
+    });
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  for (const table of ['documents', 'invoices']) {
+    await queryInterface.removeColumn(table, 'dispute_reason');
+    await queryInterface.removeColumn(table, 'disputed_at');
+  }
+
+  await queryInterface.removeColumn('members', 'dunning_opt_out');
+  await queryInterface.removeColumn('companies', 'dunning_opt_out');
+
+  await queryInterface.dropTable('dunning_reminders');
+  await queryInterface.dropTable('dunning_levels');
+};
@@ -0,0 +1,299 @@
+// migrations/017-create-mydata-submission-queue.js
+// Migration for the persistent myDATA submission queue (jobs, items, attempt history)
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('mydata_submission_jobs', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    status: {
+      type: Sequelize.ENUM('queued', 'processing', 'completed', 'completed_with_errors'),
+      allowNull: false,
+      defaultValue: 'queued',
+      comment: 'Job status'
+    },
+
+    totalItems: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'total_items',
+      comment: 'Invoices in job'
+    },
+
+    submittedItems: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'submitted_items',
+      comment: 'Invoices accepted by AADE'
+    },
+
+    deadLetterItems: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'dead_letter_items',
+      comment: 'Invoices permanently rejected'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User who enqueued the job'
+    },
+
+    finishedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'finished_at',
+      comment: 'All items settled'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.createTable('mydata_submission_items', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    jobId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'job_id',
+      references: {
+        model: 'mydata_submission_jobs',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Submission job'
+    },
+
+    invoiceId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'invoice_id',
+      references: {
+        model: 'invoices',
+        key: 'id'
+      },
+      comment: 'Invoice to transmit'
+    },
+
+    invoiceUid: {
+      type: Sequelize.STRING(40),
+      allowNull: false,
+      field: 'invoice_uid',
+      comment: 'AADE invoice UID (SHA-1), idempotency key'
+    },
+
+    status: {
+      type: Sequelize.ENUM('queued', 'processing', 'retrying', 'submitted', 'dead_letter'),
+      allowNull: false,
+      defaultValue: 'queued',
+      comment: 'Item status'
+    },
+
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Transmission attempts'
+    },
+
+    nextAttemptAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'next_attempt_at',
+      comment: 'Earliest time for next attempt (backoff)'
+    },
+
+    lockedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'locked_at',
+      comment: 'Claimed by a worker at'
+    },
+
+    mark: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'MARK returned by AADE'
+    },
+
+    lastError: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      field: 'last_error',
+      comment: 'Last error message'
+    },
+
+    submittedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'submitted_at',
+      comment: 'Accepted by AADE at'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('mydata_submission_items', ['status', 'next_attempt_at'], {
+    name: 'mydata_submission_items_due_index'
+  });
+
+  await queryInterface.addIndex('mydata_submission_items', ['job_id'], {
+    name: 'mydata_submission_items_job_index'
+  });
+
+  await queryInterface.addIndex('mydata_submission_items', ['invoice_id'], {
+    name: 'mydata_submission_items_invoice_index'
+  });
+
+  await queryInterface.createTable('mydata_submission_attempts', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    itemId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'item_id',
+      references: {
+        model: 'mydata_submission_items',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Queue item'
+    },
+
+    invoiceId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'invoice_id',
+      comment: 'Invoice'
+    },
+
+    attemptNumber: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      field: 'attempt_number',
+      comment: 'Attempt sequence for the item'
+    },
+
+    batchId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'batch_id',
+      comment: 'SendInvoices request the item was part of'
+    },
+
+    batchSize: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'batch_size',
+      comment: 'Invoices in the request'
+    },
+
+    outcome: {
+      type: Sequelize.ENUM('success', 'duplicate', 'transient_error', 'rejected'),
+      allowNull: false,
+      comment: 'Attempt result'
+    },
+
+    httpStatus: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      field: 'http_status',
+      comment: 'HTTP status of the request'
+    },
+
+    statusCode: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      field: 'status_code',
+      comment: 'AADE statusCode'
+    },
+
+    errors: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'AADE or transport errors'
+    },
+
+    durationMs: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      field: 'duration_ms',
+      comment: 'Request duration'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('mydata_submission_attempts', ['invoice_id', 'created_at'], {
+    name: 'mydata_submission_attempts_invoice_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('mydata_submission_attempts');
+  await queryInterface.dropTable('mydata_submission_items');
+  await queryInterface.dropTable('mydata_submission_jobs');
+};
@@ -0,0 +1,331 @@
+// migrations/018-create-purchase-documents.js
+// Migration for received purchase documents (παραστατικά αγορών) and per-line expense classification
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('purchase_documents', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    supplierId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'supplier_id',
+      references: {
+        model: 'companies',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Supplier company'
+    },
+
+    supplierAfm: {
+      type: Sequelize.STRING(9),
+      allowNull: false,
+      field: 'supplier_afm',
+      comment: 'Issuer VAT number'
+    },
+
+    supplierName: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      field: 'supplier_name',
+      comment: 'Issuer name at receipt time'
+    },
+
+    invoiceType: {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: '1.1',
+      field: 'invoice_type',
+      comment: 'AADE document type (1.1, 2.1, 5.1, ...)'
+    },
+
+    series: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Issuer series'
+    },
+
+    documentNumber: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      field: 'document_number',
+      comment: 'Issuer sequence number (ΑΑ)'
+    },
+
+    issueDate: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      field: 'issue_date',
+      comment: 'Issue date'
+    },
+
+    mark: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'MARK of the issuer transmission'
+    },
+
+    uid: {
+      type: Sequelize.STRING(40),
+      allowNull: true,
+      comment: 'AADE invoice UID'
+    },
+
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR',
+      comment: 'Currency'
+    },
+
+    netAmount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'net_amount',
+      comment: 'Total net value'
+    },
+
+    vatAmount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'vat_amount',
+      comment: 'Total VAT'
+    },
+
+    withheldAmount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'withheld_amount',
+      comment: 'Withheld taxes'
+    },
+
+    totalAmount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'total_amount',
+      comment: 'Gross value'
+    },
+
+    status: {
+      type: Sequelize.ENUM('draft', 'posted', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'posted',
+      comment: 'Document status'
+    },
+
+    source: {
+      type: Sequelize.ENUM('manual', 'mydata'),
+      allowNull: false,
+      defaultValue: 'manual',
+      comment: 'Entered manually or imported from myDATA'
+    },
+
+    classificationStatus: {
+      type: Sequelize.ENUM('unclassified', 'classified', 'submitted', 'rejected'),
+      allowNull: false,
+      defaultValue: 'unclassified',
+      field: 'classification_status',
+      comment: 'Expense classification state'
+    },
+
+    classificationMark: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      field: 'classification_mark',
+      comment: 'MARK of the classification transmission'
+    },
+
+    classificationSubmittedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'classification_submitted_at',
+      comment: 'Classification accepted at'
+    },
+
+    classificationErrors: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      field: 'classification_errors',
+      comment: 'Errors of the last submission'
+    },
+
+    notes: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Notes'
+    },
+
+    metadata: {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: {},
+      comment: 'Additional data'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Creator'
+    },
+
+    updatedBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'updated_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Last updated by'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  // Το ίδιο παραστατικό προμηθευτή καταχωρείται μία φορά
+  await queryInterface.addIndex('purchase_documents', ['supplier_afm', 'invoice_type', 'series', 'document_number'], {
+    unique: true,
+    name: 'purchase_documents_supplier_number_unique'
+  });
+
+  await queryInterface.addIndex('purchase_documents', ['mark'], {
+    unique: true,
+    name: 'purchase_documents_mark_unique'
+  });
+
+  await queryInterface.addIndex('purchase_documents', ['supplier_id'], {
+    name: 'purchase_documents_supplier_index'
+  });
+
+  await queryInterface.addIndex('purchase_documents', ['classification_status'], {
+    name: 'purchase_documents_classification_status_index'
+  });
+
+  await queryInterface.addIndex('purchase_documents', ['issue_date'], {
+    name: 'purchase_documents_issue_date_index'
+  });
+
+  await queryInterface.createTable('purchase_document_items', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    purchaseDocumentId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'purchase_document_id',
+      references: {
+        model: 'purchase_documents',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Purchase document'
+    },
+
+    lineNumber: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      field: 'line_number',
+      comment: 'Line number as transmitted by the issuer'
+    },
+
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Line description'
+    },
+
+    netValue: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'net_value',
+      comment: 'Net value'
+    },
+
+    vatCategory: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'vat_category',
+      comment: 'AADE VAT category (1=24%, 2=13%, 3=6%, 7=0%, 8=excluded)'
+    },
+
+    vatAmount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      field: 'vat_amount',
+      comment: 'VAT amount'
+    },
+
+    classificationType: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      field: 'classification_type',
+      comment: 'Expense classification type (E3_102_001, E3_585_016, ...)'
+    },
+
+    classificationCategory: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      field: 'classification_category',
+      comment: 'Expense classification category (category2_1, ...)'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('purchase_document_items', ['purchase_document_id', 'line_number'], {
+    unique: true,
+    name: 'purchase_document_items_line_unique'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('purchase_document_items');
+  await queryInterface.dropTable('purchase_documents');
+};
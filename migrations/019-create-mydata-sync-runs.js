@@ -0,0 +1,160 @@
+// migrations/019-create-mydata-sync-runs.js
+// Migration for myDATA RequestDocs import history (λήψη παραστατικών αγορών)
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('mydata_sync_runs', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    trigger: {
+      type: Sequelize.ENUM('schedule', 'manual'),
+      allowNull: false,
+      defaultValue: 'schedule',
+      comment: 'Cron tick or manual run'
+    },
+
+    status: {
+      type: Sequelize.ENUM('running', 'success', 'failed'),
+      allowNull: false,
+      defaultValue: 'running',
+      comment: 'Execution status'
+    },
+
+    fromMark: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: '0',
+      field: 'from_mark',
+      comment: 'RequestDocs mark parameter (documents after this MARK)'
+    },
+
+    lastMark: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      field: 'last_mark',
+      comment: 'Highest MARK received'
+    },
+
+    pages: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'RequestDocs pages fetched'
+    },
+
+    fetched: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Documents received'
+    },
+
+    imported: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'New purchase documents'
+    },
+
+    skipped: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Already imported'
+    },
+
+    cancelled: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Cancellations applied'
+    },
+
+    suppliersCreated: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'suppliers_created',
+      comment: 'Supplier companies created by VAT number'
+    },
+
+    unclassified: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Imported documents awaiting expense classification'
+    },
+
+    failures: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Documents that could not be imported'
+    },
+
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Error message on failure'
+    },
+
+    startedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.NOW,
+      field: 'started_at',
+      comment: 'Execution start'
+    },
+
+    finishedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'finished_at',
+      comment: 'Execution end'
+    },
+
+    durationMs: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      field: 'duration_ms',
+      comment: 'Duration in milliseconds'
+    },
+
+    triggeredBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'triggered_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User for manual runs'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('mydata_sync_runs', ['started_at'], {
+    name: 'mydata_sync_runs_started_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('mydata_sync_runs');
+};
@@ -0,0 +1,67 @@
+// migrations/020-update-invoice-item-classification.js
+// Migration for full AADE income classification codes on invoice items
+
+// Κωδικοί του αρχικού ENUM που δεν υπάρχουν στους πίνακες της ΑΑΔΕ
+const LEGACY_CODES = {
+  E3_562_001: 'E3_598_001', // Πώληση αγαθών που υπάγονται σε ΕΦΚ
+  E3_563_001: 'E3_561_003', // Πώληση αγαθών σε λιανική
+  E3_564_001: 'E3_880_001'  // Πώληση παγίων
+};
+
+const ENUM_VALUES = [
+  'E3_561_001', 'E3_561_002', 'E3_561_003', 'E3_561_004', 'E3_561_005',
+  'E3_562_001', 'E3_563_001', 'E3_564_001', 'E3_881_001', 'E3_598_001'
+];
+
+export const up = async (queryInterface, Sequelize) => {
+  // ENUM → VARCHAR ώστε να χωρά ο πλήρης πίνακας τύπων Ε3 (έλεγχος στο model)
+  if (queryInterface.sequelize.options.dialect === 'postgres') {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE invoice_items
+      ALTER COLUMN income_classification TYPE VARCHAR(20) USING income_classification::text
+    `);
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invoice_items_income_classification"');
+  } else {
+    await queryInterface.changeColumn('invoice_items', 'income_classification', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+  }
+
+  for (const [legacy, code] of Object.entries(LEGACY_CODES)) {
+    await queryInterface.bulkUpdate('invoice_items', { income_classification: code }, { income_classification: legacy });
+  }
+
+  await queryInterface.addColumn('invoice_items', 'income_classification_category', {
+    type: Sequelize.STRING(20),
+    allowNull: true,
+    comment: 'MyData income classification category (category1_x)'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeColumn('invoice_items', 'income_classification_category');
+
+  // Οι αντιστοιχίσεις του up δεν αναστρέφονται (οι νέοι κωδικοί ήταν ήδη έγκυρες τιμές)
+  await queryInterface.bulkUpdate(
+    'invoice_items',
+    { income_classification: null },
+    { income_classification: { [Sequelize.Op.notIn]: ENUM_VALUES } }
+  );
+
+  if (queryInterface.sequelize.options.dialect === 'postgres') {
+    await queryInterface.sequelize.query(`
+      CREATE TYPE "enum_invoice_items_income_classification" AS ENUM (${ENUM_VALUES.map(value => `'${value}'`).join(', ')})
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE invoice_items
+      ALTER COLUMN income_classification TYPE "enum_invoice_items_income_classification"
+      USING income_classification::"enum_invoice_items_income_classification"
+    `);
+  } else {
+    await queryInterface.changeColumn('invoice_items', 'income_classification', {
+      type: Sequelize.ENUM(...ENUM_VALUES),
+      allowNull: true
+    });
+  }
+};
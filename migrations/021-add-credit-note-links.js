@@ -0,0 +1,50 @@
+// migrations/021-add-credit-note-links.js
+// Migration for linking credit note lines to the original invoice lines
+
+export const up = async (queryInterface, Sequelize) => {
+  // Γραμμή πιστωτικού → γραμμή αρχικού τιμολογίου (υπόλοιπο προς πίστωση)
+  await queryInterface.addColumn('invoice_items', 'credited_item_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'invoice_items',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+    comment: 'Original invoice line credited by this line'
+  });
+
+  await queryInterface.addIndex('invoice_items', ['credited_item_id']);
+
+  await queryInterface.addColumn('invoices', 'credited_amount', {
+    type: Sequelize.DECIMAL(15, 4),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Total of credit notes issued against this invoice'
+  });
+
+  // Υπάρχοντα πιστωτικά με parent_invoice_id
+  if (queryInterface.sequelize.options.dialect === 'postgres') {
+    await queryInterface.sequelize.query(`
+      UPDATE invoices AS parent
+      SET credited_amount = credits.total
+      FROM (
+        SELECT parent_invoice_id, SUM(total_amount) AS total
+        FROM invoices
+        WHERE type = 'credit_note'
+          AND status <> 'cancelled'
+          AND deleted_at IS NULL
+          AND parent_invoice_id IS NOT NULL
+        GROUP BY parent_invoice_id
+      ) AS credits
+      WHERE parent.id = credits.parent_invoice_id
+    `);
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeColumn('invoices', 'credited_amount');
+  await queryInterface.removeIndex('invoice_items', ['credited_item_id']);
+  await queryInterface.removeColumn('invoice_items', 'credited_item_id');
+};
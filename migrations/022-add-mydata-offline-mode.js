@@ -0,0 +1,47 @@
+// migrations/022-add-mydata-offline-mode.js
+// Migration for myDATA QR URL and connection-loss issuing (απώλεια διασύνδεσης) on invoices
+
+const AUDIT_ACTIONS = ['mydata_submit', 'mydata_cancel', 'mydata_test', 'mydata_offline'];
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('invoices', 'mydata_qr', {
+    type: Sequelize.TEXT,
+    allowNull: true,
+    comment: 'myDATA QR code URL returned by AADE'
+  });
+
+  await queryInterface.addColumn('invoices', 'mydata_transmission_failure', {
+    type: Sequelize.SMALLINT,
+    allowNull: true,
+    comment: 'AADE transmissionFailure code when issued without connection'
+  });
+
+  await queryInterface.addColumn('invoices', 'mydata_offline_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+    comment: 'Issued under connection loss at'
+  });
+
+  // ADD VALUE δεν εκτελείται μέσα σε transaction σε PostgreSQL < 12
+  if (queryInterface.sequelize.options.dialect === 'postgres') {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_invoices_mydata_status" ADD VALUE IF NOT EXISTS 'offline'`
+    );
+
+    // Οι ενέργειες myDATA απορρίπτονταν από το ENUM και δεν καταγράφονταν
+    for (const action of AUDIT_ACTIONS) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_audit_logs_action" ADD VALUE IF NOT EXISTS '${action}'`
+      );
+    }
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  // Οι τιμές ENUM δεν αφαιρούνται· τα offline επιστρέφουν σε εκκρεμότητα
+  await queryInterface.bulkUpdate('invoices', { mydata_status: 'pending' }, { mydata_status: 'offline' });
+
+  await queryInterface.removeColumn('invoices', 'mydata_offline_at');
+  await queryInterface.removeColumn('invoices', 'mydata_transmission_failure');
+  await queryInterface.removeColumn('invoices', 'mydata_qr');
+};
@@ -0,0 +1,177 @@
+// migrations/023-create-mydata-credentials.js
+// Migration for per-company myDATA credentials and issuer details (πολλαπλοί εκδότες)
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('mydata_credentials', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    companyId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      unique: true,
+      field: 'company_id',
+      references: {
+        model: 'companies',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Issuer company'
+    },
+
+    environment: {
+      type: Sequelize.ENUM('sandbox', 'production'),
+      allowNull: false,
+      defaultValue: 'sandbox',
+      comment: 'AADE environment'
+    },
+
+    aadeUserId: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      field: 'aade_user_id',
+      comment: 'myDATA REST API user (aade-user-id header)'
+    },
+
+    subscriptionKeyEncrypted: {
+      type: Sequelize.TEXT,
+      allowNull: false,
+      field: 'subscription_key_encrypted',
+      comment: 'Ocp-Apim-Subscription-Key encrypted with ENCRYPTION_KEY'
+    },
+
+    vatNumber: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      field: 'vat_number',
+      comment: 'Issuer VAT number'
+    },
+
+    country: {
+      type: Sequelize.STRING(2),
+      allowNull: false,
+      defaultValue: 'GR',
+      comment: 'Issuer country (ISO 3166-1 alpha-2)'
+    },
+
+    branch: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Issuer branch (0 = headquarters)'
+    },
+
+    street: {
+      type: Sequelize.STRING(150),
+      allowNull: true,
+      comment: 'Issuer street'
+    },
+
+    streetNumber: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      field: 'street_number',
+      comment: 'Issuer street number'
+    },
+
+    postalCode: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      field: 'postal_code',
+      comment: 'Issuer postal code'
+    },
+
+    city: {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Issuer city'
+    },
+
+    syncEnabled: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'sync_enabled',
+      comment: 'Include in the scheduled RequestDocs import'
+    },
+
+    lastTestedAt: {
+      type: Sequelize.DATE,
+      allowNull: true,
+      field: 'last_tested_at',
+      comment: 'Last connection test'
+    },
+
+    lastTestSuccess: {
+      type: Sequelize.BOOLEAN,
+      allowNull: true,
+      field: 'last_test_success',
+      comment: 'Last connection test result'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User who stored the credentials'
+    },
+
+    updatedBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'updated_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User who last changed the credentials'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  // Η εκτέλεση λήψης παραστατικών αφορά έναν εκδότη (NULL: διαπιστευτήρια περιβάλλοντος)
+  await queryInterface.addColumn('mydata_sync_runs', 'company_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+    comment: 'Recipient company of the imported documents'
+  });
+
+  await queryInterface.addIndex('mydata_sync_runs', ['company_id', 'started_at'], {
+    name: 'mydata_sync_runs_company_started_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('mydata_sync_runs', 'mydata_sync_runs_company_started_index');
+  await queryInterface.removeColumn('mydata_sync_runs', 'company_id');
+  await queryInterface.dropTable('mydata_credentials');
+};
@@ -0,0 +1,118 @@
+// migrations/024-create-recurring-document-runs.js
+// Migration for recurring document generation history (τα πρότυπα χρησιμοποιούν is_recurring/recurring_schedule)
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('recurring_document_runs', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    templateId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      field: 'template_id',
+      references: {
+        model: 'documents',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Recurring template document'
+    },
+
+    documentId: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'document_id',
+      references: {
+        model: 'documents',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Generated document'
+    },
+
+    scheduledFor: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      field: 'scheduled_for',
+      comment: 'Occurrence date'
+    },
+
+    trigger: {
+      type: Sequelize.ENUM('schedule', 'manual'),
+      allowNull: false,
+      defaultValue: 'schedule',
+      comment: 'Daily generator or manual run'
+    },
+
+    status: {
+      type: Sequelize.ENUM('success', 'failed', 'skipped'),
+      allowNull: false,
+      comment: 'Generation result'
+    },
+
+    emailStatus: {
+      type: Sequelize.ENUM('sent', 'failed'),
+      allowNull: true,
+      field: 'email_status',
+      comment: 'Auto-send result'
+    },
+
+    emailedTo: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      field: 'emailed_to',
+      comment: 'Recipient of the generated document'
+    },
+
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Generation or email error'
+    },
+
+    triggeredBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'triggered_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User for manual runs and skips'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.addIndex('recurring_document_runs', ['template_id', 'scheduled_for'], {
+    name: 'recurring_document_runs_template_index'
+  });
+
+  await queryInterface.addIndex('documents', ['is_recurring'], {
+    name: 'documents_is_recurring_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('documents', 'documents_is_recurring_index');
+  await queryInterface.dropTable('recurring_document_runs');
+};
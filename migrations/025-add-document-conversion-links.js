@@ -0,0 +1,67 @@
+// migrations/025-add-document-conversion-links.js
+// Migration for linking converted documents and lines to their source (quote → order → delivery note → invoice)
+
+export const up = async (queryInterface, Sequelize) => {
+  // Οι στήλες υπάρχουν ήδη σε βάσεις που δημιουργήθηκαν από το 004/005
+  const documents = await queryInterface.describeTable('documents');
+
+  if (!documents.reference_type) {
+    await queryInterface.addColumn('documents', 'reference_type', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Reference document type'
+    });
+  }
+
+  if (!documents.reference_number) {
+    await queryInterface.addColumn('documents', 'reference_number', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Reference document number'
+    });
+  }
+
+  if (!documents.reference_id) {
+    await queryInterface.addColumn('documents', 'reference_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'documents',
+        key: 'id'
+      },
+      comment: 'Reference document ID'
+    });
+
+    await queryInterface.addIndex('documents', ['reference_id'], {
+      name: 'documents_reference_index'
+    });
+  }
+
+  const items = await queryInterface.describeTable('document_items');
+
+  if (!items.reference_type) {
+    await queryInterface.addColumn('document_items', 'reference_type', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Reference document type'
+    });
+  }
+
+  if (!items.reference_id) {
+    await queryInterface.addColumn('document_items', 'reference_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      comment: 'Reference document item ID'
+    });
+  }
+
+  // Υπόλοιπα προς μετατροπή ανά γραμμή προέλευσης
+  await queryInterface.addIndex('document_items', ['reference_id'], {
+    name: 'document_items_reference_index'
+  });
+};
+
+// Οι στήλες ανήκουν στο σχήμα του 004/005 και δεν αφαιρούνται
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('document_items', 'document_items_reference_index');
+};
@@ -0,0 +1,54 @@
+// migrations/026-add-refresh-token-rotation.js
+// Migration for refresh token rotation (replacedByToken chain, session family) and device sessions
+
+export const up = async (queryInterface, Sequelize) => {
+  // Συνεδρία (συσκευή): όλα τα tokens μιας σύνδεσης μοιράζονται το family_id
+  await queryInterface.addColumn('refresh_tokens', 'family_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    comment: 'Session (token family) shared by rotated tokens'
+  });
+
+  await queryInterface.addColumn('refresh_tokens', 'replaced_by_token', {
+    type: Sequelize.TEXT,
+    allowNull: true,
+    comment: 'Token issued when this one was rotated'
+  });
+
+  await queryInterface.addColumn('refresh_tokens', 'revoked_reason', {
+    type: Sequelize.STRING(50),
+    allowNull: true,
+    comment: 'rotated, logout, revoked, logout_all, reuse_detected, password_changed'
+  });
+
+  await queryInterface.addColumn('refresh_tokens', 'last_used_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+    comment: 'Last refresh of the session'
+  });
+
+  // Υπάρχει ήδη σε βάσεις που δημιουργήθηκαν από το 009
+  const table = await queryInterface.describeTable('refresh_tokens');
+  if (!table.user_agent) {
+    await queryInterface.addColumn('refresh_tokens', 'user_agent', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'User agent string'
+    });
+  }
+
+  // Τα υπάρχοντα tokens γίνονται ξεχωριστές συνεδρίες
+  await queryInterface.sequelize.query('UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL');
+
+  await queryInterface.addIndex('refresh_tokens', ['family_id'], {
+    name: 'refresh_tokens_family_index'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('refresh_tokens', 'refresh_tokens_family_index');
+  await queryInterface.removeColumn('refresh_tokens', 'last_used_at');
+  await queryInterface.removeColumn('refresh_tokens', 'revoked_reason');
+  await queryInterface.removeColumn('refresh_tokens', 'replaced_by_token');
+  await queryInterface.removeColumn('refresh_tokens', 'family_id');
+};
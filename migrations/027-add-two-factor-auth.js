@@ -0,0 +1,76 @@
+// migrations/027-add-two-factor-auth.js
+// Migration for TOTP two-factor authentication (secret, recovery codes) and the per-role enforcement setting
+
+import crypto from 'crypto';
+
+const REQUIRED_ROLES_KEY = 'security.two_factor_required_roles';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('users', 'two_factor_enabled', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'TOTP two-factor authentication enabled'
+  });
+
+  // Κρυπτογραφημένο (ENCRYPTION_KEY)· πριν την επιβεβαίωση είναι το secret της εγγραφής σε εξέλιξη
+  await queryInterface.addColumn('users', 'two_factor_secret', {
+    type: Sequelize.TEXT,
+    allowNull: true,
+    comment: 'Encrypted TOTP secret'
+  });
+
+  await queryInterface.addColumn('users', 'two_factor_last_step', {
+    type: Sequelize.BIGINT,
+    allowNull: true,
+    comment: 'Last accepted TOTP time step (replay protection)'
+  });
+
+  await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'SHA-256 hashes of unused recovery codes'
+  });
+
+  await queryInterface.addColumn('users', 'two_factor_confirmed_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+    comment: 'Two-factor enrolment confirmed at'
+  });
+
+  // Ρόλοι με υποχρεωτικό 2FA (ο πίνακας settings δεν υπάρχει σε όλες τις εγκαταστάσεις)
+  if (await queryInterface.tableExists('settings')) {
+    const [existing] = await queryInterface.sequelize.query(
+      'SELECT id FROM settings WHERE key = :key',
+      { replacements: { key: REQUIRED_ROLES_KEY } }
+    );
+
+    if (existing.length === 0) {
+      await queryInterface.bulkInsert('settings', [{
+        id: crypto.randomUUID(),
+        key: REQUIRED_ROLES_KEY,
+        category: 'security',
+        subcategory: 'authentication',
+        name: 'Υποχρεωτικό 2FA ανά ρόλο',
+        value: JSON.stringify([]),
+        default_value: JSON.stringify([]),
+        data_type: 'array',
+        scope: 'system',
+        created_at: new Date(),
+        updated_at: new Date()
+      }]);
+    }
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  if (await queryInterface.tableExists('settings')) {
+    await queryInterface.bulkDelete('settings', { key: REQUIRED_ROLES_KEY });
+  }
+
+  await queryInterface.removeColumn('users', 'two_factor_confirmed_at');
+  await queryInterface.removeColumn('users', 'two_factor_recovery_codes');
+  await queryInterface.removeColumn('users', 'two_factor_last_step');
+  await queryInterface.removeColumn('users', 'two_factor_secret');
+  await queryInterface.removeColumn('users', 'two_factor_enabled');
+};
@@ -0,0 +1,191 @@
+// migrations/028-create-roles-and-permissions.js
+// Migration for roles as editable permission sets and per-user permission overrides
+
+import crypto from 'crypto';
+
+// Τα δικαιώματα που είχαν οι ρόλοι στα routes πριν τα ονομαστικά δικαιώματα
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    displayName: 'Διαχειριστής',
+    description: 'Full access, including users, roles and system settings',
+    permissions: ['*']
+  },
+  {
+    name: 'manager',
+    displayName: 'Διευθυντής',
+    description: 'Day-to-day management of documents, customers, payments and myDATA',
+    permissions: [
+      'documents.create', 'documents.update', 'documents.delete', 'documents.finalize', 'documents.send', 'documents.convert',
+      'payments.create', 'payments.update', 'payments.cancel', 'payments.allocate',
+      'mydata.view', 'mydata.submit', 'mydata.submit.bulk', 'mydata.retry', 'mydata.cancel', 'mydata.classify', 'mydata.sync',
+      'mydata.credentials.view',
+      'purchases.create', 'purchases.update', 'purchases.classify', 'purchases.delete',
+      'members.create', 'members.update', 'members.renew', 'members.remind', 'members.export',
+      'companies.create', 'companies.update', 'companies.branding',
+      'statements.send', 'statements.send.bulk',
+      'dunning.manage', 'dunning.run',
+      'reconciliation.manage', 'reconciliation.reopen',
+      'numbering.view',
+      'recurring.manage',
+      'reports.financial.view', 'reports.customers.view', 'reports.aging.view', 'reports.members.view', 'reports.custom',
+      'system.status.view'
+    ]
+  },
+  {
+    name: 'accountant',
+    displayName: 'Λογιστής',
+    description: 'Invoicing, payments, myDATA submissions and tax reports',
+    permissions: [
+      'documents.create', 'documents.update', 'documents.finalize', 'documents.send', 'documents.convert',
+      'payments.create', 'payments.update', 'payments.allocate',
+      'mydata.view', 'mydata.submit', 'mydata.classify', 'mydata.sync',
+      'purchases.create', 'purchases.update', 'purchases.classify',
+      'members.renew',
+      'statements.send',
+      'dunning.manage',
+      'reconciliation.manage',
+      'numbering.view',
+      'recurring.manage',
+      'reports.financial.view', 'reports.customers.view', 'reports.aging.view', 'reports.tax.view', 'reports.custom'
+    ]
+  },
+  {
+    name: 'user',
+    displayName: 'Χρήστης',
+    description: 'Read access to documents and customers',
+    permissions: []
+  },
+  {
+    name: 'viewer',
+    displayName: 'Επισκέπτης',
+    description: 'Read-only access',
+    permissions: []
+  }
+];
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('roles', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Primary key'
+    },
+
+    name: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: 'Role key stored in users.role'
+    },
+
+    displayName: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      field: 'display_name',
+      comment: 'Role label'
+    },
+
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Role description'
+    },
+
+    permissions: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Permission names (wildcards: * and prefix.*)'
+    },
+
+    isSystem: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_system',
+      comment: 'Built-in role (cannot be renamed or deleted)'
+    },
+
+    createdBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User who created the role'
+    },
+
+    updatedBy: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      field: 'updated_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'User who last changed the role'
+    },
+
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'created_at',
+      defaultValue: Sequelize.NOW
+    },
+
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      field: 'updated_at',
+      defaultValue: Sequelize.NOW
+    }
+  });
+
+  await queryInterface.bulkInsert('roles', DEFAULT_ROLES.map(role => ({
+    id: crypto.randomUUID(),
+    name: role.name,
+    display_name: role.displayName,
+    description: role.description,
+    permissions: JSON.stringify(role.permissions),
+    is_system: true,
+    created_at: new Date(),
+    updated_at: new Date()
+  })));
+
+  // Ο ρόλος γίνεται ελεύθερο κείμενο ώστε να δέχεται ρόλους που ορίζει ο διαχειριστής
+  await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role DROP DEFAULT');
+  await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50) USING role::text');
+  await queryInterface.sequelize.query(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'user'`);
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_role"');
+
+  // { grant: [...], deny: [...] }· το deny υπερισχύει του ρόλου και του grant
+  await queryInterface.addColumn('users', 'permission_overrides', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Per-user permission grants and denials'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeColumn('users', 'permission_overrides');
+
+  // Χρήστες με προσαρμοσμένους ρόλους επιστρέφουν στον βασικό ρόλο
+  await queryInterface.sequelize.query(
+    `UPDATE users SET role = 'user' WHERE role NOT IN ('admin', 'manager', 'accountant', 'user', 'viewer')`
+  );
+  await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role DROP DEFAULT');
+  await queryInterface.sequelize.query(
+    `CREATE TYPE "enum_users_role" AS ENUM ('admin', 'manager', 'accountant', 'user', 'viewer')`
+  );
+  await queryInterface.sequelize.query(
+    'ALTER TABLE users ALTER COLUMN role TYPE "enum_users_role" USING role::"enum_users_role"'
+  );
+  await queryInterface.sequelize.query(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'user'`);
+
+  await queryInterface.dropTable('roles');
+};
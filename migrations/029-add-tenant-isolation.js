@@ -0,0 +1,98 @@
+// migrations/029-add-tenant-isolation.js
+// Migration for multi-tenant isolation: tenant_id on tenant-owned tables and the super-admin flag
+
+// Πίνακες με δεδομένα ενός tenant και η στήλη χρήστη από την οποία συμπληρώνεται το tenant_id
+const TENANT_TABLES = [
+  { table: 'companies', userColumns: ['created_by', 'owner_id'] },
+  { table: 'members', userColumns: ['created_by'] },
+  { table: 'documents', userColumns: ['created_by'] },
+  { table: 'invoices', userColumns: ['created_by'] },
+  { table: 'payments', userColumns: ['created_by'] },
+  { table: 'purchase_documents', userColumns: ['created_by'] },
+  { table: 'bank_statements', userColumns: ['imported_by'] },
+  { table: 'dunning_reminders', userColumns: ['sent_by'] }
+];
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('users', 'is_super_admin', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Platform operator: may act across tenants (X-Tenant-Id)'
+  });
+
+  // Διαχειριστές χωρίς εταιρεία είναι οι διαχειριστές της πλατφόρμας
+  await queryInterface.sequelize.query(
+    `UPDATE users SET is_super_admin = true WHERE role = 'admin' AND company_id IS NULL`
+  );
+
+  for (const { table, userColumns } of TENANT_TABLES) {
+    if (!(await queryInterface.tableExists(table))) continue;
+
+    const columns = await queryInterface.describeTable(table);
+
+    if (!columns.tenant_id) {
+      await queryInterface.addColumn(table, 'tenant_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'companies',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Owning tenant (company of the users who work with the row)'
+      });
+
+      await queryInterface.addIndex(table, ['tenant_id'], {
+        name: `${table}_tenant_index`
+      });
+    }
+
+    // Ο tenant μιας εταιρείας-tenant είναι η ίδια
+    if (table === 'companies') {
+      await queryInterface.sequelize.query(
+        `UPDATE companies SET tenant_id = id
+         WHERE tenant_id IS NULL AND id IN (SELECT company_id FROM users WHERE company_id IS NOT NULL)`
+      );
+    }
+
+    for (const column of userColumns.filter(name => columns[name])) {
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET tenant_id = users.company_id
+         FROM users
+         WHERE ${table}.tenant_id IS NULL AND users.id = ${table}.${column} AND users.company_id IS NOT NULL`
+      );
+    }
+  }
+
+  // Υπενθυμίσεις χωρίς αποστολέα (αυτόματες): από το παραστατικό
+  if (await queryInterface.tableExists('dunning_reminders')) {
+    await queryInterface.sequelize.query(
+      `UPDATE dunning_reminders SET tenant_id = documents.tenant_id
+       FROM documents
+       WHERE dunning_reminders.tenant_id IS NULL AND dunning_reminders.source_type = 'document'
+         AND documents.id = dunning_reminders.source_id`
+    );
+    await queryInterface.sequelize.query(
+      `UPDATE dunning_reminders SET tenant_id = invoices.tenant_id
+       FROM invoices
+       WHERE dunning_reminders.tenant_id IS NULL AND dunning_reminders.source_type = 'invoice'
+         AND invoices.id = dunning_reminders.source_id`
+    );
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  for (const { table } of [...TENANT_TABLES].reverse()) {
+    if (!(await queryInterface.tableExists(table))) continue;
+
+    const columns = await queryInterface.describeTable(table);
+    if (columns.tenant_id) {
+      await queryInterface.removeIndex(table, `${table}_tenant_index`);
+      await queryInterface.removeColumn(table, 'tenant_id');
+    }
+  }
+
+  await queryInterface.removeColumn('users', 'is_super_admin');
+};
@@ -0,0 +1,142 @@
+// migrations/030-add-subscription-metering.js
+// Migration for subscription enforcement: usage counters per billing period and renewal reminder tracking
+
+import crypto from 'crypto';
+
+// Όρια πακέτων (ίδια με το PLANS του subscriptionService· null = απεριόριστο)
+const PLAN_FEATURES = {
+  basic: { maxMembers: 100, maxInvoices: 1000, hasReports: false, hasAPI: false },
+  professional: { maxMembers: 500, maxInvoices: 5000, hasReports: true, hasAPI: true },
+  enterprise: { maxMembers: null, maxInvoices: null, hasReports: true, hasAPI: true }
+};
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('usage_counters', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    tenant_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Tenant company whose usage is counted'
+    },
+    metric: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      comment: 'Metered resource (members, invoices)'
+    },
+    period_start: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      comment: 'First day of the billing period'
+    },
+    period_end: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      comment: 'Last day of the billing period'
+    },
+    count: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Records created in the period'
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  });
+
+  await queryInterface.addIndex('usage_counters', ['tenant_id', 'metric', 'period_start'], {
+    unique: true,
+    name: 'usage_counters_tenant_metric_period_unique'
+  });
+
+  await queryInterface.addColumn('companies', 'renewal_reminder_sent_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+    comment: 'Last subscription renewal reminder'
+  });
+
+  // Τα features των tenants ακολουθούν πλέον τα όρια του πακέτου τους
+  for (const [plan, features] of Object.entries(PLAN_FEATURES)) {
+    await queryInterface.sequelize.query(
+      `UPDATE companies SET features = COALESCE(features, '{}'::jsonb) || :features::jsonb
+       WHERE subscription_plan = :plan AND tenant_id = id`,
+      { replacements: { plan, features: JSON.stringify(features) } }
+    );
+  }
+
+  // Τιμολόγια/αποδείξεις της τρέχουσας μηνιαίας περιόδου κάθε tenant (ώστε τα όρια να ισχύουν από την πρώτη μέρα)
+  const documentColumns = await queryInterface.describeTable('documents');
+  if (!documentColumns.document_type || !documentColumns.is_recurring) return;
+
+  const [tenants] = await queryInterface.sequelize.query(
+    `SELECT id, subscription_start_date FROM companies WHERE tenant_id = id`
+  );
+
+  // Μηνιαία περίοδος από την ημερομηνία έναρξης (31/1 → 28/2, όπως το moment του service)
+  const addMonths = (date, months) => {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+  };
+  const toDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const now = new Date();
+
+  for (const tenant of tenants) {
+    const anchor = new Date(tenant.subscription_start_date);
+    anchor.setHours(0, 0, 0, 0);
+
+    let months = Math.max((now.getFullYear() - anchor.getFullYear()) * 12 + now.getMonth() - anchor.getMonth(), 0);
+    if (months > 0 && addMonths(anchor, months) > now) months -= 1;
+
+    const start = addMonths(anchor, months);
+    const end = addMonths(anchor, months + 1);
+    end.setDate(end.getDate() - 1);
+
+    const [[{ count }]] = await queryInterface.sequelize.query(
+      `SELECT
+         (SELECT COUNT(*) FROM documents
+          WHERE tenant_id = :tenantId AND document_type IN ('invoice', 'receipt')
+            AND COALESCE(is_recurring, false) = false AND created_at >= :start) +
+         (SELECT COUNT(*) FROM invoices
+          WHERE tenant_id = :tenantId AND type IN ('invoice', 'receipt') AND created_at >= :start) AS count`,
+      { replacements: { tenantId: tenant.id, start: toDate(start) } }
+    );
+
+    if (Number(count) > 0) {
+      await queryInterface.bulkInsert('usage_counters', [{
+        id: crypto.randomUUID(),
+        tenant_id: tenant.id,
+        metric: 'invoices',
+        period_start: toDate(start),
+        period_end: toDate(end),
+        count: Number(count),
+        created_at: now,
+        updated_at: now
+      }]);
+    }
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeColumn('companies', 'renewal_reminder_sent_at');
+  await queryInterface.dropTable('usage_counters');
+};
@@ -0,0 +1,149 @@
+// migrations/031-add-tenant-to-dependent-tables.js
+// Migration for tenant isolation of line items, allocations, reports, myDATA queue/sync runs and dunning levels
+
+import crypto from 'crypto';
+
+// Πίνακες και από πού συμπληρώνεται το tenant_id (γονικός πίνακας ή χρήστης)· οι γονείς πριν τα παιδιά
+const DEPENDENT_TABLES = [
+  { table: 'document_items', parent: { table: 'documents', column: 'document_id' } },
+  { table: 'invoice_items', parent: { table: 'invoices', column: 'invoice_id' } },
+  { table: 'purchase_document_items', parent: { table: 'purchase_documents', column: 'purchase_document_id' } },
+  { table: 'payment_allocations', parent: { table: 'payments', column: 'payment_id' } },
+  { table: 'bank_statement_lines', parent: { table: 'bank_statements', column: 'statement_id' } },
+  { table: 'recurring_document_runs', parent: { table: 'documents', column: 'template_id' } },
+  { table: 'saved_reports', userColumn: 'user_id' },
+  { table: 'scheduled_reports', userColumn: 'created_by' },
+  { table: 'scheduled_report_runs', parent: { table: 'scheduled_reports', column: 'scheduled_report_id' } },
+  { table: 'mydata_submission_items', parent: { table: 'invoices', column: 'invoice_id' } },
+  { table: 'mydata_submission_jobs', userColumn: 'created_by' },
+  { table: 'mydata_submission_attempts', parent: { table: 'mydata_submission_items', column: 'item_id' } },
+  { table: 'mydata_sync_runs', companyColumn: 'company_id' },
+  { table: 'dunning_levels', userColumn: 'created_by' }
+];
+
+export const up = async (queryInterface, Sequelize) => {
+  for (const { table, parent, userColumn, companyColumn } of DEPENDENT_TABLES) {
+    if (!(await queryInterface.tableExists(table))) continue;
+
+    const columns = await queryInterface.describeTable(table);
+
+    if (!columns.tenant_id) {
+      await queryInterface.addColumn(table, 'tenant_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'companies',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Owning tenant'
+      });
+
+      await queryInterface.addIndex(table, ['tenant_id'], {
+        name: `${table}_tenant_index`
+      });
+    }
+
+    if (parent && columns[parent.column]) {
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET tenant_id = ${parent.table}.tenant_id
+         FROM ${parent.table}
+         WHERE ${table}.tenant_id IS NULL AND ${parent.table}.id = ${table}.${parent.column}`
+      );
+    }
+
+    if (userColumn && columns[userColumn]) {
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET tenant_id = users.company_id
+         FROM users
+         WHERE ${table}.tenant_id IS NULL AND users.id = ${table}.${userColumn} AND users.company_id IS NOT NULL`
+      );
+    }
+
+    // Εκτελέσεις με διαπιστευτήρια εταιρείας-tenant
+    if (companyColumn && columns[companyColumn]) {
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET tenant_id = companies.id
+         FROM companies
+         WHERE ${table}.tenant_id IS NULL AND companies.id = ${table}.${companyColumn} AND companies.tenant_id = companies.id`
+      );
+    }
+  }
+
+  // Επίπεδα υπενθύμισης ανά tenant: μοναδικές ημέρες μέσα στον tenant
+  if (!(await queryInterface.tableExists('dunning_levels'))) return;
+
+  await queryInterface.removeIndex('dunning_levels', 'dunning_levels_days_offset_unique');
+  await queryInterface.addIndex('dunning_levels', ['tenant_id', 'days_offset'], {
+    unique: true,
+    name: 'dunning_levels_tenant_days_offset_unique'
+  });
+
+  // Κάθε tenant χωρίς δικά του επίπεδα παίρνει αντίγραφο των κοινών (tenant_id NULL)
+  const [sharedLevels] = await queryInterface.sequelize.query(
+    'SELECT * FROM dunning_levels WHERE tenant_id IS NULL'
+  );
+  const [tenants] = await queryInterface.sequelize.query(
+    `SELECT id FROM companies
+     WHERE tenant_id = id AND id NOT IN (SELECT tenant_id FROM dunning_levels WHERE tenant_id IS NOT NULL)`
+  );
+
+  const now = new Date();
+  for (const tenant of tenants) {
+    if (sharedLevels.length === 0) break;
+
+    await queryInterface.bulkInsert('dunning_levels', sharedLevels.map(level => ({
+      ...level,
+      id: crypto.randomUUID(),
+      tenant_id: tenant.id,
+      created_at: now,
+      updated_at: now
+    })));
+  }
+
+  // Υπενθυμίσεις που στάλθηκαν με κοινό επίπεδο δείχνουν στο αντίγραφο του tenant (ίδιες ημέρες),
+  // ώστε να μη σταλεί ξανά το ίδιο επίπεδο
+  if (await queryInterface.tableExists('dunning_reminders')) {
+    await queryInterface.sequelize.query(
+      `UPDATE dunning_reminders SET dunning_level_id = tenant_level.id
+       FROM dunning_levels shared_level, dunning_levels tenant_level
+       WHERE shared_level.id = dunning_reminders.dunning_level_id AND shared_level.tenant_id IS NULL
+         AND tenant_level.tenant_id = dunning_reminders.tenant_id
+         AND tenant_level.days_offset = shared_level.days_offset`
+    );
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  if (await queryInterface.tableExists('dunning_levels')) {
+    // Τα επίπεδα των tenants (αντίγραφα) αφαιρούνται· οι υπενθυμίσεις επιστρέφουν στα κοινά
+    await queryInterface.sequelize.query(
+      `UPDATE dunning_reminders SET dunning_level_id = shared_level.id
+       FROM dunning_levels tenant_level, dunning_levels shared_level
+       WHERE tenant_level.id = dunning_reminders.dunning_level_id AND tenant_level.tenant_id IS NOT NULL
+         AND shared_level.tenant_id IS NULL AND shared_level.days_offset = tenant_level.days_offset`
+    );
+    await queryInterface.sequelize.query(
+      `DELETE FROM dunning_levels tenant_level
+       WHERE tenant_level.tenant_id IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM dunning_reminders WHERE dunning_level_id = tenant_level.id)`
+    );
+
+    await queryInterface.removeIndex('dunning_levels', 'dunning_levels_tenant_days_offset_unique');
+    await queryInterface.addIndex('dunning_levels', ['days_offset'], {
+      unique: true,
+      name: 'dunning_levels_days_offset_unique'
+    });
+  }
+
+  for (const { table } of [...DEPENDENT_TABLES].reverse()) {
+    if (!(await queryInterface.tableExists(table))) continue;
+
+    const columns = await queryInterface.describeTable(table);
+    if (columns.tenant_id) {
+      await queryInterface.removeIndex(table, `${table}_tenant_index`);
+      await queryInterface.removeColumn(table, 'tenant_id');
+    }
+  }
+};
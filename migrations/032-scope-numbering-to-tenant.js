@@ -0,0 +1,114 @@
+// migrations/032-scope-numbering-to-tenant.js
+// Migration for per-tenant numbering: tenant copies of shared sequences and document numbers unique per tenant
+
+import crypto from 'crypto';
+
+// Αριθμημένοι πίνακες: στήλη αριθμού και index μοναδικότητας (παλιό → ανά tenant)
+const NUMBERED_TABLES = [
+  {
+    entityType: 'document',
+    table: 'documents',
+    column: 'document_number',
+    index: 'documents_number_unique',
+    tenantIndex: 'documents_tenant_number_unique'
+  },
+  {
+    entityType: 'invoice',
+    table: 'invoices',
+    column: 'invoice_number',
+    index: 'invoices_invoice_number_unique',
+    tenantIndex: 'invoices_tenant_invoice_number_unique'
+  }
+];
+
+// Μοναδικότητα μόνο του αριθμού: index του migration ή constraint του createTable
+const dropNumberUniqueness = async (queryInterface, { table, column, index }) => {
+  const [constraints] = await queryInterface.sequelize.query(
+    `SELECT con.conname FROM pg_constraint con
+     JOIN pg_class rel ON rel.oid = con.conrelid
+     JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY (con.conkey)
+     WHERE rel.relname = :table AND con.contype = 'u' AND array_length(con.conkey, 1) = 1 AND att.attname = :column`,
+    { replacements: { table, column } }
+  );
+
+  for (const { conname } of constraints) {
+    await queryInterface.removeConstraint(table, conname);
+  }
+
+  await queryInterface.sequelize.query(`DROP INDEX IF EXISTS ${index}`);
+};
+
+export const up = async (queryInterface, Sequelize) => {
+  for (const numbered of NUMBERED_TABLES) {
+    if (!(await queryInterface.tableExists(numbered.table))) continue;
+
+    await dropNumberUniqueness(queryInterface, numbered);
+    await queryInterface.addIndex(numbered.table, ['tenant_id', numbered.column], {
+      unique: true,
+      name: numbered.tenantIndex
+    });
+  }
+
+  // Κοινές σειρές (χωρίς εταιρεία): κάθε tenant που εξέδωσε από αυτές συνεχίζει σε δική του σειρά
+  // από τον τελευταίο δικό του αριθμό· οι εκδοθέντες αριθμοί μένουν στην κοινή σειρά
+  const [sharedSequences] = await queryInterface.sequelize.query(
+    'SELECT * FROM numbering_sequences WHERE company_id IS NULL'
+  );
+
+  const now = new Date();
+  for (const sequence of sharedSequences) {
+    const numbered = NUMBERED_TABLES.find(candidate => candidate.entityType === sequence.entity_type);
+    if (!numbered) continue;
+
+    const [tenants] = await queryInterface.sequelize.query(
+      `SELECT tenant_id, MAX(sequence_number) AS last_number FROM ${numbered.table}
+       WHERE numbering_sequence_id = :sequenceId AND tenant_id IS NOT NULL
+       GROUP BY tenant_id`,
+      { replacements: { sequenceId: sequence.id } }
+    );
+
+    const keySuffix = sequence.sequence_key.split(':').slice(1).join(':');
+    const copies = tenants.map(({ tenant_id: tenantId, last_number: lastNumber }) => ({
+      ...sequence,
+      id: crypto.randomUUID(),
+      sequence_key: `${tenantId}:${keySuffix}`,
+      company_id: tenantId,
+      start_value: lastNumber + 1,
+      current_value: lastNumber,
+      created_at: now,
+      updated_at: now
+    }));
+
+    if (copies.length > 0) {
+      await queryInterface.bulkInsert('numbering_sequences', copies, {
+        ignoreDuplicates: true
+      });
+    }
+  }
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  // Τα αντίγραφα δεν έχουν εκδόσεις (οι αριθμοί τους δεν είναι μοναδικοί εκτός tenant)· αφαιρούνται
+  await queryInterface.sequelize.query(
+    `DELETE FROM numbering_sequences tenant_sequence
+     WHERE tenant_sequence.company_id IS NOT NULL
+       AND tenant_sequence.current_value < tenant_sequence.start_value
+       AND EXISTS (
+         SELECT 1 FROM numbering_sequences shared_sequence
+         WHERE shared_sequence.company_id IS NULL
+           AND split_part(shared_sequence.sequence_key, ':', 1) = '*'
+           AND substring(shared_sequence.sequence_key FROM position(':' IN shared_sequence.sequence_key))
+             = substring(tenant_sequence.sequence_key FROM position(':' IN tenant_sequence.sequence_key))
+       )`
+  );
+
+  for (const numbered of NUMBERED_TABLES) {
+    if (!(await queryInterface.tableExists(numbered.table))) continue;
+
+    await queryInterface.removeIndex(numbered.table, numbered.tenantIndex);
+    await queryInterface.addIndex(numbered.table, [numbered.column], {
+      unique: true,
+      name: numbered.index
+    });
+  }
+};
@@ -0,0 +1,66 @@
+// migrations/033-add-payment-numbering.js
+// Migration for payment numbers issued from numbering_sequences (locked, unique per tenant)
+
+export const up = async (queryInterface, Sequelize) => {
+  // ADD VALUE δεν εκτελείται μέσα σε transaction σε παλιότερες PostgreSQL
+  await queryInterface.sequelize.query(
+    `ALTER TYPE "enum_numbering_sequences_entity_type" ADD VALUE IF NOT EXISTS 'payment'`
+  );
+
+  await queryInterface.addColumn('payments', 'numbering_sequence_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'numbering_sequences',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+    comment: 'Numbering sequence'
+  });
+
+  await queryInterface.addColumn('payments', 'sequence_number', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    comment: 'Sequential number within series'
+  });
+
+  await queryInterface.addIndex('payments', ['numbering_sequence_id', 'sequence_number'], {
+    unique: true,
+    name: 'payments_sequence_number_unique'
+  });
+
+  // Μοναδικός αριθμός ανά tenant (index του migration 006 ή constraint του createTable)
+  const [constraints] = await queryInterface.sequelize.query(
+    `SELECT con.conname FROM pg_constraint con
+     JOIN pg_class rel ON rel.oid = con.conrelid
+     JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY (con.conkey)
+     WHERE rel.relname = 'payments' AND con.contype = 'u' AND array_length(con.conkey, 1) = 1
+       AND att.attname = 'payment_number'`
+  );
+
+  for (const { conname } of constraints) {
+    await queryInterface.removeConstraint('payments', conname);
+  }
+
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS payments_number_unique');
+  await queryInterface.addIndex('payments', ['tenant_id', 'payment_number'], {
+    unique: true,
+    name: 'payments_tenant_number_unique'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('payments', 'payments_tenant_number_unique');
+  await queryInterface.addIndex('payments', ['payment_number'], {
+    unique: true,
+    name: 'payments_number_unique'
+  });
+
+  await queryInterface.removeIndex('payments', 'payments_sequence_number_unique');
+  await queryInterface.removeColumn('payments', 'sequence_number');
+  await queryInterface.removeColumn('payments', 'numbering_sequence_id');
+
+  // Η τιμή 'payment' του enum δεν αφαιρείται (PostgreSQL)· οι σειρές πληρωμών διαγράφονται
+  await queryInterface.sequelize.query(`DELETE FROM numbering_sequences WHERE entity_type = 'payment'`);
+};
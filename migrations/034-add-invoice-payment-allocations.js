@@ -0,0 +1,80 @@
+// migrations/034-add-invoice-payment-allocations.js
+// Migration for allocating payments to invoices (invoice_id on allocations, paid amount on invoices)
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('invoices', 'paid_amount', {
+    type: Sequelize.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Total of payments allocated to this invoice'
+  });
+
+  await queryInterface.addColumn('payment_allocations', 'invoice_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'invoices',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE',
+    comment: 'Allocated invoice'
+  });
+
+  await queryInterface.changeColumn('payment_allocations', 'document_id', {
+    type: Sequelize.UUID,
+    allowNull: true,
+    references: {
+      model: 'documents',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE',
+    comment: 'Allocated document'
+  });
+
+  // Κάθε αντιστοίχιση αφορά ακριβώς ένα παραστατικό ή ένα τιμολόγιο
+  await queryInterface.addConstraint('payment_allocations', {
+    type: 'check',
+    fields: ['document_id', 'invoice_id'],
+    where: {
+      [Sequelize.Op.or]: [
+        { document_id: { [Sequelize.Op.ne]: null }, invoice_id: null },
+        { document_id: null, invoice_id: { [Sequelize.Op.ne]: null } }
+      ]
+    },
+    name: 'allocations_single_target_check'
+  });
+
+  await queryInterface.addIndex('payment_allocations', ['invoice_id'], {
+    name: 'allocations_invoice_index'
+  });
+
+  await queryInterface.addIndex('payment_allocations', ['payment_id', 'invoice_id'], {
+    unique: true,
+    name: 'allocations_payment_invoice_unique'
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.sequelize.query('DELETE FROM payment_allocations WHERE invoice_id IS NOT NULL');
+
+  await queryInterface.removeIndex('payment_allocations', 'allocations_payment_invoice_unique');
+  await queryInterface.removeIndex('payment_allocations', 'allocations_invoice_index');
+  await queryInterface.removeConstraint('payment_allocations', 'allocations_single_target_check');
+
+  await queryInterface.changeColumn('payment_allocations', 'document_id', {
+    type: Sequelize.UUID,
+    allowNull: false,
+    references: {
+      model: 'documents',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE',
+    comment: 'Allocated document'
+  });
+
+  await queryInterface.removeColumn('payment_allocations', 'invoice_id');
+  await queryInterface.removeColumn('invoices', 'paid_amount');
+};
@@ -46,7 +46,11 @@ const AuditLog = sequelize.define('AuditLog', {
       'cancel',
       'restore',
       'lock',
-      'unlock'
+      'unlock',
+      'mydata_submit',
+      'mydata_cancel',
+      'mydata_test',
+      'mydata_offline'
     ),
     allowNull: false,
     comment: 'Τύπος ενέργειας'
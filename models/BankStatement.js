@@ -0,0 +1,180 @@
+// models/BankStatement.js
+// Imported bank statement (CSV / CAMT.053) for payment reconciliation
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const BankStatement = sequelize.define('BankStatement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  statementReference: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'statement_reference',
+    comment: 'Bank statement reference (CAMT Stmt/Id or file name)'
+  },
+
+  format: {
+    type: DataTypes.ENUM('csv', 'camt053'),
+    allowNull: false,
+    comment: 'Source file format'
+  },
+
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'file_name',
+    comment: 'Uploaded file name'
+  },
+
+  fileHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'file_hash',
+    comment: 'SHA-256 of uploaded file (duplicate import guard)'
+  },
+
+  iban: {
+    type: DataTypes.STRING(34),
+    allowNull: true,
+    comment: 'Account IBAN'
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'EUR',
+    comment: 'Currency code'
+  },
+
+  bankName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'bank_name',
+    comment: 'Bank name'
+  },
+
+  periodStart: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'period_start',
+    comment: 'Statement period start'
+  },
+
+  periodEnd: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'period_end',
+    comment: 'Statement period end'
+  },
+
+  openingBalance: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'opening_balance',
+    comment: 'Opening balance'
+  },
+
+  closingBalance: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'closing_balance',
+    comment: 'Closing balance'
+  },
+
+  status: {
+    type: DataTypes.ENUM('imported', 'in_review', 'reconciled'),
+    defaultValue: 'imported',
+    allowNull: false,
+    comment: 'Reconciliation status'
+  },
+
+  totalLines: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'total_lines',
+    comment: 'Number of lines'
+  },
+
+  matchedLines: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'matched_lines',
+    comment: 'Number of confirmed lines'
+  },
+
+  importedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'imported_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Imported by user'
+  }
+}, {
+  tableName: 'bank_statements',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['file_hash'], unique: true },
+    { fields: ['iban', 'period_end'] },
+    { fields: ['tenant_id'] }
+  ]
+});
+
+// Instance methods
+BankStatement.prototype.refreshProgress = async function(options = {}) {
+  const BankStatementLine = sequelize.models.BankStatementLine;
+
+  const [totalLines, doneLines, matchedLines] = await Promise.all([
+    BankStatementLine.count({ where: { statementId: this.id }, transaction: options.transaction }),
+    BankStatementLine.count({
+      where: { statementId: this.id, status: ['matched', 'ignored'] },
+      transaction: options.transaction
+    }),
+    BankStatementLine.count({
+      where: { statementId: this.id, status: 'matched' },
+      transaction: options.transaction
+    })
+  ]);
+
+  this.totalLines = totalLines;
+  this.matchedLines = matchedLines;
+  this.status = doneLines === totalLines ? 'reconciled' : 'in_review';
+
+  return this.save({ transaction: options.transaction });
+};
+
+// Define associations
+BankStatement.associate = (models) => {
+  BankStatement.hasMany(models.BankStatementLine, {
+    foreignKey: 'statementId',
+    as: 'lines',
+    onDelete: 'CASCADE'
+  });
+
+  BankStatement.belongsTo(models.User, {
+    foreignKey: 'importedBy',
+    as: 'importer'
+  });
+};
+
+export default BankStatement;
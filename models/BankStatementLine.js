@@ -0,0 +1,188 @@
+// models/BankStatementLine.js
+// Single transaction line of an imported bank statement
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const BankStatementLine = sequelize.define('BankStatementLine', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  statementId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'statement_id',
+    references: {
+      model: 'bank_statements',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  lineNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'line_number',
+    comment: 'Line number within statement'
+  },
+
+  // Transaction data
+  bookingDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'booking_date',
+    comment: 'Booking date'
+  },
+
+  valueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'value_date',
+    comment: 'Value date'
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Absolute amount'
+  },
+
+  direction: {
+    type: DataTypes.ENUM('credit', 'debit'),
+    allowNull: false,
+    comment: 'credit = money in, debit = money out'
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'EUR'
+  },
+
+  counterpartyName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'counterparty_name'
+  },
+
+  counterpartyIban: {
+    type: DataTypes.STRING(34),
+    allowNull: true,
+    field: 'counterparty_iban'
+  },
+
+  reference: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'End-to-end / structured reference'
+  },
+
+  bankReference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'bank_reference',
+    comment: 'Account servicer reference'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Remittance information'
+  },
+
+  // Matching
+  status: {
+    type: DataTypes.ENUM('unmatched', 'proposed', 'matched', 'ignored'),
+    defaultValue: 'unmatched',
+    allowNull: false,
+    comment: 'Matching status'
+  },
+
+  confidence: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: 'Confidence of best candidate (0-100)'
+  },
+
+  candidates: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Proposed match candidates'
+  },
+
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'payment_id',
+    references: {
+      model: 'payments',
+      key: 'id'
+    },
+    comment: 'Confirmed payment'
+  },
+
+  confirmedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'confirmed_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'confirmed_at'
+  },
+
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'review_notes'
+  }
+}, {
+  tableName: 'bank_statement_lines',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['statement_id'] },
+    { fields: ['status'] },
+    { fields: ['payment_id'] }
+  ]
+});
+
+// Instance methods
+BankStatementLine.prototype.isOpen = function() {
+  return ['unmatched', 'proposed'].includes(this.status);
+};
+
+// Define associations
+BankStatementLine.associate = (models) => {
+  BankStatementLine.belongsTo(models.BankStatement, {
+    foreignKey: 'statementId',
+    as: 'statement'
+  });
+
+  BankStatementLine.belongsTo(models.Payment, {
+    foreignKey: 'paymentId',
+    as: 'payment'
+  });
+};
+
+export default BankStatementLine;
@@ -12,6 +12,16 @@ const Company = sequelize.define('Company', {
     allowNull: false
   },
   
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant (the company itself for tenant companies)'
+  },
+  
   // Basic information
   name: {
     type: DataTypes.STRING(255),
@@ -163,12 +173,18 @@ const Company = sequelize.define('Company', {
     defaultValue: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
   },
   
-  // Features (JSONB)
+  renewalReminderSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last subscription renewal reminder'
+  },
+  
+  // Features (JSONB) - όρια του πακέτου (βλ. subscriptionService), null = απεριόριστο
   features: {
     type: DataTypes.JSONB,
     defaultValue: {
-      maxMembers: 5,
-      maxInvoices: 100,
+      maxMembers: 100,
+      maxInvoices: 1000,
       hasReports: false,
       hasAPI: false
     }
@@ -198,6 +214,12 @@ const Company = sequelize.define('Company', {
     allowNull: false
   },
   
+  dunningOptOut: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -210,7 +232,8 @@ const Company = sequelize.define('Company', {
     { fields: ['afm'] },
     { fields: ['owner_id'] },
     { fields: ['subscription_status'] },
-    { fields: ['is_active'] }
+    { fields: ['is_active'] },
+    { fields: ['tenant_id'] }
   ]
 });
 
@@ -235,12 +258,16 @@ Company.prototype.hasActiveSubscription = function() {
          (this.subscriptionStatus === 'trial' && this.subscriptionEndDate > new Date());
 };
 
-Company.prototype.canAddMember = function() {
-  return this.statistics.totalMembers < this.features.maxMembers;
+// Ενεργά μέλη (χωρίς όρισμα από τα statistics) + νέα μέλη εντός του ορίου του πακέτου
+Company.prototype.canAddMember = function(activeMembers = this.statistics?.totalMembers || 0, quantity = 1) {
+  const maxMembers = this.features?.maxMembers;
+  return maxMembers === null || maxMembers === undefined || activeMembers + quantity <= maxMembers;
 };
 
-Company.prototype.canCreateInvoice = function() {
-  return this.statistics.totalInvoices < this.features.maxInvoices;
+// Τιμολόγια της περιόδου χρέωσης (χωρίς όρισμα από τα statistics) + νέα εντός του ορίου του πακέτου
+Company.prototype.canCreateInvoice = function(periodInvoices = this.statistics?.totalInvoices || 0, quantity = 1) {
+  const maxInvoices = this.features?.maxInvoices;
+  return maxInvoices === null || maxInvoices === undefined || periodInvoices + quantity <= maxInvoices;
 };
 
 Company.prototype.updateStatistics = async function() {
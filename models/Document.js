@@ -1,10 +1,11 @@
 // models/Document.js
 // Document Model για διαχείριση παραστατικών
 
-import { DataTypes, Op } from 'sequelize';
+import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
 import Company from './Company.js';
 import User from './User.js';
+import numberingService from '../services/numberingService.js';
 
 const Document = sequelize.define('Document', {
   id: {
@@ -13,6 +14,16 @@ const Document = sequelize.define('Document', {
     primaryKey: true
   },
   
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Tenant (εταιρεία των χρηστών που εκδίδουν)'
+  },
+  
   // Βασικά στοιχεία παραστατικού
   documentType: {
     type: DataTypes.ENUM(
@@ -41,6 +52,20 @@ const Document = sequelize.define('Document', {
     comment: 'Σειρά παραστατικού'
   },
   
+  numberingSequenceId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'numbering_sequences',
+      key: 'id'
+    },
+    comment: 'Σειρά αρίθμησης'
+  },
+  
+  sequenceNumber: {
+    type: DataTypes.INTEGER,
+    comment: 'Αύξων αριθμός στη σειρά'
+  },
+  
   documentDate: {
     type: DataTypes.DATEONLY,
     allowNull: false,
@@ -64,6 +89,16 @@ const Document = sequelize.define('Document', {
     comment: 'Εταιρία/Πελάτης'
   },
   
+  memberId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'members',
+      key: 'id'
+    },
+    comment: 'Μέλος/Ιδιώτης πελάτης'
+  },
+  
   relatedDocumentId: {
     type: DataTypes.UUID,
     references: {
@@ -73,6 +108,26 @@ const Document = sequelize.define('Document', {
     comment: 'Συσχετιζόμενο παραστατικό'
   },
   
+  // Παραστατικό προέλευσης (προσφορά → παραγγελία → δελτίο αποστολής → τιμολόγιο)
+  referenceType: {
+    type: DataTypes.STRING(50),
+    comment: 'Τύπος παραστατικού προέλευσης'
+  },
+  
+  referenceNumber: {
+    type: DataTypes.STRING(50),
+    comment: 'Αριθμός παραστατικού προέλευσης'
+  },
+  
+  referenceId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'documents',
+      key: 'id'
+    },
+    comment: 'Παραστατικό προέλευσης'
+  },
+  
   // Οικονομικά στοιχεία
   subtotal: {
     type: DataTypes.DECIMAL(12, 2),
@@ -116,6 +171,12 @@ const Document = sequelize.define('Document', {
     comment: 'Ποσό παρακράτησης'
   },
   
+  stampDuty: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+    comment: 'Χαρτόσημο'
+  },
+  
   otherCharges: {
     type: DataTypes.DECIMAL(12, 2),
     defaultValue: 0,
@@ -175,6 +236,17 @@ const Document = sequelize.define('Document', {
     comment: 'Σημειώσεις για πελάτη'
   },
   
+  // Αμφισβήτηση (σταματά τις υπενθυμίσεις πληρωμής)
+  disputedAt: {
+    type: DataTypes.DATE,
+    comment: 'Ημερομηνία αμφισβήτησης'
+  },
+  
+  disputeReason: {
+    type: DataTypes.TEXT,
+    comment: 'Λόγος αμφισβήτησης'
+  },
+  
   // myDATA
   mydataMark: {
     type: DataTypes.STRING(100),
@@ -196,12 +268,22 @@ const Document = sequelize.define('Document', {
     comment: 'Ημερομηνία υποβολής myDATA'
   },
   
+  mydataQr: {
+    type: DataTypes.TEXT,
+    comment: 'QR code URL από myDATA'
+  },
+  
   // Αρχεία
   pdfUrl: {
     type: DataTypes.STRING(500),
     comment: 'URL του PDF'
   },
   
+  pdfPath: {
+    type: DataTypes.STRING(500),
+    comment: 'Αποθηκευμένο PDF (σχετική διαδρομή)'
+  },
+  
   attachments: {
     type: DataTypes.JSON,
     defaultValue: [],
@@ -259,6 +341,19 @@ const Document = sequelize.define('Document', {
   emailedTo: {
     type: DataTypes.STRING(255),
     comment: 'Email αποστολής'
+  },
+  
+  // Επαναλαμβανόμενη χρέωση (το παραστατικό είναι πρότυπο)
+  isRecurring: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Επαναλαμβανόμενο παραστατικό'
+  },
+  
+  recurringSchedule: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Πρόγραμμα επανάληψης (συχνότητα, διάστημα, επόμενη έκδοση)'
   }
 }, {
   timestamps: true,
@@ -266,7 +361,7 @@ const Document = sequelize.define('Document', {
   indexes: [
     {
       unique: true,
-      fields: ['document_type', 'document_series', 'document_number']
+      fields: ['tenant_id', 'document_type', 'document_series', 'document_number']
     },
     {
       fields: ['document_date']
@@ -279,6 +374,15 @@ const Document = sequelize.define('Document', {
     },
     {
       fields: ['mydata_status']
+    },
+    {
+      fields: ['is_recurring']
+    },
+    {
+      fields: ['reference_id']
+    },
+    {
+      fields: ['tenant_id']
     }
   ]
 });
@@ -291,36 +395,28 @@ Document.prototype.calculateTotals = function() {
   
   const vatAmount = netAmount * (parseFloat(this.vatRate) / 100);
   const withholdingTaxAmount = netAmount * (parseFloat(this.withholdingTaxRate) / 100);
+  const stampDuty = parseFloat(this.stampDuty) || 0;
   const otherCharges = parseFloat(this.otherCharges) || 0;
   
   this.vatAmount = vatAmount.toFixed(2);
   this.withholdingTaxAmount = withholdingTaxAmount.toFixed(2);
-  this.total = (netAmount + vatAmount - withholdingTaxAmount + otherCharges).toFixed(2);
+  this.total = (netAmount + vatAmount - withholdingTaxAmount + stampDuty + otherCharges).toFixed(2);
   this.balanceDue = (parseFloat(this.total) - parseFloat(this.paidAmount)).toFixed(2);
 };
 
-Document.prototype.generateDocumentNumber = async function() {
-  const year = new Date().getFullYear();
-  const lastDoc = await Document.findOne({
-    where: {
-      documentType: this.documentType,
-      documentSeries: this.documentSeries,
-      documentDate: {
-        [Op.between]: [`${year}-01-01`, `${year}-12-31`]
-      }
-    },
-    order: [['documentNumber', 'DESC']]
-  });
-  
-  let nextNumber = 1;
-  if (lastDoc && lastDoc.documentNumber) {
-    const match = lastDoc.documentNumber.match(/\d+$/);
-    if (match) {
-      nextNumber = parseInt(match[0]) + 1;
-    }
-  }
-  
-  this.documentNumber = `${this.documentSeries}-${String(nextNumber).padStart(6, '0')}`;
+// Αρίθμηση μέσω numbering_sequences (κλείδωμα γραμμής μέσα στο transaction)
+Document.prototype.generateDocumentNumber = async function(options = {}) {
+  const issued = await numberingService.next({
+    entityType: 'document',
+    companyId: this.tenantId,
+    documentType: this.documentType,
+    series: this.documentSeries,
+    date: this.documentDate
+  }, { transaction: options.transaction });
+  
+  this.documentNumber = issued.number;
+  this.numberingSequenceId = issued.numberingSequenceId;
+  this.sequenceNumber = issued.sequenceNumber;
 };
 
 Document.prototype.canBeEdited = function() {
@@ -334,10 +430,14 @@ Document.prototype.canBeCancelled = function() {
 };
 
 // Hooks
-Document.beforeCreate(async (document) => {
-  if (!document.documentNumber) {
-    await document.generateDocumentNumber();
+// Ο αριθμός εκδίδεται πριν το validation (documentNumber είναι NOT NULL)
+Document.beforeValidate(async (document, options) => {
+  if (document.isNewRecord && !document.documentNumber) {
+    await document.generateDocumentNumber(options);
   }
+});
+
+Document.beforeCreate((document) => {
   document.calculateTotals();
 });
 
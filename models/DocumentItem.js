@@ -11,6 +11,16 @@ const DocumentItem = sequelize.define('DocumentItem', {
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
   
   documentId: {
     type: DataTypes.UUID,
@@ -169,6 +179,17 @@ const DocumentItem = sequelize.define('DocumentItem', {
     comment: 'Είναι δώρο'
   },
   
+  // Γραμμή προέλευσης στην αλυσίδα μετατροπής
+  referenceType: {
+    type: DataTypes.STRING(50),
+    comment: 'Τύπος παραστατικού προέλευσης'
+  },
+  
+  referenceId: {
+    type: DataTypes.UUID,
+    comment: 'Γραμμή προέλευσης'
+  },
+  
   metadata: {
     type: DataTypes.JSON,
     defaultValue: {},
@@ -182,6 +203,9 @@ const DocumentItem = sequelize.define('DocumentItem', {
     },
     {
       fields: ['item_code']
+    },
+    {
+      fields: ['reference_id']
     }
   ]
 });
@@ -0,0 +1,159 @@
+// models/DunningLevel.js
+// Dunning levels (κλιμάκωση υπενθυμίσεων πληρωμής)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const DunningLevel = sequelize.define('DunningLevel', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    },
+    comment: 'Level name'
+  },
+
+  daysOffset: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'days_offset',
+    validate: {
+      min: -365,
+      max: 365
+    },
+    comment: 'Days relative to due date (negative = before due)'
+  },
+
+  template: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'reminder',
+    validate: {
+      is: /^[a-z0-9-]+$/
+    },
+    comment: 'Email template in templates/emails'
+  },
+
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Email subject ({{documentNumber}} placeholder)'
+  },
+
+  lateFeeType: {
+    type: DataTypes.ENUM('none', 'fixed', 'percentage', 'interest'),
+    allowNull: false,
+    defaultValue: 'none',
+    field: 'late_fee_type',
+    comment: 'Late fee calculation'
+  },
+
+  lateFeeValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'late_fee_value',
+    validate: {
+      min: 0
+    },
+    comment: 'Amount, percentage or annual interest rate'
+  },
+
+  isFinalNotice: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_final_notice',
+    comment: 'Last reminder before collection'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active',
+    comment: 'Level enabled'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Creator'
+  }
+}, {
+  tableName: 'dunning_levels',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['tenant_id', 'days_offset'], unique: true }
+  ]
+});
+
+// Instance methods
+
+// Προσαύξηση: σταθερό ποσό, ποσοστό επί του ανοικτού ή τόκος υπερημερίας (ετήσιο επιτόκιο)
+DunningLevel.prototype.calculateLateFee = function(outstandingAmount, daysOverdue) {
+  const value = parseFloat(this.lateFeeValue) || 0;
+  if (daysOverdue <= 0 || outstandingAmount <= 0) return 0;
+
+  let fee = 0;
+  switch (this.lateFeeType) {
+    case 'fixed':
+      fee = value;
+      break;
+    case 'percentage':
+      fee = outstandingAmount * value / 100;
+      break;
+    case 'interest':
+      fee = outstandingAmount * (value / 100) * (daysOverdue / 365);
+      break;
+    default:
+      fee = 0;
+  }
+
+  return Math.round(fee * 100) / 100;
+};
+
+DunningLevel.prototype.isBeforeDue = function() {
+  return this.daysOffset < 0;
+};
+
+// Define associations
+DunningLevel.associate = (models) => {
+  DunningLevel.hasMany(models.DunningReminder, {
+    foreignKey: 'dunningLevelId',
+    as: 'reminders'
+  });
+
+  DunningLevel.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+};
+
+export default DunningLevel;
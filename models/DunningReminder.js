@@ -0,0 +1,182 @@
+// models/DunningReminder.js
+// Log of dunning reminders sent per document/invoice and level
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const DunningReminder = sequelize.define('DunningReminder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  sourceType: {
+    type: DataTypes.ENUM('document', 'invoice'),
+    allowNull: false,
+    field: 'source_type',
+    comment: 'Reminded entity'
+  },
+
+  sourceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'source_id',
+    comment: 'Document or invoice id'
+  },
+
+  dunningLevelId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'dunning_level_id',
+    references: {
+      model: 'dunning_levels',
+      key: 'id'
+    },
+    comment: 'Level sent'
+  },
+
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Customer company'
+  },
+
+  memberId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'member_id',
+    references: {
+      model: 'members',
+      key: 'id'
+    },
+    comment: 'Customer member'
+  },
+
+  documentNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'document_number',
+    comment: 'Document number at send time'
+  },
+
+  recipient: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Email recipient'
+  },
+
+  daysOverdue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'days_overdue',
+    comment: 'Days past due (negative = before due)'
+  },
+
+  outstandingAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'outstanding_amount',
+    comment: 'Open balance reminded'
+  },
+
+  lateFee: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'late_fee',
+    comment: 'Calculated late fee'
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Delivery status'
+  },
+
+  trigger: {
+    type: DataTypes.ENUM('schedule', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule',
+    comment: 'Daily job or manual run'
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message on failure'
+  },
+
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'sent_at',
+    comment: 'Delivery time'
+  },
+
+  sentBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'sent_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User for manual runs'
+  }
+}, {
+  tableName: 'dunning_reminders',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['source_type', 'source_id', 'dunning_level_id'], unique: true },
+    { fields: ['company_id'] },
+    { fields: ['created_at'] },
+    { fields: ['tenant_id'] }
+  ]
+});
+
+// Define associations
+DunningReminder.associate = (models) => {
+  DunningReminder.belongsTo(models.DunningLevel, {
+    foreignKey: 'dunningLevelId',
+    as: 'level'
+  });
+
+  DunningReminder.belongsTo(models.Company, {
+    foreignKey: 'companyId',
+    as: 'company'
+  });
+
+  DunningReminder.belongsTo(models.Member, {
+    foreignKey: 'memberId',
+    as: 'member'
+  });
+
+  DunningReminder.belongsTo(models.User, {
+    foreignKey: 'sentBy',
+    as: 'sender'
+  });
+};
+
+export default DunningReminder;
@@ -3,6 +3,7 @@
 
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
+import numberingService from '../services/numberingService.js';
 
 const Invoice = sequelize.define('Invoice', {
   id: {
@@ -12,13 +13,23 @@ const Invoice = sequelize.define('Invoice', {
     allowNull: false
   },
   
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+  
   // Invoice identification
   invoiceNumber: {
     type: DataTypes.STRING(50),
     allowNull: false,
-    unique: true,
     field: 'invoice_number',
-    comment: 'Unique invoice number'
+    comment: 'Invoice number (unique per tenant)'
   },
   
   series: {
@@ -28,6 +39,24 @@ const Invoice = sequelize.define('Invoice', {
     comment: 'Invoice series'
   },
   
+  numberingSequenceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'numbering_sequence_id',
+    references: {
+      model: 'numbering_sequences',
+      key: 'id'
+    },
+    comment: 'Numbering sequence'
+  },
+  
+  sequenceNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'sequence_number',
+    comment: 'Sequential number within series'
+  },
+  
   type: {
     type: DataTypes.ENUM(
       'invoice',      // Τιμολόγιο
@@ -193,7 +222,8 @@ const Invoice = sequelize.define('Invoice', {
       'pending',      // Εκκρεμεί
       'submitted',    // Υποβλήθηκε
       'accepted',     // Έγκριση
-      'rejected'      // Απόρριψη
+      'rejected',     // Απόρριψη
+      'offline'       // Απώλεια διασύνδεσης, αναμένει διαβίβαση
     ),
     allowNull: true,
     defaultValue: 'pending',
@@ -208,6 +238,27 @@ const Invoice = sequelize.define('Invoice', {
     comment: 'MyData submission timestamp'
   },
   
+  mydataQr: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'mydata_qr',
+    comment: 'myDATA QR code URL returned by AADE'
+  },
+  
+  mydataTransmissionFailure: {
+    type: DataTypes.SMALLINT,
+    allowNull: true,
+    field: 'mydata_transmission_failure',
+    comment: 'AADE transmissionFailure code when issued without connection'
+  },
+  
+  mydataOfflineAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'mydata_offline_at',
+    comment: 'Issued under connection loss at'
+  },
+  
   // Additional information
   notes: {
     type: DataTypes.TEXT,
@@ -222,6 +273,21 @@ const Invoice = sequelize.define('Invoice', {
     comment: 'Internal notes (not shown to customer)'
   },
   
+  // Dispute (stops payment reminders)
+  disputedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'disputed_at',
+    comment: 'Dispute opened at'
+  },
+  
+  disputeReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'dispute_reason',
+    comment: 'Dispute reason'
+  },
+  
   // References
   referenceNumber: {
     type: DataTypes.STRING(100),
@@ -241,6 +307,22 @@ const Invoice = sequelize.define('Invoice', {
     comment: 'Parent invoice for credit/debit notes'
   },
   
+  creditedAmount: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'credited_amount',
+    comment: 'Total of credit notes issued against this invoice'
+  },
+
+  paidAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'paid_amount',
+    comment: 'Total of payments allocated to this invoice'
+  },
+  
   // Metadata
   metadata: {
     type: DataTypes.JSONB,
@@ -276,7 +358,7 @@ const Invoice = sequelize.define('Invoice', {
   underscored: true,
   paranoid: true, // Soft deletes
   indexes: [
-    { fields: ['invoice_number'], unique: true },
+    { fields: ['tenant_id', 'invoice_number'], unique: true },
     { fields: ['company_id'] },
     { fields: ['issue_date'] },
     { fields: ['due_date'] },
@@ -286,7 +368,8 @@ const Invoice = sequelize.define('Invoice', {
     { fields: ['created_by'] },
     { fields: ['parent_invoice_id'] },
     { fields: ['series', 'invoice_number'] },
-    { fields: ['status', 'due_date'] } // For overdue invoices
+    { fields: ['status', 'due_date'] }, // For overdue invoices
+    { fields: ['tenant_id'] }
   ]
 });
 
@@ -313,27 +396,39 @@ Invoice.prototype.canCancel = function() {
   return ['draft', 'sent'].includes(this.status);
 };
 
+// Ανεξόφλητο υπόλοιπο μετά τα πιστωτικά που έχουν εκδοθεί και τις πληρωμές που αντιστοιχίστηκαν
+Invoice.prototype.getOutstandingAmount = function() {
+  if (this.status === 'paid') return 0;
+  const outstanding = (parseFloat(this.totalAmount) || 0) - (parseFloat(this.creditedAmount) || 0) -
+    (parseFloat(this.paidAmount) || 0);
+  return Math.max(Math.round(outstanding * 100) / 100, 0);
+};
+
 // Static methods
-Invoice.generateNumber = async function(series = 'A') {
-  const lastInvoice = await this.findOne({
-    where: { series },
-    order: [['createdAt', 'DESC']]
-  });
-  
-  if (!lastInvoice) {
-    return `${series}000001`;
-  }
-  
-  const lastNumber = parseInt(lastInvoice.invoiceNumber.replace(series, ''));
-  const nextNumber = (lastNumber + 1).toString().padStart(6, '0');
-  
-  return `${series}${nextNumber}`;
+Invoice.generateNumber = async function(series = 'A', options = {}) {
+  return numberingService.next({
+    entityType: 'invoice',
+    companyId: options.tenantId,
+    documentType: options.type || 'invoice',
+    series,
+    date: options.date
+  }, { transaction: options.transaction });
 };
 
 // Hooks
-Invoice.beforeCreate(async (invoice) => {
-  if (!invoice.invoiceNumber) {
-    invoice.invoiceNumber = await Invoice.generateNumber(invoice.series);
+// Ο αριθμός εκδίδεται πριν το validation (invoiceNumber είναι NOT NULL)
+Invoice.beforeValidate(async (invoice, options) => {
+  if (invoice.isNewRecord && !invoice.invoiceNumber) {
+    const issued = await Invoice.generateNumber(invoice.series, {
+      tenantId: invoice.tenantId,
+      type: invoice.type,
+      date: invoice.issueDate,
+      transaction: options.transaction
+    });
+    
+    invoice.invoiceNumber = issued.number;
+    invoice.numberingSequenceId = issued.numberingSequenceId;
+    invoice.sequenceNumber = issued.sequenceNumber;
   }
 });
 
@@ -369,6 +464,11 @@ Invoice.associate = (models) => {
     foreignKey: 'parentInvoiceId',
     as: 'childInvoices'
   });
+
+  Invoice.hasMany(models.PaymentAllocation, {
+    foreignKey: 'invoiceId',
+    as: 'paymentAllocations'
+  });
 };
 
 export default Invoice;
\ No newline at end of file
@@ -3,6 +3,7 @@
 
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
+import { INCOME_CLASSIFICATION_TYPES, INCOME_CLASSIFICATION_CATEGORIES } from '../utils/mydataCodes.js';
 
 const InvoiceItem = sequelize.define('InvoiceItem', {
   id: {
@@ -11,6 +12,17 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
     primaryKey: true,
     allowNull: false
   },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
   
   // Invoice reference
   invoiceId: {
@@ -139,28 +151,42 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
   
   // MyData integration
   incomeClassification: {
-    type: DataTypes.ENUM(
-      'E3_561_001',  // Πώληση αγαθών (+)
-      'E3_561_002',  // Πώληση αγαθών Ενδοκοινοτική (+)
-      'E3_561_003',  // Πώληση αγαθών Τρίτες Χώρες (+)
-      'E3_561_004',  // Πώληση αγαθών Λιανική - Επιτηδευματιών (+)
-      'E3_561_005',  // Πώληση αγαθών Λιανική - Ιδιωτών (+)
-      'E3_562_001',  // Πώληση αγαθών που υπάγονται σε ΕΦΚ (+)
-      'E3_563_001',  // Πώληση αγαθών σε λιανική (+)
-      'E3_564_001',  // Πώληση παγίων (+)
-      'E3_881_001',  // Πώληση για λογ/σμό τρίτων (+)
-      'E3_598_001'   // Πώληση υπηρεσιών (+)
-    ),
+    type: DataTypes.STRING(20),
     allowNull: true,
     field: 'income_classification',
-    comment: 'MyData income classification'
+    validate: {
+      isIn: [Object.keys(INCOME_CLASSIFICATION_TYPES)]
+    },
+    comment: 'MyData income classification type (E3_xxx)'
+  },
+
+  incomeClassificationCategory: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'income_classification_category',
+    validate: {
+      isIn: [Object.keys(INCOME_CLASSIFICATION_CATEGORIES)]
+    },
+    comment: 'MyData income classification category (default from type)'
   },
   
   vatExceptionCategory: {
     type: DataTypes.STRING(50),
     allowNull: true,
     field: 'vat_exception_category',
-    comment: 'VAT exception category for MyData'
+    comment: 'AADE VAT exemption category (1-31) for zero-rated lines'
+  },
+  
+  // Credit notes
+  creditedItemId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'credited_item_id',
+    references: {
+      model: 'invoice_items',
+      key: 'id'
+    },
+    comment: 'Original invoice line credited by this line'
   },
   
   // Additional information
@@ -194,6 +220,7 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
     { fields: ['product_code'] },
     { fields: ['vat_category'] },
     { fields: ['income_classification'] },
+    { fields: ['credited_item_id'] },
     { fields: ['invoice_id', 'sort_order'] }
   ]
 });
@@ -261,6 +288,16 @@ InvoiceItem.associate = (models) => {
     as: 'invoice',
     onDelete: 'CASCADE'
   });
+  
+  InvoiceItem.belongsTo(models.InvoiceItem, {
+    foreignKey: 'creditedItemId',
+    as: 'creditedItem'
+  });
+  
+  InvoiceItem.hasMany(models.InvoiceItem, {
+    foreignKey: 'creditedItemId',
+    as: 'credits'
+  });
 };
 
 export default InvoiceItem;
\ No newline at end of file
@@ -12,6 +12,16 @@ const Member = sequelize.define('Member', {
     allowNull: false
   },
   
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+  
   // Company association
   companyId: {
     type: DataTypes.UUID,
@@ -162,6 +172,12 @@ const Member = sequelize.define('Member', {
     allowNull: false
   },
   
+  dunningOptOut: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  
   // Communication log (JSONB array)
   communicationLog: {
     type: DataTypes.JSONB,
@@ -176,7 +192,8 @@ const Member = sequelize.define('Member', {
     { fields: ['company_id', 'afm'], unique: true, where: { afm: { [Op.ne]: null } } },
     { fields: ['company_id', 'email'] },
     { fields: ['company_id', 'category'] },
-    { fields: ['company_id', 'is_active'] }
+    { fields: ['company_id', 'is_active'] },
+    { fields: ['tenant_id'] }
   ]
 });
 
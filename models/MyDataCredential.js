@@ -0,0 +1,200 @@
+// models/MyDataCredential.js
+// myDATA credentials and issuer details per company (the subscription key is stored encrypted)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { decrypt } from '../utils/helpers.js';
+
+const MyDataCredential = sequelize.define('MyDataCredential', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Issuer company'
+  },
+
+  environment: {
+    type: DataTypes.ENUM('sandbox', 'production'),
+    allowNull: false,
+    defaultValue: 'sandbox',
+    comment: 'AADE environment'
+  },
+
+  aadeUserId: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'aade_user_id',
+    comment: 'myDATA REST API user (aade-user-id header)'
+  },
+
+  subscriptionKeyEncrypted: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'subscription_key_encrypted',
+    comment: 'Ocp-Apim-Subscription-Key encrypted with ENCRYPTION_KEY'
+  },
+
+  vatNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'vat_number',
+    comment: 'Issuer VAT number'
+  },
+
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    defaultValue: 'GR',
+    comment: 'Issuer country (ISO 3166-1 alpha-2)'
+  },
+
+  branch: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Issuer branch (0 = headquarters)'
+  },
+
+  street: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Issuer street'
+  },
+
+  streetNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'street_number',
+    comment: 'Issuer street number'
+  },
+
+  postalCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'postal_code',
+    comment: 'Issuer postal code'
+  },
+
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Issuer city'
+  },
+
+  syncEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'sync_enabled',
+    comment: 'Include in the scheduled RequestDocs import'
+  },
+
+  lastTestedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_tested_at',
+    comment: 'Last connection test'
+  },
+
+  lastTestSuccess: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    field: 'last_test_success',
+    comment: 'Last connection test result'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who stored the credentials'
+  },
+
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who last changed the credentials'
+  }
+}, {
+  tableName: 'mydata_credentials',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['company_id'] }
+  ]
+});
+
+// Instance methods
+MyDataCredential.prototype.getSubscriptionKey = function() {
+  return decrypt(this.subscriptionKeyEncrypted);
+};
+
+// Στοιχεία εκδότη όπως τα δέχεται το MyDataService
+MyDataCredential.prototype.toServiceConfig = function() {
+  return {
+    companyId: this.companyId,
+    environment: this.environment,
+    userId: this.aadeUserId,
+    subscriptionKey: this.getSubscriptionKey(),
+    issuer: {
+      vatNumber: this.vatNumber,
+      country: this.country,
+      branch: this.branch,
+      address: this.street || this.city ? {
+        street: this.street || undefined,
+        number: this.streetNumber || undefined,
+        postalCode: this.postalCode || undefined,
+        city: this.city || undefined
+      } : undefined
+    }
+  };
+};
+
+// Το κλειδί δεν επιστρέφεται ποτέ, ούτε κρυπτογραφημένο
+MyDataCredential.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+
+  delete values.subscriptionKeyEncrypted;
+  values.hasSubscriptionKey = Boolean(this.subscriptionKeyEncrypted);
+
+  return values;
+};
+
+// Define associations
+MyDataCredential.associate = (models) => {
+  MyDataCredential.belongsTo(models.Company, {
+    foreignKey: 'companyId',
+    as: 'company'
+  });
+
+  MyDataCredential.belongsTo(models.User, {
+    foreignKey: 'updatedBy',
+    as: 'updater'
+  });
+};
+
+export default MyDataCredential;
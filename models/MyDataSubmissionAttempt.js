@@ -0,0 +1,115 @@
+// models/MyDataSubmissionAttempt.js
+// Per-invoice history of myDATA transmission attempts
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const MyDataSubmissionAttempt = sequelize.define('MyDataSubmissionAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  itemId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'item_id',
+    references: {
+      model: 'mydata_submission_items',
+      key: 'id'
+    },
+    comment: 'Queue item'
+  },
+
+  invoiceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'invoice_id',
+    comment: 'Invoice'
+  },
+
+  attemptNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'attempt_number',
+    comment: 'Attempt sequence for the item'
+  },
+
+  batchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'batch_id',
+    comment: 'SendInvoices request the item was part of'
+  },
+
+  batchSize: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'batch_size',
+    comment: 'Invoices in the request'
+  },
+
+  outcome: {
+    type: DataTypes.ENUM('success', 'duplicate', 'transient_error', 'rejected'),
+    allowNull: false,
+    comment: 'Attempt result'
+  },
+
+  httpStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'http_status',
+    comment: 'HTTP status of the request'
+  },
+
+  statusCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'status_code',
+    comment: 'AADE statusCode'
+  },
+
+  errors: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'AADE or transport errors'
+  },
+
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_ms',
+    comment: 'Request duration'
+  }
+}, {
+  tableName: 'mydata_submission_attempts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['invoice_id', 'created_at'] }
+  ]
+});
+
+// Define associations
+MyDataSubmissionAttempt.associate = (models) => {
+  MyDataSubmissionAttempt.belongsTo(models.MyDataSubmissionItem, {
+    foreignKey: 'itemId',
+    as: 'item'
+  });
+};
+
+export default MyDataSubmissionAttempt;
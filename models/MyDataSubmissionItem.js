@@ -0,0 +1,131 @@
+// models/MyDataSubmissionItem.js
+// Single invoice in the myDATA submission queue (retries, dead letter)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const MyDataSubmissionItem = sequelize.define('MyDataSubmissionItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'job_id',
+    references: {
+      model: 'mydata_submission_jobs',
+      key: 'id'
+    },
+    comment: 'Submission job'
+  },
+
+  invoiceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'invoice_id',
+    references: {
+      model: 'invoices',
+      key: 'id'
+    },
+    comment: 'Invoice to transmit'
+  },
+
+  invoiceUid: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    field: 'invoice_uid',
+    comment: 'AADE invoice UID (SHA-1), idempotency key'
+  },
+
+  status: {
+    type: DataTypes.ENUM('queued', 'processing', 'retrying', 'submitted', 'dead_letter'),
+    allowNull: false,
+    defaultValue: 'queued',
+    comment: 'Item status'
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Transmission attempts'
+  },
+
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'next_attempt_at',
+    comment: 'Earliest time for next attempt (backoff)'
+  },
+
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_at',
+    comment: 'Claimed by a worker at'
+  },
+
+  mark: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'MARK returned by AADE'
+  },
+
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error',
+    comment: 'Last error message'
+  },
+
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'submitted_at',
+    comment: 'Accepted by AADE at'
+  }
+}, {
+  tableName: 'mydata_submission_items',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['status', 'next_attempt_at'] },
+    { fields: ['job_id'] },
+    { fields: ['invoice_id'] }
+  ]
+});
+
+// Define associations
+MyDataSubmissionItem.associate = (models) => {
+  MyDataSubmissionItem.belongsTo(models.MyDataSubmissionJob, {
+    foreignKey: 'jobId',
+    as: 'job'
+  });
+
+  MyDataSubmissionItem.belongsTo(models.Invoice, {
+    foreignKey: 'invoiceId',
+    as: 'invoice'
+  });
+
+  MyDataSubmissionItem.hasMany(models.MyDataSubmissionAttempt, {
+    foreignKey: 'itemId',
+    as: 'attemptLog'
+  });
+};
+
+export default MyDataSubmissionItem;
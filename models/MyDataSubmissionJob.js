@@ -0,0 +1,98 @@
+// models/MyDataSubmissionJob.js
+// myDATA bulk submission job (ομάδα τιμολογίων στην ουρά αποστολής)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const MyDataSubmissionJob = sequelize.define('MyDataSubmissionJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  status: {
+    type: DataTypes.ENUM('queued', 'processing', 'completed', 'completed_with_errors'),
+    allowNull: false,
+    defaultValue: 'queued',
+    comment: 'Job status'
+  },
+
+  totalItems: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_items',
+    comment: 'Invoices in job'
+  },
+
+  submittedItems: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'submitted_items',
+    comment: 'Invoices accepted by AADE'
+  },
+
+  deadLetterItems: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'dead_letter_items',
+    comment: 'Invoices permanently rejected'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who enqueued the job'
+  },
+
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at',
+    comment: 'All items settled'
+  }
+}, {
+  tableName: 'mydata_submission_jobs',
+  timestamps: true,
+  underscored: true
+});
+
+// Instance methods
+MyDataSubmissionJob.prototype.isFinished = function() {
+  return ['completed', 'completed_with_errors'].includes(this.status);
+};
+
+// Define associations
+MyDataSubmissionJob.associate = (models) => {
+  MyDataSubmissionJob.hasMany(models.MyDataSubmissionItem, {
+    foreignKey: 'jobId',
+    as: 'items'
+  });
+
+  MyDataSubmissionJob.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+};
+
+export default MyDataSubmissionJob;
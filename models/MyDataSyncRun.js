@@ -0,0 +1,195 @@
+// models/MyDataSyncRun.js
+// History of myDATA RequestDocs imports (received purchase documents)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const MyDataSyncRun = sequelize.define('MyDataSyncRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Recipient company of the imported documents'
+  },
+
+  trigger: {
+    type: DataTypes.ENUM('schedule', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule',
+    comment: 'Cron tick or manual run'
+  },
+
+  status: {
+    type: DataTypes.ENUM('running', 'success', 'failed'),
+    allowNull: false,
+    defaultValue: 'running',
+    comment: 'Execution status'
+  },
+
+  fromMark: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: '0',
+    field: 'from_mark',
+    comment: 'RequestDocs mark parameter (documents after this MARK)'
+  },
+
+  lastMark: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'last_mark',
+    comment: 'Highest MARK received'
+  },
+
+  pages: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'RequestDocs pages fetched'
+  },
+
+  fetched: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Documents received'
+  },
+
+  imported: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'New purchase documents'
+  },
+
+  skipped: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Already imported'
+  },
+
+  cancelled: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Cancellations applied'
+  },
+
+  suppliersCreated: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'suppliers_created',
+    comment: 'Supplier companies created by VAT number'
+  },
+
+  unclassified: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Imported documents awaiting expense classification'
+  },
+
+  failures: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Documents that could not be imported'
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message on failure'
+  },
+
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'started_at',
+    comment: 'Execution start'
+  },
+
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at',
+    comment: 'Execution end'
+  },
+
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_ms',
+    comment: 'Duration in milliseconds'
+  },
+
+  triggeredBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'triggered_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User for manual runs'
+  }
+}, {
+  tableName: 'mydata_sync_runs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['started_at'] },
+    { fields: ['company_id', 'started_at'] }
+  ]
+});
+
+// Instance methods
+MyDataSyncRun.prototype.finish = async function(status, values = {}) {
+  const finishedAt = new Date();
+
+  return this.update({
+    ...values,
+    status,
+    finishedAt,
+    durationMs: finishedAt - new Date(this.startedAt)
+  });
+};
+
+// Define associations
+MyDataSyncRun.associate = (models) => {
+  MyDataSyncRun.belongsTo(models.User, {
+    foreignKey: 'triggeredBy',
+    as: 'user'
+  });
+
+  MyDataSyncRun.belongsTo(models.Company, {
+    foreignKey: 'companyId',
+    as: 'company'
+  });
+};
+
+export default MyDataSyncRun;
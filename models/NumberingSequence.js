@@ -0,0 +1,158 @@
+// models/NumberingSequence.js
+// Numbering sequence per document type, series, company and fiscal year
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const NumberingSequence = sequelize.define('NumberingSequence', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  sequenceKey: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    unique: true,
+    field: 'sequence_key',
+    comment: 'Unique key (company:entity:type:series:year)'
+  },
+
+  entityType: {
+    type: DataTypes.ENUM('document', 'invoice', 'payment'),
+    allowNull: false,
+    defaultValue: 'document',
+    field: 'entity_type',
+    comment: 'Numbered entity'
+  },
+
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Issuing tenant (null = shared, before per-tenant numbering)'
+  },
+
+  documentType: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    field: 'document_type',
+    comment: 'Document type'
+  },
+
+  series: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'A',
+    comment: 'Series (e.g. per branch)'
+  },
+
+  fiscalYear: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'fiscal_year',
+    comment: 'Fiscal year'
+  },
+
+  format: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Number format, e.g. INV-{YEAR}-{NUMBER:5}'
+  },
+
+  branch: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Branch / installation description'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Description'
+  },
+
+  startValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'start_value',
+    validate: {
+      min: 1
+    },
+    comment: 'First number of the sequence'
+  },
+
+  currentValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'current_value',
+    comment: 'Last issued number'
+  },
+
+  lastIssuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_issued_at',
+    comment: 'Last issue timestamp'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active',
+    comment: 'Active flag'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Created by user'
+  }
+}, {
+  tableName: 'numbering_sequences',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['sequence_key'], unique: true },
+    { fields: ['document_type', 'fiscal_year'] }
+  ]
+});
+
+// Static methods
+NumberingSequence.buildKey = function({ companyId, entityType = 'document', documentType, series = 'A', fiscalYear }) {
+  return [companyId || '*', entityType, documentType, series, fiscalYear].join(':');
+};
+
+// Instance methods
+NumberingSequence.prototype.hasIssued = function() {
+  return this.currentValue >= this.startValue;
+};
+
+// Define associations
+NumberingSequence.associate = (models) => {
+  NumberingSequence.belongsTo(models.Company, {
+    foreignKey: 'companyId',
+    as: 'company'
+  });
+
+  NumberingSequence.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+};
+
+export default NumberingSequence;
@@ -0,0 +1,642 @@
+// models/Payment.js
+// Payment model for incoming/outgoing payments and receipts
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import numberingService from '../services/numberingService.js';
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  // Payment identification
+  paymentNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'payment_number',
+    comment: 'Payment number (unique per tenant)'
+  },
+
+  numberingSequenceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'numbering_sequence_id',
+    references: {
+      model: 'numbering_sequences',
+      key: 'id'
+    },
+    comment: 'Numbering sequence'
+  },
+
+  sequenceNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'sequence_number',
+    comment: 'Sequential number within series'
+  },
+
+  type: {
+    type: DataTypes.ENUM(
+      'incoming',     // Εισερχόμενη πληρωμή
+      'outgoing',     // Εξερχόμενη πληρωμή
+      'transfer',     // Μεταφορά
+      'refund',       // Επιστροφή
+      'advance',      // Προκαταβολή
+      'deposit'       // Κατάθεση
+    ),
+    allowNull: false,
+    defaultValue: 'incoming',
+    comment: 'Payment type'
+  },
+
+  status: {
+    type: DataTypes.ENUM(
+      'pending',      // Εκκρεμεί
+      'processing',   // Σε επεξεργασία
+      'completed',    // Ολοκληρώθηκε
+      'failed',       // Απέτυχε
+      'cancelled',    // Ακυρώθηκε
+      'refunded'      // Επιστράφηκε
+    ),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Payment status'
+  },
+
+  // Related entities
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Related company'
+  },
+
+  memberId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'member_id',
+    references: {
+      model: 'members',
+      key: 'id'
+    },
+    comment: 'Related member'
+  },
+
+  // Payment details
+  paymentDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'payment_date',
+    comment: 'Payment date'
+  },
+
+  valueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'value_date',
+    comment: 'Value date'
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Payment amount'
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'EUR',
+    comment: 'Currency code'
+  },
+
+  exchangeRate: {
+    type: DataTypes.DECIMAL(10, 6),
+    defaultValue: 1,
+    field: 'exchange_rate',
+    comment: 'Exchange rate'
+  },
+
+  baseAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'base_amount',
+    comment: 'Amount in base currency'
+  },
+
+  paymentMethod: {
+    type: DataTypes.ENUM(
+      'cash',             // Μετρητά
+      'bank_transfer',    // Τραπεζική μεταφορά
+      'credit_card',      // Πιστωτική κάρτα
+      'debit_card',       // Χρεωστική κάρτα
+      'check',            // Επιταγή
+      'paypal',           // PayPal
+      'stripe',           // Stripe
+      'pos',              // POS
+      'web_banking',      // Web Banking
+      'mobile_payment',   // Mobile Payment
+      'cryptocurrency',   // Κρυπτονόμισμα
+      'other'             // Άλλο
+    ),
+    allowNull: false,
+    field: 'payment_method',
+    comment: 'Payment method'
+  },
+
+  // Bank details
+  bankName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'bank_name',
+    comment: 'Bank name'
+  },
+
+  bankAccount: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'bank_account',
+    comment: 'Bank account number'
+  },
+
+  bankAccountId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'bank_account_id',
+    comment: 'Company bank account ID'
+  },
+
+  iban: {
+    type: DataTypes.STRING(34),
+    allowNull: true,
+    comment: 'IBAN'
+  },
+
+  swift: {
+    type: DataTypes.STRING(11),
+    allowNull: true,
+    comment: 'SWIFT/BIC code'
+  },
+
+  // Check details
+  checkNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'check_number',
+    comment: 'Check number'
+  },
+
+  checkDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'check_date',
+    comment: 'Check date'
+  },
+
+  checkBank: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'check_bank',
+    comment: 'Check issuing bank'
+  },
+
+  // Card details (masked)
+  cardLastFour: {
+    type: DataTypes.STRING(4),
+    allowNull: true,
+    field: 'card_last_four',
+    validate: {
+      is: /^\d{4}$/
+    },
+    comment: 'Last 4 digits of card'
+  },
+
+  cardType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'card_type',
+    comment: 'Card type (Visa, Mastercard, etc.)'
+  },
+
+  // Transaction references
+  transactionId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'transaction_id',
+    comment: 'Bank transaction ID'
+  },
+
+  referenceNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'reference_number',
+    comment: 'Payment reference number'
+  },
+
+  processorReference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'processor_reference',
+    comment: 'Payment processor reference'
+  },
+
+  authorizationCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'authorization_code',
+    comment: 'Authorization code'
+  },
+
+  // Fees and charges
+  processingFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    field: 'processing_fee',
+    comment: 'Processing fee'
+  },
+
+  bankCharges: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    field: 'bank_charges',
+    comment: 'Bank charges'
+  },
+
+  netAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'net_amount',
+    comment: 'Net amount after fees'
+  },
+
+  // Allocation
+  allocatedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    field: 'allocated_amount',
+    comment: 'Amount allocated to documents'
+  },
+
+  unallocatedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    field: 'unallocated_amount',
+    comment: 'Unallocated amount'
+  },
+
+  isFullyAllocated: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_fully_allocated',
+    comment: 'Fully allocated flag'
+  },
+
+  // Description
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Payment description'
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Payment notes'
+  },
+
+  internalNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'internal_notes',
+    comment: 'Internal notes'
+  },
+
+  // Reconciliation
+  isReconciled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_reconciled',
+    comment: 'Bank reconciliation status'
+  },
+
+  reconciledDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reconciled_date',
+    comment: 'Reconciliation date'
+  },
+
+  reconciledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'reconciled_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Reconciled by user'
+  },
+
+  statementReference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'statement_reference',
+    comment: 'Bank statement reference'
+  },
+
+  // Approval
+  requiresApproval: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'requires_approval',
+    comment: 'Requires approval flag'
+  },
+
+  approvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'approved_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Approved by user'
+  },
+
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'approved_at',
+    comment: 'Approval timestamp'
+  },
+
+  // Cancellation
+  cancelledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'cancelled_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Cancelled by user'
+  },
+
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cancelled_at',
+    comment: 'Cancellation timestamp'
+  },
+
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'cancellation_reason',
+    comment: 'Cancellation reason'
+  },
+
+  // Refund details
+  isRefund: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_refund',
+    comment: 'Is refund payment'
+  },
+
+  originalPaymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'original_payment_id',
+    references: {
+      model: 'payments',
+      key: 'id'
+    },
+    comment: 'Original payment (for refunds)'
+  },
+
+  refundReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'refund_reason',
+    comment: 'Refund reason'
+  },
+
+  // Receipt
+  receiptNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'receipt_number',
+    comment: 'Receipt number'
+  },
+
+  receiptPath: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'receipt_path',
+    comment: 'Receipt file path'
+  },
+
+  // Email notification
+  emailSent: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'email_sent',
+    comment: 'Email notification sent'
+  },
+
+  emailSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'email_sent_at',
+    comment: 'Email sent timestamp'
+  },
+
+  // Metadata
+  source: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'manual',
+    comment: 'Payment source (manual, api, import, etc.)'
+  },
+
+  tags: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Payment tags'
+  },
+
+  customFields: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+    field: 'custom_fields',
+    comment: 'Custom fields'
+  },
+
+  // Audit fields
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Created by user'
+  },
+
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Updated by user'
+  }
+}, {
+  tableName: 'payments',
+  timestamps: true,
+  underscored: true,
+  paranoid: true, // Soft deletes
+  indexes: [
+    { fields: ['tenant_id', 'payment_number'], unique: true },
+    { fields: ['type'] },
+    { fields: ['status'] },
+    { fields: ['company_id'] },
+    { fields: ['member_id'] },
+    { fields: ['payment_date'] },
+    { fields: ['payment_method'] },
+    { fields: ['is_reconciled'] },
+    { fields: ['original_payment_id'] },
+    { fields: ['type', 'status'] },
+    { fields: ['company_id', 'payment_date'] },
+    { fields: ['tenant_id'] }
+  ]
+});
+
+// Instance methods
+Payment.prototype.calculateAmounts = function() {
+  const amount = parseFloat(this.amount) || 0;
+  const exchangeRate = parseFloat(this.exchangeRate) || 1;
+  const fees = (parseFloat(this.processingFee) || 0) + (parseFloat(this.bankCharges) || 0);
+  const allocated = parseFloat(this.allocatedAmount) || 0;
+
+  this.baseAmount = (amount * exchangeRate).toFixed(2);
+  this.netAmount = (amount - fees).toFixed(2);
+  this.unallocatedAmount = (amount - allocated).toFixed(2);
+  this.isFullyAllocated = amount - allocated <= 0;
+
+  return this;
+};
+
+Payment.prototype.canEdit = function() {
+  return ['pending', 'processing'].includes(this.status) && !this.isReconciled;
+};
+
+Payment.prototype.canCancel = function() {
+  return !['cancelled', 'refunded'].includes(this.status) && !this.isReconciled;
+};
+
+// Static methods
+// Αρίθμηση μέσω numbering_sequences (σειρά = πρόθεμα, π.χ. PAY-2025-000001)
+Payment.generateNumber = async function(prefix = 'PAY', options = {}) {
+  return numberingService.next({
+    entityType: 'payment',
+    companyId: options.tenantId,
+    documentType: 'payment',
+    series: prefix,
+    date: options.date
+  }, { transaction: options.transaction });
+};
+
+// Hooks
+Payment.beforeValidate(async (payment, options) => {
+  if (!payment.paymentNumber) {
+    const issued = await Payment.generateNumber('PAY', {
+      tenantId: payment.tenantId,
+      date: payment.paymentDate,
+      transaction: options.transaction
+    });
+
+    payment.paymentNumber = issued.number;
+    payment.numberingSequenceId = issued.numberingSequenceId;
+    payment.sequenceNumber = issued.sequenceNumber;
+  }
+  payment.calculateAmounts();
+});
+
+Payment.beforeUpdate((payment) => {
+  if (payment.changed('amount') ||
+      payment.changed('exchangeRate') ||
+      payment.changed('processingFee') ||
+      payment.changed('bankCharges') ||
+      payment.changed('allocatedAmount')) {
+    payment.calculateAmounts();
+  }
+});
+
+// Define associations
+Payment.associate = (models) => {
+  Payment.belongsTo(models.Company, {
+    foreignKey: 'companyId',
+    as: 'company'
+  });
+
+  Payment.belongsTo(models.Member, {
+    foreignKey: 'memberId',
+    as: 'member'
+  });
+
+  Payment.hasMany(models.PaymentAllocation, {
+    foreignKey: 'paymentId',
+    as: 'allocations',
+    onDelete: 'CASCADE'
+  });
+
+  Payment.belongsToMany(models.Document, {
+    through: models.PaymentAllocation,
+    foreignKey: 'paymentId',
+    otherKey: 'documentId',
+    as: 'documents'
+  });
+
+  Payment.belongsTo(models.Payment, {
+    foreignKey: 'originalPaymentId',
+    as: 'originalPayment'
+  });
+
+  Payment.hasMany(models.Payment, {
+    foreignKey: 'originalPaymentId',
+    as: 'refunds'
+  });
+
+  Payment.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+};
+
+export default Payment;
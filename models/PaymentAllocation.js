@@ -0,0 +1,123 @@
+// models/PaymentAllocation.js
+// Allocation of a payment amount to a document or an invoice (many-to-many)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const PaymentAllocation = sequelize.define('PaymentAllocation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'payment_id',
+    references: {
+      model: 'payments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Payment'
+  },
+
+  documentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'document_id',
+    references: {
+      model: 'documents',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Allocated document'
+  },
+
+  invoiceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'invoice_id',
+    references: {
+      model: 'invoices',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Allocated invoice'
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Allocated amount'
+  },
+
+  allocationDate: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'allocation_date',
+    comment: 'Allocation date'
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payment_allocations',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['payment_id'] },
+    { fields: ['document_id'] },
+    { fields: ['invoice_id'] },
+    { fields: ['payment_id', 'document_id'], unique: true },
+    { fields: ['payment_id', 'invoice_id'], unique: true }
+  ]
+});
+
+// Define associations
+PaymentAllocation.associate = (models) => {
+  PaymentAllocation.belongsTo(models.Payment, {
+    foreignKey: 'paymentId',
+    as: 'payment'
+  });
+
+  PaymentAllocation.belongsTo(models.Document, {
+    foreignKey: 'documentId',
+    as: 'document'
+  });
+
+  PaymentAllocation.belongsTo(models.Invoice, {
+    foreignKey: 'invoiceId',
+    as: 'invoice'
+  });
+};
+
+export default PaymentAllocation;
@@ -0,0 +1,252 @@
+// models/PurchaseDocument.js
+// Received purchase document (παραστατικό αγοράς) with myDATA expense classification state
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const PurchaseDocument = sequelize.define('PurchaseDocument', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  supplierId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'supplier_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Supplier company'
+  },
+
+  supplierAfm: {
+    type: DataTypes.STRING(9),
+    allowNull: false,
+    field: 'supplier_afm',
+    validate: {
+      is: /^\d{9}$/
+    },
+    comment: 'Issuer VAT number'
+  },
+
+  supplierName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'supplier_name',
+    comment: 'Issuer name at receipt time'
+  },
+
+  invoiceType: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: '1.1',
+    field: 'invoice_type',
+    comment: 'AADE document type (1.1, 2.1, 5.1, ...)'
+  },
+
+  series: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Issuer series'
+  },
+
+  documentNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'document_number',
+    comment: 'Issuer sequence number (ΑΑ)'
+  },
+
+  issueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'issue_date',
+    comment: 'Issue date'
+  },
+
+  mark: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'MARK of the issuer transmission'
+  },
+
+  uid: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    comment: 'AADE invoice UID'
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'EUR',
+    comment: 'Currency'
+  },
+
+  netAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'net_amount',
+    comment: 'Total net value'
+  },
+
+  vatAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'vat_amount',
+    comment: 'Total VAT'
+  },
+
+  withheldAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'withheld_amount',
+    comment: 'Withheld taxes'
+  },
+
+  totalAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_amount',
+    comment: 'Gross value'
+  },
+
+  status: {
+    type: DataTypes.ENUM('draft', 'posted', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'posted',
+    comment: 'Document status'
+  },
+
+  source: {
+    type: DataTypes.ENUM('manual', 'mydata'),
+    allowNull: false,
+    defaultValue: 'manual',
+    comment: 'Entered manually or imported from myDATA'
+  },
+
+  classificationStatus: {
+    type: DataTypes.ENUM('unclassified', 'classified', 'submitted', 'rejected'),
+    allowNull: false,
+    defaultValue: 'unclassified',
+    field: 'classification_status',
+    comment: 'Expense classification state'
+  },
+
+  classificationMark: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'classification_mark',
+    comment: 'MARK of the classification transmission'
+  },
+
+  classificationSubmittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'classification_submitted_at',
+    comment: 'Classification accepted at'
+  },
+
+  classificationErrors: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'classification_errors',
+    comment: 'Errors of the last submission'
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Notes'
+  },
+
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: {},
+    comment: 'Additional data'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Creator'
+  },
+
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Last updated by'
+  }
+}, {
+  tableName: 'purchase_documents',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['supplier_afm', 'invoice_type', 'series', 'document_number'], unique: true },
+    { fields: ['mark'], unique: true },
+    { fields: ['supplier_id'] },
+    { fields: ['classification_status'] },
+    { fields: ['issue_date'] },
+    { fields: ['tenant_id'] }
+  ]
+});
+
+// Instance methods
+PurchaseDocument.prototype.getDisplayNumber = function() {
+  return this.series ? `${this.series}-${this.documentNumber}` : this.documentNumber;
+};
+
+// Μετά την αποδοχή του χαρακτηρισμού από την ΑΑΔΕ δεν αλλάζουν ποσά/γραμμές
+PurchaseDocument.prototype.canBeEdited = function() {
+  return this.status !== 'cancelled' && this.classificationStatus !== 'submitted';
+};
+
+// Define associations
+PurchaseDocument.associate = (models) => {
+  PurchaseDocument.belongsTo(models.Company, {
+    foreignKey: 'supplierId',
+    as: 'supplier'
+  });
+
+  PurchaseDocument.hasMany(models.PurchaseDocumentItem, {
+    foreignKey: 'purchaseDocumentId',
+    as: 'items'
+  });
+
+  PurchaseDocument.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+};
+
+export default PurchaseDocument;
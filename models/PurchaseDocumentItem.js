@@ -0,0 +1,109 @@
+// models/PurchaseDocumentItem.js
+// Purchase document line with its myDATA expense classification (E3)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const PurchaseDocumentItem = sequelize.define('PurchaseDocumentItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  purchaseDocumentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'purchase_document_id',
+    references: {
+      model: 'purchase_documents',
+      key: 'id'
+    },
+    comment: 'Purchase document'
+  },
+
+  lineNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'line_number',
+    comment: 'Line number as transmitted by the issuer'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Line description'
+  },
+
+  netValue: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'net_value',
+    comment: 'Net value'
+  },
+
+  vatCategory: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'vat_category',
+    comment: 'AADE VAT category (1=24%, 2=13%, 3=6%, 7=0%, 8=excluded)'
+  },
+
+  vatAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'vat_amount',
+    comment: 'VAT amount'
+  },
+
+  classificationType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'classification_type',
+    comment: 'Expense classification type (E3_102_001, E3_585_016, ...)'
+  },
+
+  classificationCategory: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'classification_category',
+    comment: 'Expense classification category (category2_1, ...)'
+  }
+}, {
+  tableName: 'purchase_document_items',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['purchase_document_id', 'line_number'], unique: true }
+  ]
+});
+
+// Instance methods
+PurchaseDocumentItem.prototype.isClassified = function() {
+  return Boolean(this.classificationType && this.classificationCategory);
+};
+
+// Define associations
+PurchaseDocumentItem.associate = (models) => {
+  PurchaseDocumentItem.belongsTo(models.PurchaseDocument, {
+    foreignKey: 'purchaseDocumentId',
+    as: 'purchaseDocument'
+  });
+};
+
+export default PurchaseDocumentItem;
@@ -0,0 +1,125 @@
+// models/RecurringDocumentRun.js
+// Generation history of recurring documents (one row per occurrence)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const RecurringDocumentRun = sequelize.define('RecurringDocumentRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  templateId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'template_id',
+    references: {
+      model: 'documents',
+      key: 'id'
+    },
+    comment: 'Recurring template document'
+  },
+
+  documentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'document_id',
+    references: {
+      model: 'documents',
+      key: 'id'
+    },
+    comment: 'Generated document'
+  },
+
+  scheduledFor: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'scheduled_for',
+    comment: 'Occurrence date'
+  },
+
+  trigger: {
+    type: DataTypes.ENUM('schedule', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule',
+    comment: 'Daily generator or manual run'
+  },
+
+  status: {
+    type: DataTypes.ENUM('success', 'failed', 'skipped'),
+    allowNull: false,
+    comment: 'Generation result'
+  },
+
+  emailStatus: {
+    type: DataTypes.ENUM('sent', 'failed'),
+    allowNull: true,
+    field: 'email_status',
+    comment: 'Auto-send result'
+  },
+
+  emailedTo: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'emailed_to',
+    comment: 'Recipient of the generated document'
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Generation or email error'
+  },
+
+  triggeredBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'triggered_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User for manual runs and skips'
+  }
+}, {
+  tableName: 'recurring_document_runs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['template_id', 'scheduled_for'] }
+  ]
+});
+
+// Define associations
+RecurringDocumentRun.associate = (models) => {
+  RecurringDocumentRun.belongsTo(models.Document, {
+    foreignKey: 'templateId',
+    as: 'template'
+  });
+
+  RecurringDocumentRun.belongsTo(models.Document, {
+    foreignKey: 'documentId',
+    as: 'document'
+  });
+
+  RecurringDocumentRun.belongsTo(models.User, {
+    foreignKey: 'triggeredBy',
+    as: 'user'
+  });
+};
+
+export default RecurringDocumentRun;
@@ -51,6 +51,32 @@ const RefreshToken = sequelize.define('RefreshToken', {
   revokedByIp: {
     type: DataTypes.STRING(45), // IPv6 max length
     allowNull: true
+  },
+  
+  // Συνεδρία (συσκευή): κοινό για όλα τα tokens της ίδιας σύνδεσης μετά από rotation
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  
+  replacedByToken: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'refresh_tokens',
@@ -59,7 +85,8 @@ const RefreshToken = sequelize.define('RefreshToken', {
   indexes: [
     { fields: ['user_id'] },
     { fields: ['token'], unique: true },
-    { fields: ['expires_at'] }
+    { fields: ['expires_at'] },
+    { fields: ['family_id'] }
   ]
 });
 
@@ -72,10 +99,16 @@ RefreshToken.prototype.isActive = function() {
   return !this.isRevoked && !this.isExpired();
 };
 
-RefreshToken.prototype.revoke = function(ipAddress) {
+RefreshToken.prototype.revoke = function(ipAddress, reason = null) {
   this.isRevoked = true;
   this.revokedAt = new Date();
   this.revokedByIp = ipAddress;
+  this.revokedReason = reason;
+};
+
+// Token που αντικαταστάθηκε: η επαναχρησιμοποίησή του σημαίνει διαρροή
+RefreshToken.prototype.isRotated = function() {
+  return this.isRevoked && Boolean(this.replacedByToken);
 };
 
 // Static methods
@@ -0,0 +1,83 @@
+// models/Role.js
+// Roles as editable permission sets (users.role holds the role name)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z][a-z0-9_]*$/
+    },
+    comment: 'Role key stored in users.role'
+  },
+
+  displayName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'display_name',
+    comment: 'Role label'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Role description'
+  },
+
+  permissions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Permission names (wildcards: * and prefix.*)'
+  },
+
+  isSystem: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_system',
+    comment: 'Built-in role (cannot be renamed or deleted)'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who created the role'
+  },
+
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who last changed the role'
+  }
+}, {
+  tableName: 'roles',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['name'] }
+  ]
+});
+
+export default Role;
@@ -0,0 +1,114 @@
+// models/SavedReport.js
+// Saved custom report definition per user
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const SavedReport = sequelize.define('SavedReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Owner'
+  },
+
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Report name'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Report description'
+  },
+
+  entityType: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    field: 'entity_type',
+    comment: 'Queried entity (invoice, document, member, company, payment)'
+  },
+
+  definition: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Fields, filters, groupBy, aggregations, sorting and limit'
+  },
+
+  isShared: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_shared',
+    comment: 'Visible to other users'
+  },
+
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at',
+    comment: 'Last execution'
+  },
+
+  runCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'run_count',
+    comment: 'Number of executions'
+  }
+}, {
+  tableName: 'saved_reports',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['is_shared'] }
+  ]
+});
+
+// Instance methods
+SavedReport.prototype.canView = function(user) {
+  return this.isShared || this.userId === user.id || user.role === 'admin';
+};
+
+SavedReport.prototype.canEdit = function(user) {
+  return this.userId === user.id || user.role === 'admin';
+};
+
+// Define associations
+SavedReport.associate = (models) => {
+  SavedReport.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'owner'
+  });
+};
+
+export default SavedReport;
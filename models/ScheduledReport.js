@@ -0,0 +1,217 @@
+// models/ScheduledReport.js
+// Report schedule with cadence, recipients and attachment format
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const ScheduledReport = sequelize.define('ScheduledReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Schedule name'
+  },
+
+  reportType: {
+    type: DataTypes.ENUM('financial', 'customers', 'aging', 'tax', 'vat', 'members', 'custom'),
+    allowNull: false,
+    field: 'report_type',
+    comment: 'Report generated by reportService'
+  },
+
+  savedReportId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'saved_report_id',
+    references: {
+      model: 'saved_reports',
+      key: 'id'
+    },
+    comment: 'Saved custom report (reportType = custom)'
+  },
+
+  parameters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Report parameters (period, companyId, reportType, ...)'
+  },
+
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'monthly', 'cron'),
+    allowNull: false,
+    defaultValue: 'monthly',
+    comment: 'Cadence'
+  },
+
+  cronExpression: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'cron_expression',
+    comment: 'Cron expression (frequency = cron)'
+  },
+
+  timeOfDay: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '08:00',
+    field: 'time_of_day',
+    validate: {
+      is: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    comment: 'Execution time (HH:mm)'
+  },
+
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'day_of_week',
+    validate: {
+      min: 0,
+      max: 6
+    },
+    comment: 'Day of week 0-6 (weekly)'
+  },
+
+  dayOfMonth: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'day_of_month',
+    validate: {
+      min: 1,
+      max: 28
+    },
+    comment: 'Day of month 1-28 (monthly)'
+  },
+
+  timezone: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'Europe/Athens',
+    comment: 'Timezone of the schedule'
+  },
+
+  recipients: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Recipient email addresses'
+  },
+
+  format: {
+    type: DataTypes.ENUM('pdf', 'excel', 'both'),
+    allowNull: false,
+    defaultValue: 'pdf',
+    comment: 'Attachment format'
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'paused'),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: 'Schedule status'
+  },
+
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at',
+    comment: 'Last execution start'
+  },
+
+  lastStatus: {
+    type: DataTypes.ENUM('success', 'failed'),
+    allowNull: true,
+    field: 'last_status',
+    comment: 'Last execution result'
+  },
+
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error',
+    comment: 'Last execution error'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Created by user'
+  }
+}, {
+  tableName: 'scheduled_reports',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['status'] }
+  ]
+});
+
+// Instance methods
+ScheduledReport.prototype.isActive = function() {
+  return this.status === 'active';
+};
+
+// Μετατροπή daily/weekly/monthly σε cron expression
+ScheduledReport.prototype.getCronExpression = function() {
+  if (this.frequency === 'cron') {
+    return this.cronExpression;
+  }
+
+  const [hour, minute] = (this.timeOfDay || '08:00').split(':').map(Number);
+
+  switch (this.frequency) {
+    case 'daily':
+      return `${minute} ${hour} * * *`;
+    case 'weekly':
+      return `${minute} ${hour} * * ${this.dayOfWeek ?? 1}`;
+    case 'monthly':
+    default:
+      return `${minute} ${hour} ${this.dayOfMonth || 1} * *`;
+  }
+};
+
+// Define associations
+ScheduledReport.associate = (models) => {
+  ScheduledReport.belongsTo(models.SavedReport, {
+    foreignKey: 'savedReportId',
+    as: 'savedReport'
+  });
+
+  ScheduledReport.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+
+  ScheduledReport.hasMany(models.ScheduledReportRun, {
+    foreignKey: 'scheduledReportId',
+    as: 'runs'
+  });
+};
+
+export default ScheduledReport;
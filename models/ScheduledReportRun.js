@@ -0,0 +1,135 @@
+// models/ScheduledReportRun.js
+// Execution history of scheduled reports
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const ScheduledReportRun = sequelize.define('ScheduledReportRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Owning tenant'
+  },
+
+  scheduledReportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'scheduled_report_id',
+    references: {
+      model: 'scheduled_reports',
+      key: 'id'
+    },
+    comment: 'Scheduled report'
+  },
+
+  trigger: {
+    type: DataTypes.ENUM('schedule', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule',
+    comment: 'Cron tick or run-now'
+  },
+
+  status: {
+    type: DataTypes.ENUM('running', 'success', 'failed'),
+    allowNull: false,
+    defaultValue: 'running',
+    comment: 'Execution status'
+  },
+
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'started_at',
+    comment: 'Execution start'
+  },
+
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at',
+    comment: 'Execution end'
+  },
+
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_ms',
+    comment: 'Duration in milliseconds'
+  },
+
+  recipients: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Recipients the report was sent to'
+  },
+
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Generated files (filename, size)'
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message on failure'
+  },
+
+  triggeredBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'triggered_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User for manual runs'
+  }
+}, {
+  tableName: 'scheduled_report_runs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['scheduled_report_id', 'started_at'] }
+  ]
+});
+
+// Instance methods
+ScheduledReportRun.prototype.finish = async function(status, values = {}) {
+  const finishedAt = new Date();
+
+  return this.update({
+    ...values,
+    status,
+    finishedAt,
+    durationMs: finishedAt - new Date(this.startedAt)
+  });
+};
+
+// Define associations
+ScheduledReportRun.associate = (models) => {
+  ScheduledReportRun.belongsTo(models.ScheduledReport, {
+    foreignKey: 'scheduledReportId',
+    as: 'scheduledReport'
+  });
+
+  ScheduledReportRun.belongsTo(models.User, {
+    foreignKey: 'triggeredBy',
+    as: 'user'
+  });
+};
+
+export default ScheduledReportRun;
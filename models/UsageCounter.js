@@ -0,0 +1,69 @@
+// models/UsageCounter.js
+// Usage of metered resources per tenant and billing period (one row per metric and period)
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const UsageCounter = sequelize.define('UsageCounter', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'companies',
+      key: 'id'
+    },
+    comment: 'Tenant company whose usage is counted'
+  },
+
+  metric: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Metered resource (members, invoices)'
+  },
+
+  periodStart: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'period_start',
+    comment: 'First day of the billing period'
+  },
+
+  periodEnd: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'period_end',
+    comment: 'Last day of the billing period'
+  },
+
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Records created in the period'
+  }
+}, {
+  tableName: 'usage_counters',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['tenant_id', 'metric', 'period_start'] }
+  ]
+});
+
+// Define associations
+UsageCounter.associate = (models) => {
+  UsageCounter.belongsTo(models.Company, {
+    foreignKey: 'tenantId',
+    as: 'tenant'
+  });
+};
+
+export default UsageCounter;
@@ -52,11 +52,23 @@ const User = sequelize.define('User', {
   
   // Role and permissions
   role: {
-    type: DataTypes.ENUM('admin', 'manager', 'user'),
+    type: DataTypes.STRING(50), // roles.name
     defaultValue: 'user',
     allowNull: false
   },
   
+  permissionOverrides: {
+    type: DataTypes.JSON, // { grant: [], deny: [] }
+    allowNull: true
+  },
+  
+  // Διαχειριστής πλατφόρμας: επιλέγει tenant με το X-Tenant-Id
+  isSuperAdmin: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  
   // Company association
   companyId: {
     type: DataTypes.UUID,
@@ -124,6 +136,33 @@ const User = sequelize.define('User', {
     allowNull: true
   },
   
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  
+  twoFactorSecret: {
+    type: DataTypes.TEXT, // κρυπτογραφημένο
+    allowNull: true
+  },
+  
+  twoFactorLastStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSON, // SHA-256 hashes
+    allowNull: true
+  },
+  
+  twoFactorConfirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
   // Preferences
   preferences: {
     type: DataTypes.JSONB,
@@ -218,6 +257,9 @@ User.prototype.toJSON = function() {
   delete values.verificationToken;
   delete values.resetPasswordToken;
   delete values.resetPasswordExpires;
+  delete values.twoFactorSecret;
+  delete values.twoFactorLastStep;
+  delete values.twoFactorRecoveryCodes;
   
   return values;
 };
@@ -2,6 +2,8 @@
 // Central model registry with associations
 
 import sequelize from '../config/database.js';
+import { registerTenantScope } from '../utils/tenantContext.js';
+import { registerUsageMeter, METERED_INVOICE_TYPES } from '../utils/usageMeter.js';
 
 // Import all models
 import User from './User.js';
@@ -13,6 +15,26 @@ import Invoice from './Invoice.js';
 import InvoiceItem from './InvoiceItem.js';
 import AuditLog from './AuditLog.js';
 import RefreshToken from './RefreshToken.js';
+import Payment from './Payment.js';
+import PaymentAllocation from './PaymentAllocation.js';
+import BankStatement from './BankStatement.js';
+import BankStatementLine from './BankStatementLine.js';
+import NumberingSequence from './NumberingSequence.js';
+import SavedReport from './SavedReport.js';
+import ScheduledReport from './ScheduledReport.js';
+import ScheduledReportRun from './ScheduledReportRun.js';
+import DunningLevel from './DunningLevel.js';
+import DunningReminder from './DunningReminder.js';
+import MyDataSubmissionJob from './MyDataSubmissionJob.js';
+import MyDataSubmissionItem from './MyDataSubmissionItem.js';
+import MyDataSubmissionAttempt from './MyDataSubmissionAttempt.js';
+import PurchaseDocument from './PurchaseDocument.js';
+import PurchaseDocumentItem from './PurchaseDocumentItem.js';
+import MyDataSyncRun from './MyDataSyncRun.js';
+import MyDataCredential from './MyDataCredential.js';
+import RecurringDocumentRun from './RecurringDocumentRun.js';
+import Role from './Role.js';
+import UsageCounter from './UsageCounter.js';
 
 // Model registry
 const models = {
@@ -25,6 +47,26 @@ const models = {
   InvoiceItem,
   AuditLog,
   RefreshToken,
+  Payment,
+  PaymentAllocation,
+  BankStatement,
+  BankStatementLine,
+  NumberingSequence,
+  SavedReport,
+  ScheduledReport,
+  ScheduledReportRun,
+  DunningLevel,
+  DunningReminder,
+  MyDataSubmissionJob,
+  MyDataSubmissionItem,
+  MyDataSubmissionAttempt,
+  PurchaseDocument,
+  PurchaseDocumentItem,
+  MyDataSyncRun,
+  MyDataCredential,
+  RecurringDocumentRun,
+  Role,
+  UsageCounter,
   sequelize
 };
 
@@ -64,6 +106,16 @@ Document.belongsTo(Company, {
   as: 'company'
 });
 
+Member.hasMany(Document, {
+  foreignKey: 'memberId',
+  as: 'salesDocuments'
+});
+
+Document.belongsTo(Member, {
+  foreignKey: 'memberId',
+  as: 'member'
+});
+
 Document.hasMany(DocumentItem, {
   foreignKey: 'documentId',
   as: 'items',
@@ -75,6 +127,46 @@ DocumentItem.belongsTo(Document, {
   as: 'document'
 });
 
+// Αλυσίδα μετατροπής (προσφορά → παραγγελία → δελτίο αποστολής → τιμολόγιο)
+Document.belongsTo(Document, {
+  foreignKey: 'referenceId',
+  as: 'referenceDocument'
+});
+
+Document.hasMany(Document, {
+  foreignKey: 'referenceId',
+  as: 'derivedDocuments'
+});
+
+DocumentItem.belongsTo(DocumentItem, {
+  foreignKey: 'referenceId',
+  as: 'referenceItem'
+});
+
+// Payment associations (document side)
+Document.hasMany(PaymentAllocation, {
+  foreignKey: 'documentId',
+  as: 'paymentAllocations'
+});
+
+Document.belongsToMany(Payment, {
+  through: PaymentAllocation,
+  foreignKey: 'documentId',
+  otherKey: 'paymentId',
+  as: 'payments'
+});
+
+Company.hasMany(Payment, {
+  foreignKey: 'companyId',
+  as: 'payments'
+});
+
+// Purchase documents (company as supplier)
+Company.hasMany(PurchaseDocument, {
+  foreignKey: 'supplierId',
+  as: 'purchaseDocuments'
+});
+
 // User activity associations
 User.hasMany(AuditLog, {
   foreignKey: 'userId',
@@ -86,6 +178,25 @@ AuditLog.belongsTo(User, {
   as: 'user'
 });
 
+// Απομόνωση tenants: μέσα σε request τα queries περιορίζονται αυτόματα στην εταιρεία του χρήστη
+[
+  Company, Member, Document, DocumentItem, Invoice, InvoiceItem, Payment, PaymentAllocation,
+  PurchaseDocument, PurchaseDocumentItem, BankStatement, BankStatementLine, RecurringDocumentRun,
+  SavedReport, ScheduledReport, ScheduledReportRun, DunningLevel, DunningReminder,
+  MyDataSubmissionJob, MyDataSubmissionItem, MyDataSubmissionAttempt, MyDataSyncRun
+].forEach(model => registerTenantScope(model));
+
+registerTenantScope(User, 'companyId');
+registerTenantScope(MyDataCredential, 'companyId');
+registerTenantScope(NumberingSequence, 'companyId');
+registerTenantScope(UsageCounter);
+
+// Μετρητές χρήσης του πακέτου συνδρομής (όρια στο subscriptionService)
+registerUsageMeter(Member, 'members');
+registerUsageMeter(Document, 'invoices', document =>
+  METERED_INVOICE_TYPES.includes(document.documentType) && !document.isRecurring);
+registerUsageMeter(Invoice, 'invoices', invoice => METERED_INVOICE_TYPES.includes(invoice.type));
+
 // Test database connection
 const testConnection = async () => {
   try {
@@ -118,6 +229,26 @@ export {
   InvoiceItem,
   AuditLog,
   RefreshToken,
+  Payment,
+  PaymentAllocation,
+  BankStatement,
+  BankStatementLine,
+  NumberingSequence,
+  SavedReport,
+  ScheduledReport,
+  ScheduledReportRun,
+  DunningLevel,
+  DunningReminder,
+  MyDataSubmissionJob,
+  MyDataSubmissionItem,
+  MyDataSubmissionAttempt,
+  PurchaseDocument,
+  PurchaseDocumentItem,
+  MyDataSyncRun,
+  MyDataCredential,
+  RecurringDocumentRun,
+  Role,
+  UsageCounter,
   sequelize,
   testConnection,
   syncModels
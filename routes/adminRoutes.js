@@ -5,19 +5,26 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { Op } from 'sequelize';
 import bcrypt from 'bcrypt';
+import sequelize from '../config/database.js';
 import User from '../models/User.js';
 import AuditLog from '../models/AuditLog.js';
 import auditService from '../services/auditService.js';
 import backupService from '../services/backupService.js';
 import migrationService from '../services/migrationService.js';
 import emailService from '../services/emailService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import twoFactorService from '../services/twoFactorService.js';
+import permissionService from '../services/permissionService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import { authenticate, can } from '../middleware/auth.js';
 import { cache } from '../middleware/cache.js';
+import { AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
-// All admin routes require admin role
-router.use(authenticate, authorize(['admin']));
+// Tenant admins manage the users of their own company (users.manage);
+// everything after the user section is platform administration (admin.access)
+router.use(authenticate);
+router.use('/users', can('users.manage'));
 
 // ======================
 // User Management
@@ -131,7 +138,7 @@ router.post('/users', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 8 }),
   body('name').notEmpty().trim(),
-  body('role').isIn(['admin', 'manager', 'accountant', 'user', 'viewer'])
+  body('role').custom(role => permissionService.assertRoleExists(role))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -193,8 +200,15 @@ router.post('/users', [
 });
 
 // PUT /api/admin/users/:id - Update user
-router.put('/users/:id', async (req, res) => {
+router.put('/users/:id', [
+  body('role').optional().custom(role => permissionService.assertRoleExists(role))
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     const { name, role, status } = req.body;
 
@@ -219,7 +233,7 @@ router.put('/users/:id', async (req, res) => {
     });
 
     // Audit log
-    const changes = auditService.logChanges(oldValues, user.toJSON());
+    const changes = AuditLog.logChanges(oldValues, user.toJSON());
     await auditService.logSecurityEvent('USER_UPDATED', 'medium', {
       adminId: req.user.id,
       adminName: req.user.name,
@@ -293,6 +307,94 @@ router.post('/users/:id/reset-password', async (req, res) => {
   }
 });
 
+// GET /api/admin/users/:id/permissions - Role permissions, overrides and effective permissions
+router.get('/users/:id/permissions', can('roles.manage'), [param('id').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await permissionService.getUserPermissions(user)
+    });
+
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/users/:id/permissions - Grant or deny permissions on top of the user's role
+router.put('/users/:id/permissions', can('roles.manage'), [
+  param('id').isUUID(),
+  body('grant').optional().isArray(),
+  body('grant.*').isString(),
+  body('deny').optional().isArray(),
+  body('deny.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const data = await permissionService.setUserOverrides(user, req.body, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update user permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/users/:id/2fa/reset - Reset two-factor (lost device); the user enrols again
+router.post('/users/:id/2fa/reset', [param('id').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await twoFactorService.disable(user, {}, { ipAddress: req.ip, performedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // DELETE /api/admin/users/:id - Delete user
 router.delete('/users/:id', async (req, res) => {
   try {
@@ -330,6 +432,227 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+// ======================
+// Platform administration
+// ======================
+
+router.use(can('admin.access'));
+
+// ======================
+// Roles & Permissions
+// ======================
+
+const roleValidation = [
+  body('displayName').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).isString(),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString()
+];
+
+// GET /api/admin/permissions - Permission catalogue
+router.get('/permissions', can('roles.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: permissionService.getCatalogue()
+  });
+});
+
+// GET /api/admin/roles - List roles with their permissions and user counts
+router.get('/roles', can('roles.manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await permissionService.listRoles()
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/roles/:name - Get single role
+router.get('/roles/:name', can('roles.manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await permissionService.getRole(req.params.name)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/roles - Create role
+router.post('/roles', can('roles.manage'), [
+  body('name').matches(/^[a-z][a-z0-9_]*$/).isLength({ max: 50 }),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await permissionService.createRole(req.body, { userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/roles/:name - Update role label, description or permissions (applies immediately)
+router.put('/roles/:name', can('roles.manage'), roleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await permissionService.updateRole(req.params.name, req.body, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: role
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/roles/:name - Delete custom role (must not be assigned)
+router.delete('/roles/:name', can('roles.manage'), async (req, res) => {
+  try {
+    await permissionService.deleteRole(req.params.name, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================
+// Subscriptions
+// ======================
+
+// GET /api/admin/plans - Subscription plans with limits and prices
+router.get('/plans', can('subscriptions.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: subscriptionService.getPlans()
+  });
+});
+
+// GET /api/admin/companies/:id/subscription - Tenant plan and usage of the current billing period
+router.get('/companies/:id/subscription', can('subscriptions.manage'), [param('id').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await subscriptionService.getTenantCompany(req.params.id);
+
+    res.json({
+      success: true,
+      data: await subscriptionService.getUsageSummary(company)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/companies/:id/subscription - Change plan/status with proration for the rest of the period (preview: true to only calculate)
+router.put('/companies/:id/subscription', can('subscriptions.manage'), [
+  param('id').isUUID(),
+  body('plan').optional().isIn(subscriptionService.getPlans().map(plan => plan.name)),
+  body('status').optional().isIn(['active', 'inactive', 'suspended', 'trial']),
+  body('endDate').optional().isISO8601(),
+  body('note').optional().isString().isLength({ max: 1000 }),
+  body('preview').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { company, proration, preview } = await subscriptionService.changePlan(req.params.id, req.body, {
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      preview,
+      data: {
+        companyId: company.id,
+        subscriptionPlan: company.subscriptionPlan,
+        subscriptionStatus: company.subscriptionStatus,
+        subscriptionStartDate: company.subscriptionStartDate,
+        subscriptionEndDate: company.subscriptionEndDate,
+        features: company.features,
+        proration
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Change subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/subscriptions/run - Run trial expiry, suspension and renewal reminders now
+router.post('/subscriptions/run', can('subscriptions.manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await subscriptionService.processDue()
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Run subscriptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ======================
 // Audit Logs
 // ======================
@@ -535,6 +858,45 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// GET /api/admin/settings/two-factor - Two-factor enforcement policy
+router.get('/settings/two-factor', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await twoFactorService.getPolicy()
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/settings/two-factor - Require two-factor for everyone or for selected roles
+router.put('/settings/two-factor', [
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('requiredRoles').optional().isArray(),
+  body('requiredRoles.*').custom(role => permissionService.assertRoleExists(role))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await twoFactorService.setPolicy(req.body, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ======================
 // Database Management
 // ======================
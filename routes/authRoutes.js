@@ -3,15 +3,17 @@
 
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { Op } from 'sequelize';
 import User from '../models/User.js';
-import RefreshToken from '../models/RefreshToken.js';
 import auditService from '../services/auditService.js';
 import emailService from '../services/emailService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import permissionService from '../services/permissionService.js';
 import { authenticate } from '../middleware/auth.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
+import { AppError } from '../middleware/errorHandler.js';
 import crypto from 'crypto';
 
 const router = express.Router();
@@ -37,6 +39,78 @@ const resetPasswordValidation = [
   body('confirmPassword').custom((value, { req }) => value === req.body.password).withMessage('Passwords do not match')
 ];
 
+const twoFactorCodeValidation = [
+  body('code').optional().isString().trim().isLength({ min: 6, max: 10 }),
+  body('recoveryCode').optional().isString().trim().isLength({ max: 20 })
+];
+
+// ======================
+// Helpers
+// ======================
+
+// Ολοκλήρωση σύνδεσης (μετά τον κωδικό και, όπου απαιτείται, το 2FA): νέα συνεδρία για τη συσκευή
+const completeLogin = async (user, req, { rememberMe = false, method = 'password' } = {}) => {
+  await user.update({ lastLoginAt: new Date(), lastLoginIp: req.ip });
+
+  const tokenExpiry = rememberMe ? '30d' : '24h';
+  const { token: refreshToken, record: session } = await sessionService.issue(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  const accessToken = sessionService.signAccessToken(user, session.familyId, tokenExpiry);
+
+  // Audit log
+  await auditService.log({
+    action: 'login',
+    status: 'success',
+    category: 'auth',
+    userId: user.id,
+    userName: user.name,
+    userEmail: user.email,
+    description: 'Successful login',
+    metadata: { method },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    success: true,
+    accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role
+    }
+  };
+};
+
+// Εγγραφή 2FA: με access token ή με το MFA token του login όταν ο ρόλος απαιτεί 2FA
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body?.mfaToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = twoFactorService.verifyMfaToken(req.body.mfaToken);
+    if (decoded.purpose !== 'enroll') {
+      return res.status(401).json({ error: 'Invalid MFA token' });
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ error: 'Invalid MFA token' });
+    }
+
+    req.user = user;
+    req.enrollment = { rememberMe: decoded.rememberMe };
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 401).json({ error: error.message });
+  }
+};
+
 // ======================
 // Public Routes
 // ======================
@@ -55,7 +129,7 @@ router.post('/login', rateLimiter('login'), loginValidation, async (req, res) =>
     // Find user
     const user = await User.findOne({ 
       where: { email },
-      attributes: ['id', 'email', 'password', 'name', 'role', 'status', 'loginAttempts', 'lockedUntil']
+      attributes: ['id', 'email', 'password', 'name', 'role', 'status', 'loginAttempts', 'lockedUntil', 'twoFactorEnabled']
     });
 
     // Check if user exists
@@ -135,66 +209,28 @@ router.post('/login', rateLimiter('login'), loginValidation, async (req, res) =>
     // Reset login attempts on successful login
     user.loginAttempts = 0;
     user.lockedUntil = null;
-    user.lastLoginAt = new Date();
-    user.lastLoginIp = req.ip;
     await user.save();
 
-    // Generate tokens
-    const tokenExpiry = rememberMe ? '30d' : '24h';
-    const accessToken = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: tokenExpiry }
-    );
-
-    const refreshToken = jwt.sign(
-      { id: user.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: '90d' }
-    );
-
-    // Store refresh token (temporarily disabled for initial testing)
-    try {
-      await RefreshToken.create({
-        token: refreshToken,
-        userId: user.id,
-        expiresAt: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
-        createdByIp: req.ip
+    // Δεύτερος παράγοντας: τα JWT εκδίδονται μόνο μετά την επαλήθευση (POST /2fa/verify)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: twoFactorService.signMfaToken(user, { rememberMe })
       });
-    } catch (refreshError) {
-      console.warn('Failed to store refresh token:', refreshError.message);
-      // Don't fail login if refresh token storage fails
     }
 
-    // Audit log
-    await auditService.log({
-      action: 'login',
-      status: 'success',
-      category: 'auth',
-      userId: user.id,
-      userName: user.name,
-      userEmail: user.email,
-      description: 'Successful login',
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+    // Ο ρόλος απαιτεί 2FA: εγγραφή (POST /2fa/setup, /2fa/enable) πριν τη σύνδεση
+    if (await twoFactorService.isRequired(user)) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        enrollmentRequired: true,
+        mfaToken: twoFactorService.signMfaToken(user, { enrollment: true, rememberMe })
+      });
+    }
 
-    res.json({
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
-    });
+    res.json(await completeLogin(user, req, { rememberMe }));
 
   } catch (error) {
     console.error('Login error:', error);
@@ -265,7 +301,7 @@ router.post('/register', rateLimiter('auth'), registerValidation, async (req, re
   }
 });
 
-// POST /api/auth/refresh
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -274,47 +310,23 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'Refresh token required' });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-
-    // Find user and check token
-    const user = await User.findByPk(decoded.id);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid refresh token' });
-    }
-
-    // Check if refresh token exists in database
-    const storedToken = await RefreshToken.findOne({
-      where: { 
-        token: refreshToken,
-        userId: user.id,
-        isRevoked: false,
-        expiresAt: { [Op.gt]: new Date() }
-      }
+    const rotated = await sessionService.rotate(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
 
-    if (!storedToken) {
-      return res.status(401).json({ error: 'Invalid or expired refresh token' });
-    }
-
-    // Generate new access token
-    const accessToken = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const accessToken = sessionService.signAccessToken(rotated.user, rotated.familyId);
 
     res.json({
       success: true,
-      accessToken
+      accessToken,
+      refreshToken: rotated.refreshToken
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Refresh token error:', error);
     res.status(401).json({ error: 'Invalid refresh token' });
   }
@@ -323,21 +335,9 @@ router.post('/refresh', async (req, res) => {
 // POST /api/auth/logout
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-
-    // Remove refresh token from database
-    if (refreshToken) {
-      const tokenToRevoke = await RefreshToken.findOne({
-        where: { token: refreshToken, userId: req.user.id }
-      });
-      
-      if (tokenToRevoke) {
-        await tokenToRevoke.update({
-          isRevoked: true,
-          revokedAt: new Date(),
-          revokedByIp: req.ip
-        });
-      }
+    // Ανάκληση της συνεδρίας του access token (όλα τα tokens της συσκευής)
+    if (req.sessionId) {
+      await sessionService.revokeFamily(req.user.id, req.sessionId, { ipAddress: req.ip, reason: 'logout' });
     }
 
     // Audit log
@@ -362,6 +362,257 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// ======================
+// Two-factor authentication
+// ======================
+
+// POST /api/auth/2fa/verify - Second login step (TOTP or recovery code) for the MFA token
+router.post('/2fa/verify', rateLimiter('login'), [
+  body('mfaToken').notEmpty(),
+  ...twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Two-factor code or recovery code required' });
+    }
+
+    const decoded = twoFactorService.verifyMfaToken(mfaToken);
+    if (decoded.purpose !== 'verify') {
+      return res.status(401).json({ error: 'Invalid MFA token' });
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Invalid MFA token' });
+    }
+
+    const method = await twoFactorService.verify(user, { code, recoveryCode }, { ipAddress: req.ip });
+
+    res.json(await completeLogin(user, req, { rememberMe: decoded.rememberMe, method }));
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await twoFactorService.getStatus(req.user)
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/2fa/setup - New TOTP secret with otpauth URI and QR code
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const setup = await twoFactorService.setup(req.user);
+
+    res.json({
+      success: true,
+      data: setup
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm the secret with a code; returns the recovery codes once
+router.post('/2fa/enable', authenticateTwoFactorSetup, [
+  body('code').isString().trim().isLength({ min: 6, max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await twoFactorService.enable(req.user, req.body.code, { ipAddress: req.ip });
+
+    // Υποχρεωτική εγγραφή κατά το login: η σύνδεση ολοκληρώνεται εδώ
+    if (req.enrollment) {
+      const login = await completeLogin(req.user, req, { rememberMe: req.enrollment.rememberMe, method: 'totp' });
+      return res.json({ ...login, recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'Two-factor authentication enabled'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticate, [
+  body('code').isString().trim().isLength({ min: 6, max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn off two-factor (password and code; not allowed when the role requires it)
+router.post('/2fa/disable', authenticate, [
+  body('password').notEmpty(),
+  body('code').isString().trim().isLength({ min: 6, max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Το req.user φορτώνεται χωρίς τον κωδικό πρόσβασης
+    const user = await User.findByPk(req.user.id);
+    await twoFactorService.disable(user, req.body, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================
+// Sessions
+// ======================
+
+// GET /api/auth/sessions - Active sessions (devices) of the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Sign out one device
+router.delete('/sessions/:id', authenticate, [param('id').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await sessionService.revoke(req.user.id, req.params.id, { ipAddress: req.ip });
+
+    await auditService.logSecurityEvent('SESSION_REVOKED', 'low', {
+      userId: req.user.id,
+      userName: req.user.name,
+      description: 'Device session signed out',
+      ipAddress: req.ip,
+      metadata: { sessionId: req.params.id, current: req.params.id === req.sessionId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/auth/sessions - Log out everywhere (?keepCurrent=true keeps this device signed in)
+router.delete('/sessions', authenticate, [query('keepCurrent').optional().isBoolean()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await sessionService.revokeAll(req.user.id, {
+      ipAddress: req.ip,
+      exceptFamilyId: keepCurrent ? req.sessionId : null
+    });
+
+    await auditService.logSecurityEvent('SESSIONS_REVOKED', 'medium', {
+      userId: req.user.id,
+      userName: req.user.name,
+      description: keepCurrent ? 'Signed out all other devices' : 'Logged out everywhere',
+      ipAddress: req.ip,
+      metadata: { revokedTokens: revoked, keepCurrent }
+    });
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Signed out all other devices' : 'Logged out everywhere'
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/auth/forgot-password
 router.post('/forgot-password', rateLimiter('passwordReset'), async (req, res) => {
   try {
@@ -442,6 +693,9 @@ router.post('/reset-password', resetPasswordValidation, async (req, res) => {
       passwordChangedAt: new Date()
     });
 
+    // Όλες οι συσκευές αποσυνδέονται με τον νέο κωδικό
+    await sessionService.revokeAll(user.id, { ipAddress: req.ip, reason: 'password_changed' });
+
     // Audit log
     await auditService.logSecurityEvent('PASSWORD_RESET', 'medium', {
       userId: user.id,
@@ -532,7 +786,8 @@ router.get('/me', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      user
+      user,
+      permissions: await permissionService.getEffectivePermissions(req.user)
     });
 
   } catch (error) {
@@ -563,6 +818,13 @@ router.put('/change-password', authenticate, async (req, res) => {
       passwordChangedAt: new Date()
     });
 
+    // Οι υπόλοιπες συσκευές αποσυνδέονται· η τρέχουσα παραμένει
+    await sessionService.revokeAll(user.id, {
+      ipAddress: req.ip,
+      exceptFamilyId: req.sessionId,
+      reason: 'password_changed'
+    });
+
     // Audit log
     await auditService.logSecurityEvent('PASSWORD_CHANGED', 'medium', {
       userId: user.id,
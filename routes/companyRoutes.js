@@ -2,16 +2,31 @@
 // Company management routes
 
 import express from 'express';
+import multer from 'multer';
 import { body, param, query, validationResult } from 'express-validator';
 import { Op } from 'sequelize';
 import Company from '../models/Company.js';
 import Document from '../models/Document.js';
 import auditService from '../services/auditService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import dunningService from '../services/dunningService.js';
+import pdfTemplateService from '../services/pdfTemplateService.js';
+import statementService from '../services/statementService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import { authenticate, can, checkCompanyOwnership } from '../middleware/auth.js';
 import { cache } from '../middleware/cache.js';
+import { validateFileUpload } from '../middleware/validation.js';
+import { AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+const MAX_LOGO_SIZE = 2 * 1024 * 1024;
+const MAX_TEMPLATE_SIZE = 256 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_LOGO_SIZE }
+});
+
 // ======================
 // Validation Rules
 // ======================
@@ -24,6 +39,27 @@ const companyValidation = [
   body('companyType').optional().isIn(['client', 'supplier', 'both'])
 ];
 
+const templateNameValidation = [
+  param('companyId').isUUID(),
+  param('name').isIn(pdfTemplateService.getTemplateNames())
+];
+
+const brandingValidation = [
+  param('companyId').isUUID(),
+  body('primaryColor').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/),
+  body('accentColor').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/),
+  body('textColor').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/)
+];
+
+const statementValidation = [
+  query('dateFrom').optional().isISO8601(),
+  query('dateTo').optional().isISO8601(),
+  query('format').optional().isIn(['json', 'pdf', 'excel'])
+];
+
+// Template ως πεδίο source ή ως αρχείο (multipart)
+const templateSource = req => (req.file ? req.file.buffer.toString('utf-8') : req.body.source);
+
 // ======================
 // Routes
 // ======================
@@ -107,6 +143,32 @@ router.get('/', authenticate, cache(60), async (req, res) => {
   }
 });
 
+// GET /api/companies/subscription - Plan, usage of the current billing period and available plans of the caller's tenant
+router.get('/subscription', authenticate, async (req, res) => {
+  try {
+    if (!req.tenant?.tenantId) {
+      return res.status(404).json({ error: 'No subscription for this account' });
+    }
+
+    const company = await subscriptionService.getTenantCompany(req.tenant.tenantId);
+
+    res.json({
+      success: true,
+      data: {
+        ...(await subscriptionService.getUsageSummary(company)),
+        plans: subscriptionService.getPlans()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/companies/:id - Get single company
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -164,7 +226,7 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // POST /api/companies - Create new company
-router.post('/', authenticate, authorize(['admin', 'manager']), companyValidation, async (req, res) => {
+router.post('/', authenticate, can('companies.create'), companyValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -190,6 +252,12 @@ router.post('/', authenticate, authorize(['admin', 'manager']), companyValidatio
       createdBy: req.user.id
     });
 
+    // Εταιρεία που δημιουργεί ο super-admin εκτός tenant (X-Tenant-Id: *) είναι νέος tenant
+    if (req.tenant?.bypass && !company.tenantId) {
+      await company.update({ tenantId: company.id });
+      await dunningService.createDefaultLevels(company.id);
+    }
+
     // Audit log
     await auditService.log({
       action: 'create',
@@ -214,7 +282,7 @@ router.post('/', authenticate, authorize(['admin', 'manager']), companyValidatio
 });
 
 // PUT /api/companies/:id - Update company
-router.put('/:id', authenticate, authorize(['admin', 'manager']), companyValidation, async (req, res) => {
+router.put('/:id', authenticate, can('companies.update'), companyValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -278,7 +346,7 @@ router.put('/:id', authenticate, authorize(['admin', 'manager']), companyValidat
 });
 
 // DELETE /api/companies/:id - Delete company
-router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
+router.delete('/:id', authenticate, can('companies.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -324,7 +392,7 @@ router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
 });
 
 // POST /api/companies/:id/restore - Restore deleted company
-router.post('/:id/restore', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/:id/restore', authenticate, can('companies.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -460,8 +528,139 @@ router.get('/:id/balance', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/companies/:id/statement - Customer statement (JSON, PDF or Excel)
+router.get('/:id/statement', authenticate, [param('id').isUUID(), ...statementValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dateFrom, dateTo, format = 'json' } = req.query;
+    const statement = await statementService.generateStatement({ companyId: req.params.id }, { dateFrom, dateTo });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: statement
+      });
+    }
+
+    const issuer = await statementService.resolveIssuer(req.user.id);
+    const file = await statementService.exportStatement(statement, format, { issuer });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get company statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/companies/:id/statement/send - Email statement to customer
+router.post('/:id/statement/send', authenticate, can('statements.send'), [
+  param('id').isUUID(),
+  body('dateFrom').optional().isISO8601(),
+  body('dateTo').optional().isISO8601(),
+  body('email').optional().isEmail(),
+  body('message').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dateFrom, dateTo, email, message } = req.body;
+    const statement = await statementService.generateStatement({ companyId: req.params.id }, { dateFrom, dateTo });
+    const issuer = await statementService.resolveIssuer(req.user.id);
+
+    await statementService.sendStatement(statement, { to: email, issuer, message });
+
+    await auditService.log({
+      action: 'email',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Company',
+      entityId: req.params.id,
+      entityName: statement.customer.name,
+      description: `Sent statement ${statement.dateFrom} - ${statement.dateTo}`,
+      metadata: {
+        to: email || statement.customer.email,
+        closingBalance: statement.summary.closingBalance
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Statement sent successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Send company statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/companies/statements/send - Email statements to all customers with a non-zero balance
+router.post('/statements/send', authenticate, can('statements.send.bulk'), [
+  body('dateFrom').optional().isISO8601(),
+  body('dateTo').optional().isISO8601(),
+  body('message').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dateFrom, dateTo, message } = req.body;
+    const results = await statementService.sendBulkStatements({ dateFrom, dateTo, message }, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'email',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Company',
+      description: 'Sent customer statements in bulk',
+      metadata: {
+        total: results.total,
+        sent: results.sent.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length
+      }
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      summary: {
+        total: results.total,
+        sent: results.sent.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Send bulk statements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/companies/import - Bulk import companies
-router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/import', authenticate, can('companies.import'), async (req, res) => {
   try {
     const { companies } = req.body;
 
@@ -534,4 +733,292 @@ router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// ======================
+// PDF Templates & Branding
+// ======================
+
+// GET /api/companies/:companyId/pdf-templates - List PDF templates and branding
+router.get('/:companyId/pdf-templates', authenticate, [
+  param('companyId').isUUID()
+], checkCompanyOwnership, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findByPk(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        templates: pdfTemplateService.listTemplates(company),
+        branding: pdfTemplateService.getBranding(company)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get PDF templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/companies/:companyId/pdf-templates/:name - Get template source (company override or default)
+router.get('/:companyId/pdf-templates/:name', authenticate, templateNameValidation, checkCompanyOwnership, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findByPk(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const template = pdfTemplateService.listTemplates(company).find(item => item.name === req.params.name);
+
+    res.json({
+      success: true,
+      data: {
+        ...template,
+        source: await pdfTemplateService.getTemplateSource(req.params.name, company)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get PDF template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/companies/:companyId/pdf-templates/:name - Upload or override company template
+router.put('/:companyId/pdf-templates/:name',
+  authenticate,
+  can('companies.branding'),
+  upload.single('file'),
+  validateFileUpload({ maxSize: MAX_TEMPLATE_SIZE, allowedTypes: ['text/html', 'text/plain', 'text/x-handlebars-template', 'application/octet-stream'] }),
+  templateNameValidation,
+  checkCompanyOwnership,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await Company.findByPk(req.params.companyId);
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      await pdfTemplateService.saveCompanyTemplate(company, req.params.name, templateSource(req));
+
+      await auditService.log({
+        action: 'update',
+        userId: req.user.id,
+        userName: req.user.name,
+        entityType: 'Company',
+        entityId: company.id,
+        entityName: company.name,
+        description: `Uploaded custom PDF template: ${req.params.name}`,
+        metadata: { template: req.params.name }
+      });
+
+      res.json({
+        success: true,
+        message: 'Template saved successfully',
+        data: pdfTemplateService.listTemplates(company).find(item => item.name === req.params.name)
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Save PDF template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+// DELETE /api/companies/:companyId/pdf-templates/:name - Revert to default template
+router.delete('/:companyId/pdf-templates/:name', authenticate, can('companies.branding'), templateNameValidation, checkCompanyOwnership, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findByPk(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await pdfTemplateService.removeCompanyTemplate(company, req.params.name);
+
+    await auditService.log({
+      action: 'delete',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Company',
+      entityId: company.id,
+      entityName: company.name,
+      description: `Reverted PDF template to default: ${req.params.name}`,
+      metadata: { template: req.params.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Template reverted to default'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete PDF template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/companies/:companyId/pdf-templates/:name/preview - Render template with sample data
+router.post('/:companyId/pdf-templates/:name/preview',
+  authenticate,
+  upload.single('file'),
+  validateFileUpload({ maxSize: MAX_TEMPLATE_SIZE, allowedTypes: ['text/html', 'text/plain', 'text/x-handlebars-template', 'application/octet-stream'] }),
+  [
+    ...templateNameValidation,
+    query('format').optional().isIn(['pdf', 'html'])
+  ],
+  checkCompanyOwnership,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await Company.findByPk(req.params.companyId);
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      // Προαιρετικό πρόχειρο template που δεν έχει αποθηκευτεί ακόμα
+      const options = { company, source: templateSource(req) || null };
+      const context = pdfTemplateService.getSampleContext(req.params.name);
+
+      if (req.query.format === 'html') {
+        const html = await pdfTemplateService.renderHtml(req.params.name, context, options);
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(html);
+      }
+
+      const pdfBuffer = await pdfTemplateService.renderPDF(req.params.name, context, options);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="preview-${req.params.name}.pdf"`);
+      res.send(pdfBuffer);
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Preview PDF template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+// PUT /api/companies/:companyId/branding - Update PDF colours
+router.put('/:companyId/branding', authenticate, can('companies.branding'), brandingValidation, checkCompanyOwnership, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findByPk(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const { primaryColor, accentColor, textColor } = req.body;
+    await pdfTemplateService.updateBranding(company, { primaryColor, accentColor, textColor });
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Company',
+      entityId: company.id,
+      entityName: company.name,
+      description: 'Updated PDF branding',
+      metadata: { primaryColor, accentColor, textColor }
+    });
+
+    res.json({
+      success: true,
+      data: pdfTemplateService.getBranding(company)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update branding error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/companies/:companyId/logo - Upload company logo (PNG/JPEG)
+router.post('/:companyId/logo',
+  authenticate,
+  can('companies.branding'),
+  upload.single('logo'),
+  validateFileUpload({ maxSize: MAX_LOGO_SIZE, allowedTypes: ['image/png', 'image/jpeg'], required: true }),
+  [param('companyId').isUUID()],
+  checkCompanyOwnership,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await Company.findByPk(req.params.companyId);
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      await pdfTemplateService.saveLogo(company, req.file);
+
+      await auditService.log({
+        action: 'update',
+        userId: req.user.id,
+        userName: req.user.name,
+        entityType: 'Company',
+        entityId: company.id,
+        entityName: company.name,
+        description: 'Uploaded company logo',
+        metadata: { logo: company.logo, size: req.file.size }
+      });
+
+      res.json({
+        success: true,
+        data: pdfTemplateService.getBranding(company)
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Upload logo error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+export default router;
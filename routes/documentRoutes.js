@@ -11,8 +11,13 @@ import Company from '../models/Company.js';
 import auditService from '../services/auditService.js';
 import pdfService from '../services/pdfService.js';
 import emailService from '../services/emailService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import paymentService from '../services/paymentService.js';
+import documentConversionService from '../services/documentConversionService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { checkPlanLimit } from '../middleware/subscription.js';
+import { AppError } from '../middleware/errorHandler.js';
 import { cache } from '../middleware/cache.js';
+import { METERED_INVOICE_TYPES } from '../utils/usageMeter.js';
 
 const router = express.Router();
 
@@ -30,6 +35,17 @@ const documentValidation = [
   body('items.*.unitPrice').isFloat({ min: 0 })
 ];
 
+const conversionValidation = [
+  param('id').isUUID(),
+  body('targetType').isIn(['order', 'delivery_note', 'invoice']),
+  body('documentDate').optional().isISO8601(),
+  body('dueDate').optional().isISO8601(),
+  body('notes').optional().isString().isLength({ max: 2000 }),
+  body('lines').optional().isArray(),
+  body('lines.*.itemId').isUUID(),
+  body('lines.*.quantity').optional().isFloat({ gt: 0 })
+];
+
 const documentItemValidation = [
   body('description').notEmpty(),
   body('quantity').isFloat({ min: 0 }),
@@ -184,7 +200,7 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // POST /api/documents - Create new document
-router.post('/', authenticate, authorize(['admin', 'manager', 'accountant']), documentValidation, async (req, res) => {
+router.post('/', authenticate, can('documents.create'), documentValidation, async (req, res) => {
   const t = await sequelize.transaction();
   
   try {
@@ -196,6 +212,15 @@ router.post('/', authenticate, authorize(['admin', 'manager', 'accountant']), do
 
     const { items, ...documentData } = req.body;
 
+    // Τιμολόγιο/απόδειξη μετρά στο όριο του πακέτου (πρότυπα επαναλαμβανόμενων όχι)
+    if (METERED_INVOICE_TYPES.includes(documentData.documentType) && !documentData.isRecurring) {
+      const blocked = await checkPlanLimit(req.tenant, 'invoices', 1, { transaction: t });
+      if (blocked) {
+        await t.rollback();
+        return res.status(402).json(blocked);
+      }
+    }
+
     // Create document
     const document = await Document.create({
       ...documentData,
@@ -247,14 +272,17 @@ router.post('/', authenticate, authorize(['admin', 'manager', 'accountant']), do
     });
 
   } catch (error) {
-    await t.rollback();
+    if (!t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Create document error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // PUT /api/documents/:id - Update document
-router.put('/:id', authenticate, authorize(['admin', 'manager', 'accountant']), async (req, res) => {
+router.put('/:id', authenticate, can('documents.update'), async (req, res) => {
   const t = await sequelize.transaction();
   
   try {
@@ -283,8 +311,10 @@ router.put('/:id', authenticate, authorize(['admin', 'manager', 'accountant']),
     const oldValues = document.toJSON();
 
     // Update document
+    // Το αποθηκευμένο PDF δεν ισχύει πλέον
     await document.update({
       ...documentData,
+      pdfPath: null,
       updatedBy: req.user.id
     }, { transaction: t });
 
@@ -347,7 +377,7 @@ router.put('/:id', authenticate, authorize(['admin', 'manager', 'accountant']),
 });
 
 // DELETE /api/documents/:id - Delete/Cancel document
-router.delete('/:id', authenticate, authorize(['admin', 'manager']), async (req, res) => {
+router.delete('/:id', authenticate, can('documents.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -414,7 +444,7 @@ router.delete('/:id', authenticate, authorize(['admin', 'manager']), async (req,
 });
 
 // POST /api/documents/:id/finalize - Finalize document
-router.post('/:id/finalize', authenticate, authorize(['admin', 'manager', 'accountant']), async (req, res) => {
+router.post('/:id/finalize', authenticate, can('documents.finalize'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -439,10 +469,9 @@ router.post('/:id/finalize', authenticate, authorize(['admin', 'manager', 'accou
       updatedBy: req.user.id
     });
 
-    // Generate PDF
-    const pdf = await pdfService.generateDocumentPDF(document);
+    // Generate and store PDF (pdfPath)
+    await pdfService.getDocumentPDF(document, { regenerate: true });
     
-    // Save PDF URL (assume upload to storage)
     await document.update({
       pdfUrl: `/documents/${document.id}/pdf`
     });
@@ -471,7 +500,7 @@ router.post('/:id/finalize', authenticate, authorize(['admin', 'manager', 'accou
 });
 
 // POST /api/documents/:id/send - Send document via email
-router.post('/:id/send', authenticate, authorize(['admin', 'manager', 'accountant']), async (req, res) => {
+router.post('/:id/send', authenticate, can('documents.send'), async (req, res) => {
   try {
     const { id } = req.params;
     const { email, cc, message } = req.body;
@@ -491,14 +520,8 @@ router.post('/:id/send', authenticate, authorize(['admin', 'manager', 'accountan
       return res.status(400).json({ error: 'Cannot send draft documents' });
     }
 
-    // Generate PDF if not exists
-    let pdfBuffer;
-    if (document.pdfUrl) {
-      // TODO: Fetch from storage
-      pdfBuffer = await pdfService.generateDocumentPDF(document);
-    } else {
-      pdfBuffer = await pdfService.generateDocumentPDF(document);
-    }
+    // Stored PDF, generated only if missing
+    const pdfBuffer = await pdfService.getDocumentPDF(document);
 
     // Send email
     await emailService.sendDocumentEmail({
@@ -558,8 +581,8 @@ router.get('/:id/pdf', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Generate PDF
-    const pdfBuffer = await pdfService.generateDocumentPDF(document);
+    // Stored PDF, generated only if missing
+    const pdfBuffer = await pdfService.getDocumentPDF(document);
 
     // Update printed timestamp
     await document.update({
@@ -588,7 +611,7 @@ router.get('/:id/pdf', authenticate, async (req, res) => {
 });
 
 // POST /api/documents/:id/duplicate - Duplicate document
-router.post('/:id/duplicate', authenticate, authorize(['admin', 'manager', 'accountant']), async (req, res) => {
+router.post('/:id/duplicate', authenticate, can('documents.create'), async (req, res) => {
   const t = await sequelize.transaction();
   
   try {
@@ -603,15 +626,33 @@ router.post('/:id/duplicate', authenticate, authorize(['admin', 'manager', 'acco
       return res.status(404).json({ error: 'Document not found' });
     }
 
+    // Αντίγραφο τιμολογίου/απόδειξης μετρά στο όριο του πακέτου
+    if (METERED_INVOICE_TYPES.includes(originalDocument.documentType) && !originalDocument.isRecurring) {
+      const blocked = await checkPlanLimit(req.tenant, 'invoices', 1, { transaction: t });
+      if (blocked) {
+        await t.rollback();
+        return res.status(402).json(blocked);
+      }
+    }
+
     // Create new document
     const documentData = originalDocument.toJSON();
     delete documentData.id;
     delete documentData.documentNumber;
+    delete documentData.numberingSequenceId;
+    delete documentData.sequenceNumber;
     delete documentData.createdAt;
     delete documentData.updatedAt;
     delete documentData.mydataMark;
     delete documentData.mydataUid;
     delete documentData.mydataStatus;
+    delete documentData.mydataQr;
+    delete documentData.pdfUrl;
+    delete documentData.pdfPath;
+    // Το αντίγραφο δεν ανήκει στην αλυσίδα μετατροπής του αρχικού
+    delete documentData.referenceType;
+    delete documentData.referenceNumber;
+    delete documentData.referenceId;
 
     const newDocument = await Document.create({
       ...documentData,
@@ -628,6 +669,8 @@ router.post('/:id/duplicate', authenticate, authorize(['admin', 'manager', 'acco
         delete itemData.id;
         delete itemData.createdAt;
         delete itemData.updatedAt;
+        delete itemData.referenceType;
+        delete itemData.referenceId;
         return {
           ...itemData,
           documentId: newDocument.id
@@ -666,20 +709,26 @@ router.post('/:id/duplicate', authenticate, authorize(['admin', 'manager', 'acco
     });
 
   } catch (error) {
-    await t.rollback();
+    if (!t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Duplicate document error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // POST /api/documents/:id/payment - Record payment
-router.post('/:id/payment', authenticate, authorize(['admin', 'manager', 'accountant']), async (req, res) => {
+router.post('/:id/payment', authenticate, can('payments.create'), async (req, res) => {
+  const t = await sequelize.transaction();
+
   try {
     const { id } = req.params;
-    const { amount, paymentMethod, paymentDate, notes } = req.body;
+    const { amount, paymentMethod, paymentDate, referenceNumber, notes } = req.body;
 
-    const document = await Document.findByPk(id);
+    const document = await Document.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
     if (!document) {
+      await t.rollback();
       return res.status(404).json({ error: 'Document not found' });
     }
 
@@ -687,28 +736,38 @@ router.post('/:id/payment', authenticate, authorize(['admin', 'manager', 'accoun
     const currentPaid = parseFloat(document.paidAmount) || 0;
     const total = parseFloat(document.total);
 
-    if (paymentAmount <= 0) {
+    if (!(paymentAmount > 0)) {
+      await t.rollback();
       return res.status(400).json({ error: 'Payment amount must be positive' });
     }
 
     if (currentPaid + paymentAmount > total) {
+      await t.rollback();
       return res.status(400).json({ error: 'Payment exceeds document total' });
     }
 
-    // Update document
-    const newPaidAmount = currentPaid + paymentAmount;
-    const newBalance = total - newPaidAmount;
-    const newStatus = newBalance === 0 ? 'paid' : 'partial';
-
-    await document.update({
-      paidAmount: newPaidAmount,
-      balanceDue: newBalance,
-      status: newStatus,
-      paymentMethod: paymentMethod || document.paymentMethod,
-      updatedBy: req.user.id
+    // Create payment record and allocate it to the document
+    const payment = await paymentService.createPayment({
+      type: document.documentType === 'credit_note' ? 'outgoing' : 'incoming',
+      companyId: document.companyId,
+      amount: paymentAmount,
+      paymentMethod: paymentService.mapDocumentPaymentMethod(paymentMethod || document.paymentMethod),
+      paymentDate: paymentDate || new Date(),
+      referenceNumber,
+      description: `Payment for ${document.documentType} ${document.documentNumber}`,
+      notes
+    }, { userId: req.user.id, transaction: t });
+
+    await paymentService.allocateToDocument(payment, document, paymentAmount, {
+      userId: req.user.id,
+      transaction: t
     });
 
-    // TODO: Create payment record in payments table
+    if (paymentMethod && paymentMethod !== document.paymentMethod) {
+      await document.update({ paymentMethod }, { transaction: t });
+    }
+
+    await t.commit();
 
     // Audit log
     await auditService.log({
@@ -720,26 +779,128 @@ router.post('/:id/payment', authenticate, authorize(['admin', 'manager', 'accoun
       entityName: document.documentNumber,
       description: `Payment recorded for ${document.documentType}`,
       metadata: {
+        paymentId: payment.id,
+        paymentNumber: payment.paymentNumber,
         amount: paymentAmount,
         paymentMethod,
         paymentDate,
         notes,
-        newStatus,
-        totalPaid: newPaidAmount,
-        remainingBalance: newBalance
+        newStatus: document.status,
+        totalPaid: parseFloat(document.paidAmount),
+        remainingBalance: parseFloat(document.balanceDue)
       }
     });
 
     res.json({
       success: true,
       data: document,
+      payment,
       message: `Payment of €${paymentAmount.toFixed(2)} recorded successfully`
     });
 
   } catch (error) {
+    if (!t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Record payment error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// GET /api/documents/:id/chain - Document flow (quote → order → delivery note → invoice) with line fulfilment
+router.get('/:id/chain', authenticate, [param('id').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chain = await documentConversionService.getChain(req.params.id);
+
+    res.json({
+      success: true,
+      data: chain
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get document chain error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/documents/:id/conversion-lines - Remaining quantities per line for a conversion
+router.get('/:id/conversion-lines', authenticate, [
+  param('id').isUUID(),
+  query('targetType').isIn(['order', 'delivery_note', 'invoice'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lines = await documentConversionService.getConvertibleLines(req.params.id, req.query.targetType);
+
+    res.json({
+      success: true,
+      data: lines
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get conversion lines error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/documents/:id/convert - Convert to the next stage (all remaining or selected lines/quantities)
+router.post('/:id/convert', authenticate, can('documents.convert'), conversionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetType, ...data } = req.body;
+    const document = await documentConversionService.convert(req.params.id, targetType, data, {
+      userId: req.user.id,
+      tenant: req.tenant
+    });
+
+    // Audit log
+    await auditService.log({
+      action: 'create',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Document',
+      entityId: document.id,
+      entityName: document.documentNumber,
+      description: `Converted ${document.referenceType} ${document.referenceNumber} to ${targetType}`,
+      metadata: { sourceId: req.params.id, lines: document.items.length }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: document,
+      message: 'Document converted successfully'
+    });
+
+  } catch (error) {
+    if (error.planLimit) {
+      return res.status(402).json(error.planLimit);
+    }
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Convert document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,405 @@
+// routes/dunningRoutes.js
+// Dunning routes (επίπεδα υπενθυμίσεων, εκτέλεση, ιστορικό, αμφισβητήσεις και opt-out)
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { DunningLevel, DunningReminder, Company, Member } from '../models/index.js';
+import auditService from '../services/auditService.js';
+import dunningService from '../services/dunningService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// ======================
+// Validation Rules
+// ======================
+
+const levelValidation = [
+  body('name').notEmpty().trim().isLength({ min: 2, max: 100 }),
+  body('daysOffset').isInt({ min: -365, max: 365 }),
+  body('template').optional().matches(/^[a-z0-9-]+$/),
+  body('subject').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('lateFeeType').optional().isIn(['none', 'fixed', 'percentage', 'interest']),
+  body('lateFeeValue').optional().isFloat({ min: 0 }),
+  body('isFinalNotice').optional().isBoolean(),
+  body('isActive').optional().isBoolean()
+];
+
+const levelUpdateValidation = [
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }),
+  body('daysOffset').optional().isInt({ min: -365, max: 365 }),
+  body('template').optional().matches(/^[a-z0-9-]+$/),
+  body('subject').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('lateFeeType').optional().isIn(['none', 'fixed', 'percentage', 'interest']),
+  body('lateFeeValue').optional().isFloat({ min: 0 }),
+  body('isFinalNotice').optional().isBoolean(),
+  body('isActive').optional().isBoolean()
+];
+
+const sourceValidation = [
+  param('sourceType').isIn(['document', 'invoice']),
+  param('id').isUUID()
+];
+
+// ======================
+// Routes
+// ======================
+
+// GET /api/dunning/levels - List dunning levels
+router.get('/levels', authenticate, can('dunning.manage'), async (req, res) => {
+  try {
+    const levels = await dunningService.getLevels();
+
+    res.json({
+      success: true,
+      data: levels
+    });
+
+  } catch (error) {
+    console.error('Get dunning levels error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/dunning/levels - Create dunning level
+router.post('/levels', authenticate, can('dunning.levels.manage'), levelValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const level = await dunningService.createLevel(req.body, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'create',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'DunningLevel',
+      entityId: level.id,
+      entityName: level.name,
+      description: `Created dunning level at ${level.daysOffset} days`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: level
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create dunning level error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/dunning/levels/:id - Update dunning level
+router.put('/levels/:id', authenticate, can('dunning.levels.manage'), levelUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const level = await DunningLevel.findByPk(req.params.id);
+    if (!level) {
+      return res.status(404).json({ error: 'Dunning level not found' });
+    }
+
+    await dunningService.updateLevel(level, req.body);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'DunningLevel',
+      entityId: level.id,
+      entityName: level.name,
+      description: 'Updated dunning level'
+    });
+
+    res.json({
+      success: true,
+      data: level
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update dunning level error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/dunning/levels/:id - Delete dunning level (only if never sent)
+router.delete('/levels/:id', authenticate, can('dunning.levels.manage'), [param('id').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const level = await DunningLevel.findByPk(req.params.id);
+    if (!level) {
+      return res.status(404).json({ error: 'Dunning level not found' });
+    }
+
+    await dunningService.deleteLevel(level);
+
+    await auditService.log({
+      action: 'delete',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'DunningLevel',
+      entityId: level.id,
+      entityName: level.name,
+      description: 'Deleted dunning level'
+    });
+
+    res.json({
+      success: true,
+      message: 'Dunning level deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete dunning level error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/dunning/run - Run dunning now (dryRun=true για προεπισκόπηση)
+router.post('/run', authenticate, can('dunning.run'), [
+  body('dryRun').optional().isBoolean(),
+  body('date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const results = await dunningService.run({
+      trigger: 'manual',
+      userId: req.user.id,
+      dryRun,
+      date: req.body.date
+    });
+
+    if (!dryRun) {
+      await auditService.log({
+        action: 'email',
+        userId: req.user.id,
+        userName: req.user.name,
+        entityType: 'DunningReminder',
+        description: 'Ran payment reminders manually',
+        metadata: {
+          processed: results.processed,
+          sent: results.sent.length,
+          skipped: results.skipped.length,
+          failed: results.failed.length
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: results,
+      summary: {
+        processed: results.processed,
+        sent: results.sent.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Run dunning error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/dunning/reminders - Reminder log
+router.get('/reminders', authenticate, can('dunning.manage'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'sent', 'failed']),
+  query('sourceType').optional().isIn(['document', 'invoice']),
+  query('sourceId').optional().isUUID(),
+  query('companyId').optional().isUUID(),
+  query('memberId').optional().isUUID(),
+  query('levelId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status, sourceType, sourceId, companyId, memberId, levelId } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (sourceType) where.sourceType = sourceType;
+    if (sourceId) where.sourceId = sourceId;
+    if (companyId) where.companyId = companyId;
+    if (memberId) where.memberId = memberId;
+    if (levelId) where.dunningLevelId = levelId;
+
+    const { count, rows } = await DunningReminder.findAndCountAll({
+      where,
+      include: [
+        { model: DunningLevel, as: 'level', attributes: ['id', 'name', 'daysOffset'] },
+        { model: Company, as: 'company', attributes: ['id', 'name'] },
+        { model: Member, as: 'member', attributes: ['id', 'email'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dunning reminders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/dunning/:sourceType/:id/dispute - Open dispute (σταματά τις υπενθυμίσεις)
+router.post('/:sourceType/:id/dispute', authenticate, can('dunning.manage'), [
+  ...sourceValidation,
+  body('reason').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sourceType, id } = req.params;
+    const source = await dunningService.openDispute(sourceType, id, req.body.reason);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: sourceType === 'invoice' ? 'Invoice' : 'Document',
+      entityId: id,
+      description: 'Opened payment dispute',
+      metadata: { reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: source.id,
+        disputedAt: source.disputedAt,
+        disputeReason: source.disputeReason
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Open dispute error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/dunning/:sourceType/:id/dispute - Resolve dispute (οι υπενθυμίσεις συνεχίζουν)
+router.delete('/:sourceType/:id/dispute', authenticate, can('dunning.manage'), sourceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sourceType, id } = req.params;
+    await dunningService.resolveDispute(sourceType, id);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: sourceType === 'invoice' ? 'Invoice' : 'Document',
+      entityId: id,
+      description: 'Resolved payment dispute'
+    });
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/dunning/opt-out/:customerType/:id - Exclude or include customer in reminders
+router.put('/opt-out/:customerType/:id', authenticate, can('dunning.manage'), [
+  param('customerType').isIn(['company', 'member']),
+  param('id').isUUID(),
+  body('optOut').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { customerType, id } = req.params;
+    const optOut = req.body.optOut === true || req.body.optOut === 'true';
+
+    await dunningService.setOptOut(customerType, id, optOut);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: customerType === 'member' ? 'Member' : 'Company',
+      entityId: id,
+      description: optOut ? 'Opted out of payment reminders' : 'Opted in to payment reminders'
+    });
+
+    res.json({
+      success: true,
+      data: { id, dunningOptOut: optOut }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update dunning opt-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
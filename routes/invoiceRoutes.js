@@ -6,8 +6,17 @@ import { body, validationResult, param, query } from 'express-validator';
 import { Op } from 'sequelize';
 import { Invoice, InvoiceItem, Company, sequelize } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
+import { checkPlanLimit } from '../middleware/subscription.js';
+import { AppError } from '../middleware/errorHandler.js';
 import auditService from '../services/auditService.js';
 import pdfService from '../services/pdfService.js';
+import creditNoteService from '../services/creditNoteService.js';
+import {
+  INCOME_CLASSIFICATION_TYPES,
+  INCOME_CLASSIFICATION_CATEGORIES,
+  VAT_EXEMPTION_CATEGORIES
+} from '../utils/mydataCodes.js';
+import { METERED_INVOICE_TYPES } from '../utils/usageMeter.js';
 
 const router = express.Router();
 
@@ -26,7 +35,13 @@ const invoiceValidation = [
   body('items.*.description').notEmpty().withMessage('Item description required'),
   body('items.*.quantity').isFloat({ min: 0.0001 }).withMessage('Valid quantity required'),
   body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Valid unit price required'),
-  body('items.*.vatCategory').isIn(['normal', 'reduced', 'super_reduced', 'exempt', 'reverse'])
+  body('items.*.vatCategory').isIn(['normal', 'reduced', 'super_reduced', 'exempt', 'reverse']),
+  body('items.*.incomeClassification').optional({ nullable: true }).isIn(Object.keys(INCOME_CLASSIFICATION_TYPES)),
+  body('items.*.incomeClassificationCategory').optional({ nullable: true })
+    .isIn(Object.keys(INCOME_CLASSIFICATION_CATEGORIES)),
+  body('items.*.vatExceptionCategory').optional({ nullable: true })
+    .isIn(Object.keys(VAT_EXEMPTION_CATEGORIES)).withMessage('Invalid AADE VAT exemption category'),
+  body('items.*.creditedItemId').optional({ nullable: true }).isUUID()
 ];
 
 const updateInvoiceValidation = [
@@ -34,6 +49,21 @@ const updateInvoiceValidation = [
   ...invoiceValidation.slice(1) // Skip companyId validation for updates
 ];
 
+const creditNoteValidation = [
+  param('id').isUUID().withMessage('Valid invoice ID required'),
+  body('lines').optional().isArray(),
+  body('lines.*.itemId').isUUID().withMessage('Valid invoice line ID required'),
+  body('lines.*.quantity').optional({ nullable: true }).isFloat({ min: 0.0001 }).withMessage('Valid quantity required'),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  body('issueDate').optional().isISO8601().toDate(),
+  body('series').optional().isString().isLength({ min: 1, max: 10 })
+];
+
+// Γραμμές πιστωτικού που αναφέρονται σε γραμμές του αρχικού τιμολογίου
+const getCreditedLines = (items) => items
+  .filter(item => item.creditedItemId)
+  .map(item => ({ itemId: item.creditedItemId, quantity: item.quantity }));
+
 const invoiceQueryValidation = [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -167,6 +197,8 @@ router.get('/:id', authenticate, param('id').isUUID(), async (req, res) => {
 
 // POST /api/invoices - Create new invoice
 router.post('/', authenticate, invoiceValidation, async (req, res) => {
+  let t;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -198,6 +230,33 @@ router.post('/', authenticate, invoiceValidation, async (req, res) => {
       return res.status(400).json({ error: 'Company not found' });
     }
 
+    // Αριθμός, εγγραφή και γραμμές στο ίδιο transaction (αδιάσπαστη αρίθμηση)
+    t = await sequelize.transaction();
+
+    if (METERED_INVOICE_TYPES.includes(type)) {
+      const blocked = await checkPlanLimit(req.tenant, 'invoices', 1, { transaction: t });
+      if (blocked) {
+        await t.rollback();
+        return res.status(402).json(blocked);
+      }
+    }
+
+    // Πιστωτικό με αρχικό τιμολόγιο: έλεγχος υπολοίπου προς πίστωση ανά γραμμή
+    const creditsParent = type === 'credit_note' && parentInvoiceId;
+    if (creditsParent) {
+      const parentInvoice = await Invoice.findByPk(parentInvoiceId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!parentInvoice) {
+        throw new AppError('Parent invoice not found', 400);
+      }
+
+      creditNoteService.assertCreditable(parentInvoice);
+
+      const creditedLines = getCreditedLines(items);
+      if (creditedLines.length > 0) {
+        await creditNoteService.resolveLines(parentInvoice, creditedLines, { transaction: t });
+      }
+    }
+
     // Create invoice
     const invoice = await Invoice.create({
       companyId,
@@ -217,7 +276,7 @@ router.post('/', authenticate, invoiceValidation, async (req, res) => {
       parentInvoiceId,
       createdBy: req.user.id,
       updatedBy: req.user.id
-    });
+    }, { transaction: t });
 
     // Create invoice items
     let totalSubtotal = 0;
@@ -233,7 +292,7 @@ router.post('/', authenticate, invoiceValidation, async (req, res) => {
 
       const invoiceItem = InvoiceItem.build(itemData);
       invoiceItem.calculateAmounts();
-      await invoiceItem.save();
+      await invoiceItem.save({ transaction: t });
 
       totalSubtotal += parseFloat(invoiceItem.totalPrice);
       totalVatAmount += parseFloat(invoiceItem.vatAmount);
@@ -249,7 +308,13 @@ router.post('/', authenticate, invoiceValidation, async (req, res) => {
       vatAmount: totalVatAmount,
       discountAmount: totalDiscountAmount,
       totalAmount
-    });
+    }, { transaction: t });
+
+    if (creditsParent) {
+      await creditNoteService.refreshCreditedAmount(parentInvoiceId, { transaction: t });
+    }
+
+    await t.commit();
 
     // Audit log
     await auditService.log({
@@ -284,6 +349,10 @@ router.post('/', authenticate, invoiceValidation, async (req, res) => {
     });
 
   } catch (error) {
+    if (t && !t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Create invoice error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -314,6 +383,19 @@ router.put('/:id', authenticate, updateInvoiceValidation, async (req, res) => {
 
     const { items, ...invoiceData } = req.body;
 
+    // Οι γραμμές πιστωτικού δεν ξεπερνούν το υπόλοιπο του αρχικού (εκτός από τις δικές του)
+    const creditsParent = invoice.type === 'credit_note' && invoice.parentInvoiceId;
+    if (creditsParent && items) {
+      const creditedLines = getCreditedLines(items);
+      if (creditedLines.length > 0) {
+        const parentInvoice = await Invoice.findByPk(invoice.parentInvoiceId);
+        if (!parentInvoice) {
+          throw new AppError('Parent invoice not found', 400);
+        }
+        await creditNoteService.resolveLines(parentInvoice, creditedLines, { excludeInvoiceId: invoice.id });
+      }
+    }
+
     // Update invoice basic data
     await invoice.update({
       ...invoiceData,
@@ -358,6 +440,10 @@ router.put('/:id', authenticate, updateInvoiceValidation, async (req, res) => {
         discountAmount: totalDiscountAmount,
         totalAmount
       });
+
+      if (creditsParent) {
+        await creditNoteService.refreshCreditedAmount(invoice.parentInvoiceId);
+      }
     }
 
     // Audit log
@@ -388,6 +474,9 @@ router.put('/:id', authenticate, updateInvoiceValidation, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Update invoice error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -417,6 +506,11 @@ router.delete('/:id', authenticate, param('id').isUUID(), async (req, res) => {
     // Soft delete
     await invoice.destroy();
 
+    // Το διαγραμμένο πιστωτικό αποδεσμεύει το υπόλοιπο του αρχικού
+    if (invoice.type === 'credit_note' && invoice.parentInvoiceId) {
+      await creditNoteService.refreshCreditedAmount(invoice.parentInvoiceId);
+    }
+
     // Audit log
     await auditService.log({
       action: 'delete',
@@ -441,6 +535,79 @@ router.delete('/:id', authenticate, param('id').isUUID(), async (req, res) => {
   }
 });
 
+// GET /api/invoices/:id/creditable - Remaining creditable quantity per line
+router.get('/:id/creditable', authenticate, param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const creditable = await creditNoteService.getCreditableLines(req.params.id);
+
+    res.json({
+      success: true,
+      data: creditable
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get creditable lines error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/invoices/:id/credit-note - Create credit note (full or per-line partial reversal)
+router.post('/:id/credit-note', authenticate, creditNoteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lines, reason, issueDate, series } = req.body;
+
+    const creditNote = await creditNoteService.createFromInvoice(
+      req.params.id,
+      { lines, reason, issueDate, series },
+      { userId: req.user.id }
+    );
+
+    // Audit log
+    await auditService.log({
+      action: 'create',
+      status: 'success',
+      category: 'invoices',
+      entityType: 'Invoice',
+      entityId: creditNote.id,
+      userId: req.user.id,
+      userName: req.user.name,
+      description: `Created credit_note ${creditNote.getDisplayNumber()} for ${creditNote.referenceNumber}`,
+      metadata: {
+        parentInvoiceId: req.params.id,
+        totalAmount: creditNote.totalAmount,
+        fullReversal: !lines || lines.length === 0
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      data: creditNote,
+      message: 'Credit note created successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create credit note error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/invoices/:id/send - Send invoice to customer
 router.post('/:id/send', authenticate, param('id').isUUID(), async (req, res) => {
   try {
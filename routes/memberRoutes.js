@@ -4,12 +4,16 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
 import Member from '../models/Member.js';
 import Company from '../models/Company.js';
 import Document from '../models/Document.js';
 import auditService from '../services/auditService.js';
 import emailService from '../services/emailService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import statementService from '../services/statementService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { checkPlanLimit } from '../middleware/subscription.js';
+import { AppError } from '../middleware/errorHandler.js';
 import { cache } from '../middleware/cache.js';
 import ExcelJS from 'exceljs';
 
@@ -213,7 +217,9 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // POST /api/members - Create new member
-router.post('/', authenticate, authorize(['admin', 'manager']), memberValidation, async (req, res) => {
+router.post('/', authenticate, can('members.create'), memberValidation, async (req, res) => {
+  let t;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -246,11 +252,22 @@ router.post('/', authenticate, authorize(['admin', 'manager']), memberValidation
       }
     }
 
+    // Όριο μελών του πακέτου και δημιουργία στο ίδιο transaction
+    t = await sequelize.transaction();
+
+    const blocked = await checkPlanLimit(req.tenant, 'members', 1, { transaction: t });
+    if (blocked) {
+      await t.rollback();
+      return res.status(402).json(blocked);
+    }
+
     // Create member
     const member = await Member.create({
       ...req.body,
       createdBy: req.user.id
-    });
+    }, { transaction: t });
+
+    await t.commit();
 
     // Send welcome email
     if (member.email) {
@@ -279,13 +296,17 @@ router.post('/', authenticate, authorize(['admin', 'manager']), memberValidation
     });
 
   } catch (error) {
+    if (t && !t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Create member error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // PUT /api/members/:id - Update member
-router.put('/:id', authenticate, authorize(['admin', 'manager']), memberValidation, async (req, res) => {
+router.put('/:id', authenticate, can('members.update'), memberValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -365,7 +386,7 @@ router.put('/:id', authenticate, authorize(['admin', 'manager']), memberValidati
 });
 
 // DELETE /api/members/:id - Delete member
-router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
+router.delete('/:id', authenticate, can('members.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -413,7 +434,7 @@ router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
 });
 
 // POST /api/members/:id/renew - Renew membership
-router.post('/:id/renew', authenticate, authorize(['admin', 'manager', 'accountant']), async (req, res) => {
+router.post('/:id/renew', authenticate, can('members.renew'), async (req, res) => {
   try {
     const { id } = req.params;
     const { months = 12, paid = false, paymentMethod, notes } = req.body;
@@ -472,7 +493,7 @@ router.post('/:id/renew', authenticate, authorize(['admin', 'manager', 'accounta
 });
 
 // POST /api/members/:id/send-reminder - Send renewal reminder
-router.post('/:id/send-reminder', authenticate, authorize(['admin', 'manager']), async (req, res) => {
+router.post('/:id/send-reminder', authenticate, can('members.remind'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -565,8 +586,97 @@ router.get('/:id/documents', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/members/:id/statement - Member statement (JSON, PDF or Excel)
+router.get('/:id/statement', authenticate, [
+  param('id').isUUID(),
+  query('dateFrom').optional().isISO8601(),
+  query('dateTo').optional().isISO8601(),
+  query('format').optional().isIn(['json', 'pdf', 'excel'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dateFrom, dateTo, format = 'json' } = req.query;
+    const statement = await statementService.generateStatement({ memberId: req.params.id }, { dateFrom, dateTo });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: statement
+      });
+    }
+
+    const issuer = await statementService.resolveIssuer(req.user.id);
+    const file = await statementService.exportStatement(statement, format, { issuer });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get member statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/members/:id/statement/send - Email statement to member
+router.post('/:id/statement/send', authenticate, can('statements.send'), [
+  param('id').isUUID(),
+  body('dateFrom').optional().isISO8601(),
+  body('dateTo').optional().isISO8601(),
+  body('email').optional().isEmail(),
+  body('message').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dateFrom, dateTo, email, message } = req.body;
+    const statement = await statementService.generateStatement({ memberId: req.params.id }, { dateFrom, dateTo });
+    const issuer = await statementService.resolveIssuer(req.user.id);
+
+    await statementService.sendStatement(statement, { to: email, issuer, message });
+
+    await auditService.log({
+      action: 'email',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Member',
+      entityId: req.params.id,
+      entityName: statement.customer.name,
+      description: `Sent statement ${statement.dateFrom} - ${statement.dateTo}`,
+      metadata: {
+        to: email || statement.customer.email,
+        closingBalance: statement.summary.closingBalance
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Statement sent successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Send member statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/members/import - Bulk import members
-router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/import', authenticate, can('members.import'), async (req, res) => {
+  let t;
+
   try {
     const { members } = req.body;
 
@@ -574,6 +684,15 @@ router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
       return res.status(400).json({ error: 'No members to import' });
     }
 
+    // Όριο για όλη τη λίστα· το κλείδωμα του tenant κρατά μέχρι το τέλος της εισαγωγής
+    t = await sequelize.transaction();
+
+    const blocked = await checkPlanLimit(req.tenant, 'members', members.length, { transaction: t });
+    if (blocked) {
+      await t.rollback();
+      return res.status(402).json(blocked);
+    }
+
     const results = {
       success: [],
       errors: []
@@ -588,7 +707,8 @@ router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
               { vatNumber: memberData.vatNumber },
               { email: memberData.email }
             ]
-          }
+          },
+          transaction: t
         });
 
         if (existing) {
@@ -599,10 +719,11 @@ router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
           continue;
         }
 
-        const member = await Member.create({
+        // Savepoint ανά μέλος: μια άκυρη γραμμή δεν ακυρώνει τις υπόλοιπες
+        const member = await sequelize.transaction({ transaction: t }, savepoint => Member.create({
           ...memberData,
           createdBy: req.user.id
-        });
+        }, { transaction: savepoint }));
 
         results.success.push(member);
 
@@ -614,6 +735,8 @@ router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
       }
     }
 
+    await t.commit();
+
     // Audit log
     await auditService.log({
       action: 'import',
@@ -634,13 +757,17 @@ router.post('/import', authenticate, authorize(['admin']), async (req, res) => {
     });
 
   } catch (error) {
+    if (t && !t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Import members error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // GET /api/members/export - Export members to Excel
-router.get('/export', authenticate, authorize(['admin', 'manager']), async (req, res) => {
+router.get('/export', authenticate, can('members.export'), async (req, res) => {
   try {
     const { status, category } = req.query;
 
@@ -3,10 +3,26 @@
 
 import express from 'express';
 import { body, validationResult, param, query } from 'express-validator';
-import { Invoice, InvoiceItem, Company } from '../models/index.js';
-import { authenticate, requireRole } from '../middleware/auth.js';
+import { Op } from 'sequelize';
+import {
+  Invoice,
+  InvoiceItem,
+  Company,
+  MyDataSubmissionJob,
+  MyDataSubmissionItem,
+  MyDataSubmissionAttempt,
+  PurchaseDocument
+} from '../models/index.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
 import mydataService from '../services/mydataService.js';
+import mydataCredentialService from '../services/mydataCredentialService.js';
+import mydataQueueService from '../services/mydataQueueService.js';
+import mydataSyncService from '../services/mydataSyncService.js';
+import mydataReconciliationService from '../services/mydataReconciliationService.js';
+import purchaseService from '../services/purchaseService.js';
 import auditService from '../services/auditService.js';
+import mydataCodeTables from '../utils/mydataCodes.js';
 
 const router = express.Router();
 
@@ -24,13 +40,37 @@ const dateRangeValidation = [
   })
 ];
 
+// Εκδότης: ρητό companyId ή η εταιρεία του χρήστη
+const issuerValidation = [
+  query('companyId').optional().isUUID()
+];
+
+const credentialsValidation = [
+  param('companyId').isUUID(),
+  body('environment').optional().isIn(['sandbox', 'production']),
+  body('aadeUserId').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('subscriptionKey').optional().trim().notEmpty().isLength({ max: 255 }),
+  body('vatNumber').optional().matches(/^\d{9}$/).withMessage('VAT number must be 9 digits'),
+  body('country').optional().isISO31661Alpha2(),
+  body('branch').optional().isInt({ min: 0 }).toInt(),
+  body('street').optional({ nullable: true }).trim().isLength({ max: 150 }),
+  body('streetNumber').optional({ nullable: true }).trim().isLength({ max: 20 }),
+  body('postalCode').optional({ nullable: true }).trim().isLength({ max: 20 }),
+  body('city').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('syncEnabled').optional().isBoolean().toBoolean()
+];
+
+const getIssuerCompanyId = req => req.query.companyId || req.user.companyId || null;
+
 // ======================
 // Routes
 // ======================
 
 // POST /api/mydata/submit/:id - Submit single invoice to MyDATA
-router.post('/submit/:id', authenticate, requireRole(['admin', 'manager', 'accountant']), 
+router.post('/submit/:id', authenticate, can('mydata.submit'), 
   param('id').isUUID(), async (req, res) => {
+  let invoice;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -38,17 +78,22 @@ router.post('/submit/:id', authenticate, requireRole(['admin', 'manager', 'accou
     }
 
     // Find invoice with all necessary data
-    const invoice = await Invoice.findByPk(req.params.id, {
+    invoice = await Invoice.findByPk(req.params.id, {
       include: [
         {
           model: Company,
           as: 'company',
-          attributes: ['id', 'name', 'vatNumber', 'country', 'address', 'city', 'postalCode']
+          attributes: ['id', 'name', 'legalName', 'afm', 'country', 'street', 'streetNumber', 'city', 'postalCode']
         },
         {
           model: InvoiceItem,
           as: 'items',
           order: [['sortOrder', 'ASC']]
+        },
+        {
+          model: Invoice,
+          as: 'parentInvoice',
+          attributes: ['id', 'type', 'mydataId']
         }
       ]
     });
@@ -72,8 +117,20 @@ router.post('/submit/:id', authenticate, requireRole(['admin', 'manager', 'accou
       });
     }
 
+    // Διαπιστευτήρια και στοιχεία του εκδότη (εταιρεία του χρήστη που το εξέδωσε)
+    const service = await mydataCredentialService.forInvoice(invoice);
+
+    // Κανόνες τύπου παραστατικού πριν την αποστολή
+    const validationErrors = service.getValidationErrors(invoice);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invoice failed MyDATA validation',
+        errors: validationErrors
+      });
+    }
+
     // Submit to MyDATA
-    const result = await mydataService.submitInvoice(invoice);
+    const result = await service.submitInvoice(invoice);
 
     // Audit log
     await auditService.log({
@@ -109,6 +166,27 @@ router.post('/submit/:id', authenticate, requireRole(['admin', 'manager', 'accou
     }
 
   } catch (error) {
+    // ΑΑΔΕ μη διαθέσιμη: έκδοση σε απώλεια διασύνδεσης και αυτόματη διαβίβαση από την ουρά
+    if (invoice && mydataService.isConnectionLoss(error)) {
+      try {
+        const { job } = await mydataQueueService.issueOffline(invoice, error, { userId: req.user.id });
+
+        return res.status(202).json({
+          success: true,
+          offline: true,
+          message: 'MyDATA unreachable; invoice issued under connection loss and queued for transmission',
+          jobId: job?.id || null,
+          transmissionFailure: invoice.mydataTransmissionFailure
+        });
+      } catch (offlineError) {
+        console.error('MyDATA offline issue error:', offlineError);
+      }
+    }
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('MyDATA submission error:', error);
     
     // Security audit for failed submissions
@@ -126,8 +204,8 @@ router.post('/submit/:id', authenticate, requireRole(['admin', 'manager', 'accou
   }
 });
 
-// POST /api/mydata/bulk-submit - Submit multiple invoices to MyDATA
-router.post('/bulk-submit', authenticate, requireRole(['admin', 'manager']), 
+// POST /api/mydata/bulk-submit - Queue multiple invoices for MyDATA submission (returns job id)
+router.post('/bulk-submit', authenticate, can('mydata.submit.bulk'), 
   body('invoiceIds').isArray({ min: 1 }).withMessage('At least one invoice ID required'),
   body('invoiceIds.*').isUUID().withMessage('Valid invoice IDs required'),
   async (req, res) => {
@@ -137,67 +215,47 @@ router.post('/bulk-submit', authenticate, requireRole(['admin', 'manager']),
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { invoiceIds } = req.body;
-
-    // Find all invoices with necessary data
-    const invoices = await Invoice.findAll({
-      where: {
-        id: invoiceIds,
-        status: ['sent', 'paid'], // Only allow finalized invoices
-        mydataStatus: ['pending', 'rejected'] // Only pending or previously rejected
-      },
-      include: [
-        {
-          model: Company,
-          as: 'company',
-          attributes: ['id', 'name', 'vatNumber', 'country', 'address', 'city', 'postalCode']
-        },
-        {
-          model: InvoiceItem,
-          as: 'items',
-          order: [['sortOrder', 'ASC']]
-        }
-      ]
+    const { job, skipped } = await mydataQueueService.enqueue(req.body.invoiceIds, {
+      userId: req.user.id
     });
 
-    if (invoices.length === 0) {
-      return res.status(400).json({
-        error: 'No eligible invoices found for MyDATA submission'
-      });
-    }
-
-    // Bulk submit to MyDATA
-    const results = await mydataService.bulkSubmitInvoices(invoices);
-
     // Audit log
     await auditService.log({
-      action: 'mydata_bulk_submit',
+      action: 'create',
       status: 'success',
       category: 'mydata',
       userId: req.user.id,
       userName: req.user.name,
-      description: `Bulk MyDATA submission: ${results.submitted} successful, ${results.failed} failed`,
+      entityType: 'MyDataSubmissionJob',
+      entityId: job.id,
+      description: `Queued ${job.totalItems} invoices for MyDATA submission`,
       metadata: {
-        totalInvoices: invoices.length,
-        submitted: results.submitted,
-        failed: results.failed,
-        results: results.results
+        totalInvoices: job.totalItems,
+        skipped
       },
       ipAddress: req.ip
     });
 
-    res.json({
+    // Άμεση επεξεργασία χωρίς αναμονή του επόμενου κύκλου
+    setImmediate(() => mydataQueueService.processDue().catch(error => {
+      console.error('MyDATA queue processing error:', error);
+    }));
+
+    res.status(202).json({
       success: true,
-      message: 'Bulk MyDATA submission completed',
-      summary: {
-        total: invoices.length,
-        submitted: results.submitted,
-        failed: results.failed
-      },
-      results: results.results
+      message: 'Invoices queued for MyDATA submission',
+      data: {
+        jobId: job.id,
+        status: job.status,
+        total: job.totalItems,
+        skipped
+      }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('MyDATA bulk submission error:', error);
     res.status(500).json({ 
       error: 'Bulk MyDATA submission failed',
@@ -206,8 +264,196 @@ router.post('/bulk-submit', authenticate, requireRole(['admin', 'manager']),
   }
 });
 
+// GET /api/mydata/jobs - List submission jobs
+router.get('/jobs', authenticate, can('mydata.view'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['queued', 'processing', 'completed', 'completed_with_errors'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+
+    const { count, rows } = await MyDataSubmissionJob.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get MyDATA jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/mydata/jobs/:id - Submission job progress and items
+router.get('/jobs/:id', authenticate, can('mydata.view'),
+  param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { job, summary, finished } = await mydataQueueService.getJob(req.params.id);
+
+    res.json({
+      success: true,
+      data: job,
+      summary: {
+        ...summary,
+        finished
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get MyDATA job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/mydata/queue/dead-letter - Permanently failed submissions
+router.get('/queue/dead-letter', authenticate, can('mydata.view'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('jobId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, jobId } = req.query;
+
+    const where = { status: 'dead_letter' };
+    if (jobId) where.jobId = jobId;
+
+    const { count, rows } = await MyDataSubmissionItem.findAndCountAll({
+      where,
+      include: [{
+        model: Invoice,
+        as: 'invoice',
+        attributes: ['id', 'invoiceNumber', 'series', 'issueDate', 'totalAmount']
+      }],
+      order: [['updatedAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get MyDATA dead letters error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/mydata/queue/items/:id/retry - Requeue a dead-lettered submission
+router.post('/queue/items/:id/retry', authenticate, can('mydata.retry'),
+  param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await mydataQueueService.retryItem(req.params.id);
+
+    await auditService.log({
+      action: 'update',
+      category: 'mydata',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Invoice',
+      entityId: item.invoiceId,
+      description: 'Requeued MyDATA submission',
+      metadata: { itemId: item.id, jobId: item.jobId },
+      ipAddress: req.ip
+    });
+
+    setImmediate(() => mydataQueueService.processDue().catch(error => {
+      console.error('MyDATA queue processing error:', error);
+    }));
+
+    res.json({
+      success: true,
+      message: 'Submission requeued',
+      data: item
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Retry MyDATA submission error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/mydata/invoices/:id/attempts - Submission attempt history for an invoice
+router.get('/invoices/:id/attempts', authenticate, can('mydata.view'),
+  param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attempts = await MyDataSubmissionAttempt.findAll({
+      where: { invoiceId: req.params.id },
+      include: [{
+        model: MyDataSubmissionItem,
+        as: 'item',
+        attributes: ['id', 'jobId', 'invoiceUid', 'status']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: attempts
+    });
+
+  } catch (error) {
+    console.error('Get MyDATA attempts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // DELETE /api/mydata/cancel/:id - Cancel invoice in MyDATA
-router.delete('/cancel/:id', authenticate, requireRole(['admin', 'manager']),
+router.delete('/cancel/:id', authenticate, can('mydata.cancel'),
   param('id').isUUID(), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -228,7 +474,8 @@ router.delete('/cancel/:id', authenticate, requireRole(['admin', 'manager']),
     }
 
     // Cancel in MyDATA
-    const result = await mydataService.cancelInvoice(invoice);
+    const service = await mydataCredentialService.forInvoice(invoice);
+    const result = await service.cancelInvoice(invoice);
 
     // Audit log
     await auditService.log({
@@ -252,6 +499,9 @@ router.delete('/cancel/:id', authenticate, requireRole(['admin', 'manager']),
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('MyDATA cancellation error:', error);
     res.status(500).json({ 
       error: 'MyDATA cancellation failed',
@@ -269,13 +519,26 @@ router.get('/status/:id', authenticate, param('id').isUUID(), async (req, res) =
     }
 
     const invoice = await Invoice.findByPk(req.params.id, {
-      attributes: ['id', 'invoiceNumber', 'mydataId', 'mydataStatus', 'mydataSubmittedAt']
+      attributes: [
+        'id', 'invoiceNumber', 'mydataId', 'mydataStatus', 'mydataSubmittedAt', 'mydataQr',
+        'mydataTransmissionFailure', 'mydataOfflineAt', 'createdBy'
+      ]
     });
 
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
+    if (invoice.mydataStatus === 'offline') {
+      return res.json({
+        invoiceNumber: invoice.invoiceNumber,
+        mydataStatus: 'offline',
+        transmissionFailure: invoice.mydataTransmissionFailure,
+        offlineAt: invoice.mydataOfflineAt,
+        message: 'Issued under connection loss; transmission pending'
+      });
+    }
+
     if (!invoice.mydataId) {
       return res.json({
         invoiceNumber: invoice.invoiceNumber,
@@ -285,7 +548,8 @@ router.get('/status/:id', authenticate, param('id').isUUID(), async (req, res) =
     }
 
     // Get current status from MyDATA
-    const status = await mydataService.getInvoiceStatus(invoice.mydataId);
+    const service = await mydataCredentialService.forInvoice(invoice);
+    const status = await service.getInvoiceStatus(invoice.mydataId);
 
     // Update local status if different
     if (status.status !== invoice.mydataStatus) {
@@ -299,10 +563,14 @@ router.get('/status/:id', authenticate, param('id').isUUID(), async (req, res) =
       mydataId: invoice.mydataId,
       mydataStatus: status.status,
       submittedAt: invoice.mydataSubmittedAt,
+      qrUrl: invoice.mydataQr,
       details: status.details
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('MyDATA status check error:', error);
     res.status(500).json({ 
       error: 'Failed to check MyDATA status',
@@ -312,8 +580,8 @@ router.get('/status/:id', authenticate, param('id').isUUID(), async (req, res) =
 });
 
 // GET /api/mydata/logs - Get MyDATA transmission logs
-router.get('/logs', authenticate, requireRole(['admin', 'manager', 'accountant']),
-  dateRangeValidation, async (req, res) => {
+router.get('/logs', authenticate, can('mydata.view'),
+  [...dateRangeValidation, ...issuerValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -323,14 +591,15 @@ router.get('/logs', authenticate, requireRole(['admin', 'manager', 'accountant']
     const { dateFrom, dateTo } = req.query;
 
     // Get transmission logs from MyDATA
-    const logs = await mydataService.getTransmissionLogs(dateFrom, dateTo);
+    const service = await mydataCredentialService.forCompany(getIssuerCompanyId(req));
+    const logs = await service.getTransmissionLogs(dateFrom, dateTo);
 
     // Also get local invoice data for correlation
     const localInvoices = await Invoice.findAll({
       where: {
         mydataSubmittedAt: {
-          $gte: dateFrom,
-          $lte: dateTo
+          [Op.gte]: dateFrom,
+          [Op.lte]: dateTo
         }
       },
       attributes: ['id', 'invoiceNumber', 'mydataId', 'mydataStatus', 'mydataSubmittedAt'],
@@ -348,6 +617,9 @@ router.get('/logs', authenticate, requireRole(['admin', 'manager', 'accountant']
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('MyDATA logs error:', error);
     res.status(500).json({ 
       error: 'Failed to retrieve MyDATA logs',
@@ -356,10 +628,110 @@ router.get('/logs', authenticate, requireRole(['admin', 'manager', 'accountant']
   }
 });
 
+// GET /api/mydata/reconciliation - Compare local invoices with records transmitted to AADE
+router.get('/reconciliation', authenticate, can('mydata.view'),
+  [...dateRangeValidation, ...issuerValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await mydataReconciliationService.reconcile({
+      dateFrom: req.query.dateFrom,
+      dateTo: req.query.dateTo,
+      companyId: getIssuerCompanyId(req),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA reconciliation error:', error);
+    res.status(500).json({
+      error: 'MyDATA reconciliation failed',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/mydata/reconciliation/invoices/:id/resubmit - Requeue an invoice missing at AADE
+router.post('/reconciliation/invoices/:id/resubmit', authenticate, can('mydata.retry'),
+  param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { job } = await mydataReconciliationService.resubmit(req.params.id, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Invoice queued for MyDATA submission',
+      jobId: job.id
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA resubmit error:', error);
+    res.status(500).json({
+      error: 'MyDATA resubmission failed',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/mydata/reconciliation/marks/:mark/cancel - Cancel an AADE record with no active local invoice
+router.post('/reconciliation/marks/:mark/cancel', authenticate, can('mydata.cancel'),
+  [param('mark').matches(/^\d+$/).withMessage('MARK must be numeric'), ...issuerValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await mydataReconciliationService.cancelMark(req.params.mark, {
+      companyId: getIssuerCompanyId(req),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'MARK cancelled in MyDATA',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA mark cancellation error:', error);
+    res.status(500).json({
+      error: 'MyDATA cancellation failed',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/mydata/test - Test MyDATA connection
-router.get('/test', authenticate, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/test', authenticate, can('mydata.credentials.view'), issuerValidation, async (req, res) => {
   try {
-    const result = await mydataService.testConnection();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const service = await mydataCredentialService.forCompany(getIssuerCompanyId(req));
+    const result = await service.testConnection();
 
     // Audit log
     await auditService.log({
@@ -371,6 +743,7 @@ router.get('/test', authenticate, requireRole(['admin', 'manager']), async (req,
       description: 'MyDATA connection test',
       metadata: {
         environment: result.environment,
+        companyId: result.companyId,
         success: result.success,
         error: result.error
       },
@@ -394,6 +767,9 @@ router.get('/test', authenticate, requireRole(['admin', 'manager']), async (req,
     }
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('MyDATA connection test error:', error);
     res.status(500).json({ 
       error: 'MyDATA connection test failed',
@@ -402,19 +778,146 @@ router.get('/test', authenticate, requireRole(['admin', 'manager']), async (req,
   }
 });
 
+// GET /api/mydata/credentials/:companyId - Company myDATA credentials (subscription key never returned)
+router.get('/credentials/:companyId', authenticate, can('mydata.credentials.view'),
+  param('companyId').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const credential = await mydataCredentialService.get(req.params.companyId);
+
+    res.json({
+      success: true,
+      data: credential
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get MyDATA credentials error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/mydata/credentials/:companyId - Store company myDATA credentials and issuer details
+router.put('/credentials/:companyId', authenticate, can('mydata.credentials.manage'), credentialsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const credential = await mydataCredentialService.save(req.params.companyId, req.body, {
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'MyDATA credentials saved',
+      data: credential
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Save MyDATA credentials error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/mydata/credentials/:companyId - Remove company myDATA credentials
+router.delete('/credentials/:companyId', authenticate, can('mydata.credentials.manage'),
+  param('companyId').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await mydataCredentialService.remove(req.params.companyId, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'MyDATA credentials removed'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete MyDATA credentials error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/mydata/credentials/:companyId/test - Test company myDATA credentials
+router.post('/credentials/:companyId/test', authenticate, can('mydata.credentials.view'),
+  param('companyId').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await mydataCredentialService.test(req.params.companyId);
+
+    await auditService.log({
+      action: 'mydata_test',
+      status: result.success ? 'success' : 'failure',
+      category: 'mydata',
+      userId: req.user.id,
+      userName: req.user.name,
+      description: 'MyDATA credentials test',
+      metadata: {
+        companyId: req.params.companyId,
+        environment: result.environment,
+        error: result.error
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(result.success ? 200 : 503).json({
+      success: result.success,
+      message: result.success ? result.message : 'MyDATA connection failed',
+      environment: result.environment,
+      error: result.error
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA credentials test error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/mydata/codes - AADE code tables (invoice types, VAT, classifications, taxes)
+router.get('/codes', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: mydataCodeTables
+  });
+});
+
 // GET /api/mydata/pending - Get invoices pending MyDATA submission
-router.get('/pending', authenticate, requireRole(['admin', 'manager', 'accountant']), async (req, res) => {
+router.get('/pending', authenticate, can('mydata.view'), async (req, res) => {
   try {
     const pendingInvoices = await Invoice.findAll({
       where: {
         status: ['sent', 'paid'],
-        mydataStatus: ['pending', 'rejected']
+        mydataStatus: ['pending', 'rejected', 'offline']
       },
       include: [
         {
           model: Company,
           as: 'company',
-          attributes: ['id', 'name', 'vatNumber']
+          attributes: ['id', 'name', 'afm']
         }
       ],
       order: [['issueDate', 'DESC']],
@@ -424,7 +927,8 @@ router.get('/pending', authenticate, requireRole(['admin', 'manager', 'accountan
     const summary = {
       total: pendingInvoices.length,
       pending: pendingInvoices.filter(inv => inv.mydataStatus === 'pending').length,
-      rejected: pendingInvoices.filter(inv => inv.mydataStatus === 'rejected').length
+      rejected: pendingInvoices.filter(inv => inv.mydataStatus === 'rejected').length,
+      offline: pendingInvoices.filter(inv => inv.mydataStatus === 'offline').length
     };
 
     res.json({
@@ -437,10 +941,11 @@ router.get('/pending', authenticate, requireRole(['admin', 'manager', 'accountan
         totalAmount: inv.totalAmount,
         status: inv.status,
         mydataStatus: inv.mydataStatus,
+        mydataOfflineAt: inv.mydataOfflineAt,
         company: {
           id: inv.company.id,
           name: inv.company.name,
-          vatNumber: inv.company.vatNumber
+          vatNumber: inv.company.afm
         }
       }))
     });
@@ -455,7 +960,7 @@ router.get('/pending', authenticate, requireRole(['admin', 'manager', 'accountan
 });
 
 // GET /api/mydata/stats - MyDATA statistics
-router.get('/stats', authenticate, requireRole(['admin', 'manager', 'accountant']), async (req, res) => {
+router.get('/stats', authenticate, can('mydata.view'), async (req, res) => {
   try {
     const stats = await Invoice.findAll({
       attributes: [
@@ -464,7 +969,7 @@ router.get('/stats', authenticate, requireRole(['admin', 'manager', 'accountant'
         [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('total_amount')), 'total']
       ],
       where: {
-        mydataStatus: ['pending', 'submitted', 'accepted', 'rejected']
+        mydataStatus: ['pending', 'submitted', 'accepted', 'rejected', 'offline']
       },
       group: ['mydataStatus'],
       raw: true
@@ -474,7 +979,8 @@ router.get('/stats', authenticate, requireRole(['admin', 'manager', 'accountant'
       pending: { count: 0, total: 0 },
       submitted: { count: 0, total: 0 },
       accepted: { count: 0, total: 0 },
-      rejected: { count: 0, total: 0 }
+      rejected: { count: 0, total: 0 },
+      offline: { count: 0, total: 0 }
     };
 
     stats.forEach(stat => {
@@ -501,4 +1007,261 @@ router.get('/stats', authenticate, requireRole(['admin', 'manager', 'accountant'
   }
 });
 
+// POST /api/mydata/expenses-classification/:id - Submit purchase document expense classification
+router.post('/expenses-classification/:id', authenticate, can('mydata.classify'),
+  param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { document, result } = await purchaseService.submitClassification(req.params.id, {
+      companyId: req.user.companyId,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: result.statusCode === 'Success',
+      message: result.statusCode === 'Success'
+        ? 'Expenses classification submitted to MyDATA'
+        : 'Expenses classification rejected by MyDATA',
+      data: {
+        id: document.id,
+        mark: document.mark,
+        classificationStatus: document.classificationStatus,
+        classificationMark: document.classificationMark,
+        classificationSubmittedAt: document.classificationSubmittedAt,
+        errors: result.errors
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA expenses classification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/mydata/expenses-classification - Purchase documents by classification status
+router.get('/expenses-classification', authenticate, can('mydata.view'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('classificationStatus').optional().isIn(['unclassified', 'classified', 'submitted', 'rejected']),
+  query('supplierId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, classificationStatus, supplierId } = req.query;
+
+    const where = {
+      status: { [Op.ne]: 'cancelled' },
+      // Προεπιλογή: ό,τι εκκρεμεί ακόμα στην ΑΑΔΕ
+      classificationStatus: classificationStatus || ['unclassified', 'classified', 'rejected']
+    };
+    if (supplierId) where.supplierId = supplierId;
+
+    const { count, rows } = await PurchaseDocument.findAndCountAll({
+      where,
+      attributes: [
+        'id', 'supplierId', 'supplierAfm', 'supplierName', 'invoiceType', 'series', 'documentNumber',
+        'issueDate', 'mark', 'netAmount', 'totalAmount', 'classificationStatus', 'classificationMark',
+        'classificationSubmittedAt', 'classificationErrors'
+      ],
+      order: [['issueDate', 'ASC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    const summary = await purchaseService.getClassificationSummary(supplierId ? { supplierId } : {});
+
+    res.json({
+      success: true,
+      data: rows,
+      summary,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('MyDATA expenses classification status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/mydata/income-classification/:id - Submit income classification for a transmitted invoice
+router.post('/income-classification/:id', authenticate, can('mydata.classify'),
+  param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await Invoice.findByPk(req.params.id, {
+      include: [
+        { model: Company, as: 'company', attributes: ['id', 'country'] },
+        { model: InvoiceItem, as: 'items' },
+        { model: Invoice, as: 'parentInvoice', attributes: ['id', 'type', 'mydataId'] }
+      ],
+      order: [[{ model: InvoiceItem, as: 'items' }, 'sortOrder', 'ASC']]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!invoice.mydataId) {
+      return res.status(400).json({ error: 'Invoice not submitted to MyDATA' });
+    }
+
+    const service = await mydataCredentialService.forInvoice(invoice);
+    const result = await service.sendIncomeClassification(invoice);
+    const accepted = result.statusCode === 'Success';
+
+    await invoice.update({
+      metadata: {
+        ...invoice.metadata,
+        mydataIncomeClassification: {
+          statusCode: result.statusCode,
+          classificationMark: result.classificationMark,
+          errors: result.errors,
+          submittedAt: new Date().toISOString()
+        }
+      }
+    });
+
+    res.json({
+      success: accepted,
+      message: accepted
+        ? 'Income classification submitted to MyDATA'
+        : 'Income classification rejected by MyDATA',
+      data: {
+        id: invoice.id,
+        mydataId: invoice.mydataId,
+        classificationMark: result.classificationMark,
+        errors: result.errors
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA income classification error:', error);
+    res.status(500).json({
+      error: 'MyDATA income classification failed',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/mydata/sync - Import received invoices (RequestDocs) as purchase documents
+router.post('/sync', authenticate, can('mydata.sync'), [
+  body('fromMark').optional().matches(/^\d+$/).withMessage('fromMark must be numeric'),
+  body('dateFrom').optional().isISO8601().toDate(),
+  body('dateTo').optional().isISO8601().toDate(),
+  body('companyId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await mydataSyncService.run({
+      trigger: 'manual',
+      companyId: req.body.companyId || req.user.companyId || null,
+      userId: req.user.id,
+      fromMark: req.body.fromMark,
+      dateFrom: req.body.dateFrom,
+      dateTo: req.body.dateTo
+    });
+
+    await auditService.log({
+      action: 'import',
+      status: 'success',
+      category: 'mydata',
+      entityType: 'MyDataSyncRun',
+      entityId: run.id,
+      userId: req.user.id,
+      userName: req.user.name,
+      description: `MyDATA import: ${run.imported} new purchase documents, ${run.unclassified} unclassified`,
+      metadata: {
+        companyId: run.companyId,
+        fromMark: run.fromMark,
+        lastMark: run.lastMark,
+        fetched: run.fetched,
+        suppliersCreated: run.suppliersCreated
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'MyDATA received documents imported',
+      data: run
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('MyDATA import error:', error);
+    res.status(500).json({
+      error: 'MyDATA import failed',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/mydata/sync/runs - Import history
+router.get('/sync/runs', authenticate, can('mydata.view'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['running', 'success', 'failed']),
+  query('companyId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { count, rows } = await mydataSyncService.getRuns({
+      page,
+      limit,
+      status: req.query.status,
+      companyId: req.query.companyId
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get MyDATA import runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
\ No newline at end of file
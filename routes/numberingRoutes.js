@@ -0,0 +1,244 @@
+// routes/numberingRoutes.js
+// Numbering sequence routes (σειρές αρίθμησης και έλεγχος κενών)
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { NumberingSequence } from '../models/index.js';
+import auditService from '../services/auditService.js';
+import numberingService from '../services/numberingService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Οι πληρωμές αριθμούνται με τύπο 'payment'
+const DOCUMENT_TYPES = [
+  'invoice', 'receipt', 'credit_note', 'debit_note', 'quote', 'order', 'delivery_note', 'proforma', 'payment'
+];
+
+const ENTITY_TYPES = ['document', 'invoice', 'payment'];
+
+// ======================
+// Validation Rules
+// ======================
+
+const sequenceValidation = [
+  body('entityType').optional().isIn(ENTITY_TYPES),
+  body('documentType').isIn(DOCUMENT_TYPES),
+  body('series').optional().isString().isLength({ min: 1, max: 10 }),
+  body('fiscalYear').isInt({ min: 2000, max: 2100 }),
+  body('companyId').optional().isUUID(),
+  body('format').optional().isString().isLength({ max: 100 }),
+  body('startValue').optional().isInt({ min: 1 }),
+  body('branch').optional().isString().isLength({ max: 100 }),
+  body('description').optional().isString().isLength({ max: 255 })
+];
+
+const sequenceUpdateValidation = [
+  param('id').isUUID(),
+  body('format').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('startValue').optional().isInt({ min: 1 }),
+  body('branch').optional().isString().isLength({ max: 100 }),
+  body('description').optional().isString().isLength({ max: 255 }),
+  body('isActive').optional().isBoolean()
+];
+
+// ======================
+// Routes
+// ======================
+
+// GET /api/numbering/sequences - List numbering sequences
+router.get('/sequences', authenticate, can('numbering.view'), [
+  query('fiscalYear').optional().isInt(),
+  query('documentType').optional().isIn(DOCUMENT_TYPES),
+  query('entityType').optional().isIn(ENTITY_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fiscalYear, documentType, entityType } = req.query;
+
+    const where = {};
+    if (fiscalYear) where.fiscalYear = parseInt(fiscalYear);
+    if (documentType) where.documentType = documentType;
+    if (entityType) where.entityType = entityType;
+
+    const sequences = await NumberingSequence.findAll({
+      where,
+      order: [['fiscalYear', 'DESC'], ['entityType', 'ASC'], ['documentType', 'ASC'], ['series', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: sequences
+    });
+
+  } catch (error) {
+    console.error('Get numbering sequences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/numbering/preview - Next number for a type/series without issuing it
+router.get('/preview', authenticate, can('numbering.view'), [
+  query('documentType').isIn(DOCUMENT_TYPES),
+  query('entityType').optional().isIn(ENTITY_TYPES),
+  query('series').optional().isString(),
+  query('date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documentType, entityType, series, date } = req.query;
+
+    const preview = await numberingService.preview({ entityType, documentType, series, date });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Preview number error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/numbering/gaps - Gap report for all sequences
+router.get('/gaps', authenticate, can('numbering.view'), [
+  query('fiscalYear').optional().isInt(),
+  query('documentType').optional().isIn(DOCUMENT_TYPES),
+  query('entityType').optional().isIn(ENTITY_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await numberingService.gapReport({
+      fiscalYear: req.query.fiscalYear ? parseInt(req.query.fiscalYear) : undefined,
+      documentType: req.query.documentType,
+      entityType: req.query.entityType
+    });
+
+    res.json({
+      success: true,
+      data: report.sequences,
+      summary: report.summary
+    });
+
+  } catch (error) {
+    console.error('Numbering gap report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/numbering/sequences/:id/gaps - Gap report for one sequence
+router.get('/sequences/:id/gaps', authenticate, can('numbering.view'), param('id').isUUID(), async (req, res) => {
+  try {
+    const sequence = await NumberingSequence.findByPk(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ error: 'Numbering sequence not found' });
+    }
+
+    const report = await numberingService.findGaps(sequence);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Numbering sequence gaps error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/numbering/sequences - Create series (e.g. new branch or fiscal year)
+router.post('/sequences', authenticate, can('numbering.manage'), sequenceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sequence = await numberingService.createSequence(req.body, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'create',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'NumberingSequence',
+      entityId: sequence.id,
+      entityName: sequence.sequenceKey,
+      description: `Created numbering series ${sequence.series} for ${sequence.documentType} ${sequence.fiscalYear}`,
+      newValues: sequence.toJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: sequence
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create numbering sequence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/numbering/sequences/:id - Update format / status of a series
+router.put('/sequences/:id', authenticate, can('numbering.manage'), sequenceUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sequence = await NumberingSequence.findByPk(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ error: 'Numbering sequence not found' });
+    }
+
+    const oldValues = sequence.toJSON();
+    await numberingService.updateSequence(sequence, req.body);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'NumberingSequence',
+      entityId: sequence.id,
+      entityName: sequence.sequenceKey,
+      description: `Updated numbering series ${sequence.series} for ${sequence.documentType} ${sequence.fiscalYear}`,
+      oldValues,
+      newValues: sequence.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: sequence
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update numbering sequence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,685 @@
+// routes/paymentRoutes.js
+// Payment management routes (εισπράξεις, πληρωμές, αποδείξεις)
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { Op } from 'sequelize';
+import {
+  Payment,
+  PaymentAllocation,
+  Document,
+  Invoice,
+  Company,
+  Member,
+  AuditLog,
+  sequelize
+} from '../models/index.js';
+import auditService from '../services/auditService.js';
+import paymentService from '../services/paymentService.js';
+import pdfService from '../services/pdfService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const PAYMENT_METHODS = [
+  'cash', 'bank_transfer', 'credit_card', 'debit_card', 'check', 'paypal',
+  'stripe', 'pos', 'web_banking', 'mobile_payment', 'cryptocurrency', 'other'
+];
+
+// Fields the payment list may be sorted by
+const SORT_FIELDS = [
+  'paymentDate', 'paymentNumber', 'amount', 'status', 'paymentMethod', 'createdAt'
+];
+
+// Fields that may be changed after creation
+const EDITABLE_FIELDS = [
+  'paymentDate', 'valueDate', 'amount', 'currency', 'exchangeRate', 'paymentMethod',
+  'bankName', 'bankAccount', 'iban', 'swift', 'checkNumber', 'checkDate', 'checkBank',
+  'cardLastFour', 'cardType', 'transactionId', 'referenceNumber', 'processingFee',
+  'bankCharges', 'description', 'notes', 'internalNotes', 'status', 'tags', 'customFields'
+];
+
+// Statuses an editable (pending/processing) payment may move to; cancel and refund have their own endpoints
+const EDITABLE_STATUSES = ['processing', 'completed', 'failed'];
+
+// ======================
+// Validation Rules
+// ======================
+
+const paymentValidation = [
+  body('type').optional().isIn(['incoming', 'outgoing', 'transfer', 'refund', 'advance', 'deposit']),
+  body('companyId').optional().isUUID(),
+  body('memberId').optional().isUUID(),
+  body('documentId').optional().isUUID(),
+  body('paymentDate').optional().isISO8601(),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount required'),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('paymentMethod').isIn(PAYMENT_METHODS),
+  body('iban').optional().isIBAN(),
+  body('cardLastFour').optional().matches(/^\d{4}$/),
+  body().custom((value) => {
+    if (!value.companyId && !value.memberId && !value.documentId) {
+      throw new Error('companyId, memberId or documentId is required');
+    }
+    return true;
+  })
+];
+
+const paymentUpdateValidation = [
+  param('id').isUUID(),
+  body('paymentDate').optional().isISO8601(),
+  body('valueDate').optional({ nullable: true }).isISO8601(),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Valid amount required'),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('exchangeRate').optional().isFloat({ gt: 0 }),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS),
+  body('status').optional().isIn(EDITABLE_STATUSES),
+  body('iban').optional({ nullable: true }).isIBAN(),
+  body('checkDate').optional({ nullable: true }).isISO8601(),
+  body('cardLastFour').optional({ nullable: true }).matches(/^\d{4}$/),
+  body('processingFee').optional().isFloat({ min: 0 }),
+  body('bankCharges').optional().isFloat({ min: 0 })
+];
+
+const paymentQueryValidation = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('companyId').optional().isUUID(),
+  query('memberId').optional().isUUID(),
+  query('documentId').optional().isUUID(),
+  query('status').optional().isIn(['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded']),
+  query('paymentMethod').optional().isIn(PAYMENT_METHODS),
+  query('sortBy').optional().isIn(SORT_FIELDS),
+  query('sortOrder').optional().isIn(['ASC', 'DESC', 'asc', 'desc'])
+];
+
+const paymentIncludes = [
+  { model: Company, as: 'company', attributes: ['id', 'name', 'afm', 'email'] },
+  { model: Member, as: 'member', attributes: ['id', 'email', 'afm', 'individualData', 'businessData'] },
+  {
+    model: PaymentAllocation,
+    as: 'allocations',
+    include: [{
+      model: Document,
+      as: 'document',
+      attributes: ['id', 'documentType', 'documentNumber', 'documentDate', 'total', 'balanceDue', 'status']
+    }, {
+      model: Invoice,
+      as: 'invoice',
+      attributes: ['id', 'type', 'invoiceNumber', 'issueDate', 'totalAmount', 'paidAmount', 'status']
+    }]
+  }
+];
+
+// ======================
+// Routes
+// ======================
+
+// GET /api/payments - List payments (by company, member or document)
+router.get('/', authenticate, paymentQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      companyId,
+      memberId,
+      documentId,
+      status,
+      type,
+      paymentMethod,
+      isReconciled,
+      startDate,
+      endDate,
+      search,
+      sortBy = 'paymentDate',
+      sortOrder = 'DESC'
+    } = req.query;
+
+    const where = {};
+    if (companyId) where.companyId = companyId;
+    if (memberId) where.memberId = memberId;
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (paymentMethod) where.paymentMethod = paymentMethod;
+    if (isReconciled !== undefined) where.isReconciled = isReconciled === 'true';
+
+    if (startDate || endDate) {
+      where.paymentDate = {};
+      if (startDate) where.paymentDate[Op.gte] = startDate;
+      if (endDate) where.paymentDate[Op.lte] = endDate;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { paymentNumber: { [Op.iLike]: `%${search}%` } },
+        { referenceNumber: { [Op.iLike]: `%${search}%` } },
+        { transactionId: { [Op.iLike]: `%${search}%` } },
+        { description: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    // Φιλτράρισμα ανά παραστατικό ή τιμολόγιο μέσω των αντιστοιχίσεων
+    if (documentId) {
+      const allocations = await PaymentAllocation.findAll({
+        where: { [Op.or]: [{ documentId }, { invoiceId: documentId }] },
+        attributes: ['paymentId']
+      });
+      where.id = allocations.map(a => a.paymentId);
+    }
+
+    const offset = (page - 1) * limit;
+    const { count, rows } = await Payment.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [[sortBy, sortOrder.toUpperCase()]],
+      include: [
+        { model: Company, as: 'company', attributes: ['id', 'name', 'afm'] },
+        { model: Member, as: 'member', attributes: ['id', 'email', 'individualData', 'businessData'] }
+      ],
+      distinct: true
+    });
+
+    const stats = await Payment.findOne({
+      where: { ...where, status: { [Op.notIn]: ['cancelled', 'failed'] } },
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.col('id')), 'totalCount'],
+        [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
+        [sequelize.fn('SUM', sequelize.col('unallocated_amount')), 'totalUnallocated']
+      ],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      },
+      summary: {
+        count: parseInt(stats?.totalCount) || 0,
+        totalAmount: parseFloat(stats?.totalAmount) || 0,
+        totalUnallocated: parseFloat(stats?.totalUnallocated) || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/payments/:id - Get single payment
+router.get('/:id', authenticate, param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findByPk(req.params.id, {
+      include: [
+        ...paymentIncludes,
+        { model: Payment, as: 'refunds' }
+      ]
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    await auditService.log({
+      action: 'read',
+      userId: req.user.id,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      description: 'Viewed payment details'
+    });
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/payments - Create payment (optionally allocated to one document)
+router.post('/', authenticate, can('payments.create'), paymentValidation, async (req, res) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await t.rollback();
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documentId, ...paymentData } = req.body;
+
+    let document = null;
+    if (documentId) {
+      document = await Document.findByPk(documentId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!document) {
+        await t.rollback();
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      paymentData.companyId = paymentData.companyId || document.companyId;
+    }
+
+    const payment = await paymentService.createPayment(paymentData, {
+      userId: req.user.id,
+      transaction: t
+    });
+
+    if (document) {
+      await paymentService.allocateToDocument(payment, document, payment.amount, {
+        userId: req.user.id,
+        transaction: t
+      });
+    }
+
+    await t.commit();
+
+    const fullPayment = await Payment.findByPk(payment.id, { include: paymentIncludes });
+
+    await auditService.log({
+      action: 'create',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      description: `Created ${payment.type} payment of €${parseFloat(payment.amount).toFixed(2)}`,
+      newValues: fullPayment.toJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: fullPayment
+    });
+
+  } catch (error) {
+    // Σφάλμα μετά το commit (φόρτωση, audit) δεν αναιρεί την πληρωμή
+    if (!t.finished) await t.rollback();
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/payments/:id - Update payment
+router.put('/:id', authenticate, can('payments.update'), paymentUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (!payment.canEdit()) {
+      return res.status(400).json({
+        error: 'Payment cannot be edited',
+        reason: payment.isReconciled ? 'Payment is reconciled' : `Payment is ${payment.status}`
+      });
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.amount !== undefined && parseFloat(updates.amount) < parseFloat(payment.allocatedAmount)) {
+      return res.status(400).json({ error: 'Amount cannot be lower than the allocated amount' });
+    }
+
+    const oldValues = payment.toJSON();
+    await payment.update({ ...updates, updatedBy: req.user.id });
+
+    const changes = AuditLog.logChanges(oldValues, payment.toJSON());
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      description: 'Updated payment',
+      ...changes
+    });
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        errors: error.errors.map(e => ({ field: e.path, message: e.message }))
+      });
+    }
+    console.error('Update payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/payments/:id/cancel - Cancel payment and reverse its allocations
+router.post('/:id/cancel', authenticate, can('payments.cancel'), param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const result = await paymentService.cancelPayment(payment, {
+      userId: req.user.id,
+      reason
+    });
+
+    await auditService.log({
+      action: 'cancel',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      description: 'Cancelled payment',
+      metadata: {
+        reason,
+        reversedAllocations: result.reversedAllocations
+      }
+    });
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment cancelled successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Cancel payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/payments/:id/open-documents - Open documents of the payer company
+router.get('/:id/open-documents', authenticate, param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (!payment.companyId) {
+      return res.status(400).json({ error: 'Payment is not linked to a company' });
+    }
+
+    const documents = await paymentService.findOpenDocuments(payment.companyId);
+
+    res.json({
+      success: true,
+      data: documents.map(doc => paymentService.toOpenItem(doc)),
+      summary: {
+        unallocatedAmount: parseFloat(payment.unallocatedAmount),
+        totalOpen: documents.reduce((sum, doc) => sum + paymentService.getBalance(doc), 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get open documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/payments/:id/allocate - Allocate payment across open documents
+router.post('/:id/allocate', authenticate, can('payments.allocate'), [
+  param('id').isUUID(),
+  body('mode').optional().isIn(['auto', 'manual']),
+  body('documentIds').optional().isArray(),
+  body('documentIds.*').optional().isUUID(),
+  body('allocations').optional().isArray({ min: 1 }),
+  body('allocations.*.documentId').optional().isUUID(),
+  body('allocations.*.amount').optional().isFloat({ min: 0.01 }),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mode = 'auto', documentIds, allocations, dryRun = false } = req.body;
+
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const result = await paymentService.allocatePayment(payment, {
+      mode,
+      documentIds,
+      allocations,
+      dryRun,
+      userId: req.user.id
+    });
+
+    const plan = {
+      ...result.plan,
+      lines: result.plan.lines.map(({ document, ...line }) => ({
+        ...line,
+        documentStatus: document.status
+      }))
+    };
+
+    if (result.applied) {
+      await auditService.log({
+        action: 'update',
+        userId: req.user.id,
+        userName: req.user.name,
+        entityType: 'Payment',
+        entityId: payment.id,
+        entityName: payment.paymentNumber,
+        description: `Allocated payment to ${plan.lines.length} document(s)`,
+        metadata: {
+          mode,
+          totalAllocated: plan.totalAllocated,
+          unallocatedAmount: parseFloat(payment.unallocatedAmount),
+          documents: plan.lines.map(line => ({ id: line.documentId, amount: line.amount }))
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      applied: result.applied,
+      data: {
+        paymentId: payment.id,
+        allocatedAmount: parseFloat(payment.allocatedAmount),
+        unallocatedAmount: parseFloat(payment.unallocatedAmount),
+        isFullyAllocated: payment.isFullyAllocated,
+        plan
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Allocate payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/payments/:id/allocations/:allocationId - Remove a single allocation
+router.delete('/:id/allocations/:allocationId', authenticate, can('payments.allocate'), [
+  param('id').isUUID(),
+  param('allocationId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const allocation = await paymentService.removeAllocation(payment, req.params.allocationId, {
+      userId: req.user.id
+    });
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      description: 'Removed payment allocation',
+      metadata: {
+        documentId: allocation.documentId,
+        invoiceId: allocation.invoiceId,
+        amount: parseFloat(allocation.amount)
+      }
+    });
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Allocation removed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Remove allocation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/payments/:id/receipt - Download payment receipt PDF
+router.get('/:id/receipt', authenticate, param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findByPk(req.params.id, { include: paymentIncludes });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (['pending', 'failed', 'cancelled'].includes(payment.status)) {
+      return res.status(400).json({ error: `Cannot issue receipt for ${payment.status} payment` });
+    }
+
+    if (!payment.receiptNumber) {
+      await payment.update({
+        receiptNumber: payment.paymentNumber.replace(/^PAY/, 'RCP')
+      });
+    }
+
+    const pdfBuffer = await pdfService.generatePaymentReceiptPDF(payment);
+
+    await auditService.log({
+      action: 'print',
+      userId: req.user.id,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      description: 'Downloaded payment receipt'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${payment.receiptNumber}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Payment receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/payments/:id - Delete unallocated pending payment
+router.delete('/:id', authenticate, can('payments.delete'), param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (payment.status !== 'pending' || parseFloat(payment.allocatedAmount) > 0) {
+      return res.status(400).json({
+        error: 'Only pending, unallocated payments can be deleted',
+        reason: 'Use the cancel endpoint instead'
+      });
+    }
+
+    await payment.destroy();
+
+    await auditService.logSecurityEvent('PAYMENT_DELETED', 'medium', {
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Payment',
+      entityId: payment.id,
+      entityName: payment.paymentNumber,
+      oldValues: payment.toJSON()
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
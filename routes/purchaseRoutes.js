@@ -0,0 +1,372 @@
+// routes/purchaseRoutes.js
+// Purchase document routes (παραστατικά αγορών και χαρακτηρισμός εξόδων)
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { Op } from 'sequelize';
+import { PurchaseDocument, PurchaseDocumentItem, Company } from '../models/index.js';
+import auditService from '../services/auditService.js';
+import purchaseService from '../services/purchaseService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// ======================
+// Validation Rules
+// ======================
+
+const itemValidation = [
+  body('items.*.lineNumber').optional().isInt({ min: 1 }),
+  body('items.*.description').optional().isString().isLength({ max: 2000 }),
+  body('items.*.netValue').isFloat(),
+  body('items.*.vatCategory').optional().isInt({ min: 1, max: 8 }),
+  body('items.*.vatAmount').optional().isFloat(),
+  body('items.*.classificationType').optional({ nullable: true }).isString(),
+  body('items.*.classificationCategory').optional({ nullable: true }).isString()
+];
+
+const purchaseValidation = [
+  body('supplierId').optional().isUUID(),
+  body('supplierAfm').if(body('supplierId').not().exists()).matches(/^\d{9}$/).withMessage('Supplier ID or 9-digit VAT number required'),
+  body('supplierName').optional().trim().isLength({ max: 255 }),
+  body('invoiceType').optional().matches(/^\d{1,2}\.\d{1,2}$/),
+  body('series').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('documentNumber').notEmpty().trim().isLength({ max: 50 }),
+  body('issueDate').isISO8601(),
+  body('mark').optional({ nullable: true }).matches(/^\d{1,50}$/),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('withheldAmount').optional().isFloat({ min: 0 }),
+  body('status').optional().isIn(['draft', 'posted', 'cancelled']),
+  body('items').isArray({ min: 1 }).withMessage('At least one line required'),
+  ...itemValidation
+];
+
+const updatePurchaseValidation = [
+  param('id').isUUID(),
+  body('supplierId').optional().isUUID(),
+  body('supplierAfm').optional().matches(/^\d{9}$/),
+  body('supplierName').optional().trim().isLength({ max: 255 }),
+  body('invoiceType').optional().matches(/^\d{1,2}\.\d{1,2}$/),
+  body('series').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('documentNumber').optional().notEmpty().trim().isLength({ max: 50 }),
+  body('issueDate').optional().isISO8601(),
+  body('mark').optional({ nullable: true }).matches(/^\d{1,50}$/),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('withheldAmount').optional().isFloat({ min: 0 }),
+  body('status').optional().isIn(['draft', 'posted', 'cancelled']),
+  body('items').optional().isArray({ min: 1 }),
+  ...itemValidation
+];
+
+const classificationValidation = [
+  param('id').isUUID(),
+  body('classifications').isArray({ min: 1 }),
+  body('classifications.*.lineNumber').isInt({ min: 1 }),
+  body('classifications.*.classificationType').notEmpty().isString(),
+  body('classifications.*.classificationCategory').notEmpty().isString()
+];
+
+const purchaseQueryValidation = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('supplierId').optional().isUUID(),
+  query('status').optional().isIn(['draft', 'posted', 'cancelled']),
+  query('classificationStatus').optional().isIn(['unclassified', 'classified', 'submitted', 'rejected']),
+  query('source').optional().isIn(['manual', 'mydata']),
+  query('dateFrom').optional().isISO8601(),
+  query('dateTo').optional().isISO8601()
+];
+
+const handleUniqueError = (error, res) => {
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    res.status(409).json({ error: 'Purchase document already registered (same supplier number or MARK)' });
+    return true;
+  }
+  return false;
+};
+
+// ======================
+// Routes
+// ======================
+
+// GET /api/purchases - List purchase documents
+router.get('/', authenticate, purchaseQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      supplierId,
+      status,
+      classificationStatus,
+      source,
+      dateFrom,
+      dateTo,
+      search
+    } = req.query;
+
+    const where = {};
+    if (supplierId) where.supplierId = supplierId;
+    if (status) where.status = status;
+    if (classificationStatus) where.classificationStatus = classificationStatus;
+    if (source) where.source = source;
+
+    if (dateFrom || dateTo) {
+      where.issueDate = {};
+      if (dateFrom) where.issueDate[Op.gte] = dateFrom;
+      if (dateTo) where.issueDate[Op.lte] = dateTo;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { documentNumber: { [Op.iLike]: `%${search}%` } },
+        { supplierName: { [Op.iLike]: `%${search}%` } },
+        { supplierAfm: { [Op.iLike]: `%${search}%` } },
+        { mark: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await PurchaseDocument.findAndCountAll({
+      where,
+      include: [{ model: Company, as: 'supplier', attributes: ['id', 'name', 'afm'] }],
+      order: [['issueDate', 'DESC'], ['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get purchase documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/purchases/:id - Get purchase document with lines
+router.get('/:id', authenticate, param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PurchaseDocument.findByPk(req.params.id, {
+      include: [
+        { model: Company, as: 'supplier', attributes: ['id', 'name', 'legalName', 'afm', 'doy'] },
+        { model: PurchaseDocumentItem, as: 'items' }
+      ],
+      order: [[{ model: PurchaseDocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'Purchase document not found' });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+
+  } catch (error) {
+    console.error('Get purchase document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/purchases - Register received purchase document
+router.post('/', authenticate, can('purchases.create'), purchaseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await purchaseService.create({ ...req.body, source: 'manual' }, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'create',
+      category: 'purchases',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'PurchaseDocument',
+      entityId: document.id,
+      entityName: document.getDisplayNumber(),
+      description: `Registered purchase document ${document.getDisplayNumber()} from ${document.supplierAfm}`,
+      metadata: {
+        supplierId: document.supplierId,
+        totalAmount: document.totalAmount
+      },
+      ipAddress: req.ip
+    });
+
+    const complete = await PurchaseDocument.findByPk(document.id, {
+      include: [{ model: PurchaseDocumentItem, as: 'items' }],
+      order: [[{ model: PurchaseDocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: complete,
+      message: 'Purchase document created successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (handleUniqueError(error, res)) return;
+    console.error('Create purchase document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/purchases/:id - Update purchase document (πριν την υποβολή χαρακτηρισμού)
+router.put('/:id', authenticate, can('purchases.update'), updatePurchaseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PurchaseDocument.findByPk(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Purchase document not found' });
+    }
+
+    await purchaseService.update(document, req.body, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'update',
+      category: 'purchases',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'PurchaseDocument',
+      entityId: document.id,
+      entityName: document.getDisplayNumber(),
+      description: 'Updated purchase document',
+      ipAddress: req.ip
+    });
+
+    const complete = await PurchaseDocument.findByPk(document.id, {
+      include: [{ model: PurchaseDocumentItem, as: 'items' }],
+      order: [[{ model: PurchaseDocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: complete
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (handleUniqueError(error, res)) return;
+    console.error('Update purchase document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/purchases/:id/classification - Set expense classification per line
+router.put('/:id/classification', authenticate, can('purchases.classify'), classificationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PurchaseDocument.findByPk(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Purchase document not found' });
+    }
+
+    await purchaseService.classify(document, req.body.classifications, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'update',
+      category: 'purchases',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'PurchaseDocument',
+      entityId: document.id,
+      entityName: document.getDisplayNumber(),
+      description: 'Classified purchase document expenses',
+      metadata: { classifications: req.body.classifications },
+      ipAddress: req.ip
+    });
+
+    const complete = await PurchaseDocument.findByPk(document.id, {
+      include: [{ model: PurchaseDocumentItem, as: 'items' }],
+      order: [[{ model: PurchaseDocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: complete
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Classify purchase document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/purchases/:id - Delete purchase document
+router.delete('/:id', authenticate, can('purchases.delete'), param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PurchaseDocument.findByPk(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Purchase document not found' });
+    }
+
+    await purchaseService.remove(document);
+
+    await auditService.log({
+      action: 'delete',
+      category: 'purchases',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'PurchaseDocument',
+      entityId: document.id,
+      entityName: document.getDisplayNumber(),
+      description: 'Deleted purchase document',
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Purchase document deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete purchase document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
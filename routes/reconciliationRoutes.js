@@ -0,0 +1,434 @@
+// routes/reconciliationRoutes.js
+// Bank reconciliation routes (εισαγωγή κινήσεων τράπεζας και συμφωνία πληρωμών)
+
+import express from 'express';
+import multer from 'multer';
+import { body, param, query, validationResult } from 'express-validator';
+import { Op } from 'sequelize';
+import {
+  BankStatement,
+  BankStatementLine,
+  Payment,
+  User
+} from '../models/index.js';
+import auditService from '../services/auditService.js';
+import bankReconciliationService from '../services/bankReconciliationService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { validateFileUpload } from '../middleware/validation.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const MAX_STATEMENT_SIZE = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_SIZE }
+});
+
+const STATEMENT_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/xml',
+  'text/xml'
+];
+
+// ======================
+// Statements
+// ======================
+
+// POST /api/reconciliation/statements - Upload CSV or CAMT.053 statement
+router.post('/statements', authenticate, can('reconciliation.manage'),
+  upload.single('file'),
+  validateFileUpload({ maxSize: MAX_STATEMENT_SIZE, allowedTypes: STATEMENT_TYPES, required: true }),
+  [
+    body('format').optional().isIn(['csv', 'camt053']),
+    body('iban').optional().isIBAN(),
+    body('currency').optional().isLength({ min: 3, max: 3 }),
+    body('mapping').optional().isJSON()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { format, iban, currency, bankName, statementReference, delimiter } = req.body;
+      const columns = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+
+      const result = await bankReconciliationService.importStatement(req.file, {
+        format,
+        userId: req.user.id,
+        mapping: { iban, currency, bankName, statementReference, delimiter, columns }
+      });
+
+      await auditService.log({
+        action: 'import',
+        userId: req.user.id,
+        userName: req.user.name,
+        entityType: 'BankStatement',
+        entityId: result.statement.id,
+        entityName: result.statement.statementReference,
+        description: `Imported bank statement with ${result.lines} line(s)`,
+        metadata: {
+          format: result.statement.format,
+          fileName: result.statement.fileName,
+          proposed: result.proposed,
+          unmatched: result.unmatched
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Statement imported successfully',
+        data: result.statement,
+        summary: {
+          lines: result.lines,
+          proposed: result.proposed,
+          unmatched: result.unmatched
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Import statement error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+// GET /api/reconciliation/statements - List imported statements
+router.get('/statements', authenticate, can('reconciliation.manage'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['imported', 'in_review', 'reconciled']),
+  query('iban').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status, iban } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    if (iban) where.iban = iban.replace(/\s+/g, '').toUpperCase();
+
+    const { count, rows } = await BankStatement.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'importer', attributes: ['id', 'name', 'email'] }],
+      order: [['periodEnd', 'DESC'], ['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get statements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reconciliation/statements/:id - Statement with lines
+router.get('/statements/:id', authenticate, can('reconciliation.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const statement = await BankStatement.findByPk(req.params.id, {
+      include: [
+        {
+          model: BankStatementLine,
+          as: 'lines',
+          include: [{ model: Payment, as: 'payment', attributes: ['id', 'paymentNumber', 'amount', 'companyId'] }]
+        },
+        { model: User, as: 'importer', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [[{ model: BankStatementLine, as: 'lines' }, 'lineNumber', 'ASC']]
+    });
+
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reconciliation/statements/:id/rematch - Re-run matching on open lines
+router.post('/statements/:id/rematch', authenticate, can('reconciliation.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const statement = await BankStatement.findByPk(req.params.id);
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    const summary = await bankReconciliationService.matchStatement(statement);
+
+    res.json({
+      success: true,
+      data: statement,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Rematch statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================
+// Review queue
+// ======================
+
+// GET /api/reconciliation/queue - Unmatched and proposed lines awaiting review
+router.get('/queue', authenticate, can('reconciliation.manage'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('status').optional().isIn(['unmatched', 'proposed']),
+  query('statementId').optional().isUUID(),
+  query('direction').optional().isIn(['credit', 'debit']),
+  query('minConfidence').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 50, status, statementId, direction, minConfidence } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {
+      status: status || ['unmatched', 'proposed']
+    };
+    if (statementId) where.statementId = statementId;
+    if (direction) where.direction = direction;
+    if (minConfidence) where.confidence = { [Op.gte]: parseFloat(minConfidence) };
+
+    const { count, rows } = await BankStatementLine.findAndCountAll({
+      where,
+      include: [{
+        model: BankStatement,
+        as: 'statement',
+        attributes: ['id', 'statementReference', 'iban', 'bankName']
+      }],
+      order: [['bookingDate', 'ASC'], ['lineNumber', 'ASC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const summary = await BankStatementLine.findAll({
+      where: { status: ['unmatched', 'proposed'] },
+      attributes: [
+        'status',
+        [BankStatementLine.sequelize.fn('COUNT', BankStatementLine.sequelize.col('id')), 'count'],
+        [BankStatementLine.sequelize.fn('SUM', BankStatementLine.sequelize.col('amount')), 'amount']
+      ],
+      group: ['status'],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      },
+      summary
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reconciliation/lines/:id/rematch - Recalculate candidates for a line
+router.post('/lines/:id/rematch', authenticate, can('reconciliation.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const line = await BankStatementLine.findByPk(req.params.id);
+    if (!line) {
+      return res.status(404).json({ error: 'Statement line not found' });
+    }
+
+    await bankReconciliationService.matchLine(line);
+
+    res.json({
+      success: true,
+      data: line
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Rematch line error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reconciliation/lines/:id/confirm - Confirm match to payment or document
+router.post('/lines/:id/confirm', authenticate, can('reconciliation.manage'), [
+  param('id').isUUID(),
+  body('paymentId').optional().isUUID(),
+  body('documentId').optional().isUUID(),
+  body('notes').optional().isString(),
+  body().custom((value) => {
+    if (!value.paymentId === !value.documentId) {
+      throw new Error('Exactly one of paymentId or documentId is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const line = await BankStatementLine.findByPk(req.params.id);
+    if (!line) {
+      return res.status(404).json({ error: 'Statement line not found' });
+    }
+
+    const { paymentId, documentId, notes } = req.body;
+
+    const result = await bankReconciliationService.confirmMatch(line, { paymentId, documentId }, {
+      userId: req.user.id,
+      notes
+    });
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Payment',
+      entityId: result.payment.id,
+      entityName: result.payment.paymentNumber,
+      description: `Reconciled with statement ${result.statement.statementReference}`,
+      metadata: {
+        statementLineId: line.id,
+        documentId,
+        amount: parseFloat(line.amount),
+        bookingDate: line.bookingDate
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Statement line reconciled',
+      data: {
+        line,
+        payment: result.payment,
+        statement: {
+          id: result.statement.id,
+          status: result.statement.status,
+          totalLines: result.statement.totalLines,
+          matchedLines: result.statement.matchedLines
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Confirm match error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reconciliation/lines/:id/ignore - Exclude line from reconciliation
+router.post('/lines/:id/ignore', authenticate, can('reconciliation.manage'), [
+  param('id').isUUID(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const line = await BankStatementLine.findByPk(req.params.id);
+    if (!line) {
+      return res.status(404).json({ error: 'Statement line not found' });
+    }
+
+    await bankReconciliationService.ignoreLine(line, {
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Statement line ignored',
+      data: line
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Ignore line error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reconciliation/lines/:id/reopen - Undo confirmation and return line to queue
+router.post('/lines/:id/reopen', authenticate, can('reconciliation.reopen'), param('id').isUUID(), async (req, res) => {
+  try {
+    const line = await BankStatementLine.findByPk(req.params.id);
+    if (!line) {
+      return res.status(404).json({ error: 'Statement line not found' });
+    }
+
+    const previousPaymentId = line.paymentId;
+
+    await bankReconciliationService.reopenLine(line, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'BankStatementLine',
+      entityId: line.id,
+      description: 'Reopened reconciled statement line',
+      metadata: { paymentId: previousPaymentId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Statement line reopened',
+      data: line
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Reopen line error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
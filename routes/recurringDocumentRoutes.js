@@ -0,0 +1,329 @@
+// routes/recurringDocumentRoutes.js
+// Recurring document routes (πρόγραμμα επανάληψης, παύση/συνέχιση, παράλειψη, ιστορικό εκδόσεων)
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import auditService from '../services/auditService.js';
+import recurringDocumentService from '../services/recurringDocumentService.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// ======================
+// Validation Rules
+// ======================
+
+const scheduleValidation = [
+  param('id').isUUID(),
+  body('frequency').optional().isIn(['daily', 'weekly', 'monthly', 'yearly']),
+  body('interval').optional().isInt({ min: 1, max: 365 }).toInt(),
+  body('startDate').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('endDate').optional({ nullable: true }).isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('autoFinalize').optional().isBoolean().toBoolean(),
+  body('autoSend').optional().isBoolean().toBoolean(),
+  body('recipients').optional().isArray({ max: 10 }),
+  body('recipients.*').isEmail()
+];
+
+const idValidation = [param('id').isUUID()];
+
+// Πρότυπο με το πρόγραμμα και τις επόμενες ημερομηνίες έκδοσης
+const formatTemplate = template => ({
+  ...template.toJSON(),
+  upcomingDates: recurringDocumentService.getUpcomingDates(template.recurringSchedule || {})
+});
+
+// ======================
+// Routes
+// ======================
+
+// GET /api/recurring-documents - List recurring templates
+router.get('/', authenticate, can('recurring.manage'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['active', 'paused', 'completed']),
+  query('companyId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { count, rows } = await recurringDocumentService.list({
+      page,
+      limit,
+      status: req.query.status,
+      companyId: req.query.companyId
+    });
+
+    res.json({
+      success: true,
+      data: rows.map(formatTemplate),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get recurring documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/recurring-documents/:id - Get recurring template with upcoming dates
+router.get('/:id', authenticate, can('recurring.manage'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await recurringDocumentService.getTemplate(req.params.id);
+
+    res.json({
+      success: true,
+      data: formatTemplate(template)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get recurring document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/recurring-documents/:id - Make a document recurring or update its schedule
+router.put('/:id', authenticate, can('recurring.manage'), scheduleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await recurringDocumentService.setSchedule(req.params.id, req.body, {
+      userId: req.user.id
+    });
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Document',
+      entityId: template.id,
+      entityName: template.documentNumber,
+      description: `Recurring schedule saved for ${template.documentType}`,
+      newValues: { recurringSchedule: template.recurringSchedule }
+    });
+
+    res.json({
+      success: true,
+      data: formatTemplate(template)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Save recurring schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/recurring-documents/:id - Stop recurring (the document itself is kept)
+router.delete('/:id', authenticate, can('recurring.manage'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await recurringDocumentService.removeSchedule(req.params.id, { userId: req.user.id });
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Document',
+      entityId: template.id,
+      entityName: template.documentNumber,
+      description: `Recurring schedule stopped for ${template.documentType}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring schedule stopped'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Stop recurring schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recurring-documents/:id/pause - Pause generation
+router.post('/:id/pause', authenticate, can('recurring.manage'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await recurringDocumentService.pause(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Recurring schedule paused',
+      data: formatTemplate(template)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Pause recurring schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recurring-documents/:id/resume - Resume generation from the next future date
+router.post('/:id/resume', authenticate, can('recurring.manage'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await recurringDocumentService.resume(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Recurring schedule resumed',
+      data: formatTemplate(template)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Resume recurring schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recurring-documents/:id/skip-next - Skip the next occurrence
+router.post('/:id/skip-next', authenticate, can('recurring.manage'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await recurringDocumentService.skipNext(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Next occurrence skipped',
+      data: formatTemplate(template)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Skip recurring occurrence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recurring-documents/:id/generate - Generate the next occurrence now
+router.post('/:id/generate', authenticate, can('recurring.manage'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { document, run } = await recurringDocumentService.generate(req.params.id, {
+      trigger: 'manual',
+      userId: req.user.id
+    });
+
+    await auditService.log({
+      action: 'create',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'Document',
+      entityId: document.id,
+      entityName: document.documentNumber,
+      description: `Generated recurring ${document.documentType}`,
+      metadata: { templateId: req.params.id, scheduledFor: run.scheduledFor }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { document, run }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Generate recurring document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/recurring-documents/:id/runs - Generation history
+router.get('/:id/runs', authenticate, can('recurring.manage'), [
+  ...idValidation,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { count, rows } = await recurringDocumentService.getRuns(req.params.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get recurring document runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -2,11 +2,15 @@
 // Report generation and analytics routes
 
 import express from 'express';
-import { query, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { Op } from 'sequelize';
+import { SavedReport, ScheduledReport, ScheduledReportRun, User } from '../models/index.js';
 import reportService from '../services/reportService.js';
+import reportSchedulerService from '../services/reportSchedulerService.js';
 import auditService from '../services/auditService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, can } from '../middleware/auth.js';
 import { cache } from '../middleware/cache.js';
+import { AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -25,12 +29,94 @@ const taxReportValidation = [
   query('month').optional().isInt({ min: 1, max: 12 })
 ];
 
+// Τα πεδία/τελεστές ελέγχονται αναλυτικά από το reportService (whitelist)
+const customReportValidation = [
+  body('entityType').isString().notEmpty(),
+  body('fields').optional().isArray(),
+  body('filters').optional().custom(value => typeof value === 'object'),
+  body('groupBy').optional(),
+  body('aggregations').optional().isArray(),
+  body('sortBy').optional().isString(),
+  body('sortOrder').optional().isIn(['asc', 'desc', 'ASC', 'DESC']),
+  body('limit').optional().isInt({ min: 1, max: 5000 }),
+  body('format').optional().isIn(['json', 'excel'])
+];
+
+const savedReportValidation = [
+  body('name').isString().isLength({ min: 1, max: 150 }),
+  body('description').optional().isString(),
+  body('isShared').optional().isBoolean(),
+  body('definition').isObject(),
+  body('definition.entityType').isString().notEmpty()
+];
+
+const SCHEDULED_REPORT_TYPES = reportService.getScheduledReportTypes();
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+
+const scheduleFields = [
+  body('savedReportId').optional({ nullable: true }).isUUID(),
+  body('parameters').optional().isObject(),
+  body('parameters.period').optional().isIn(reportService.getReportPeriods()),
+  body('cronExpression').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('timeOfDay').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('dayOfWeek').optional({ nullable: true }).isInt({ min: 0, max: 6 }),
+  body('dayOfMonth').optional({ nullable: true }).isInt({ min: 1, max: 28 }),
+  body('timezone').optional().isString().isLength({ max: 50 }),
+  body('recipients.*').isEmail(),
+  body('format').optional().isIn(['pdf', 'excel', 'both'])
+];
+
+const scheduledReportValidation = [
+  body('name').isString().isLength({ min: 1, max: 150 }),
+  body('reportType').isIn(SCHEDULED_REPORT_TYPES),
+  body('frequency').optional().isIn(SCHEDULE_FREQUENCIES),
+  body('schedule').optional().isIn(SCHEDULE_FREQUENCIES),
+  body('recipients').isArray({ min: 1 }),
+  ...scheduleFields
+];
+
+const scheduledReportUpdateValidation = [
+  param('id').isUUID(),
+  body('name').optional().isString().isLength({ min: 1, max: 150 }),
+  body('reportType').optional().isIn(SCHEDULED_REPORT_TYPES),
+  body('frequency').optional().isIn(SCHEDULE_FREQUENCIES),
+  body('recipients').optional().isArray({ min: 1 }),
+  ...scheduleFields
+];
+
+// ======================
+// Helpers
+// ======================
+
+const sendCustomReport = async (res, report, format) => {
+  if (format === 'excel') {
+    const buffer = await reportService.exportToExcel(report);
+    const filename = `${report.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${Date.now()}.xlsx`;
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(buffer);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      name: report.name,
+      entityType: report.entityType,
+      columns: report.columns,
+      rows: report.rows
+    },
+    summary: report.summary,
+    definition: report.definition
+  });
+};
+
 // ======================
 // Financial Reports
 // ======================
 
 // GET /api/reports/financial - Generate financial report
-router.get('/financial', authenticate, authorize(['admin', 'manager', 'accountant']), dateRangeValidation, cache(300), async (req, res) => {
+router.get('/financial', authenticate, can('reports.financial.view'), dateRangeValidation, cache(300), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -78,7 +164,7 @@ router.get('/financial', authenticate, authorize(['admin', 'manager', 'accountan
 });
 
 // GET /api/reports/financial/export - Export financial report
-router.get('/financial/export', authenticate, authorize(['admin', 'manager', 'accountant']), dateRangeValidation, async (req, res) => {
+router.get('/financial/export', authenticate, can('reports.financial.view'), dateRangeValidation, async (req, res) => {
   try {
     const {
       startDate,
@@ -138,7 +224,7 @@ router.get('/financial/export', authenticate, authorize(['admin', 'manager', 'ac
 // ======================
 
 // GET /api/reports/customers - Generate customer report
-router.get('/customers', authenticate, authorize(['admin', 'manager', 'accountant']), dateRangeValidation, cache(300), async (req, res) => {
+router.get('/customers', authenticate, can('reports.customers.view'), dateRangeValidation, cache(300), async (req, res) => {
   try {
     const {
       startDate,
@@ -179,7 +265,7 @@ router.get('/customers', authenticate, authorize(['admin', 'manager', 'accountan
 });
 
 // GET /api/reports/aging - Generate aging analysis report
-router.get('/aging', authenticate, authorize(['admin', 'manager', 'accountant']), cache(300), async (req, res) => {
+router.get('/aging', authenticate, can('reports.aging.view'), cache(300), async (req, res) => {
   try {
     const agingReport = await reportService.generateAgingAnalysis();
 
@@ -212,7 +298,7 @@ router.get('/aging', authenticate, authorize(['admin', 'manager', 'accountant'])
 // ======================
 
 // GET /api/reports/tax - Generate tax report
-router.get('/tax', authenticate, authorize(['admin', 'accountant']), taxReportValidation, cache(300), async (req, res) => {
+router.get('/tax', authenticate, can('reports.tax.view'), taxReportValidation, cache(300), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -259,7 +345,7 @@ router.get('/tax', authenticate, authorize(['admin', 'accountant']), taxReportVa
 });
 
 // GET /api/reports/vat - Generate VAT report
-router.get('/vat', authenticate, authorize(['admin', 'accountant']), dateRangeValidation, cache(300), async (req, res) => {
+router.get('/vat', authenticate, can('reports.tax.view'), dateRangeValidation, cache(300), async (req, res) => {
   try {
     const {
       startDate,
@@ -310,7 +396,7 @@ router.get('/vat', authenticate, authorize(['admin', 'accountant']), dateRangeVa
 // ======================
 
 // GET /api/reports/members - Generate member report
-router.get('/members', authenticate, authorize(['admin', 'manager']), cache(300), async (req, res) => {
+router.get('/members', authenticate, can('reports.members.view'), cache(300), async (req, res) => {
   try {
     const { includeInactive = false } = req.query;
 
@@ -458,47 +544,284 @@ router.get('/revenue-trend', authenticate, cache(300), async (req, res) => {
 // Custom Reports
 // ======================
 
+// GET /api/reports/custom/fields - Entities, fields and operators available to the builder
+router.get('/custom/fields', authenticate, can('reports.custom'), async (req, res) => {
+  res.json({
+    success: true,
+    data: reportService.getCustomReportEntities()
+  });
+});
+
 // POST /api/reports/custom - Generate custom report
-router.post('/custom', authenticate, authorize(['admin', 'manager']), async (req, res) => {
+router.post('/custom', authenticate, can('reports.custom'), customReportValidation, async (req, res) => {
   try {
-    const {
-      reportName,
-      entityType,
-      filters,
-      groupBy,
-      aggregations,
-      sortBy,
-      sortOrder,
-      limit
-    } = req.body;
-
-    // TODO: Implement custom report builder
-    // This would allow users to create dynamic reports with custom filters and aggregations
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'json', ...definition } = req.body;
+
+    const report = await reportService.generateCustomReport(definition);
 
     // Audit log
     await auditService.log({
-      action: 'create',
+      action: format === 'excel' ? 'export' : 'read',
       userId: req.user.id,
       userName: req.user.name,
       entityType: 'Report',
       category: 'reports',
       description: 'Generated custom report',
       metadata: {
-        reportName,
-        entityType,
-        filters,
-        groupBy,
-        aggregations
+        reportName: report.name,
+        entityType: report.entityType,
+        filters: report.definition.filters,
+        groupBy: report.definition.groupBy,
+        aggregations: report.definition.aggregations,
+        rowCount: report.rows.length,
+        format
       }
     });
 
+    await sendCustomReport(res, report, format);
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Generate custom report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/custom/saved - List own and shared report definitions
+router.get('/custom/saved', authenticate, can('reports.custom'), async (req, res) => {
+  try {
+    const reports = await SavedReport.findAll({
+      where: {
+        [Op.or]: [
+          { userId: req.user.id },
+          { isShared: true }
+        ]
+      },
+      include: [{ model: User, as: 'owner', attributes: ['id', 'name'] }],
+      order: [['name', 'ASC']]
+    });
+
     res.json({
       success: true,
-      message: 'Custom report generation will be implemented in future version'
+      data: reports
     });
 
   } catch (error) {
-    console.error('Generate custom report error:', error);
+    console.error('Get saved reports error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/custom/saved - Save report definition
+router.post('/custom/saved', authenticate, can('reports.custom'), savedReportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, isShared = false, definition } = req.body;
+
+    // Αποθηκεύεται μόνο ορισμός που περνά τον έλεγχο του builder
+    const spec = reportService.normalizeCustomReport({ ...definition, reportName: name });
+
+    const savedReport = await SavedReport.create({
+      userId: req.user.id,
+      name,
+      description,
+      isShared,
+      entityType: spec.entityType,
+      definition: spec
+    });
+
+    await auditService.log({
+      action: 'create',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'SavedReport',
+      entityId: savedReport.id,
+      entityName: savedReport.name,
+      category: 'reports',
+      description: 'Saved custom report definition'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: savedReport
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Save report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/custom/saved/:id - Get saved report definition
+router.get('/custom/saved/:id', authenticate, can('reports.custom'), param('id').isUUID(), async (req, res) => {
+  try {
+    const savedReport = await SavedReport.findByPk(req.params.id);
+
+    if (!savedReport || !savedReport.canView(req.user)) {
+      return res.status(404).json({ error: 'Saved report not found' });
+    }
+
+    res.json({
+      success: true,
+      data: savedReport
+    });
+
+  } catch (error) {
+    console.error('Get saved report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/reports/custom/saved/:id - Update saved report definition
+router.put('/custom/saved/:id', authenticate, can('reports.custom'), [
+  param('id').isUUID(),
+  body('name').optional().isString().isLength({ min: 1, max: 150 }),
+  body('description').optional().isString(),
+  body('isShared').optional().isBoolean(),
+  body('definition').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedReport = await SavedReport.findByPk(req.params.id);
+
+    if (!savedReport || !savedReport.canView(req.user)) {
+      return res.status(404).json({ error: 'Saved report not found' });
+    }
+
+    if (!savedReport.canEdit(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this report' });
+    }
+
+    const { name, description, isShared, definition } = req.body;
+    const updates = {};
+
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (isShared !== undefined) updates.isShared = isShared;
+
+    if (definition) {
+      const spec = reportService.normalizeCustomReport({ ...definition, reportName: name || savedReport.name });
+      updates.entityType = spec.entityType;
+      updates.definition = spec;
+    } else if (name) {
+      updates.definition = { ...savedReport.definition, reportName: name };
+    }
+
+    await savedReport.update(updates);
+
+    res.json({
+      success: true,
+      data: savedReport
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update saved report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/reports/custom/saved/:id - Delete saved report definition
+router.delete('/custom/saved/:id', authenticate, can('reports.custom'), param('id').isUUID(), async (req, res) => {
+  try {
+    const savedReport = await SavedReport.findByPk(req.params.id);
+
+    if (!savedReport || !savedReport.canView(req.user)) {
+      return res.status(404).json({ error: 'Saved report not found' });
+    }
+
+    if (!savedReport.canEdit(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can delete this report' });
+    }
+
+    await savedReport.destroy();
+
+    await auditService.log({
+      action: 'delete',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'SavedReport',
+      entityId: savedReport.id,
+      entityName: savedReport.name,
+      category: 'reports',
+      description: 'Deleted custom report definition'
+    });
+
+    res.json({
+      success: true,
+      message: 'Saved report deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete saved report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/custom/saved/:id/run - Run saved report (JSON or Excel)
+router.post('/custom/saved/:id/run', authenticate, can('reports.custom'), [
+  param('id').isUUID(),
+  body('format').optional().isIn(['json', 'excel'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedReport = await SavedReport.findByPk(req.params.id);
+
+    if (!savedReport || !savedReport.canView(req.user)) {
+      return res.status(404).json({ error: 'Saved report not found' });
+    }
+
+    const format = req.body.format || 'json';
+    const report = await reportService.generateCustomReport(savedReport.definition);
+
+    await savedReport.update({
+      lastRunAt: new Date(),
+      runCount: savedReport.runCount + 1
+    });
+
+    await auditService.log({
+      action: format === 'excel' ? 'export' : 'read',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'SavedReport',
+      entityId: savedReport.id,
+      entityName: savedReport.name,
+      category: 'reports',
+      description: 'Ran saved custom report',
+      metadata: { rowCount: report.rows.length, format }
+    });
+
+    await sendCustomReport(res, report, format);
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Run saved report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -507,15 +830,43 @@ router.post('/custom', authenticate, authorize(['admin', 'manager']), async (req
 // Scheduled Reports
 // ======================
 
+const findScheduledReport = id => ScheduledReport.findByPk(id, {
+  include: [
+    { model: SavedReport, as: 'savedReport', attributes: ['id', 'name', 'entityType'] },
+    { model: User, as: 'creator', attributes: ['id', 'name', 'email'] }
+  ]
+});
+
 // GET /api/reports/scheduled - Get scheduled reports
-router.get('/scheduled', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/scheduled', authenticate, can('reports.scheduled.manage'), [
+  query('status').optional().isIn(['active', 'paused']),
+  query('reportType').optional().isIn(SCHEDULED_REPORT_TYPES)
+], async (req, res) => {
   try {
-    // TODO: Implement scheduled reports listing
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.reportType) where.reportType = req.query.reportType;
+
+    const scheduledReports = await ScheduledReport.findAll({
+      where,
+      include: [
+        { model: SavedReport, as: 'savedReport', attributes: ['id', 'name', 'entityType'] },
+        { model: User, as: 'creator', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['name', 'ASC']]
+    });
+
     res.json({
       success: true,
-      data: [],
-      message: 'Scheduled reports feature coming soon'
+      data: scheduledReports.map(scheduledReport => ({
+        ...scheduledReport.toJSON(),
+        cronExpression: scheduledReport.getCronExpression()
+      }))
     });
 
   } catch (error) {
@@ -525,16 +876,18 @@ router.get('/scheduled', authenticate, authorize(['admin']), async (req, res) =>
 });
 
 // POST /api/reports/schedule - Schedule a report
-router.post('/schedule', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/schedule', authenticate, can('reports.scheduled.manage'), scheduledReportValidation, async (req, res) => {
   try {
-    const {
-      reportType,
-      schedule, // daily, weekly, monthly
-      recipients,
-      parameters
-    } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // TODO: Implement report scheduling with cron jobs
+    // Το παλιό πεδίο "schedule" γίνεται δεκτό ως συχνότητα
+    const scheduledReport = await reportSchedulerService.createSchedule({
+      ...req.body,
+      frequency: req.body.frequency || req.body.schedule
+    }, { userId: req.user.id });
 
     // Audit log
     await auditService.log({
@@ -542,25 +895,290 @@ router.post('/schedule', authenticate, authorize(['admin']), async (req, res) =>
       userId: req.user.id,
       userName: req.user.name,
       entityType: 'ScheduledReport',
+      entityId: scheduledReport.id,
+      entityName: scheduledReport.name,
       category: 'reports',
       description: 'Scheduled new report',
-      metadata: {
-        reportType,
-        schedule,
-        recipients,
-        parameters
-      }
+      newValues: scheduledReport.toJSON()
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
+      data: scheduledReport,
       message: 'Report scheduled successfully'
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Schedule report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-export default router;
\ No newline at end of file
+// GET /api/reports/scheduled/:id - Get scheduled report with recent runs
+router.get('/scheduled/:id', authenticate, can('reports.scheduled.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const scheduledReport = await findScheduledReport(req.params.id);
+    if (!scheduledReport) {
+      return res.status(404).json({ error: 'Scheduled report not found' });
+    }
+
+    const recentRuns = await ScheduledReportRun.findAll({
+      where: { scheduledReportId: scheduledReport.id },
+      order: [['startedAt', 'DESC']],
+      limit: 10
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...scheduledReport.toJSON(),
+        cronExpression: scheduledReport.getCronExpression(),
+        recentRuns
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/reports/scheduled/:id - Update schedule
+router.put('/scheduled/:id', authenticate, can('reports.scheduled.manage'), scheduledReportUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const scheduledReport = await ScheduledReport.findByPk(req.params.id);
+    if (!scheduledReport) {
+      return res.status(404).json({ error: 'Scheduled report not found' });
+    }
+
+    const oldValues = scheduledReport.toJSON();
+    await reportSchedulerService.updateSchedule(scheduledReport, req.body);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'ScheduledReport',
+      entityId: scheduledReport.id,
+      entityName: scheduledReport.name,
+      category: 'reports',
+      description: 'Updated scheduled report',
+      oldValues,
+      newValues: scheduledReport.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: scheduledReport
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update scheduled report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/scheduled/:id/pause - Pause schedule
+router.post('/scheduled/:id/pause', authenticate, can('reports.scheduled.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const scheduledReport = await ScheduledReport.findByPk(req.params.id);
+    if (!scheduledReport) {
+      return res.status(404).json({ error: 'Scheduled report not found' });
+    }
+
+    await reportSchedulerService.pause(scheduledReport);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'ScheduledReport',
+      entityId: scheduledReport.id,
+      entityName: scheduledReport.name,
+      category: 'reports',
+      description: 'Paused scheduled report'
+    });
+
+    res.json({
+      success: true,
+      data: scheduledReport
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Pause scheduled report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/scheduled/:id/resume - Resume schedule
+router.post('/scheduled/:id/resume', authenticate, can('reports.scheduled.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const scheduledReport = await ScheduledReport.findByPk(req.params.id);
+    if (!scheduledReport) {
+      return res.status(404).json({ error: 'Scheduled report not found' });
+    }
+
+    await reportSchedulerService.resume(scheduledReport);
+
+    await auditService.log({
+      action: 'update',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'ScheduledReport',
+      entityId: scheduledReport.id,
+      entityName: scheduledReport.name,
+      category: 'reports',
+      description: 'Resumed scheduled report'
+    });
+
+    res.json({
+      success: true,
+      data: scheduledReport
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Resume scheduled report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/scheduled/:id/run - Run now and email to recipients
+router.post('/scheduled/:id/run', authenticate, can('reports.scheduled.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const scheduledReport = await ScheduledReport.findByPk(req.params.id);
+    if (!scheduledReport) {
+      return res.status(404).json({ error: 'Scheduled report not found' });
+    }
+
+    const run = await reportSchedulerService.execute(scheduledReport, {
+      trigger: 'manual',
+      userId: req.user.id
+    });
+
+    await auditService.log({
+      action: 'email',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'ScheduledReport',
+      entityId: scheduledReport.id,
+      entityName: scheduledReport.name,
+      category: 'reports',
+      description: 'Ran scheduled report manually',
+      metadata: { runId: run.id, status: run.status }
+    });
+
+    res.json({
+      success: run.status === 'success',
+      data: run
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Run scheduled report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/scheduled/:id/runs - Execution history
+router.get('/scheduled/:id/runs', authenticate, can('reports.scheduled.manage'), [
+  param('id').isUUID(),
+  query('status').optional().isIn(['running', 'success', 'failed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = { scheduledReportId: req.params.id };
+    if (status) where.status = status;
+
+    const { count, rows } = await ScheduledReportRun.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'user', attributes: ['id', 'name'] }],
+      order: [['startedAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled report runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/reports/scheduled/:id - Delete schedule and its history
+router.delete('/scheduled/:id', authenticate, can('reports.scheduled.manage'), param('id').isUUID(), async (req, res) => {
+  try {
+    const scheduledReport = await ScheduledReport.findByPk(req.params.id);
+    if (!scheduledReport) {
+      return res.status(404).json({ error: 'Scheduled report not found' });
+    }
+
+    const oldValues = scheduledReport.toJSON();
+    await reportSchedulerService.deleteSchedule(scheduledReport);
+
+    await auditService.log({
+      action: 'delete',
+      userId: req.user.id,
+      userName: req.user.name,
+      entityType: 'ScheduledReport',
+      entityId: oldValues.id,
+      entityName: oldValues.name,
+      category: 'reports',
+      description: 'Deleted scheduled report',
+      oldValues
+    });
+
+    res.json({
+      success: true,
+      message: 'Scheduled report deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete scheduled report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
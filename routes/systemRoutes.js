@@ -3,7 +3,7 @@
 
 import express from 'express';
 import os from 'os';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, can } from '../middleware/auth.js';
 import { cache } from '../middleware/cache.js';
 import sequelize from '../config/database.js';
 import Document from '../models/Document.js';
@@ -66,7 +66,7 @@ router.get('/features', cache(3600), (req, res) => {
 // ======================
 
 // GET /api/system/status - Detailed system status
-router.get('/status', authenticate, authorize(['admin', 'manager']), async (req, res) => {
+router.get('/status', authenticate, can('system.status.view'), async (req, res) => {
   try {
     // Database status
     let dbStatus = 'disconnected';
@@ -212,7 +212,7 @@ router.get('/stats', authenticate, cache(60), async (req, res) => {
 });
 
 // GET /api/system/logs - Get application logs
-router.get('/logs', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/logs', authenticate, can('system.manage'), async (req, res) => {
   try {
     const {
       level = 'info',
@@ -238,7 +238,7 @@ router.get('/logs', authenticate, authorize(['admin']), async (req, res) => {
 });
 
 // POST /api/system/cache/clear - Clear cache
-router.post('/cache/clear', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/cache/clear', authenticate, can('system.manage'), async (req, res) => {
   try {
     // TODO: Implement cache clearing
     // If using Redis, would clear Redis cache here
@@ -289,7 +289,7 @@ router.get('/maintenance', (req, res) => {
 });
 
 // POST /api/system/maintenance - Toggle maintenance mode (Admin only)
-router.post('/maintenance', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/maintenance', authenticate, can('system.manage'), async (req, res) => {
   try {
     const { enabled, message, estimatedEnd } = req.body;
 
@@ -362,7 +362,7 @@ router.get('/languages', cache(86400), (req, res) => {
 });
 
 // POST /api/system/test-email - Test email configuration (Admin only)
-router.post('/test-email', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/test-email', authenticate, can('system.manage'), async (req, res) => {
   try {
     const { to } = req.body;
 
@@ -394,7 +394,7 @@ router.post('/test-email', authenticate, authorize(['admin']), async (req, res)
 });
 
 // GET /api/system/jobs - Get scheduled jobs status (Admin only)
-router.get('/jobs', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/jobs', authenticate, can('system.manage'), async (req, res) => {
   try {
     // TODO: Implement job queue status
     // This would show status of scheduled tasks like backups, reports, etc.
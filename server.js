@@ -13,7 +13,14 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 // Import app and database
 import app from './app.js';
 import sequelize from './config/database.js';
+import { initSocketIO, closeSocketIO } from './config/socketio.js';
 import { logger } from './utils/logger.js';
+import reportSchedulerService from './services/reportSchedulerService.js';
+import dunningService from './services/dunningService.js';
+import mydataQueueService from './services/mydataQueueService.js';
+import mydataSyncService from './services/mydataSyncService.js';
+import recurringDocumentService from './services/recurringDocumentService.js';
+import subscriptionService from './services/subscriptionService.js';
 // Import models to ensure they are loaded
 import './models/index.js';
 
@@ -77,10 +84,31 @@ const startServer = async () => {
       `);
     });
 
+    // Real-time events (rooms ανά tenant)
+    initSocketIO(server);
+
+    // Scheduled reports, υπενθυμίσεις πληρωμής, επαναλαμβανόμενα παραστατικά, ουρά και λήψη myDATA, έλεγχος συνδρομών (απαιτούν βάση δεδομένων)
+    if (NODE_ENV !== 'production') {
+      await reportSchedulerService.start();
+      dunningService.start();
+      recurringDocumentService.start();
+      mydataQueueService.start();
+      mydataSyncService.start();
+      subscriptionService.start();
+    }
+
     // Graceful shutdown handling
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
       
+      closeSocketIO();
+      reportSchedulerService.stop();
+      dunningService.stop();
+      recurringDocumentService.stop();
+      mydataQueueService.stop();
+      mydataSyncService.stop();
+      subscriptionService.stop();
+
       // Close server
       server.close(async () => {
         logger.info('✅ HTTP server closed');
@@ -0,0 +1,649 @@
+// services/bankReconciliationService.js
+// Service για εισαγωγή τραπεζικών κινήσεων (CSV / CAMT.053) και συμφωνία με πληρωμές
+
+import crypto from 'crypto';
+import moment from 'moment';
+import { Op } from 'sequelize';
+import { parse as parseCsvSync } from 'csv-parse/sync';
+import { XMLParser } from 'fast-xml-parser';
+import sequelize from '../config/database.js';
+import {
+  BankStatement,
+  BankStatementLine,
+  Payment,
+  Document,
+  Company
+} from '../models/index.js';
+import paymentService from './paymentService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Βαθμολογία κριτηρίων αντιστοίχισης (σύνολο 100)
+const SCORE = {
+  amount: 50,
+  reference: 30,
+  iban: 15,
+  date: 5
+};
+
+// Ελάχιστη βαθμολογία για πρόταση αντιστοίχισης
+const PROPOSAL_THRESHOLD = 50;
+
+// Παράθυρο ημερών γύρω από την ημερομηνία κίνησης
+const DATE_WINDOW_DAYS = 7;
+
+const MAX_CANDIDATES = 5;
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'D/M/YYYY', 'YYYYMMDD'];
+
+// Συνήθεις επικεφαλίδες στηλών τραπεζικών CSV (ελληνικές τράπεζες και αγγλικά)
+const CSV_COLUMN_ALIASES = {
+  bookingDate: ['date', 'booking date', 'transaction date', 'ημερομηνία', 'ημ/νία', 'ημερομηνία συναλλαγής'],
+  valueDate: ['value date', 'valeur', 'ημερομηνία αξίας', 'αξία'],
+  amount: ['amount', 'ποσό', 'ποσο'],
+  debit: ['debit', 'χρέωση', 'χρεωση'],
+  credit: ['credit', 'πίστωση', 'πιστωση'],
+  description: ['description', 'details', 'περιγραφή', 'περιγραφη'],
+  reference: ['reference', 'remittance', 'αιτιολογία', 'αιτιολογια', 'κωδικός αναφοράς'],
+  bankReference: ['bank reference', 'transaction id', 'αρ. συναλλαγής', 'αριθμός συναλλαγής'],
+  counterpartyName: ['counterparty', 'name', 'beneficiary', 'δικαιούχος', 'αντισυμβαλλόμενος', 'επωνυμία'],
+  counterpartyIban: ['iban', 'counterparty iban', 'iban αντισυμβαλλόμενου'],
+  currency: ['currency', 'νόμισμα']
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const normalizeIban = (value) => (value ? String(value).replace(/\s+/g, '').toUpperCase() : null);
+
+const normalizeText = (value) => String(value || '').replace(/[\s\-_/.]+/g, '').toUpperCase();
+
+class BankReconciliationService {
+  // ======================
+  // Parsing
+  // ======================
+
+  detectFormat(buffer, fileName = '') {
+    const head = buffer.slice(0, 512).toString('utf8').trimStart();
+
+    if (head.startsWith('<') || /\.xml$/i.test(fileName)) {
+      return 'camt053';
+    }
+
+    return 'csv';
+  }
+
+  // Μετατροπή "1.234,56" / "1,234.56" / "-12,5" σε αριθμό
+  parseAmount(value) {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return NaN;
+
+    let text = String(value).replace(/[^\d,.\-+]/g, '');
+    if (!text) return NaN;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    return parseFloat(text);
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+
+    const date = moment(String(value).trim(), DATE_FORMATS, true);
+    return date.isValid() ? date.format('YYYY-MM-DD') : null;
+  }
+
+  parseCsv(buffer, mapping = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delimiter = mapping.delimiter ||
+      (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+
+    const records = parseCsvSync(text, {
+      delimiter,
+      columns: (header) => header.map(column => String(column).trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+
+    if (records.length === 0) {
+      throw new AppError('Statement file contains no transactions', 400);
+    }
+
+    const columns = this._resolveCsvColumns(Object.keys(records[0]), mapping);
+
+    if (!columns.bookingDate || (!columns.amount && !columns.debit && !columns.credit)) {
+      throw new AppError('Could not detect date and amount columns; provide a column mapping', 400);
+    }
+
+    const lines = records.map((record, index) => {
+      const rowNumber = index + 2;
+      const bookingDate = this.parseDate(record[columns.bookingDate]);
+
+      if (!bookingDate) {
+        throw new AppError(`Invalid date on row ${rowNumber}`, 400);
+      }
+
+      let signed;
+      if (columns.amount && record[columns.amount] !== '') {
+        signed = this.parseAmount(record[columns.amount]);
+      } else {
+        const debit = this.parseAmount(record[columns.debit]) || 0;
+        const credit = this.parseAmount(record[columns.credit]) || 0;
+        signed = round(credit - Math.abs(debit));
+      }
+
+      if (Number.isNaN(signed) || signed === 0) {
+        throw new AppError(`Invalid amount on row ${rowNumber}`, 400);
+      }
+
+      return {
+        lineNumber: index + 1,
+        bookingDate,
+        valueDate: this.parseDate(record[columns.valueDate]),
+        amount: round(Math.abs(signed)),
+        direction: signed > 0 ? 'credit' : 'debit',
+        currency: record[columns.currency] || mapping.currency || 'EUR',
+        counterpartyName: record[columns.counterpartyName] || null,
+        counterpartyIban: normalizeIban(record[columns.counterpartyIban]),
+        reference: record[columns.reference] || null,
+        bankReference: record[columns.bankReference] || null,
+        description: record[columns.description] || null
+      };
+    });
+
+    const dates = lines.map(line => line.bookingDate).sort();
+
+    return {
+      statementReference: mapping.statementReference || null,
+      iban: normalizeIban(mapping.iban),
+      currency: mapping.currency || 'EUR',
+      periodStart: dates[0],
+      periodEnd: dates[dates.length - 1],
+      openingBalance: null,
+      closingBalance: null,
+      lines
+    };
+  }
+
+  parseCamt053(buffer) {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      removeNSPrefix: true,
+      parseTagValue: false
+    });
+
+    const xml = parser.parse(buffer.toString('utf8'));
+    const statement = asArray(xml?.Document?.BkToCstmrStmt?.Stmt)[0];
+
+    if (!statement) {
+      throw new AppError('Invalid CAMT.053 file: no statement found', 400);
+    }
+
+    const balances = asArray(statement.Bal);
+    const balanceOf = (code) => {
+      const balance = balances.find(b => b?.Tp?.CdOrPrtry?.Cd === code);
+      if (!balance) return null;
+      const amount = this.parseAmount(balance.Amt?.['#text'] ?? balance.Amt);
+      return balance.CdtDbtInd === 'DBIT' ? -amount : amount;
+    };
+
+    const entries = asArray(statement.Ntry);
+    if (entries.length === 0) {
+      throw new AppError('Statement file contains no transactions', 400);
+    }
+
+    const lines = entries.map((entry, index) => {
+      const details = asArray(entry.NtryDtls?.TxDtls)[0] || {};
+      const direction = entry.CdtDbtInd === 'DBIT' ? 'debit' : 'credit';
+
+      // Αντισυμβαλλόμενος: οφειλέτης για πιστώσεις, δικαιούχος για χρεώσεις
+      const party = direction === 'credit' ? details.RltdPties?.Dbtr : details.RltdPties?.Cdtr;
+      const partyAccount = direction === 'credit' ? details.RltdPties?.DbtrAcct : details.RltdPties?.CdtrAcct;
+
+      const structuredRef = asArray(details.RmtInf?.Strd)
+        .map(strd => strd?.CdtrRefInf?.Ref)
+        .find(Boolean);
+      const unstructured = asArray(details.RmtInf?.Ustrd).join(' ') || null;
+
+      const bookingDate = this.parseDate(entry.BookgDt?.Dt || String(entry.BookgDt?.DtTm || '').slice(0, 10));
+      if (!bookingDate) {
+        throw new AppError(`Invalid booking date on entry ${index + 1}`, 400);
+      }
+
+      return {
+        lineNumber: index + 1,
+        bookingDate,
+        valueDate: this.parseDate(entry.ValDt?.Dt || String(entry.ValDt?.DtTm || '').slice(0, 10)),
+        amount: round(Math.abs(this.parseAmount(entry.Amt?.['#text'] ?? entry.Amt))),
+        direction,
+        currency: entry.Amt?.['@_Ccy'] || statement.Acct?.Ccy || 'EUR',
+        counterpartyName: party?.Nm || party?.Pty?.Nm || null,
+        counterpartyIban: normalizeIban(partyAccount?.Id?.IBAN),
+        reference: structuredRef || details.Refs?.EndToEndId || null,
+        bankReference: entry.AcctSvcrRef || details.Refs?.AcctSvcrRef || null,
+        description: unstructured || entry.AddtlNtryInf || null
+      };
+    });
+
+    const dates = lines.map(line => line.bookingDate).sort();
+
+    return {
+      statementReference: statement.Id || null,
+      iban: normalizeIban(statement.Acct?.Id?.IBAN),
+      currency: statement.Acct?.Ccy || lines[0].currency,
+      bankName: statement.Acct?.Svcr?.FinInstnId?.Nm || null,
+      periodStart: this.parseDate(String(statement.FrToDt?.FrDtTm || '').slice(0, 10)) || dates[0],
+      periodEnd: this.parseDate(String(statement.FrToDt?.ToDtTm || '').slice(0, 10)) || dates[dates.length - 1],
+      openingBalance: balanceOf('OPBD'),
+      closingBalance: balanceOf('CLBD'),
+      lines
+    };
+  }
+
+  // ======================
+  // Import
+  // ======================
+
+  async importStatement(file, options = {}) {
+    const { userId, mapping = {} } = options;
+
+    const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const existing = await BankStatement.findOne({ where: { fileHash } });
+
+    if (existing) {
+      throw new AppError(`Statement already imported (${existing.statementReference})`, 409);
+    }
+
+    const format = options.format || this.detectFormat(file.buffer, file.originalname);
+    const parsed = format === 'camt053'
+      ? this.parseCamt053(file.buffer)
+      : this.parseCsv(file.buffer, mapping);
+
+    const t = await sequelize.transaction();
+
+    try {
+      const statement = await BankStatement.create({
+        statementReference: parsed.statementReference || file.originalname || fileHash.slice(0, 16),
+        format,
+        fileName: file.originalname,
+        fileHash,
+        iban: parsed.iban,
+        currency: parsed.currency,
+        bankName: parsed.bankName || mapping.bankName || null,
+        periodStart: parsed.periodStart,
+        periodEnd: parsed.periodEnd,
+        openingBalance: parsed.openingBalance,
+        closingBalance: parsed.closingBalance,
+        totalLines: parsed.lines.length,
+        importedBy: userId
+      }, { transaction: t });
+
+      const lines = await BankStatementLine.bulkCreate(
+        parsed.lines.map(line => ({ ...line, tenantId: statement.tenantId, statementId: statement.id })),
+        { transaction: t }
+      );
+
+      await t.commit();
+
+      const summary = await this.matchStatement(statement);
+
+      return { statement, lines: lines.length, ...summary };
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  // ======================
+  // Matching
+  // ======================
+
+  async matchStatement(statement) {
+    const lines = await BankStatementLine.findAll({
+      where: { statementId: statement.id, status: ['unmatched', 'proposed'] },
+      order: [['lineNumber', 'ASC']]
+    });
+
+    let proposed = 0;
+    for (const line of lines) {
+      await this.matchLine(line);
+      if (line.status === 'proposed') proposed++;
+    }
+
+    await statement.refreshProgress();
+
+    return { proposed, unmatched: lines.length - proposed };
+  }
+
+  // Υπολογισμός υποψήφιων αντιστοιχίσεων για μία κίνηση
+  async matchLine(line) {
+    if (!line.isOpen()) {
+      throw new AppError(`Line is already ${line.status}`, 400);
+    }
+
+    const amount = round(parseFloat(line.amount));
+    const from = moment(line.bookingDate).subtract(DATE_WINDOW_DAYS, 'days').format('YYYY-MM-DD');
+    const to = moment(line.bookingDate).add(DATE_WINDOW_DAYS, 'days').format('YYYY-MM-DD');
+
+    const payments = await Payment.findAll({
+      where: {
+        type: line.direction === 'credit' ? ['incoming', 'advance', 'deposit'] : ['outgoing', 'refund'],
+        status: ['completed', 'processing', 'pending'],
+        isReconciled: false,
+        [Op.or]: [
+          { amount },
+          { paymentDate: { [Op.between]: [from, to] } }
+        ]
+      },
+      include: [{ model: Company, as: 'company', attributes: ['id', 'name', 'settings'] }],
+      limit: 200
+    });
+
+    // Παραστατικά πώλησης μόνο για εισπράξεις
+    const documents = line.direction === 'credit'
+      ? await Document.findAll({
+        where: {
+          documentType: ['invoice', 'debit_note', 'receipt'],
+          status: { [Op.notIn]: ['draft', 'cancelled', 'paid'] },
+          balanceDue: amount
+        },
+        include: [{ model: Company, as: 'company', attributes: ['id', 'name', 'settings'] }],
+        limit: 50
+      })
+      : [];
+
+    const candidates = [
+      ...payments.map(payment => this._scorePayment(line, payment)),
+      ...documents.map(document => this._scoreDocument(line, document))
+    ]
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+
+    const best = candidates[0];
+
+    await line.update({
+      candidates,
+      confidence: best ? best.score : null,
+      status: best && best.score >= PROPOSAL_THRESHOLD ? 'proposed' : 'unmatched'
+    });
+
+    return line;
+  }
+
+  _scorePayment(line, payment) {
+    const reasons = [];
+    let score = 0;
+
+    if (round(parseFloat(payment.amount)) === round(parseFloat(line.amount))) {
+      score += SCORE.amount;
+      reasons.push('amount');
+    }
+
+    if (this._referenceMatches(line, [payment.referenceNumber, payment.paymentNumber, payment.transactionId])) {
+      score += SCORE.reference;
+      reasons.push('reference');
+    }
+
+    const ibans = [payment.iban, ...this._companyIbans(payment.company)];
+    if (line.counterpartyIban && ibans.map(normalizeIban).includes(line.counterpartyIban)) {
+      score += SCORE.iban;
+      reasons.push('iban');
+    }
+
+    score += this._dateScore(line.bookingDate, payment.paymentDate, reasons);
+
+    return {
+      type: 'payment',
+      id: payment.id,
+      number: payment.paymentNumber,
+      companyName: payment.company?.name || null,
+      amount: parseFloat(payment.amount),
+      date: payment.paymentDate,
+      score,
+      reasons
+    };
+  }
+
+  _scoreDocument(line, document) {
+    const reasons = ['amount'];
+    let score = SCORE.amount;
+
+    if (this._referenceMatches(line, [document.documentNumber])) {
+      score += SCORE.reference;
+      reasons.push('reference');
+    }
+
+    if (line.counterpartyIban && this._companyIbans(document.company).map(normalizeIban).includes(line.counterpartyIban)) {
+      score += SCORE.iban;
+      reasons.push('iban');
+    }
+
+    score += this._dateScore(line.bookingDate, document.dueDate || document.documentDate, reasons);
+
+    return {
+      type: 'document',
+      id: document.id,
+      number: document.documentNumber,
+      companyName: document.company?.name || null,
+      amount: parseFloat(document.balanceDue),
+      date: document.dueDate || document.documentDate,
+      score,
+      reasons
+    };
+  }
+
+  _referenceMatches(line, values) {
+    const haystack = normalizeText([line.reference, line.description].filter(Boolean).join(' '));
+    if (!haystack) return false;
+
+    return values
+      .filter(value => value && String(value).length >= 3)
+      .some(value => haystack.includes(normalizeText(value)));
+  }
+
+  _companyIbans(company) {
+    const accounts = company?.settings?.bankAccounts || [];
+    return accounts.map(account => (typeof account === 'string' ? account : account?.iban)).filter(Boolean);
+  }
+
+  // Πλήρεις πόντοι την ίδια ημέρα, φθίνοντες μέσα στο παράθυρο
+  _dateScore(bookingDate, otherDate, reasons) {
+    if (!otherDate) return 0;
+
+    const days = Math.abs(moment(bookingDate).diff(moment(otherDate), 'days'));
+    if (days > DATE_WINDOW_DAYS) return 0;
+
+    reasons.push('date');
+    return round(SCORE.date * (1 - days / (DATE_WINDOW_DAYS + 1)));
+  }
+
+  // ======================
+  // Review
+  // ======================
+
+  async confirmMatch(line, target, options = {}) {
+    const { userId, notes } = options;
+
+    if (!line.isOpen()) {
+      throw new AppError(`Line is already ${line.status}`, 400);
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+      const statement = await BankStatement.findByPk(line.statementId, { transaction: t });
+      let payment;
+
+      if (target.paymentId) {
+        payment = await Payment.findByPk(target.paymentId, { transaction: t, lock: t.LOCK.UPDATE });
+
+        if (!payment) {
+          throw new AppError('Payment not found', 404);
+        }
+
+        if (payment.isReconciled) {
+          throw new AppError(`Payment ${payment.paymentNumber} is already reconciled`, 400);
+        }
+
+        if (round(parseFloat(payment.amount)) !== round(parseFloat(line.amount))) {
+          throw new AppError('Payment amount does not match the statement line', 400);
+        }
+
+        if (payment.status !== 'completed') {
+          await payment.update({ status: 'completed', updatedBy: userId }, { transaction: t });
+        }
+      } else if (target.documentId) {
+        if (line.direction !== 'credit') {
+          throw new AppError('Only incoming statement lines can settle documents', 400);
+        }
+
+        const document = await Document.findByPk(target.documentId, { transaction: t, lock: t.LOCK.UPDATE });
+
+        if (!document) {
+          throw new AppError('Document not found', 404);
+        }
+
+        // Νέα είσπραξη από την κίνηση της τράπεζας
+        payment = await paymentService.createPayment({
+          type: 'incoming',
+          companyId: document.companyId,
+          paymentDate: line.bookingDate,
+          valueDate: line.valueDate,
+          amount: line.amount,
+          currency: line.currency,
+          paymentMethod: 'bank_transfer',
+          bankName: statement.bankName,
+          iban: line.counterpartyIban,
+          referenceNumber: line.reference || line.bankReference,
+          description: line.description || `Bank transfer for ${document.documentNumber}`,
+          source: 'import'
+        }, { userId, transaction: t });
+
+        await paymentService.allocateToDocument(payment, document, Math.min(
+          parseFloat(line.amount),
+          parseFloat(document.balanceDue)
+        ), { userId, transaction: t });
+      } else {
+        throw new AppError('paymentId or documentId is required', 400);
+      }
+
+      await payment.update({
+        isReconciled: true,
+        reconciledDate: new Date(),
+        reconciledBy: userId,
+        statementReference: statement.statementReference
+      }, { transaction: t });
+
+      await line.update({
+        status: 'matched',
+        paymentId: payment.id,
+        confirmedBy: userId,
+        confirmedAt: new Date(),
+        reviewNotes: notes || line.reviewNotes
+      }, { transaction: t });
+
+      await statement.refreshProgress({ transaction: t });
+      await t.commit();
+
+      return { line, payment, statement };
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  async ignoreLine(line, options = {}) {
+    const { userId, notes } = options;
+
+    if (!line.isOpen()) {
+      throw new AppError(`Line is already ${line.status}`, 400);
+    }
+
+    await line.update({
+      status: 'ignored',
+      confirmedBy: userId,
+      confirmedAt: new Date(),
+      reviewNotes: notes || line.reviewNotes
+    });
+
+    const statement = await BankStatement.findByPk(line.statementId);
+    await statement.refreshProgress();
+
+    return line;
+  }
+
+  // Επαναφορά επιβεβαιωμένης / αγνοημένης κίνησης στην ουρά ελέγχου
+  async reopenLine(line, options = {}) {
+    const { userId } = options;
+
+    if (line.isOpen()) {
+      throw new AppError('Line is still open', 400);
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+      if (line.paymentId) {
+        const payment = await Payment.findByPk(line.paymentId, { transaction: t });
+        if (payment) {
+          await payment.update({
+            isReconciled: false,
+            reconciledDate: null,
+            reconciledBy: null,
+            statementReference: null,
+            updatedBy: userId
+          }, { transaction: t });
+        }
+      }
+
+      await line.update({
+        status: 'unmatched',
+        paymentId: null,
+        confirmedBy: null,
+        confirmedAt: null
+      }, { transaction: t });
+
+      const statement = await BankStatement.findByPk(line.statementId, { transaction: t });
+      await statement.refreshProgress({ transaction: t });
+      await t.commit();
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+
+    return this.matchLine(line);
+  }
+
+  // ======================
+  // Helpers
+  // ======================
+
+  _resolveCsvColumns(headers, mapping) {
+    const columns = {};
+
+    for (const [key, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+      const explicit = mapping.columns?.[key];
+      if (explicit) {
+        columns[key] = String(explicit).trim().toLowerCase();
+        continue;
+      }
+
+      columns[key] = headers.find(header => aliases.includes(header)) || null;
+    }
+
+    return columns;
+  }
+}
+
+export default new BankReconciliationService();
@@ -0,0 +1,281 @@
+// services/creditNoteService.js
+// Πιστωτικά σημειώματα συσχετισμένα με το αρχικό τιμολόγιο (ολικός ή μερικός αντιλογισμός ανά γραμμή)
+
+import { Op } from 'sequelize';
+import { Invoice, InvoiceItem, Company, sequelize } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo } from '../middleware/logger.js';
+
+// Παραστατικά που μπορούν να πιστωθούν
+const CREDITABLE_TYPES = ['invoice', 'receipt', 'debit_note'];
+const NON_CREDITABLE_STATUSES = ['draft', 'cancelled'];
+
+// Πεδία γραμμής που μεταφέρονται αυτούσια στο πιστωτικό
+const COPIED_ITEM_FIELDS = [
+  'productCode', 'description', 'unit', 'unitPrice', 'discountPercent', 'vatRate', 'vatCategory',
+  'vatExemptionReason', 'vatExceptionCategory', 'incomeClassification', 'incomeClassificationCategory'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 10000) / 10000;
+
+class CreditNoteService {
+  // ======================
+  // Remaining quantities
+  // ======================
+
+  assertCreditable(invoice) {
+    if (!CREDITABLE_TYPES.includes(invoice.type)) {
+      throw new AppError(`Cannot issue a credit note against a ${invoice.type}`, 400);
+    }
+
+    if (NON_CREDITABLE_STATUSES.includes(invoice.status)) {
+      throw new AppError(`Cannot issue a credit note against a ${invoice.status} invoice`, 400);
+    }
+  }
+
+  // Ποσότητες που έχουν ήδη πιστωθεί ανά γραμμή (μη ακυρωμένα πιστωτικά)
+  async getCreditedQuantities(itemIds, options = {}) {
+    if (itemIds.length === 0) return {};
+
+    const invoiceWhere = { type: 'credit_note', status: { [Op.ne]: 'cancelled' } };
+    if (options.excludeInvoiceId) {
+      invoiceWhere.id = { [Op.ne]: options.excludeInvoiceId };
+    }
+
+    const credits = await InvoiceItem.findAll({
+      where: { creditedItemId: { [Op.in]: itemIds } },
+      attributes: ['creditedItemId', 'quantity'],
+      include: [{ model: Invoice, as: 'invoice', attributes: [], where: invoiceWhere }],
+      transaction: options.transaction
+    });
+
+    return credits.reduce((totals, credit) => {
+      totals[credit.creditedItemId] = roundQuantity(
+        (totals[credit.creditedItemId] || 0) + (parseFloat(credit.quantity) || 0)
+      );
+      return totals;
+    }, {});
+  }
+
+  async getCreditableLines(invoiceId) {
+    const invoice = await Invoice.findByPk(invoiceId, {
+      include: [{ model: InvoiceItem, as: 'items' }],
+      order: [[{ model: InvoiceItem, as: 'items' }, 'sortOrder', 'ASC']]
+    });
+
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    const credited = await this.getCreditedQuantities(invoice.items.map(item => item.id));
+
+    const lines = invoice.items.map(item => {
+      const quantity = parseFloat(item.quantity) || 0;
+      const creditedQuantity = credited[item.id] || 0;
+
+      return {
+        itemId: item.id,
+        sortOrder: item.sortOrder,
+        description: item.description,
+        unitPrice: parseFloat(item.unitPrice),
+        vatRate: parseFloat(item.vatRate),
+        quantity,
+        credited: creditedQuantity,
+        remaining: Math.max(roundQuantity(quantity - creditedQuantity), 0)
+      };
+    });
+
+    return {
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.getDisplayNumber(),
+      totalAmount: parseFloat(invoice.totalAmount),
+      creditedAmount: parseFloat(invoice.creditedAmount) || 0,
+      fullyCredited: lines.every(line => line.remaining === 0),
+      lines
+    };
+  }
+
+  // Έλεγχος γραμμών [{ itemId, quantity }] έναντι του υπολοίπου προς πίστωση.
+  // Χωρίς quantity πιστώνεται όλο το υπόλοιπο της γραμμής.
+  async resolveLines(original, lines, options = {}) {
+    const items = await InvoiceItem.findAll({
+      where: { invoiceId: original.id },
+      order: [['sortOrder', 'ASC']],
+      transaction: options.transaction
+    });
+    const itemsById = new Map(items.map(item => [item.id, item]));
+
+    const credited = await this.getCreditedQuantities(items.map(item => item.id), options);
+    const fullReversal = !lines || lines.length === 0;
+    const requested = fullReversal ? items.map(item => ({ itemId: item.id })) : lines;
+
+    const seen = new Set();
+    const resolved = [];
+
+    for (const line of requested) {
+      const item = itemsById.get(line.itemId);
+      if (!item) {
+        throw new AppError(`Invoice line ${line.itemId} not found on ${original.getDisplayNumber()}`, 400);
+      }
+
+      if (seen.has(item.id)) {
+        throw new AppError(`Invoice line ${item.sortOrder} is credited more than once`, 400);
+      }
+      seen.add(item.id);
+
+      const remaining = roundQuantity((parseFloat(item.quantity) || 0) - (credited[item.id] || 0));
+      const quantity = line.quantity === undefined || line.quantity === null
+        ? remaining
+        : roundQuantity(parseFloat(line.quantity));
+
+      if (fullReversal && remaining <= 0) continue;
+
+      if (!(quantity > 0)) {
+        throw new AppError(`Credit quantity must be positive on line ${item.sortOrder}`, 400);
+      }
+
+      if (quantity > remaining) {
+        throw new AppError(
+          `Credit quantity ${quantity} on line ${item.sortOrder} exceeds remaining creditable quantity ${Math.max(remaining, 0)}`,
+          400
+        );
+      }
+
+      resolved.push({ item, quantity });
+    }
+
+    if (resolved.length === 0) {
+      throw new AppError(`Invoice ${original.getDisplayNumber()} has already been fully credited`, 400);
+    }
+
+    return resolved;
+  }
+
+  // ======================
+  // Credit notes
+  // ======================
+
+  buildItem({ item, quantity }, creditNoteId, sortOrder) {
+    const data = {
+      invoiceId: creditNoteId,
+      creditedItemId: item.id,
+      quantity,
+      sortOrder
+    };
+    COPIED_ITEM_FIELDS.forEach(field => { data[field] = item[field]; });
+
+    // Έκπτωση ποσού (χωρίς ποσοστό) κατανέμεται αναλογικά στην ποσότητα
+    if (!(parseFloat(item.discountPercent) > 0)) {
+      const share = quantity / (parseFloat(item.quantity) || 1);
+      data.discountAmount = round((parseFloat(item.discountAmount) || 0) * share);
+    }
+
+    return InvoiceItem.build(data);
+  }
+
+  async createFromInvoice(invoiceId, data = {}, options = {}) {
+    const { userId } = options;
+    const t = await sequelize.transaction();
+
+    try {
+      // Κλείδωμα του αρχικού ώστε δύο ταυτόχρονα πιστωτικά να μην ξεπεράσουν το υπόλοιπο
+      const original = await Invoice.findByPk(invoiceId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!original) {
+        throw new AppError('Invoice not found', 404);
+      }
+
+      this.assertCreditable(original);
+
+      const lines = await this.resolveLines(original, data.lines, { transaction: t });
+
+      const metadata = { creditReason: data.reason || null };
+      if (original.mydataId) {
+        metadata.correlatedMark = original.mydataId;
+      }
+
+      const creditNote = await Invoice.create({
+        companyId: original.companyId,
+        type: 'credit_note',
+        series: data.series || original.series,
+        issueDate: data.issueDate || new Date(),
+        vatCategory: original.vatCategory,
+        currency: original.currency,
+        exchangeRate: original.exchangeRate,
+        paymentMethod: original.paymentMethod,
+        notes: data.reason || null,
+        referenceNumber: original.getDisplayNumber(),
+        parentInvoiceId: original.id,
+        metadata,
+        createdBy: userId,
+        updatedBy: userId
+      }, { transaction: t });
+
+      let totalSubtotal = 0;
+      let totalVatAmount = 0;
+      let totalDiscountAmount = 0;
+
+      for (let i = 0; i < lines.length; i++) {
+        const creditItem = this.buildItem(lines[i], creditNote.id, i + 1);
+        creditItem.calculateAmounts();
+        await creditItem.save({ transaction: t });
+
+        totalSubtotal += parseFloat(creditItem.totalPrice);
+        totalVatAmount += parseFloat(creditItem.vatAmount);
+        totalDiscountAmount += parseFloat(creditItem.discountAmount);
+      }
+
+      const netAmount = totalSubtotal - totalDiscountAmount;
+      const totalAmount = netAmount + totalVatAmount;
+
+      await creditNote.update({
+        subtotal: totalSubtotal,
+        vatAmount: totalVatAmount,
+        discountAmount: totalDiscountAmount,
+        totalAmount
+      }, { transaction: t });
+
+      await this.refreshCreditedAmount(original.id, { transaction: t });
+
+      await t.commit();
+
+      logInfo('Credit note created', {
+        creditNoteId: creditNote.id,
+        invoiceId: original.id,
+        lines: lines.length,
+        totalAmount
+      });
+
+      return Invoice.findByPk(creditNote.id, {
+        include: [
+          { model: Company, as: 'company' },
+          { model: InvoiceItem, as: 'items' },
+          { model: Invoice, as: 'parentInvoice', attributes: ['id', 'series', 'invoiceNumber', 'mydataId'] }
+        ],
+        order: [[{ model: InvoiceItem, as: 'items' }, 'sortOrder', 'ASC']]
+      });
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  // Σύνολο μη ακυρωμένων πιστωτικών πάνω στο αρχικό (υπόλοιπο πελάτη, υπενθυμίσεις)
+  async refreshCreditedAmount(invoiceId, options = {}) {
+    const total = await Invoice.sum('totalAmount', {
+      where: {
+        parentInvoiceId: invoiceId,
+        type: 'credit_note',
+        status: { [Op.ne]: 'cancelled' }
+      },
+      transaction: options.transaction
+    });
+
+    await Invoice.update(
+      { creditedAmount: round(total || 0) },
+      { where: { id: invoiceId }, transaction: options.transaction }
+    );
+  }
+}
+
+export default new CreditNoteService();
@@ -0,0 +1,434 @@
+// services/documentConversionService.js
+// Μετατροπή παραστατικών στο επόμενο στάδιο (προσφορά → παραγγελία → δελτίο αποστολής → τιμολόγιο)
+// με σύνδεση γραμμών, μερικές ποσότητες και έλεγχο διπλής τιμολόγησης
+
+import { Op } from 'sequelize';
+import { Document, DocumentItem, Company, sequelize } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo } from '../middleware/logger.js';
+import { checkPlanLimit } from '../middleware/subscription.js';
+import { METERED_INVOICE_TYPES } from '../utils/usageMeter.js';
+
+// Επιτρεπτές μετατροπές: πάντα προς επόμενο στάδιο
+const CONVERSIONS = {
+  quote: ['order', 'delivery_note', 'invoice'],
+  order: ['delivery_note', 'invoice'],
+  delivery_note: ['invoice']
+};
+
+// Στάδιο εκπλήρωσης ανά τύπο παραστατικού, με τη σειρά της ροής
+const STAGES = {
+  quote: 'quoted',
+  order: 'ordered',
+  delivery_note: 'delivered',
+  invoice: 'invoiced'
+};
+
+const STAGE_ORDER = ['quoted', 'ordered', 'delivered', 'invoiced'];
+
+// Βάθος αλυσίδας: ο αριθμός των σταδίων περιορίζει τις αναζητήσεις προς τα πάνω/κάτω
+const MAX_DEPTH = STAGE_ORDER.length;
+
+// Πεδία εγγράφου που μεταφέρονται· χαρτόσημο και λοιπές χρεώσεις ισχύουν ανά παραστατικό
+const COPIED_FIELDS = [
+  'documentSeries', 'tenantId', 'companyId', 'memberId', 'discountPercentage', 'vatRate', 'withholdingTaxRate',
+  'paymentMethod', 'paymentTerms', 'description', 'customerNotes'
+];
+
+const COPIED_ITEM_FIELDS = [
+  'itemCode', 'itemType', 'description', 'detailedDescription', 'unit', 'unitPrice', 'discountPercentage',
+  'vatRate', 'vatCategory', 'incomeCategory', 'expenseCategory', 'accountCode', 'classificationCategory',
+  'classificationType', 'notes', 'isGift'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+class DocumentConversionService {
+  // ======================
+  // Chain navigation
+  // ======================
+
+  assertConvertible(source, targetType) {
+    const targets = CONVERSIONS[source.documentType] || [];
+    if (!targets.includes(targetType)) {
+      throw new AppError(`Cannot convert ${source.documentType} to ${targetType}`, 400);
+    }
+
+    if (source.status === 'cancelled') {
+      throw new AppError('Cannot convert a cancelled document', 400);
+    }
+  }
+
+  // Ρίζα της αλυσίδας (συνήθως η προσφορά)
+  async findRoot(document, options = {}) {
+    let current = document;
+
+    for (let depth = 0; current.referenceId && depth < MAX_DEPTH; depth++) {
+      const parent = await Document.findByPk(current.referenceId, {
+        attributes: ['id', 'referenceId'],
+        transaction: options.transaction
+      });
+      if (!parent) break;
+      current = parent;
+    }
+
+    return current;
+  }
+
+  // Γραμμή → γραμμές προέλευσης προς τα πάνω (η ίδια πρώτη)
+  async getAncestorLines(items, options = {}) {
+    const chains = new Map(items.map(item => [item.id, [item]]));
+    let frontier = items.filter(item => item.referenceId);
+
+    for (let depth = 0; frontier.length > 0 && depth < MAX_DEPTH; depth++) {
+      const parents = await DocumentItem.findAll({
+        where: { id: { [Op.in]: [...new Set(frontier.map(item => item.referenceId))] } },
+        transaction: options.transaction
+      });
+      const parentsById = new Map(parents.map(parent => [parent.id, parent]));
+
+      const next = [];
+      chains.forEach(chain => {
+        const last = chain[chain.length - 1];
+        const parent = last.referenceId && parentsById.get(last.referenceId);
+        if (parent && frontier.includes(last)) {
+          chain.push(parent);
+          if (parent.referenceId) next.push(parent);
+        }
+      });
+      frontier = next;
+    }
+
+    return chains;
+  }
+
+  // Ποσότητες ανά στάδιο για κάθε γραμμή, από όλες τις μεταγενέστερες γραμμές της αλυσίδας.
+  // Τα ακυρωμένα παραστατικά δεν μετρούν (η ποσότητα αποδεσμεύεται) αλλά η αναζήτηση συνεχίζει κάτω από αυτά.
+  async getStageQuantities(itemIds, options = {}) {
+    const totals = {};
+    itemIds.forEach(id => { totals[id] = { ordered: 0, delivered: 0, invoiced: 0 }; });
+
+    // γραμμή της αλυσίδας → αρχική γραμμή
+    let frontier = new Map(itemIds.map(id => [id, id]));
+
+    for (let depth = 0; frontier.size > 0 && depth < MAX_DEPTH; depth++) {
+      const children = await DocumentItem.findAll({
+        where: { referenceId: { [Op.in]: [...frontier.keys()] } },
+        attributes: ['id', 'referenceId', 'quantity'],
+        include: [{ model: Document, as: 'document', attributes: ['id', 'documentType', 'status'], required: true }],
+        transaction: options.transaction
+      });
+
+      const next = new Map();
+      children.forEach(child => {
+        const rootId = frontier.get(child.referenceId);
+        const stage = STAGES[child.document.documentType];
+
+        if (child.document.status !== 'cancelled' && totals[rootId][stage] !== undefined) {
+          totals[rootId][stage] = roundQuantity(totals[rootId][stage] + (parseFloat(child.quantity) || 0));
+        }
+        next.set(child.id, rootId);
+      });
+      frontier = next;
+    }
+
+    return totals;
+  }
+
+  // Στάδιο εκπλήρωσης: το πιο προχωρημένο στάδιο που καλύπτει όλη την ποσότητα της γραμμής
+  getLineStatus(documentType, quantity, stageQuantities) {
+    let status = STAGES[documentType];
+
+    STAGE_ORDER.slice(STAGE_ORDER.indexOf(status) + 1).forEach(stage => {
+      if (quantity > 0 && stageQuantities[stage] >= quantity) {
+        status = stage;
+      }
+    });
+
+    return status;
+  }
+
+  // Υπόλοιπο προς μετατροπή στο στάδιο: το μικρότερο στη γραμμή και στις γραμμές προέλευσης
+  // (π.χ. δελτίο αποστολής παραγγελίας που τιμολογήθηκε απευθείας δεν ξανατιμολογείται)
+  getRemaining(chain, stageTotals, stage) {
+    return chain.reduce((remaining, line) => {
+      const lineRemaining = roundQuantity((parseFloat(line.quantity) || 0) - (stageTotals[line.id]?.[stage] || 0));
+      return Math.min(remaining, lineRemaining);
+    }, Infinity);
+  }
+
+  async getLines(document, targetType = null, options = {}) {
+    const items = document.items || await DocumentItem.findAll({
+      where: { documentId: document.id },
+      order: [['sortOrder', 'ASC'], ['lineNumber', 'ASC']],
+      transaction: options.transaction
+    });
+
+    const chains = await this.getAncestorLines(items, options);
+    const allIds = [...new Set([...chains.values()].flat().map(line => line.id))];
+    const stageTotals = await this.getStageQuantities(allIds, options);
+
+    return items.map(item => {
+      const quantity = parseFloat(item.quantity) || 0;
+      const line = {
+        item,
+        itemId: item.id,
+        lineNumber: item.lineNumber,
+        description: item.description,
+        quantity,
+        ...stageTotals[item.id],
+        status: this.getLineStatus(document.documentType, quantity, stageTotals[item.id])
+      };
+
+      if (targetType) {
+        line.remaining = Math.max(this.getRemaining(chains.get(item.id), stageTotals, STAGES[targetType]), 0);
+      }
+
+      return line;
+    });
+  }
+
+  // Γραμμές με το υπόλοιπο προς μετατροπή (για επιλογή μερικών ποσοτήτων)
+  async getConvertibleLines(id, targetType) {
+    const source = await Document.findByPk(id, {
+      include: [{ model: DocumentItem, as: 'items' }],
+      order: [[{ model: DocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+    if (!source) {
+      throw new AppError('Document not found', 404);
+    }
+
+    this.assertConvertible(source, targetType);
+
+    const lines = await this.getLines(source, targetType);
+
+    return {
+      documentId: source.id,
+      documentNumber: source.documentNumber,
+      targetType,
+      fullyConverted: lines.every(line => line.remaining === 0),
+      lines: lines.map(({ item, ...line }) => ({ ...line, unitPrice: parseFloat(item.unitPrice), vatRate: parseFloat(item.vatRate) }))
+    };
+  }
+
+  // ======================
+  // Conversion
+  // ======================
+
+  // Έλεγχος γραμμών [{ itemId, quantity }] έναντι του υπολοίπου.
+  // Χωρίς γραμμές μετατρέπεται όλο το υπόλοιπο· χωρίς quantity όλο το υπόλοιπο της γραμμής.
+  async resolveLines(source, targetType, lines, options = {}) {
+    const available = await this.getLines(source, targetType, options);
+    const byId = new Map(available.map(line => [line.itemId, line]));
+    const fullConversion = !lines || lines.length === 0;
+    const requested = fullConversion ? available.map(line => ({ itemId: line.itemId })) : lines;
+
+    const seen = new Set();
+    const resolved = [];
+
+    for (const line of requested) {
+      const current = byId.get(line.itemId);
+      if (!current) {
+        throw new AppError(`Document line ${line.itemId} not found on ${source.documentNumber}`, 400);
+      }
+
+      if (seen.has(current.itemId)) {
+        throw new AppError(`Document line ${current.lineNumber} is converted more than once`, 400);
+      }
+      seen.add(current.itemId);
+
+      const quantity = line.quantity === undefined || line.quantity === null
+        ? current.remaining
+        : roundQuantity(parseFloat(line.quantity));
+
+      if (fullConversion && current.remaining <= 0) continue;
+
+      if (!(quantity > 0)) {
+        throw new AppError(`Quantity must be positive on line ${current.lineNumber}`, 400);
+      }
+
+      if (quantity > current.remaining) {
+        throw new AppError(
+          `Quantity ${quantity} on line ${current.lineNumber} exceeds remaining quantity ${current.remaining} to be ${STAGES[targetType]}`,
+          400
+        );
+      }
+
+      resolved.push({ item: current.item, quantity });
+    }
+
+    if (resolved.length === 0) {
+      throw new AppError(`${source.documentNumber} has already been fully ${STAGES[targetType]}`, 400);
+    }
+
+    return resolved;
+  }
+
+  buildItem({ item, quantity }, source, lineNumber) {
+    const data = {
+      lineNumber,
+      sortOrder: lineNumber,
+      quantity,
+      referenceType: source.documentType,
+      referenceId: item.id
+    };
+    COPIED_ITEM_FIELDS.forEach(field => { data[field] = item[field]; });
+
+    // Έκπτωση ποσού (χωρίς ποσοστό) κατανέμεται αναλογικά στην ποσότητα
+    if (!(parseFloat(item.discountPercentage) > 0)) {
+      const share = quantity / (parseFloat(item.quantity) || 1);
+      data.discountAmount = round((parseFloat(item.discountAmount) || 0) * share);
+    }
+
+    const built = DocumentItem.build(data);
+    built.calculateAmounts();
+    return built;
+  }
+
+  // options.tenant: req.tenant, για το όριο τιμολογίων του πακέτου (402 με το σώμα στο error.planLimit)
+  async convert(sourceId, targetType, data = {}, options = {}) {
+    const { userId, tenant } = options;
+    const t = await sequelize.transaction();
+
+    try {
+      const source = await Document.findByPk(sourceId, { transaction: t });
+      if (!source) {
+        throw new AppError('Document not found', 404);
+      }
+
+      this.assertConvertible(source, targetType);
+
+      // Κλείδωμα της ρίζας: ταυτόχρονες μετατροπές από οποιοδήποτε στάδιο της ίδιας αλυσίδας σειριοποιούνται
+      const root = await this.findRoot(source, { transaction: t });
+      await Document.findByPk(root.id, { attributes: ['id'], transaction: t, lock: t.LOCK.UPDATE });
+
+      if (METERED_INVOICE_TYPES.includes(targetType)) {
+        const blocked = await checkPlanLimit(tenant, 'invoices', 1, { transaction: t });
+        if (blocked) {
+          throw Object.assign(new AppError(blocked.error, 402), { planLimit: blocked });
+        }
+      }
+
+      const lines = await this.resolveLines(source, targetType, data.lines, { transaction: t });
+      const items = lines.map((line, index) => this.buildItem(line, source, index + 1));
+
+      const subtotal = round(items.reduce((sum, item) => sum + parseFloat(item.netAmount), 0));
+      const vatAmount = round(items.reduce((sum, item) => sum + parseFloat(item.vatAmount), 0));
+
+      // Έκπτωση εγγράφου αναλογικά στην αξία που μετατρέπεται
+      const sourceSubtotal = parseFloat(source.subtotal) || 0;
+      const discountAmount = sourceSubtotal > 0
+        ? round((parseFloat(source.discountAmount) || 0) * Math.min(subtotal / sourceSubtotal, 1))
+        : 0;
+
+      const documentData = {};
+      COPIED_FIELDS.forEach(field => { documentData[field] = source[field]; });
+
+      const document = await Document.create({
+        ...documentData,
+        documentType: targetType,
+        documentDate: data.documentDate || new Date(),
+        dueDate: data.dueDate || null,
+        subtotal,
+        vatAmount,
+        discountAmount,
+        status: 'draft',
+        referenceType: source.documentType,
+        referenceNumber: source.documentNumber,
+        referenceId: source.id,
+        internalNotes: data.notes || null,
+        createdBy: userId,
+        updatedBy: userId
+      }, { transaction: t });
+
+      // bulkCreate χωρίς hooks: τα σύνολα έχουν ήδη υπολογιστεί
+      await DocumentItem.bulkCreate(
+        items.map(item => ({ ...item.get({ plain: true }), documentId: document.id })),
+        { transaction: t }
+      );
+
+      await t.commit();
+
+      logInfo('Document converted', {
+        sourceId: source.id,
+        sourceType: source.documentType,
+        documentId: document.id,
+        documentType: targetType,
+        lines: lines.length
+      });
+
+      return this.getDocument(document.id);
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  async getDocument(id) {
+    return Document.findByPk(id, {
+      include: [
+        { model: Company, as: 'company' },
+        { model: DocumentItem, as: 'items' }
+      ],
+      order: [[{ model: DocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+  }
+
+  // ======================
+  // Chain view
+  // ======================
+
+  describeDocument(document) {
+    return {
+      id: document.id,
+      documentType: document.documentType,
+      documentNumber: document.documentNumber,
+      documentDate: document.documentDate,
+      status: document.status,
+      total: parseFloat(document.total) || 0,
+      referenceId: document.referenceId,
+      children: []
+    };
+  }
+
+  // Όλη η ροή από τη ρίζα, με την κατάσταση εκπλήρωσης των γραμμών του ζητούμενου παραστατικού
+  async getChain(documentId) {
+    const document = await Document.findByPk(documentId, {
+      include: [{ model: DocumentItem, as: 'items' }],
+      order: [[{ model: DocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+    if (!document) {
+      throw new AppError('Document not found', 404);
+    }
+
+    const root = await Document.findByPk((await this.findRoot(document)).id);
+    const nodes = new Map([[root.id, this.describeDocument(root)]]);
+    let frontier = [root.id];
+
+    for (let depth = 0; frontier.length > 0 && depth < MAX_DEPTH; depth++) {
+      const children = await Document.findAll({
+        where: { referenceId: { [Op.in]: frontier } },
+        order: [['documentDate', 'ASC'], ['createdAt', 'ASC']]
+      });
+
+      children.forEach(child => {
+        const node = this.describeDocument(child);
+        nodes.set(child.id, node);
+        nodes.get(child.referenceId).children.push(node);
+      });
+      frontier = children.map(child => child.id);
+    }
+
+    const lines = await this.getLines(document);
+
+    return {
+      documentId: document.id,
+      chain: nodes.get(root.id),
+      conversions: CONVERSIONS[document.documentType] || [],
+      lines: lines.map(({ item, ...line }) => line)
+    };
+  }
+}
+
+export default new DocumentConversionService();
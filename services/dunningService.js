@@ -0,0 +1,542 @@
+// services/dunningService.js
+// Κλιμακωτές υπενθυμίσεις πληρωμής (dunning) για ληξιπρόθεσμα παραστατικά και τιμολόγια
+
+import cron from 'node-cron';
+import moment from 'moment';
+import fs from 'fs';
+import path from 'path';
+import handlebars from 'handlebars';
+import { fileURLToPath } from 'url';
+import { Op, UniqueConstraintError } from 'sequelize';
+import {
+  DunningLevel,
+  DunningReminder,
+  Document,
+  Invoice,
+  Company,
+  Member
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError, logWarning } from '../middleware/logger.js';
+import { getTenantId, runWithTenant } from '../utils/tenantContext.js';
+import emailService from './emailService.js';
+import pdfTemplateService from './pdfTemplateService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EMAIL_TEMPLATE_PATH = path.join(__dirname, '../templates/emails');
+
+const DEFAULT_SUBJECT = 'Υπενθύμιση Πληρωμής - {{documentNumber}}';
+
+// Παραστατικά που δημιουργούν απαίτηση με ημερομηνία λήξης
+const DUNNING_DOCUMENT_TYPES = ['invoice', 'debit_note'];
+const CLOSED_DOCUMENT_STATUSES = ['draft', 'paid', 'cancelled'];
+const OPEN_INVOICE_STATUSES = ['sent', 'overdue'];
+
+// Επίπεδα κάθε νέου tenant (ίδια με τα αρχικά του migration 016)
+const DEFAULT_LEVELS = [
+  { name: 'Υπενθύμιση λήξης', daysOffset: -3, isFinalNotice: false },
+  { name: '1η υπενθύμιση', daysOffset: 7, isFinalNotice: false },
+  { name: '2η υπενθύμιση', daysOffset: 30, isFinalNotice: false },
+  { name: 'Τελική ειδοποίηση', daysOffset: 60, isFinalNotice: true }
+];
+
+const EDITABLE_FIELDS = [
+  'name', 'daysOffset', 'template', 'subject', 'lateFeeType', 'lateFeeValue', 'isFinalNotice', 'isActive'
+];
+
+class DunningService {
+  constructor() {
+    this.job = null;
+    this.running = false;
+  }
+
+  // ======================
+  // Lifecycle
+  // ======================
+
+  // Ημερήσια εκτέλεση (DUNNING_CRON, προεπιλογή 09:00 ώρα Ελλάδας)
+  start() {
+    if (this.job) return;
+
+    const expression = process.env.DUNNING_CRON || '0 9 * * *';
+    if (!cron.validate(expression)) {
+      logWarning('Invalid DUNNING_CRON expression, dunning job disabled', { expression });
+      return;
+    }
+
+    this.job = cron.schedule(expression, () => this.run({ trigger: 'schedule' }).catch(error => {
+      logError('Dunning run failed', { error: error.message });
+    }), {
+      timezone: process.env.DUNNING_TIMEZONE || 'Europe/Athens'
+    });
+
+    logInfo('Dunning job scheduled', { expression });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ======================
+  // Levels
+  // ======================
+
+  async getLevels({ activeOnly = false } = {}) {
+    return DunningLevel.findAll({
+      where: activeOnly ? { isActive: true } : {},
+      order: [['daysOffset', 'ASC']]
+    });
+  }
+
+  async createDefaultLevels(tenantId, { transaction } = {}) {
+    return DunningLevel.bulkCreate(DEFAULT_LEVELS.map(level => ({
+      ...level,
+      tenantId,
+      template: 'reminder',
+      lateFeeType: 'none',
+      lateFeeValue: 0,
+      isActive: true
+    })), { transaction });
+  }
+
+  async validateLevel(values) {
+    if (values.template && !fs.existsSync(path.join(EMAIL_TEMPLATE_PATH, `${values.template}.hbs`))) {
+      throw new AppError(`Email template not found: ${values.template}`, 400);
+    }
+
+    if (values.subject) {
+      try {
+        handlebars.compile(values.subject)({});
+      } catch (error) {
+        throw new AppError(`Invalid subject: ${error.message}`, 400);
+      }
+    }
+
+    if (values.lateFeeType && values.lateFeeType !== 'none' && values.daysOffset <= 0) {
+      throw new AppError('Late fees apply only to levels after the due date', 400);
+    }
+  }
+
+  async createLevel(data, { userId } = {}) {
+    const values = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    await this.validateLevel(values);
+
+    try {
+      return await DunningLevel.create({ ...values, createdBy: userId });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        throw new AppError(`A dunning level for ${values.daysOffset} days already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  async updateLevel(level, data) {
+    const values = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    await this.validateLevel({ ...level.get({ plain: true }), ...values });
+
+    try {
+      return await level.update(values);
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        throw new AppError(`A dunning level for ${values.daysOffset} days already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  async deleteLevel(level) {
+    const sent = await DunningReminder.count({ where: { dunningLevelId: level.id, status: 'sent' } });
+    if (sent > 0) {
+      throw new AppError('Level has sent reminders; deactivate it instead', 409);
+    }
+
+    await DunningReminder.destroy({ where: { dunningLevelId: level.id } });
+    await level.destroy();
+  }
+
+  // ======================
+  // Candidates & Stop Rules
+  // ======================
+
+  _customer(source) {
+    const entity = source.member || source.company;
+    if (!entity) return { name: null, email: null, optOut: false };
+
+    return {
+      name: typeof entity.getFullName === 'function' ? entity.getFullName() : entity.name,
+      email: entity.email,
+      optOut: Boolean(entity.dunningOptOut)
+    };
+  }
+
+  _fromDocument(document) {
+    const total = parseFloat(document.total) || 0;
+    return {
+      sourceType: 'document',
+      source: document,
+      id: document.id,
+      documentNumber: document.documentNumber,
+      documentDate: document.documentDate,
+      dueDate: document.dueDate,
+      status: document.status,
+      total,
+      paidAmount: parseFloat(document.paidAmount) || 0,
+      outstanding: parseFloat(document.balanceDue) || 0,
+      disputedAt: document.disputedAt,
+      tenantId: document.tenantId,
+      companyId: document.companyId,
+      memberId: document.memberId,
+      customer: this._customer(document)
+    };
+  }
+
+  _fromInvoice(invoice) {
+    const total = parseFloat(invoice.totalAmount) || 0;
+    return {
+      sourceType: 'invoice',
+      source: invoice,
+      id: invoice.id,
+      documentNumber: invoice.invoiceNumber,
+      documentDate: invoice.issueDate,
+      dueDate: invoice.dueDate,
+      status: invoice.status,
+      total,
+      paidAmount: parseFloat(invoice.paidAmount) || 0,
+      outstanding: invoice.getOutstandingAmount(),
+      disputedAt: invoice.disputedAt,
+      tenantId: invoice.tenantId,
+      companyId: invoice.companyId,
+      memberId: null,
+      customer: this._customer(invoice)
+    };
+  }
+
+  // Ανοικτές απαιτήσεις που έφτασαν τουλάχιστον στο πρώτο επίπεδο
+  async findCandidates(levels, today) {
+    if (levels.length === 0) return [];
+
+    const latestDueDate = moment(today).subtract(levels[0].daysOffset, 'days').format('YYYY-MM-DD');
+
+    const [documents, invoices] = await Promise.all([
+      Document.findAll({
+        where: {
+          documentType: { [Op.in]: DUNNING_DOCUMENT_TYPES },
+          status: { [Op.notIn]: CLOSED_DOCUMENT_STATUSES },
+          balanceDue: { [Op.gt]: 0 },
+          dueDate: { [Op.ne]: null, [Op.lte]: latestDueDate },
+          disputedAt: null
+        },
+        include: [
+          { model: Company, as: 'company' },
+          { model: Member, as: 'member' }
+        ]
+      }),
+      Invoice.findAll({
+        where: {
+          type: { [Op.in]: DUNNING_DOCUMENT_TYPES },
+          status: { [Op.in]: OPEN_INVOICE_STATUSES },
+          dueDate: { [Op.ne]: null, [Op.lte]: latestDueDate },
+          disputedAt: null
+        },
+        include: [{ model: Company, as: 'company' }]
+      })
+    ]);
+
+    return [
+      ...documents.map(document => this._fromDocument(document)),
+      ...invoices.map(invoice => this._fromInvoice(invoice))
+    ];
+  }
+
+  // Κανόνες διακοπής: εξόφληση, ακύρωση, αμφισβήτηση, opt-out, χωρίς email
+  getStopReason(item) {
+    if (item.outstanding <= 0 || item.status === 'paid') return 'paid';
+    if (item.status === 'cancelled') return 'cancelled';
+    if (item.disputedAt) return 'disputed';
+    if (item.customer.optOut) return 'opted_out';
+    if (!item.customer.email) return 'no_email';
+    return null;
+  }
+
+  // Υψηλότερο επίπεδο που αντιστοιχεί στις ημέρες καθυστέρησης και δεν έχει σταλεί
+  selectLevel(levels, daysOverdue, sentLevelIds) {
+    const due = levels.filter(level => level.daysOffset <= daysOverdue);
+    if (due.length === 0) return null;
+
+    const highest = due[due.length - 1];
+    const highestSentIndex = levels.reduce((max, level, index) => (sentLevelIds.has(level.id) ? index : max), -1);
+
+    // Δεν στέλνουμε χαμηλότερο επίπεδο μετά από υψηλότερο
+    return levels.indexOf(highest) > highestSentIndex ? highest : null;
+  }
+
+  // ======================
+  // Execution
+  // ======================
+
+  async run({ trigger = 'schedule', userId = null, dryRun = false, date } = {}) {
+    if (this.running) {
+      throw new AppError('Dunning run is already in progress', 409);
+    }
+
+    this.running = true;
+    const today = moment(date).format('YYYY-MM-DD');
+    const results = { date: today, dryRun, processed: 0, sent: [], skipped: [], failed: [] };
+
+    try {
+      const options = { trigger, userId, dryRun, today, results };
+
+      if (getTenantId() === undefined) {
+        // Cron εκτέλεση: κάθε tenant με τα δικά του επίπεδα και παραστατικά
+        const tenants = await DunningLevel.findAll({
+          where: { isActive: true },
+          attributes: ['tenantId'],
+          group: ['tenantId']
+        });
+
+        for (const { tenantId } of tenants) {
+          await runWithTenant({ tenantId }, () => this._runTenant(options));
+        }
+      } else {
+        await this._runTenant(options);
+      }
+
+      logInfo('Dunning run completed', {
+        trigger,
+        dryRun,
+        processed: results.processed,
+        sent: results.sent.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length
+      });
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _runTenant({ trigger, userId, dryRun, today, results }) {
+    const levels = await this.getLevels({ activeOnly: true });
+    const candidates = await this.findCandidates(levels, today);
+    results.processed += candidates.length;
+
+    const sentReminders = candidates.length > 0
+      ? await DunningReminder.findAll({
+        where: {
+          sourceId: { [Op.in]: candidates.map(item => item.id) },
+          status: 'sent'
+        },
+        attributes: ['sourceType', 'sourceId', 'dunningLevelId']
+      })
+      : [];
+
+    const sentBySource = new Map();
+    sentReminders.forEach(reminder => {
+      const key = `${reminder.sourceType}:${reminder.sourceId}`;
+      if (!sentBySource.has(key)) sentBySource.set(key, new Set());
+      sentBySource.get(key).add(reminder.dunningLevelId);
+    });
+
+    const issuers = new Map();
+
+    for (const item of candidates) {
+      const daysOverdue = moment(today).diff(moment(item.dueDate), 'days');
+      const sentLevelIds = sentBySource.get(`${item.sourceType}:${item.id}`) || new Set();
+      const level = this.selectLevel(levels, daysOverdue, sentLevelIds);
+
+      if (!level) continue;
+
+      const entry = {
+        sourceType: item.sourceType,
+        sourceId: item.id,
+        documentNumber: item.documentNumber,
+        level: level.name,
+        daysOverdue
+      };
+
+      const stopReason = this.getStopReason(item);
+      if (stopReason) {
+        results.skipped.push({ ...entry, reason: stopReason });
+        continue;
+      }
+
+      if (dryRun) {
+        results.sent.push({
+          ...entry,
+          recipient: item.customer.email,
+          lateFee: level.calculateLateFee(item.outstanding, daysOverdue)
+        });
+        continue;
+      }
+
+      try {
+        const createdBy = item.source.createdBy;
+        if (!issuers.has(createdBy)) {
+          issuers.set(createdBy, await pdfTemplateService.resolveIssuer(item.source));
+        }
+
+        const reminder = await this.sendReminder(item, level, {
+          levels,
+          daysOverdue,
+          reminderCount: sentLevelIds.size + 1,
+          issuer: issuers.get(createdBy),
+          trigger,
+          userId
+        });
+
+        if (reminder) {
+          results.sent.push({ ...entry, recipient: reminder.recipient, lateFee: parseFloat(reminder.lateFee) });
+        } else {
+          results.skipped.push({ ...entry, reason: 'already_sent' });
+        }
+      } catch (error) {
+        results.failed.push({ ...entry, error: error.message });
+      }
+    }
+  }
+
+  // Κλείδωμα επιπέδου στο log πριν την αποστολή (μία αποστολή ανά παραστατικό και επίπεδο)
+  async _claimReminder(item, level, values) {
+    const where = { sourceType: item.sourceType, sourceId: item.id, dunningLevelId: level.id };
+
+    const existing = await DunningReminder.findOne({ where });
+    if (existing) {
+      if (existing.status !== 'failed') return null;
+      await existing.update({ ...values, status: 'pending', error: null });
+      return existing;
+    }
+
+    try {
+      return await DunningReminder.create({ ...where, ...values, status: 'pending' });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) return null;
+      throw error;
+    }
+  }
+
+  async sendReminder(item, level, { levels, daysOverdue, reminderCount, issuer = null, trigger, userId }) {
+    const lateFee = level.calculateLateFee(item.outstanding, daysOverdue);
+
+    const reminder = await this._claimReminder(item, level, {
+      tenantId: item.tenantId,
+      companyId: item.companyId,
+      memberId: item.memberId,
+      documentNumber: item.documentNumber,
+      recipient: item.customer.email,
+      daysOverdue,
+      outstandingAmount: item.outstanding,
+      lateFee,
+      trigger,
+      sentBy: userId
+    });
+
+    if (!reminder) return null;
+
+    const nextLevel = levels.find(candidate => candidate.daysOffset > level.daysOffset);
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    const section = item.sourceType === 'invoice' ? 'invoices' : 'documents';
+
+    const context = {
+      customer: { name: item.customer.name },
+      company: pdfTemplateService.buildCompanyContext(issuer),
+      invoice: {
+        documentNumber: item.documentNumber,
+        date: item.documentDate,
+        dueDate: item.dueDate,
+        totalAmount: item.total,
+        paidAmount: item.paidAmount || null,
+        viewUrl: `${appUrl}/${section}/${item.id}`,
+        paymentUrl: `${appUrl}/pay/${item.id}`
+      },
+      outstandingAmount: item.outstanding + lateFee,
+      lateFee: lateFee || null,
+      daysOverdue: Math.max(daysOverdue, 0),
+      daysUntilDue: Math.max(-daysOverdue, 0),
+      isOverdue: daysOverdue > 0,
+      isDueSoon: daysOverdue <= 0,
+      isFinalNotice: level.isFinalNotice,
+      reminderCount,
+      maxReminders: levels.length,
+      nextReminderDate: nextLevel ? moment(item.dueDate).add(nextLevel.daysOffset, 'days').toDate() : null
+    };
+
+    try {
+      await emailService.sendDunningReminderEmail({
+        to: item.customer.email,
+        template: level.template,
+        subject: handlebars.compile(level.subject || DEFAULT_SUBJECT)({ documentNumber: item.documentNumber }),
+        context
+      });
+
+      await reminder.update({ status: 'sent', sentAt: new Date(), error: null });
+      return reminder;
+    } catch (error) {
+      await reminder.update({ status: 'failed', error: error.message });
+      logError('Dunning reminder failed', {
+        sourceType: item.sourceType,
+        sourceId: item.id,
+        level: level.name,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // ======================
+  // Disputes & Opt-outs
+  // ======================
+
+  async _findSource(sourceType, id) {
+    const Model = sourceType === 'invoice' ? Invoice : Document;
+    const source = await Model.findByPk(id);
+    if (!source) {
+      throw new AppError(`${sourceType === 'invoice' ? 'Invoice' : 'Document'} not found`, 404);
+    }
+    return source;
+  }
+
+  async openDispute(sourceType, id, reason) {
+    const source = await this._findSource(sourceType, id);
+    if (source.disputedAt) {
+      throw new AppError('Dispute is already open', 400);
+    }
+
+    return source.update({ disputedAt: new Date(), disputeReason: reason || null });
+  }
+
+  async resolveDispute(sourceType, id) {
+    const source = await this._findSource(sourceType, id);
+    if (!source.disputedAt) {
+      throw new AppError('No open dispute', 400);
+    }
+
+    return source.update({ disputedAt: null, disputeReason: null });
+  }
+
+  async setOptOut(customerType, id, optOut) {
+    const Model = customerType === 'member' ? Member : Company;
+    const customer = await Model.findByPk(id);
+    if (!customer) {
+      throw new AppError(`${customerType === 'member' ? 'Member' : 'Company'} not found`, 404);
+    }
+
+    return customer.update({ dunningOptOut: optOut });
+  }
+}
+
+export default new DunningService();
@@ -8,10 +8,39 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { logger } from '../utils/logger.js';
+import { numberFormatters, dateFormatters } from '../utils/formatters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Helpers που χρησιμοποιούν τα templates/emails
+handlebars.registerHelper('formatCurrency', amount => numberFormatters.formatCurrency(parseFloat(amount) || 0));
+handlebars.registerHelper('formatDate', date => (date ? dateFormatters.formatDate(date) : ''));
+
+const DOCUMENT_EMAIL_TEMPLATE = `
+<p>Αγαπητέ πελάτη{{#if companyName}} ({{companyName}}){{/if}},</p>
+{{#if message}}<p>{{message}}</p>{{/if}}
+<p>Σας αποστέλλουμε το παραστατικό <strong>{{documentNumber}}</strong> της {{documentDate}}, συνολικού ποσού {{total}} €.</p>
+<p>Το PDF επισυνάπτεται στο παρόν email.</p>
+<p style="color:#6c757d;font-size:12px">{{appName}}</p>
+`;
+
+const REPORT_EMAIL_TEMPLATE = `
+<p>Σας αποστέλλουμε την αναφορά <strong>{{reportName}}</strong>{{#if period}} για την περίοδο {{period.startDate}} - {{period.endDate}}{{/if}}.</p>
+<p>Συνημμένα:</p>
+<ul>{{#each files}}<li>{{this}}</li>{{/each}}</ul>
+<p style="color:#6c757d;font-size:12px">Αυτόματη αποστολή από {{appName}}.</p>
+`;
+
+const STATEMENT_EMAIL_TEMPLATE = `
+<p>Αγαπητέ πελάτη{{#if customerName}} ({{customerName}}){{/if}},</p>
+{{#if message}}<p>{{message}}</p>{{/if}}
+<p>Σας αποστέλλουμε την καρτέλα σας για την περίοδο {{dateFrom}} - {{dateTo}}.</p>
+<p>Υπόλοιπο λογαριασμού: <strong>{{closingBalance}} €</strong></p>
+<p>Η αναλυτική καρτέλα επισυνάπτεται σε μορφή PDF.</p>
+<p style="color:#6c757d;font-size:12px">{{appName}}</p>
+`;
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -70,7 +99,7 @@ class EmailService {
       }
 
       // Load template file
-      const templatePath = path.join(__dirname, '..', 'templates', 'email', `${templateName}.hbs`);
+      const templatePath = path.join(__dirname, '..', 'templates', 'emails', `${templateName}.hbs`);
       const templateContent = await fs.readFile(templatePath, 'utf-8');
       
       // Compile template
@@ -132,7 +161,7 @@ class EmailService {
   }
 
   // Αποστολή απλού email
-  async send(to, subject, html, attachments = []) {
+  async send(to, subject, html, attachments = [], options = {}) {
     try {
       // Skip email if transporter not configured
       if (!this.transporter) {
@@ -145,7 +174,8 @@ class EmailService {
         to,
         subject,
         html,
-        attachments
+        attachments,
+        ...options
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -250,6 +280,57 @@ class EmailService {
     );
   }
 
+  // Email παραστατικού (όλοι οι τύποι) με συνημμένο PDF
+  async sendDocumentEmail({ to, cc, document, message, attachment }) {
+    const template = handlebars.compile(DOCUMENT_EMAIL_TEMPLATE);
+    const html = template(this.getBaseContext({
+      companyName: document.company?.name,
+      documentNumber: document.documentNumber,
+      documentDate: new Date(document.documentDate).toLocaleDateString('el-GR'),
+      total: parseFloat(document.total || 0).toFixed(2),
+      message
+    }));
+
+    const attachments = attachment
+      ? [{ contentType: 'application/pdf', ...attachment }]
+      : [];
+
+    return this.send(
+      to,
+      `Παραστατικό ${document.documentNumber}`,
+      html,
+      attachments,
+      cc ? { cc } : {}
+    );
+  }
+
+  // Email καρτέλας πελάτη με συνημμένο PDF
+  async sendStatementEmail({ to, statement, message, attachment }) {
+    const template = handlebars.compile(STATEMENT_EMAIL_TEMPLATE);
+    const html = template(this.getBaseContext({
+      customerName: statement.customer.name,
+      dateFrom: new Date(statement.dateFrom).toLocaleDateString('el-GR'),
+      dateTo: new Date(statement.dateTo).toLocaleDateString('el-GR'),
+      closingBalance: statement.summary.closingBalance.toFixed(2),
+      message
+    }));
+
+    return this.send(
+      to,
+      `Καρτέλα πελάτη ${statement.statementNumber}`,
+      html,
+      attachment ? [{ contentType: 'application/pdf', ...attachment }] : []
+    );
+  }
+
+  // Υπενθύμιση πληρωμής επιπέδου dunning (template και θέμα ανά επίπεδο)
+  async sendDunningReminderEmail({ to, template = 'reminder', subject, context = {} }) {
+    const compiled = await this.loadTemplate(template);
+    const html = compiled(this.getBaseContext(context));
+
+    return this.send(to, subject, html);
+  }
+
   // Email για ληξιπρόθεσμα τιμολόγια
   async sendPaymentReminderEmail(invoice, recipient) {
     const context = {
@@ -270,20 +351,33 @@ class EmailService {
     );
   }
 
-  // Email για λήξη συνδρομής
-  async sendSubscriptionExpiryEmail(company, daysUntilExpiry) {
+  // Email υπενθύμισης ανανέωσης συνδρομής (templates/emails/subscription-renewal.hbs)
+  async sendSubscriptionExpiryEmail(company, daysUntilExpiry, usage = {}) {
+    const formatDate = date => (date ? new Date(date).toLocaleDateString('el-GR') : '');
+    const plan = company.subscriptionPlan;
+
     const context = {
       companyName: company.name,
       daysUntilExpiry,
-      expiryDate: new Date(company.subscriptionEndDate).toLocaleDateString('el-GR'),
+      expiryDate: formatDate(company.subscriptionEndDate),
+      startDate: formatDate(company.subscriptionStartDate),
+      subscriptionPeriod: usage.period ? `${formatDate(usage.period.start)} - ${formatDate(usage.period.end)}` : '',
+      currentPlan: usage.planName || plan,
+      isBasicPlan: plan === 'basic',
+      isProfessionalPlan: plan === 'professional',
+      isEnterprisePlan: plan === 'enterprise',
+      invoiceCount: usage.invoices?.used ?? 0,
+      maxInvoices: usage.invoices?.limit ?? '∞',
+      memberCount: usage.members?.used ?? 0,
+      maxMembers: usage.members?.limit ?? '∞',
       renewUrl: `${process.env.APP_URL}/subscription/renew`,
-      currentPlan: company.subscriptionPlan
+      upgradeUrl: `${process.env.APP_URL}/subscription/upgrade`
     };
 
     return this.sendWithTemplate(
       company.email,
-      'Η συνδρομή σας λήγει σύντομα',
-      'subscription-expiry',
+      `Η συνδρομή σας λήγει σε ${daysUntilExpiry} ${daysUntilExpiry === 1 ? 'ημέρα' : 'ημέρες'}`,
+      'subscription-renewal',
       context
     );
   }
@@ -320,6 +414,23 @@ class EmailService {
     );
   }
 
+  // Email προγραμματισμένης αναφοράς με συνημμένα (PDF/Excel)
+  async sendReportEmail({ to, subject, reportName, period, attachments = [] }) {
+    const template = handlebars.compile(REPORT_EMAIL_TEMPLATE);
+    const html = template(this.getBaseContext({
+      reportName,
+      period,
+      files: attachments.map(attachment => attachment.filename)
+    }));
+
+    return this.send(
+      Array.isArray(to) ? to.join(', ') : to,
+      subject,
+      html,
+      attachments
+    );
+  }
+
   // Bulk email για ανακοινώσεις
   async sendBulkEmail(recipients, subject, templateName, context = {}) {
     const results = [];
@@ -0,0 +1,180 @@
+// services/mydataCredentialService.js
+// Διαπιστευτήρια myDATA ανά εταιρεία-εκδότη και ένα MyDataService ανά εταιρεία (sandbox/production ανά εταιρεία)
+
+import { Company, MyDataCredential, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo } from '../middleware/logger.js';
+import { encrypt } from '../utils/helpers.js';
+import auditService from './auditService.js';
+import mydataService, { MyDataService } from './mydataService.js';
+
+const ISSUER_FIELDS = ['country', 'branch', 'street', 'streetNumber', 'postalCode', 'city', 'syncEnabled'];
+
+class MyDataCredentialService {
+  constructor() {
+    // companyId → MyDataService (τα κλειδιά αποκρυπτογραφούνται μία φορά)
+    this.services = new Map();
+  }
+
+  // ======================
+  // Credentials
+  // ======================
+
+  async get(companyId) {
+    const credential = await MyDataCredential.findOne({ where: { companyId } });
+    if (!credential) {
+      throw new AppError('myDATA credentials not configured for this company', 404);
+    }
+    return credential;
+  }
+
+  async save(companyId, data, options = {}) {
+    const { userId } = options;
+
+    const company = await Company.findByPk(companyId, { attributes: ['id', 'name', 'afm'] });
+    if (!company) {
+      throw new AppError('Company not found', 404);
+    }
+
+    let credential = await MyDataCredential.findOne({ where: { companyId } });
+    const created = !credential;
+
+    if (created && (!data.aadeUserId || !data.subscriptionKey)) {
+      throw new AppError('AADE user id and subscription key are required', 400);
+    }
+
+    if (!process.env.ENCRYPTION_KEY) {
+      throw new AppError('ENCRYPTION_KEY is not configured; myDATA credentials cannot be stored', 500);
+    }
+
+    const values = { updatedBy: userId };
+    ISSUER_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+    if (data.environment) values.environment = data.environment;
+    if (data.aadeUserId) values.aadeUserId = data.aadeUserId;
+    if (data.vatNumber || created) values.vatNumber = data.vatNumber || company.afm;
+    // Κενό κλειδί στην ενημέρωση: διατηρείται το υπάρχον
+    if (data.subscriptionKey) values.subscriptionKeyEncrypted = encrypt(data.subscriptionKey);
+
+    if (created) {
+      credential = await MyDataCredential.create({ companyId, createdBy: userId, ...values });
+    } else {
+      await credential.update(values);
+    }
+
+    this.invalidate(companyId);
+
+    await auditService.log({
+      action: created ? 'create' : 'update',
+      status: 'success',
+      category: 'mydata',
+      entityType: 'MyDataCredential',
+      entityId: credential.id,
+      userId,
+      description: `myDATA credentials ${created ? 'stored' : 'updated'} for ${company.name}`,
+      metadata: {
+        companyId,
+        environment: credential.environment,
+        vatNumber: credential.vatNumber,
+        branch: credential.branch,
+        subscriptionKeyChanged: Boolean(data.subscriptionKey)
+      }
+    });
+
+    logInfo('myDATA credentials saved', { companyId, environment: credential.environment });
+
+    return credential;
+  }
+
+  async remove(companyId, options = {}) {
+    const credential = await this.get(companyId);
+    await credential.destroy();
+
+    this.invalidate(companyId);
+
+    await auditService.log({
+      action: 'delete',
+      status: 'success',
+      category: 'mydata',
+      entityType: 'MyDataCredential',
+      entityId: credential.id,
+      userId: options.userId,
+      description: 'myDATA credentials removed',
+      metadata: { companyId }
+    });
+  }
+
+  async test(companyId) {
+    const credential = await this.get(companyId);
+    const service = await this.forCompany(companyId);
+    const result = await service.testConnection();
+
+    await credential.update({ lastTestedAt: new Date(), lastTestSuccess: result.success });
+
+    return result;
+  }
+
+  // Εκδότες για την προγραμματισμένη λήψη παραστατικών
+  async getSyncCompanyIds() {
+    const credentials = await MyDataCredential.findAll({
+      where: { syncEnabled: true },
+      attributes: ['companyId']
+    });
+    return credentials.map(credential => credential.companyId);
+  }
+
+  // ======================
+  // Service instances
+  // ======================
+
+  // Χωρίς εταιρεία ή για την εταιρεία του COMPANY_VAT_NUMBER: διαπιστευτήρια περιβάλλοντος
+  async forCompany(companyId) {
+    if (!companyId) return mydataService;
+
+    if (this.services.has(companyId)) {
+      return this.services.get(companyId);
+    }
+
+    let service;
+    const credential = await MyDataCredential.findOne({ where: { companyId } });
+
+    if (credential) {
+      service = new MyDataService(credential.toServiceConfig());
+    } else {
+      const company = await Company.findByPk(companyId, { attributes: ['id', 'name', 'afm'] });
+      if (!company) {
+        throw new AppError('Company not found', 404);
+      }
+
+      if (!process.env.COMPANY_VAT_NUMBER || company.afm !== process.env.COMPANY_VAT_NUMBER) {
+        throw new AppError(`myDATA credentials not configured for ${company.name}`, 400);
+      }
+      service = mydataService;
+    }
+
+    this.services.set(companyId, service);
+    return service;
+  }
+
+  // Εκδότης του τιμολογίου: η εταιρεία του χρήστη που το δημιούργησε (το companyId είναι ο πελάτης)
+  async getIssuerCompanyId(invoice) {
+    if (invoice.creator && invoice.creator.companyId !== undefined) {
+      return invoice.creator.companyId;
+    }
+    if (!invoice.createdBy) return null;
+
+    const user = await User.findByPk(invoice.createdBy, { attributes: ['id', 'companyId'] });
+    return user?.companyId || null;
+  }
+
+  async forInvoice(invoice) {
+    return this.forCompany(await this.getIssuerCompanyId(invoice));
+  }
+
+  invalidate(companyId) {
+    this.services.delete(companyId);
+  }
+}
+
+export default new MyDataCredentialService();
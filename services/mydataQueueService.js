@@ -0,0 +1,636 @@
+// services/mydataQueueService.js
+// Μόνιμη ουρά αποστολής στο myDATA: παρτίδες, επαναλήψεις με backoff, dead letter και ιστορικό προσπαθειών
+
+import { randomUUID } from 'crypto';
+import { Op } from 'sequelize';
+import {
+  MyDataSubmissionJob,
+  MyDataSubmissionItem,
+  MyDataSubmissionAttempt,
+  Invoice,
+  InvoiceItem,
+  Company,
+  User,
+  sequelize
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError, logWarning } from '../middleware/logger.js';
+import auditService from './auditService.js';
+import mydataService from './mydataService.js';
+import mydataCredentialService from './mydataCredentialService.js';
+
+// Τιμολόγια που επιτρέπεται να διαβιβαστούν
+const SUBMITTABLE_INVOICE_STATUSES = ['sent', 'paid'];
+const SUBMITTABLE_MYDATA_STATUSES = ['pending', 'rejected', 'offline'];
+
+const ACTIVE_ITEM_STATUSES = ['queued', 'processing', 'retrying'];
+
+// ΑΑΔΕ: το τιμολόγιο με το ίδιο invoiceUid έχει ήδη διαβιβαστεί
+const DUPLICATE_ERROR_CODE = '228';
+
+// 401/403: λάθος διαπιστευτήρια διορθώνονται χωρίς αλλαγή στα τιμολόγια
+const TRANSIENT_HTTP_STATUSES = [401, 403, 408, 429];
+
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+class MyDataQueueService {
+  constructor() {
+    this.batchSize = parseInt(process.env.MYDATA_BATCH_SIZE) || 50;
+    this.maxAttempts = parseInt(process.env.MYDATA_MAX_ATTEMPTS) || 6;
+    this.intervalMs = parseInt(process.env.MYDATA_QUEUE_INTERVAL_MS) || 30000;
+    this.backoffBaseMs = parseInt(process.env.MYDATA_RETRY_BASE_MS) || 60000;
+    // Σε απώλεια διασύνδεσης: συχνός έλεγχος ώστε η διαβίβαση να γίνει μόλις επανέλθει
+    this.offlineRetryMs = parseInt(process.env.MYDATA_OFFLINE_RETRY_MS) || 5 * 60 * 1000;
+
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // ======================
+  // Lifecycle
+  // ======================
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDue().catch(error => {
+      logError('myDATA queue run failed', { error: error.message });
+    }), this.intervalMs);
+
+    logInfo('myDATA submission queue started', {
+      intervalMs: this.intervalMs,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ======================
+  // Enqueue
+  // ======================
+
+  async enqueue(invoiceIds, options = {}) {
+    const { userId } = options;
+
+    const invoices = await Invoice.findAll({
+      where: {
+        id: invoiceIds,
+        status: SUBMITTABLE_INVOICE_STATUSES,
+        mydataStatus: SUBMITTABLE_MYDATA_STATUSES
+      },
+      include: [
+        { model: Company, as: 'company', attributes: ['id', 'country'] },
+        { model: InvoiceItem, as: 'items', attributes: ['id', 'incomeClassificationCategory'] },
+        { model: Invoice, as: 'parentInvoice', attributes: ['id', 'type', 'mydataId'] },
+        { model: User, as: 'creator', attributes: ['id', 'companyId'] }
+      ]
+    });
+
+    // Τιμολόγια που βρίσκονται ήδη σε ενεργή εργασία δεν ξαναμπαίνουν στην ουρά
+    const active = await MyDataSubmissionItem.findAll({
+      where: {
+        invoiceId: invoices.map(invoice => invoice.id),
+        status: ACTIVE_ITEM_STATUSES
+      },
+      attributes: ['invoiceId']
+    });
+    const activeIds = new Set(active.map(item => item.invoiceId));
+
+    // Τα προφορμά δεν διαβιβάζονται (ο τύπος ΑΑΔΕ χρειάζεται για το invoiceUid)
+    const eligible = invoices.filter(invoice =>
+      !activeIds.has(invoice.id) && mydataService.getMyDataInvoiceType(invoice)
+    );
+    if (eligible.length === 0) {
+      throw new AppError('No eligible invoices found for MyDATA submission', 400);
+    }
+
+    // Το invoiceUid περιέχει τον ΑΦΜ και την εγκατάσταση του εκδότη
+    const uids = new Map();
+    for (const invoice of eligible) {
+      const service = await mydataCredentialService.forInvoice(invoice);
+      uids.set(invoice.id, service.computeInvoiceUid(invoice));
+    }
+
+    const job = await sequelize.transaction(async (t) => {
+      const created = await MyDataSubmissionJob.create({
+        status: 'queued',
+        totalItems: eligible.length,
+        createdBy: userId
+      }, { transaction: t });
+
+      await MyDataSubmissionItem.bulkCreate(eligible.map(invoice => ({
+        jobId: created.id,
+        tenantId: invoice.tenantId,
+        invoiceId: invoice.id,
+        invoiceUid: uids.get(invoice.id),
+        status: 'queued'
+      })), { transaction: t });
+
+      return created;
+    });
+
+    logInfo('myDATA submission job queued', { jobId: job.id, items: eligible.length });
+
+    return {
+      job,
+      skipped: invoiceIds.filter(id => !eligible.some(invoice => invoice.id === id))
+    };
+  }
+
+  // ======================
+  // Connection Loss
+  // ======================
+
+  // Το τιμολόγιο εκδίδεται με transmissionFailure και διαβιβάζεται αυτόματα από την ουρά
+  async issueOffline(invoice, error, options = {}) {
+    await this.markOffline(invoice, this.describeError(error), options);
+
+    try {
+      return await this.enqueue([invoice.id], options);
+    } catch (enqueueError) {
+      // Ήδη σε ενεργή εργασία της ουράς
+      if (enqueueError instanceof AppError) return { job: null, skipped: [invoice.id] };
+      throw enqueueError;
+    }
+  }
+
+  async markOffline(invoice, message, options = {}) {
+    if (invoice.mydataStatus === 'offline') return;
+
+    await invoice.update({
+      mydataStatus: 'offline',
+      mydataTransmissionFailure: mydataService.getTransmissionFailureCode(),
+      mydataOfflineAt: new Date(),
+      metadata: {
+        ...invoice.metadata,
+        mydataError: message
+      }
+    });
+
+    await auditService.log({
+      action: 'mydata_offline',
+      status: 'warning',
+      category: 'mydata',
+      entityType: 'Invoice',
+      entityId: invoice.id,
+      userId: options.userId,
+      description: `Invoice ${invoice.getDisplayNumber()} issued under myDATA connection loss`,
+      metadata: {
+        transmissionFailure: invoice.mydataTransmissionFailure,
+        error: message
+      }
+    });
+
+    logWarning('myDATA unreachable, invoice issued offline', { invoiceId: invoice.id, error: message });
+  }
+
+  // ======================
+  // Worker
+  // ======================
+
+  // Επεξεργασία όλων των ώριμων στοιχείων σε παρτίδες
+  async processDue() {
+    if (this.processing) return { batches: 0, items: 0 };
+    this.processing = true;
+
+    const totals = { batches: 0, items: 0 };
+
+    try {
+      let items = await this.claimBatch();
+      while (items.length > 0) {
+        await this.processBatch(items);
+        totals.batches++;
+        totals.items += items.length;
+        items = await this.claimBatch();
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return totals;
+  }
+
+  // Ατομική δέσμευση (SKIP LOCKED) ώστε παράλληλοι workers να μην στέλνουν το ίδιο τιμολόγιο
+  async claimBatch() {
+    const now = new Date();
+
+    return sequelize.transaction(async (t) => {
+      const items = await MyDataSubmissionItem.findAll({
+        where: {
+          [Op.or]: [
+            {
+              status: ['queued', 'retrying'],
+              [Op.or]: [
+                { nextAttemptAt: null },
+                { nextAttemptAt: { [Op.lte]: now } }
+              ]
+            },
+            // Στοιχεία worker που τερματίστηκε κατά την αποστολή
+            {
+              status: 'processing',
+              lockedAt: { [Op.lt]: new Date(now.getTime() - LOCK_TIMEOUT_MS) }
+            }
+          ]
+        },
+        order: [['createdAt', 'ASC']],
+        limit: this.batchSize,
+        lock: t.LOCK.UPDATE,
+        skipLocked: true,
+        transaction: t
+      });
+
+      if (items.length === 0) return [];
+
+      await MyDataSubmissionItem.update(
+        { status: 'processing', lockedAt: now },
+        { where: { id: items.map(item => item.id) }, transaction: t }
+      );
+
+      await MyDataSubmissionJob.update(
+        { status: 'processing' },
+        { where: { id: [...new Set(items.map(item => item.jobId))], status: 'queued' }, transaction: t }
+      );
+
+      return items;
+    });
+  }
+
+  async processBatch(items) {
+    const invoices = await Invoice.findAll({
+      where: { id: items.map(item => item.invoiceId) },
+      include: [
+        { model: Company, as: 'company' },
+        { model: InvoiceItem, as: 'items' },
+        { model: Invoice, as: 'parentInvoice', attributes: ['id', 'type', 'mydataId'] },
+        { model: User, as: 'creator', attributes: ['id', 'companyId'] }
+      ],
+      order: [[{ model: InvoiceItem, as: 'items' }, 'sortOrder', 'ASC']]
+    });
+    const invoiceMap = new Map(invoices.map(invoice => [invoice.id, invoice]));
+
+    const batchId = randomUUID();
+    // Ένα αίτημα SendInvoices ανά εκδότη (διαφορετικά διαπιστευτήρια)
+    const batches = new Map();
+
+    for (const item of items) {
+      const invoice = invoiceMap.get(item.invoiceId);
+
+      if (!invoice) {
+        await this.deadLetter(item, null, 'Invoice not found');
+        continue;
+      }
+
+      // Ήδη διαβιβασμένο (π.χ. μεμονωμένη αποστολή στο μεταξύ)
+      if (invoice.mydataId && ['submitted', 'accepted'].includes(invoice.mydataStatus)) {
+        await item.update({ status: 'submitted', mark: invoice.mydataId, submittedAt: new Date(), lockedAt: null });
+        continue;
+      }
+
+      try {
+        const service = await mydataCredentialService.forInvoice(invoice);
+        service.validateInvoiceData(invoice);
+
+        if (!batches.has(service)) batches.set(service, []);
+        batches.get(service).push({ item, invoice });
+      } catch (error) {
+        const attemptNumber = await this.nextAttemptNumber(item);
+        await this.recordAttempt(item, {
+          attemptNumber,
+          batchId,
+          batchSize: 0,
+          outcome: 'rejected',
+          errors: [{ code: null, message: error.message }]
+        });
+        await this.deadLetter(item, invoice, error.message, { attempts: item.attempts + 1 });
+      }
+    }
+
+    // Με έναν εκδότη η παρτίδα κρατά το ίδιο batchId με τις απορρίψεις επικύρωσης
+    for (const [service, entries] of batches) {
+      await this.sendBatch(entries, batches.size > 1 ? randomUUID() : batchId, service);
+    }
+
+    for (const jobId of new Set(items.map(item => item.jobId))) {
+      await this.refreshJob(jobId);
+    }
+  }
+
+  async sendBatch(entries, batchId, service = mydataService) {
+    const attemptNumbers = await Promise.all(entries.map(({ item }) => this.nextAttemptNumber(item)));
+    let response;
+
+    try {
+      response = await service.sendInvoicesBatch(entries.map(({ invoice }) => invoice));
+    } catch (error) {
+      const transient = this.isTransientError(error);
+      const connectionLoss = mydataService.isConnectionLoss(error);
+      const message = this.describeError(error);
+
+      logWarning('myDATA batch request failed', {
+        batchId,
+        size: entries.length,
+        httpStatus: error.response?.status,
+        transient,
+        error: message
+      });
+
+      for (const [index, { item, invoice }] of entries.entries()) {
+        await this.recordAttempt(item, {
+          attemptNumber: attemptNumbers[index],
+          batchId,
+          batchSize: entries.length,
+          outcome: transient ? 'transient_error' : 'rejected',
+          httpStatus: error.response?.status,
+          errors: [{ code: error.code || null, message }]
+        });
+
+        if (connectionLoss) {
+          await this.markOffline(invoice, message);
+          await this.scheduleRetry(item, invoice, message, this.retryAfterMs(error), { connectionLoss });
+        } else if (transient) {
+          await this.scheduleRetry(item, invoice, message, this.retryAfterMs(error));
+        } else {
+          await this.deadLetter(item, invoice, message, { attempts: item.attempts + 1 });
+        }
+      }
+      return;
+    }
+
+    for (const [index, { item, invoice }] of entries.entries()) {
+      const result = response.results[index];
+      const outcome = this.classifyResult(result);
+      const message = result.errors.map(error => error.message).join('; ') || result.statusCode;
+
+      await this.recordAttempt(item, {
+        attemptNumber: attemptNumbers[index],
+        batchId,
+        batchSize: entries.length,
+        outcome,
+        httpStatus: response.httpStatus,
+        statusCode: result.statusCode,
+        errors: result.errors.length > 0 ? result.errors : null,
+        durationMs: response.durationMs
+      });
+
+      if (outcome === 'success' || outcome === 'duplicate') {
+        await this.markSubmitted(item, invoice, result, outcome === 'duplicate');
+      } else if (outcome === 'transient_error') {
+        await this.scheduleRetry(item, invoice, message);
+      } else {
+        await this.deadLetter(item, invoice, message, { attempts: item.attempts + 1 });
+      }
+    }
+
+    logInfo('myDATA batch sent', {
+      batchId,
+      size: entries.length,
+      durationMs: response.durationMs
+    });
+  }
+
+  // ======================
+  // Classification
+  // ======================
+
+  classifyResult(result) {
+    if (result.statusCode === 'Success') return 'success';
+
+    if (result.errors.some(error => error.code === DUPLICATE_ERROR_CODE)) return 'duplicate';
+
+    // TechnicalError: πρόβλημα στην ΑΑΔΕ, όχι στο παραστατικό
+    if (result.statusCode === 'TechnicalError') return 'transient_error';
+
+    return 'rejected';
+  }
+
+  isTransientError(error) {
+    if (mydataService.isConnectionLoss(error)) return true;
+    if (!error.response) return false;
+
+    const { status } = error.response;
+    return status >= 500 || TRANSIENT_HTTP_STATUSES.includes(status);
+  }
+
+  describeError(error) {
+    if (error.response) {
+      return `HTTP ${error.response.status}: ${error.response.statusText || error.message}`;
+    }
+    return error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  // Retry-After (δευτερόλεπτα) σε 429/503
+  retryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    const seconds = parseInt(header);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+  }
+
+  // Εκθετική καθυστέρηση με jitter: base * 2^(n-1), έως 6 ώρες
+  computeBackoff(attempts) {
+    const delay = Math.min(MAX_BACKOFF_MS, this.backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1)));
+    const jitter = delay * 0.2 * Math.random();
+    return Math.round(delay + jitter);
+  }
+
+  // ======================
+  // State Transitions
+  // ======================
+
+  async markSubmitted(item, invoice, result, duplicate = false) {
+    const mark = result.mark || invoice.mydataId || null;
+    const now = new Date();
+    const wasOffline = invoice.mydataStatus === 'offline';
+
+    await item.update({
+      status: 'submitted',
+      attempts: item.attempts + 1,
+      mark,
+      submittedAt: now,
+      lastError: duplicate ? 'Already transmitted (duplicate invoiceUid)' : null,
+      nextAttemptAt: null,
+      lockedAt: null
+    });
+
+    await invoice.update({
+      mydataId: mark || result.uid || item.invoiceUid,
+      mydataStatus: 'submitted',
+      mydataSubmittedAt: invoice.mydataSubmittedAt && duplicate ? invoice.mydataSubmittedAt : now,
+      mydataQr: result.qrUrl || invoice.mydataQr,
+      metadata: {
+        ...invoice.metadata,
+        mydataUid: item.invoiceUid,
+        mydataResponse: result
+      }
+    });
+
+    await auditService.log({
+      action: 'mydata_submit',
+      status: 'success',
+      category: 'mydata',
+      entityType: 'Invoice',
+      entityId: invoice.id,
+      description: wasOffline
+        ? `Invoice ${invoice.getDisplayNumber()} transmitted to myDATA after connection loss`
+        : `Invoice ${invoice.getDisplayNumber()} transmitted to myDATA`,
+      metadata: {
+        mark,
+        jobId: item.jobId,
+        duplicate,
+        transmissionFailure: invoice.mydataTransmissionFailure,
+        offlineAt: invoice.mydataOfflineAt
+      }
+    });
+  }
+
+  // Τα offline τιμολόγια έχουν ήδη εκδοθεί: δεν εγκαταλείπονται όσο διαρκεί η απώλεια διασύνδεσης
+  async scheduleRetry(item, invoice, message, delayMs = null, options = {}) {
+    const attempts = item.attempts + 1;
+
+    if (attempts >= this.maxAttempts && !options.connectionLoss) {
+      return this.deadLetter(item, invoice, `${message} (gave up after ${attempts} attempts)`, { attempts });
+    }
+
+    let delay = delayMs || this.computeBackoff(attempts);
+    if (options.connectionLoss) {
+      delay = Math.min(delay, this.offlineRetryMs);
+    }
+
+    await item.update({
+      status: 'retrying',
+      attempts,
+      lastError: message,
+      nextAttemptAt: new Date(Date.now() + delay),
+      lockedAt: null
+    });
+  }
+
+  async deadLetter(item, invoice, message, options = {}) {
+    await item.update({
+      status: 'dead_letter',
+      attempts: options.attempts ?? item.attempts,
+      lastError: message,
+      nextAttemptAt: null,
+      lockedAt: null
+    });
+
+    if (invoice) {
+      await invoice.update({
+        mydataStatus: 'rejected',
+        metadata: {
+          ...invoice.metadata,
+          mydataError: message
+        }
+      });
+    }
+
+    await auditService.log({
+      action: 'mydata_submit',
+      status: 'failure',
+      category: 'mydata',
+      entityType: 'Invoice',
+      entityId: item.invoiceId,
+      description: 'myDATA submission dead-lettered',
+      errorMessage: message,
+      metadata: { itemId: item.id, jobId: item.jobId, attempts: options.attempts ?? item.attempts }
+    });
+
+    logWarning('myDATA submission dead-lettered', { itemId: item.id, invoiceId: item.invoiceId, error: message });
+  }
+
+  async recordAttempt(item, data) {
+    // Ο worker τρέχει εκτός request: ο tenant έρχεται από το item
+    return MyDataSubmissionAttempt.create({
+      tenantId: item.tenantId,
+      itemId: item.id,
+      invoiceId: item.invoiceId,
+      ...data
+    });
+  }
+
+  // Συνεχής αρίθμηση και μετά από χειροκίνητη επανάληψη
+  async nextAttemptNumber(item) {
+    const count = await MyDataSubmissionAttempt.count({ where: { itemId: item.id } });
+    return count + 1;
+  }
+
+  async refreshJob(jobId) {
+    const counts = await MyDataSubmissionItem.findAll({
+      where: { jobId },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const byStatus = Object.fromEntries(counts.map(row => [row.status, parseInt(row.count)]));
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    const submitted = byStatus.submitted || 0;
+    const deadLetter = byStatus.dead_letter || 0;
+    const finished = submitted + deadLetter === total;
+
+    await MyDataSubmissionJob.update({
+      totalItems: total,
+      submittedItems: submitted,
+      deadLetterItems: deadLetter,
+      status: finished ? (deadLetter > 0 ? 'completed_with_errors' : 'completed') : 'processing',
+      finishedAt: finished ? new Date() : null
+    }, { where: { id: jobId } });
+  }
+
+  // ======================
+  // Dead Letter Management
+  // ======================
+
+  async retryItem(itemId) {
+    const item = await MyDataSubmissionItem.findByPk(itemId);
+    if (!item) {
+      throw new AppError('Queue item not found', 404);
+    }
+
+    if (item.status !== 'dead_letter') {
+      throw new AppError('Only dead-lettered items can be retried', 400);
+    }
+
+    await item.update({
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: null,
+      lockedAt: null
+    });
+
+    await Invoice.update({ mydataStatus: 'pending' }, { where: { id: item.invoiceId } });
+    await this.refreshJob(item.jobId);
+
+    return item;
+  }
+
+  // Κατάσταση εργασίας ανά status στοιχείων
+  async getJob(jobId) {
+    const job = await MyDataSubmissionJob.findByPk(jobId, {
+      include: [{
+        model: MyDataSubmissionItem,
+        as: 'items',
+        attributes: ['id', 'invoiceId', 'invoiceUid', 'status', 'attempts', 'nextAttemptAt', 'mark', 'lastError', 'submittedAt'],
+        include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNumber', 'series'] }]
+      }],
+      order: [[{ model: MyDataSubmissionItem, as: 'items' }, 'createdAt', 'ASC']]
+    });
+
+    if (!job) {
+      throw new AppError('Submission job not found', 404);
+    }
+
+    const summary = { queued: 0, processing: 0, retrying: 0, submitted: 0, dead_letter: 0 };
+    job.items.forEach(item => { summary[item.status]++; });
+
+    return { job, summary, finished: job.isFinished() };
+  }
+}
+
+export default new MyDataQueueService();
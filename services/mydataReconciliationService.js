@@ -0,0 +1,331 @@
+// services/mydataReconciliationService.js
+// Συμφωνία τοπικών τιμολογίων με όσα έχουν διαβιβαστεί στο myDATA (RequestTransmittedDocs)
+
+import { Op } from 'sequelize';
+import { Invoice, InvoiceItem, Company, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo } from '../middleware/logger.js';
+import auditService from './auditService.js';
+import mydataService from './mydataService.js';
+import mydataCredentialService from './mydataCredentialService.js';
+import mydataQueueService from './mydataQueueService.js';
+
+// Προστασία από ατέρμονη σελιδοποίηση
+const DEFAULT_MAX_PAGES = 50;
+
+// Απόκλιση στρογγυλοποίησης που δεν θεωρείται διαφορά
+const AMOUNT_TOLERANCE = 0.01;
+
+const TRANSMITTED_STATUSES = ['submitted', 'accepted'];
+const UNTRANSMITTED_STATUSES = ['pending', 'rejected', 'offline'];
+
+const AMOUNT_FIELDS = ['totalNetValue', 'totalVatAmount', 'totalGrossValue'];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+class MyDataReconciliationService {
+  // ======================
+  // AADE records
+  // ======================
+
+  async fetchTransmitted(service, dateFrom, dateTo) {
+    const maxPages = parseInt(process.env.MYDATA_SYNC_MAX_PAGES) || DEFAULT_MAX_PAGES;
+    const invoices = [];
+    const cancelledMarks = new Set();
+
+    let token = null;
+    let pages = 0;
+
+    do {
+      const page = await service.requestTransmittedDocs({ dateFrom, dateTo, ...(token || {}) });
+      invoices.push(...page.invoices);
+      page.cancelledInvoices.forEach(cancelled => cancelledMarks.add(String(cancelled.invoiceMark)));
+      token = page.continuationToken;
+      pages++;
+    } while (token && pages < maxPages);
+
+    if (token) {
+      throw new AppError(`Too many myDATA pages for the selected period (limit ${maxPages}); narrow the date range`, 400);
+    }
+
+    return invoices.map(record => this.mapTransmitted(record, cancelledMarks));
+  }
+
+  mapTransmitted(record, cancelledMarks) {
+    const header = record.invoiceHeader || {};
+    const summary = record.invoiceSummary || {};
+    const mark = String(record.mark);
+
+    return {
+      mark,
+      uid: record.uid ? String(record.uid).toUpperCase() : null,
+      invoiceType: String(header.invoiceType || ''),
+      series: header.series != null ? String(header.series) : '',
+      aa: String(header.aa ?? ''),
+      issueDate: header.issueDate,
+      counterpartVat: record.counterpart?.vatNumber ? String(record.counterpart.vatNumber) : null,
+      totalNetValue: toNumber(summary.totalNetValue),
+      totalVatAmount: toNumber(summary.totalVatAmount),
+      totalGrossValue: toNumber(summary.totalGrossValue),
+      cancelled: cancelledMarks.has(mark)
+    };
+  }
+
+  // ======================
+  // Local invoices
+  // ======================
+
+  // Με εταιρεία: μόνο τα τιμολόγια που εξέδωσαν οι χρήστες της (εκδότης)
+  async findLocalInvoices(dateFrom, dateTo, companyId = null) {
+    const invoices = await Invoice.findAll({
+      where: {
+        issueDate: { [Op.between]: [dateFrom, dateTo] },
+        status: { [Op.ne]: 'draft' }
+      },
+      include: [
+        { model: Company, as: 'company' },
+        { model: InvoiceItem, as: 'items' },
+        { model: Invoice, as: 'parentInvoice', attributes: ['id', 'type', 'mydataId'] },
+        ...(companyId ? [{ model: User, as: 'creator', attributes: ['id', 'companyId'], where: { companyId } }] : [])
+      ],
+      order: [
+        ['issueDate', 'ASC'],
+        [{ model: InvoiceItem, as: 'items' }, 'sortOrder', 'ASC']
+      ]
+    });
+
+    // Τα προφορμά δεν διαβιβάζονται
+    return invoices.filter(invoice => mydataService.getMyDataInvoiceType(invoice));
+  }
+
+  // Τα ποσά όπως τα στέλνει η εφαρμογή (καθαρή αξία, ΦΠΑ, μικτό μετά από κρατήσεις/τέλη)
+  expectedValues(service, invoice) {
+    const document = service.convertInvoiceToMyDataFormat(invoice);
+
+    return {
+      invoiceType: document.invoiceHeader.invoiceType,
+      totalNetValue: toNumber(document.invoiceSummary.totalNetValue),
+      totalVatAmount: toNumber(document.invoiceSummary.totalVatAmount),
+      totalGrossValue: toNumber(document.invoiceSummary.totalGrossValue)
+    };
+  }
+
+  describeInvoice(invoice) {
+    return {
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.getDisplayNumber(),
+      type: invoice.type,
+      status: invoice.status,
+      issueDate: invoice.issueDate,
+      companyName: invoice.company?.name || null,
+      totalAmount: toNumber(invoice.totalAmount),
+      mydataId: invoice.mydataId,
+      mydataStatus: invoice.mydataStatus
+    };
+  }
+
+  // ======================
+  // Reconciliation
+  // ======================
+
+  compare(service, invoice, record) {
+    const expected = this.expectedValues(service, invoice);
+    const differences = [];
+
+    AMOUNT_FIELDS.forEach(field => {
+      if (Math.abs(expected[field] - record[field]) > AMOUNT_TOLERANCE) {
+        differences.push({ field, local: expected[field], aade: record[field] });
+      }
+    });
+
+    if (expected.invoiceType !== record.invoiceType) {
+      differences.push({ field: 'invoiceType', local: expected.invoiceType, aade: record.invoiceType });
+    }
+
+    if (invoice.mydataId !== record.mark) {
+      differences.push({ field: 'mark', local: invoice.mydataId, aade: record.mark });
+    }
+
+    const localCancelled = invoice.status === 'cancelled';
+    if (localCancelled !== record.cancelled) {
+      differences.push({
+        field: 'status',
+        local: invoice.status,
+        aade: record.cancelled ? 'cancelled' : 'active'
+      });
+    }
+
+    return differences;
+  }
+
+  async reconcile({ dateFrom, dateTo, companyId = null, userId } = {}) {
+    const service = await mydataCredentialService.forCompany(companyId);
+    const [records, invoices] = await Promise.all([
+      this.fetchTransmitted(service, dateFrom, dateTo),
+      this.findLocalInvoices(dateFrom, dateTo, companyId)
+    ]);
+
+    const byMark = new Map(records.map(record => [record.mark, record]));
+    const byUid = new Map(records.filter(record => record.uid).map(record => [record.uid, record]));
+    const matchedMarks = new Set();
+
+    const missingAtAade = [];
+    const mismatches = [];
+    const notTransmitted = [];
+    let matched = 0;
+
+    for (const invoice of invoices) {
+      // Αντιστοίχιση με MARK, αλλιώς με το invoiceUid (π.χ. χαμένη απάντηση της ΑΑΔΕ)
+      const uid = (invoice.metadata?.mydataUid || service.computeInvoiceUid(invoice)).toUpperCase();
+      const record = (invoice.mydataId && byMark.get(String(invoice.mydataId))) || byUid.get(uid);
+
+      if (!record) {
+        if (TRANSMITTED_STATUSES.includes(invoice.mydataStatus)) {
+          missingAtAade.push(this.describeInvoice(invoice));
+        } else if (UNTRANSMITTED_STATUSES.includes(invoice.mydataStatus) && invoice.status !== 'cancelled') {
+          notTransmitted.push(this.describeInvoice(invoice));
+        }
+        continue;
+      }
+
+      matchedMarks.add(record.mark);
+      matched++;
+
+      const differences = this.compare(service, invoice, record);
+      if (differences.length > 0) {
+        mismatches.push({ ...this.describeInvoice(invoice), mark: record.mark, differences });
+      }
+    }
+
+    // Ακυρωμένες εγγραφές της ΑΑΔΕ χωρίς τοπικό τιμολόγιο δεν χρειάζονται ενέργεια
+    const missingLocally = records.filter(record => !matchedMarks.has(record.mark) && !record.cancelled);
+
+    const report = {
+      period: { dateFrom, dateTo },
+      companyId,
+      environment: service.environment,
+      summary: {
+        localInvoices: invoices.length,
+        aadeRecords: records.length,
+        matched,
+        missingAtAade: missingAtAade.length,
+        missingLocally: missingLocally.length,
+        mismatches: mismatches.length,
+        notTransmitted: notTransmitted.length
+      },
+      missingAtAade,
+      missingLocally,
+      mismatches,
+      notTransmitted,
+      generatedAt: new Date()
+    };
+
+    await auditService.log({
+      action: 'read',
+      status: 'success',
+      category: 'mydata',
+      entityType: 'Invoice',
+      userId,
+      description: `myDATA reconciliation ${mydataService.formatDateForMyData(dateFrom)} - ${mydataService.formatDateForMyData(dateTo)}`,
+      metadata: { companyId, ...report.summary }
+    });
+
+    logInfo('myDATA reconciliation completed', report.summary);
+
+    return report;
+  }
+
+  // ======================
+  // Actions
+  // ======================
+
+  // Τιμολόγιο που δεν βρέθηκε στην ΑΑΔΕ: νέα διαβίβαση από την ουρά (το ίδιο uid προστατεύει από διπλοεγγραφή)
+  async resubmit(invoiceId, { userId } = {}) {
+    const invoice = await Invoice.findByPk(invoiceId);
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+      throw new AppError(`Cannot resubmit a ${invoice.status} invoice`, 400);
+    }
+
+    if (TRANSMITTED_STATUSES.includes(invoice.mydataStatus)) {
+      await invoice.update({
+        mydataStatus: 'pending',
+        mydataId: null,
+        metadata: {
+          ...invoice.metadata,
+          previousMydataId: invoice.mydataId,
+          reconciliationResubmittedAt: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await mydataQueueService.enqueue([invoice.id], { userId });
+
+    await auditService.log({
+      action: 'mydata_submit',
+      status: 'info',
+      category: 'mydata',
+      entityType: 'Invoice',
+      entityId: invoice.id,
+      userId,
+      description: `Invoice ${invoice.getDisplayNumber()} requeued for myDATA after reconciliation`,
+      metadata: { jobId: result.job.id, previousMydataId: invoice.metadata?.previousMydataId || null }
+    });
+
+    return result;
+  }
+
+  // MARK χωρίς ενεργό τοπικό τιμολόγιο: ακύρωση στην ΑΑΔΕ
+  async cancelMark(mark, { companyId = null, userId } = {}) {
+    const invoice = await Invoice.findOne({ where: { mydataId: String(mark) } });
+
+    if (invoice && invoice.status !== 'cancelled') {
+      throw new AppError(
+        `MARK ${mark} belongs to active invoice ${invoice.getDisplayNumber()}; cancel the invoice instead`,
+        400
+      );
+    }
+
+    const service = invoice
+      ? await mydataCredentialService.forInvoice(invoice)
+      : await mydataCredentialService.forCompany(companyId);
+    const result = await service.cancelMark(mark);
+    const success = result.statusCode === 'Success';
+
+    if (success && invoice) {
+      await invoice.update({
+        metadata: {
+          ...invoice.metadata,
+          mydataCancelled: new Date().toISOString(),
+          mydataCancellationMark: result.cancellationMark
+        }
+      });
+    }
+
+    await auditService.log({
+      action: 'mydata_cancel',
+      status: success ? 'success' : 'failure',
+      category: 'mydata',
+      entityType: 'Invoice',
+      entityId: invoice?.id || String(mark),
+      userId,
+      description: `Cancelled MARK ${mark} in myDATA after reconciliation`,
+      metadata: {
+        mark: String(mark),
+        cancellationMark: result.cancellationMark,
+        errors: result.errors
+      }
+    });
+
+    if (!success) {
+      throw new AppError(`MyDATA cancellation rejected: ${result.errors.map(error => error.message).join('; ')}`, 400);
+    }
+
+    return { mark: String(mark), cancellationMark: result.cancellationMark, invoiceId: invoice?.id || null };
+  }
+}
+
+export default new MyDataReconciliationService();
@@ -5,21 +5,72 @@ import axios from 'axios';
 import crypto from 'crypto';
 import { XMLBuilder, XMLParser } from 'fast-xml-parser';
 import auditService from './auditService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+  INVOICE_TYPES,
+  VAT_CATEGORIES,
+  VAT_RATE_CATEGORIES,
+  VAT_EXEMPTION_CATEGORIES,
+  INCOME_CLASSIFICATION_CATEGORIES,
+  INCOME_ADJUSTMENT_CATEGORIES,
+  INCOME_CLASSIFICATION_TYPES,
+  WITHHOLDING_CATEGORIES,
+  STAMP_DUTY_CATEGORIES,
+  FEES_CATEGORIES,
+  mydataCodes
+} from '../utils/mydataCodes.js';
 
-class MyDataService {
-  constructor() {
+// Κατηγορίες ΦΠΑ της εφαρμογής όταν η γραμμή δεν έχει συντελεστή
+const APP_VAT_CATEGORIES = {
+  normal: 1,
+  reduced: 2,
+  super_reduced: 3
+};
+
+// taxType του taxesTotals και ο πίνακας κατηγοριών του
+const TAX_TYPES = {
+  withholding: { code: 1, categories: WITHHOLDING_CATEGORIES },
+  fees: { code: 2, categories: FEES_CATEGORIES },
+  stampDuty: { code: 4, categories: STAMP_DUTY_CATEGORIES }
+};
+
+// Εσωτερικό → x.1, ΕΕ → x.2, τρίτες χώρες → x.3
+const SCOPE_SUFFIX = { domestic: '1', eu: '2', third: '3' };
+const SCOPE_LABELS = { domestic: 'domestic', eu: 'EU', third: 'non-EU' };
+
+// Σφάλματα δικτύου χωρίς απάντηση από την ΑΑΔΕ
+const CONNECTION_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+// transmissionFailure: 3 = Απώλεια διασύνδεσης ERP με myDATA (1, 2 αφορούν παρόχους)
+const TRANSMISSION_FAILURE_ERP = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export class MyDataService {
+  // config: διαπιστευτήρια και στοιχεία εκδότη ανά εταιρεία (χωρίς config από το περιβάλλον)
+  constructor(config = {}) {
     // MyDATA endpoints
     this.endpoints = {
       production: 'https://mydata-rest.aade.gr',
       sandbox: 'https://mydataapidev.aade.gr'
     };
     
-    this.environment = process.env.MYDATA_ENVIRONMENT || 'sandbox';
-    this.baseURL = this.endpoints[this.environment];
+    this.companyId = config.companyId || null;
+    this.environment = config.environment || process.env.MYDATA_ENVIRONMENT || 'sandbox';
+    // MYDATA_BASE_URL για τοπικό mock server της ΑΑΔΕ
+    this.baseURL = process.env.MYDATA_BASE_URL || this.endpoints[this.environment];
     
     // Credentials
-    this.userId = process.env.MYDATA_USER_ID;
-    this.subscriptionKey = process.env.MYDATA_SUBSCRIPTION_KEY;
+    this.userId = config.userId || process.env.MYDATA_USER_ID;
+    this.subscriptionKey = config.subscriptionKey || process.env.MYDATA_SUBSCRIPTION_KEY;
+
+    // Εκδότης (ΑΦΜ, εγκατάσταση, διεύθυνση για εκδότες εκτός Ελλάδας)
+    this.issuer = {
+      vatNumber: process.env.COMPANY_VAT_NUMBER,
+      country: 'GR',
+      branch: 0,
+      ...(config.issuer || {})
+    };
     
     // XML Builder configuration
     this.xmlBuilder = new XMLBuilder({
@@ -33,6 +84,25 @@ class MyDataService {
       parseAttributeValue: true,
       parseNodeValue: true
     });
+
+    // ResponseDoc: MARK/UID ως strings, response/error πάντα πίνακες
+    this.responseParser = new XMLParser({
+      ignoreAttributes: true,
+      removeNSPrefix: true,
+      parseTagValue: false,
+      isArray: (name) => ['response', 'error'].includes(name)
+    });
+
+    // RequestedDoc (RequestDocs): λίστες ακόμα κι όταν υπάρχει ένα στοιχείο
+    this.requestedDocParser = new XMLParser({
+      ignoreAttributes: true,
+      removeNSPrefix: true,
+      parseTagValue: false,
+      isArray: (name) => [
+        'invoice', 'invoiceDetails', 'cancelledInvoice', 'expensesInvoiceClassification',
+        'invoicesExpensesClassificationDetails', 'expensesClassificationDetailData'
+      ].includes(name)
+    });
     
     // Initialize axios instance
     this.client = axios.create({
@@ -80,24 +150,15 @@ class MyDataService {
       // Validate invoice data
       this.validateInvoiceData(invoice);
 
-      // Convert invoice to MyDATA format
-      const mydataInvoice = this.convertInvoiceToMyDataFormat(invoice);
-
-      // Submit to MyDATA
-      const response = await this.client.post('/SendInvoices', {
-        invoicesDoc: {
-          invoice: [mydataInvoice]
-        }
-      });
-
-      // Parse response
-      const result = this.parseSubmissionResponse(response.data);
+      // Ίδιο InvoicesDoc/ResponseDoc με την ουρά (MARK, UID και qrUrl ανά παραστατικό)
+      const { results: [result] } = await this.sendInvoicesBatch([invoice]);
 
       // Update invoice with MyDATA info
       await invoice.update({
         mydataId: result.mark || result.uid,
         mydataStatus: result.statusCode === 'Success' ? 'submitted' : 'rejected',
         mydataSubmittedAt: new Date(),
+        mydataQr: result.qrUrl || invoice.mydataQr,
         metadata: {
           ...invoice.metadata,
           mydataResponse: result
@@ -115,6 +176,7 @@ class MyDataService {
         metadata: {
           mydataId: result.mark || result.uid,
           statusCode: result.statusCode,
+          transmissionFailure: invoice.mydataTransmissionFailure,
           errors: result.errors
         }
       });
@@ -130,6 +192,11 @@ class MyDataService {
     } catch (error) {
       console.error('MyDATA submission error:', error);
 
+      // Σε απώλεια διασύνδεσης ο caller εκδίδει το τιμολόγιο offline
+      if (this.isConnectionLoss(error)) {
+        throw error;
+      }
+
       // Update invoice status
       await invoice.update({
         mydataStatus: 'rejected',
@@ -151,191 +218,404 @@ class MyDataService {
 
   // Convert invoice to MyDATA XML format
   convertInvoiceToMyDataFormat(invoice) {
-    const issuer = this.getIssuerInfo();
-    const counterpart = this.getCounterpartInfo(invoice.company);
-    
+    const invoiceType = this.getMyDataInvoiceType(invoice);
+    const rules = INVOICE_TYPES[invoiceType] || {};
+    const details = this.convertInvoiceItems(invoice.items, invoiceType);
+
+    const totalNetValue = round(details.reduce((sum, line) => sum + parseFloat(line.netValue), 0));
+    const totalVatAmount = round(details.reduce((sum, line) => sum + parseFloat(line.vatAmount), 0));
+    const taxes = this.getInvoiceTaxes(invoice, totalNetValue);
+    const taxTotal = (code) => round(taxes
+      .filter(tax => tax.taxType === code)
+      .reduce((sum, tax) => sum + parseFloat(tax.taxAmount), 0));
+
+    const totalWithheldAmount = taxTotal(TAX_TYPES.withholding.code);
+    const totalFeesAmount = taxTotal(TAX_TYPES.fees.code);
+    const totalStampDutyAmount = taxTotal(TAX_TYPES.stampDuty.code);
+    const totalGrossValue = round(
+      totalNetValue + totalVatAmount - totalWithheldAmount + totalFeesAmount + totalStampDutyAmount
+    );
+    const correlatedMark = rules.correlated ? this.getCorrelatedMark(invoice) : null;
+
     return {
       '@_xmlns': 'http://www.aade.gr/myDATA/invoice/v1.0',
       '@_xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      '@_xmlns:icls': 'https://www.aade.gr/myDATA/incomeClassificaton/v1.0',
       '@_xsi:schemaLocation': 'https://www.aade.gr/myDATA/invoice/v1.0/InvoicesDoc-v0.6.xsd',
       
-      issuer: issuer,
-      counterpart: counterpart,
+      // Εκδόθηκε σε απώλεια διασύνδεσης και διαβιβάζεται εκ των υστέρων
+      transmissionFailure: invoice.mydataTransmissionFailure || undefined,
+      issuer: this.getIssuerInfo(),
+      // Στα στοιχεία λιανικής και αυτοπαράδοσης ο λήπτης δεν επιτρέπεται
+      counterpart: rules.counterpart === 'required' ? this.getCounterpartInfo(invoice.company) : undefined,
       
       invoiceHeader: {
         series: invoice.series,
         aa: this.extractInvoiceNumber(invoice.invoiceNumber),
         issueDate: this.formatDateForMyData(invoice.issueDate),
-        invoiceType: this.getMyDataInvoiceType(invoice.type),
+        invoiceType,
         vatPaymentSuspension: false,
-        currency: invoice.currency
+        currency: invoice.currency,
+        exchangeRate: invoice.currency && invoice.currency !== 'EUR' ? invoice.exchangeRate : undefined,
+        correlatedInvoices: correlatedMark || undefined
       },
       
       paymentMethods: invoice.paymentMethod ? {
         paymentMethodDetails: {
           type: this.getMyDataPaymentMethod(invoice.paymentMethod),
-          amount: invoice.totalAmount
+          amount: totalGrossValue.toFixed(2)
         }
       } : undefined,
       
-      invoiceDetails: this.convertInvoiceItems(invoice.items),
+      invoiceDetails: details,
+
+      taxesTotals: taxes.length > 0 ? { taxes } : undefined,
       
       invoiceSummary: {
-        totalNetValue: invoice.subtotal,
-        totalVatAmount: invoice.vatAmount,
-        totalWithheldAmount: 0,
-        totalFeesAmount: 0,
-        totalStampDutyAmount: 0,
-        totalOtherTaxesAmount: 0,
-        totalDeductionsAmount: invoice.discountAmount,
-        totalGrossValue: invoice.totalAmount,
+        totalNetValue: totalNetValue.toFixed(2),
+        totalVatAmount: totalVatAmount.toFixed(2),
+        totalWithheldAmount: totalWithheldAmount.toFixed(2),
+        totalFeesAmount: totalFeesAmount.toFixed(2),
+        totalStampDutyAmount: totalStampDutyAmount.toFixed(2),
+        totalOtherTaxesAmount: '0.00',
+        totalDeductionsAmount: '0.00',
+        totalGrossValue: totalGrossValue.toFixed(2),
         
-        incomeClassification: this.getIncomeClassifications(invoice.items),
-        expensesClassification: undefined
+        incomeClassification: this.getIncomeClassifications(details)
       }
     };
   }
 
   // Convert invoice items to MyDATA format
-  convertInvoiceItems(items) {
-    return items.map((item, index) => ({
-      lineNumber: index + 1,
-      netValue: item.netAmount,
-      vatCategory: this.getMyDataVatCategory(item.vatCategory),
-      vatAmount: item.vatAmount,
-      vatExemptionCategory: item.vatExemptionReason ? this.getVatExemptionCategory(item.vatExemptionReason) : undefined,
-      deductionsAmount: item.discountAmount || 0,
-      lineComments: item.description,
-      
-      // Income classification
-      incomeClassification: item.incomeClassification ? [{
-        classificationType: item.incomeClassification,
-        classificationCategory: this.getClassificationCategory(item.incomeClassification),
-        amount: item.netAmount
-      }] : undefined
-    }));
+  // Η έκπτωση έχει ήδη αφαιρεθεί από το netAmount (το deductionsAmount αφορά κρατήσεις)
+  convertInvoiceItems(items, invoiceType) {
+    return items.map((item, index) => {
+      const vatCategory = this.getMyDataVatCategory(item);
+      const netValue = round(parseFloat(item.netAmount) || 0);
+
+      return {
+        lineNumber: index + 1,
+        netValue: netValue.toFixed(2),
+        vatCategory,
+        vatAmount: round(parseFloat(item.vatAmount) || 0).toFixed(2),
+        vatExemptionCategory: VAT_CATEGORIES[vatCategory]?.exemptionRequired
+          ? this.getVatExemptionCategory(item, invoiceType)
+          : undefined,
+        lineComments: item.description,
+        
+        // Income classification
+        incomeClassification: item.incomeClassification ? [{
+          'icls:classificationType': item.incomeClassification,
+          'icls:classificationCategory': this.getClassificationCategory(item, invoiceType),
+          'icls:amount': netValue.toFixed(2)
+        }] : undefined
+      };
+    });
   }
 
   // Get issuer information (your company)
+  // Για εκδότη εσωτερικού η ΑΑΔΕ δεν δέχεται επωνυμία/διεύθυνση (προκύπτουν από τον ΑΦΜ)
   getIssuerInfo() {
+    const { vatNumber, country, branch, name, address } = this.issuer;
+    const domestic = country === 'GR';
+
     return {
-      vatNumber: process.env.COMPANY_VAT_NUMBER,
-      country: 'GR',
-      branch: 0,
-      name: process.env.COMPANY_NAME,
-      address: {
-        street: process.env.COMPANY_ADDRESS,
-        number: process.env.COMPANY_ADDRESS_NUMBER || '',
-        postalCode: process.env.COMPANY_POSTAL_CODE,
-        city: process.env.COMPANY_CITY
-      }
+      vatNumber,
+      country,
+      branch: branch || 0,
+      name: domestic ? undefined : name,
+      address: domestic || !address ? undefined : address
     };
   }
 
   // Get counterpart information (customer)
   getCounterpartInfo(company) {
+    const country = mydataCodes.countryCode(company.country) || company.country;
+
     return {
-      vatNumber: company.vatNumber,
-      country: company.country || 'GR',
+      vatNumber: company.afm || company.vatNumber,
+      country,
       branch: 0,
-      name: company.name,
+      // Επωνυμία μόνο για λήπτες εξωτερικού
+      name: country !== 'GR' ? (company.legalName || company.name) : undefined,
       address: {
-        street: company.address || '',
-        number: company.addressNumber || '',
+        street: company.street || company.address || undefined,
+        number: company.streetNumber || company.addressNumber || undefined,
         postalCode: company.postalCode || '',
         city: company.city || ''
       }
     };
   }
 
-  // Helper methods for MyDATA mappings
-  getMyDataInvoiceType(type) {
-    const typeMap = {
-      'invoice': '1.1',          // Τιμολόγιο Πώλησης
-      'credit_note': '5.1',      // Πιστωτικό Τιμολόγιο
-      'debit_note': '5.2',       // Χρεωστικό Τιμολόγιο
-      'receipt': '11.1',         // ΑΛΠ
-      'proforma': '1.1'          // Treated as regular invoice
-    };
-    return typeMap[type] || '1.1';
+  // ======================
+  // AADE Code Mapping
+  // ======================
+
+  // Τύπος παραστατικού ΑΑΔΕ· null για παραστατικά που δεν διαβιβάζονται (προφορμά)
+  getMyDataInvoiceType(invoice) {
+    if (invoice.metadata?.mydataInvoiceType) {
+      return String(invoice.metadata.mydataInvoiceType);
+    }
+
+    const services = this.isServicesInvoice(invoice);
+
+    switch (invoice.type) {
+      case 'proforma':
+        return null;
+      case 'receipt':
+        return services ? '11.2' : '11.1';
+      case 'credit_note':
+        if (invoice.parentInvoice?.type === 'receipt') return '11.4';
+        // Πιστωτικό με αρχικό τιμολόγιο είναι πάντα συσχετιζόμενο (χωρίς MARK απορρίπτεται στον έλεγχο)
+        return invoice.parentInvoiceId || this.getCorrelatedMark(invoice) ? '5.1' : '5.2';
+      case 'debit_note':
+        return services ? '2.4' : '1.6';
+      default: {
+        const country = mydataCodes.countryCode(invoice.company?.country);
+        const scope = country ? mydataCodes.countryScope(country) : 'domestic';
+        return `${services ? 2 : 1}.${SCOPE_SUFFIX[scope]}`;
+      }
+    }
   }
 
-  getMyDataVatCategory(vatCategory) {
-    const vatMap = {
-      'normal': 1,        // 24%
-      'reduced': 2,       // 13%
-      'super_reduced': 3, // 6%
-      'exempt': 4,        // 0% - Απαλλαγή
-      'reverse': 6        // Αντίστροφη φόρτωση
-    };
-    return vatMap[vatCategory] || 1;
+  // Παροχή υπηρεσιών όταν όλες οι γραμμές χαρακτηρίζονται ρητά ως category1_3
+  isServicesInvoice(invoice) {
+    const items = invoice.items || [];
+    return items.length > 0 && items.every(item => item.incomeClassificationCategory === 'category1_3');
+  }
+
+  // MARK του αρχικού παραστατικού (πιστωτικά, συμπληρωματικά)
+  getCorrelatedMark(invoice) {
+    const mark = invoice.metadata?.correlatedMark || invoice.parentInvoice?.mydataId;
+    return mark && /^\d+$/.test(String(mark)) ? String(mark) : null;
+  }
+
+  getMyDataVatCategory(item) {
+    if (['exempt', 'reverse'].includes(item.vatCategory)) return 7;
+
+    const rate = parseFloat(item.vatRate);
+    if (!Number.isNaN(rate)) {
+      return VAT_RATE_CATEGORIES[rate] || null;
+    }
+
+    return APP_VAT_CATEGORIES[item.vatCategory] || null;
   }
 
   getMyDataPaymentMethod(method) {
     const methodMap = {
       'cash': 3,           // Μετρητά
-      'card': 7,           // Πιστωτική/Χρεωστική κάρτα
-      'bank_transfer': 1,  // Επαγ. Εντολή Πληρωμής
-      'check': 2,          // Επιταγή
-      'other': 5           // Άλλο
+      'card': 7,           // POS / e-POS
+      'bank_transfer': 1,  // Επαγ. Λογαριασμός Πληρωμών Ημεδαπής
+      'check': 4,          // Επιταγή
+      'other': 5           // Επί Πιστώσει
     };
     return methodMap[method] || 5;
   }
 
-  getIncomeClassifications(items) {
+  // Σύνολα χαρακτηρισμών ανά τύπο/κατηγορία από τις γραμμές που έχουν ήδη μετατραπεί
+  getIncomeClassifications(details) {
     const classifications = [];
     
-    items.forEach(item => {
-      if (item.incomeClassification) {
-        const existing = classifications.find(c => 
-          c.classificationType === item.incomeClassification
+    details.forEach(line => {
+      (line.incomeClassification || []).forEach(entry => {
+        const existing = classifications.find(c =>
+          c['icls:classificationType'] === entry['icls:classificationType'] &&
+          c['icls:classificationCategory'] === entry['icls:classificationCategory']
         );
         
         if (existing) {
-          existing.amount += item.netAmount;
+          existing['icls:amount'] = round(parseFloat(existing['icls:amount']) + parseFloat(entry['icls:amount'])).toFixed(2);
         } else {
-          classifications.push({
-            classificationType: item.incomeClassification,
-            classificationCategory: this.getClassificationCategory(item.incomeClassification),
-            amount: item.netAmount
-          });
+          classifications.push({ ...entry });
         }
-      }
+      });
     });
     
     return classifications.length > 0 ? classifications : undefined;
   }
 
-  getClassificationCategory(classificationType) {
-    // Most income classifications are category_1_1 (Έσοδα από πώληση αγαθών και υπηρεσιών)
-    if (classificationType.startsWith('E3_561') || classificationType.startsWith('E3_598')) {
-      return 'category_1_1';
+  // Ρητή κατηγορία της γραμμής ή η πρώτη συμβατή με τον τύπο χαρακτηρισμού και τον τύπο παραστατικού
+  getClassificationCategory(item, invoiceType) {
+    if (item.incomeClassificationCategory) return item.incomeClassificationCategory;
+
+    const rules = INVOICE_TYPES[invoiceType] || {};
+    const allowed = INCOME_CLASSIFICATION_TYPES[item.incomeClassification]?.categories || [];
+
+    if (rules.incomeCategories) {
+      const match = rules.incomeCategories.find(category => allowed.includes(category));
+      if (match) return match;
     }
-    return 'category_1_1'; // Default
+
+    if (rules.services && allowed.includes('category1_3')) return 'category1_3';
+
+    return allowed[0] || null;
   }
 
-  getVatExemptionCategory(reason) {
-    // Common VAT exemption categories
-    if (reason.includes('άρθρο 3')) return 1;
-    if (reason.includes('άρθρο 5')) return 2;
-    if (reason.includes('άρθρο 13')) return 3;
-    if (reason.includes('άρθρο 14')) return 4;
-    if (reason.includes('άρθρο 16')) return 5;
-    return 30; // Other
+  // Ρητός κωδικός, άρθρο στην αιτιολογία ή η προεπιλογή του τύπου παραστατικού
+  getVatExemptionCategory(item, invoiceType) {
+    if (item.vatExceptionCategory) {
+      const code = parseInt(item.vatExceptionCategory);
+      return VAT_EXEMPTION_CATEGORIES[code] ? code : null;
+    }
+
+    const fromReason = item.vatExemptionReason ? mydataCodes.exemptionFromReason(item.vatExemptionReason) : null;
+    if (fromReason) return fromReason;
+
+    // Αντίστροφη επιβάρυνση εσωτερικού
+    if (item.vatCategory === 'reverse') return 16;
+
+    return INVOICE_TYPES[invoiceType]?.defaultExemption || null;
   }
 
-  // Utility methods
-  validateInvoiceData(invoice) {
-    if (!invoice.company?.vatNumber) {
-      throw new Error('Customer VAT number is required for MyDATA submission');
+  // Παρακρατήσεις, τέλη και χαρτόσημο από invoice.metadata.mydataTaxes
+  // [{ type: 'withholding' | 'fees' | 'stampDuty', category, amount?, underlyingValue? }]
+  getInvoiceTaxes(invoice, totalNetValue) {
+    return (invoice.metadata?.mydataTaxes || []).map(tax => {
+      const taxType = TAX_TYPES[tax.type];
+      const category = taxType?.categories[tax.category];
+      const underlyingValue = tax.underlyingValue !== undefined ? parseFloat(tax.underlyingValue) : totalNetValue;
+      const taxAmount = tax.amount !== undefined
+        ? parseFloat(tax.amount)
+        : underlyingValue * (category?.rate || 0) / 100;
+
+      return {
+        taxType: taxType?.code,
+        taxCategory: parseInt(tax.category),
+        underlyingValue: round(underlyingValue).toFixed(2),
+        taxAmount: round(taxAmount).toFixed(2)
+      };
+    });
+  }
+
+  // ======================
+  // Validation
+  // ======================
+
+  // Κανόνες ανά τύπο παραστατικού που αλλιώς οδηγούν σε απόρριψη από την ΑΑΔΕ
+  getValidationErrors(invoice) {
+    const errors = [];
+
+    if (!this.issuer.vatNumber) {
+      errors.push('Company VAT number not configured');
     }
-    
+
+    const invoiceType = this.getMyDataInvoiceType(invoice);
+    if (!invoiceType) {
+      errors.push('Proforma invoices are not reported to MyDATA');
+      return errors;
+    }
+
+    const rules = INVOICE_TYPES[invoiceType];
+    if (!rules) {
+      errors.push(`Unsupported MyDATA invoice type ${invoiceType}`);
+      return errors;
+    }
+
     if (!invoice.items || invoice.items.length === 0) {
-      throw new Error('Invoice must have at least one item for MyDATA submission');
+      errors.push('Invoice must have at least one item for MyDATA submission');
     }
-    
-    if (!process.env.COMPANY_VAT_NUMBER) {
-      throw new Error('Company VAT number not configured');
+
+    if (rules.counterpart === 'required') {
+      errors.push(...this.getCounterpartErrors(invoice.company, invoiceType, rules));
+    }
+
+    if (rules.correlated && !this.getCorrelatedMark(invoice)) {
+      errors.push(`Invoice type ${invoiceType} requires the MARK of the related invoice`);
+    }
+
+    if (rules.maxGrossValue && parseFloat(invoice.totalAmount) > rules.maxGrossValue) {
+      errors.push(`Invoice type ${invoiceType} is limited to ${rules.maxGrossValue} EUR`);
+    }
+
+    (invoice.items || []).forEach((item, index) => {
+      errors.push(...this.getLineErrors(item, index + 1, invoiceType, rules));
+    });
+
+    (invoice.metadata?.mydataTaxes || []).forEach((tax, index) => {
+      const taxType = TAX_TYPES[tax.type];
+      const category = taxType?.categories[tax.category];
+
+      if (!taxType) {
+        errors.push(`Tax ${index + 1}: unknown tax type ${tax.type}`);
+      } else if (!category) {
+        errors.push(`Tax ${index + 1}: unknown ${tax.type} category ${tax.category}`);
+      } else if (category.rate === null && tax.amount === undefined) {
+        errors.push(`Tax ${index + 1}: amount is required for ${tax.type} category ${tax.category}`);
+      }
+    });
+
+    return errors;
+  }
+
+  getCounterpartErrors(company, invoiceType, rules) {
+    const errors = [];
+    const vatNumber = company?.afm || company?.vatNumber;
+
+    if (!vatNumber) {
+      errors.push('Customer VAT number is required for MyDATA submission');
+    }
+
+    if (!company) return errors;
+
+    const country = mydataCodes.countryCode(company.country);
+    if (!country) {
+      errors.push(`Unknown customer country ${company.country}`);
+      return errors;
+    }
+
+    if (country === 'GR' && vatNumber && !/^\d{9}$/.test(vatNumber)) {
+      errors.push('Customer AFM must have 9 digits');
+    }
+
+    if (rules.scope && mydataCodes.countryScope(country) !== rules.scope) {
+      errors.push(`Invoice type ${invoiceType} requires a ${SCOPE_LABELS[rules.scope]} customer (country ${country})`);
+    }
+
+    if (country !== 'GR' && (!company.city || !company.postalCode)) {
+      errors.push('City and postal code are required for foreign customers');
+    }
+
+    return errors;
+  }
+
+  getLineErrors(item, lineNumber, invoiceType, rules) {
+    const errors = [];
+    const vatCategory = this.getMyDataVatCategory(item);
+
+    if (!vatCategory) {
+      errors.push(`Line ${lineNumber}: unsupported VAT rate ${item.vatRate}`);
+    } else if (VAT_CATEGORIES[vatCategory].exemptionRequired && !this.getVatExemptionCategory(item, invoiceType)) {
+      errors.push(`Line ${lineNumber}: VAT exemption category is required for zero-rated lines`);
+    }
+
+    if (item.vatExceptionCategory && !VAT_EXEMPTION_CATEGORIES[parseInt(item.vatExceptionCategory)]) {
+      errors.push(`Line ${lineNumber}: unknown VAT exemption category ${item.vatExceptionCategory}`);
+    }
+
+    if (!item.incomeClassification) return errors;
+
+    const type = INCOME_CLASSIFICATION_TYPES[item.incomeClassification];
+    const category = this.getClassificationCategory(item, invoiceType);
+
+    if (!type) {
+      errors.push(`Line ${lineNumber}: unknown income classification type ${item.incomeClassification}`);
+    } else if (!INCOME_CLASSIFICATION_CATEGORIES[category]) {
+      errors.push(`Line ${lineNumber}: unknown income classification category ${category}`);
+    } else if (!type.categories.includes(category) && !INCOME_ADJUSTMENT_CATEGORIES.includes(category)) {
+      errors.push(`Line ${lineNumber}: ${item.incomeClassification} cannot be combined with ${category}`);
+    } else if (rules.incomeCategories && !rules.incomeCategories.includes(category)) {
+      errors.push(`Line ${lineNumber}: ${category} is not allowed on invoice type ${invoiceType}`);
+    }
+
+    return errors;
+  }
+
+  // Utility methods
+  validateInvoiceData(invoice) {
+    const errors = this.getValidationErrors(invoice);
+
+    if (errors.length > 0) {
+      throw new AppError(`MyDATA validation failed: ${errors.join('; ')}`, 400);
     }
   }
 
@@ -350,26 +630,15 @@ class MyDataService {
     return new Date(date).toISOString().split('T')[0];
   }
 
-  parseSubmissionResponse(responseData) {
-    // Parse MyDATA response and extract relevant information
-    if (responseData.response) {
-      const response = responseData.response;
-      
-      if (response.index && response.index.length > 0) {
-        const indexItem = response.index[0];
-        return {
-          statusCode: indexItem.invoiceType ? 'Success' : 'Error',
-          mark: indexItem.mark,
-          uid: indexItem.invoiceUid,
-          errors: indexItem.errors || []
-        };
-      }
-    }
-    
-    return {
-      statusCode: 'Error',
-      errors: ['Invalid response format']
-    };
+  // Δεν υπάρχει απάντηση από την ΑΑΔΕ (δίκτυο ή timeout)· ένα 5xx είναι απάντηση και
+  // ακολουθεί τις κανονικές επαναλήψεις
+  isConnectionLoss(error) {
+    if (error.response) return false;
+    return CONNECTION_ERROR_CODES.includes(error.code) || Boolean(error.message?.includes('timeout'));
+  }
+
+  getTransmissionFailureCode() {
+    return TRANSMISSION_FAILURE_ERP;
   }
 
   // Cancel invoice in MyDATA
@@ -379,17 +648,18 @@ class MyDataService {
         throw new Error('Invoice not submitted to MyDATA');
       }
 
-      const response = await this.client.post('/CancelInvoice', {
-        mark: invoice.mydataId
-      });
+      const result = await this.cancelMark(invoice.mydataId);
+      if (result.statusCode !== 'Success') {
+        throw new AppError(`MyDATA cancellation rejected: ${result.errors.map(e => e.message).join('; ')}`, 400);
+      }
 
       // Update invoice status
       await invoice.update({
         status: 'cancelled',
-        mydataStatus: 'cancelled',
         metadata: {
           ...invoice.metadata,
-          mydataCancelled: new Date().toISOString()
+          mydataCancelled: new Date().toISOString(),
+          mydataCancellationMark: result.cancellationMark
         }
       });
 
@@ -450,7 +720,7 @@ class MyDataService {
   // Test connection to MyDATA
   async testConnection() {
     try {
-      const response = await this.client.get('/RequestDocs', {
+      await this.client.get('/RequestDocs', {
         params: {
           dateFrom: new Date().toISOString().split('T')[0],
           dateTo: new Date().toISOString().split('T')[0]
@@ -460,6 +730,7 @@ class MyDataService {
       return {
         success: true,
         environment: this.environment,
+        companyId: this.companyId,
         message: 'MyDATA connection successful'
       };
 
@@ -467,42 +738,301 @@ class MyDataService {
       return {
         success: false,
         environment: this.environment,
+        companyId: this.companyId,
         error: error.message
       };
     }
   }
 
-  // Bulk submit invoices
-  async bulkSubmitInvoices(invoices) {
-    const results = [];
+  // ======================
+  // Batched Submission
+  // ======================
 
-    for (const invoice of invoices) {
-      try {
-        const result = await this.submitInvoice(invoice);
-        results.push({
-          invoiceId: invoice.id,
-          invoiceNumber: invoice.invoiceNumber,
-          success: result.success,
-          mydataId: result.mydataId,
-          errors: result.errors
-        });
-      } catch (error) {
-        results.push({
-          invoiceId: invoice.id,
-          invoiceNumber: invoice.invoiceNumber,
-          success: false,
-          error: error.message
-        });
+  // Μοναδικό αναγνωριστικό ΑΑΔΕ: SHA-1 των ΑΦΜ εκδότη, ημ/νίας, εγκατάστασης, τύπου, σειράς, ΑΑ
+  computeInvoiceUid(invoice) {
+    const issuer = this.getIssuerInfo();
+    const parts = [
+      issuer.vatNumber || '',
+      this.formatDateForMyData(invoice.issueDate),
+      issuer.branch,
+      this.getMyDataInvoiceType(invoice),
+      invoice.series || '',
+      this.extractInvoiceNumber(invoice.invoiceNumber)
+    ];
+
+    return crypto.createHash('sha1').update(parts.join('-'), 'utf8').digest('hex').toUpperCase();
+  }
+
+  // InvoicesDoc με πολλά τιμολόγια σε ένα αίτημα SendInvoices
+  buildInvoicesDoc(invoices) {
+    const documents = invoices.map(invoice => {
+      const document = this.convertInvoiceToMyDataFormat(invoice);
+      // Τα namespaces δηλώνονται μία φορά στο root
+      Object.keys(document)
+        .filter(key => key.startsWith('@_'))
+        .forEach(key => delete document[key]);
+      return document;
+    });
+
+    return this.xmlBuilder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      InvoicesDoc: {
+        '@_xmlns': 'http://www.aade.gr/myDATA/invoice/v1.0',
+        '@_xmlns:icls': 'https://www.aade.gr/myDATA/incomeClassificaton/v1.0',
+        '@_xmlns:ecls': 'https://www.aade.gr/myDATA/expensesClassificaton/v1.0',
+        invoice: documents
       }
+    });
+  }
+
+  // Ανάλυση ResponseDoc: ένα response ανά τιμολόγιο με index (1-based) στη σειρά αποστολής
+  parseBatchResponse(xml, count) {
+    const parsed = typeof xml === 'string' ? this.responseParser.parse(xml) : xml;
+    const responses = parsed?.ResponseDoc?.response || [];
+
+    const toResult = (response) => ({
+      statusCode: response.statusCode || 'Error',
+      uid: response.invoiceUid || null,
+      mark: response.invoiceMark || null,
+      qrUrl: response.qrUrl || null,
+      classificationMark: response.classificationMark || null,
+      cancellationMark: response.cancellationMark || null,
+      errors: (response.errors?.error || []).map(error => ({
+        code: error.code != null ? String(error.code) : null,
+        message: error.message || ''
+      }))
+    });
+
+    // XMLSyntaxError ή γενικό σφάλμα χωρίς index αφορά όλο το αίτημα
+    if (responses.length === 1 && !responses[0].index && count > 1) {
+      return Array.from({ length: count }, () => toResult(responses[0]));
     }
 
+    const results = Array.from({ length: count }, () => ({
+      statusCode: 'Error',
+      uid: null,
+      mark: null,
+      qrUrl: null,
+      classificationMark: null,
+      errors: [{ code: null, message: 'Missing response for invoice' }]
+    }));
+
+    responses.forEach((response, position) => {
+      const index = response.index ? parseInt(response.index) - 1 : position;
+      if (index >= 0 && index < count) {
+        results[index] = toResult(response);
+      }
+    });
+
+    return results;
+  }
+
+  // Αποστολή παρτίδας· σφάλματα μεταφοράς (timeout, 5xx) πετιούνται στον caller
+  async sendInvoicesBatch(invoices) {
+    const payload = this.buildInvoicesDoc(invoices);
+    const startedAt = Date.now();
+
+    const response = await this.client.post('/SendInvoices', payload, {
+      headers: { 'Content-Type': 'application/xml' },
+      responseType: 'text',
+      transformResponse: [(data) => data]
+    });
+
     return {
-      submitted: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      results
+      httpStatus: response.status,
+      durationMs: Date.now() - startedAt,
+      results: this.parseBatchResponse(response.data, invoices.length)
     };
   }
 
+  // ======================
+  // Classifications
+  // ======================
+
+  // Χαρακτηρισμός εξόδων σε ληφθέντα παραστατικά (ανά γραμμή του εκδότη)
+  buildExpensesClassificationsDoc(purchaseDocuments) {
+    return this.xmlBuilder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      ExpensesClassificationsDoc: {
+        '@_xmlns': 'https://www.aade.gr/myDATA/expensesClassificaton/v1.0',
+        '@_xmlns:ecls': 'https://www.aade.gr/myDATA/expensesClassificaton/v1.0',
+        expensesInvoiceClassification: purchaseDocuments.map(document => ({
+          invoiceMark: document.mark,
+          invoicesExpensesClassificationDetails: document.items.map(item => ({
+            lineNumber: item.lineNumber,
+            expensesClassificationDetailData: {
+              'ecls:classificationType': item.classificationType,
+              'ecls:classificationCategory': item.classificationCategory,
+              'ecls:amount': parseFloat(item.netValue).toFixed(2)
+            }
+          }))
+        }))
+      }
+    });
+  }
+
+  // Χαρακτηρισμός εσόδων για τιμολόγια που διαβιβάστηκαν χωρίς αυτόν
+  buildIncomeClassificationsDoc(invoices) {
+    return this.xmlBuilder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      IncomeClassificationsDoc: {
+        '@_xmlns': 'https://www.aade.gr/myDATA/incomeClassificaton/v1.0',
+        '@_xmlns:icls': 'https://www.aade.gr/myDATA/incomeClassificaton/v1.0',
+        incomeInvoiceClassification: invoices.map(invoice => {
+          const invoiceType = this.getMyDataInvoiceType(invoice);
+
+          return {
+            invoiceMark: invoice.mydataId,
+            invoicesIncomeClassificationDetails: invoice.items
+              .map((item, index) => ({ item, lineNumber: index + 1 }))
+              .filter(({ item }) => item.incomeClassification)
+              .map(({ item, lineNumber }) => ({
+                lineNumber,
+                incomeClassificationDetailData: {
+                  'icls:classificationType': item.incomeClassification,
+                  'icls:classificationCategory': this.getClassificationCategory(item, invoiceType),
+                  'icls:amount': parseFloat(item.netAmount).toFixed(2)
+                }
+              }))
+          };
+        })
+      }
+    });
+  }
+
+  async postClassifications(endpoint, payload) {
+    const startedAt = Date.now();
+
+    const response = await this.client.post(endpoint, payload, {
+      headers: { 'Content-Type': 'application/xml' },
+      responseType: 'text',
+      transformResponse: [(data) => data]
+    });
+
+    return {
+      httpStatus: response.status,
+      durationMs: Date.now() - startedAt,
+      result: this.parseBatchResponse(response.data, 1)[0]
+    };
+  }
+
+  async sendExpensesClassification(purchaseDocument) {
+    if (!purchaseDocument.mark) {
+      throw new Error('Purchase document has no MARK to classify');
+    }
+
+    const response = await this.postClassifications(
+      '/SendExpensesClassification',
+      this.buildExpensesClassificationsDoc([purchaseDocument])
+    );
+
+    await auditService.log({
+      action: 'update',
+      status: response.result.statusCode === 'Success' ? 'success' : 'failure',
+      category: 'mydata',
+      entityType: 'PurchaseDocument',
+      entityId: purchaseDocument.id,
+      description: `MyDATA expenses classification ${response.result.statusCode}`,
+      metadata: {
+        mark: purchaseDocument.mark,
+        classificationMark: response.result.classificationMark,
+        errors: response.result.errors
+      }
+    });
+
+    return response.result;
+  }
+
+  async sendIncomeClassification(invoice) {
+    if (!invoice.mydataId) {
+      throw new Error('Invoice not submitted to MyDATA');
+    }
+
+    if (!invoice.items?.some(item => item.incomeClassification)) {
+      throw new Error('Invoice has no income classified items');
+    }
+
+    const response = await this.postClassifications(
+      '/SendIncomeClassification',
+      this.buildIncomeClassificationsDoc([invoice])
+    );
+
+    await auditService.log({
+      action: 'update',
+      status: response.result.statusCode === 'Success' ? 'success' : 'failure',
+      category: 'mydata',
+      entityType: 'Invoice',
+      entityId: invoice.id,
+      description: `MyDATA income classification ${response.result.statusCode}`,
+      metadata: {
+        mark: invoice.mydataId,
+        classificationMark: response.result.classificationMark,
+        errors: response.result.errors
+      }
+    });
+
+    return response.result;
+  }
+
+  // ======================
+  // Received Documents
+  // ======================
+
+  // Παραστατικά που εκδόθηκαν προς εμάς με MARK μεγαλύτερο του mark, σελιδοποιημένα με continuation token
+  async requestDocs(options = {}) {
+    return this.requestDocsEndpoint('/RequestDocs', options);
+  }
+
+  // Παραστατικά που διαβίβασε η ίδια η οντότητα (ίδια μορφή RequestedDoc)
+  async requestTransmittedDocs(options = {}) {
+    return this.requestDocsEndpoint('/RequestTransmittedDocs', options);
+  }
+
+  async requestDocsEndpoint(endpoint, { mark = '0', nextPartitionKey, nextRowKey, dateFrom, dateTo } = {}) {
+    const params = { mark };
+    if (nextPartitionKey) {
+      params.nextPartitionKey = nextPartitionKey;
+      params.nextRowKey = nextRowKey;
+    }
+    // Η ΑΑΔΕ δέχεται ημερομηνίες ως dd/MM/yyyy
+    if (dateFrom) params.dateFrom = this.formatDateForMyData(dateFrom).split('-').reverse().join('/');
+    if (dateTo) params.dateTo = this.formatDateForMyData(dateTo).split('-').reverse().join('/');
+
+    const response = await this.client.get(endpoint, {
+      params,
+      responseType: 'text',
+      transformResponse: [(data) => data]
+    });
+
+    return this.parseRequestedDoc(response.data);
+  }
+
+  parseRequestedDoc(xml) {
+    const parsed = this.requestedDocParser.parse(xml || '');
+    const doc = parsed.RequestedDoc || {};
+    const token = doc.continuationToken;
+
+    return {
+      invoices: doc.invoicesDoc?.invoice || [],
+      cancelledInvoices: doc.cancelledInvoicesDoc?.cancelledInvoice || [],
+      expensesClassifications: doc.expensesClassificationsDoc?.expensesInvoiceClassification || [],
+      continuationToken: token?.nextPartitionKey
+        ? { nextPartitionKey: token.nextPartitionKey, nextRowKey: token.nextRowKey || '' }
+        : null
+    };
+  }
+
+  // Ακύρωση MARK στην ΑΑΔΕ (ο MARK περνά ως query parameter, χωρίς σώμα)
+  async cancelMark(mark) {
+    const response = await this.client.post('/CancelInvoice', null, {
+      params: { mark },
+      responseType: 'text',
+      transformResponse: [(data) => data]
+    });
+
+    return this.parseBatchResponse(response.data, 1)[0];
+  }
+
   // Get transmission logs
   async getTransmissionLogs(dateFrom, dateTo) {
     try {
@@ -0,0 +1,436 @@
+// services/mydataSyncService.js
+// Λήψη παραστατικών αγορών από το myDATA (RequestDocs) και καταχώρηση ως PurchaseDocuments
+
+import cron from 'node-cron';
+import {
+  MyDataSyncRun,
+  PurchaseDocument,
+  PurchaseDocumentItem,
+  Company,
+  User,
+  sequelize
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError, logWarning } from '../middleware/logger.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import mydataCredentialService from './mydataCredentialService.js';
+import purchaseService from './purchaseService.js';
+
+// Προστασία από ατέρμονη σελιδοποίηση
+const DEFAULT_MAX_PAGES = 50;
+
+// Οι χαρακτηρισμοί ΦΠΑ (VAT_xxx) δεν αποθηκεύονται ανά γραμμή
+const EXPENSE_TYPE_PREFIX = 'E3_';
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Οι MARK ξεπερνούν το Number.MAX_SAFE_INTEGER
+const maxMark = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return BigInt(a) >= BigInt(b) ? a : b;
+};
+
+class MyDataSyncService {
+  constructor() {
+    this.job = null;
+    // Μία εκτέλεση τη φορά ανά εκδότη (null: διαπιστευτήρια περιβάλλοντος)
+    this.running = new Set();
+  }
+
+  // ======================
+  // Lifecycle
+  // ======================
+
+  start() {
+    if (this.job) return;
+
+    const expression = process.env.MYDATA_SYNC_CRON || '15 */4 * * *';
+    if (!cron.validate(expression)) {
+      logWarning('Invalid MYDATA_SYNC_CRON expression, myDATA import disabled', { expression });
+      return;
+    }
+
+    this.job = cron.schedule(expression, () => this.runScheduled().catch(error => {
+      logError('myDATA import failed', { error: error.message });
+    }), {
+      timezone: process.env.MYDATA_SYNC_TIMEZONE || 'Europe/Athens'
+    });
+
+    logInfo('myDATA import job scheduled', { expression });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ======================
+  // Run
+  // ======================
+
+  // Εκδότες με αποθηκευμένα διαπιστευτήρια και, αν υπάρχουν, τα διαπιστευτήρια περιβάλλοντος
+  async runScheduled() {
+    const companyIds = await mydataCredentialService.getSyncCompanyIds();
+    if (process.env.MYDATA_USER_ID && process.env.MYDATA_SUBSCRIPTION_KEY) {
+      companyIds.unshift(null);
+    }
+
+    for (const companyId of companyIds) {
+      try {
+        // Με διαπιστευτήρια εταιρείας τα αγοραστικά και οι προμηθευτές ανήκουν στον tenant της·
+        // τα διαπιστευτήρια περιβάλλοντος δεν ανήκουν σε tenant
+        const run = () => this.run({ trigger: 'schedule', companyId });
+        await (companyId ? runWithTenant({ tenantId: companyId }, run) : run());
+      } catch (error) {
+        logError('myDATA import failed', { companyId, error: error.message });
+      }
+    }
+  }
+
+  // Συνέχεια από τον τελευταίο MARK επιτυχούς εκτέλεσης του ίδιου εκδότη
+  async getResumeMark(companyId = null) {
+    const last = await MyDataSyncRun.findOne({
+      where: { status: 'success', companyId },
+      order: [['startedAt', 'DESC']]
+    });
+
+    return last?.lastMark || last?.fromMark || '0';
+  }
+
+  async run(options = {}) {
+    const { trigger = 'manual', userId, fromMark, dateFrom, dateTo } = options;
+    // Χωρίς διαπιστευτήρια για τον εκδότη δεν ξεκινά εκτέλεση
+    const service = await mydataCredentialService.forCompany(options.companyId);
+    // Η εταιρεία του COMPANY_VAT_NUMBER μοιράζεται το ιστορικό των διαπιστευτηρίων περιβάλλοντος
+    const companyId = service.companyId;
+
+    if (this.running.has(companyId)) {
+      throw new AppError('myDATA import already running', 409);
+    }
+    this.running.add(companyId);
+
+    const startMark = fromMark || await this.getResumeMark(companyId);
+    const run = await MyDataSyncRun.create({
+      companyId,
+      trigger,
+      status: 'running',
+      fromMark: startMark,
+      triggeredBy: userId || null,
+      startedAt: new Date()
+    });
+
+    const stats = {
+      pages: 0,
+      fetched: 0,
+      imported: 0,
+      skipped: 0,
+      cancelled: 0,
+      suppliersCreated: 0,
+      unclassified: 0,
+      lastMark: null
+    };
+    const failures = [];
+    const context = {
+      companyId,
+      ownerId: await this.resolveOwnerId(userId),
+      suppliers: new Map(),
+      stats
+    };
+
+    try {
+      const maxPages = parseInt(process.env.MYDATA_SYNC_MAX_PAGES) || DEFAULT_MAX_PAGES;
+      let token = null;
+
+      do {
+        const page = await service.requestDocs({
+          mark: startMark,
+          dateFrom,
+          dateTo,
+          ...(token || {})
+        });
+        stats.pages++;
+
+        for (const received of page.invoices) {
+          stats.fetched++;
+          stats.lastMark = maxMark(stats.lastMark, received.mark);
+
+          try {
+            await this.importInvoice(received, context);
+          } catch (error) {
+            failures.push({
+              mark: received.mark,
+              issuer: received.issuer?.vatNumber,
+              number: received.invoiceHeader?.aa,
+              error: error.message
+            });
+            logWarning('myDATA received invoice import failed', { mark: received.mark, error: error.message });
+          }
+        }
+
+        for (const cancellation of page.cancelledInvoices) {
+          stats.lastMark = maxMark(stats.lastMark, cancellation.cancellationMark);
+          await this.applyCancellation(cancellation, stats);
+        }
+
+        for (const classification of page.expensesClassifications) {
+          stats.lastMark = maxMark(stats.lastMark, classification.classificationMark);
+          await this.applyClassification(classification);
+        }
+
+        token = page.continuationToken;
+      } while (token && stats.pages < maxPages);
+
+      if (token) {
+        logWarning('myDATA import stopped at page limit, remaining documents follow in the next run', {
+          runId: run.id,
+          pages: stats.pages
+        });
+      }
+
+      await run.finish('success', {
+        ...stats,
+        lastMark: stats.lastMark || startMark,
+        failures: failures.length > 0 ? failures : null
+      });
+
+      logInfo('myDATA import completed', { runId: run.id, companyId, ...stats, failed: failures.length });
+
+    } catch (error) {
+      // Ο MARK δεν προχωρά: η επόμενη εκτέλεση ξαναζητά από το ίδιο σημείο (τα υπάρχοντα παραλείπονται)
+      await run.finish('failed', {
+        ...stats,
+        lastMark: null,
+        failures: failures.length > 0 ? failures : null,
+        error: error.message
+      });
+
+      logError('myDATA import failed', { runId: run.id, error: error.message });
+      throw error;
+    } finally {
+      this.running.delete(companyId);
+    }
+
+    return run;
+  }
+
+  // ======================
+  // Import
+  // ======================
+
+  mapReceivedInvoice(received) {
+    const header = received.invoiceHeader || {};
+    const summary = received.invoiceSummary || {};
+
+    return {
+      supplierAfm: String(received.issuer?.vatNumber || '').trim(),
+      supplierName: received.issuer?.name || null,
+      invoiceType: String(header.invoiceType || '1.1'),
+      series: header.series != null && header.series !== '' ? String(header.series) : null,
+      documentNumber: String(header.aa),
+      issueDate: header.issueDate,
+      mark: String(received.mark),
+      uid: received.uid || null,
+      currency: header.currency || 'EUR',
+      withheldAmount: toNumber(summary.totalWithheldAmount),
+      totalAmount: toNumber(summary.totalGrossValue),
+      source: 'mydata',
+      items: (received.invoiceDetails || []).map((line, index) => ({
+        lineNumber: parseInt(line.lineNumber) || index + 1,
+        description: line.lineComments || null,
+        netValue: toNumber(line.netValue),
+        vatCategory: parseInt(line.vatCategory) || 1,
+        vatAmount: toNumber(line.vatAmount)
+      })),
+      metadata: {
+        mydata: {
+          issuerCountry: received.issuer?.country || 'GR',
+          issuerBranch: received.issuer?.branch,
+          totalOtherTaxesAmount: toNumber(summary.totalOtherTaxesAmount),
+          totalFeesAmount: toNumber(summary.totalFeesAmount),
+          totalStampDutyAmount: toNumber(summary.totalStampDutyAmount)
+        }
+      }
+    };
+  }
+
+  async importInvoice(received, context) {
+    const { stats } = context;
+    const data = this.mapReceivedInvoice(received);
+    // Ο χαρακτηρισμός εξόδων στέλνεται με τα διαπιστευτήρια του ίδιου λήπτη
+    data.metadata.mydata.companyId = context.companyId;
+
+    if (!/^\d{9}$/.test(data.supplierAfm)) {
+      throw new Error(`Unsupported issuer VAT number ${data.supplierAfm || '-'}`);
+    }
+
+    const existing = await PurchaseDocument.findOne({ where: { mark: data.mark } });
+    if (existing) {
+      stats.skipped++;
+      return existing;
+    }
+
+    // Χειροκίνητη καταχώρηση του ίδιου παραστατικού: συνδέεται με τον MARK αντί για διπλοεγγραφή
+    const manual = await PurchaseDocument.findOne({
+      where: {
+        supplierAfm: data.supplierAfm,
+        invoiceType: data.invoiceType,
+        series: data.series,
+        documentNumber: data.documentNumber,
+        mark: null
+      }
+    });
+    if (manual) {
+      await manual.update({ mark: data.mark, uid: data.uid });
+      stats.skipped++;
+      return manual;
+    }
+
+    const supplier = await this.findOrCreateSupplier(data, context);
+
+    const document = await purchaseService.create({
+      ...data,
+      supplierId: supplier?.id
+    }, { userId: context.ownerId });
+
+    stats.imported++;
+    if (document.classificationStatus === 'unclassified') {
+      stats.unclassified++;
+    }
+
+    return document;
+  }
+
+  // Ιδιοκτήτης των αυτόματων προμηθευτών: ο χρήστης της εκτέλεσης, MYDATA_SYNC_OWNER_ID ή ο πρώτος admin
+  async resolveOwnerId(userId) {
+    if (userId) return userId;
+    if (process.env.MYDATA_SYNC_OWNER_ID) return process.env.MYDATA_SYNC_OWNER_ID;
+
+    const admin = await User.findOne({
+      where: { role: 'admin', isActive: true },
+      order: [['createdAt', 'ASC']],
+      attributes: ['id']
+    });
+
+    return admin?.id || null;
+  }
+
+  async findOrCreateSupplier(data, context) {
+    const { supplierAfm } = data;
+
+    if (context.suppliers.has(supplierAfm)) {
+      return context.suppliers.get(supplierAfm);
+    }
+
+    let supplier = await Company.findOne({ where: { afm: supplierAfm } });
+
+    if (!supplier && context.ownerId) {
+      supplier = await this.createSupplier(data, context.ownerId);
+      context.stats.suppliersCreated++;
+    }
+
+    context.suppliers.set(supplierAfm, supplier);
+    return supplier;
+  }
+
+  // Η ΑΑΔΕ δεν επιστρέφει επωνυμία/διεύθυνση για εκδότες εσωτερικού: συμπληρώνονται προσωρινά στοιχεία
+  async createSupplier(data, ownerId) {
+    const baseName = data.supplierName || `Προμηθευτής ΑΦΜ ${data.supplierAfm}`;
+    const nameTaken = await Company.count({ where: { name: baseName } });
+    const name = nameTaken > 0 ? `${baseName} (${data.supplierAfm})` : baseName;
+
+    const supplier = await Company.create({
+      name,
+      legalName: name,
+      afm: data.supplierAfm,
+      doy: '-',
+      ownerId,
+      email: `${data.supplierAfm}@suppliers.invalid`,
+      phone: '-',
+      street: '-',
+      streetNumber: '-',
+      city: '-',
+      postalCode: '-',
+      country: data.metadata?.mydata?.issuerCountry === 'GR' ? 'Ελλάδα' : data.metadata?.mydata?.issuerCountry,
+      businessType: 'Ατομική',
+      industry: '-',
+      isVerified: false,
+      notes: `Δημιουργήθηκε αυτόματα από λήψη παραστατικού myDATA (MARK ${data.mark}). Συμπληρώστε τα στοιχεία.`
+    });
+
+    logInfo('Supplier created from myDATA import', { companyId: supplier.id, afm: supplier.afm });
+    return supplier;
+  }
+
+  async applyCancellation(cancellation, stats) {
+    const document = await PurchaseDocument.findOne({ where: { mark: String(cancellation.invoiceMark) } });
+    if (!document || document.status === 'cancelled') return;
+
+    await document.update({
+      status: 'cancelled',
+      metadata: {
+        ...document.metadata,
+        cancellationMark: cancellation.cancellationMark,
+        cancellationDate: cancellation.cancellationDate
+      }
+    });
+    stats.cancelled++;
+  }
+
+  // Χαρακτηρισμοί που υποβλήθηκαν εκτός εφαρμογής (π.χ. από το portal της ΑΑΔΕ)
+  async applyClassification(classification) {
+    const document = await PurchaseDocument.findOne({
+      where: { mark: String(classification.invoiceMark) },
+      include: [{ model: PurchaseDocumentItem, as: 'items' }]
+    });
+    if (!document || document.classificationStatus === 'submitted') return;
+
+    await sequelize.transaction(async (t) => {
+      for (const detail of classification.invoicesExpensesClassificationDetails || []) {
+        const expense = (detail.expensesClassificationDetailData || []).find(data =>
+          String(data.classificationType || '').startsWith(EXPENSE_TYPE_PREFIX)
+        );
+        const item = document.items.find(line => line.lineNumber === parseInt(detail.lineNumber));
+
+        if (expense && item) {
+          await item.update({
+            classificationType: expense.classificationType,
+            classificationCategory: expense.classificationCategory
+          }, { transaction: t });
+        }
+      }
+
+      await document.update({
+        classificationStatus: 'submitted',
+        classificationMark: classification.classificationMark,
+        classificationSubmittedAt: new Date(),
+        classificationErrors: null
+      }, { transaction: t });
+    });
+  }
+
+  // ======================
+  // History
+  // ======================
+
+  async getRuns({ page = 1, limit = 20, status, companyId } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (companyId) where.companyId = companyId;
+
+    return MyDataSyncRun.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+        { model: Company, as: 'company', attributes: ['id', 'name', 'afm'] }
+      ],
+      order: [['startedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+}
+
+export default new MyDataSyncService();
@@ -0,0 +1,433 @@
+// services/numberingService.js
+// Service για αδιάσπαστη αρίθμηση παραστατικών ανά σειρά και χρήση
+
+import moment from 'moment';
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import NumberingSequence from '../models/NumberingSequence.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getTenantId } from '../utils/tenantContext.js';
+
+// Προεπιλεγμένες μορφές (συμβατές με την παλιά αρίθμηση)
+const DEFAULT_FORMATS = {
+  document: '{SERIES}-{NUMBER:6}',
+  invoice: '{SERIES}{NUMBER:6}',
+  payment: '{SERIES}-{YEAR}-{NUMBER:6}'
+};
+
+const DEFAULT_SERIES = 'A';
+
+// Πίνακας και πεδία αριθμού ανά οντότητα
+const ENTITIES = {
+  document: {
+    model: 'Document',
+    numberField: 'documentNumber',
+    typeField: 'documentType',
+    seriesField: 'documentSeries',
+    dateField: 'documentDate'
+  },
+  invoice: {
+    model: 'Invoice',
+    numberField: 'invoiceNumber',
+    typeField: 'type',
+    seriesField: 'series',
+    dateField: 'issueDate'
+  },
+  // Οι πληρωμές δεν έχουν σειρά: η σειρά είναι το πρόθεμα του αριθμού
+  payment: {
+    model: 'Payment',
+    numberField: 'paymentNumber',
+    dateField: 'paymentDate',
+    legacyWhere: scope => ({
+      paymentNumber: { [Op.like]: `${scope.series}-${scope.fiscalYear}-%` }
+    })
+  }
+};
+
+class NumberingService {
+  // ======================
+  // Issuing
+  // ======================
+
+  // Έκδοση επόμενου αριθμού. Καλείται μέσα στο transaction της εγγραφής ώστε
+  // ένα rollback να επιστρέφει και τον αριθμό (χωρίς κενά στη σειρά).
+  async next(scope, options = {}) {
+    const { transaction } = options;
+
+    if (!transaction) {
+      return sequelize.transaction(t => this.next(scope, { ...options, transaction: t }));
+    }
+
+    const normalized = this._normalizeScope(scope);
+    const format = await this.resolveFormat(normalized);
+
+    const sequence = await this.getSequence(normalized, { transaction, lock: true });
+
+    if (!sequence.isActive) {
+      throw new AppError(`Numbering series ${sequence.series} for ${sequence.documentType} is inactive`, 400);
+    }
+
+    const sequenceNumber = sequence.currentValue + 1;
+
+    await sequence.update({
+      currentValue: sequenceNumber,
+      lastIssuedAt: new Date()
+    }, { transaction });
+
+    return {
+      numberingSequenceId: sequence.id,
+      sequenceNumber,
+      fiscalYear: sequence.fiscalYear,
+      number: this.formatNumber(sequence.format || format, {
+        number: sequenceNumber,
+        series: sequence.series,
+        date: normalized.date,
+        fiscalYear: sequence.fiscalYear
+      })
+    };
+  }
+
+  // Προεπισκόπηση του επόμενου αριθμού χωρίς δέσμευση
+  async preview(scope) {
+    const normalized = this._normalizeScope(scope);
+    const format = await this.resolveFormat(normalized);
+
+    const sequence = await NumberingSequence.findOne({
+      where: { sequenceKey: NumberingSequence.buildKey(normalized) }
+    });
+
+    const lastValue = sequence
+      ? sequence.currentValue
+      : await this._legacyLastNumber(normalized);
+
+    const sequenceNumber = lastValue + 1;
+
+    return {
+      sequenceNumber,
+      fiscalYear: normalized.fiscalYear,
+      number: this.formatNumber(sequence?.format || format, {
+        number: sequenceNumber,
+        series: normalized.series,
+        date: normalized.date,
+        fiscalYear: normalized.fiscalYear
+      })
+    };
+  }
+
+  // ======================
+  // Sequences
+  // ======================
+
+  async getSequence(scope, options = {}) {
+    const { transaction, lock } = options;
+    const sequenceKey = NumberingSequence.buildKey(scope);
+
+    let sequence = await NumberingSequence.findOne({
+      where: { sequenceKey },
+      transaction,
+      lock: lock && transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (sequence) {
+      return sequence;
+    }
+
+    // Πρώτη έκδοση στη σειρά: συνέχεια από την τελευταία παλιά αρίθμηση
+    const lastValue = await this._legacyLastNumber(scope, transaction);
+
+    await NumberingSequence.findOrCreate({
+      where: { sequenceKey },
+      defaults: {
+        entityType: scope.entityType,
+        companyId: scope.companyId || null,
+        documentType: scope.documentType,
+        series: scope.series,
+        fiscalYear: scope.fiscalYear,
+        startValue: lastValue + 1,
+        currentValue: lastValue
+      },
+      transaction
+    });
+
+    sequence = await NumberingSequence.findOne({
+      where: { sequenceKey },
+      transaction,
+      lock: lock && transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    return sequence;
+  }
+
+  async createSequence(data, options = {}) {
+    const scope = this._normalizeScope(data);
+    const sequenceKey = NumberingSequence.buildKey(scope);
+
+    if (data.format) {
+      this.validateFormat(data.format);
+    }
+
+    const existing = await NumberingSequence.findOne({ where: { sequenceKey } });
+    if (existing) {
+      throw new AppError('Numbering series already exists for this type, series and year', 409);
+    }
+
+    return NumberingSequence.create({
+      sequenceKey,
+      entityType: scope.entityType,
+      companyId: scope.companyId || null,
+      documentType: scope.documentType,
+      series: scope.series,
+      fiscalYear: scope.fiscalYear,
+      format: data.format || null,
+      branch: data.branch,
+      description: data.description,
+      startValue: data.startValue || 1,
+      currentValue: data.startValue ? data.startValue - 1 : 0,
+      createdBy: options.userId
+    });
+  }
+
+  async updateSequence(sequence, data) {
+    const changes = {};
+
+    if (data.format !== undefined) {
+      if (data.format) this.validateFormat(data.format);
+      changes.format = data.format || null;
+    }
+
+    // Η αρχή της σειράς αλλάζει μόνο πριν την πρώτη έκδοση
+    if (data.startValue !== undefined) {
+      if (sequence.hasIssued()) {
+        throw new AppError('Start value cannot change after numbers have been issued', 400);
+      }
+      changes.startValue = data.startValue;
+      changes.currentValue = data.startValue - 1;
+    }
+
+    ['branch', 'description', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) changes[field] = data[field];
+    });
+
+    return sequence.update(changes);
+  }
+
+  // ======================
+  // Gap report
+  // ======================
+
+  async findGaps(sequence) {
+    const entity = ENTITIES[sequence.entityType];
+    const Model = sequelize.models[entity.model];
+
+    const rows = await Model.findAll({
+      where: { numberingSequenceId: sequence.id },
+      attributes: ['id', 'sequenceNumber', entity.numberField, 'deletedAt'],
+      order: [['sequenceNumber', 'ASC']],
+      paranoid: false,
+      raw: true
+    });
+
+    const issued = new Map();
+    const duplicates = [];
+    const deleted = [];
+
+    for (const row of rows) {
+      if (issued.has(row.sequenceNumber)) {
+        duplicates.push(row.sequenceNumber);
+      }
+      issued.set(row.sequenceNumber, row);
+
+      if (row.deletedAt) {
+        deleted.push({ sequenceNumber: row.sequenceNumber, number: row[entity.numberField], id: row.id });
+      }
+    }
+
+    // Οι αριθμοί πριν το startValue ανήκουν στην παλιά αρίθμηση και δεν ελέγχονται
+    const from = sequence.startValue;
+
+    const missing = [];
+    for (let number = from; number <= sequence.currentValue; number++) {
+      if (!issued.has(number)) missing.push(number);
+    }
+
+    return {
+      sequenceId: sequence.id,
+      entityType: sequence.entityType,
+      documentType: sequence.documentType,
+      series: sequence.series,
+      fiscalYear: sequence.fiscalYear,
+      companyId: sequence.companyId,
+      range: { from, to: sequence.currentValue },
+      issuedCount: issued.size,
+      missing: this._toRanges(missing),
+      missingCount: missing.length,
+      duplicates,
+      deleted,
+      isContinuous: missing.length === 0 && duplicates.length === 0
+    };
+  }
+
+  async gapReport(filters = {}) {
+    const where = {};
+    if (filters.fiscalYear) where.fiscalYear = filters.fiscalYear;
+    if (filters.documentType) where.documentType = filters.documentType;
+    if (filters.entityType) where.entityType = filters.entityType;
+    if (filters.companyId) where.companyId = filters.companyId;
+
+    const sequences = await NumberingSequence.findAll({
+      where,
+      order: [['fiscalYear', 'DESC'], ['documentType', 'ASC'], ['series', 'ASC']]
+    });
+
+    const results = [];
+    for (const sequence of sequences) {
+      results.push(await this.findGaps(sequence));
+    }
+
+    return {
+      sequences: results,
+      summary: {
+        total: results.length,
+        withGaps: results.filter(result => !result.isContinuous).length,
+        missingNumbers: results.reduce((sum, result) => sum + result.missingCount, 0)
+      }
+    };
+  }
+
+  // ======================
+  // Formatting
+  // ======================
+
+  // Tokens: {YEAR}, {YY}, {MONTH}, {SERIES}, {NUMBER} ή {NUMBER:n}
+  formatNumber(format, { number, series, date, fiscalYear }) {
+    const when = moment(date || undefined);
+    let pattern = format;
+
+    // Χωρίς {SERIES} οι μη προεπιλεγμένες σειρές παίρνουν πρόθεμα για να μη συγκρούονται
+    if (!pattern.includes('{SERIES}') && series && series !== DEFAULT_SERIES) {
+      pattern = `{SERIES}-${pattern}`;
+    }
+
+    return pattern
+      .replace(/\{YEAR\}/g, String(fiscalYear || when.year()))
+      .replace(/\{YY\}/g, String(fiscalYear || when.year()).slice(-2))
+      .replace(/\{MONTH\}/g, when.format('MM'))
+      .replace(/\{SERIES\}/g, series || DEFAULT_SERIES)
+      .replace(/\{NUMBER(?::(\d+))?\}/g, (match, digits) => String(number).padStart(parseInt(digits || '0'), '0'));
+  }
+
+  validateFormat(format) {
+    if (!/\{NUMBER(?::\d+)?\}/.test(format)) {
+      throw new AppError('Number format must contain {NUMBER} or {NUMBER:n}', 400);
+    }
+
+    const unknown = (format.match(/\{[^}]*\}/g) || [])
+      .filter(token => !/^\{(YEAR|YY|MONTH|SERIES|NUMBER(:\d+)?)\}$/.test(token));
+
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown format token(s): ${unknown.join(', ')}`, 400);
+    }
+  }
+
+  // Μορφή από ρύθμιση `<type>.number_format` (π.χ. invoice.number_format) ή προεπιλογή
+  async resolveFormat(scope) {
+    const setting = await this._getSetting(`${scope.documentType}.number_format`, scope.companyId);
+    return setting || DEFAULT_FORMATS[scope.entityType];
+  }
+
+  // ======================
+  // Helpers
+  // ======================
+
+  _normalizeScope(scope) {
+    if (!ENTITIES[scope.entityType || 'document']) {
+      throw new AppError(`Unknown numbering entity ${scope.entityType}`, 400);
+    }
+
+    if (!scope.documentType) {
+      throw new AppError('Document type is required for numbering', 400);
+    }
+
+    const date = scope.date || new Date();
+    // Κάθε tenant έχει δικές του σειρές· μέσα σε request ισχύει ο tenant του χρήστη
+    const tenantId = getTenantId();
+
+    return {
+      entityType: scope.entityType || 'document',
+      companyId: tenantId !== undefined ? tenantId : (scope.companyId || null),
+      documentType: scope.documentType,
+      series: scope.series || DEFAULT_SERIES,
+      fiscalYear: parseInt(scope.fiscalYear) || moment(date).year(),
+      date
+    };
+  }
+
+  // Τελευταίος αριθμός από εγγραφές πριν την εισαγωγή των σειρών αρίθμησης
+  async _legacyLastNumber(scope, transaction) {
+    const entity = ENTITIES[scope.entityType];
+    const Model = sequelize.models[entity.model];
+
+    const criteria = entity.legacyWhere
+      ? entity.legacyWhere(scope)
+      : {
+        [entity.typeField]: scope.documentType,
+        [entity.seriesField]: scope.series,
+        [entity.dateField]: {
+          [Op.between]: [`${scope.fiscalYear}-01-01`, `${scope.fiscalYear}-12-31`]
+        }
+      };
+
+    const last = await Model.findOne({
+      where: {
+        tenantId: scope.companyId,
+        ...criteria,
+        numberingSequenceId: null
+      },
+      order: [[entity.numberField, 'DESC']],
+      paranoid: false,
+      transaction
+    });
+
+    const match = last?.[entity.numberField]?.match(/\d+$/);
+    return match ? parseInt(match[0]) : 0;
+  }
+
+  async _getSetting(key, companyId) {
+    try {
+      const rows = await sequelize.query(
+        `SELECT value, scope FROM settings
+         WHERE key = :key AND (scope = 'system' OR (scope = 'company' AND scope_id = :companyId))
+         ORDER BY CASE WHEN scope = 'company' THEN 0 ELSE 1 END
+         LIMIT 1`,
+        { replacements: { key, companyId: companyId || null }, type: QueryTypes.SELECT }
+      );
+
+      let value = rows[0]?.value;
+      if (typeof value === 'string' && value.startsWith('"')) {
+        value = JSON.parse(value);
+      }
+
+      return value || null;
+    } catch (error) {
+      // Ο πίνακας settings δεν υπάρχει σε όλες τις εγκαταστάσεις
+      return null;
+    }
+  }
+
+  _toRanges(numbers) {
+    const ranges = [];
+
+    for (const number of numbers) {
+      const last = ranges[ranges.length - 1];
+      if (last && last.to === number - 1) {
+        last.to = number;
+      } else {
+        ranges.push({ from: number, to: number });
+      }
+    }
+
+    return ranges;
+  }
+}
+
+export default new NumberingService();
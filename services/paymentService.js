@@ -0,0 +1,485 @@
+// services/paymentService.js
+// Service για καταχώρηση πληρωμών και αντιστοίχιση σε παραστατικά και τιμολόγια
+
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { Payment, PaymentAllocation, Document, Invoice } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { invoiceCalculations } from '../utils/calculations.js';
+
+// Document.paymentMethod → Payment.paymentMethod
+const DOCUMENT_METHOD_MAP = {
+  cash: 'cash',
+  card: 'credit_card',
+  bank_transfer: 'bank_transfer',
+  check: 'check',
+  credit: 'other',
+  other: 'other'
+};
+
+// Τύποι παραστατικών που δέχονται είσπραξη
+const PAYABLE_DOCUMENT_TYPES = ['invoice', 'debit_note', 'receipt'];
+
+// Τιμολόγια (invoices) που δέχονται είσπραξη: εκδοθέντα, όχι πρόχειρα/εξοφλημένα/ακυρωμένα
+const PAYABLE_INVOICE_TYPES = ['invoice', 'debit_note'];
+const OPEN_INVOICE_STATUSES = ['sent', 'overdue'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PaymentService {
+  // ======================
+  // Payments
+  // ======================
+
+  async createPayment(data, options = {}) {
+    const { userId, transaction } = options;
+
+    const payment = await Payment.create({
+      ...data,
+      paymentMethod: data.paymentMethod || 'cash',
+      status: data.status || 'completed',
+      createdBy: userId
+    }, { transaction });
+
+    return payment;
+  }
+
+  async cancelPayment(payment, options = {}) {
+    const { userId, reason } = options;
+
+    if (!payment.canCancel()) {
+      throw new AppError('Payment cannot be cancelled', 400);
+    }
+
+    const t = options.transaction || await sequelize.transaction();
+
+    try {
+      const allocations = await PaymentAllocation.findAll({
+        where: { paymentId: payment.id },
+        transaction: t
+      });
+
+      // Αντιλογισμός αντιστοιχίσεων στα παραστατικά
+      for (const allocation of allocations) {
+        const document = await this._findAllocated(allocation, t);
+
+        if (document) {
+          await this.applyToDocument(document, -parseFloat(allocation.amount), { userId, transaction: t });
+        }
+
+        await allocation.destroy({ transaction: t });
+      }
+
+      await payment.update({
+        status: 'cancelled',
+        allocatedAmount: 0,
+        cancelledBy: userId,
+        cancelledAt: new Date(),
+        cancellationReason: reason,
+        updatedBy: userId
+      }, { transaction: t });
+
+      if (!options.transaction) await t.commit();
+
+      return { payment, reversedAllocations: allocations.length };
+    } catch (error) {
+      if (!options.transaction) await t.rollback();
+      throw error;
+    }
+  }
+
+  // ======================
+  // Allocations
+  // ======================
+
+  async allocateToDocument(payment, document, amount, options = {}) {
+    const { userId, transaction, notes } = options;
+    const allocationAmount = round(parseFloat(amount));
+
+    if (!(allocationAmount > 0)) {
+      throw new AppError('Allocation amount must be positive', 400);
+    }
+
+    if (allocationAmount > round(parseFloat(payment.unallocatedAmount))) {
+      throw new AppError('Allocation exceeds unallocated payment amount', 400);
+    }
+
+    if (allocationAmount > this.getBalance(document)) {
+      throw new AppError(`Allocation exceeds balance due of document ${this.getNumber(document)}`, 400);
+    }
+
+    const target = this._isInvoice(document) ? { invoiceId: document.id } : { documentId: document.id };
+
+    const existing = await PaymentAllocation.findOne({
+      where: { paymentId: payment.id, ...target },
+      transaction
+    });
+
+    let allocation;
+    if (existing) {
+      allocation = await existing.update({
+        amount: round(parseFloat(existing.amount) + allocationAmount)
+      }, { transaction });
+    } else {
+      allocation = await PaymentAllocation.create({
+        tenantId: payment.tenantId,
+        paymentId: payment.id,
+        ...target,
+        amount: allocationAmount,
+        notes,
+        createdBy: userId
+      }, { transaction });
+    }
+
+    await this.applyToDocument(document, allocationAmount, { userId, transaction });
+
+    await payment.update({
+      allocatedAmount: round(parseFloat(payment.allocatedAmount) + allocationAmount),
+      updatedBy: userId
+    }, { transaction });
+
+    return allocation;
+  }
+
+  // Ανοιχτά παραστατικά και τιμολόγια εταιρείας, παλαιότερο πρώτο
+  async findOpenDocuments(companyId, options = {}) {
+    const { documentIds, transaction, lock } = options;
+    const idFilter = documentIds ? { id: documentIds } : {};
+    const lockMode = lock && transaction ? transaction.LOCK.UPDATE : undefined;
+
+    const [documents, invoices] = await Promise.all([
+      Document.findAll({
+        where: {
+          companyId,
+          documentType: PAYABLE_DOCUMENT_TYPES,
+          status: { [Op.notIn]: ['draft', 'cancelled', 'paid'] },
+          balanceDue: { [Op.gt]: 0 },
+          ...idFilter
+        },
+        transaction,
+        lock: lockMode
+      }),
+      Invoice.findAll({
+        where: {
+          companyId,
+          type: PAYABLE_INVOICE_TYPES,
+          status: OPEN_INVOICE_STATUSES,
+          ...idFilter
+        },
+        transaction,
+        lock: lockMode
+      })
+    ]);
+
+    // Το υπόλοιπο τιμολογίου υπολογίζεται (σύνολο - πιστωτικά - πληρωμές)
+    return [...documents, ...invoices.filter(invoice => invoice.getOutstandingAmount() > 0)]
+      .sort((a, b) => String(this.getDate(a)).localeCompare(String(this.getDate(b))) ||
+        this.getNumber(a).localeCompare(this.getNumber(b)));
+  }
+
+  // Κατανομή μιας πληρωμής σε πολλά ανοιχτά παραστατικά (FIFO ή χειροκίνητα)
+  async allocatePayment(payment, options = {}) {
+    const { mode = 'auto', userId, dryRun = false } = options;
+
+    if (!['completed', 'processing', 'pending'].includes(payment.status)) {
+      throw new AppError(`Cannot allocate a ${payment.status} payment`, 400);
+    }
+
+    if (!payment.companyId) {
+      throw new AppError('Payment is not linked to a company', 400);
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+      // Κλείδωμα πληρωμής για ταυτόχρονες κατανομές
+      await payment.reload({ transaction: t, lock: t.LOCK.UPDATE });
+      const available = round(parseFloat(payment.unallocatedAmount));
+
+      if (available <= 0) {
+        throw new AppError('Payment is already fully allocated', 400);
+      }
+
+      let plan;
+      if (mode === 'manual') {
+        plan = await this._buildManualPlan(payment, options.allocations, available, t);
+      } else {
+        plan = await this._buildFifoPlan(payment, available, options.documentIds, t);
+      }
+
+      if (dryRun) {
+        await t.rollback();
+        return { payment, plan, applied: false };
+      }
+
+      const allocations = [];
+      for (const line of plan.lines) {
+        const allocation = await this.allocateToDocument(payment, line.document, line.amount, {
+          userId,
+          transaction: t
+        });
+        allocations.push(allocation);
+      }
+
+      await t.commit();
+
+      return { payment, plan, allocations, applied: true };
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  async removeAllocation(payment, allocationId, options = {}) {
+    const { userId } = options;
+
+    if (payment.isReconciled) {
+      throw new AppError('Cannot change allocations of a reconciled payment', 400);
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+      const allocation = await PaymentAllocation.findOne({
+        where: { id: allocationId, paymentId: payment.id },
+        transaction: t
+      });
+
+      if (!allocation) {
+        throw new AppError('Allocation not found', 404);
+      }
+
+      const document = await this._findAllocated(allocation, t);
+
+      if (document) {
+        await this.applyToDocument(document, -parseFloat(allocation.amount), { userId, transaction: t });
+      }
+
+      await payment.update({
+        allocatedAmount: round(parseFloat(payment.allocatedAmount) - parseFloat(allocation.amount)),
+        updatedBy: userId
+      }, { transaction: t });
+
+      await allocation.destroy({ transaction: t });
+      await t.commit();
+
+      return allocation;
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  async _buildFifoPlan(payment, available, documentIds, transaction) {
+    const documents = await this.findOpenDocuments(payment.companyId, {
+      documentIds,
+      transaction,
+      lock: true
+    });
+
+    const result = invoiceCalculations.allocatePayment(available, documents.map(doc => ({
+      id: doc.id,
+      number: this.getNumber(doc),
+      date: this.getDate(doc),
+      total: this.getTotal(doc),
+      paid: parseFloat(doc.paidAmount) || 0
+    })));
+
+    const byId = new Map(documents.map(doc => [doc.id, doc]));
+
+    return {
+      mode: 'auto',
+      totalAllocated: result.totalAllocated,
+      remainingCredit: result.remainingCredit,
+      lines: result.allocations.map(line => ({
+        document: byId.get(line.invoiceId),
+        entityType: this._isInvoice(byId.get(line.invoiceId)) ? 'invoice' : 'document',
+        documentId: line.invoiceId,
+        documentNumber: line.invoiceNumber,
+        outstanding: line.outstanding,
+        amount: line.allocated,
+        remaining: line.remaining,
+        fullyPaid: line.fullPaid
+      }))
+    };
+  }
+
+  async _buildManualPlan(payment, requested = [], available, transaction) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+      throw new AppError('Manual allocation requires at least one document', 400);
+    }
+
+    const documentIds = requested.map(line => line.documentId);
+    if (new Set(documentIds).size !== documentIds.length) {
+      throw new AppError('Each document may appear only once', 400);
+    }
+
+    const documents = await this.findOpenDocuments(payment.companyId, {
+      documentIds,
+      transaction,
+      lock: true
+    });
+    const byId = new Map(documents.map(doc => [doc.id, doc]));
+
+    let totalAllocated = 0;
+    const lines = requested.map(line => {
+      const document = byId.get(line.documentId);
+      if (!document) {
+        throw new AppError(`Document ${line.documentId} is not open for this company`, 400);
+      }
+
+      const amount = round(parseFloat(line.amount));
+      const outstanding = this.getBalance(document);
+
+      if (!(amount > 0)) {
+        throw new AppError(`Invalid amount for document ${this.getNumber(document)}`, 400);
+      }
+
+      if (amount > outstanding) {
+        throw new AppError(`Amount exceeds balance due of document ${this.getNumber(document)}`, 400);
+      }
+
+      totalAllocated = round(totalAllocated + amount);
+
+      return {
+        document,
+        entityType: this._isInvoice(document) ? 'invoice' : 'document',
+        documentId: document.id,
+        documentNumber: this.getNumber(document),
+        outstanding,
+        amount,
+        remaining: round(outstanding - amount),
+        fullyPaid: amount >= outstanding
+      };
+    });
+
+    if (totalAllocated > available) {
+      throw new AppError('Allocations exceed the unallocated payment amount', 400);
+    }
+
+    return {
+      mode: 'manual',
+      totalAllocated,
+      remainingCredit: round(available - totalAllocated),
+      lines
+    };
+  }
+
+  // Ενημέρωση paidAmount / balanceDue / status παραστατικού
+  async applyToDocument(document, delta, options = {}) {
+    if (this._isInvoice(document)) {
+      return this.applyToInvoice(document, delta, options);
+    }
+
+    const { userId, transaction } = options;
+    const total = parseFloat(document.total) || 0;
+    const paidAmount = round((parseFloat(document.paidAmount) || 0) + delta);
+    const balanceDue = round(total - paidAmount);
+
+    let { status } = document;
+    if (status !== 'cancelled') {
+      if (balanceDue <= 0) {
+        status = 'paid';
+      } else if (paidAmount > 0) {
+        status = 'partial';
+      } else if (['paid', 'partial'].includes(status)) {
+        status = document.sentAt ? 'sent' : 'pending';
+      }
+    }
+
+    await document.update({
+      paidAmount,
+      balanceDue,
+      status,
+      updatedBy: userId
+    }, { transaction });
+
+    return document;
+  }
+
+  // Ενημέρωση paidAmount / status τιμολογίου (χωρίς μερική κατάσταση: παραμένει sent/overdue)
+  async applyToInvoice(invoice, delta, options = {}) {
+    const { userId, transaction } = options;
+    const paidAmount = round((parseFloat(invoice.paidAmount) || 0) + delta);
+    const outstanding = round(
+      (parseFloat(invoice.totalAmount) || 0) - (parseFloat(invoice.creditedAmount) || 0) - paidAmount
+    );
+
+    let { status } = invoice;
+    if (status !== 'cancelled') {
+      if (outstanding <= 0) {
+        status = 'paid';
+      } else if (status === 'paid') {
+        status = invoice.isOverdue() ? 'overdue' : 'sent';
+      }
+    }
+
+    await invoice.update({
+      paidAmount,
+      status,
+      updatedBy: userId
+    }, { transaction });
+
+    return invoice;
+  }
+
+  // ======================
+  // Helpers
+  // ======================
+
+  mapDocumentPaymentMethod(method) {
+    return DOCUMENT_METHOD_MAP[method] || method || 'cash';
+  }
+
+  // Κοινή εικόνα παραστατικού (Document) ή τιμολογίου (Invoice) για τις αντιστοιχίσεις
+  getBalance(document) {
+    return this._isInvoice(document)
+      ? document.getOutstandingAmount()
+      : round(parseFloat(document.balanceDue));
+  }
+
+  // Πληρωτέο σύνολο: για τιμολόγια μετά τα πιστωτικά
+  getTotal(document) {
+    return this._isInvoice(document)
+      ? round((parseFloat(document.totalAmount) || 0) - (parseFloat(document.creditedAmount) || 0))
+      : parseFloat(document.total);
+  }
+
+  getNumber(document) {
+    return this._isInvoice(document) ? document.invoiceNumber : document.documentNumber;
+  }
+
+  getDate(document) {
+    return this._isInvoice(document) ? document.issueDate : document.documentDate;
+  }
+
+  toOpenItem(document) {
+    const isInvoice = this._isInvoice(document);
+    return {
+      id: document.id,
+      entityType: isInvoice ? 'invoice' : 'document',
+      documentType: isInvoice ? document.type : document.documentType,
+      documentNumber: this.getNumber(document),
+      documentDate: this.getDate(document),
+      dueDate: document.dueDate,
+      total: this.getTotal(document),
+      paidAmount: parseFloat(document.paidAmount) || 0,
+      balanceDue: this.getBalance(document),
+      status: document.status
+    };
+  }
+
+  _isInvoice(document) {
+    return document instanceof Invoice;
+  }
+
+  async _findAllocated(allocation, transaction) {
+    const Model = allocation.invoiceId ? Invoice : Document;
+    return Model.findByPk(allocation.invoiceId || allocation.documentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+  }
+}
+
+export default new PaymentService();
@@ -5,6 +5,9 @@ import PDFDocument from 'pdfkit';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import pdfTemplateService from './pdfTemplateService.js';
+import { logWarning } from '../middleware/logger.js';
+import { qrCodeBuffer } from '../utils/qrCode.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,10 +16,14 @@ class PDFService {
   constructor() {
     this.fontPath = path.join(__dirname, '../assets/fonts');
     this.templatePath = path.join(__dirname, '../assets/templates');
+    // Εκτός του public /uploads
+    this.documentStoragePath = process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, '../storage/documents');
   }
 
   // Generate invoice PDF
-  async generateInvoicePDF(invoice, options = {}) {
+  async generateInvoicePDF(invoice) {
+    const qrImage = await qrCodeBuffer(invoice.mydataQr);
+
     return new Promise((resolve, reject) => {
       try {
         const doc = new PDFDocument({
@@ -47,7 +54,209 @@ class PDFService {
         this._generateItemsTable(doc, invoice.items);
         this._generateTotalsSection(doc, invoice);
         this._generateFooter(doc, invoice);
-        this._generateMyDataInfo(doc, invoice);
+        this._generateMyDataInfo(doc, invoice, qrImage);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate PDF for any document type (τιμολόγια, αποδείξεις, προσφορές, παραγγελίες, δελτία, πιστωτικά)
+  // Handlebars template της εταιρείας, με fallback στο σχέδιο pdfkit
+  async generateDocumentPDF(document, options = {}) {
+    if (options.useTemplate !== false) {
+      try {
+        return await pdfTemplateService.renderDocumentPDF(document, { issuer: options.issuer });
+      } catch (error) {
+        logWarning('PDF template rendering failed, using built-in layout', {
+          documentId: document.id,
+          error: error.message
+        });
+      }
+    }
+
+    return this._generateDocumentLayoutPDF(document);
+  }
+
+  async _generateDocumentLayoutPDF(document) {
+    const qrImage = await qrCodeBuffer(document.mydataQr);
+
+    return new Promise((resolve, reject) => {
+      try {
+        const title = this._getDocumentTitle(document.documentType);
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 50,
+          info: {
+            Title: `${title} ${document.documentNumber}`,
+            Author: 'BizFlow ERP',
+            Subject: `${document.documentType} for ${document.company?.name || ''}`,
+            Keywords: 'document, παραστατικό, VAT, ΦΠΑ',
+            Creator: 'BizFlow ERP System',
+            Producer: 'PDFKit'
+          }
+        });
+
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+        doc.on('error', reject);
+
+        const items = [...(document.items || [])]
+          .sort((a, b) => (a.sortOrder ?? a.lineNumber) - (b.sortOrder ?? b.lineNumber));
+
+        this._generateDocumentHeader(doc, document, title);
+        if (document.company) {
+          this._generateCompanyInfo(doc, document.company);
+        }
+        this._generateDocumentDetails(doc, document);
+
+        let currentY = this._generateDocumentItemsTable(doc, document, items);
+
+        if (document.documentType !== 'delivery_note') {
+          currentY = this._generateDocumentTotals(doc, document, currentY);
+        }
+
+        currentY = this._generateDocumentNotes(doc, document, currentY);
+        this._generateDocumentMyData(doc, document, currentY, qrImage);
+
+        doc.fontSize(8)
+           .font('Helvetica')
+           .fillColor('#666666')
+           .text('Το παρόν έγγραφο εκδόθηκε σύμφωνα με τις διατάξεις του ν. 4308/2014 και του ν. 4174/2013', 50, 770, { width: 495, align: 'center' });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate payment receipt PDF (απόδειξη είσπραξης)
+  async generatePaymentReceiptPDF(payment) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A5',
+          layout: 'landscape',
+          margin: 40,
+          info: {
+            Title: `Απόδειξη Είσπραξης ${payment.receiptNumber || payment.paymentNumber}`,
+            Author: 'BizFlow ERP',
+            Creator: 'BizFlow ERP System',
+            Producer: 'PDFKit'
+          }
+        });
+
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+        doc.on('error', reject);
+
+        const payer = payment.company?.name || payment.member?.email || '';
+
+        doc.fontSize(16)
+           .font('Helvetica-Bold')
+           .text(payment.type === 'outgoing' ? 'ΑΠΟΔΕΙΞΗ ΠΛΗΡΩΜΗΣ' : 'ΑΠΟΔΕΙΞΗ ΕΙΣΠΡΑΞΗΣ', 40, 40)
+           .fontSize(10)
+           .font('Helvetica')
+           .text(`Αριθμός: ${payment.receiptNumber || payment.paymentNumber}`, 40, 65)
+           .text(`Ημερομηνία: ${this._formatDate(payment.paymentDate)}`, 40, 80)
+           .text(`Από: ${payer}`, 40, 105)
+           .text(`Τρόπος πληρωμής: ${this._getPaymentMethodText(payment.paymentMethod)}`, 40, 120);
+
+        if (payment.referenceNumber) {
+          doc.text(`Αιτιολογία/Αναφορά: ${payment.referenceNumber}`, 40, 135);
+        }
+
+        let currentY = 165;
+        if (payment.allocations && payment.allocations.length > 0) {
+          doc.font('Helvetica-Bold').text('Εξόφληση παραστατικών:', 40, currentY);
+          doc.font('Helvetica');
+          currentY += 15;
+
+          payment.allocations.forEach(allocation => {
+            const number = allocation.document?.documentNumber || allocation.invoice?.invoiceNumber ||
+              allocation.documentId || allocation.invoiceId;
+            doc.text(number, 50, currentY)
+               .text(this._formatCurrency(allocation.amount), 300, currentY, { width: 100, align: 'right' });
+            currentY += 14;
+          });
+        }
+
+        currentY += 10;
+        doc.fontSize(12)
+           .font('Helvetica-Bold')
+           .text('ΠΟΣΟ:', 300, currentY)
+           .text(this._formatCurrency(payment.amount), 360, currentY, { width: 140, align: 'right' });
+
+        if (payment.notes) {
+          doc.fontSize(9)
+             .font('Helvetica')
+             .text(payment.notes, 40, currentY + 30, { width: 460 });
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate report PDF (scheduled / exported reports)
+  async generateReportPDF(report, reportType, options = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        const title = options.title || this._getReportTitle(reportType);
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 50,
+          info: {
+            Title: title,
+            Author: 'BizFlow ERP',
+            Subject: `${reportType} report`,
+            Creator: 'BizFlow ERP System',
+            Producer: 'PDFKit'
+          }
+        });
+
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+        doc.on('error', reject);
+
+        doc.fontSize(18)
+           .font('Helvetica-Bold')
+           .text(title, 50, 50);
+
+        doc.fontSize(9)
+           .font('Helvetica')
+           .fillColor('#6c757d');
+
+        if (report.period?.startDate) {
+          doc.text(`Περίοδος: ${report.period.startDate} - ${report.period.endDate}`, 50, 75);
+        }
+        doc.text(`Δημιουργήθηκε: ${this._formatDateTime(report.generatedAt || new Date())}`, 50, 88);
+        doc.fillColor('#000000');
+
+        let currentY = 115;
+
+        if (report.summary) {
+          currentY = this._generateReportSummary(doc, report.summary, currentY);
+        }
+
+        // Custom reports έχουν ορισμένες στήλες, οι υπόλοιπες πίνακες αντικειμένων
+        if (report.rows) {
+          currentY = this._generateReportTable(doc, null, report.rows, report.columns, currentY);
+        }
+
+        Object.entries(report)
+          .filter(([key, value]) => !['rows', 'columns'].includes(key) && Array.isArray(value) && value.length > 0 && typeof value[0] === 'object')
+          .forEach(([key, value]) => {
+            currentY = this._generateReportTable(doc, this._formatLabel(key), value, null, currentY);
+          });
 
         doc.end();
       } catch (error) {
@@ -109,8 +318,8 @@ class PDFService {
       doc.text(`Email: ${company.email}`, 50, 320);
     }
 
-    if (company.vatNumber) {
-      doc.text(`ΑΦΜ: ${company.vatNumber}`, 50, 335);
+    if (company.afm || company.vatNumber) {
+      doc.text(`ΑΦΜ: ${company.afm || company.vatNumber}`, 50, 335);
     }
 
     return doc;
@@ -275,10 +484,18 @@ class PDFService {
   }
 
   // Generate MyData information
-  _generateMyDataInfo(doc, invoice) {
-    if (invoice.mydataId) {
-      const mydataY = 780;
-      
+  _generateMyDataInfo(doc, invoice, qrImage = null) {
+    const mydataY = 780;
+
+    // Εκδόθηκε σε απώλεια διασύνδεσης: η διαβίβαση ακολουθεί αυτόματα
+    if (invoice.mydataStatus === 'offline') {
+      doc.fontSize(8)
+         .fillColor('#000000')
+         .font('Helvetica-Bold')
+         .text('MYDATA:', 50, mydataY)
+         .font('Helvetica')
+         .text('Απώλεια διασύνδεσης με myDATA - εκκρεμεί διαβίβαση', 90, mydataY);
+    } else if (invoice.mydataId) {
       doc.fontSize(8)
          .fillColor('#000000')
          .font('Helvetica-Bold')
@@ -292,9 +509,345 @@ class PDFService {
       }
     }
 
+    if (qrImage) {
+      doc.image(qrImage, 485, 705, { fit: [60, 60] });
+    }
+
+    return doc;
+  }
+
+  // Document sections
+  _generateDocumentHeader(doc, document, title) {
+    const logoPath = path.join(__dirname, '../assets/images/logo.png');
+    if (fs.existsSync(logoPath)) {
+      doc.image(logoPath, 50, 50, { width: 80 });
+    }
+
+    // Στοιχεία εκδότη από τις ρυθμίσεις myDATA
+    const address = [process.env.COMPANY_ADDRESS, process.env.COMPANY_ADDRESS_NUMBER].filter(Boolean).join(' ');
+    doc.fontSize(16)
+       .font('Helvetica-Bold')
+       .text(process.env.COMPANY_NAME || 'ΔΙΚΗ ΣΑΣ ΕΠΙΧΕΙΡΗΣΗ', 350, 50, { width: 195 })
+       .fontSize(10)
+       .font('Helvetica')
+       .text(address, 350, 75)
+       .text(`${process.env.COMPANY_POSTAL_CODE || ''} ${process.env.COMPANY_CITY || ''}`.trim(), 350, 90)
+       .text(`ΑΦΜ: ${process.env.COMPANY_VAT_NUMBER || ''}`, 350, 105);
+
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .text(title, 50, 180)
+       .fontSize(14)
+       .text(`Αριθμός: ${document.documentNumber}`, 50, 205);
+
+    return doc;
+  }
+
+  _generateDocumentDetails(doc, document) {
+    const detailsX = 350;
+    let detailsY = 240;
+
+    const dueDateLabels = {
+      'quote': 'Ισχύει έως:',
+      'order': 'Παράδοση έως:',
+      'proforma': 'Ισχύει έως:'
+    };
+
+    const rows = [['Ημερομηνία έκδοσης:', this._formatDate(document.documentDate)]];
+
+    if (document.dueDate && document.documentType !== 'delivery_note') {
+      rows.push([dueDateLabels[document.documentType] || 'Ημερομηνία λήξης:', this._formatDate(document.dueDate)]);
+    }
+
+    if (document.paymentMethod && !['quote', 'delivery_note'].includes(document.documentType)) {
+      rows.push(['Τρόπος πληρωμής:', this._getPaymentMethodText(document.paymentMethod)]);
+    }
+
+    if (document.relatedDocument) {
+      rows.push(['Σχετικό παραστατικό:', document.relatedDocument.documentNumber]);
+    }
+
+    doc.fontSize(10)
+       .font('Helvetica');
+
+    rows.forEach(([label, value]) => {
+      doc.text(label, detailsX, detailsY)
+         .text(value || '', detailsX + 100, detailsY, { width: 95 });
+      detailsY += 15;
+    });
+
+    return doc;
+  }
+
+  _generateDocumentItemsTable(doc, document, items) {
+    const tableLeft = 50;
+
+    // Τα δελτία αποστολής δεν εμφανίζουν αξίες
+    const headers = document.documentType === 'delivery_note'
+      ? [
+        { text: 'Κωδικός', width: 80, align: 'left' },
+        { text: 'Περιγραφή', width: 275, align: 'left' },
+        { text: 'Ποσότητα', width: 80, align: 'right' },
+        { text: 'Μονάδα', width: 60, align: 'center' }
+      ]
+      : [
+        { text: 'Κωδικός', width: 55, align: 'left' },
+        { text: 'Περιγραφή', width: 150, align: 'left' },
+        { text: 'Ποσ.', width: 45, align: 'right' },
+        { text: 'Μον.', width: 35, align: 'center' },
+        { text: 'Τιμή', width: 60, align: 'right' },
+        { text: 'Έκπτ.', width: 50, align: 'right' },
+        { text: 'ΦΠΑ%', width: 40, align: 'right' },
+        { text: 'Αξία', width: 60, align: 'right' }
+      ];
+
+    let currentY = 380;
+    this._drawTableHeader(doc, currentY, tableLeft, headers);
+    currentY += 25;
+
+    items.forEach((item, index) => {
+      if (currentY > 720) {
+        doc.addPage();
+        currentY = 50;
+        this._drawTableHeader(doc, currentY, tableLeft, headers);
+        currentY += 25;
+      }
+
+      const values = document.documentType === 'delivery_note'
+        ? [
+          item.itemCode,
+          item.description,
+          this._formatNumber(item.quantity, 2),
+          item.unit
+        ]
+        : [
+          item.itemCode,
+          item.description,
+          this._formatNumber(item.quantity, 2),
+          item.unit,
+          this._formatCurrency(item.unitPrice),
+          parseFloat(item.discountAmount) > 0 ? this._formatCurrency(item.discountAmount) : '',
+          `${parseFloat(item.vatRate) || 0}%`,
+          this._formatCurrency(item.netAmount)
+        ];
+
+      this._drawTableRow(doc, currentY, tableLeft, headers, values, index % 2 === 0);
+      currentY += 20;
+    });
+
+    return currentY + 10;
+  }
+
+  _generateDocumentTotals(doc, document, y) {
+    const totalsX = 350;
+    const amount = value => parseFloat(value) || 0;
+
+    const rows = [['Καθαρή αξία:', this._formatCurrency(document.subtotal)]];
+
+    if (amount(document.discountAmount) > 0) {
+      rows.push(['Έκπτωση:', `-${this._formatCurrency(document.discountAmount)}`]);
+    }
+
+    rows.push(['ΦΠΑ:', this._formatCurrency(document.vatAmount)]);
+
+    if (amount(document.withholdingTaxAmount) > 0) {
+      rows.push([`Παρακράτηση (${amount(document.withholdingTaxRate)}%):`, `-${this._formatCurrency(document.withholdingTaxAmount)}`]);
+    }
+
+    if (amount(document.stampDuty) > 0) {
+      rows.push(['Χαρτόσημο:', this._formatCurrency(document.stampDuty)]);
+    }
+
+    if (amount(document.otherCharges) > 0) {
+      rows.push(['Λοιπές χρεώσεις:', this._formatCurrency(document.otherCharges)]);
+    }
+
+    const height = rows.length * 15 + 35;
+    let totalsY = y;
+    if (totalsY + height > 740) {
+      doc.addPage();
+      totalsY = 50;
+    }
+
+    doc.rect(totalsX - 10, totalsY - 10, 205, height)
+       .fillAndStroke('#f8f9fa', '#dee2e6')
+       .fillColor('#000000');
+
+    doc.fontSize(10)
+       .font('Helvetica');
+
+    rows.forEach(([label, value]) => {
+      doc.text(label, totalsX, totalsY)
+         .text(value, totalsX + 100, totalsY, { align: 'right', width: 85 });
+      totalsY += 15;
+    });
+
+    totalsY += 5;
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .text('ΣΥΝΟΛΟ:', totalsX, totalsY)
+       .text(this._formatCurrency(document.total), totalsX + 100, totalsY, { align: 'right', width: 85 });
+
+    // Υπόλοιπο για παραστατικά με μερική εξόφληση
+    if (amount(document.paidAmount) > 0 && amount(document.balanceDue) > 0) {
+      doc.fontSize(9)
+         .font('Helvetica')
+         .text(`Εξοφλήθηκαν: ${this._formatCurrency(document.paidAmount)} - Υπόλοιπο: ${this._formatCurrency(document.balanceDue)}`, 50, totalsY);
+    }
+
+    return totalsY + 30;
+  }
+
+  _generateDocumentNotes(doc, document, y) {
+    let currentY = y;
+
+    const notes = [
+      ['Παρατηρήσεις:', document.customerNotes],
+      ['Όροι πληρωμής:', document.paymentTerms]
+    ].filter(([, text]) => text);
+
+    notes.forEach(([label, text]) => {
+      if (currentY > 700) {
+        doc.addPage();
+        currentY = 50;
+      }
+
+      doc.fontSize(9)
+         .font('Helvetica-Bold')
+         .fillColor('#000000')
+         .text(label, 50, currentY)
+         .font('Helvetica')
+         .text(text, 50, currentY + 12, { width: 400 });
+
+      currentY = doc.y + 10;
+    });
+
+    return currentY;
+  }
+
+  _generateDocumentMyData(doc, document, y, qrImage = null) {
+    if (!document.mydataMark) return doc;
+
+    // Το QR (70pt) χωρά πάνω από το νομικό υποσέλιδο μόνο έως y = 695
+    let mydataY = Math.max(y, 690);
+    if (mydataY > (qrImage ? 695 : 740)) {
+      doc.addPage();
+      mydataY = 50;
+    }
+
+    if (qrImage) {
+      doc.image(qrImage, 475, mydataY, { fit: [70, 70] });
+    }
+
+    doc.fontSize(8)
+       .fillColor('#000000')
+       .font('Helvetica-Bold')
+       .text('MYDATA', 50, mydataY)
+       .font('Helvetica')
+       .text(`MARK: ${document.mydataMark}`, 50, mydataY + 12);
+
+    if (document.mydataUid) {
+      doc.text(`UID: ${document.mydataUid}`, 50, mydataY + 24);
+    }
+
+    if (document.mydataQr) {
+      doc.fillColor('#0d6efd')
+         .text(document.mydataQr, 50, mydataY + 36, { width: qrImage ? 410 : 495, link: document.mydataQr, underline: true })
+         .fillColor('#000000');
+    }
+
     return doc;
   }
 
+  // Report sections
+  _generateReportSummary(doc, summary, y) {
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .text('Σύνοψη', 50, y);
+
+    let currentY = y + 20;
+    doc.fontSize(9).font('Helvetica');
+
+    Object.entries(summary).forEach(([key, value]) => {
+      doc.text(this._formatLabel(key), 50, currentY, { width: 250 })
+         .text(this._formatReportValue(value), 300, currentY, { width: 245, align: 'right' });
+      currentY += 14;
+    });
+
+    return currentY + 15;
+  }
+
+  _generateReportTable(doc, title, rows, columns, y) {
+    // Έως 6 στήλες ώστε να χωρούν στο πλάτος της σελίδας
+    const keys = (columns ? columns.map(column => column.key) : Object.keys(rows[0]).filter(key => key !== 'id')).slice(0, 6);
+    const labels = columns ? columns.map(column => column.label) : keys.map(key => this._formatLabel(key));
+    const width = 495 / keys.length;
+    const headers = keys.map((key, index) => ({
+      text: labels[index],
+      width,
+      align: typeof rows[0][key] === 'number' ? 'right' : 'left'
+    }));
+
+    let currentY = y;
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    if (title) {
+      doc.fontSize(12)
+         .font('Helvetica-Bold')
+         .text(title, 50, currentY);
+      currentY += 20;
+    }
+
+    this._drawTableHeader(doc, currentY, 50, headers);
+    currentY += 20;
+
+    rows.forEach((row, index) => {
+      if (currentY > 770) {
+        doc.addPage();
+        currentY = 50;
+        this._drawTableHeader(doc, currentY, 50, headers);
+        currentY += 20;
+      }
+
+      const values = keys.map(key => this._formatReportValue(row[key]));
+      this._drawTableRow(doc, currentY, 50, headers, values, index % 2 === 0);
+      currentY += 18;
+    });
+
+    return currentY + 20;
+  }
+
+  _getReportTitle(type) {
+    const titles = {
+      'financial': 'Οικονομική Αναφορά',
+      'customers': 'Αναφορά Πελατών',
+      'aging': 'Ενηλικίωση Υπολοίπων',
+      'tax': 'Φορολογική Αναφορά',
+      'vat': 'Αναφορά ΦΠΑ',
+      'members': 'Αναφορά Μελών',
+      'custom': 'Αναφορά'
+    };
+    return titles[type] || 'Αναφορά';
+  }
+
+  _formatLabel(key) {
+    return key
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/^./, str => str.toUpperCase())
+      .trim();
+  }
+
+  _formatReportValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return this._formatDate(value);
+    if (typeof value === 'number') return this._formatNumber(value, Number.isInteger(value) ? 0 : 2);
+    if (typeof value === 'boolean') return value ? 'Ναι' : 'Όχι';
+    return String(value);
+  }
+
   // Helper methods
   _drawTableHeader(doc, y, x, headers) {
     doc.fillAndStroke('#e9ecef', '#dee2e6')
@@ -342,7 +895,10 @@ class PDFService {
       'credit_note': 'ΠΙΣΤΩΤΙΚΟ ΣΗΜΕΙΩΜΑ',
       'debit_note': 'ΧΡΕΩΣΤΙΚΟ ΣΗΜΕΙΩΜΑ',
       'receipt': 'ΑΠΟΔΕΙΞΗ ΛΙΑΝΙΚΗΣ ΠΩΛΗΣΗΣ',
-      'proforma': 'ΠΡΟΦΟΡΜΑ ΤΙΜΟΛΟΓΙΟ'
+      'proforma': 'ΠΡΟΦΟΡΜΑ ΤΙΜΟΛΟΓΙΟ',
+      'quote': 'ΠΡΟΣΦΟΡΑ',
+      'order': 'ΠΑΡΑΓΓΕΛΙΑ',
+      'delivery_note': 'ΔΕΛΤΙΟ ΑΠΟΣΤΟΛΗΣ'
     };
     return titles[type] || 'ΠΑΡΑΣΤΑΤΙΚΟ';
   }
@@ -351,6 +907,10 @@ class PDFService {
     const methods = {
       'cash': 'Μετρητά',
       'card': 'Κάρτα',
+      'credit_card': 'Πιστωτική κάρτα',
+      'debit_card': 'Χρεωστική κάρτα',
+      'pos': 'POS',
+      'web_banking': 'Web Banking',
       'bank_transfer': 'Τραπεζική μεταφορά',
       'check': 'Επιταγή',
       'other': 'Άλλο'
@@ -363,7 +923,8 @@ class PDFService {
       'pending': 'Εκκρεμεί',
       'submitted': 'Υποβλήθηκε',
       'accepted': 'Έγκριση',
-      'rejected': 'Απόρριψη'
+      'rejected': 'Απόρριψη',
+      'offline': 'Απώλεια διασύνδεσης'
     };
     return statuses[status] || status;
   }
@@ -429,6 +990,39 @@ class PDFService {
     });
   }
 
+  // Αποθηκευμένο PDF παραστατικού (pdfPath) ή δημιουργία και αποθήκευση
+  async getDocumentPDF(document, { regenerate = false } = {}) {
+    if (!regenerate && document.pdfPath) {
+      try {
+        return await fs.promises.readFile(path.join(this.documentStoragePath, document.pdfPath));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const pdfBuffer = await this.generateDocumentPDF(document);
+
+    // Τα πρόχειρα αλλάζουν ακόμα, δεν αποθηκεύονται
+    if (document.status !== 'draft') {
+      const pdfPath = await this.saveDocumentPDF(document, pdfBuffer);
+      await document.update({ pdfPath });
+    }
+
+    return pdfBuffer;
+  }
+
+  async saveDocumentPDF(document, pdfBuffer) {
+    const year = String(new Date(document.documentDate || Date.now()).getFullYear());
+    const number = String(document.documentNumber).replace(/[^\w-]/g, '_');
+    const relativePath = path.join(year, `${document.documentType}_${number}_${document.id.slice(0, 8)}.pdf`);
+    const filepath = path.join(this.documentStoragePath, relativePath);
+
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.promises.writeFile(filepath, pdfBuffer);
+
+    return relativePath;
+  }
+
   // Generate filename for invoice PDF
   generateInvoiceFilename(invoice) {
     const date = new Date().toISOString().slice(0, 10);
@@ -0,0 +1,1105 @@
+// services/pdfTemplateService.js
+// Handlebars PDF templates (templates/pdf) με παραμετροποίηση ανά εταιρεία και HTML → PDF με pdfkit
+
+import PDFDocument from 'pdfkit';
+import handlebars from 'handlebars';
+import { JSDOM } from 'jsdom';
+import moment from 'moment';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Company from '../models/Company.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { numberFormatters, dateFormatters } from '../utils/formatters.js';
+import { qrCodeDataUrl } from '../utils/qrCode.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Διαθέσιμα templates και αρχείο προεπιλογής στο templates/pdf
+const TEMPLATES = {
+  invoice: { file: 'invoice-pdf.hbs', label: 'Παραστατικό (τιμολόγιο, προσφορά, παραγγελία, δελτίο, πιστωτικό)' },
+  receipt: { file: 'receipt-pdf.handlebars', label: 'Απόδειξη λιανικής' },
+  statement: { file: 'statement.hbs', label: 'Καρτέλα πελάτη' },
+  report: { file: 'report.hbs', label: 'Αναφορά' },
+  'member-card': { file: 'member-card.handlebars', label: 'Κάρτα μέλους' }
+};
+
+const DEFAULT_BRANDING = {
+  primaryColor: '#333333',
+  accentColor: '#faad14',
+  textColor: '#000000'
+};
+
+const DOCUMENT_TITLES = {
+  invoice: 'ΤΙΜΟΛΟΓΙΟ ΠΩΛΗΣΗΣ',
+  receipt: 'ΑΠΟΔΕΙΞΗ ΛΙΑΝΙΚΗΣ ΠΩΛΗΣΗΣ',
+  credit_note: 'ΠΙΣΤΩΤΙΚΟ ΣΗΜΕΙΩΜΑ',
+  debit_note: 'ΧΡΕΩΣΤΙΚΟ ΣΗΜΕΙΩΜΑ',
+  quote: 'ΠΡΟΣΦΟΡΑ',
+  order: 'ΠΑΡΑΓΓΕΛΙΑ',
+  delivery_note: 'ΔΕΛΤΙΟ ΑΠΟΣΤΟΛΗΣ',
+  proforma: 'ΠΡΟΦΟΡΜΑ ΤΙΜΟΛΟΓΙΟ'
+};
+
+const PAYMENT_METHODS = {
+  cash: 'Μετρητά',
+  card: 'Κάρτα',
+  bank_transfer: 'Τραπεζική μεταφορά',
+  check: 'Επιταγή',
+  credit: 'Επί πιστώσει',
+  other: 'Άλλο'
+};
+
+const MAX_TEMPLATE_SIZE = 256 * 1024;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Γραμματοσειρά με ελληνικούς χαρακτήρες (DejaVu), αλλιώς Helvetica
+const FONT_CANDIDATES = [
+  process.env.PDF_FONT_DIR,
+  path.join(__dirname, '../assets/fonts'),
+  '/usr/share/fonts/truetype/dejavu'
+].filter(Boolean);
+
+const INLINE_TAGS = new Set(['span', 'strong', 'b', 'em', 'i', 'a', 'small', 'label', 'code', 'sup', 'sub', 'u', 'br']);
+const SKIPPED_TAGS = new Set(['style', 'script', 'head', 'title', 'meta', 'link', 'noscript']);
+const HEADING_SIZES = { h1: 20, h2: 16, h3: 13, h4: 11, h5: 10, h6: 9 };
+
+const PAGE_MARGIN = 40;
+
+// ======================
+// HTML → PDF layout
+// ======================
+
+// Απλός block layout engine: blocks, πίνακες (table / display:table / flex), εικόνες data URI
+class HtmlPdfRenderer {
+  constructor(html, fonts) {
+    this.dom = new JSDOM(html);
+    this.window = this.dom.window;
+    this.fonts = fonts;
+    this.styles = new WeakMap();
+  }
+
+  render(info = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info });
+
+        const buffers = [];
+        this.doc.on('data', buffers.push.bind(buffers));
+        this.doc.on('end', () => resolve(Buffer.concat(buffers)));
+        this.doc.on('error', reject);
+
+        if (this.fonts) {
+          this.doc.registerFont('Body', this.fonts.regular);
+          this.doc.registerFont('Body-Bold', this.fonts.bold);
+        }
+
+        this.top = PAGE_MARGIN;
+        this.bottom = this.doc.page.height - PAGE_MARGIN;
+        this.y = this.top;
+
+        const body = this.window.document.body;
+        const rootStyle = this._style(body, {
+          color: '#000000',
+          fontSize: 10,
+          bold: false,
+          textAlign: 'left',
+          lineHeight: 1.3
+        });
+        const width = this.doc.page.width - PAGE_MARGIN * 2;
+
+        // Κάθε .page ξεκινά νέα σελίδα και το padding του αντικαθίσταται από τα περιθώρια
+        let first = true;
+        for (const node of body.childNodes) {
+          if (node.nodeType === 1 && node.classList.contains('page')) {
+            if (!first) this._newPage();
+            this._renderContent(node, PAGE_MARGIN, width, this._style(node, rootStyle), true);
+          } else {
+            this._renderContent({ childNodes: [node] }, PAGE_MARGIN, width, rootStyle, true);
+          }
+          if (node.nodeType === 1) first = false;
+        }
+
+        this.doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  _newPage() {
+    this.doc.addPage();
+    this.y = this.top;
+  }
+
+  _ensureSpace(height) {
+    if (this.y + height > this.bottom && height < this.bottom - this.top) {
+      this._newPage();
+    }
+  }
+
+  // Computed style με κληρονομικότητα γραμματοσειράς/στοίχισης από τον γονέα
+  _style(el, parent) {
+    if (this.styles.has(el)) return this.styles.get(el);
+
+    const cs = this.window.getComputedStyle(el);
+    const tag = el.tagName.toLowerCase();
+    const fontSize = cs.fontSize
+      ? toPt(cs.fontSize, parent.fontSize, parent.fontSize)
+      : (HEADING_SIZES[tag] || parent.fontSize);
+
+    let bold = parent.bold;
+    if (/bold|[6-9]00/.test(cs.fontWeight) || ['strong', 'b', 'th', ...Object.keys(HEADING_SIZES)].includes(tag)) bold = true;
+    if (/normal|[1-4]00/.test(cs.fontWeight)) bold = false;
+
+    const side = name => ({
+      top: toPt(cs[`${name}Top`], 0, fontSize),
+      right: toPt(cs[`${name}Right`], 0, fontSize),
+      bottom: toPt(cs[`${name}Bottom`], 0, fontSize),
+      left: toPt(cs[`${name}Left`], 0, fontSize)
+    });
+
+    const border = {};
+    ['Top', 'Right', 'Bottom', 'Left'].forEach(edge => {
+      const width = toPt(cs[`border${edge}Width`], 0, fontSize);
+      const style = cs[`border${edge}Style`];
+      if (width > 0 && style && style !== 'none') {
+        border[edge.toLowerCase()] = { width, color: parseColor(cs[`border${edge}Color`]) || { color: '#000000', opacity: 1 } };
+      }
+    });
+
+    const style = {
+      tag,
+      display: cs.display || (INLINE_TAGS.has(tag) ? 'inline' : 'block'),
+      hidden: cs.display === 'none' || cs.visibility === 'hidden' || cs.position === 'fixed',
+      color: parseColor(cs.color) || parent.color,
+      background: parseColor(cs.backgroundColor),
+      fontSize,
+      bold,
+      textAlign: cs.textAlign || parent.textAlign,
+      lineHeight: parent.lineHeight,
+      margin: side('margin'),
+      padding: side('padding'),
+      border,
+      width: cs.width,
+      height: cs.height,
+      flex: cs.flex || cs.flexGrow,
+      pageBreakBefore: cs.pageBreakBefore === 'always',
+      pageBreakAfter: cs.pageBreakAfter === 'always'
+    };
+
+    this.styles.set(el, style);
+    return style;
+  }
+
+  _font(style) {
+    if (this.fonts) return style.bold ? 'Body-Bold' : 'Body';
+    return style.bold ? 'Helvetica-Bold' : 'Helvetica';
+  }
+
+  _isInline(node, parentStyle) {
+    if (node.nodeType === 3) return true;
+    if (node.nodeType !== 1) return false;
+    const tag = node.tagName.toLowerCase();
+    if (!INLINE_TAGS.has(tag)) return false;
+    const display = this._style(node, parentStyle).display;
+    return !['block', 'table', 'flex', 'table-cell', 'table-row', 'list-item'].includes(display);
+  }
+
+  // Περιεχόμενο block: συνεχόμενα inline στοιχεία γίνονται μία παράγραφος
+  _renderContent(el, x, width, style, draw) {
+    const start = this.y;
+    let runs = [];
+
+    const flush = () => {
+      this._renderRuns(runs, x, width, style, draw);
+      runs = [];
+    };
+
+    for (const node of el.childNodes) {
+      if (node.nodeType === 1 && SKIPPED_TAGS.has(node.tagName.toLowerCase())) continue;
+
+      if (this._isInline(node, style)) {
+        this._collectRuns(node, style, runs);
+      } else if (node.nodeType === 1) {
+        flush();
+        this._renderBlock(node, x, width, style, draw);
+      }
+    }
+
+    flush();
+    return this.y - start;
+  }
+
+  _collectRuns(node, style, runs) {
+    if (node.nodeType === 3) {
+      runs.push({ text: node.textContent, style });
+      return;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'br') {
+      runs.push({ text: '\n', style, preserve: true });
+      return;
+    }
+
+    const childStyle = this._style(node, style);
+    if (childStyle.hidden) return;
+
+    const link = tag === 'a' ? node.getAttribute('href') : null;
+    for (const child of node.childNodes) {
+      const before = runs.length;
+      this._collectRuns(child, childStyle, runs);
+      if (link) runs.slice(before).forEach(run => { run.link = link; });
+    }
+  }
+
+  _renderRuns(runs, x, width, style, draw) {
+    // Συμπίεση κενών όπως στον browser
+    const parts = [];
+    let atLineStart = true;
+    runs.forEach(run => {
+      if (run.preserve) {
+        parts.push({ ...run });
+        atLineStart = true;
+        return;
+      }
+      let text = run.text.replace(/\s+/g, ' ');
+      if (atLineStart) text = text.replace(/^ /, '');
+      if (!text) return;
+      parts.push({ ...run, text });
+      atLineStart = text.endsWith(' ');
+    });
+
+    while (parts.length && !parts[parts.length - 1].preserve && !parts[parts.length - 1].text.trim()) parts.pop();
+    if (parts.length > 0 && !parts[parts.length - 1].preserve) {
+      parts[parts.length - 1].text = parts[parts.length - 1].text.replace(/ $/, '');
+    }
+    if (!parts.some(part => part.text.trim())) return 0;
+
+    const text = parts.map(part => part.text).join('');
+    const maxSize = Math.max(...parts.map(part => part.style.fontSize));
+    const lineGap = maxSize * (style.lineHeight - 1);
+
+    this.doc.font(this._font(parts[0].style)).fontSize(maxSize);
+    const height = this.doc.heightOfString(text, { width, lineGap });
+
+    if (!draw) {
+      this.y += height;
+      return height;
+    }
+
+    this._ensureSpace(Math.min(height, maxSize * 2));
+
+    parts.forEach((part, index) => {
+      const color = part.style.color || { color: '#000000', opacity: 1 };
+      this.doc.font(this._font(part.style))
+        .fontSize(part.style.fontSize)
+        .fillColor(color.color, color.opacity);
+
+      const options = {
+        width,
+        align: ['center', 'right', 'justify'].includes(style.textAlign) ? style.textAlign : 'left',
+        lineGap,
+        continued: index < parts.length - 1,
+        link: part.link || null,
+        underline: Boolean(part.link)
+      };
+
+      if (index === 0) {
+        this.doc.text(part.text, x, this.y, options);
+      } else {
+        this.doc.text(part.text, options);
+      }
+    });
+
+    this.y = Math.max(this.doc.y, this.y);
+    return height;
+  }
+
+  _renderBlock(el, x, width, parentStyle, draw) {
+    const style = this._style(el, parentStyle);
+    if (style.hidden) return 0;
+
+    const start = this.y;
+    const { margin, padding, border } = style;
+
+    if (draw && style.pageBreakBefore && this.y > this.top) this._newPage();
+
+    const boxX = x + margin.left;
+    const specified = style.width && style.width !== 'auto' ? toPt(style.width, width, style.fontSize) : 0;
+    const boxWidth = Math.max(Math.min(specified || width - margin.left - margin.right, width - margin.left), 10);
+    const innerX = boxX + padding.left + (border.left?.width || 0);
+    const innerWidth = Math.max(boxWidth - padding.left - padding.right - (border.left?.width || 0) - (border.right?.width || 0), 10);
+
+    this.y += margin.top;
+
+    const decorated = (style.background && !isWhite(style.background)) || Object.keys(border).length > 0;
+    const minHeight = style.height && style.height !== 'auto' ? toPt(style.height, 0, style.fontSize) : 0;
+
+    if (draw && decorated) {
+      const boxTop = this.y;
+      const contentHeight = this._renderInner(el, style, innerX, innerWidth, false);
+      this.y = boxTop;
+      const boxHeight = Math.max(contentHeight + padding.top + padding.bottom, minHeight);
+
+      if (boxHeight < this.bottom - this.top) {
+        this._ensureSpace(boxHeight);
+        this._drawBox(boxX, this.y, boxWidth, boxHeight, style);
+      }
+    }
+
+    const contentTop = this.y;
+    this.y += padding.top + (border.top?.width || 0);
+    this._renderInner(el, style, innerX, innerWidth, draw);
+    this.y += padding.bottom + (border.bottom?.width || 0);
+    if (minHeight && this.y - contentTop < minHeight) this.y = contentTop + minHeight;
+    this.y += margin.bottom;
+
+    if (draw && style.pageBreakAfter) this._newPage();
+
+    return this.y - start;
+  }
+
+  _renderInner(el, style, x, width, draw) {
+    const start = this.y;
+
+    if (style.tag === 'img') {
+      this._renderImage(el, x, width, style, draw);
+    } else if (style.tag === 'hr') {
+      if (draw) {
+        this.doc.moveTo(x, this.y).lineTo(x + width, this.y).strokeColor('#dddddd').lineWidth(0.5).stroke();
+      }
+      this.y += 6;
+    } else if (['table', 'flex'].includes(style.display) || style.tag === 'table') {
+      this._renderTable(el, x, width, style, draw);
+    } else if (style.tag === 'li') {
+      const bullet = el.parentElement?.tagName.toLowerCase() === 'ol'
+        ? `${Array.from(el.parentElement.children).indexOf(el) + 1}. `
+        : '• ';
+      const runs = [{ text: bullet, style }];
+      this._renderListItem(el, runs, x, width, style, draw);
+    } else {
+      this._renderContent(el, x, width, style, draw);
+    }
+
+    return this.y - start;
+  }
+
+  _renderListItem(el, runs, x, width, style, draw) {
+    for (const node of el.childNodes) {
+      if (this._isInline(node, style)) this._collectRuns(node, style, runs);
+    }
+    this._renderRuns(runs, x + 8, width - 8, style, draw);
+  }
+
+  _drawBox(x, y, width, height, style) {
+    if (style.background && !isWhite(style.background)) {
+      this.doc.save()
+        .rect(x, y, width, height)
+        .fillOpacity(style.background.opacity)
+        .fill(style.background.color)
+        .restore();
+    }
+
+    const edges = {
+      top: [x, y, x + width, y],
+      right: [x + width, y, x + width, y + height],
+      bottom: [x, y + height, x + width, y + height],
+      left: [x, y, x, y + height]
+    };
+
+    Object.entries(style.border).forEach(([edge, { width: lineWidth, color }]) => {
+      const [x1, y1, x2, y2] = edges[edge];
+      this.doc.save()
+        .moveTo(x1, y1)
+        .lineTo(x2, y2)
+        .lineWidth(lineWidth)
+        .strokeOpacity(color.opacity)
+        .stroke(color.color)
+        .restore();
+    });
+  }
+
+  // Γραμμές: <tr> για πίνακες, table-row/table-cell για display:table, παιδιά για flex
+  _tableRows(el, style) {
+    if (style.tag === 'table') {
+      return Array.from(el.querySelectorAll(':scope > tr, :scope > thead > tr, :scope > tbody > tr, :scope > tfoot > tr'))
+        .map(row => ({ row, cells: Array.from(row.children).filter(cell => ['td', 'th'].includes(cell.tagName.toLowerCase())) }));
+    }
+
+    const children = Array.from(el.children).filter(child => !SKIPPED_TAGS.has(child.tagName.toLowerCase()));
+    const rows = children.filter(child => this._style(child, style).display === 'table-row');
+    if (rows.length > 0) {
+      return rows.map(row => ({ row, cells: Array.from(row.children) }));
+    }
+
+    return [{ row: null, cells: children }];
+  }
+
+  _renderTable(el, x, width, style, draw) {
+    const start = this.y;
+
+    if (style.tag === 'table') {
+      const caption = el.querySelector(':scope > caption');
+      if (caption) this._renderBlock(caption, x, width, style, draw);
+    }
+
+    const rows = this._tableRows(el, style);
+    if (rows.length === 0) return 0;
+
+    const columns = Math.max(...rows.map(({ cells }) => cells.reduce((sum, cell) => sum + (parseInt(cell.getAttribute('colspan')) || 1), 0)));
+    const widths = this._columnWidths(rows, columns, width, style);
+
+    rows.forEach(({ row, cells }) => {
+      const rowStyle = row ? this._style(row, style) : style;
+      if (rowStyle.hidden) return;
+
+      // Ύψος γραμμής = μέγιστο ύψος κελιού
+      const rowTop = this.y;
+      const layout = [];
+      let column = 0;
+      let cellX = x;
+      let rowHeight = 0;
+
+      cells.forEach(cell => {
+        const cellStyle = this._style(cell, rowStyle);
+        const span = parseInt(cell.getAttribute('colspan')) || 1;
+        const cellWidth = widths.slice(column, column + span).reduce((sum, value) => sum + value, 0);
+        column += span;
+
+        const { padding, border } = cellStyle;
+        const innerX = cellX + padding.left + (border.left?.width || 0);
+        const innerWidth = Math.max(cellWidth - padding.left - padding.right - (border.left?.width || 0) - (border.right?.width || 0), 5);
+
+        this.y = rowTop;
+        const height = cellStyle.hidden ? 0 : this._renderInner(cell, cellStyle, innerX, innerWidth, false)
+          + padding.top + padding.bottom + (border.top?.width || 0) + (border.bottom?.width || 0)
+          + cellStyle.margin.top + cellStyle.margin.bottom;
+
+        layout.push({ cell, cellStyle, cellX, cellWidth, innerX, innerWidth });
+        rowHeight = Math.max(rowHeight, height);
+        cellX += cellWidth;
+      });
+
+      this.y = rowTop;
+
+      if (!draw) {
+        this.y = rowTop + rowHeight;
+        return;
+      }
+
+      this._ensureSpace(rowHeight);
+      const top = this.y;
+
+      if (row && ((rowStyle.background && !isWhite(rowStyle.background)) || Object.keys(rowStyle.border).length > 0)) {
+        this._drawBox(x, top, width, rowHeight, rowStyle);
+      }
+
+      layout.forEach(({ cell, cellStyle, cellX: left, cellWidth, innerX, innerWidth }) => {
+        if (cellStyle.hidden) return;
+        this._drawBox(left, top, cellWidth, rowHeight, cellStyle);
+        this.y = top + cellStyle.margin.top + cellStyle.padding.top + (cellStyle.border.top?.width || 0);
+        this._renderInner(cell, cellStyle, innerX, innerWidth, true);
+      });
+
+      this.y = top + rowHeight;
+    });
+
+    return this.y - start;
+  }
+
+  _columnWidths(rows, columns, width, style) {
+    const widths = new Array(columns).fill(0);
+    const { row, cells } = rows[0];
+    const rowStyle = row ? this._style(row, style) : style;
+
+    let column = 0;
+    cells.forEach(cell => {
+      const cellStyle = this._style(cell, rowStyle);
+      const span = parseInt(cell.getAttribute('colspan')) || 1;
+      if (span === 1 && cellStyle.width && cellStyle.width !== 'auto') {
+        widths[column] = Math.min(toPt(cellStyle.width, width, cellStyle.fontSize), width);
+      } else if (span === 1 && cellStyle.flex && parseFloat(cellStyle.flex) > 1) {
+        widths[column] = -parseFloat(cellStyle.flex);
+      }
+      column += span;
+    });
+
+    // Όσες στήλες δεν έχουν πλάτος μοιράζονται το υπόλοιπο (flex ως βάρος)
+    const fixed = widths.filter(value => value > 0).reduce((sum, value) => sum + value, 0);
+    const weights = widths.map(value => (value > 0 ? 0 : (value < 0 ? -value : 1)));
+    const totalWeight = weights.reduce((sum, value) => sum + value, 0);
+    const remaining = Math.max(width - fixed, 0);
+
+    const result = widths.map((value, index) => (value > 0 ? value : (totalWeight ? remaining * weights[index] / totalWeight : 0)));
+    const total = result.reduce((sum, value) => sum + value, 0);
+
+    return total > width ? result.map(value => value * width / total) : result;
+  }
+
+  _renderImage(el, x, width, style, draw) {
+    const image = decodeImage(el.getAttribute('src'));
+    if (!image) return 0;
+
+    let opened;
+    try {
+      opened = this.doc.openImage(image);
+    } catch {
+      return 0;
+    }
+
+    const cs = this.window.getComputedStyle(el);
+    let imageWidth = toPt(cs.width || (el.getAttribute('width') ? `${el.getAttribute('width')}px` : ''), width, style.fontSize);
+    let imageHeight = toPt(cs.height || (el.getAttribute('height') ? `${el.getAttribute('height')}px` : ''), 0, style.fontSize);
+
+    if (!imageWidth && !imageHeight) imageWidth = Math.min(opened.width * 0.75, width);
+    if (!imageHeight) imageHeight = imageWidth * opened.height / opened.width;
+    if (!imageWidth) imageWidth = imageHeight * opened.width / opened.height;
+    if (imageWidth > width) {
+      imageHeight = imageHeight * width / imageWidth;
+      imageWidth = width;
+    }
+
+    if (draw) {
+      this._ensureSpace(imageHeight);
+      let left = x;
+      if (style.textAlign === 'center') left = x + (width - imageWidth) / 2;
+      if (style.textAlign === 'right') left = x + width - imageWidth;
+      this.doc.image(opened, left, this.y, { width: imageWidth, height: imageHeight });
+    }
+
+    this.y += imageHeight;
+    return imageHeight;
+  }
+}
+
+// ======================
+// Template Service
+// ======================
+
+class PdfTemplateService {
+  constructor() {
+    this.templatePath = path.join(__dirname, '../templates/pdf');
+    this.storagePath = process.env.PDF_TEMPLATE_STORAGE_PATH || path.join(__dirname, '../storage/templates');
+    this.logoPath = path.join(__dirname, '../uploads/logos');
+    this.cache = new Map();
+    this.handlebars = handlebars.create();
+    this.fonts = this._resolveFonts();
+    this._registerHelpers();
+  }
+
+  _registerHelpers() {
+    const hb = this.handlebars;
+    const arg = value => (value && typeof value === 'object' && value.hash ? undefined : value);
+
+    hb.registerHelper('formatCurrency', amount => numberFormatters.formatCurrency(parseFloat(amount) || 0));
+    hb.registerHelper('formatNumber', (value, decimals) => numberFormatters.formatDecimal(parseFloat(value) || 0, arg(decimals) ?? 2));
+    hb.registerHelper('formatDate', (date, format) => (date ? dateFormatters.formatDate(date, arg(format) || 'DD/MM/YYYY') : ''));
+    hb.registerHelper('formatDateTime', date => (date ? moment(date).format('DD/MM/YYYY HH:mm') : ''));
+    hb.registerHelper('formatTime', date => (date ? moment(date).format('HH:mm') : ''));
+    hb.registerHelper('eq', (a, b) => a === b);
+    hb.registerHelper('ne', (a, b) => a !== b);
+    hb.registerHelper('or', (...args) => args.slice(0, -1).some(Boolean));
+    hb.registerHelper('and', (...args) => args.slice(0, -1).every(Boolean));
+  }
+
+  _resolveFonts() {
+    for (const dir of FONT_CANDIDATES) {
+      const regular = path.join(dir, 'DejaVuSans.ttf');
+      const bold = path.join(dir, 'DejaVuSans-Bold.ttf');
+      if (fs.existsSync(regular) && fs.existsSync(bold)) {
+        return { regular, bold };
+      }
+    }
+    return null;
+  }
+
+  getTemplateNames() {
+    return Object.keys(TEMPLATES);
+  }
+
+  _assertTemplate(name) {
+    if (!TEMPLATES[name]) {
+      throw new AppError(`Unknown PDF template: ${name}`, 404);
+    }
+  }
+
+  // ======================
+  // Company Templates & Branding
+  // ======================
+
+  getPdfSettings(company) {
+    return company?.settings?.pdf || {};
+  }
+
+  getBranding(company) {
+    const settings = this.getPdfSettings(company);
+    return {
+      primaryColor: settings.primaryColor || DEFAULT_BRANDING.primaryColor,
+      accentColor: settings.accentColor || DEFAULT_BRANDING.accentColor,
+      textColor: settings.textColor || DEFAULT_BRANDING.textColor,
+      logo: company?.logo || null
+    };
+  }
+
+  listTemplates(company) {
+    const overrides = this.getPdfSettings(company).templates || {};
+
+    return Object.entries(TEMPLATES).map(([name, template]) => ({
+      name,
+      label: template.label,
+      isCustom: Boolean(overrides[name]),
+      updatedAt: overrides[name]?.updatedAt || null
+    }));
+  }
+
+  _companyTemplateFile(companyId, name) {
+    return path.join(this.storagePath, companyId, `${name}.hbs`);
+  }
+
+  async getTemplateSource(name, company = null) {
+    this._assertTemplate(name);
+
+    const overrides = this.getPdfSettings(company).templates || {};
+    if (company && overrides[name]) {
+      try {
+        return await fs.promises.readFile(this._companyTemplateFile(company.id, name), 'utf-8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return fs.promises.readFile(path.join(this.templatePath, TEMPLATES[name].file), 'utf-8');
+  }
+
+  compileSource(source) {
+    if (!source || typeof source !== 'string') {
+      throw new AppError('Template source is required', 400);
+    }
+    if (Buffer.byteLength(source) > MAX_TEMPLATE_SIZE) {
+      throw new AppError(`Template exceeds ${MAX_TEMPLATE_SIZE / 1024}KB`, 400);
+    }
+
+    try {
+      const template = this.handlebars.compile(source, { strict: false });
+      // Το compile είναι lazy - ένα render εμφανίζει συντακτικά λάθη
+      template({});
+      return template;
+    } catch (error) {
+      throw new AppError(`Invalid template: ${error.message}`, 400);
+    }
+  }
+
+  async compile(name, company = null) {
+    const overrides = this.getPdfSettings(company).templates || {};
+    const key = company && overrides[name] ? `${company.id}:${name}:${overrides[name].updatedAt}` : `default:${name}`;
+
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.compileSource(await this.getTemplateSource(name, company)));
+    }
+
+    return this.cache.get(key);
+  }
+
+  async _updatePdfSettings(company, changes) {
+    const settings = company.settings || {};
+    company.settings = {
+      ...settings,
+      pdf: { ...(settings.pdf || {}), ...changes }
+    };
+    company.changed('settings', true);
+    await company.save();
+    return company;
+  }
+
+  async saveCompanyTemplate(company, name, source) {
+    this._assertTemplate(name);
+    this.compileSource(source);
+
+    const file = this._companyTemplateFile(company.id, name);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, source, 'utf-8');
+
+    const templates = { ...(this.getPdfSettings(company).templates || {}) };
+    templates[name] = { updatedAt: new Date().toISOString() };
+
+    return this._updatePdfSettings(company, { templates });
+  }
+
+  async removeCompanyTemplate(company, name) {
+    this._assertTemplate(name);
+
+    const templates = { ...(this.getPdfSettings(company).templates || {}) };
+    if (!templates[name]) {
+      throw new AppError('Company uses the default template', 404);
+    }
+
+    delete templates[name];
+    await fs.promises.rm(this._companyTemplateFile(company.id, name), { force: true });
+
+    return this._updatePdfSettings(company, { templates });
+  }
+
+  async updateBranding(company, { primaryColor, accentColor, textColor }) {
+    const changes = {};
+    for (const [key, value] of Object.entries({ primaryColor, accentColor, textColor })) {
+      if (value === undefined) continue;
+      if (value !== null && !HEX_COLOR.test(value)) {
+        throw new AppError(`${key} must be a hex colour (#rrggbb)`, 400);
+      }
+      changes[key] = value;
+    }
+
+    return this._updatePdfSettings(company, changes);
+  }
+
+  async saveLogo(company, file) {
+    const extension = { 'image/png': 'png', 'image/jpeg': 'jpg' }[file.mimetype];
+    if (!extension) {
+      throw new AppError('Logo must be PNG or JPEG', 400);
+    }
+
+    await fs.promises.mkdir(this.logoPath, { recursive: true });
+    const filename = `${company.id}-${Date.now()}.${extension}`;
+    await fs.promises.writeFile(path.join(this.logoPath, filename), file.buffer);
+
+    // Αφαίρεση προηγούμενου λογοτύπου που ανέβηκε από εδώ
+    if (company.logo && company.logo.startsWith('/uploads/logos/')) {
+      await fs.promises.rm(path.join(this.logoPath, path.basename(company.logo)), { force: true });
+    }
+
+    await company.update({ logo: `/uploads/logos/${filename}` });
+    return company;
+  }
+
+  // Λογότυπο ως data URI ώστε τα templates να μη διαβάζουν αυθαίρετα αρχεία
+  async _logoDataUri(logo) {
+    if (!logo) return null;
+    if (logo.startsWith('data:image/')) return logo;
+    if (!logo.startsWith('/uploads/logos/')) return null;
+
+    try {
+      const buffer = await fs.promises.readFile(path.join(this.logoPath, path.basename(logo)));
+      const mime = logo.endsWith('.png') ? 'image/png' : 'image/jpeg';
+      return `data:${mime};base64,${buffer.toString('base64')}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // ======================
+  // Rendering
+  // ======================
+
+  // Χρώματα εταιρείας πάνω από το CSS του template
+  _brandingCss(branding) {
+    return `
+      .header, .report-header, .statement-header { border-bottom-color: ${branding.primaryColor}; }
+      .items-table th, .data-table th, .transactions-table th, .totals-table .total-row { background-color: ${branding.primaryColor}; }
+      .company-name, .document-title, .report-title, .section-header { color: ${branding.primaryColor}; }
+      .payment-info { border-left-color: ${branding.accentColor}; }
+      body { color: ${branding.textColor}; }
+    `;
+  }
+
+  async renderHtml(name, context, { company = null, source = null } = {}) {
+    this._assertTemplate(name);
+
+    const template = source ? this.compileSource(source) : await this.compile(name, company);
+    const branding = this.getBranding(company);
+    const logo = await this._logoDataUri(branding.logo);
+
+    const html = template({
+      ...context,
+      branding: { ...branding, logo },
+      company: {
+        ...(context.company || {}),
+        logo: logo || undefined,
+        logoUrl: logo || undefined
+      }
+    });
+
+    // Τα χρώματα μπαίνουν τελευταία ώστε να υπερισχύουν
+    const css = `<style>${this._brandingCss(branding)}</style>`;
+    return html.includes('</head>') ? html.replace('</head>', `${css}</head>`) : `${css}${html}`;
+  }
+
+  async renderPDF(name, context, options = {}) {
+    const html = await this.renderHtml(name, context, options);
+    return new HtmlPdfRenderer(html, this.fonts).render({
+      Title: options.title || TEMPLATES[name].label,
+      Author: 'BizFlow ERP',
+      Creator: 'BizFlow ERP System',
+      Producer: 'PDFKit'
+    });
+  }
+
+  // Εκδότης: εταιρεία του χρήστη που δημιούργησε το παραστατικό
+  async resolveIssuer(document) {
+    if (!document.createdBy) return null;
+
+    const user = await User.findByPk(document.createdBy, { attributes: ['id', 'companyId'] });
+    return user?.companyId ? Company.findByPk(user.companyId) : null;
+  }
+
+  async renderDocumentPDF(document, { issuer, source } = {}) {
+    const company = issuer !== undefined ? issuer : await this.resolveIssuer(document);
+    const name = document.documentType === 'receipt' ? 'receipt' : 'invoice';
+    const context = this.buildDocumentContext(document, company);
+
+    // Το mydataQr είναι το URL της ΑΑΔΕ· στο PDF τυπώνεται ως εικόνα QR
+    context.document.mydataQrImage = await qrCodeDataUrl(document.mydataQr);
+
+    return this.renderPDF(name, context, {
+      company,
+      source,
+      title: `${DOCUMENT_TITLES[document.documentType] || 'ΠΑΡΑΣΤΑΤΙΚΟ'} ${document.documentNumber}`
+    });
+  }
+
+  // ======================
+  // Template Contexts
+  // ======================
+
+  buildCompanyContext(company) {
+    if (!company) {
+      return {
+        name: process.env.COMPANY_NAME,
+        address: [process.env.COMPANY_ADDRESS, process.env.COMPANY_ADDRESS_NUMBER].filter(Boolean).join(' '),
+        city: process.env.COMPANY_CITY,
+        postalCode: process.env.COMPANY_POSTAL_CODE,
+        vatNumber: process.env.COMPANY_VAT_NUMBER
+      };
+    }
+
+    const settings = company.settings || {};
+    return {
+      name: company.name,
+      legalName: company.legalName,
+      address: [company.street, company.streetNumber].filter(Boolean).join(' '),
+      city: company.city,
+      postalCode: company.postalCode,
+      vatNumber: company.afm,
+      taxOffice: company.doy,
+      phone: company.phone,
+      email: company.email,
+      website: company.website,
+      bankName: settings.bankName,
+      iban: settings.iban
+    };
+  }
+
+  buildDocumentContext(document, issuer = null) {
+    const plain = typeof document.get === 'function' ? document.get({ plain: true }) : { ...document };
+    const amount = value => parseFloat(value) || 0;
+
+    const items = [...(plain.items || [])]
+      .sort((a, b) => (a.sortOrder ?? a.lineNumber) - (b.sortOrder ?? b.lineNumber))
+      .map(item => ({
+        lineNumber: item.lineNumber,
+        productCode: item.itemCode,
+        description: item.description,
+        longDescription: item.detailedDescription,
+        unit: item.unit,
+        quantity: amount(item.quantity),
+        unitPrice: amount(item.unitPrice),
+        discountPercentage: amount(item.discountPercentage) || null,
+        discountAmount: amount(item.discountAmount) || null,
+        taxRate: amount(item.vatRate),
+        totalAmount: amount(item.netAmount) || amount(item.totalAmount)
+      }));
+
+    // Ανάλυση ΦΠΑ ανά συντελεστή
+    const vatByRate = new Map();
+    (plain.items || []).forEach(item => {
+      const rate = amount(item.vatRate);
+      vatByRate.set(rate, (vatByRate.get(rate) || 0) + amount(item.vatAmount));
+    });
+
+    const subtotal = amount(plain.subtotal);
+    const discount = amount(plain.discountAmount);
+
+    return {
+      documentType: plain.documentType,
+      documentTypeLabel: DOCUMENT_TITLES[plain.documentType] || 'ΠΑΡΑΣΤΑΤΙΚΟ',
+      document: {
+        ...plain,
+        date: plain.documentDate,
+        series: plain.documentSeries,
+        notes: plain.customerNotes,
+        referenceNumber: plain.relatedDocument?.documentNumber
+      },
+      company: this.buildCompanyContext(issuer),
+      customer: plain.company
+        ? {
+          ...this.buildCompanyContext(plain.company),
+          code: plain.company.code
+        }
+        : {},
+      items,
+      totals: {
+        subtotal,
+        totalDiscount: discount || null,
+        netAmount: subtotal - discount,
+        vatBreakdown: vatByRate.size > 0
+          ? Array.from(vatByRate, ([rate, value]) => ({ rate, amount: value }))
+          : [{ rate: amount(plain.vatRate), amount: amount(plain.vatAmount) }],
+        withholdingTax: amount(plain.withholdingTaxAmount) || null,
+        stampDuty: amount(plain.stampDuty) || null,
+        totalAmount: amount(plain.total)
+      },
+      payment: {},
+      paymentMethodLabel: PAYMENT_METHODS[plain.paymentMethod] || plain.paymentMethod,
+      isCash: plain.paymentMethod === 'cash',
+      isCard: plain.paymentMethod === 'card',
+      isA4: true,
+      isDraft: plain.status === 'draft',
+      isCancelled: plain.status === 'cancelled',
+      isPaid: plain.status === 'paid',
+      isIncoming: false,
+      showSignatures: ['delivery_note', 'order'].includes(plain.documentType),
+      printDate: new Date()
+    };
+  }
+
+  // Δείγμα δεδομένων για preview
+  getSampleContext(name) {
+    this._assertTemplate(name);
+
+    const today = moment();
+    const sampleDocument = {
+      id: '00000000-0000-0000-0000-000000000000',
+      documentType: name === 'receipt' ? 'receipt' : 'invoice',
+      documentNumber: 'A-000123',
+      documentSeries: 'A',
+      documentDate: today.format('YYYY-MM-DD'),
+      dueDate: today.clone().add(30, 'days').format('YYYY-MM-DD'),
+      status: 'pending',
+      paymentMethod: 'bank_transfer',
+      paymentTerms: '30',
+      subtotal: 1250,
+      discountAmount: 50,
+      vatRate: 24,
+      vatAmount: 288,
+      withholdingTaxAmount: 0,
+      stampDuty: 0,
+      total: 1488,
+      customerNotes: 'Ευχαριστούμε για τη συνεργασία.',
+      mydataMark: '400001234567890',
+      company: {
+        name: 'Πελάτης Α.Ε.',
+        street: 'Λεωφ. Κηφισίας',
+        streetNumber: '100',
+        city: 'Αθήνα',
+        postalCode: '11526',
+        afm: '099999999',
+        doy: 'ΦΑΕ ΑΘΗΝΩΝ',
+        email: 'info@customer.gr',
+        phone: '2101234567'
+      },
+      items: [
+        { lineNumber: 1, itemCode: 'SRV-01', description: 'Υπηρεσίες συμβούλου', unit: 'ώρα', quantity: 10, unitPrice: 80, vatRate: 24, vatAmount: 192, netAmount: 800 },
+        { lineNumber: 2, itemCode: 'LIC-02', description: 'Άδεια λογισμικού', unit: 'τεμ', quantity: 1, unitPrice: 450, discountAmount: 50, vatRate: 24, vatAmount: 96, netAmount: 400 }
+      ]
+    };
+
+    switch (name) {
+      case 'invoice':
+      case 'receipt':
+        return this.buildDocumentContext(sampleDocument);
+
+      case 'statement':
+        return {
+          statementNumber: `ST-${today.format('YYYYMM')}-001`,
+          dateFrom: today.clone().startOf('month').toDate(),
+          dateTo: today.toDate(),
+          printDate: new Date(),
+          customer: { ...this.buildCompanyContext(sampleDocument.company), code: 'C-0001' },
+          summary: { openingBalance: 500, totalDebits: 1488, totalCredits: 1000, closingBalance: 988 },
+          transactions: [
+            { date: today.clone().startOf('month').toDate(), documentNumber: '-', description: 'Υπόλοιπο από μεταφορά', runningBalance: 500 },
+            { date: today.toDate(), docType: 'ΤΙΜ', documentNumber: 'A-000123', description: 'Τιμολόγιο', debit: 1488, runningBalance: 1988 },
+            { date: today.toDate(), docType: 'ΕΙΣ', documentNumber: 'PAY-000045', description: 'Είσπραξη', credit: 1000, runningBalance: 988 }
+          ],
+          agingAnalysis: { current: 988, days30: 0, days60: 0, days90plus: 0, total: 988, currentPercent: 100, days30Percent: 0, days60Percent: 0, days90plusPercent: 0 },
+          showPaymentInstructions: true
+        };
+
+      case 'report':
+        return {
+          reportTitle: 'Οικονομική Αναφορά',
+          reportSubtitle: 'Μηνιαία επισκόπηση',
+          reportId: 'RPT-0001',
+          dateFrom: today.clone().startOf('month').toDate(),
+          dateTo: today.toDate(),
+          generatedDate: new Date(),
+          kpis: [
+            { label: 'Έσοδα', value: '12.500,00 €', change: '8%', isPositive: true, changeType: 'positive' },
+            { label: 'Έξοδα', value: '7.300,00 €', change: '3%', isPositive: false, changeType: 'negative' }
+          ],
+          financialData: [
+            { category: 'Πωλήσεις', current: 12500, previous: 11570, change: 930, changePercent: 8 },
+            { category: 'Έξοδα', current: 7300, previous: 7087, change: 213, changePercent: 3 }
+          ],
+          totals: { current: 5200, previous: 4483, change: 717, changePercent: 16 }
+        };
+
+      case 'member-card':
+        return {
+          members: [
+            { firstName: 'Μαρία', lastName: 'Παπαδοπούλου', memberCode: 'M-0001', membershipType: 'premium', status: 'active', membershipStartDate: today.toDate(), membershipEndDate: today.clone().add(1, 'year').toDate() }
+          ]
+        };
+
+      default:
+        return {};
+    }
+  }
+}
+
+// ======================
+// Helpers
+// ======================
+
+function toPt(value, reference = 0, fontSize = 10) {
+  if (!value || value === 'auto' || value === 'none') return 0;
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return 0;
+
+  if (value.endsWith('%')) return reference * number / 100;
+  if (value.endsWith('mm')) return number * 72 / 25.4;
+  if (value.endsWith('cm')) return number * 72 / 2.54;
+  if (value.endsWith('in')) return number * 72;
+  if (value.endsWith('pt')) return number;
+  if (value.endsWith('em')) return number * fontSize;
+  return number * 0.75;
+}
+
+function parseColor(value) {
+  if (!value || value === 'transparent' || value === 'inherit' || value === 'initial') return null;
+
+  const match = value.match(/rgba?\(([^)]+)\)/);
+  if (match) {
+    const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+    if (a === 0) return null;
+    return { color: [r, g, b], opacity: a };
+  }
+
+  return /^#[0-9a-f]{3,8}$|^[a-z]+$/i.test(value) ? { color: value, opacity: 1 } : null;
+}
+
+function isWhite(color) {
+  if (Array.isArray(color.color)) return color.color.every(channel => channel >= 250);
+  return ['white', '#fff', '#ffffff'].includes(String(color.color).toLowerCase());
+}
+
+// Μόνο data URIs (PNG/JPEG) - κανένα αρχείο ή URL από templates
+function decodeImage(src) {
+  const match = src && src.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+export default new PdfTemplateService();
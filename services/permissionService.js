@@ -0,0 +1,388 @@
+// services/permissionService.js
+// Ονομαστικά δικαιώματα: ρόλοι ως σύνολα δικαιωμάτων στη βάση, εξαιρέσεις ανά χρήστη και έλεγχος για το can()
+
+import { Role, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logWarning } from '../middleware/logger.js';
+import auditService from './auditService.js';
+import { runWithoutTenantScope } from '../utils/tenantContext.js';
+
+// Κατάλογος δικαιωμάτων (ό,τι ελέγχεται με can() στα routes)
+const PERMISSIONS = {
+  'documents.create': 'Δημιουργία και αντιγραφή παραστατικών',
+  'documents.update': 'Επεξεργασία παραστατικών',
+  'documents.delete': 'Διαγραφή παραστατικών',
+  'documents.finalize': 'Οριστικοποίηση παραστατικών',
+  'documents.send': 'Αποστολή παραστατικών με email',
+  'documents.convert': 'Μετατροπή παραστατικών (προσφορά → παραγγελία → τιμολόγιο)',
+
+  'payments.create': 'Καταχώρηση πληρωμών',
+  'payments.update': 'Επεξεργασία πληρωμών',
+  'payments.cancel': 'Ακύρωση πληρωμών',
+  'payments.allocate': 'Αντιστοίχιση πληρωμών σε παραστατικά',
+  'payments.delete': 'Διαγραφή πληρωμών',
+
+  'mydata.view': 'Προβολή υποβολών, ουράς και στατιστικών myDATA',
+  'mydata.submit': 'Υποβολή παραστατικών στο myDATA',
+  'mydata.submit.bulk': 'Μαζική υποβολή στο myDATA',
+  'mydata.retry': 'Επανυποβολή αποτυχημένων διαβιβάσεων',
+  'mydata.cancel': 'Ακύρωση παραστατικών στο myDATA',
+  'mydata.classify': 'Χαρακτηρισμοί εσόδων/εξόδων',
+  'mydata.sync': 'Λήψη παραστατικών από το myDATA',
+  'mydata.credentials.view': 'Προβολή και έλεγχος διαπιστευτηρίων myDATA',
+  'mydata.credentials.manage': 'Αλλαγή διαπιστευτηρίων myDATA',
+
+  'purchases.create': 'Καταχώρηση αγορών',
+  'purchases.update': 'Επεξεργασία αγορών',
+  'purchases.classify': 'Χαρακτηρισμός αγορών',
+  'purchases.delete': 'Διαγραφή αγορών',
+
+  'members.create': 'Δημιουργία μελών',
+  'members.update': 'Επεξεργασία μελών',
+  'members.delete': 'Διαγραφή μελών',
+  'members.renew': 'Ανανέωση συνδρομών',
+  'members.remind': 'Υπενθυμίσεις συνδρομών',
+  'members.import': 'Εισαγωγή μελών',
+  'members.export': 'Εξαγωγή μελών',
+
+  'companies.create': 'Δημιουργία εταιρειών',
+  'companies.update': 'Επεξεργασία εταιρειών',
+  'companies.delete': 'Διαγραφή και επαναφορά εταιρειών',
+  'companies.import': 'Εισαγωγή εταιρειών',
+  'companies.branding': 'Λογότυπο, branding και πρότυπα PDF',
+
+  'statements.send': 'Αποστολή καρτέλας πελάτη',
+  'statements.send.bulk': 'Μαζική αποστολή καρτελών',
+
+  'dunning.manage': 'Υπενθυμίσεις οφειλών, αμφισβητήσεις και εξαιρέσεις',
+  'dunning.levels.manage': 'Ρύθμιση επιπέδων υπενθύμισης',
+  'dunning.run': 'Χειροκίνητη εκτέλεση υπενθυμίσεων',
+
+  'reconciliation.manage': 'Τραπεζική συμφωνία',
+  'reconciliation.reopen': 'Επαναφορά επιβεβαιωμένων κινήσεων',
+
+  'numbering.view': 'Προβολή σειρών αρίθμησης και κενών',
+  'numbering.manage': 'Ρύθμιση σειρών αρίθμησης',
+
+  'recurring.manage': 'Επαναλαμβανόμενα παραστατικά',
+
+  'reports.financial.view': 'Οικονομικές αναφορές',
+  'reports.customers.view': 'Αναφορές πελατών',
+  'reports.aging.view': 'Ενηλικίωση υπολοίπων',
+  'reports.tax.view': 'Φορολογικές αναφορές και ΦΠΑ',
+  'reports.members.view': 'Αναφορές μελών',
+  'reports.custom': 'Προσαρμοσμένες αναφορές',
+  'reports.scheduled.manage': 'Προγραμματισμένες αναφορές',
+
+  'system.status.view': 'Κατάσταση συστήματος',
+  'system.manage': 'Logs, cache, maintenance και εργασίες συστήματος',
+
+  'users.manage': 'Διαχείριση χρηστών της εταιρείας',
+
+  'admin.access': 'Ρυθμίσεις, αρχείο ελέγχου και αντίγραφα ασφαλείας της πλατφόρμας',
+  'roles.manage': 'Διαχείριση ρόλων και δικαιωμάτων χρηστών',
+  'subscriptions.manage': 'Πακέτα συνδρομής, όρια και χρεώσεις των tenants'
+};
+
+// Ίδια με το seed του migration 028· χρησιμοποιούνται όσο ο πίνακας roles δεν υπάρχει
+const DEFAULT_ROLES = {
+  admin: ['*'],
+  manager: [
+    'documents.create', 'documents.update', 'documents.delete', 'documents.finalize', 'documents.send', 'documents.convert',
+    'payments.create', 'payments.update', 'payments.cancel', 'payments.allocate',
+    'mydata.view', 'mydata.submit', 'mydata.submit.bulk', 'mydata.retry', 'mydata.cancel', 'mydata.classify', 'mydata.sync',
+    'mydata.credentials.view',
+    'purchases.create', 'purchases.update', 'purchases.classify', 'purchases.delete',
+    'members.create', 'members.update', 'members.renew', 'members.remind', 'members.export',
+    'companies.create', 'companies.update', 'companies.branding',
+    'statements.send', 'statements.send.bulk',
+    'dunning.manage', 'dunning.run',
+    'reconciliation.manage', 'reconciliation.reopen',
+    'numbering.view',
+    'recurring.manage',
+    'reports.financial.view', 'reports.customers.view', 'reports.aging.view', 'reports.members.view', 'reports.custom',
+    'system.status.view'
+  ],
+  accountant: [
+    'documents.create', 'documents.update', 'documents.finalize', 'documents.send', 'documents.convert',
+    'payments.create', 'payments.update', 'payments.allocate',
+    'mydata.view', 'mydata.submit', 'mydata.classify', 'mydata.sync',
+    'purchases.create', 'purchases.update', 'purchases.classify',
+    'members.renew',
+    'statements.send',
+    'dunning.manage',
+    'reconciliation.manage',
+    'numbering.view',
+    'recurring.manage',
+    'reports.financial.view', 'reports.customers.view', 'reports.aging.view', 'reports.tax.view', 'reports.custom'
+  ],
+  user: [],
+  viewer: []
+};
+
+// Ο admin έχει πάντα όλα τα δικαιώματα (αποφυγή κλειδώματος της διαχείρισης)
+const SUPER_ROLE = 'admin';
+
+// Δικαιώματα πλατφόρμας (ρόλοι, ρυθμίσεις, backups κοινά για όλους τους tenants):
+// χρήστες με εταιρεία τα έχουν μόνο ως super-admin
+const PLATFORM_PERMISSIONS = ['admin.access', 'roles.manage', 'system.manage', 'subscriptions.manage'];
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+// '*' ή 'reports.*' (όλα τα reports.…) ή ακριβές όνομα
+const matches = (pattern, permission) => {
+  if (pattern === '*' || pattern === permission) return true;
+  return pattern.endsWith('.*') && permission.startsWith(pattern.slice(0, -1));
+};
+
+const matchesAny = (patterns, permission) => patterns.some(pattern => matches(pattern, permission));
+
+class PermissionService {
+  constructor() {
+    this.roleCache = null;
+    this.roleCacheLoadedAt = 0;
+  }
+
+  // ======================
+  // Catalogue
+  // ======================
+
+  getCatalogue() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  isValidPattern(pattern) {
+    if (typeof pattern !== 'string') return false;
+    if (pattern === '*' || PERMISSIONS[pattern]) return true;
+    return pattern.endsWith('.*') && Object.keys(PERMISSIONS).some(name => matches(pattern, name));
+  }
+
+  normalizePermissions(permissions = []) {
+    if (!Array.isArray(permissions)) {
+      throw new AppError('Permissions must be an array', 400);
+    }
+
+    const unknown = permissions.filter(pattern => !this.isValidPattern(pattern));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(permissions)].sort();
+  }
+
+  // ======================
+  // Resolution
+  // ======================
+
+  // Cache ανά διεργασία· οι αλλαγές από το admin API την ακυρώνουν αμέσως, οι άλλες διεργασίες μετά το TTL
+  async getRoleMap() {
+    if (this.roleCache && Date.now() - this.roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+      return this.roleCache;
+    }
+
+    try {
+      const roles = await Role.findAll({ attributes: ['name', 'permissions'] });
+      this.roleCache = new Map(roles.map(role => [role.name, role.permissions || []]));
+    } catch (error) {
+      logWarning('Roles table unavailable; using built-in role permissions', { error: error.message });
+      this.roleCache = new Map(Object.entries(DEFAULT_ROLES));
+    }
+
+    this.roleCacheLoadedAt = Date.now();
+    return this.roleCache;
+  }
+
+  invalidate() {
+    this.roleCache = null;
+  }
+
+  async getRolePermissions(roleName) {
+    if (roleName === SUPER_ROLE) return ['*'];
+
+    const roles = await this.getRoleMap();
+    return roles.get(roleName) || [];
+  }
+
+  getOverrides(user) {
+    const overrides = user.permissionOverrides || {};
+    return {
+      grant: Array.isArray(overrides.grant) ? overrides.grant : [],
+      deny: Array.isArray(overrides.deny) ? overrides.deny : []
+    };
+  }
+
+  // Ρόλος ή grant επιτρέπουν· το deny υπερισχύει πάντα (εκτός από τον admin)
+  async hasPermission(user, permission) {
+    if (!user) return false;
+    if (user.companyId && PLATFORM_PERMISSIONS.includes(permission) && !user.isSuperAdmin) return false;
+    if (user.role === SUPER_ROLE) return true;
+
+    const { grant, deny } = this.getOverrides(user);
+    if (matchesAny(deny, permission)) return false;
+
+    const rolePermissions = await this.getRolePermissions(user.role);
+    return matchesAny(rolePermissions, permission) || matchesAny(grant, permission);
+  }
+
+  // Τα δικαιώματα του καταλόγου που ισχύουν για τον χρήστη (για το UI)
+  async getEffectivePermissions(user) {
+    const names = Object.keys(PERMISSIONS);
+    const allowed = await Promise.all(names.map(name => this.hasPermission(user, name)));
+    return names.filter((name, index) => allowed[index]);
+  }
+
+  // ======================
+  // Roles
+  // ======================
+
+  async listRoles() {
+    const [roles, counts] = await Promise.all([
+      Role.findAll({ order: [['isSystem', 'DESC'], ['name', 'ASC']] }),
+      User.count({ group: ['role'] })
+    ]);
+
+    const usersByRole = new Map(counts.map(row => [row.role, parseInt(row.count)]));
+
+    return roles.map(role => ({
+      ...role.toJSON(),
+      userCount: usersByRole.get(role.name) || 0
+    }));
+  }
+
+  async getRole(name) {
+    const role = await Role.findOne({ where: { name } });
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+    return role;
+  }
+
+  // Για τα validators ανάθεσης ρόλου σε χρήστη
+  async assertRoleExists(name) {
+    const roles = await this.getRoleMap();
+    if (!roles.has(name)) {
+      throw new AppError(`Unknown role: ${name}`, 400);
+    }
+    return true;
+  }
+
+  async createRole({ name, displayName, description, permissions }, { userId } = {}) {
+    if (await Role.findOne({ where: { name } })) {
+      throw new AppError('A role with this name already exists', 409);
+    }
+
+    const role = await Role.create({
+      name,
+      displayName: displayName || name,
+      description,
+      permissions: this.normalizePermissions(permissions),
+      isSystem: false,
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    this.invalidate();
+
+    await auditService.logSecurityEvent('ROLE_CREATED', 'medium', {
+      userId,
+      entityType: 'Role',
+      entityId: role.id,
+      description: `Role ${role.name} created`,
+      metadata: { permissions: role.permissions }
+    });
+
+    return role;
+  }
+
+  async updateRole(name, { displayName, description, permissions }, { userId } = {}) {
+    const role = await this.getRole(name);
+    const before = role.permissions || [];
+
+    if (permissions !== undefined && role.name === SUPER_ROLE) {
+      throw new AppError('The admin role always has every permission', 400);
+    }
+
+    await role.update({
+      displayName: displayName ?? role.displayName,
+      description: description ?? role.description,
+      permissions: permissions !== undefined ? this.normalizePermissions(permissions) : before,
+      updatedBy: userId
+    });
+
+    this.invalidate();
+
+    await auditService.logSecurityEvent('ROLE_UPDATED', 'high', {
+      userId,
+      entityType: 'Role',
+      entityId: role.id,
+      description: `Role ${role.name} updated`,
+      metadata: {
+        added: role.permissions.filter(permission => !before.includes(permission)),
+        removed: before.filter(permission => !role.permissions.includes(permission))
+      }
+    });
+
+    return role;
+  }
+
+  async deleteRole(name, { userId } = {}) {
+    const role = await this.getRole(name);
+
+    if (role.isSystem) {
+      throw new AppError('Built-in roles cannot be deleted', 400);
+    }
+
+    // Οι ρόλοι είναι κοινοί για όλους τους tenants
+    const assigned = await runWithoutTenantScope(() => User.count({ where: { role: role.name } }));
+    if (assigned > 0) {
+      throw new AppError(`Role is assigned to ${assigned} user(s); reassign them first`, 409);
+    }
+
+    await role.destroy();
+    this.invalidate();
+
+    await auditService.logSecurityEvent('ROLE_DELETED', 'high', {
+      userId,
+      entityType: 'Role',
+      entityId: role.id,
+      description: `Role ${role.name} deleted`
+    });
+  }
+
+  // ======================
+  // User overrides
+  // ======================
+
+  async getUserPermissions(user) {
+    return {
+      role: user.role,
+      rolePermissions: await this.getRolePermissions(user.role),
+      overrides: this.getOverrides(user),
+      effective: await this.getEffectivePermissions(user)
+    };
+  }
+
+  async setUserOverrides(user, { grant = [], deny = [] }, { userId } = {}) {
+    const overrides = {
+      grant: this.normalizePermissions(grant),
+      deny: this.normalizePermissions(deny)
+    };
+
+    const before = this.getOverrides(user);
+    await user.update({
+      permissionOverrides: overrides.grant.length || overrides.deny.length ? overrides : null
+    });
+
+    await auditService.logSecurityEvent('USER_PERMISSIONS_UPDATED', 'high', {
+      userId,
+      entityType: 'User',
+      entityId: user.id,
+      description: `Permission overrides updated for ${user.email}`,
+      metadata: { before, after: overrides }
+    });
+
+    return this.getUserPermissions(user);
+  }
+}
+
+export default new PermissionService();
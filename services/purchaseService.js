@@ -0,0 +1,336 @@
+// services/purchaseService.js
+// Παραστατικά αγορών: καταχώρηση, χαρακτηρισμός εξόδων ανά γραμμή και υποβολή στο myDATA
+
+import { Op } from 'sequelize';
+import {
+  PurchaseDocument,
+  PurchaseDocumentItem,
+  Company,
+  sequelize
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError } from '../middleware/logger.js';
+import mydataCredentialService from './mydataCredentialService.js';
+
+// E3_102_001, E3_585_016 κ.λπ. και category2_1 … category2_95
+const EXPENSE_CLASSIFICATION_TYPE = /^E3_\d{3}(_\d{3})?$/;
+const EXPENSE_CLASSIFICATION_CATEGORY = /^category2_\d{1,2}$/;
+
+const HEADER_FIELDS = [
+  'supplierId', 'supplierAfm', 'supplierName', 'invoiceType', 'series', 'documentNumber',
+  'issueDate', 'mark', 'uid', 'currency', 'withheldAmount', 'status', 'notes'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PurchaseService {
+  // ======================
+  // Suppliers
+  // ======================
+
+  // Ο προμηθευτής προκύπτει από το supplierId ή από τον ΑΦΜ εκδότη
+  async resolveSupplier(data, options = {}) {
+    if (data.supplierId) {
+      const supplier = await Company.findByPk(data.supplierId, { transaction: options.transaction });
+      if (!supplier) {
+        throw new AppError('Supplier not found', 404);
+      }
+      return supplier;
+    }
+
+    if (data.supplierAfm) {
+      return Company.findOne({ where: { afm: data.supplierAfm }, transaction: options.transaction });
+    }
+
+    return null;
+  }
+
+  // ======================
+  // Documents
+  // ======================
+
+  validateClassification(classification, lineNumber) {
+    const { classificationType, classificationCategory } = classification;
+    if (!classificationType && !classificationCategory) return;
+
+    if (!EXPENSE_CLASSIFICATION_TYPE.test(classificationType || '')) {
+      throw new AppError(`Invalid expense classification type on line ${lineNumber}`, 400);
+    }
+
+    if (!EXPENSE_CLASSIFICATION_CATEGORY.test(classificationCategory || '')) {
+      throw new AppError(`Invalid expense classification category on line ${lineNumber}`, 400);
+    }
+  }
+
+  buildItems(items) {
+    items.forEach((item, index) => this.validateClassification(item, item.lineNumber || index + 1));
+
+    return items.map((item, index) => ({
+      lineNumber: item.lineNumber || index + 1,
+      description: item.description,
+      netValue: round(parseFloat(item.netValue) || 0),
+      vatCategory: item.vatCategory || 1,
+      vatAmount: round(parseFloat(item.vatAmount) || 0),
+      classificationType: item.classificationType || null,
+      classificationCategory: item.classificationCategory || null
+    }));
+  }
+
+  calculateTotals(items, withheldAmount = 0) {
+    const netAmount = round(items.reduce((sum, item) => sum + item.netValue, 0));
+    const vatAmount = round(items.reduce((sum, item) => sum + item.vatAmount, 0));
+
+    return {
+      netAmount,
+      vatAmount,
+      totalAmount: round(netAmount + vatAmount - (parseFloat(withheldAmount) || 0))
+    };
+  }
+
+  classificationStatusFor(items) {
+    const classified = items.length > 0 && items.every(item =>
+      item.classificationType && item.classificationCategory
+    );
+    return classified ? 'classified' : 'unclassified';
+  }
+
+  async create(data, options = {}) {
+    const { userId } = options;
+
+    const lines = new Set();
+    for (const item of data.items) {
+      if (item.lineNumber && lines.has(item.lineNumber)) {
+        throw new AppError(`Duplicate line number ${item.lineNumber}`, 400);
+      }
+      lines.add(item.lineNumber);
+    }
+
+    return sequelize.transaction(async (t) => {
+      const supplier = await this.resolveSupplier(data, { transaction: t });
+      const items = this.buildItems(data.items);
+
+      const header = {};
+      HEADER_FIELDS.forEach(field => {
+        if (data[field] !== undefined) header[field] = data[field];
+      });
+
+      const totals = this.calculateTotals(items, data.withheldAmount);
+      // Στα παραστατικά myDATA το σύνολο περιλαμβάνει και τέλη/λοιπούς φόρους του εκδότη
+      if (data.source === 'mydata' && data.totalAmount !== undefined) {
+        totals.totalAmount = round(parseFloat(data.totalAmount) || 0);
+      }
+
+      const document = await PurchaseDocument.create({
+        ...header,
+        supplierId: supplier?.id || null,
+        supplierAfm: data.supplierAfm || supplier?.afm,
+        supplierName: data.supplierName || supplier?.legalName || supplier?.name,
+        source: data.source || 'manual',
+        ...totals,
+        classificationStatus: this.classificationStatusFor(items),
+        metadata: data.metadata || {},
+        createdBy: userId,
+        updatedBy: userId
+      }, { transaction: t });
+
+      await PurchaseDocumentItem.bulkCreate(items.map(item => ({
+        ...item,
+        purchaseDocumentId: document.id
+      })), { transaction: t });
+
+      return document;
+    });
+  }
+
+  async update(document, data, options = {}) {
+    const { userId } = options;
+
+    if (!document.canBeEdited()) {
+      throw new AppError('Purchase document cannot be edited after classification submission', 400);
+    }
+
+    return sequelize.transaction(async (t) => {
+      const changes = { updatedBy: userId };
+      HEADER_FIELDS.forEach(field => {
+        if (data[field] !== undefined) changes[field] = data[field];
+      });
+
+      if (data.supplierId !== undefined || data.supplierAfm !== undefined) {
+        const supplier = await this.resolveSupplier(data, { transaction: t });
+        changes.supplierId = supplier?.id || null;
+        changes.supplierAfm = data.supplierAfm || supplier?.afm || document.supplierAfm;
+      }
+
+      if (data.items) {
+        const items = this.buildItems(data.items);
+
+        await PurchaseDocumentItem.destroy({ where: { purchaseDocumentId: document.id }, transaction: t });
+        await PurchaseDocumentItem.bulkCreate(items.map(item => ({
+          ...item,
+          purchaseDocumentId: document.id
+        })), { transaction: t });
+
+        Object.assign(changes, this.calculateTotals(items, data.withheldAmount ?? document.withheldAmount));
+        changes.classificationStatus = this.classificationStatusFor(items);
+        changes.classificationErrors = null;
+      } else if (data.withheldAmount !== undefined) {
+        changes.totalAmount = round(
+          parseFloat(document.netAmount) + parseFloat(document.vatAmount) - (parseFloat(data.withheldAmount) || 0)
+        );
+      }
+
+      await document.update(changes, { transaction: t });
+      return document;
+    });
+  }
+
+  // Χαρακτηρισμός γραμμών: [{ lineNumber, classificationType, classificationCategory }]
+  async classify(document, classifications, options = {}) {
+    const { userId } = options;
+
+    if (!document.canBeEdited()) {
+      throw new AppError('Classification already accepted by MyDATA', 400);
+    }
+
+    return sequelize.transaction(async (t) => {
+      const items = await PurchaseDocumentItem.findAll({
+        where: { purchaseDocumentId: document.id },
+        order: [['lineNumber', 'ASC']],
+        transaction: t
+      });
+
+      for (const classification of classifications) {
+        const item = items.find(line => line.lineNumber === parseInt(classification.lineNumber));
+        if (!item) {
+          throw new AppError(`Line ${classification.lineNumber} not found`, 400);
+        }
+
+        this.validateClassification(classification, item.lineNumber);
+
+        await item.update({
+          classificationType: classification.classificationType,
+          classificationCategory: classification.classificationCategory
+        }, { transaction: t });
+      }
+
+      await document.update({
+        classificationStatus: this.classificationStatusFor(items),
+        classificationErrors: null,
+        updatedBy: userId
+      }, { transaction: t });
+
+      return document;
+    });
+  }
+
+  async remove(document) {
+    if (document.classificationStatus === 'submitted') {
+      throw new AppError('Purchase document with submitted classification cannot be deleted', 400);
+    }
+
+    await sequelize.transaction(async (t) => {
+      await PurchaseDocumentItem.destroy({ where: { purchaseDocumentId: document.id }, transaction: t });
+      await document.destroy({ transaction: t });
+    });
+  }
+
+  // ======================
+  // myDATA Submission
+  // ======================
+
+  async submitClassification(documentId, options = {}) {
+    const { userId } = options;
+
+    const document = await PurchaseDocument.findByPk(documentId, {
+      include: [{ model: PurchaseDocumentItem, as: 'items' }],
+      order: [[{ model: PurchaseDocumentItem, as: 'items' }, 'lineNumber', 'ASC']]
+    });
+
+    if (!document) {
+      throw new AppError('Purchase document not found', 404);
+    }
+
+    if (document.status === 'cancelled') {
+      throw new AppError('Cancelled purchase documents cannot be classified', 400);
+    }
+
+    if (document.classificationStatus === 'submitted') {
+      throw new AppError('Expenses classification already submitted', 400);
+    }
+
+    if (!document.mark) {
+      throw new AppError('Purchase document MARK is required for MyDATA classification', 400);
+    }
+
+    const unclassified = document.items.filter(item => !item.isClassified());
+    if (document.items.length === 0 || unclassified.length > 0) {
+      throw new AppError(
+        `All lines must be classified (missing: ${unclassified.map(item => item.lineNumber).join(', ') || 'all'})`,
+        400
+      );
+    }
+
+    // Ο λήπτης που παρέλαβε το παραστατικό από το myDATA, αλλιώς η εταιρεία του χρήστη
+    const service = await mydataCredentialService.forCompany(
+      document.metadata?.mydata?.companyId || options.companyId
+    );
+
+    let result;
+    try {
+      result = await service.sendExpensesClassification(document);
+    } catch (error) {
+      logError('MyDATA expenses classification request failed', { documentId, error: error.message });
+      throw new AppError(`MyDATA request failed: ${error.message}`, 502);
+    }
+
+    const accepted = result.statusCode === 'Success';
+
+    await document.update({
+      classificationStatus: accepted ? 'submitted' : 'rejected',
+      classificationMark: accepted ? result.classificationMark : document.classificationMark,
+      classificationSubmittedAt: accepted ? new Date() : document.classificationSubmittedAt,
+      classificationErrors: accepted ? null : result.errors,
+      updatedBy: userId
+    });
+
+    logInfo('MyDATA expenses classification submitted', {
+      documentId,
+      statusCode: result.statusCode,
+      classificationMark: result.classificationMark
+    });
+
+    return { document, result };
+  }
+
+  // Σύνοψη κατάστασης χαρακτηρισμού για το dashboard του λογιστή
+  async getClassificationSummary(where = {}) {
+    const rows = await PurchaseDocument.findAll({
+      where: { ...where, status: { [Op.ne]: 'cancelled' } },
+      attributes: [
+        'classificationStatus',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('net_amount')), 'netAmount']
+      ],
+      group: ['classificationStatus'],
+      raw: true
+    });
+
+    const summary = {
+      unclassified: { count: 0, netAmount: 0 },
+      classified: { count: 0, netAmount: 0 },
+      submitted: { count: 0, netAmount: 0 },
+      rejected: { count: 0, netAmount: 0 }
+    };
+
+    rows.forEach(row => {
+      summary[row.classificationStatus] = {
+        count: parseInt(row.count),
+        netAmount: parseFloat(row.netAmount) || 0
+      };
+    });
+
+    return summary;
+  }
+}
+
+export default new PurchaseService();
@@ -0,0 +1,549 @@
+// services/recurringDocumentService.js
+// Επαναλαμβανόμενα παραστατικά (συνδρομές, συμβόλαια υπηρεσιών): πρότυπο με isRecurring/recurringSchedule
+// και ημερήσια έκδοση του επόμενου παραστατικού με νέα αρίθμηση
+
+import cron from 'node-cron';
+import moment from 'moment';
+import {
+  Document,
+  DocumentItem,
+  Company,
+  Member,
+  RecurringDocumentRun,
+  User,
+  sequelize
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError, logWarning } from '../middleware/logger.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import emailService from './emailService.js';
+import pdfService from './pdfService.js';
+
+// Συχνότητα → μονάδα του moment
+const FREQUENCY_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months',
+  yearly: 'years'
+};
+
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'startDate', 'endDate', 'autoFinalize', 'autoSend', 'recipients'];
+
+// Πεδία του προτύπου που μεταφέρονται στο νέο παραστατικό
+const COPIED_FIELDS = [
+  'documentType', 'documentSeries', 'tenantId', 'companyId', 'memberId', 'subtotal', 'discountPercentage',
+  'discountAmount', 'vatRate', 'withholdingTaxRate', 'stampDuty', 'otherCharges', 'paymentMethod',
+  'paymentTerms', 'description', 'customerNotes', 'internalNotes'
+];
+
+const OMITTED_ITEM_FIELDS = ['id', 'documentId', 'referenceType', 'referenceId', 'createdAt', 'updatedAt'];
+
+// Αναπλήρωση χαμένων εκδόσεων (π.χ. μετά από διακοπή λειτουργίας) ανά πρότυπο και εκτέλεση
+const MAX_CATCH_UP = 12;
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+class RecurringDocumentService {
+  constructor() {
+    this.job = null;
+    this.running = false;
+  }
+
+  // ======================
+  // Lifecycle
+  // ======================
+
+  // Ημερήσια εκτέλεση (RECURRING_DOCUMENTS_CRON, προεπιλογή 06:00 ώρα Ελλάδας)
+  start() {
+    if (this.job) return;
+
+    const expression = process.env.RECURRING_DOCUMENTS_CRON || '0 6 * * *';
+    if (!cron.validate(expression)) {
+      logWarning('Invalid RECURRING_DOCUMENTS_CRON expression, recurring documents disabled', { expression });
+      return;
+    }
+
+    this.job = cron.schedule(expression, () => this.processDue().catch(error => {
+      logError('Recurring documents run failed', { error: error.message });
+    }), {
+      timezone: process.env.RECURRING_DOCUMENTS_TIMEZONE || 'Europe/Athens'
+    });
+
+    logInfo('Recurring documents job scheduled', { expression });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ======================
+  // Schedule
+  // ======================
+
+  // Ημερομηνία της n-οστής έκδοσης, πάντα από την αρχή (31/1 → 28/2 → 31/3)
+  getOccurrenceDate(schedule, occurrence) {
+    return moment(schedule.startDate)
+      .add(occurrence * schedule.interval, FREQUENCY_UNITS[schedule.frequency])
+      .format(DATE_FORMAT);
+  }
+
+  // Μετακίνηση στην επόμενη έκδοση· μετά το endDate το πρόγραμμα ολοκληρώνεται
+  advance(schedule) {
+    const occurrence = (schedule.occurrence || 0) + 1;
+    const nextRunDate = this.getOccurrenceDate(schedule, occurrence);
+    const completed = schedule.endDate && nextRunDate > schedule.endDate;
+
+    return {
+      ...schedule,
+      occurrence,
+      nextRunDate: completed ? null : nextRunDate,
+      status: completed ? 'completed' : schedule.status
+    };
+  }
+
+  normalizeSchedule(data, current = null) {
+    const schedule = {
+      frequency: 'monthly',
+      interval: 1,
+      endDate: null,
+      autoFinalize: false,
+      autoSend: false,
+      recipients: [],
+      status: 'active',
+      occurrence: 0,
+      generatedCount: 0,
+      ...(current || {})
+    };
+
+    SCHEDULE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) schedule[field] = data[field];
+    });
+
+    if (!FREQUENCY_UNITS[schedule.frequency]) {
+      throw new AppError(`Invalid frequency: ${schedule.frequency}`, 400);
+    }
+
+    schedule.interval = parseInt(schedule.interval);
+    if (!(schedule.interval >= 1)) {
+      throw new AppError('Interval must be a positive integer', 400);
+    }
+
+    if (!schedule.startDate || !moment(schedule.startDate, DATE_FORMAT, true).isValid()) {
+      throw new AppError('A valid startDate (YYYY-MM-DD) is required', 400);
+    }
+
+    if (schedule.endDate && schedule.endDate < schedule.startDate) {
+      throw new AppError('endDate must be on or after startDate', 400);
+    }
+
+    // Πρόχειρο δεν αποστέλλεται: η αυτόματη αποστολή προϋποθέτει οριστικοποίηση
+    if (schedule.autoSend) {
+      schedule.autoFinalize = true;
+    }
+
+    // Νέα αρχή: η αρίθμηση των εκδόσεων ξεκινά από την αρχή
+    if (!current || (data.startDate !== undefined && data.startDate !== current.startDate)) {
+      schedule.occurrence = 0;
+    }
+
+    const nextRunDate = this.getOccurrenceDate(schedule, schedule.occurrence);
+    const completed = schedule.endDate && nextRunDate > schedule.endDate;
+
+    schedule.nextRunDate = completed ? null : nextRunDate;
+    if (completed) {
+      schedule.status = 'completed';
+    } else if (schedule.status === 'completed') {
+      schedule.status = 'active';
+    }
+
+    return schedule;
+  }
+
+  // ======================
+  // Templates
+  // ======================
+
+  async getTemplate(id, options = {}) {
+    const template = await Document.findByPk(id, {
+      include: [
+        { model: Company, as: 'company', attributes: ['id', 'name', 'email'] },
+        { model: Member, as: 'member', attributes: ['id', 'email'] }
+      ],
+      transaction: options.transaction
+    });
+
+    if (!template) {
+      throw new AppError('Document not found', 404);
+    }
+
+    if (options.recurring !== false && !template.isRecurring) {
+      throw new AppError('Document is not recurring', 400);
+    }
+
+    return template;
+  }
+
+  async list({ page = 1, limit = 20, status, companyId } = {}) {
+    const where = { isRecurring: true };
+    if (companyId) where.companyId = companyId;
+
+    const templates = await Document.findAll({
+      where,
+      include: [{ model: Company, as: 'company', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    // Το status ζει μέσα στο JSON του προγράμματος
+    const filtered = status
+      ? templates.filter(template => template.recurringSchedule?.status === status)
+      : templates;
+
+    return {
+      count: filtered.length,
+      rows: filtered.slice((page - 1) * limit, page * limit)
+    };
+  }
+
+  async setSchedule(id, data, { userId } = {}) {
+    const template = await this.getTemplate(id, { recurring: false });
+
+    if (template.status === 'cancelled') {
+      throw new AppError('Cancelled documents cannot be used as recurring templates', 400);
+    }
+
+    const schedule = this.normalizeSchedule(data, template.isRecurring ? template.recurringSchedule : null);
+
+    await template.update({
+      isRecurring: true,
+      recurringSchedule: schedule,
+      updatedBy: userId
+    });
+
+    logInfo('Recurring schedule saved', { templateId: template.id, nextRunDate: schedule.nextRunDate });
+    return template;
+  }
+
+  // Το πρότυπο παραμένει ως παραστατικό· σταματά μόνο η επανάληψη
+  async removeSchedule(id, { userId } = {}) {
+    const template = await this.getTemplate(id);
+
+    await template.update({
+      isRecurring: false,
+      recurringSchedule: { ...template.recurringSchedule, status: 'stopped', nextRunDate: null },
+      updatedBy: userId
+    });
+
+    return template;
+  }
+
+  async pause(id, { userId } = {}) {
+    const template = await this.getTemplate(id);
+    const schedule = template.recurringSchedule;
+
+    if (schedule.status !== 'active') {
+      throw new AppError(`Recurring schedule is ${schedule.status}`, 400);
+    }
+
+    await template.update({
+      recurringSchedule: { ...schedule, status: 'paused', pausedAt: new Date().toISOString() },
+      updatedBy: userId
+    });
+    return template;
+  }
+
+  // Οι εκδόσεις της παύσης δεν εκδίδονται αναδρομικά: συνέχεια από την πρώτη μελλοντική
+  async resume(id, { userId, date } = {}) {
+    const template = await this.getTemplate(id);
+    let schedule = template.recurringSchedule;
+
+    if (schedule.status !== 'paused') {
+      throw new AppError(`Recurring schedule is ${schedule.status}`, 400);
+    }
+
+    const today = moment(date).format(DATE_FORMAT);
+    schedule = { ...schedule, status: 'active', pausedAt: null };
+    while (schedule.status === 'active' && schedule.nextRunDate < today) {
+      schedule = this.advance(schedule);
+    }
+
+    await template.update({ recurringSchedule: schedule, updatedBy: userId });
+    return template;
+  }
+
+  async skipNext(id, { userId } = {}) {
+    const template = await this.getTemplate(id);
+    const schedule = template.recurringSchedule;
+
+    if (!['active', 'paused'].includes(schedule.status) || !schedule.nextRunDate) {
+      throw new AppError(`Recurring schedule is ${schedule.status}`, 400);
+    }
+
+    await template.update({ recurringSchedule: this.advance(schedule), updatedBy: userId });
+
+    await RecurringDocumentRun.create({
+      templateId: template.id,
+      scheduledFor: schedule.nextRunDate,
+      trigger: 'manual',
+      status: 'skipped',
+      triggeredBy: userId
+    });
+
+    return template;
+  }
+
+  async getRuns(id, { page = 1, limit = 20 } = {}) {
+    return RecurringDocumentRun.findAndCountAll({
+      where: { templateId: id },
+      include: [
+        { model: Document, as: 'document', attributes: ['id', 'documentNumber', 'documentDate', 'status', 'total'] },
+        { model: User, as: 'user', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['scheduledFor', 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+
+  // ======================
+  // Generation
+  // ======================
+
+  // Ημερήσια εκτέλεση: όλα τα πρότυπα με επόμενη έκδοση έως σήμερα
+  async processDue({ date } = {}) {
+    if (this.running) {
+      throw new AppError('Recurring documents run is already in progress', 409);
+    }
+
+    this.running = true;
+    const today = moment(date).format(DATE_FORMAT);
+    const results = { date: today, generated: 0, failed: 0 };
+
+    try {
+      const templates = await Document.findAll({
+        where: { isRecurring: true },
+        attributes: ['id', 'tenantId', 'recurringSchedule']
+      });
+
+      const due = templates.filter(template => {
+        const schedule = template.recurringSchedule || {};
+        return schedule.status === 'active' && schedule.nextRunDate && schedule.nextRunDate <= today;
+      });
+
+      for (const template of due) {
+        for (let i = 0; i < MAX_CATCH_UP; i++) {
+          // Νέο παραστατικό, γραμμές και ιστορικό ανήκουν στον tenant του προτύπου
+          const result = await runWithTenant({ tenantId: template.tenantId }, () =>
+            this.generate(template.id, { trigger: 'schedule', date: today }));
+          if (!result) break;
+
+          if (result.run.status === 'success') {
+            results.generated++;
+          } else {
+            results.failed++;
+            break;
+          }
+        }
+      }
+
+      logInfo('Recurring documents run completed', results);
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+
+  // Έκδοση της επόμενης εμφάνισης· το κλείδωμα του προτύπου αποκλείει διπλή έκδοση
+  async generate(templateId, { trigger = 'manual', userId = null, date } = {}) {
+    const today = moment(date).format(DATE_FORMAT);
+    const t = await sequelize.transaction();
+    let scheduledFor = null;
+
+    try {
+      const template = await Document.findByPk(templateId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!template || !template.isRecurring) {
+        throw new AppError('Recurring document not found', 404);
+      }
+
+      const schedule = template.recurringSchedule;
+      scheduledFor = schedule.nextRunDate;
+
+      if (trigger === 'schedule' && (schedule.status !== 'active' || !scheduledFor || scheduledFor > today)) {
+        // Άλλο instance το εξέδωσε στο μεταξύ
+        await t.rollback();
+        return null;
+      }
+
+      if (!scheduledFor) {
+        throw new AppError(`Recurring schedule is ${schedule.status}`, 400);
+      }
+
+      const items = await DocumentItem.findAll({
+        where: { documentId: template.id },
+        order: [['sortOrder', 'ASC']],
+        transaction: t
+      });
+
+      const document = await Document.create(this.buildDocument(template, scheduledFor, userId), { transaction: t });
+
+      await DocumentItem.bulkCreate(items.map(item => {
+        const itemData = item.toJSON();
+        OMITTED_ITEM_FIELDS.forEach(field => delete itemData[field]);
+        return { ...itemData, documentId: document.id };
+      }), { transaction: t });
+
+      const next = this.advance(schedule);
+      await template.update({
+        recurringSchedule: {
+          ...next,
+          generatedCount: (schedule.generatedCount || 0) + 1,
+          lastRunAt: new Date().toISOString(),
+          lastDocumentId: document.id,
+          lastError: null
+        }
+      }, { transaction: t });
+
+      const run = await RecurringDocumentRun.create({
+        templateId: template.id,
+        documentId: document.id,
+        scheduledFor,
+        trigger,
+        status: 'success',
+        triggeredBy: userId
+      }, { transaction: t });
+
+      await t.commit();
+
+      logInfo('Recurring document generated', {
+        templateId: template.id,
+        documentId: document.id,
+        documentNumber: document.documentNumber,
+        scheduledFor
+      });
+
+      await this.deliver(document, schedule, run);
+
+      return { document, run };
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+
+      if (trigger !== 'schedule' || !scheduledFor) throw error;
+
+      // Το πρόγραμμα δεν προχωρά: νέα προσπάθεια στην επόμενη ημερήσια εκτέλεση
+      const run = await this.recordFailure(templateId, scheduledFor, error);
+      return { document: null, run };
+    }
+  }
+
+  buildDocument(template, scheduledFor, userId) {
+    const data = {};
+    COPIED_FIELDS.forEach(field => { data[field] = template[field]; });
+
+    // Η προθεσμία πληρωμής διατηρεί την απόσταση από την ημερομηνία έκδοσης του προτύπου
+    let dueDate = null;
+    if (template.dueDate && template.documentDate) {
+      const days = moment(template.dueDate).diff(moment(template.documentDate), 'days');
+      dueDate = moment(scheduledFor).add(days, 'days').format(DATE_FORMAT);
+    }
+
+    return {
+      ...data,
+      documentDate: scheduledFor,
+      dueDate,
+      status: 'draft',
+      paidAmount: 0,
+      relatedDocumentId: template.id,
+      createdBy: userId || template.createdBy
+    };
+  }
+
+  // Οριστικοποίηση (PDF) και αποστολή με email μετά την έκδοση· τα σφάλματα καταγράφονται στο ιστορικό
+  async deliver(document, schedule, run) {
+    if (!schedule.autoFinalize) return;
+
+    const full = await Document.findByPk(document.id, {
+      include: [
+        { model: Company, as: 'company' },
+        { model: Member, as: 'member' },
+        { model: DocumentItem, as: 'items' }
+      ]
+    });
+
+    let pdfBuffer;
+    try {
+      await full.update({ status: 'pending' });
+      pdfBuffer = await pdfService.getDocumentPDF(full, { regenerate: true });
+      await full.update({ pdfUrl: `/documents/${full.id}/pdf` });
+    } catch (error) {
+      logError('Recurring document finalize failed', { documentId: full.id, error: error.message });
+      await run.update({ error: `Finalize failed: ${error.message}` });
+      return;
+    }
+
+    if (!schedule.autoSend) return;
+
+    const recipients = schedule.recipients?.length > 0
+      ? schedule.recipients
+      : [full.member?.email || full.company?.email].filter(Boolean);
+
+    if (recipients.length === 0) {
+      await run.update({ emailStatus: 'failed', error: 'No recipient email' });
+      return;
+    }
+
+    const to = recipients.join(', ');
+    try {
+      await emailService.sendDocumentEmail({
+        to,
+        document: full,
+        attachment: {
+          filename: `${full.documentType}-${full.documentNumber}.pdf`,
+          content: pdfBuffer
+        }
+      });
+
+      await full.update({ status: 'sent', sentAt: new Date(), emailedTo: to.slice(0, 255) });
+      await run.update({ emailStatus: 'sent', emailedTo: to.slice(0, 255) });
+    } catch (error) {
+      logError('Recurring document email failed', { documentId: full.id, error: error.message });
+      await run.update({ emailStatus: 'failed', emailedTo: to.slice(0, 255), error: error.message });
+    }
+  }
+
+  async recordFailure(templateId, scheduledFor, error) {
+    logError('Recurring document generation failed', { templateId, scheduledFor, error: error.message });
+
+    const template = await Document.findByPk(templateId, { attributes: ['id', 'recurringSchedule'] });
+    if (template) {
+      await template.update({
+        recurringSchedule: { ...template.recurringSchedule, lastError: error.message }
+      });
+    }
+
+    return RecurringDocumentRun.create({
+      templateId,
+      scheduledFor,
+      trigger: 'schedule',
+      status: 'failed',
+      error: error.message
+    });
+  }
+
+  // Προεπισκόπηση των επόμενων ημερομηνιών έκδοσης
+  getUpcomingDates(schedule, count = 5) {
+    const dates = [];
+    let current = schedule;
+
+    while (current.nextRunDate && ['active', 'paused'].includes(current.status) && dates.length < count) {
+      dates.push(current.nextRunDate);
+      current = this.advance(current);
+    }
+
+    return dates;
+  }
+}
+
+export default new RecurringDocumentService();
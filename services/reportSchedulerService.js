@@ -0,0 +1,359 @@
+// services/reportSchedulerService.js
+// Cron εκτέλεση προγραμματισμένων αναφορών και αποστολή με email
+
+import cron from 'node-cron';
+import moment from 'moment';
+import { Op } from 'sequelize';
+import { ScheduledReport, ScheduledReportRun, SavedReport } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError, logWarning } from '../middleware/logger.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import reportService from './reportService.js';
+import pdfService from './pdfService.js';
+import emailService from './emailService.js';
+
+// Προεπιλεγμένη περίοδος ανά συχνότητα
+const DEFAULT_PERIODS = {
+  daily: 'yesterday',
+  weekly: 'previous_week',
+  monthly: 'previous_month',
+  cron: 'previous_month'
+};
+
+// Ελάχιστο διάστημα μεταξύ δύο εκτελέσεων (προστασία από διπλή εκτέλεση σε πολλά instances)
+const CLAIM_WINDOW_MS = 55 * 1000;
+
+const EDITABLE_FIELDS = [
+  'name', 'reportType', 'savedReportId', 'parameters', 'frequency', 'cronExpression',
+  'timeOfDay', 'dayOfWeek', 'dayOfMonth', 'timezone', 'recipients', 'format'
+];
+
+class ReportSchedulerService {
+  constructor() {
+    this.cronJobs = new Map();
+    // Έκφραση/ζώνη ώρας με την οποία προγραμματίστηκε κάθε job σε αυτόν τον worker
+    this.jobSignatures = new Map();
+    this.running = new Set();
+    this.started = false;
+  }
+
+  // ======================
+  // Lifecycle
+  // ======================
+
+  async start() {
+    if (this.started) return;
+
+    try {
+      const schedules = await ScheduledReport.findAll({ where: { status: 'active' } });
+      schedules.forEach(scheduledReport => this.schedule(scheduledReport));
+      this.started = true;
+
+      logInfo('Report scheduler started', { schedules: this.cronJobs.size });
+    } catch (error) {
+      logError('Failed to start report scheduler', error);
+    }
+  }
+
+  stop() {
+    this.cronJobs.forEach(job => job.stop());
+    this.cronJobs.clear();
+    this.jobSignatures.clear();
+    this.started = false;
+  }
+
+  schedule(scheduledReport) {
+    this.unschedule(scheduledReport.id);
+
+    if (!scheduledReport.isActive()) return;
+
+    const expression = scheduledReport.getCronExpression();
+    if (!cron.validate(expression)) {
+      logWarning('Invalid cron expression for scheduled report', {
+        scheduledReportId: scheduledReport.id,
+        expression
+      });
+      return;
+    }
+
+    const job = cron.schedule(expression, () => this.runScheduled(scheduledReport.id), {
+      scheduled: false,
+      timezone: scheduledReport.timezone
+    });
+
+    this.cronJobs.set(scheduledReport.id, job);
+    this.jobSignatures.set(scheduledReport.id, this.getSignature(scheduledReport));
+    job.start();
+  }
+
+  unschedule(id) {
+    const job = this.cronJobs.get(id);
+    if (job) {
+      job.stop();
+      this.cronJobs.delete(id);
+      this.jobSignatures.delete(id);
+    }
+  }
+
+  getSignature(scheduledReport) {
+    return `${scheduledReport.getCronExpression()}|${scheduledReport.timezone || ''}`;
+  }
+
+  // ======================
+  // Schedule Management
+  // ======================
+
+  async validateSchedule(values) {
+    if (values.frequency === 'cron' && (!values.cronExpression || !cron.validate(values.cronExpression))) {
+      throw new AppError('Invalid cron expression', 400);
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: values.timezone || 'Europe/Athens' });
+    } catch {
+      throw new AppError(`Invalid timezone: ${values.timezone}`, 400);
+    }
+
+    if (!Array.isArray(values.recipients) || values.recipients.length === 0) {
+      throw new AppError('At least one recipient is required', 400);
+    }
+
+    const parameters = values.parameters || {};
+    if (parameters.period) {
+      reportService.resolvePeriod(parameters.period);
+    }
+
+    if (values.reportType === 'custom') {
+      const savedReport = values.savedReportId ? await SavedReport.findByPk(values.savedReportId) : null;
+      if (!savedReport) {
+        throw new AppError('Saved report not found', 404);
+      }
+      // Έλεγχος ορισμού πριν τον προγραμματισμό
+      reportService.normalizeCustomReport(savedReport.definition);
+    }
+  }
+
+  async createSchedule(data, { userId } = {}) {
+    const values = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    await this.validateSchedule({ frequency: 'monthly', ...values });
+
+    const scheduledReport = await ScheduledReport.create({
+      ...values,
+      savedReportId: values.reportType === 'custom' ? values.savedReportId : null,
+      createdBy: userId
+    });
+
+    this.schedule(scheduledReport);
+    return scheduledReport;
+  }
+
+  async updateSchedule(scheduledReport, data) {
+    const values = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    const merged = { ...scheduledReport.get({ plain: true }), ...values };
+    await this.validateSchedule(merged);
+
+    if (merged.reportType !== 'custom') {
+      values.savedReportId = null;
+    }
+
+    await scheduledReport.update(values);
+    this.schedule(scheduledReport);
+    return scheduledReport;
+  }
+
+  async pause(scheduledReport) {
+    if (scheduledReport.status === 'paused') {
+      throw new AppError('Scheduled report is already paused', 400);
+    }
+
+    await scheduledReport.update({ status: 'paused' });
+    this.unschedule(scheduledReport.id);
+    return scheduledReport;
+  }
+
+  async resume(scheduledReport) {
+    if (scheduledReport.status === 'active') {
+      throw new AppError('Scheduled report is already active', 400);
+    }
+
+    await scheduledReport.update({ status: 'active' });
+    this.schedule(scheduledReport);
+    return scheduledReport;
+  }
+
+  async deleteSchedule(scheduledReport) {
+    this.unschedule(scheduledReport.id);
+    await ScheduledReportRun.destroy({ where: { scheduledReportId: scheduledReport.id } });
+    await scheduledReport.destroy();
+  }
+
+  // ======================
+  // Execution
+  // ======================
+
+  // Cron tick
+  async runScheduled(id) {
+    if (this.running.has(id)) return null;
+
+    try {
+      // Pause/resume/edit σε άλλον worker ενημερώνουν μόνο τα δικά του jobs: το tick
+      // επιβεβαιώνει το πρόγραμμα από τη βάση πριν το claim
+      const current = await ScheduledReport.findByPk(id);
+      if (!current || !current.isActive()) {
+        this.unschedule(id);
+        return null;
+      }
+
+      if (this.getSignature(current) !== this.jobSignatures.get(id)) {
+        this.schedule(current);
+        return null;
+      }
+
+      // Atomic claim ώστε κάθε tick να εκτελείται μία φορά
+      const now = new Date();
+      const [claimed] = await ScheduledReport.update({ lastRunAt: now }, {
+        where: {
+          id,
+          status: 'active',
+          [Op.or]: [
+            { lastRunAt: null },
+            { lastRunAt: { [Op.lt]: new Date(now.getTime() - CLAIM_WINDOW_MS) } }
+          ]
+        }
+      });
+
+      if (!claimed) return null;
+
+      // Η αναφορά περιέχει μόνο δεδομένα του tenant που τη δημιούργησε
+      const scheduledReport = await ScheduledReport.findByPk(id);
+      return await runWithTenant({ tenantId: scheduledReport.tenantId }, () =>
+        this.execute(scheduledReport, { trigger: 'schedule' }));
+    } catch (error) {
+      logError('Scheduled report tick failed', { scheduledReportId: id, error: error.message });
+      return null;
+    }
+  }
+
+  // Δημιουργία, αποστολή και καταγραφή μίας εκτέλεσης
+  async execute(scheduledReport, { trigger = 'manual', userId = null } = {}) {
+    if (this.running.has(scheduledReport.id)) {
+      throw new AppError('Scheduled report is already running', 409);
+    }
+
+    this.running.add(scheduledReport.id);
+    const startedAt = new Date();
+
+    let run;
+    try {
+      run = await ScheduledReportRun.create({
+        scheduledReportId: scheduledReport.id,
+        trigger,
+        status: 'running',
+        startedAt,
+        recipients: scheduledReport.recipients,
+        triggeredBy: userId
+      });
+    } catch (error) {
+      this.running.delete(scheduledReport.id);
+      throw error;
+    }
+
+    try {
+      const savedReport = scheduledReport.reportType === 'custom'
+        ? await SavedReport.findByPk(scheduledReport.savedReportId)
+        : null;
+
+      const parameters = {
+        period: DEFAULT_PERIODS[scheduledReport.frequency],
+        ...(scheduledReport.parameters || {})
+      };
+
+      const report = await reportService.generateReportByType(scheduledReport.reportType, parameters, {
+        savedReport,
+        reference: startedAt
+      });
+
+      const attachments = await this.buildAttachments(scheduledReport, report, startedAt);
+
+      await emailService.sendReportEmail({
+        to: scheduledReport.recipients,
+        subject: `${scheduledReport.name} - ${moment(startedAt).format('DD/MM/YYYY')}`,
+        reportName: scheduledReport.name,
+        period: report.period,
+        attachments
+      });
+
+      await run.finish('success', {
+        attachments: attachments.map(attachment => ({
+          filename: attachment.filename,
+          size: attachment.content.length
+        }))
+      });
+
+      await scheduledReport.update({
+        lastRunAt: startedAt,
+        lastStatus: 'success',
+        lastError: null
+      });
+
+      logInfo('Scheduled report sent', {
+        scheduledReportId: scheduledReport.id,
+        trigger,
+        recipients: scheduledReport.recipients.length
+      });
+    } catch (error) {
+      await run.finish('failed', { error: error.message });
+
+      await scheduledReport.update({
+        lastRunAt: startedAt,
+        lastStatus: 'failed',
+        lastError: error.message
+      });
+
+      logError('Scheduled report failed', {
+        scheduledReportId: scheduledReport.id,
+        trigger,
+        error: error.message
+      });
+    } finally {
+      this.running.delete(scheduledReport.id);
+    }
+
+    return run;
+  }
+
+  async buildAttachments(scheduledReport, report, date) {
+    const basename = `${scheduledReport.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${moment(date).format('YYYY-MM-DD')}`;
+    const attachments = [];
+
+    if (['pdf', 'both'].includes(scheduledReport.format)) {
+      attachments.push({
+        filename: `${basename}.pdf`,
+        content: await pdfService.generateReportPDF(report, scheduledReport.reportType, {
+          title: scheduledReport.name
+        }),
+        contentType: 'application/pdf'
+      });
+    }
+
+    if (['excel', 'both'].includes(scheduledReport.format)) {
+      attachments.push({
+        filename: `${basename}.xlsx`,
+        content: Buffer.from(await reportService.exportToExcel(report)),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      });
+    }
+
+    return attachments;
+  }
+}
+
+export default new ReportSchedulerService();
@@ -7,11 +7,99 @@ import Company from '../models/Company.js';
 import Document from '../models/Document.js';
 import DocumentItem from '../models/DocumentItem.js';
 import Member from '../models/Member.js';
-import pdfService from './pdfService.js';
-import emailService from './emailService.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import { AppError } from '../middleware/errorHandler.js';
 import ExcelJS from 'exceljs';
 import moment from 'moment';
 
+// Επιτρεπόμενα πεδία ανά οντότητα για τον custom report builder
+const CUSTOM_REPORT_ENTITIES = {
+  invoice: {
+    model: Invoice,
+    fields: [
+      'invoiceNumber', 'series', 'type', 'status', 'companyId', 'issueDate', 'dueDate',
+      'deliveryDate', 'subtotal', 'vatAmount', 'discountAmount', 'totalAmount', 'creditedAmount', 'currency',
+      'paymentMethod', 'vatCategory', 'mydataStatus', 'createdAt'
+    ]
+  },
+  document: {
+    model: Document,
+    fields: [
+      'documentType', 'documentNumber', 'documentSeries', 'documentDate', 'dueDate', 'companyId',
+      'status', 'paymentMethod', 'subtotal', 'discountAmount', 'vatAmount', 'withholdingTaxAmount',
+      'total', 'paidAmount', 'balanceDue', 'mydataStatus', 'createdAt'
+    ]
+  },
+  member: {
+    model: Member,
+    fields: [
+      'companyId', 'memberType', 'email', 'city', 'postalCode', 'country', 'afm', 'category',
+      'isActive', 'isFavorite', 'createdAt'
+    ]
+  },
+  company: {
+    model: Company,
+    fields: [
+      'name', 'legalName', 'afm', 'city', 'country', 'businessType', 'industry',
+      'subscriptionPlan', 'subscriptionStatus', 'isActive', 'isVerified', 'createdAt'
+    ]
+  },
+  payment: {
+    model: Payment,
+    fields: [
+      'paymentNumber', 'type', 'status', 'companyId', 'memberId', 'paymentDate', 'valueDate',
+      'amount', 'currency', 'paymentMethod', 'processingFee', 'bankCharges', 'netAmount',
+      'allocatedAmount', 'unallocatedAmount', 'isReconciled', 'createdAt'
+    ]
+  }
+};
+
+// Τελεστές φίλτρων ανά τύπο πεδίου
+const FILTER_OPERATORS = {
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'notIn', 'isNull', 'notNull'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'isNull', 'notNull'],
+  string: ['eq', 'ne', 'in', 'notIn', 'like', 'isNull', 'notNull'],
+  boolean: ['eq', 'ne', 'isNull', 'notNull']
+};
+
+const AGGREGATE_FUNCTIONS = {
+  sum: ['number'],
+  avg: ['number'],
+  min: ['number', 'date'],
+  max: ['number', 'date'],
+  count: ['number', 'date', 'string', 'boolean']
+};
+
+const DATE_BUCKETS = {
+  day: 'YYYY-MM-DD',
+  week: 'GGGG-[W]WW',
+  month: 'YYYY-MM',
+  quarter: 'YYYY-[Q]Q',
+  year: 'YYYY'
+};
+
+const CUSTOM_REPORT_DEFAULT_LIMIT = 1000;
+const CUSTOM_REPORT_MAX_LIMIT = 5000;
+
+const ALIAS_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,62}$/;
+
+// Αναφορές που μπορούν να προγραμματιστούν
+const SCHEDULED_REPORT_TYPES = ['financial', 'customers', 'aging', 'tax', 'vat', 'members', 'custom'];
+
+// Σχετικές περίοδοι αναφοράς ως προς την ημερομηνία εκτέλεσης
+const REPORT_PERIODS = {
+  yesterday: now => [now.clone().subtract(1, 'day').startOf('day'), now.clone().subtract(1, 'day').endOf('day')],
+  previous_week: now => [now.clone().subtract(1, 'week').startOf('isoWeek'), now.clone().subtract(1, 'week').endOf('isoWeek')],
+  last_7_days: now => [now.clone().subtract(7, 'days').startOf('day'), now.clone().subtract(1, 'day').endOf('day')],
+  previous_month: now => [now.clone().subtract(1, 'month').startOf('month'), now.clone().subtract(1, 'month').endOf('month')],
+  month_to_date: now => [now.clone().startOf('month'), now.clone().endOf('day')],
+  previous_quarter: now => [now.clone().subtract(1, 'quarter').startOf('quarter'), now.clone().subtract(1, 'quarter').endOf('quarter')],
+  quarter_to_date: now => [now.clone().startOf('quarter'), now.clone().endOf('day')],
+  previous_year: now => [now.clone().subtract(1, 'year').startOf('year'), now.clone().subtract(1, 'year').endOf('year')],
+  year_to_date: now => [now.clone().startOf('year'), now.clone().endOf('day')]
+};
+
 class ReportService {
   constructor() {
     this.defaultDateRange = {
@@ -61,6 +149,14 @@ class ReportService {
         }]
       });
 
+      // Πιστωτικά (μειώνουν τα έσοδα της περιόδου)
+      const creditNotes = await Document.findAll({
+        where: {
+          ...whereClause,
+          documentType: 'credit_note'
+        }
+      });
+
       // Έξοδα
       const expenses = await Document.findAll({
         where: {
@@ -72,7 +168,9 @@ class ReportService {
       });
 
       // Υπολογισμοί
-      const totalRevenue = revenues.reduce((sum, doc) => sum + parseFloat(doc.total || 0), 0);
+      const grossRevenue = revenues.reduce((sum, doc) => sum + parseFloat(doc.total || 0), 0);
+      const totalCredits = creditNotes.reduce((sum, doc) => sum + parseFloat(doc.total || 0), 0);
+      const totalRevenue = grossRevenue - totalCredits;
       const totalExpenses = expenses.reduce((sum, doc) => sum + parseFloat(doc.total || 0), 0);
       const netProfit = totalRevenue - totalExpenses;
       const profitMargin = totalRevenue > 0 ? (netProfit / totalRevenue) * 100 : 0;
@@ -90,14 +188,20 @@ class ReportService {
           totalExpenses,
           netProfit,
           profitMargin: profitMargin.toFixed(2),
-          documentCount: revenues.length + expenses.length
+          documentCount: revenues.length + creditNotes.length + expenses.length
         },
         revenues: {
           total: totalRevenue,
+          gross: grossRevenue,
           count: revenues.length,
-          averageValue: revenues.length > 0 ? (totalRevenue / revenues.length).toFixed(2) : 0,
+          averageValue: revenues.length > 0 ? (grossRevenue / revenues.length).toFixed(2) : 0,
           documents: reportType === 'detailed' ? revenues : []
         },
+        creditNotes: {
+          total: totalCredits,
+          count: creditNotes.length,
+          documents: reportType === 'detailed' ? creditNotes : []
+        },
         expenses: {
           total: totalExpenses,
           count: expenses.length,
@@ -126,9 +230,13 @@ class ReportService {
       group: ['documentType']
     });
 
+    // Ο ΦΠΑ των πιστωτικών αφαιρείται από τον εισπραχθέντα
     const vatCollected = documents
-      .filter(d => ['invoice', 'receipt'].includes(d.documentType))
-      .reduce((sum, d) => sum + parseFloat(d.dataValues.totalVat || 0), 0);
+      .filter(d => ['invoice', 'receipt', 'credit_note'].includes(d.documentType))
+      .reduce((sum, d) => {
+        const vat = parseFloat(d.dataValues.totalVat || 0);
+        return d.documentType === 'credit_note' ? sum - vat : sum + vat;
+      }, 0);
 
     const vatPaid = documents
       .filter(d => ['supplier_invoice', 'expense'].includes(d.documentType))
@@ -405,6 +513,356 @@ class ReportService {
     }
   }
 
+  // ======================
+  // Custom Reports
+  // ======================
+
+  getCustomReportEntities() {
+    return Object.entries(CUSTOM_REPORT_ENTITIES).map(([entityType, entity]) => ({
+      entityType,
+      fields: entity.fields.map(field => {
+        const type = this._fieldType(entity.model, field);
+        return {
+          field,
+          label: this.formatMetricName(field),
+          type,
+          operators: FILTER_OPERATORS[type],
+          aggregations: Object.keys(AGGREGATE_FUNCTIONS).filter(fn => AGGREGATE_FUNCTIONS[fn].includes(type)),
+          buckets: type === 'date' ? Object.keys(DATE_BUCKETS) : undefined
+        };
+      })
+    }));
+  }
+
+  // Έλεγχος και κανονικοποίηση ορισμού αναφοράς (μόνο πεδία/τελεστές από whitelist)
+  normalizeCustomReport(definition = {}) {
+    const entityType = String(definition.entityType || '').toLowerCase().replace(/ies$/, 'y').replace(/s$/, '');
+    const entity = CUSTOM_REPORT_ENTITIES[entityType];
+
+    if (!entity) {
+      throw new AppError(`Unsupported entity type. Allowed: ${Object.keys(CUSTOM_REPORT_ENTITIES).join(', ')}`, 400);
+    }
+
+    const assertField = (field, context) => {
+      if (!entity.fields.includes(field)) {
+        throw new AppError(`Field "${field}" is not allowed in ${context}`, 400);
+      }
+      return this._fieldType(entity.model, field);
+    };
+
+    // Φίλτρα: [{ field, operator, value }] ή { field: value }
+    const rawFilters = Array.isArray(definition.filters)
+      ? definition.filters
+      : Object.entries(definition.filters || {}).map(([field, value]) => ({ field, operator: 'eq', value }));
+
+    const filters = rawFilters.map(filter => {
+      const operator = filter.operator || 'eq';
+      const type = assertField(filter.field, 'filters');
+
+      if (!FILTER_OPERATORS[type].includes(operator)) {
+        throw new AppError(`Operator "${operator}" is not allowed for ${type} field "${filter.field}"`, 400);
+      }
+
+      return { field: filter.field, operator, value: this._normalizeFilterValue(filter, type, operator) };
+    });
+
+    // Ομαδοποίηση: 'status' ή { field: 'documentDate', bucket: 'month' }
+    const groupBy = (Array.isArray(definition.groupBy) ? definition.groupBy : definition.groupBy ? [definition.groupBy] : [])
+      .map(group => {
+        const { field, bucket } = typeof group === 'string' ? { field: group } : group;
+        const type = assertField(field, 'groupBy');
+
+        if (bucket && (type !== 'date' || !DATE_BUCKETS[bucket])) {
+          throw new AppError(`Invalid date bucket "${bucket}" for field "${field}"`, 400);
+        }
+
+        if (!bucket && type === 'date') {
+          return { field, bucket: 'day', alias: `${field}_day` };
+        }
+
+        return { field, bucket, alias: bucket ? `${field}_${bucket}` : field };
+      });
+
+    const aggregations = (definition.aggregations || []).map(aggregation => {
+      const fn = String(aggregation.function || aggregation.fn || '').toLowerCase();
+      if (!AGGREGATE_FUNCTIONS[fn]) {
+        throw new AppError(`Aggregation "${fn}" is not supported`, 400);
+      }
+
+      const field = aggregation.field && aggregation.field !== '*' ? aggregation.field : null;
+      if (!field && fn !== 'count') {
+        throw new AppError(`Aggregation "${fn}" requires a field`, 400);
+      }
+
+      if (field) {
+        const type = assertField(field, 'aggregations');
+        if (!AGGREGATE_FUNCTIONS[fn].includes(type)) {
+          throw new AppError(`Aggregation "${fn}" is not allowed for ${type} field "${field}"`, 400);
+        }
+      }
+
+      const alias = aggregation.alias || (field ? `${fn}_${field}` : 'count');
+      if (!ALIAS_PATTERN.test(alias)) {
+        throw new AppError(`Invalid alias "${alias}"`, 400);
+      }
+
+      return { fn, field, alias };
+    });
+
+    const aliases = [...groupBy.map(group => group.alias), ...aggregations.map(aggregation => aggregation.alias)];
+    if (new Set(aliases).size !== aliases.length) {
+      throw new AppError('Duplicate column aliases in report definition', 400);
+    }
+
+    const grouped = groupBy.length > 0 || aggregations.length > 0;
+    const fields = grouped ? [] : (definition.fields && definition.fields.length ? definition.fields : entity.fields);
+    fields.forEach(field => assertField(field, 'fields'));
+
+    let sortBy = definition.sortBy || null;
+    if (sortBy && !(grouped ? aliases : fields).includes(sortBy)) {
+      throw new AppError(`Cannot sort by "${sortBy}"`, 400);
+    }
+
+    const sortOrder = String(definition.sortOrder || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    const limit = Math.min(parseInt(definition.limit) || CUSTOM_REPORT_DEFAULT_LIMIT, CUSTOM_REPORT_MAX_LIMIT);
+
+    return {
+      reportName: definition.reportName || definition.name || `${this.formatMetricName(entityType)} report`,
+      entityType,
+      fields,
+      filters,
+      groupBy,
+      aggregations,
+      sortBy,
+      sortOrder,
+      limit
+    };
+  }
+
+  async generateCustomReport(definition) {
+    const spec = this.normalizeCustomReport(definition);
+    const { model } = CUSTOM_REPORT_ENTITIES[spec.entityType];
+    const grouped = spec.groupBy.length > 0 || spec.aggregations.length > 0;
+
+    const where = spec.filters.length > 0
+      ? { [Op.and]: spec.filters.map(filter => this._buildFilter(filter)) }
+      : {};
+
+    let rows;
+    let columns;
+
+    if (grouped) {
+      const groupExpressions = spec.groupBy.map(group => this._groupExpression(model, group));
+
+      const attributes = [
+        ...groupExpressions.map((expression, index) => [expression, spec.groupBy[index].alias]),
+        ...spec.aggregations.map(aggregation => [this._aggregateExpression(model, aggregation), aggregation.alias])
+      ];
+
+      const order = spec.sortBy
+        ? [[sequelize.literal(this._quote(spec.sortBy)), spec.sortOrder]]
+        : groupExpressions.map(expression => [expression, 'ASC']);
+
+      rows = await model.findAll({
+        attributes,
+        where,
+        group: groupExpressions,
+        order,
+        limit: spec.limit,
+        raw: true
+      });
+
+      rows = rows.map(row => this._formatGroupedRow(row, spec));
+
+      columns = [
+        ...spec.groupBy.map(group => ({
+          key: group.alias,
+          label: this.formatMetricName(group.field) + (group.bucket ? ` (${group.bucket})` : ''),
+          type: group.bucket ? 'string' : this._fieldType(model, group.field)
+        })),
+        ...spec.aggregations.map(aggregation => ({
+          key: aggregation.alias,
+          label: `${aggregation.fn.toUpperCase()} ${aggregation.field ? this.formatMetricName(aggregation.field) : ''}`.trim(),
+          type: ['min', 'max'].includes(aggregation.fn) && this._fieldType(model, aggregation.field) === 'date' ? 'date' : 'number'
+        }))
+      ];
+    } else {
+      rows = await model.findAll({
+        attributes: spec.fields,
+        where,
+        order: spec.sortBy ? [[spec.sortBy, spec.sortOrder]] : undefined,
+        limit: spec.limit,
+        raw: true
+      });
+
+      rows = rows.map(row => this._formatPlainRow(row, model, spec.fields));
+
+      columns = spec.fields.map(field => ({
+        key: field,
+        label: this.formatMetricName(field),
+        type: this._fieldType(model, field)
+      }));
+    }
+
+    return {
+      name: spec.reportName,
+      entityType: spec.entityType,
+      definition: spec,
+      columns,
+      rows,
+      summary: {
+        rowCount: rows.length,
+        truncated: rows.length >= spec.limit,
+        ...this._aggregateTotals(rows, spec.aggregations)
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  _fieldType(model, field) {
+    const attribute = model.getAttributes()[field];
+    const key = attribute?.type?.key;
+
+    if (['DECIMAL', 'INTEGER', 'BIGINT', 'FLOAT', 'DOUBLE', 'REAL'].includes(key)) return 'number';
+    if (['DATE', 'DATEONLY'].includes(key)) return 'date';
+    if (key === 'BOOLEAN') return 'boolean';
+    return 'string';
+  }
+
+  _normalizeFilterValue(filter, type, operator) {
+    const { value } = filter;
+
+    if (['isNull', 'notNull'].includes(operator)) return null;
+
+    const convert = (item) => {
+      if (type === 'number') {
+        const number = parseFloat(item);
+        if (Number.isNaN(number)) throw new AppError(`Invalid number for "${filter.field}"`, 400);
+        return number;
+      }
+      if (type === 'date') {
+        const date = moment(item, moment.ISO_8601, true);
+        if (!date.isValid()) throw new AppError(`Invalid date for "${filter.field}"`, 400);
+        return item;
+      }
+      if (type === 'boolean') {
+        return item === true || item === 'true';
+      }
+      return String(item);
+    };
+
+    if (operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new AppError(`Operator "between" requires two values for "${filter.field}"`, 400);
+      }
+      return value.map(convert);
+    }
+
+    if (['in', 'notIn'].includes(operator)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new AppError(`Operator "${operator}" requires a list for "${filter.field}"`, 400);
+      }
+      return value.map(convert);
+    }
+
+    if (value === undefined || value === null || Array.isArray(value)) {
+      throw new AppError(`Missing value for "${filter.field}"`, 400);
+    }
+
+    return convert(value);
+  }
+
+  _buildFilter({ field, operator, value }) {
+    switch (operator) {
+      case 'isNull':
+        return { [field]: { [Op.is]: null } };
+      case 'notNull':
+        return { [field]: { [Op.not]: null } };
+      case 'like':
+        return {
+          [field]: { [sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like]: `%${value}%` }
+        };
+      default:
+        return { [field]: { [Op[operator]]: value } };
+    }
+  }
+
+  _column(model, field) {
+    return sequelize.col(model.getAttributes()[field].field);
+  }
+
+  _groupExpression(model, group) {
+    const column = this._column(model, group.field);
+    return group.bucket ? sequelize.fn('date_trunc', group.bucket, column) : column;
+  }
+
+  _aggregateExpression(model, aggregation) {
+    const column = aggregation.field
+      ? this._column(model, aggregation.field)
+      : this._column(model, model.primaryKeyAttribute);
+
+    return sequelize.fn(aggregation.fn.toUpperCase(), column);
+  }
+
+  _quote(alias) {
+    return sequelize.getQueryInterface().quoteIdentifier(alias);
+  }
+
+  _formatGroupedRow(row, spec) {
+    const formatted = {};
+
+    spec.groupBy.forEach(group => {
+      const value = row[group.alias];
+      formatted[group.alias] = group.bucket && value ? moment(value).format(DATE_BUCKETS[group.bucket]) : value;
+    });
+
+    spec.aggregations.forEach(aggregation => {
+      const value = row[aggregation.alias];
+      if (value === null || value === undefined) {
+        formatted[aggregation.alias] = null;
+      } else if (aggregation.fn === 'count') {
+        formatted[aggregation.alias] = parseInt(value);
+      } else if (value instanceof Date || Number.isNaN(parseFloat(value))) {
+        formatted[aggregation.alias] = value;
+      } else {
+        formatted[aggregation.alias] = Math.round(parseFloat(value) * 100) / 100;
+      }
+    });
+
+    return formatted;
+  }
+
+  _formatPlainRow(row, model, fields) {
+    const formatted = {};
+
+    fields.forEach(field => {
+      const value = row[field];
+      formatted[field] = this._fieldType(model, field) === 'number' && value !== null ? parseFloat(value) : value;
+    });
+
+    return formatted;
+  }
+
+  // Σύνολα στηλών για sum/count/min/max (ο μέσος όρος δεν αθροίζεται)
+  _aggregateTotals(rows, aggregations) {
+    const totals = {};
+
+    aggregations.forEach(({ fn, alias }) => {
+      const values = rows.map(row => row[alias]).filter(value => typeof value === 'number');
+      if (values.length === 0) return;
+
+      if (fn === 'sum' || fn === 'count') {
+        totals[alias] = Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+      } else if (fn === 'min') {
+        totals[alias] = Math.min(...values);
+      } else if (fn === 'max') {
+        totals[alias] = Math.max(...values);
+      }
+    });
+
+    return totals;
+  }
+
   // ======================
   // Export Functions
   // ======================
@@ -430,6 +888,24 @@ class ReportService {
       this.addDataToSheet(expenseSheet, reportData.expenses.documents || []);
     }
 
+    // Custom reports (γραμμές με ορισμένες στήλες)
+    if (reportData.rows) {
+      const dataSheet = workbook.addWorksheet('Report');
+      this.addDataToSheet(dataSheet, reportData.rows, reportData.columns);
+    }
+
+    // Λοιποί πίνακες (top customers, aging, statistics, ...)
+    Object.entries(reportData)
+      .filter(([key, value]) => !['rows', 'columns'].includes(key) && Array.isArray(value) && value.length > 0 && typeof value[0] === 'object')
+      .forEach(([key, value]) => {
+        const sheet = workbook.addWorksheet(this.formatMetricName(key).slice(0, 31));
+        this.addDataToSheet(sheet, value);
+      });
+
+    if (workbook.worksheets.length === 0) {
+      workbook.addWorksheet('Report');
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     return buffer;
   }
@@ -456,15 +932,17 @@ class ReportService {
     };
   }
 
-  addDataToSheet(worksheet, data) {
+  addDataToSheet(worksheet, data, columnDefinitions = null) {
     if (!data || data.length === 0) return;
 
     // Auto-generate columns από το πρώτο object
-    const columns = Object.keys(data[0]).map(key => ({
-      header: this.formatMetricName(key),
-      key: key,
-      width: 15
-    }));
+    const columns = columnDefinitions
+      ? columnDefinitions.map(column => ({ header: column.label, key: column.key, width: 18 }))
+      : Object.keys(data[0]).map(key => ({
+        header: this.formatMetricName(key),
+        key: key,
+        width: 15
+      }));
 
     worksheet.columns = columns;
 
@@ -493,28 +971,136 @@ class ReportService {
   // Scheduled Reports
   // ======================
 
-  async sendScheduledReports() {
-    // Μηνιαίες αναφορές
-    if (moment().date() === 1) {
-      const lastMonth = moment().subtract(1, 'month');
-      const report = await this.generateFinancialReport({
-        startDate: lastMonth.startOf('month').toDate(),
-        endDate: lastMonth.endOf('month').toDate()
-      });
+  getScheduledReportTypes() {
+    return SCHEDULED_REPORT_TYPES;
+  }
+
+  getReportPeriods() {
+    return Object.keys(REPORT_PERIODS);
+  }
+
+  // Σχετική περίοδος (π.χ. προηγούμενος μήνας) ως προς την ημερομηνία εκτέλεσης
+  resolvePeriod(period, reference = new Date()) {
+    const resolver = REPORT_PERIODS[period];
+    if (!resolver) {
+      throw new AppError(`Invalid report period: ${period}`, 400);
+    }
+
+    const [start, end] = resolver(moment(reference));
+
+    return {
+      startDate: start.toDate(),
+      endDate: end.toDate()
+    };
+  }
+
+  // Εκτέλεση αναφοράς βάσει τύπου και αποθηκευμένων παραμέτρων (scheduled reports)
+  async generateReportByType(reportType, parameters = {}, options = {}) {
+    const { savedReport = null, reference = new Date() } = options;
+
+    const range = parameters.startDate && parameters.endDate
+      ? { startDate: new Date(parameters.startDate), endDate: new Date(parameters.endDate) }
+      : this.resolvePeriod(parameters.period || 'previous_month', reference);
+
+    switch (reportType) {
+      case 'financial':
+        return this.generateFinancialReport({
+          ...range,
+          companyId: parameters.companyId || null,
+          reportType: parameters.reportType || 'summary'
+        });
+
+      case 'customers':
+        return this.generateCustomerReport({
+          ...range,
+          topN: parameters.topN || 10
+        });
 
-      const pdf = await pdfService.generateReportPDF(report, 'financial');
-      
-      await emailService.sendReportEmail({
-        to: process.env.ADMIN_EMAIL,
-        subject: `Μηνιαία Οικονομική Αναφορά - ${lastMonth.format('MMMM YYYY')}`,
-        report: report,
-        attachment: {
-          filename: `financial-report-${lastMonth.format('YYYY-MM')}.pdf`,
-          content: pdf
+      case 'aging':
+        return {
+          aging: await this.generateAgingAnalysis(),
+          generatedAt: new Date()
+        };
+
+      case 'tax': {
+        const start = moment(range.startDate);
+        const scope = parameters.year
+          ? { year: parameters.year, quarter: parameters.quarter || null, month: parameters.month || null }
+          : {
+            year: start.year(),
+            quarter: /quarter/.test(parameters.period) ? start.quarter() : null,
+            month: /year|quarter/.test(parameters.period) ? null : start.month() + 1
+          };
+
+        const report = await this.generateTaxReport(scope);
+        return {
+          ...report,
+          summary: {
+            vatCollected: report.vat.collected,
+            vatPaid: report.vat.paid,
+            vatBalance: report.vat.balance,
+            withholdings: report.withholdings.total
+          }
+        };
+      }
+
+      case 'vat': {
+        const vat = await this.calculateVATAnalysis({
+          documentDate: {
+            [Op.between]: [range.startDate, range.endDate]
+          },
+          status: {
+            [Op.notIn]: ['draft', 'cancelled']
+          }
+        });
+
+        return {
+          period: {
+            startDate: moment(range.startDate).format('DD/MM/YYYY'),
+            endDate: moment(range.endDate).format('DD/MM/YYYY')
+          },
+          summary: {
+            collected: vat.collected,
+            paid: vat.paid,
+            balance: vat.balance
+          },
+          details: vat.details.map(detail => ({
+            documentType: detail.documentType,
+            count: parseInt(detail.dataValues.count) || 0,
+            totalVat: parseFloat(detail.dataValues.totalVat) || 0
+          })),
+          generatedAt: new Date()
+        };
+      }
+
+      case 'members':
+        return this.generateMemberReport({
+          includeInactive: Boolean(parameters.includeInactive)
+        });
+
+      case 'custom': {
+        if (!savedReport) {
+          throw new AppError('Saved report not found', 404);
         }
-      });
+
+        const report = await this.generateCustomReport({
+          ...savedReport.definition,
+          name: savedReport.name
+        });
+
+        return {
+          ...report,
+          period: {
+            startDate: moment(range.startDate).format('DD/MM/YYYY'),
+            endDate: moment(range.endDate).format('DD/MM/YYYY')
+          }
+        };
+      }
+
+      default:
+        throw new AppError(`Unsupported report type: ${reportType}`, 400);
     }
   }
 }
 
-export default new ReportService();
\ No newline at end of file
+export default new ReportService();
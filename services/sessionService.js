@@ -0,0 +1,230 @@
+// services/sessionService.js
+// Refresh tokens με rotation σε κάθε ανανέωση, ανίχνευση επαναχρησιμοποίησης και συνεδρίες ανά συσκευή
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import { RefreshToken, sequelize } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logWarning } from '../middleware/logger.js';
+import auditService from './auditService.js';
+
+const REFRESH_TOKEN_TTL_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionService {
+  // ======================
+  // Tokens
+  // ======================
+
+  // sid: η συνεδρία του access token, ώστε η ανάκληση να ισχύει αμέσως
+  signAccessToken(user, familyId, expiresIn = '24h') {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        sid: familyId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  // Νέο refresh token· χωρίς familyId ξεκινά νέα συνεδρία (σύνδεση)
+  async issue(user, { ipAddress, userAgent, familyId, transaction } = {}) {
+    const family = familyId || crypto.randomUUID();
+
+    // jti: δύο tokens στο ίδιο δευτερόλεπτο δεν συμπίπτουν
+    const token = jwt.sign(
+      { id: user.id, sid: family, jti: crypto.randomBytes(16).toString('hex') },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+    );
+
+    const record = await RefreshToken.create({
+      token,
+      userId: user.id,
+      familyId: family,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      createdByIp: ipAddress,
+      userAgent,
+      lastUsedAt: new Date()
+    }, { transaction });
+
+    return { token, record };
+  }
+
+  // Ανανέωση: το παλιό token ανακαλείται και δείχνει στο νέο (replacedByToken).
+  // Επαναχρησιμοποίηση token που έχει ήδη αντικατασταθεί ανακαλεί όλη τη συνεδρία.
+  async rotate(token, { ipAddress, userAgent } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+    } catch {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+      const stored = await RefreshToken.findOne({
+        where: { token, userId: decoded.id },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      if (!stored) {
+        throw new AppError('Invalid refresh token', 401);
+      }
+
+      if (stored.isRotated()) {
+        await t.rollback();
+        await this.handleReuse(stored, { ipAddress, userAgent });
+        throw new AppError('Refresh token reuse detected; the session has been signed out', 401);
+      }
+
+      if (!stored.isActive()) {
+        throw new AppError('Invalid or expired refresh token', 401);
+      }
+
+      const user = await stored.getUser({ transaction: t });
+      if (!user || user.status !== 'active') {
+        throw new AppError('Account is not active', 401);
+      }
+
+      const familyId = stored.familyId || stored.id;
+      const { token: refreshToken } = await this.issue(user, {
+        ipAddress,
+        userAgent: userAgent || stored.userAgent,
+        familyId,
+        transaction: t
+      });
+
+      stored.revoke(ipAddress, 'rotated');
+      stored.replacedByToken = refreshToken;
+      await stored.save({ transaction: t });
+
+      await t.commit();
+
+      return { user, familyId, refreshToken };
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+  }
+
+  async handleReuse(stored, { ipAddress, userAgent } = {}) {
+    const familyId = stored.familyId || stored.id;
+    const revoked = await this.revokeFamily(stored.userId, familyId, { ipAddress, reason: 'reuse_detected' });
+
+    logWarning('Refresh token reuse detected', { userId: stored.userId, familyId, ipAddress });
+
+    await auditService.logSecurityEvent('REFRESH_TOKEN_REUSE', 'high', {
+      userId: stored.userId,
+      entityType: 'RefreshToken',
+      entityId: stored.id,
+      description: 'Rotated refresh token was used again; session revoked',
+      ipAddress,
+      userAgent,
+      metadata: {
+        familyId,
+        revokedTokens: revoked,
+        rotatedAt: stored.revokedAt,
+        originalIp: stored.createdByIp
+      }
+    });
+  }
+
+  // ======================
+  // Sessions
+  // ======================
+
+  async revokeFamily(userId, familyId, { ipAddress, reason = 'revoked', transaction } = {}) {
+    const [count] = await RefreshToken.update({
+      isRevoked: true,
+      revokedAt: new Date(),
+      revokedByIp: ipAddress,
+      revokedReason: reason
+    }, {
+      where: {
+        userId,
+        familyId,
+        isRevoked: false
+      },
+      transaction
+    });
+
+    return count;
+  }
+
+  // Μία εγγραφή ανά συνεδρία: το τρέχον (μη ανακληθέν) token της οικογένειας
+  async list(userId, currentFamilyId = null) {
+    const tokens = await RefreshToken.findAll({
+      where: {
+        userId,
+        isRevoked: false,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    const sessions = new Map();
+    tokens.forEach(token => {
+      const familyId = token.familyId || token.id;
+      if (sessions.has(familyId)) return;
+
+      sessions.set(familyId, {
+        id: familyId,
+        userAgent: token.userAgent,
+        ipAddress: token.createdByIp,
+        lastUsedAt: token.lastUsedAt || token.createdAt,
+        expiresAt: token.expiresAt,
+        current: familyId === currentFamilyId
+      });
+    });
+
+    return [...sessions.values()];
+  }
+
+  async revoke(userId, familyId, { ipAddress } = {}) {
+    const count = await this.revokeFamily(userId, familyId, { ipAddress, reason: 'revoked' });
+    if (count === 0) {
+      throw new AppError('Session not found', 404);
+    }
+    return count;
+  }
+
+  // «Αποσύνδεση παντού»· με exceptFamilyId η τρέχουσα συνεδρία παραμένει
+  async revokeAll(userId, { ipAddress, exceptFamilyId = null, reason = 'logout_all' } = {}) {
+    const where = { userId, isRevoked: false };
+    if (exceptFamilyId) {
+      where.familyId = { [Op.ne]: exceptFamilyId };
+    }
+
+    const [count] = await RefreshToken.update({
+      isRevoked: true,
+      revokedAt: new Date(),
+      revokedByIp: ipAddress,
+      revokedReason: reason
+    }, { where });
+
+    return count;
+  }
+
+  // Για το authenticate: access token συνεδρίας που ανακλήθηκε δεν γίνεται δεκτό
+  async isActive(userId, familyId) {
+    const count = await RefreshToken.count({
+      where: {
+        userId,
+        familyId,
+        isRevoked: false,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    return count > 0;
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,440 @@
+// services/statementService.js
+// Καρτέλα πελάτη: εκκρεμότητα, κινήσεις με προοδευτικό υπόλοιπο, ενηλικίωση υπολοίπων
+
+import ExcelJS from 'exceljs';
+import moment from 'moment';
+import { Op } from 'sequelize';
+import { Company, Member, Document, Payment, User } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError } from '../middleware/logger.js';
+import pdfTemplateService from './pdfTemplateService.js';
+import emailService from './emailService.js';
+
+// Παραστατικά που χρεώνουν / πιστώνουν τον πελάτη
+const DEBIT_DOCUMENT_TYPES = ['invoice', 'receipt', 'debit_note'];
+const CREDIT_DOCUMENT_TYPES = ['credit_note'];
+const EXCLUDED_DOCUMENT_STATUSES = ['draft', 'cancelled'];
+
+// Εισπράξεις πιστώνουν, επιστροφές χρημάτων χρεώνουν
+const CREDIT_PAYMENT_TYPES = ['incoming', 'advance', 'deposit'];
+const DEBIT_PAYMENT_TYPES = ['refund', 'outgoing'];
+const POSTED_PAYMENT_STATUSES = ['completed', 'refunded'];
+
+const DOCUMENT_LABELS = {
+  invoice: 'ΤΙΜ',
+  receipt: 'ΑΠΥ',
+  debit_note: 'ΧΡΕ',
+  credit_note: 'ΠΙΣ'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+class StatementService {
+  // ======================
+  // Customer Resolution
+  // ======================
+
+  async getCustomer({ companyId, memberId }) {
+    if (companyId) {
+      const company = await Company.findByPk(companyId);
+      if (!company) throw new AppError('Company not found', 404);
+      return { type: 'company', entity: company, where: { companyId } };
+    }
+
+    if (memberId) {
+      const member = await Member.findByPk(memberId);
+      if (!member) throw new AppError('Member not found', 404);
+      return { type: 'member', entity: member, where: { memberId } };
+    }
+
+    throw new AppError('companyId or memberId is required', 400);
+  }
+
+  _customerContext({ type, entity }) {
+    if (type === 'company') {
+      return { id: entity.id, ...pdfTemplateService.buildCompanyContext(entity) };
+    }
+
+    return {
+      id: entity.id,
+      name: entity.getFullName(),
+      address: [entity.street, entity.streetNumber].filter(Boolean).join(' '),
+      city: entity.city,
+      postalCode: entity.postalCode,
+      vatNumber: entity.afm,
+      taxOffice: entity.doy,
+      phone: entity.phone || entity.mobile,
+      email: entity.email
+    };
+  }
+
+  // ======================
+  // Statement
+  // ======================
+
+  resolveDates({ dateFrom, dateTo } = {}) {
+    const to = dateTo ? moment(dateTo) : moment();
+    const from = dateFrom ? moment(dateFrom) : to.clone().startOf('year');
+
+    if (!from.isValid() || !to.isValid()) {
+      throw new AppError('Invalid statement dates', 400);
+    }
+    if (from.isAfter(to)) {
+      throw new AppError('dateFrom must be before dateTo', 400);
+    }
+
+    return { dateFrom: from.format('YYYY-MM-DD'), dateTo: to.format('YYYY-MM-DD') };
+  }
+
+  _documentWhere(where, documentDate) {
+    return {
+      ...where,
+      documentDate,
+      documentType: { [Op.in]: [...DEBIT_DOCUMENT_TYPES, ...CREDIT_DOCUMENT_TYPES] },
+      status: { [Op.notIn]: EXCLUDED_DOCUMENT_STATUSES }
+    };
+  }
+
+  _paymentWhere(where, paymentDate) {
+    return {
+      ...where,
+      paymentDate,
+      type: { [Op.in]: [...CREDIT_PAYMENT_TYPES, ...DEBIT_PAYMENT_TYPES] },
+      status: { [Op.in]: POSTED_PAYMENT_STATUSES }
+    };
+  }
+
+  // Υπόλοιπο μέχρι (και όχι συμπεριλαμβανομένης) μιας ημερομηνίας
+  async getBalanceBefore(where, date) {
+    const documentDate = { [Op.lt]: date };
+    const paymentDate = { [Op.lt]: date };
+
+    const [documentDebits, documentCredits, paymentCredits, paymentDebits] = await Promise.all([
+      Document.sum('total', { where: { ...this._documentWhere(where, documentDate), documentType: { [Op.in]: DEBIT_DOCUMENT_TYPES } } }),
+      Document.sum('total', { where: { ...this._documentWhere(where, documentDate), documentType: { [Op.in]: CREDIT_DOCUMENT_TYPES } } }),
+      Payment.sum('amount', { where: { ...this._paymentWhere(where, paymentDate), type: { [Op.in]: CREDIT_PAYMENT_TYPES } } }),
+      Payment.sum('amount', { where: { ...this._paymentWhere(where, paymentDate), type: { [Op.in]: DEBIT_PAYMENT_TYPES } } })
+    ]);
+
+    const amount = value => parseFloat(value) || 0;
+    return round(amount(documentDebits) + amount(paymentDebits) - amount(documentCredits) - amount(paymentCredits));
+  }
+
+  async generateStatement({ companyId, memberId }, options = {}) {
+    const customer = await this.getCustomer({ companyId, memberId });
+    const { dateFrom, dateTo } = this.resolveDates(options);
+    const period = { [Op.between]: [dateFrom, dateTo] };
+
+    const [openingBalance, documents, payments] = await Promise.all([
+      this.getBalanceBefore(customer.where, dateFrom),
+      Document.findAll({
+        where: this._documentWhere(customer.where, period),
+        attributes: ['id', 'documentType', 'documentNumber', 'documentDate', 'dueDate', 'total', 'balanceDue', 'status', 'description'],
+        order: [['documentDate', 'ASC'], ['createdAt', 'ASC']]
+      }),
+      Payment.findAll({
+        where: this._paymentWhere(customer.where, period),
+        attributes: ['id', 'type', 'paymentNumber', 'paymentDate', 'amount', 'paymentMethod', 'referenceNumber', 'description'],
+        order: [['paymentDate', 'ASC'], ['createdAt', 'ASC']]
+      })
+    ]);
+
+    const entries = [
+      ...documents.map(document => {
+        const total = parseFloat(document.total) || 0;
+        const isDebit = DEBIT_DOCUMENT_TYPES.includes(document.documentType);
+        return {
+          date: document.documentDate,
+          type: 'document',
+          id: document.id,
+          docType: DOCUMENT_LABELS[document.documentType],
+          docTypeClass: isDebit ? 'invoice' : 'credit',
+          documentType: document.documentType,
+          documentNumber: document.documentNumber,
+          description: document.description || document.documentType,
+          dueDate: document.dueDate,
+          debit: isDebit ? total : 0,
+          credit: isDebit ? 0 : total,
+          isOverdue: isDebit && parseFloat(document.balanceDue) > 0 && document.dueDate && document.dueDate < dateTo
+        };
+      }),
+      ...payments.map(payment => {
+        const amount = parseFloat(payment.amount) || 0;
+        const isCredit = CREDIT_PAYMENT_TYPES.includes(payment.type);
+        return {
+          date: payment.paymentDate,
+          type: 'payment',
+          id: payment.id,
+          docType: isCredit ? 'ΕΙΣ' : 'ΕΠΙΣΤΡ',
+          docTypeClass: 'payment',
+          documentNumber: payment.paymentNumber,
+          description: payment.description || (isCredit ? 'Είσπραξη' : 'Επιστροφή χρημάτων'),
+          reference: payment.referenceNumber,
+          debit: isCredit ? 0 : amount,
+          credit: isCredit ? amount : 0,
+          isOverdue: false
+        };
+      })
+    ].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    let balance = openingBalance;
+    let totalDebits = 0;
+    let totalCredits = 0;
+
+    const transactions = entries.map(entry => {
+      totalDebits += entry.debit;
+      totalCredits += entry.credit;
+      balance = round(balance + entry.debit - entry.credit);
+      return { ...entry, runningBalance: balance };
+    });
+
+    return {
+      statementNumber: `ST-${moment(dateTo).format('YYYYMMDD')}-${customer.entity.id.slice(0, 8).toUpperCase()}`,
+      customerType: customer.type,
+      customer: this._customerContext(customer),
+      dateFrom,
+      dateTo,
+      summary: {
+        openingBalance,
+        totalDebits: round(totalDebits),
+        totalCredits: round(totalCredits),
+        closingBalance: balance,
+        transactions: transactions.length
+      },
+      transactions,
+      agingAnalysis: await this.getAgingAnalysis(customer.where, dateTo)
+    };
+  }
+
+  // Ανάλυση ανοικτών υπολοίπων ανά ημέρες καθυστέρησης
+  async getAgingAnalysis(where, asOf) {
+    const documents = await Document.findAll({
+      where: {
+        ...this._documentWhere(where, { [Op.lte]: asOf }),
+        documentType: { [Op.in]: DEBIT_DOCUMENT_TYPES },
+        balanceDue: { [Op.gt]: 0 }
+      },
+      attributes: ['documentDate', 'dueDate', 'balanceDue']
+    });
+
+    const aging = { current: 0, days30: 0, days60: 0, days90plus: 0 };
+    documents.forEach(document => {
+      const daysOverdue = moment(asOf).diff(moment(document.dueDate || document.documentDate), 'days');
+      const amount = parseFloat(document.balanceDue) || 0;
+
+      if (daysOverdue <= 30) aging.current += amount;
+      else if (daysOverdue <= 60) aging.days30 += amount;
+      else if (daysOverdue <= 90) aging.days60 += amount;
+      else aging.days90plus += amount;
+    });
+
+    const total = round(aging.current + aging.days30 + aging.days60 + aging.days90plus);
+    const percent = value => (total > 0 ? Math.round((value / total) * 100) : 0);
+
+    return {
+      current: round(aging.current),
+      days30: round(aging.days30),
+      days60: round(aging.days60),
+      days90plus: round(aging.days90plus),
+      total,
+      currentPercent: percent(aging.current),
+      days30Percent: percent(aging.days30),
+      days60Percent: percent(aging.days60),
+      days90plusPercent: percent(aging.days90plus)
+    };
+  }
+
+  // ======================
+  // Export
+  // ======================
+
+  // Εκδότης: η εταιρεία του χρήστη
+  async resolveIssuer(userId) {
+    if (!userId) return null;
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'companyId'] });
+    return user?.companyId ? Company.findByPk(user.companyId) : null;
+  }
+
+  async generatePDF(statement, { issuer = null } = {}) {
+    return pdfTemplateService.renderPDF('statement', {
+      ...statement,
+      company: pdfTemplateService.buildCompanyContext(issuer),
+      printDate: new Date(),
+      showPaymentInstructions: statement.summary.closingBalance > 0
+    }, {
+      company: issuer,
+      title: `Καρτέλα ${statement.customer.name || ''} ${statement.dateFrom} - ${statement.dateTo}`
+    });
+  }
+
+  async exportToExcel(statement) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'BizFlow ERP';
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet('Καρτέλα');
+
+    worksheet.addRow(['Καρτέλα πελάτη', statement.customer.name]);
+    worksheet.addRow(['ΑΦΜ', statement.customer.vatNumber || '']);
+    worksheet.addRow(['Περίοδος', `${moment(statement.dateFrom).format('DD/MM/YYYY')} - ${moment(statement.dateTo).format('DD/MM/YYYY')}`]);
+    worksheet.addRow([]);
+
+    const header = worksheet.addRow(['Ημερομηνία', 'Τύπος', 'Αριθμός', 'Περιγραφή', 'Χρέωση', 'Πίστωση', 'Υπόλοιπο']);
+    header.font = { bold: true };
+
+    worksheet.addRow([moment(statement.dateFrom).toDate(), '', '', 'Εκ μεταφοράς', null, null, statement.summary.openingBalance]);
+    statement.transactions.forEach(transaction => {
+      worksheet.addRow([
+        moment(transaction.date).toDate(),
+        transaction.docType,
+        transaction.documentNumber,
+        transaction.description,
+        transaction.debit || null,
+        transaction.credit || null,
+        transaction.runningBalance
+      ]);
+    });
+
+    const totals = worksheet.addRow(['', '', '', 'Σύνολα', statement.summary.totalDebits, statement.summary.totalCredits, statement.summary.closingBalance]);
+    totals.font = { bold: true };
+
+    worksheet.columns = [
+      { width: 12, style: { numFmt: 'dd/mm/yyyy' } },
+      { width: 8 },
+      { width: 18 },
+      { width: 40 },
+      { width: 14, style: { numFmt: '#,##0.00' } },
+      { width: 14, style: { numFmt: '#,##0.00' } },
+      { width: 14, style: { numFmt: '#,##0.00' } }
+    ];
+
+    const agingSheet = workbook.addWorksheet('Ενηλικίωση');
+    agingSheet.columns = [
+      { header: 'Διάστημα', key: 'label', width: 16 },
+      { header: 'Ποσό', key: 'amount', width: 14, style: { numFmt: '#,##0.00' } },
+      { header: '%', key: 'percent', width: 8 }
+    ];
+    agingSheet.getRow(1).font = { bold: true };
+
+    const { agingAnalysis } = statement;
+    [
+      ['0-30 ημέρες', agingAnalysis.current, agingAnalysis.currentPercent],
+      ['31-60 ημέρες', agingAnalysis.days30, agingAnalysis.days30Percent],
+      ['61-90 ημέρες', agingAnalysis.days60, agingAnalysis.days60Percent],
+      ['90+ ημέρες', agingAnalysis.days90plus, agingAnalysis.days90plusPercent],
+      ['Σύνολο', agingAnalysis.total, 100]
+    ].forEach(([label, amount, percent]) => agingSheet.addRow({ label, amount, percent }));
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  // Αρχείο καρτέλας για download (pdf / excel)
+  async exportStatement(statement, format, { issuer = null } = {}) {
+    const basename = `statement-${statement.statementNumber}`;
+
+    if (format === 'excel') {
+      return {
+        filename: `${basename}.xlsx`,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        content: Buffer.from(await this.exportToExcel(statement))
+      };
+    }
+
+    return {
+      filename: `${basename}.pdf`,
+      contentType: 'application/pdf',
+      content: await this.generatePDF(statement, { issuer })
+    };
+  }
+
+  // ======================
+  // Email
+  // ======================
+
+  async sendStatement(statement, { to, issuer = null, message } = {}) {
+    const recipient = to || statement.customer.email;
+    if (!recipient) {
+      throw new AppError('Customer has no email address', 400);
+    }
+
+    const pdfBuffer = await this.generatePDF(statement, { issuer });
+
+    return emailService.sendStatementEmail({
+      to: recipient,
+      statement,
+      message,
+      attachment: {
+        filename: `${statement.statementNumber}.pdf`,
+        content: pdfBuffer
+      }
+    });
+  }
+
+  // Εταιρείες-πελάτες με μη μηδενικό υπόλοιπο έως την ημερομηνία
+  async getCustomersWithBalance(dateTo) {
+    const asOf = moment(dateTo).add(1, 'day').format('YYYY-MM-DD');
+    const companyIds = new Set();
+
+    const [documents, payments] = await Promise.all([
+      Document.findAll({
+        where: this._documentWhere({ companyId: { [Op.ne]: null } }, { [Op.lt]: asOf }),
+        attributes: ['companyId'],
+        group: ['companyId'],
+        raw: true
+      }),
+      Payment.findAll({
+        where: this._paymentWhere({ companyId: { [Op.ne]: null } }, { [Op.lt]: asOf }),
+        attributes: ['companyId'],
+        group: ['companyId'],
+        raw: true
+      })
+    ]);
+
+    [...documents, ...payments].forEach(row => companyIds.add(row.companyId));
+
+    const customers = [];
+    for (const companyId of companyIds) {
+      const balance = await this.getBalanceBefore({ companyId }, asOf);
+      if (balance !== 0) customers.push({ companyId, balance });
+    }
+
+    return customers;
+  }
+
+  async sendBulkStatements(options = {}, { userId } = {}) {
+    const { dateFrom, dateTo } = this.resolveDates(options);
+    const issuer = await this.resolveIssuer(userId);
+    const customers = await this.getCustomersWithBalance(dateTo);
+
+    const results = { total: customers.length, sent: [], skipped: [], failed: [] };
+
+    for (const { companyId, balance } of customers) {
+      try {
+        const statement = await this.generateStatement({ companyId }, { dateFrom, dateTo });
+
+        if (!statement.customer.email) {
+          results.skipped.push({ companyId, name: statement.customer.name, balance, reason: 'No email address' });
+          continue;
+        }
+
+        await this.sendStatement(statement, { issuer, message: options.message });
+        results.sent.push({ companyId, name: statement.customer.name, email: statement.customer.email, balance });
+      } catch (error) {
+        logError('Failed to send customer statement', { companyId, error: error.message });
+        results.failed.push({ companyId, balance, error: error.message });
+      }
+    }
+
+    logInfo('Bulk customer statements sent', {
+      total: results.total,
+      sent: results.sent.length,
+      skipped: results.skipped.length,
+      failed: results.failed.length
+    });
+
+    return results;
+  }
+}
+
+export default new StatementService();
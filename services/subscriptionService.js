@@ -0,0 +1,495 @@
+// services/subscriptionService.js
+// Πακέτα συνδρομής των tenants: όρια και μετρητές χρήσης ανά περίοδο χρέωσης, λήξη δοκιμαστικής περιόδου,
+// υπενθυμίσεις ανανέωσης και αλλαγή πακέτου με αναλογική χρέωση
+
+import cron from 'node-cron';
+import moment from 'moment';
+import { Op } from 'sequelize';
+import { Company, Member, UsageCounter, sequelize } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logInfo, logError, logWarning } from '../middleware/logger.js';
+import auditService from './auditService.js';
+import emailService from './emailService.js';
+import { runWithoutTenantScope } from '../utils/tenantContext.js';
+import { getBillingPeriod } from '../utils/usageMeter.js';
+
+// Πακέτα (ίδια με το subscription-renewal.hbs· null = απεριόριστο)
+const PLANS = {
+  basic: {
+    name: 'basic',
+    displayName: 'Basic',
+    monthlyPrice: 29,
+    features: { maxMembers: 100, maxInvoices: 1000, hasReports: false, hasAPI: false }
+  },
+  professional: {
+    name: 'professional',
+    displayName: 'Professional',
+    monthlyPrice: 59,
+    features: { maxMembers: 500, maxInvoices: 5000, hasReports: true, hasAPI: true }
+  },
+  enterprise: {
+    name: 'enterprise',
+    displayName: 'Enterprise',
+    monthlyPrice: 99,
+    features: { maxMembers: null, maxInvoices: null, hasReports: true, hasAPI: true }
+  }
+};
+
+// Μετρούμενοι πόροι: τα μέλη είναι συνολικό όριο (ενεργά), τα τιμολόγια όριο ανά περίοδο χρέωσης
+const METRICS = {
+  members: { feature: 'maxMembers', perPeriod: false, label: 'ενεργά μέλη' },
+  invoices: { feature: 'maxInvoices', perPeriod: true, label: 'τιμολόγια/αποδείξεις ανά περίοδο χρέωσης' }
+};
+
+const SUBSCRIPTION_STATUSES = ['active', 'inactive', 'suspended', 'trial'];
+
+// Ημέρες πριν τη λήξη που αποστέλλεται υπενθύμιση ανανέωσης
+const RENEWAL_REMINDER_DAYS = [14, 7, 3, 1];
+
+const CURRENCY = 'EUR';
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class SubscriptionService {
+  constructor() {
+    this.job = null;
+    this.running = false;
+  }
+
+  // ======================
+  // Lifecycle
+  // ======================
+
+  // Ημερήσιος έλεγχος (SUBSCRIPTIONS_CRON, προεπιλογή 07:00 ώρα Ελλάδας)
+  start() {
+    if (this.job) return;
+
+    const expression = process.env.SUBSCRIPTIONS_CRON || '0 7 * * *';
+    if (!cron.validate(expression)) {
+      logWarning('Invalid SUBSCRIPTIONS_CRON expression, subscription checks disabled', { expression });
+      return;
+    }
+
+    this.job = cron.schedule(expression, () => this.processDue().catch(error => {
+      logError('Subscription run failed', { error: error.message });
+    }), {
+      timezone: process.env.SUBSCRIPTIONS_TIMEZONE || 'Europe/Athens'
+    });
+
+    logInfo('Subscription checks scheduled', { expression });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ======================
+  // Plans
+  // ======================
+
+  getPlans() {
+    return Object.values(PLANS);
+  }
+
+  getPlan(name) {
+    const plan = PLANS[name];
+    if (!plan) {
+      throw new AppError(`Unknown subscription plan: ${name}`, 400);
+    }
+    return plan;
+  }
+
+  // Όριο του tenant: τα features της εταιρείας (ειδική συμφωνία) αλλιώς του πακέτου
+  getLimit(company, metric) {
+    const { feature } = METRICS[metric];
+    const value = company.features?.[feature];
+    if (value !== undefined) return value;
+    return PLANS[company.subscriptionPlan]?.features[feature] ?? null;
+  }
+
+  // Tenant εταιρεία (tenant_id = id)· εκτός scope, γιατί καλείται και από super-admin/cron
+  async getTenantCompany(tenantId, options = {}) {
+    const company = await runWithoutTenantScope(() => Company.findByPk(tenantId, options));
+    if (!company || company.tenantId !== company.id) {
+      throw new AppError('Tenant company not found', 404);
+    }
+    return company;
+  }
+
+  // ======================
+  // Usage
+  // ======================
+
+  getBillingPeriod(company, date = new Date()) {
+    return getBillingPeriod(company.subscriptionStartDate, date);
+  }
+
+  async getUsage(company, metric, date = new Date(), options = {}) {
+    if (!METRICS[metric]) {
+      throw new AppError(`Unknown usage metric: ${metric}`, 400);
+    }
+
+    if (!METRICS[metric].perPeriod) {
+      return runWithoutTenantScope(() => Member.count({
+        where: { tenantId: company.id, isActive: true },
+        transaction: options.transaction
+      }));
+    }
+
+    const period = this.getBillingPeriod(company, date);
+    const counter = await runWithoutTenantScope(() => UsageCounter.findOne({
+      where: { tenantId: company.id, metric, periodStart: period.start },
+      transaction: options.transaction
+    }));
+
+    return counter ? counter.count : 0;
+  }
+
+  async getUsageSummary(company, date = new Date()) {
+    const period = this.getBillingPeriod(company, date);
+    const plan = PLANS[company.subscriptionPlan];
+
+    const metrics = {};
+    for (const [metric, definition] of Object.entries(METRICS)) {
+      const used = await this.getUsage(company, metric, date);
+      const limit = this.getLimit(company, metric);
+
+      metrics[metric] = {
+        label: definition.label,
+        perPeriod: definition.perPeriod,
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(limit - used, 0)
+      };
+    }
+
+    const history = await runWithoutTenantScope(() => UsageCounter.findAll({
+      where: { tenantId: company.id },
+      order: [['periodStart', 'DESC']],
+      limit: 12
+    }));
+
+    return {
+      companyId: company.id,
+      plan: company.subscriptionPlan,
+      planName: plan?.displayName || company.subscriptionPlan,
+      monthlyPrice: plan?.monthlyPrice ?? null,
+      status: company.subscriptionStatus,
+      active: company.hasActiveSubscription(),
+      startDate: company.subscriptionStartDate,
+      endDate: company.subscriptionEndDate,
+      trialEndsAt: company.subscriptionStatus === 'trial' ? company.subscriptionEndDate : null,
+      period,
+      usage: metrics,
+      history
+    };
+  }
+
+  /**
+   * Check whether a tenant may create more of a metered resource.
+   * @param {Company} company - Tenant company
+   * @param {string} metric - 'members' or 'invoices'
+   * @param {number} quantity - Records about to be created
+   * @param {Object} options - { transaction } of the create
+   * @returns {Promise<Object|null>} null when allowed, otherwise the 402 response body
+   */
+  async checkLimit(company, metric, quantity = 1, options = {}) {
+    if (!company.hasActiveSubscription()) {
+      const trialExpired = company.subscriptionStatus === 'trial' || company.subscriptionStatus === 'inactive';
+
+      return {
+        error: trialExpired
+          ? 'Η δοκιμαστική περίοδος έχει λήξει. Επιλέξτε πακέτο συνδρομής για να συνεχίσετε.'
+          : 'Η συνδρομή δεν είναι ενεργή. Ανανεώστε τη συνδρομή για να συνεχίσετε.',
+        code: trialExpired ? 'TRIAL_EXPIRED' : 'SUBSCRIPTION_INACTIVE',
+        plan: company.subscriptionPlan,
+        status: company.subscriptionStatus,
+        expiredAt: company.subscriptionEndDate,
+        renewUrl: `${process.env.APP_URL}/subscription/renew`
+      };
+    }
+
+    const used = await this.getUsage(company, metric, new Date(), options);
+    const allowed = metric === 'members'
+      ? company.canAddMember(used, quantity)
+      : company.canCreateInvoice(used, quantity);
+
+    if (allowed) return null;
+
+    const limit = this.getLimit(company, metric);
+    const period = METRICS[metric].perPeriod ? this.getBillingPeriod(company) : null;
+
+    return {
+      error: `Συμπληρώθηκε το όριο του πακέτου ${PLANS[company.subscriptionPlan]?.displayName || company.subscriptionPlan}: ` +
+        `${used}/${limit} ${METRICS[metric].label}. Αναβαθμίστε το πακέτο για να συνεχίσετε.`,
+      code: 'PLAN_LIMIT_REACHED',
+      metric,
+      plan: company.subscriptionPlan,
+      limit,
+      used,
+      requested: quantity,
+      periodEnd: period?.end || null,
+      upgradeUrl: `${process.env.APP_URL}/subscription/upgrade`
+    };
+  }
+
+  // ======================
+  // Plan changes
+  // ======================
+
+  /**
+   * Proration of a plan change for the rest of the current billing period.
+   * Unused days of the current plan become a credit, the remaining days of the new plan a charge.
+   */
+  calculateProration(company, toPlanName, date = new Date()) {
+    const fromPlan = PLANS[company.subscriptionPlan];
+    const toPlan = this.getPlan(toPlanName);
+    const period = this.getBillingPeriod(company, date);
+
+    const periodEnd = moment(period.end).add(1, 'day');
+    const daysInPeriod = periodEnd.diff(moment(period.start), 'days');
+    const daysRemaining = Math.max(periodEnd.diff(moment(date).startOf('day'), 'days'), 0);
+    const ratio = daysInPeriod > 0 ? daysRemaining / daysInPeriod : 0;
+
+    const base = {
+      fromPlan: company.subscriptionPlan,
+      toPlan: toPlan.name,
+      currency: CURRENCY,
+      period,
+      daysInPeriod,
+      daysRemaining
+    };
+
+    // Στη δοκιμαστική περίοδο δεν έχει χρεωθεί τίποτα
+    if (company.subscriptionStatus === 'trial') {
+      return {
+        ...base,
+        credit: 0,
+        charge: 0,
+        amountDue: 0,
+        note: `Αλλαγή από ${fromPlan?.displayName || company.subscriptionPlan} σε ${toPlan.displayName} ` +
+          'κατά τη δοκιμαστική περίοδο: χωρίς αναλογική χρέωση.'
+      };
+    }
+
+    const credit = round2((fromPlan?.monthlyPrice || 0) * ratio);
+    const charge = round2(toPlan.monthlyPrice * ratio);
+    const amountDue = round2(charge - credit);
+
+    const settlement = amountDue > 0
+      ? `πληρωτέα διαφορά ${amountDue.toFixed(2)} €`
+      : amountDue < 0 ? `υπόλοιπο ${Math.abs(amountDue).toFixed(2)} € συμψηφίζεται στην επόμενη ανανέωση` : 'χωρίς διαφορά';
+
+    return {
+      ...base,
+      credit,
+      charge,
+      amountDue,
+      note: `Αλλαγή από ${fromPlan?.displayName || company.subscriptionPlan} σε ${toPlan.displayName} ` +
+        `για ${daysRemaining}/${daysInPeriod} ημέρες της περιόδου ${period.start} - ${period.end}: ` +
+        `πίστωση ${credit.toFixed(2)} €, χρέωση ${charge.toFixed(2)} €, ${settlement}.`
+    };
+  }
+
+  /**
+   * Change a tenant's plan (and optionally status/end date); preview returns the proration only
+   * @param {string} companyId - Tenant company
+   * @param {Object} data - { plan, status, endDate, note, preview }
+   * @param {Object} options - { userId }
+   */
+  async changePlan(companyId, data, options = {}) {
+    const company = await this.getTenantCompany(companyId);
+    const planName = data.plan || company.subscriptionPlan;
+    const plan = this.getPlan(planName);
+
+    if (data.status && !SUBSCRIPTION_STATUSES.includes(data.status)) {
+      throw new AppError(`Invalid subscription status: ${data.status}`, 400);
+    }
+
+    const proration = this.calculateProration(company, planName);
+    if (data.preview) {
+      return { company, proration, preview: true };
+    }
+
+    const oldValues = {
+      subscriptionPlan: company.subscriptionPlan,
+      subscriptionStatus: company.subscriptionStatus,
+      subscriptionEndDate: company.subscriptionEndDate,
+      features: company.features
+    };
+
+    const updates = {
+      subscriptionPlan: plan.name,
+      features: { ...(company.features || {}), ...plan.features }
+    };
+
+    if (data.status) {
+      updates.subscriptionStatus = data.status;
+
+      // Ενεργοποίηση μετά τη δοκιμαστική/λήξη: νέα περίοδος χρέωσης από σήμερα
+      if (data.status === 'active' && company.subscriptionStatus !== 'active') {
+        updates.subscriptionStartDate = new Date();
+        updates.subscriptionEndDate = moment().add(1, 'month').toDate();
+      }
+    }
+
+    if (data.endDate) {
+      updates.subscriptionEndDate = moment(data.endDate).endOf('day').toDate();
+    }
+
+    if (updates.subscriptionEndDate) {
+      updates.renewalReminderSentAt = null;
+    }
+
+    await runWithoutTenantScope(() => company.update(updates));
+
+    await auditService.log({
+      action: 'update',
+      status: 'success',
+      category: 'subscription',
+      entityType: 'Company',
+      entityId: company.id,
+      entityName: company.name,
+      userId: options.userId,
+      description: `Subscription plan changed: ${oldValues.subscriptionPlan} → ${plan.name}`,
+      oldValues,
+      newValues: updates,
+      metadata: { proration, note: data.note || null }
+    });
+
+    return { company, proration, preview: false };
+  }
+
+  // ======================
+  // Trials and renewals
+  // ======================
+
+  // Μόνο οι εταιρείες-tenants έχουν συνδρομή (οι πελάτες τους όχι)
+  tenantWhere(where = {}) {
+    return { ...where, tenantId: { [Op.eq]: sequelize.col('Company.id') } };
+  }
+
+  async expireTrials(now = new Date()) {
+    const trials = await Company.findAll({
+      where: this.tenantWhere({ subscriptionStatus: 'trial', subscriptionEndDate: { [Op.lt]: now } })
+    });
+
+    for (const company of trials) {
+      await company.update({ subscriptionStatus: 'inactive' });
+
+      await auditService.log({
+        action: 'update',
+        status: 'success',
+        category: 'subscription',
+        entityType: 'Company',
+        entityId: company.id,
+        entityName: company.name,
+        description: 'Trial expired',
+        metadata: { plan: company.subscriptionPlan, trialEndedAt: company.subscriptionEndDate }
+      });
+    }
+
+    return trials.length;
+  }
+
+  // Συνδρομές που δεν ανανεώθηκαν μέσα στην περίοδο χάριτος (SUBSCRIPTION_GRACE_DAYS, προεπιλογή 7)
+  async suspendLapsed(now = new Date()) {
+    const graceDays = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '7');
+    const cutoff = moment(now).subtract(graceDays, 'days').toDate();
+
+    const lapsed = await Company.findAll({
+      where: this.tenantWhere({ subscriptionStatus: 'active', subscriptionEndDate: { [Op.lt]: cutoff } })
+    });
+
+    for (const company of lapsed) {
+      await company.update({ subscriptionStatus: 'suspended' });
+
+      await auditService.log({
+        action: 'update',
+        status: 'warning',
+        category: 'subscription',
+        entityType: 'Company',
+        entityId: company.id,
+        entityName: company.name,
+        description: 'Subscription suspended after grace period',
+        metadata: { plan: company.subscriptionPlan, expiredAt: company.subscriptionEndDate, graceDays }
+      });
+    }
+
+    return lapsed.length;
+  }
+
+  async sendRenewalReminders(now = new Date()) {
+    const results = { sent: 0, failed: 0 };
+    const today = moment(now).startOf('day');
+    const horizon = today.clone().add(Math.max(...RENEWAL_REMINDER_DAYS) + 1, 'days').toDate();
+
+    const companies = await Company.findAll({
+      where: this.tenantWhere({
+        subscriptionStatus: { [Op.in]: ['active', 'trial'] },
+        subscriptionEndDate: { [Op.gte]: today.toDate(), [Op.lt]: horizon }
+      })
+    });
+
+    for (const company of companies) {
+      const daysUntilExpiry = moment(company.subscriptionEndDate).startOf('day').diff(today, 'days');
+      if (!RENEWAL_REMINDER_DAYS.includes(daysUntilExpiry)) continue;
+
+      // Μία υπενθύμιση την ημέρα, ακόμη κι αν ο έλεγχος εκτελεστεί ξανά
+      if (company.renewalReminderSentAt && moment(company.renewalReminderSentAt).isSame(today, 'day')) continue;
+
+      if (!company.email) {
+        logWarning('Renewal reminder skipped, tenant has no email', { companyId: company.id });
+        continue;
+      }
+
+      try {
+        const summary = await this.getUsageSummary(company, now);
+        await emailService.sendSubscriptionExpiryEmail(company, daysUntilExpiry, {
+          period: summary.period,
+          planName: summary.planName,
+          ...summary.usage
+        });
+
+        await company.update({ renewalReminderSentAt: now });
+        results.sent++;
+      } catch (error) {
+        results.failed++;
+        logError('Renewal reminder failed', { companyId: company.id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async processDue({ date } = {}) {
+    if (this.running) {
+      throw new AppError('Subscription run is already in progress', 409);
+    }
+
+    this.running = true;
+    const now = date ? moment(date).toDate() : new Date();
+    const results = { date: moment(now).format(DATE_FORMAT) };
+
+    try {
+      // Εκτελείται και από admin endpoint: όλοι οι tenants
+      await runWithoutTenantScope(async () => {
+        results.expiredTrials = await this.expireTrials(now);
+        results.suspended = await this.suspendLapsed(now);
+        results.reminders = await this.sendRenewalReminders(now);
+      });
+
+      logInfo('Subscription run completed', results);
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+}
+
+export default new SubscriptionService();
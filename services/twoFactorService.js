@@ -0,0 +1,351 @@
+// services/twoFactorService.js
+// Έλεγχος ταυτότητας δύο παραγόντων (TOTP): εγγραφή, επαλήθευση στο login, κωδικοί ανάκτησης
+// και υποχρεωτικό 2FA ανά ρόλο από τον διαχειριστή
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { encrypt, decrypt, hashSHA256 } from '../utils/helpers.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { qrCodeDataUrl } from '../utils/qrCode.js';
+import auditService from './auditService.js';
+
+const ENABLED_KEY = 'security.two_factor_enabled';
+const REQUIRED_ROLES_KEY = 'security.two_factor_required_roles';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Το βήμα του login μετά τον κωδικό πρόσβασης
+const MFA_TOKEN_TTL = '5m';
+
+// Αποτυχίες (κωδικός ή 2FA) πριν το κλείδωμα, όπως στο login
+const MAX_ATTEMPTS = 5;
+const LOCK_MINUTES = 30;
+
+const parseSetting = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class TwoFactorService {
+  // ======================
+  // Policy
+  // ======================
+
+  async getSetting(key) {
+    try {
+      const rows = await sequelize.query(
+        `SELECT value FROM settings WHERE key = :key AND scope = 'system' LIMIT 1`,
+        { replacements: { key }, type: QueryTypes.SELECT }
+      );
+      return parseSetting(rows[0]?.value);
+    } catch {
+      // Ο πίνακας settings δεν υπάρχει σε όλες τις εγκαταστάσεις
+      return undefined;
+    }
+  }
+
+  async saveSetting(key, value, dataType, name) {
+    await sequelize.query(
+      `INSERT INTO settings (id, key, category, subcategory, name, value, default_value, data_type, scope, created_at, updated_at)
+       VALUES (:id, :key, 'security', 'authentication', :name, :value, :value, :dataType, 'system', NOW(), NOW())
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+      {
+        replacements: { id: crypto.randomUUID(), key, name, value: JSON.stringify(value), dataType },
+        type: QueryTypes.INSERT
+      }
+    );
+  }
+
+  // enabled: υποχρεωτικό για όλους· requiredRoles: υποχρεωτικό για τους συγκεκριμένους ρόλους
+  async getPolicy() {
+    const [enabled, requiredRoles] = await Promise.all([
+      this.getSetting(ENABLED_KEY),
+      this.getSetting(REQUIRED_ROLES_KEY)
+    ]);
+
+    return {
+      enabled: enabled === true,
+      requiredRoles: Array.isArray(requiredRoles) ? requiredRoles : []
+    };
+  }
+
+  async setPolicy({ enabled, requiredRoles }, { userId } = {}) {
+    if (enabled !== undefined) {
+      await this.saveSetting(ENABLED_KEY, Boolean(enabled), 'boolean', 'Ενεργοποίηση 2FA');
+    }
+    if (requiredRoles !== undefined) {
+      await this.saveSetting(REQUIRED_ROLES_KEY, [...new Set(requiredRoles)], 'array', 'Υποχρεωτικό 2FA ανά ρόλο');
+    }
+
+    const policy = await this.getPolicy();
+
+    await auditService.logSecurityEvent('TWO_FACTOR_POLICY_UPDATED', 'medium', {
+      userId,
+      description: 'Two-factor enforcement policy updated',
+      metadata: policy
+    });
+
+    return policy;
+  }
+
+  async isRequired(user) {
+    const policy = await this.getPolicy();
+    return policy.enabled || policy.requiredRoles.includes(user.role);
+  }
+
+  async getStatus(user) {
+    return {
+      enabled: Boolean(user.twoFactorEnabled),
+      required: await this.isRequired(user),
+      confirmedAt: user.twoFactorConfirmedAt,
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).length
+    };
+  }
+
+  // ======================
+  // MFA token (login challenge)
+  // ======================
+
+  // Ξεχωριστό κλειδί: το MFA token δεν γίνεται ποτέ δεκτό ως access token από το authenticate
+  getTokenSecret() {
+    return process.env.JWT_MFA_SECRET || `${process.env.JWT_SECRET}:mfa`;
+  }
+
+  signMfaToken(user, { enrollment = false, rememberMe = false } = {}) {
+    return jwt.sign(
+      { id: user.id, purpose: enrollment ? 'enroll' : 'verify', rememberMe: Boolean(rememberMe) },
+      this.getTokenSecret(),
+      { expiresIn: MFA_TOKEN_TTL }
+    );
+  }
+
+  verifyMfaToken(token) {
+    try {
+      return jwt.verify(token, this.getTokenSecret());
+    } catch {
+      throw new AppError('Invalid or expired MFA token; please sign in again', 401);
+    }
+  }
+
+  // ======================
+  // Enrolment
+  // ======================
+
+  // Νέο secret (εκκρεμεί μέχρι την επιβεβαίωση με κωδικό)
+  async setup(user) {
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!process.env.ENCRYPTION_KEY) {
+      throw new AppError('ENCRYPTION_KEY is not configured; two-factor secrets cannot be stored', 500);
+    }
+
+    const secret = generateSecret();
+    const otpauthUri = buildOtpauthUri({
+      secret,
+      account: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || process.env.COMPANY_NAME || 'BizFlow ERP'
+    });
+
+    await user.update({ twoFactorSecret: encrypt(secret), twoFactorLastStep: null });
+
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await qrCodeDataUrl(otpauthUri)
+    };
+  }
+
+  async enable(user, code, { ipAddress } = {}) {
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = verifyTotp(decrypt(user.twoFactorSecret), code);
+    if (step === null) {
+      throw new AppError('Invalid two-factor code', 400);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorLastStep: step,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorConfirmedAt: new Date()
+    });
+
+    await auditService.logSecurityEvent('TWO_FACTOR_ENABLED', 'medium', {
+      userId: user.id,
+      userEmail: user.email,
+      description: 'Two-factor authentication enabled',
+      ipAddress
+    });
+
+    return codes;
+  }
+
+  async disable(user, { password, code }, { ipAddress, performedBy } = {}) {
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    // Ο διαχειριστής μπορεί να επαναφέρει (χαμένη συσκευή)· ο χρήστης χρειάζεται κωδικό και 2FA
+    if (!performedBy) {
+      if (await this.isRequired(user)) {
+        throw new AppError(`Two-factor authentication is required for the ${user.role} role`, 403);
+      }
+
+      if (!password || !(await user.comparePassword(password))) {
+        throw new AppError('Current password is incorrect', 401);
+      }
+
+      await this.verify(user, { code });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorLastStep: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorConfirmedAt: null
+    });
+
+    await auditService.logSecurityEvent(performedBy ? 'TWO_FACTOR_RESET' : 'TWO_FACTOR_DISABLED', 'high', {
+      userId: performedBy || user.id,
+      entityType: 'User',
+      entityId: user.id,
+      description: performedBy ? `Two-factor authentication reset for ${user.email}` : 'Two-factor authentication disabled',
+      ipAddress
+    });
+  }
+
+  // ======================
+  // Verification
+  // ======================
+
+  // TOTP ή κωδικός ανάκτησης (μίας χρήσης)· οι αποτυχίες μετρούν στο κλείδωμα του λογαριασμού
+  async verify(user, { code, recoveryCode }, { ipAddress } = {}) {
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      throw new AppError('Account is locked. Please try again later.', 423);
+    }
+
+    let method = null;
+
+    if (code) {
+      const step = verifyTotp(decrypt(user.twoFactorSecret), code);
+      // Ο ίδιος κωδικός δεν γίνεται δεκτός δεύτερη φορά
+      if (step !== null && step > (parseInt(user.twoFactorLastStep) || 0)) {
+        await user.update({ twoFactorLastStep: step, loginAttempts: 0, lockedUntil: null });
+        method = 'totp';
+      }
+    } else if (recoveryCode) {
+      const hash = hashSHA256(normalizeRecoveryCode(recoveryCode));
+      const remaining = user.twoFactorRecoveryCodes || [];
+
+      if (remaining.includes(hash)) {
+        await user.update({
+          twoFactorRecoveryCodes: remaining.filter(stored => stored !== hash),
+          loginAttempts: 0,
+          lockedUntil: null
+        });
+        method = 'recovery_code';
+
+        await auditService.logSecurityEvent('TWO_FACTOR_RECOVERY_CODE_USED', 'medium', {
+          userId: user.id,
+          userEmail: user.email,
+          description: 'Recovery code used to sign in',
+          ipAddress,
+          metadata: { remaining: remaining.length - 1 }
+        });
+      }
+    }
+
+    if (!method) {
+      await this.recordFailure(user, ipAddress);
+      throw new AppError('Invalid two-factor code', 401);
+    }
+
+    return method;
+  }
+
+  async recordFailure(user, ipAddress) {
+    const attempts = (user.loginAttempts || 0) + 1;
+    const values = { loginAttempts: attempts };
+
+    if (attempts >= MAX_ATTEMPTS) {
+      values.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+      await auditService.logSecurityEvent('ACCOUNT_LOCKED', 'high', {
+        userId: user.id,
+        email: user.email,
+        attempts,
+        description: 'Too many invalid two-factor codes'
+      });
+    }
+
+    await user.update(values);
+
+    await auditService.log({
+      action: 'login',
+      status: 'failure',
+      category: 'auth',
+      userId: user.id,
+      description: 'Invalid two-factor code',
+      metadata: { attempts },
+      ipAddress
+    });
+  }
+
+  // ======================
+  // Recovery codes
+  // ======================
+
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+      codes,
+      hashes: codes.map(code => hashSHA256(normalizeRecoveryCode(code)))
+    };
+  }
+
+  async regenerateRecoveryCodes(user, code, { ipAddress } = {}) {
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    await this.verify(user, { code }, { ipAddress });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+
+    await auditService.logSecurityEvent('TWO_FACTOR_RECOVERY_CODES_REGENERATED', 'medium', {
+      userId: user.id,
+      userEmail: user.email,
+      description: 'Recovery codes regenerated',
+      ipAddress
+    });
+
+    return codes;
+  }
+}
+
+export default new TwoFactorService();
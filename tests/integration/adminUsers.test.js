@@ -0,0 +1,143 @@
+// tests/integration/adminUsers.test.js
+// Διαχείριση χρηστών από τον admin του tenant (μόνο στην εταιρεία του) και κλειστά endpoints πλατφόρμας
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest, describe, test, expect, beforeEach, afterEach, afterAll } from '@jest/globals';
+import { User, Role, sequelize } from '../../models/index.js';
+import auditService from '../../services/auditService.js';
+import backupService from '../../services/backupService.js';
+import permissionService from '../../services/permissionService.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { getTenantId } from '../../utils/tenantContext.js';
+
+const TENANT = '00000000-0000-4000-8000-0000000000aa';
+const MEMBER_ID = '00000000-0000-4000-8000-000000000002';
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const makeAdmin = (overrides = {}) => ({
+  id: '00000000-0000-4000-8000-000000000001',
+  email: 'admin@tenant.gr',
+  name: 'Tenant Admin',
+  role: 'admin',
+  companyId: TENANT,
+  isSuperAdmin: false,
+  permissionOverrides: {},
+  ...overrides
+});
+
+const makeMember = () => {
+  const member = User.build({
+    id: MEMBER_ID,
+    email: 'member@tenant.gr',
+    name: 'Member',
+    role: 'user',
+    status: 'active',
+    companyId: TENANT
+  }, { isNewRecord: false });
+  jest.spyOn(member, 'update').mockImplementation(async function(values) {
+    this.set(values);
+    return this;
+  });
+  return member;
+};
+
+let admin;
+let member;
+let queries;
+let lookups;
+
+const as = (user) => `Bearer ${jwt.sign({ id: user.id }, process.env.JWT_SECRET)}`;
+
+beforeEach(() => {
+  admin = makeAdmin();
+  member = makeMember();
+  queries = [];
+  lookups = [];
+
+  // Ο χρήστης του token εκτός scope, οι υπόλοιποι μέσα στον tenant του request
+  jest.spyOn(User, 'findByPk').mockImplementation(async (id) => {
+    if (id === admin.id) return admin;
+    lookups.push({ id, tenantId: getTenantId() });
+    return id === member.id ? member : null;
+  });
+
+  const queryInterface = sequelize.getQueryInterface();
+  jest.spyOn(queryInterface, 'select').mockImplementation(async (model, tableName, options) => {
+    queries.push(queryInterface.queryGenerator.selectQuery(tableName, options, model));
+    // findOne των στατιστικών: χωρίς γραμμή
+    return options.limit === 1 ? [] : [member];
+  });
+  jest.spyOn(User, 'count').mockResolvedValue(1);
+  jest.spyOn(Role, 'findAll').mockResolvedValue([{ name: 'user', permissions: [] }, { name: 'accountant', permissions: [] }]);
+  jest.spyOn(auditService, 'logSecurityEvent').mockResolvedValue(null);
+  permissionService.invalidate();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Τα cron των backups ξεκινούν με το import των admin routes
+afterAll(() => {
+  backupService.stopScheduledBackups();
+});
+
+describe('tenant admin', () => {
+  test('lists the users of their own company', async () => {
+    const response = await request(app).get('/api/admin/users').set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([expect.objectContaining({ id: MEMBER_ID, email: 'member@tenant.gr' })]);
+
+    const companyColumn = User.rawAttributes.companyId.field;
+    expect(queries).not.toHaveLength(0);
+    queries.forEach(query => expect(query).toContain(`"${companyColumn}" = '${TENANT}'`));
+  });
+
+  test('updates a user of their own company', async () => {
+    const response = await request(app)
+      .put(`/api/admin/users/${MEMBER_ID}`)
+      .set('Authorization', as(admin))
+      .send({ name: 'Renamed', role: 'accountant', status: 'active' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id: MEMBER_ID, name: 'Renamed', role: 'accountant' });
+    expect(lookups).toEqual([{ id: MEMBER_ID, tenantId: TENANT }]);
+    expect(auditService.logSecurityEvent).toHaveBeenCalledWith('USER_UPDATED', 'medium', expect.objectContaining({ userId: MEMBER_ID }));
+  });
+
+  test('cannot reach the platform endpoints', async () => {
+    const plans = await request(app).get('/api/admin/plans').set('Authorization', as(admin));
+    const backups = await request(app).get('/api/admin/backups').set('Authorization', as(admin));
+
+    expect(plans.status).toBe(403);
+    expect(backups.status).toBe(403);
+    expect(backups.body.required).toBe('admin.access');
+  });
+});
+
+describe('other roles', () => {
+  test('cannot manage users without users.manage', async () => {
+    admin = makeAdmin({ role: 'manager' });
+
+    const response = await request(app).get('/api/admin/users').set('Authorization', as(admin));
+
+    expect(response.status).toBe(403);
+    expect(response.body.required).toBe('users.manage');
+  });
+});
+
+describe('super-admin', () => {
+  test('reaches the platform endpoints', async () => {
+    admin = makeAdmin({ isSuperAdmin: true });
+
+    const response = await request(app).get('/api/admin/plans').set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,252 @@
+// tests/integration/mydataQueue.test.js
+// Ουρά αποστολής myDATA απέναντι σε τοπικό mock της ΑΑΔΕ: claim, backoff, απώλεια διασύνδεσης, dead letter
+
+import http from 'http';
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import {
+  MyDataSubmissionItem,
+  MyDataSubmissionJob,
+  MyDataSubmissionAttempt,
+  sequelize
+} from '../../models/index.js';
+import auditService from '../../services/auditService.js';
+import mydataQueueService from '../../services/mydataQueueService.js';
+import { MyDataService } from '../../services/mydataService.js';
+
+// Απάντηση του mock ανά test: { status, headers, body } ή hang (καμία απάντηση)
+let reply;
+let requests;
+let server;
+let service;
+
+const responseDoc = (responses) => `<?xml version="1.0" encoding="utf-8"?>
+<ResponseDoc>${responses.map((response, index) => `
+  <response>
+    <index>${index + 1}</index>
+    ${Object.entries(response).map(([key, value]) => `<${key}>${value}</${key}>`).join('')}
+  </response>`).join('')}
+</ResponseDoc>`;
+
+const makeItem = (overrides = {}) => ({
+  id: 'item-1',
+  jobId: 'job-1',
+  tenantId: 'tenant-1',
+  invoiceId: 'invoice-1',
+  invoiceUid: 'UID-1',
+  status: 'processing',
+  attempts: 0,
+  update: jest.fn(async function(values) {
+    Object.assign(this, values);
+    return this;
+  }),
+  ...overrides
+});
+
+const makeInvoice = (overrides = {}) => ({
+  id: 'invoice-1',
+  mydataStatus: 'pending',
+  metadata: {},
+  getDisplayNumber: () => 'A000001',
+  update: jest.fn(async function(values) {
+    Object.assign(this, values);
+    return this;
+  }),
+  ...overrides
+});
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (reply.hang) return;
+
+      res.writeHead(reply.status, { 'Content-Type': 'application/xml', ...reply.headers });
+      res.end(reply.body || '');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.MYDATA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.MYDATA_BASE_URL;
+});
+
+beforeEach(() => {
+  requests = [];
+  reply = { status: 200, body: responseDoc([{ statusCode: 'Success', invoiceMark: '400000001' }]) };
+
+  service = new MyDataService({ userId: 'aade-user', subscriptionKey: 'aade-key' });
+  service.client.defaults.timeout = 200;
+  jest.spyOn(service, 'buildInvoicesDoc').mockReturnValue('<InvoicesDoc/>');
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(auditService, 'log').mockResolvedValue(null);
+  jest.spyOn(MyDataSubmissionAttempt, 'count').mockResolvedValue(0);
+  jest.spyOn(MyDataSubmissionAttempt, 'create').mockImplementation(async values => values);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('claimBatch', () => {
+  test('locks due items with SKIP LOCKED and marks them processing', async () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    const items = [makeItem(), makeItem({ id: 'item-2', invoiceId: 'invoice-2' })];
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => callback(transaction));
+    const findAll = jest.spyOn(MyDataSubmissionItem, 'findAll').mockResolvedValue(items);
+    const updateItems = jest.spyOn(MyDataSubmissionItem, 'update').mockResolvedValue([2]);
+    const updateJobs = jest.spyOn(MyDataSubmissionJob, 'update').mockResolvedValue([1]);
+
+    const claimed = await mydataQueueService.claimBatch();
+
+    expect(claimed).toBe(items);
+    expect(findAll).toHaveBeenCalledWith(expect.objectContaining({
+      limit: mydataQueueService.batchSize,
+      lock: 'UPDATE',
+      skipLocked: true,
+      transaction
+    }));
+    expect(updateItems).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'processing', lockedAt: expect.any(Date) }),
+      { where: { id: ['item-1', 'item-2'] }, transaction }
+    );
+    expect(updateJobs).toHaveBeenCalledWith(
+      { status: 'processing' },
+      { where: { id: ['job-1'], status: 'queued' }, transaction }
+    );
+  });
+
+  test('claims nothing when no item is due', async () => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+    jest.spyOn(MyDataSubmissionItem, 'findAll').mockResolvedValue([]);
+    const updateItems = jest.spyOn(MyDataSubmissionItem, 'update');
+
+    await expect(mydataQueueService.claimBatch()).resolves.toEqual([]);
+    expect(updateItems).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendBatch against the mock AADE', () => {
+  test('marks accepted invoices as submitted with their MARK', async () => {
+    const item = makeItem();
+    const invoice = makeInvoice();
+
+    await mydataQueueService.sendBatch([{ item, invoice }], 'batch-1', service);
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ method: 'POST', url: '/SendInvoices', body: '<InvoicesDoc/>' });
+    expect(requests[0].headers['ocp-apim-subscription-key']).toBe('aade-key');
+
+    expect(item).toMatchObject({ status: 'submitted', attempts: 1, mark: '400000001' });
+    expect(invoice).toMatchObject({ mydataStatus: 'submitted', mydataId: '400000001' });
+    expect(MyDataSubmissionAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: 'tenant-1',
+      itemId: 'item-1',
+      attemptNumber: 1,
+      batchId: 'batch-1',
+      outcome: 'success'
+    }));
+  });
+
+  test('backs off exponentially on a 5xx without issuing the invoice offline', async () => {
+    reply = { status: 503, body: 'Service Unavailable' };
+    const item = makeItem({ attempts: 2 });
+    const invoice = makeInvoice();
+    const before = Date.now();
+
+    await mydataQueueService.sendBatch([{ item, invoice }], 'batch-1', service);
+
+    // base * 2^(n-1) με έως 20% jitter
+    const expected = mydataQueueService.backoffBaseMs * 4;
+    const delay = item.nextAttemptAt.getTime() - before;
+
+    expect(item).toMatchObject({ status: 'retrying', attempts: 3, lastError: expect.stringContaining('HTTP 503') });
+    expect(delay).toBeGreaterThanOrEqual(expected);
+    expect(delay).toBeLessThanOrEqual(expected * 1.2 + 1000);
+    expect(invoice.update).not.toHaveBeenCalled();
+    expect(invoice.mydataStatus).toBe('pending');
+    expect(MyDataSubmissionAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+      outcome: 'transient_error',
+      httpStatus: 503
+    }));
+  });
+
+  test('honours Retry-After on a 5xx', async () => {
+    reply = { status: 503, headers: { 'Retry-After': '120' }, body: '' };
+    const item = makeItem();
+    const before = Date.now();
+
+    await mydataQueueService.sendBatch([{ item, invoice: makeInvoice() }], 'batch-1', service);
+
+    const delay = item.nextAttemptAt.getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(120000);
+    expect(delay).toBeLessThan(121000);
+  });
+
+  test('dead-letters a 5xx once the retry budget is spent', async () => {
+    reply = { status: 500, body: 'Internal Server Error' };
+    const item = makeItem({ attempts: mydataQueueService.maxAttempts - 1 });
+    const invoice = makeInvoice();
+
+    await mydataQueueService.sendBatch([{ item, invoice }], 'batch-1', service);
+
+    expect(item).toMatchObject({
+      status: 'dead_letter',
+      attempts: mydataQueueService.maxAttempts,
+      nextAttemptAt: null,
+      lastError: expect.stringContaining('gave up after')
+    });
+    expect(invoice.mydataStatus).toBe('rejected');
+    expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'mydata_submit',
+      status: 'failure'
+    }));
+  });
+
+  test('dead-letters invoices that AADE rejects', async () => {
+    reply = {
+      status: 200,
+      body: responseDoc([{
+        statusCode: 'ValidationError',
+        errors: '<error><message>Invalid counterpart VAT number</message><code>101</code></error>'
+      }])
+    };
+    const item = makeItem();
+    const invoice = makeInvoice();
+
+    await mydataQueueService.sendBatch([{ item, invoice }], 'batch-1', service);
+
+    expect(item).toMatchObject({ status: 'dead_letter', attempts: 1, lastError: 'Invalid counterpart VAT number' });
+    expect(invoice.mydataStatus).toBe('rejected');
+    expect(MyDataSubmissionAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+      outcome: 'rejected',
+      errors: [{ code: '101', message: 'Invalid counterpart VAT number' }]
+    }));
+  });
+
+  test('keeps retrying after a timeout and issues the invoice offline', async () => {
+    reply = { hang: true };
+    const item = makeItem({ attempts: mydataQueueService.maxAttempts + 2 });
+    const invoice = makeInvoice();
+    const before = Date.now();
+
+    await mydataQueueService.sendBatch([{ item, invoice }], 'batch-1', service);
+
+    expect(item.status).toBe('retrying');
+    expect(item.nextAttemptAt.getTime() - before).toBeLessThanOrEqual(mydataQueueService.offlineRetryMs + 1000);
+    expect(invoice).toMatchObject({
+      mydataStatus: 'offline',
+      mydataTransmissionFailure: service.getTransmissionFailureCode(),
+      mydataOfflineAt: expect.any(Date)
+    });
+  });
+});
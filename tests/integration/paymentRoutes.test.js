@@ -0,0 +1,112 @@
+// tests/integration/paymentRoutes.test.js
+// Έλεγχος εισόδου στην επεξεργασία πληρωμών και στα routes με :id
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { ValidationError, ValidationErrorItem } from 'sequelize';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { User, Payment } from '../../models/index.js';
+import auditService from '../../services/auditService.js';
+import paymentRoutes from '../../routes/paymentRoutes.js';
+
+const PAYMENT_ID = '00000000-0000-4000-8000-000000000010';
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+
+const user = {
+  id: '00000000-0000-4000-8000-000000000001',
+  name: 'Accountant',
+  role: 'admin',
+  companyId: '00000000-0000-4000-8000-0000000000aa',
+  isSuperAdmin: false,
+  permissionOverrides: {}
+};
+
+const token = `Bearer ${jwt.sign({ id: user.id }, process.env.JWT_SECRET)}`;
+
+let payment;
+
+beforeEach(() => {
+  payment = Payment.build({
+    id: PAYMENT_ID,
+    paymentNumber: 'PAY-2026-000010',
+    amount: 100,
+    allocatedAmount: 0,
+    paymentMethod: 'cash',
+    status: 'pending'
+  }, { isNewRecord: false });
+  payment.calculateAmounts();
+  jest.spyOn(payment, 'update').mockImplementation(async function(values) {
+    this.set(values);
+    return this;
+  });
+
+  jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+  jest.spyOn(Payment, 'findByPk').mockResolvedValue(payment);
+  jest.spyOn(auditService, 'log').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PUT /api/payments/:id', () => {
+  test('updates the editable fields', async () => {
+    const response = await request(app)
+      .put(`/api/payments/${PAYMENT_ID}`)
+      .set('Authorization', token)
+      .send({ amount: 120, paymentDate: '2026-03-01', paymentMethod: 'bank_transfer', status: 'completed' });
+
+    expect(response.status).toBe(200);
+    expect(payment.update).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 120,
+      paymentMethod: 'bank_transfer',
+      status: 'completed'
+    }));
+  });
+
+  test('rejects invalid amounts, dates, methods and statuses before loading the payment', async () => {
+    const response = await request(app)
+      .put(`/api/payments/${PAYMENT_ID}`)
+      .set('Authorization', token)
+      .send({ amount: -5, paymentDate: 'yesterday', paymentMethod: 'barter', status: 'refunded' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.path).sort())
+      .toEqual(['amount', 'paymentDate', 'paymentMethod', 'status']);
+    expect(Payment.findByPk).not.toHaveBeenCalled();
+  });
+
+  test('reports model validation errors as 400', async () => {
+    payment.update.mockRejectedValue(new ValidationError('Validation error', [
+      new ValidationErrorItem('Validation len on currency failed', 'Validation error', 'currency', 'EURO')
+    ]));
+
+    const response = await request(app)
+      .put(`/api/payments/${PAYMENT_ID}`)
+      .set('Authorization', token)
+      .send({ notes: 'checked' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'currency', message: 'Validation len on currency failed' }]);
+  });
+});
+
+describe('routes with ids', () => {
+  test.each([
+    ['get', '/api/payments/not-a-uuid'],
+    ['post', '/api/payments/not-a-uuid/cancel'],
+    ['get', '/api/payments/not-a-uuid/open-documents'],
+    ['get', '/api/payments/not-a-uuid/receipt'],
+    ['delete', '/api/payments/not-a-uuid'],
+    ['delete', `/api/payments/${PAYMENT_ID}/allocations/not-a-uuid`]
+  ])('%s %s answers 400 for a malformed id', async (method, url) => {
+    const response = await request(app)[method](url).set('Authorization', token);
+
+    expect(response.status).toBe(400);
+    expect(Payment.findByPk).not.toHaveBeenCalled();
+  });
+});
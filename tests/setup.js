@@ -0,0 +1,10 @@
+// tests/setup.js
+// Κοινό περιβάλλον των tests: μυστικά JWT, λιγότερα logs και καμία σύνδεση σε Redis/βάση
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+// AES-256: 32 bytes σε hex
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0'.repeat(64);
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.REDIS_ENABLED = 'false';
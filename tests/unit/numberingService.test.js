@@ -0,0 +1,161 @@
+// tests/unit/numberingService.test.js
+// Αρίθμηση: μορφές, έκδοση από κλειδωμένη σειρά και σειρές ανά tenant
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import sequelize from '../../config/database.js';
+import { NumberingSequence, Document } from '../../models/index.js';
+import numberingService from '../../services/numberingService.js';
+import { runWithTenant, runWithoutTenantScope } from '../../utils/tenantContext.js';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const makeSequence = (overrides = {}) => ({
+  id: 'sequence-1',
+  series: 'A',
+  documentType: 'invoice',
+  fiscalYear: 2026,
+  format: null,
+  isActive: true,
+  currentValue: 41,
+  update: jest.fn(async function(values) {
+    Object.assign(this, values);
+    return this;
+  }),
+  ...overrides
+});
+
+beforeEach(() => {
+  // Χωρίς ρύθμιση μορφής: προεπιλογές
+  jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('formatNumber', () => {
+  const date = new Date('2026-03-15T10:00:00Z');
+
+  test('pads the number and fills the date tokens', () => {
+    expect(numberingService.formatNumber('{SERIES}-{YEAR}/{MONTH}-{NUMBER:5}', {
+      number: 42, series: 'B', date, fiscalYear: 2026
+    })).toBe('B-2026/03-00042');
+
+    expect(numberingService.formatNumber('INV{YY}{NUMBER}', {
+      number: 7, series: 'A', date, fiscalYear: 2026
+    })).toBe('INV267');
+  });
+
+  test('prefixes non-default series when the format has no {SERIES}', () => {
+    expect(numberingService.formatNumber('{NUMBER:4}', { number: 1, series: 'B', date })).toBe('B-0001');
+    expect(numberingService.formatNumber('{NUMBER:4}', { number: 1, series: 'A', date })).toBe('0001');
+  });
+});
+
+describe('validateFormat', () => {
+  test('requires a {NUMBER} token', () => {
+    expect(() => numberingService.validateFormat('{SERIES}-{YEAR}')).toThrow('must contain {NUMBER}');
+  });
+
+  test('rejects unknown tokens', () => {
+    expect(() => numberingService.validateFormat('{SERIES}-{DAY}-{NUMBER}')).toThrow('{DAY}');
+  });
+
+  test('accepts the documented tokens', () => {
+    expect(() => numberingService.validateFormat('{SERIES}{YY}{MONTH}{YEAR}-{NUMBER:6}')).not.toThrow();
+  });
+});
+
+describe('next', () => {
+  test('issues the next number from the locked sequence', async () => {
+    const sequence = makeSequence();
+    const findOne = jest.spyOn(NumberingSequence, 'findOne').mockResolvedValue(sequence);
+
+    const issued = await numberingService.next({
+      entityType: 'invoice',
+      companyId: 'tenant-1',
+      documentType: 'invoice',
+      date: new Date('2026-05-01')
+    }, { transaction });
+
+    expect(findOne).toHaveBeenCalledWith({
+      where: { sequenceKey: 'tenant-1:invoice:invoice:A:2026' },
+      transaction,
+      lock: 'UPDATE'
+    });
+    expect(sequence.update).toHaveBeenCalledWith(
+      { currentValue: 42, lastIssuedAt: expect.any(Date) },
+      { transaction }
+    );
+    expect(issued).toEqual({
+      numberingSequenceId: 'sequence-1',
+      sequenceNumber: 42,
+      fiscalYear: 2026,
+      number: 'A000042'
+    });
+  });
+
+  test('refuses to issue from an inactive series', async () => {
+    jest.spyOn(NumberingSequence, 'findOne').mockResolvedValue(makeSequence({ isActive: false }));
+
+    await expect(numberingService.next({ documentType: 'invoice' }, { transaction }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('starts a new series after the last legacy number', async () => {
+    const sequence = makeSequence({ currentValue: 17 });
+    jest.spyOn(NumberingSequence, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(sequence);
+    const findOrCreate = jest.spyOn(NumberingSequence, 'findOrCreate').mockResolvedValue([sequence, true]);
+    const legacy = jest.spyOn(Document, 'findOne').mockResolvedValue({ documentNumber: 'A-000017' });
+
+    const issued = await numberingService.next({
+      companyId: 'tenant-1',
+      documentType: 'invoice',
+      date: new Date('2026-05-01')
+    }, { transaction });
+
+    expect(legacy).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ tenantId: 'tenant-1', documentType: 'invoice', numberingSequenceId: null })
+    }));
+    expect(findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { sequenceKey: 'tenant-1:document:invoice:A:2026' },
+      defaults: expect.objectContaining({ companyId: 'tenant-1', startValue: 18, currentValue: 17 })
+    }));
+    expect(issued.number).toBe('A-000018');
+  });
+});
+
+describe('tenant scope', () => {
+  const scope = { entityType: 'invoice', companyId: 'other-tenant', documentType: 'invoice', fiscalYear: 2026 };
+
+  test('uses the request tenant instead of the requested company', () => {
+    const normalized = runWithTenant({ tenantId: 'tenant-1' }, () => numberingService._normalizeScope(scope));
+    expect(normalized.companyId).toBe('tenant-1');
+  });
+
+  test('uses the given company outside a request or when bypassing', () => {
+    expect(numberingService._normalizeScope(scope).companyId).toBe('other-tenant');
+    expect(runWithoutTenantScope(() => numberingService._normalizeScope(scope)).companyId).toBe('other-tenant');
+  });
+
+  test('keys the sequences of different tenants apart', () => {
+    const keys = ['tenant-1', 'tenant-2'].map(tenantId =>
+      runWithTenant({ tenantId }, () => NumberingSequence.buildKey(numberingService._normalizeScope(scope))));
+
+    expect(keys).toEqual(['tenant-1:invoice:invoice:A:2026', 'tenant-2:invoice:invoice:A:2026']);
+  });
+
+  test('reads the number format of the tenant', async () => {
+    sequelize.query.mockResolvedValue([{ value: '"F-{NUMBER:3}"', scope: 'company' }]);
+
+    const format = await runWithTenant({ tenantId: 'tenant-1' }, () =>
+      numberingService.resolveFormat(numberingService._normalizeScope(scope)));
+
+    expect(format).toBe('F-{NUMBER:3}');
+    expect(sequelize.query).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      replacements: { key: 'invoice.number_format', companyId: 'tenant-1' }
+    }));
+  });
+});
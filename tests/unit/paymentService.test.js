@@ -0,0 +1,190 @@
+// tests/unit/paymentService.test.js
+// Κατανομή πληρωμών σε ανοιχτά παραστατικά και τιμολόγια (FIFO, χειροκίνητα, αναίρεση)
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import sequelize from '../../config/database.js';
+import { Payment, PaymentAllocation, Document, Invoice } from '../../models/index.js';
+import paymentService from '../../services/paymentService.js';
+
+let transaction;
+
+// update χωρίς βάση: οι τιμές εφαρμόζονται στο instance
+const stubUpdate = (instance) => {
+  jest.spyOn(instance, 'update').mockImplementation(async function(values) {
+    this.set(values);
+    if (this instanceof Payment) this.calculateAmounts();
+    return this;
+  });
+  return instance;
+};
+
+const makePayment = (overrides = {}) => {
+  const payment = Payment.build({
+    id: '00000000-0000-4000-8000-000000000001',
+    tenantId: '00000000-0000-4000-8000-0000000000aa',
+    companyId: '00000000-0000-4000-8000-0000000000cc',
+    paymentNumber: 'PAY-2026-000001',
+    amount: 200,
+    allocatedAmount: 0,
+    status: 'completed',
+    ...overrides
+  });
+  payment.calculateAmounts();
+  jest.spyOn(payment, 'reload').mockResolvedValue(payment);
+  return stubUpdate(payment);
+};
+
+const makeDocument = (overrides = {}) => stubUpdate(Document.build({
+  id: '00000000-0000-4000-8000-0000000000d1',
+  documentType: 'invoice',
+  documentNumber: 'A-000010',
+  documentDate: '2026-01-10',
+  total: 100,
+  paidAmount: 0,
+  balanceDue: 100,
+  status: 'sent',
+  ...overrides
+}));
+
+const makeInvoice = (overrides = {}) => stubUpdate(Invoice.build({
+  id: '00000000-0000-4000-8000-0000000000e1',
+  type: 'invoice',
+  invoiceNumber: 'A000005',
+  issueDate: '2026-01-05',
+  dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+  totalAmount: 200,
+  creditedAmount: 50,
+  paidAmount: 0,
+  status: 'sent',
+  ...overrides
+}));
+
+beforeEach(() => {
+  transaction = {
+    LOCK: { UPDATE: 'UPDATE' },
+    finished: undefined,
+    commit: jest.fn(async () => { transaction.finished = 'commit'; }),
+    rollback: jest.fn(async () => { transaction.finished = 'rollback'; })
+  };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findOpenDocuments', () => {
+  test('returns open documents and invoices of the company, oldest first', async () => {
+    const document = makeDocument();
+    const invoice = makeInvoice();
+    const settled = makeInvoice({ id: '00000000-0000-4000-8000-0000000000e2', paidAmount: 150 });
+
+    jest.spyOn(Document, 'findAll').mockResolvedValue([document]);
+    const findInvoices = jest.spyOn(Invoice, 'findAll').mockResolvedValue([invoice, settled]);
+
+    const open = await paymentService.findOpenDocuments('company-1', { transaction, lock: true });
+
+    expect(open).toEqual([invoice, document]);
+    expect(findInvoices).toHaveBeenCalledWith({
+      where: { companyId: 'company-1', type: ['invoice', 'debit_note'], status: ['sent', 'overdue'] },
+      transaction,
+      lock: 'UPDATE'
+    });
+  });
+});
+
+describe('allocatePayment', () => {
+  test('plans FIFO across invoices and documents without applying on a dry run', async () => {
+    const payment = makePayment();
+    const document = makeDocument();
+    const invoice = makeInvoice();
+    jest.spyOn(Document, 'findAll').mockResolvedValue([document]);
+    jest.spyOn(Invoice, 'findAll').mockResolvedValue([invoice]);
+
+    const { plan, applied } = await paymentService.allocatePayment(payment, { dryRun: true });
+
+    expect(applied).toBe(false);
+    expect(plan).toMatchObject({ mode: 'auto', totalAllocated: 200, remainingCredit: 0 });
+    expect(plan.lines).toEqual([
+      expect.objectContaining({ entityType: 'invoice', documentNumber: 'A000005', outstanding: 150, amount: 150, fullyPaid: true }),
+      expect.objectContaining({ entityType: 'document', documentNumber: 'A-000010', outstanding: 100, amount: 50, remaining: 50 })
+    ]);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(invoice.update).not.toHaveBeenCalled();
+    expect(document.update).not.toHaveBeenCalled();
+  });
+
+  test('records allocations against the invoice or document and updates their balances', async () => {
+    const payment = makePayment();
+    const document = makeDocument();
+    const invoice = makeInvoice();
+    jest.spyOn(Document, 'findAll').mockResolvedValue([document]);
+    jest.spyOn(Invoice, 'findAll').mockResolvedValue([invoice]);
+    jest.spyOn(PaymentAllocation, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(PaymentAllocation, 'create').mockImplementation(async values => values);
+
+    const { applied, allocations } = await paymentService.allocatePayment(payment, { userId: 'user-1' });
+
+    expect(applied).toBe(true);
+    expect(allocations).toEqual([
+      expect.objectContaining({ invoiceId: invoice.id, amount: 150, tenantId: payment.tenantId }),
+      expect.objectContaining({ documentId: document.id, amount: 50, tenantId: payment.tenantId })
+    ]);
+    expect(create.mock.calls[0][0]).not.toHaveProperty('documentId');
+
+    expect(invoice.paidAmount).toBe(150);
+    expect(invoice.status).toBe('paid');
+    expect(document).toMatchObject({ paidAmount: 50, balanceDue: 50, status: 'partial' });
+    expect(payment.allocatedAmount).toBe(200);
+    expect(parseFloat(payment.unallocatedAmount)).toBe(0);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  test('rejects a manual allocation above the balance due', async () => {
+    const payment = makePayment();
+    const invoice = makeInvoice();
+    jest.spyOn(Document, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Invoice, 'findAll').mockResolvedValue([invoice]);
+
+    await expect(paymentService.allocatePayment(payment, {
+      mode: 'manual',
+      allocations: [{ documentId: invoice.id, amount: 160 }]
+    })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('A000005') });
+
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(invoice.update).not.toHaveBeenCalled();
+  });
+
+  test('refuses payments that are already fully allocated', async () => {
+    const payment = makePayment({ allocatedAmount: 200 });
+
+    await expect(paymentService.allocatePayment(payment)).rejects.toMatchObject({ statusCode: 400 });
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('removeAllocation', () => {
+  test('reopens the invoice of the removed allocation', async () => {
+    const payment = makePayment({ allocatedAmount: 150 });
+    const invoice = makeInvoice({ paidAmount: 150, status: 'paid' });
+    const allocation = {
+      id: 'allocation-1',
+      invoiceId: invoice.id,
+      documentId: null,
+      amount: '150.00',
+      destroy: jest.fn(async () => {})
+    };
+    jest.spyOn(PaymentAllocation, 'findOne').mockResolvedValue(allocation);
+    const findInvoice = jest.spyOn(Invoice, 'findByPk').mockResolvedValue(invoice);
+    const findDocument = jest.spyOn(Document, 'findByPk');
+
+    await paymentService.removeAllocation(payment, 'allocation-1', { userId: 'user-1' });
+
+    expect(findInvoice).toHaveBeenCalledWith(invoice.id, { transaction, lock: 'UPDATE' });
+    expect(findDocument).not.toHaveBeenCalled();
+    expect(invoice).toMatchObject({ paidAmount: 0, status: 'sent' });
+    expect(payment.allocatedAmount).toBe(0);
+    expect(allocation.destroy).toHaveBeenCalledWith({ transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+});
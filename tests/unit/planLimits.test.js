@@ -0,0 +1,97 @@
+// tests/unit/planLimits.test.js
+// Όρια πακέτου μέσα στο transaction της δημιουργίας: κλείδωμα του tenant και μέτρηση χρήσης στο ίδιο transaction
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { Company, Invoice, UsageCounter, sequelize } from '../../models/index.js';
+import { checkPlanLimit } from '../../middleware/subscription.js';
+
+const TENANT = '00000000-0000-4000-8000-0000000000aa';
+
+let transaction;
+
+const makeTenant = (overrides = {}) => Company.build({
+  id: TENANT,
+  tenantId: TENANT,
+  name: 'Tenant',
+  subscriptionPlan: 'basic',
+  subscriptionStatus: 'active',
+  subscriptionStartDate: '2026-01-01',
+  features: { maxMembers: 100, maxInvoices: 2 },
+  ...overrides
+});
+
+beforeEach(() => {
+  transaction = {
+    LOCK: { UPDATE: 'UPDATE' },
+    finished: undefined,
+    commit: jest.fn(async () => { transaction.finished = 'commit'; }),
+    rollback: jest.fn(async () => { transaction.finished = 'rollback'; })
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkPlanLimit', () => {
+  test('locks the tenant company and reads usage in the create transaction', async () => {
+    const findTenant = jest.spyOn(Company, 'findByPk').mockResolvedValue(makeTenant());
+    const findCounter = jest.spyOn(UsageCounter, 'findOne').mockResolvedValue({ count: 1 });
+
+    await expect(checkPlanLimit({ tenantId: TENANT }, 'invoices', 1, { transaction })).resolves.toBeNull();
+
+    expect(findTenant).toHaveBeenCalledWith(TENANT, { transaction, lock: 'UPDATE' });
+    expect(findCounter).toHaveBeenCalledWith(expect.objectContaining({ transaction }));
+  });
+
+  test('blocks the create once the period usage reaches the limit', async () => {
+    jest.spyOn(Company, 'findByPk').mockResolvedValue(makeTenant());
+    jest.spyOn(UsageCounter, 'findOne').mockResolvedValue({ count: 2 });
+
+    await expect(checkPlanLimit({ tenantId: TENANT }, 'invoices', 1, { transaction })).resolves.toMatchObject({
+      code: 'PLAN_LIMIT_REACHED',
+      limit: 2,
+      used: 2
+    });
+  });
+
+  test('fails closed when the subscription cannot be read', async () => {
+    jest.spyOn(Company, 'findByPk').mockRejectedValue(new Error('lock timeout'));
+
+    await expect(checkPlanLimit({ tenantId: TENANT }, 'members', 1, { transaction }))
+      .rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  test('skips super-admins across all tenants', async () => {
+    const findTenant = jest.spyOn(Company, 'findByPk');
+
+    await expect(checkPlanLimit({ tenantId: TENANT, bypass: true }, 'invoices', 1, { transaction })).resolves.toBeNull();
+    expect(findTenant).not.toHaveBeenCalled();
+  });
+});
+
+describe('usage meter', () => {
+  test('counts a new invoice in a savepoint of the create transaction', async () => {
+    const savepoint = { ...transaction, parent: transaction };
+    const openSavepoint = jest.spyOn(sequelize, 'transaction').mockImplementation(async (options, run) => run(savepoint));
+    jest.spyOn(Company, 'findOne').mockResolvedValue(makeTenant());
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([[], 1]);
+
+    const invoice = Invoice.build({ tenantId: TENANT, type: 'invoice' });
+    await Invoice.runHooks('afterCreate', invoice, { transaction });
+
+    expect(openSavepoint).toHaveBeenCalledWith({ transaction }, expect.any(Function));
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO usage_counters'), expect.objectContaining({
+      replacements: expect.objectContaining({ tenantId: TENANT, metric: 'invoices', quantity: 1 }),
+      transaction: savepoint
+    }));
+  });
+
+  test('does not count types outside the invoice limit', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([[], 1]);
+
+    await Invoice.runHooks('afterCreate', Invoice.build({ tenantId: TENANT, type: 'credit_note' }), { transaction });
+
+    expect(query).not.toHaveBeenCalled();
+  });
+});
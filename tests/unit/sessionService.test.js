@@ -0,0 +1,127 @@
+// tests/unit/sessionService.test.js
+// Refresh tokens: εναλλαγή σε κάθε ανανέωση και ανάκληση της συνεδρίας σε επαναχρησιμοποίηση
+
+import jwt from 'jsonwebtoken';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RefreshToken, sequelize } from '../../models/index.js';
+import auditService from '../../services/auditService.js';
+import sessionService from '../../services/sessionService.js';
+
+const user = { id: 'user-1', email: 'user@example.com', name: 'User', role: 'user', status: 'active' };
+
+let transaction;
+let issued;
+
+const signRefreshToken = (payload = {}) => jwt.sign(
+  { id: user.id, sid: 'family-1', jti: Math.random().toString(36), ...payload },
+  process.env.JWT_REFRESH_SECRET,
+  { expiresIn: '1d' }
+);
+
+const makeStored = (token, overrides = {}) => {
+  const stored = RefreshToken.build({
+    id: 'token-1',
+    token,
+    userId: user.id,
+    familyId: 'family-1',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    createdByIp: '10.0.0.1',
+    isRevoked: false,
+    ...overrides
+  });
+  jest.spyOn(stored, 'getUser').mockResolvedValue(user);
+  jest.spyOn(stored, 'save').mockResolvedValue(stored);
+  return stored;
+};
+
+beforeEach(() => {
+  issued = [];
+  transaction = {
+    LOCK: { UPDATE: 'UPDATE' },
+    finished: undefined,
+    commit: jest.fn(async () => { transaction.finished = 'commit'; }),
+    rollback: jest.fn(async () => { transaction.finished = 'rollback'; })
+  };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async values => {
+    issued.push(values);
+    return values;
+  });
+  jest.spyOn(auditService, 'logSecurityEvent').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rotate', () => {
+  test('replaces the refresh token with a new one in the same session', async () => {
+    const token = signRefreshToken();
+    const stored = makeStored(token);
+    const findOne = jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored);
+
+    const result = await sessionService.rotate(token, { ipAddress: '10.0.0.2', userAgent: 'jest' });
+
+    expect(findOne).toHaveBeenCalledWith({
+      where: { token, userId: user.id },
+      transaction,
+      lock: 'UPDATE'
+    });
+    expect(result.familyId).toBe('family-1');
+    expect(result.refreshToken).not.toBe(token);
+    expect(jwt.verify(result.refreshToken, process.env.JWT_REFRESH_SECRET)).toMatchObject({ id: user.id, sid: 'family-1' });
+
+    expect(issued).toEqual([expect.objectContaining({
+      token: result.refreshToken,
+      familyId: 'family-1',
+      createdByIp: '10.0.0.2'
+    })]);
+    expect(stored).toMatchObject({
+      isRevoked: true,
+      revokedReason: 'rotated',
+      revokedByIp: '10.0.0.2',
+      replacedByToken: result.refreshToken
+    });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  test('revokes the whole session when a rotated token is used again', async () => {
+    const token = signRefreshToken();
+    const stored = makeStored(token, { isRevoked: true, revokedReason: 'rotated', replacedByToken: 'newer-token' });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored);
+    const revokeFamily = jest.spyOn(RefreshToken, 'update').mockResolvedValue([2]);
+
+    await expect(sessionService.rotate(token, { ipAddress: '203.0.113.9' }))
+      .rejects.toMatchObject({ statusCode: 401, message: expect.stringContaining('reuse detected') });
+
+    expect(revokeFamily).toHaveBeenCalledWith(
+      expect.objectContaining({ isRevoked: true, revokedReason: 'reuse_detected', revokedByIp: '203.0.113.9' }),
+      expect.objectContaining({ where: { userId: user.id, familyId: 'family-1', isRevoked: false } })
+    );
+    expect(auditService.logSecurityEvent).toHaveBeenCalledWith('REFRESH_TOKEN_REUSE', 'high', expect.objectContaining({
+      userId: user.id,
+      metadata: expect.objectContaining({ familyId: 'family-1', revokedTokens: 2, originalIp: '10.0.0.1' })
+    }));
+    expect(transaction.rollback).toHaveBeenCalledTimes(1);
+    expect(issued).toHaveLength(0);
+  });
+
+  test('rejects a revoked token that was not rotated without revoking the session', async () => {
+    const token = signRefreshToken();
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(makeStored(token, { isRevoked: true, revokedReason: 'logout' }));
+    const revokeFamily = jest.spyOn(RefreshToken, 'update');
+
+    await expect(sessionService.rotate(token)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(revokeFamily).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  test('rejects tokens that are not signed with the refresh secret', async () => {
+    const forged = jwt.sign({ id: user.id, sid: 'family-1' }, 'another-secret');
+    const findOne = jest.spyOn(RefreshToken, 'findOne');
+
+    await expect(sessionService.rotate(forged)).rejects.toMatchObject({ statusCode: 401 });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
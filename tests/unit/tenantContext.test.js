@@ -0,0 +1,129 @@
+// tests/unit/tenantContext.test.js
+// Περιορισμός queries στον tenant: WHERE, includes, νέες εγγραφές και bypass
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  Document,
+  DocumentItem,
+  Company,
+  PaymentAllocation,
+  NumberingSequence,
+  sequelize
+} from '../../models/index.js';
+import {
+  runWithTenant,
+  runWithoutTenantScope,
+  getTenantId,
+  getTenantCacheScope
+} from '../../utils/tenantContext.js';
+
+const TENANT = '00000000-0000-4000-8000-0000000000aa';
+
+// Στήλη tenant του model (underscored ή όχι ανάλογα με τη ρύθμιση της βάσης)
+const column = (model, attribute = 'tenantId') => model.rawAttributes[attribute].field;
+
+let queries;
+
+// Το SQL που θα εκτελούνταν, χωρίς σύνδεση σε βάση
+beforeEach(() => {
+  queries = [];
+  const queryInterface = sequelize.getQueryInterface();
+
+  jest.spyOn(queryInterface, 'select').mockImplementation(async (model, tableName, options) => {
+    queries.push(queryInterface.queryGenerator.selectQuery(tableName, options, model));
+    return [];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('context', () => {
+  test('exposes the tenant only inside a scoped run', () => {
+    expect(getTenantId()).toBeUndefined();
+    expect(getTenantCacheScope()).toBe('none');
+
+    runWithTenant({ tenantId: TENANT }, () => {
+      expect(getTenantId()).toBe(TENANT);
+      expect(getTenantCacheScope()).toBe(TENANT);
+
+      runWithoutTenantScope(() => {
+        expect(getTenantId()).toBeUndefined();
+        expect(getTenantCacheScope()).toBe('all');
+      });
+    });
+  });
+
+  test('keeps users without a company in their own scope', () => {
+    runWithTenant({ tenantId: null }, () => {
+      expect(getTenantId()).toBeNull();
+      expect(getTenantCacheScope()).toBe('default');
+    });
+  });
+});
+
+describe('queries', () => {
+  test('adds the tenant to the WHERE of scoped models', async () => {
+    await runWithTenant({ tenantId: TENANT }, () => Document.findAll({ where: { status: 'sent' } }));
+
+    expect(queries[0]).toContain(`"Document"."status" = 'sent'`);
+    expect(queries[0]).toContain(`"Document"."${column(Document)}" = '${TENANT}'`);
+  });
+
+  test('uses the tenant attribute of models keyed by company', async () => {
+    await runWithTenant({ tenantId: TENANT }, () => NumberingSequence.findAll());
+
+    expect(queries[0]).toContain(`"${column(NumberingSequence, 'companyId')}" = '${TENANT}'`);
+  });
+
+  test('scopes included models without turning optional includes into inner joins', async () => {
+    await runWithTenant({ tenantId: TENANT }, () => Document.findAll({
+      include: [
+        { model: DocumentItem, as: 'items' },
+        { model: Company, as: 'company', where: { isActive: true } }
+      ]
+    }));
+
+    const [, itemsJoin] = queries[0].match(/(LEFT OUTER JOIN "\w+" AS "items" ON .*?)(?= INNER| WHERE)/);
+    const [, companyJoin] = queries[0].match(/(INNER JOIN "\w+" AS "company" ON .*?)(?= WHERE)/);
+
+    expect(itemsJoin).toContain(`"items"."${column(DocumentItem)}" = '${TENANT}'`);
+    expect(companyJoin).toContain(`"company"."${column(Company)}" = '${TENANT}'`);
+  });
+
+  test('leaves queries unscoped outside a request and when bypassing', async () => {
+    await Document.findAll();
+    await runWithTenant({ tenantId: TENANT }, () => runWithoutTenantScope(() => Document.findAll()));
+
+    queries.forEach(query => expect(query).not.toContain(`= '${TENANT}'`));
+  });
+});
+
+describe('writes', () => {
+  test('stamps new records with the tenant', async () => {
+    const allocation = PaymentAllocation.build({ paymentId: 'payment-1', amount: 10 });
+
+    await runWithTenant({ tenantId: TENANT }, () => PaymentAllocation.runHooks('beforeCreate', allocation));
+
+    expect(allocation.tenantId).toBe(TENANT);
+  });
+
+  test('refuses to move a record to another tenant', async () => {
+    const document = Document.build({ tenantId: TENANT }, { isNewRecord: false });
+    document.changed('tenantId', false);
+    document.set('tenantId', '00000000-0000-4000-8000-0000000000bb');
+
+    await expect(runWithTenant({ tenantId: TENANT }, () => Document.runHooks('beforeUpdate', document)))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('constrains bulk updates to the tenant', async () => {
+    const options = { where: { status: 'draft' } };
+
+    await runWithTenant({ tenantId: TENANT }, () => Document.runHooks('beforeBulkUpdate', options));
+
+    expect(sequelize.getQueryInterface().queryGenerator.whereQuery(options.where))
+      .toContain(`"tenantId" = '${TENANT}'`);
+  });
+});
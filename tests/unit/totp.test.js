@@ -0,0 +1,128 @@
+// tests/unit/totp.test.js
+// TOTP (RFC 4226/6238 test vectors) και επαλήθευση δεύτερου παράγοντα χωρίς επανάληψη κωδικού
+
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} from '../../utils/totp.js';
+import { encrypt } from '../../utils/helpers.js';
+import auditService from '../../services/auditService.js';
+import twoFactorService from '../../services/twoFactorService.js';
+
+// Το secret των παραρτημάτων των RFC: "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('base32', () => {
+  test('round-trips and ignores case, spaces and padding', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString()).toBe('12345678901234567890');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character: 1');
+  });
+});
+
+describe('codes', () => {
+  test('matches the RFC 4226 HOTP values', () => {
+    expect([0, 1, 2, 3, 9].map(counter => generateHotp(RFC_SECRET, counter)))
+      .toEqual(['755224', '287082', '359152', '969429', '520489']);
+  });
+
+  test('matches the RFC 6238 SHA-1 values (last six digits)', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+});
+
+describe('verifyTotp', () => {
+  const timestamp = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  test('returns the matched time step within one step of clock drift', () => {
+    expect(verifyTotp(RFC_SECRET, '005924', { timestamp })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timestamp - 30000), { timestamp })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timestamp + 30000), { timestamp })).toBe(step + 1);
+  });
+
+  test('rejects codes outside the window or malformed', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timestamp - 90000), { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '00592', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { timestamp })).toBeNull();
+  });
+
+  test('accepts codes typed with spaces', () => {
+    expect(verifyTotp(RFC_SECRET, '005 924', { timestamp })).toBe(step);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  test('encodes the issuer, account and parameters', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, account: 'user@example.com', issuer: 'BizFlow' });
+
+    expect(uri.startsWith('otpauth://totp/BizFlow%3Auser%40example.com?')).toBe(true);
+    expect(Object.fromEntries(new URL(uri).searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'BizFlow',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
+
+describe('twoFactorService.verify', () => {
+  const makeUser = (overrides = {}) => ({
+    id: 'user-1',
+    email: 'user@example.com',
+    twoFactorSecret: encrypt(RFC_SECRET),
+    twoFactorLastStep: null,
+    loginAttempts: 0,
+    lockedUntil: null,
+    update: jest.fn(async function(values) {
+      Object.assign(this, values);
+      return this;
+    }),
+    ...overrides
+  });
+
+  test('accepts a code once and rejects its replay', async () => {
+    jest.spyOn(auditService, 'log').mockResolvedValue(null);
+    const user = makeUser();
+    const code = generateTotp(RFC_SECRET);
+
+    await expect(twoFactorService.verify(user, { code })).resolves.toBe('totp');
+    expect(user.twoFactorLastStep).toBe(verifyTotp(RFC_SECRET, code));
+
+    await expect(twoFactorService.verify(user, { code })).rejects.toMatchObject({ statusCode: 401 });
+    expect(user.loginAttempts).toBe(1);
+  });
+
+  test('locks the account after repeated invalid codes', async () => {
+    jest.spyOn(auditService, 'log').mockResolvedValue(null);
+    const securityEvent = jest.spyOn(auditService, 'logSecurityEvent').mockResolvedValue(null);
+    const user = makeUser({ loginAttempts: 4 });
+
+    // Κωδικός που έληξε πριν από 10 λεπτά
+    const expired = generateTotp(RFC_SECRET, Date.now() - 10 * 60 * 1000);
+
+    await expect(twoFactorService.verify(user, { code: expired })).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(user.lockedUntil).toBeInstanceOf(Date);
+    expect(securityEvent).toHaveBeenCalledWith('ACCOUNT_LOCKED', 'high', expect.objectContaining({ userId: 'user-1' }));
+    await expect(twoFactorService.verify(user, { code: generateTotp(RFC_SECRET) }))
+      .rejects.toMatchObject({ statusCode: 423 });
+  });
+});
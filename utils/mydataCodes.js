@@ -0,0 +1,429 @@
+// utils/mydataCodes.js
+// Πίνακες κωδικών ΑΑΔΕ myDATA (τύποι παραστατικών, ΦΠΑ, εξαιρέσεις, χαρακτηρισμοί, φόροι)
+
+/**
+ * Τύποι παραστατικών
+ * counterpart: 'required' | 'forbidden' (λήπτης στο XML)
+ * scope: χώρα λήπτη ('domestic' | 'eu' | 'third'), null = χωρίς περιορισμό
+ * correlated: απαιτείται MARK συσχετιζόμενου παραστατικού
+ * incomeCategories: επιτρεπόμενες κατηγορίες χαρακτηρισμού εσόδων, null = όλες
+ * defaultExemption: κατηγορία εξαίρεσης ΦΠΑ για γραμμές 0% χωρίς ρητή αιτιολογία
+ */
+export const INVOICE_TYPES = Object.freeze({
+  '1.1': { description: 'Τιμολόγιο Πώλησης', counterpart: 'required', scope: 'domestic' },
+  '1.2': {
+    description: 'Τιμολόγιο Πώλησης / Ενδοκοινοτικές Παραδόσεις',
+    counterpart: 'required',
+    scope: 'eu',
+    defaultExemption: 14
+  },
+  '1.3': {
+    description: 'Τιμολόγιο Πώλησης / Παραδόσεις Τρίτων Χωρών',
+    counterpart: 'required',
+    scope: 'third',
+    defaultExemption: 8
+  },
+  '1.4': {
+    description: 'Τιμολόγιο Πώλησης / Πώληση για Λογαριασμό Τρίτων',
+    counterpart: 'required',
+    incomeCategories: ['category1_7']
+  },
+  '1.5': {
+    description: 'Τιμολόγιο Πώλησης / Εκκαθάριση Πωλήσεων Τρίτων - Αμοιβή από Πωλήσεις Τρίτων',
+    counterpart: 'required'
+  },
+  '1.6': { description: 'Τιμολόγιο Πώλησης / Συμπληρωματικό Παραστατικό', counterpart: 'required', correlated: true },
+
+  '2.1': { description: 'Τιμολόγιο Παροχής Υπηρεσιών', counterpart: 'required', scope: 'domestic', services: true },
+  '2.2': {
+    description: 'Τιμολόγιο Παροχής / Ενδοκοινοτική Παροχή Υπηρεσιών',
+    counterpart: 'required',
+    scope: 'eu',
+    services: true,
+    defaultExemption: 4
+  },
+  '2.3': {
+    description: 'Τιμολόγιο Παροχής / Παροχή Υπηρεσιών σε λήπτη Τρίτης Χώρας',
+    counterpart: 'required',
+    scope: 'third',
+    services: true,
+    defaultExemption: 4
+  },
+  '2.4': {
+    description: 'Τιμολόγιο Παροχής / Συμπληρωματικό Παραστατικό',
+    counterpart: 'required',
+    correlated: true,
+    services: true
+  },
+
+  '5.1': { description: 'Πιστωτικό Τιμολόγιο / Συσχετιζόμενο', counterpart: 'required', correlated: true },
+  '5.2': { description: 'Πιστωτικό Τιμολόγιο / Μη Συσχετιζόμενο', counterpart: 'required' },
+
+  '6.1': { description: 'Στοιχείο Αυτοπαράδοσης', counterpart: 'forbidden', incomeCategories: ['category1_6'] },
+  '6.2': { description: 'Στοιχείο Ιδιοχρησιμοποίησης', counterpart: 'forbidden', incomeCategories: ['category1_6'] },
+
+  '11.1': { description: 'ΑΛΠ', counterpart: 'forbidden', retail: true },
+  '11.2': { description: 'ΑΠΥ', counterpart: 'forbidden', retail: true, services: true },
+  // Το απλοποιημένο τιμολόγιο επιτρέπεται έως 100€ συνολικής αξίας
+  '11.3': { description: 'Απλοποιημένο Τιμολόγιο', counterpart: 'forbidden', retail: true, maxGrossValue: 100 },
+  '11.4': { description: 'Πιστωτικό Στοιχ. Λιανικής', counterpart: 'forbidden', retail: true },
+  '11.5': {
+    description: 'Απόδειξη Λιανικής Πώλησης για Λογ/σμό Τρίτων',
+    counterpart: 'forbidden',
+    retail: true,
+    incomeCategories: ['category1_7']
+  }
+});
+
+/**
+ * Κατηγορίες ΦΠΑ (rate null: εγγραφές χωρίς ΦΠΑ)
+ */
+export const VAT_CATEGORIES = Object.freeze({
+  1: { rate: 24, description: 'ΦΠΑ συντελεστής 24%' },
+  2: { rate: 13, description: 'ΦΠΑ συντελεστής 13%' },
+  3: { rate: 6, description: 'ΦΠΑ συντελεστής 6%' },
+  4: { rate: 17, description: 'ΦΠΑ συντελεστής 17%' },
+  5: { rate: 9, description: 'ΦΠΑ συντελεστής 9%' },
+  6: { rate: 4, description: 'ΦΠΑ συντελεστής 4%' },
+  7: { rate: 0, description: 'Άνευ ΦΠΑ 0%', exemptionRequired: true },
+  8: { rate: null, description: 'Εγγραφές χωρίς ΦΠΑ (π.χ. Μισθοδοσία, Αποσβέσεις)' },
+  9: { rate: 3, description: 'ΦΠΑ συντελεστής 3% (αρ.31 ν.5057/2023)' },
+  10: { rate: 4, description: 'ΦΠΑ συντελεστής 4% (αρ.31 ν.5057/2023)' }
+});
+
+// Συντελεστής → κατηγορία (ο 4% αντιστοιχεί στη γενική κατηγορία 6)
+export const VAT_RATE_CATEGORIES = Object.freeze({
+  24: 1,
+  13: 2,
+  6: 3,
+  17: 4,
+  9: 5,
+  4: 6,
+  3: 9,
+  0: 7
+});
+
+/**
+ * Κατηγορίες εξαίρεσης ΦΠΑ (υποχρεωτικές για κατηγορία ΦΠΑ 7)
+ */
+export const VAT_EXEMPTION_CATEGORIES = Object.freeze({
+  1: 'Χωρίς ΦΠΑ - άρθρο 2 και 3 του Κώδικα ΦΠΑ',
+  2: 'Χωρίς ΦΠΑ - άρθρο 5 του Κώδικα ΦΠΑ',
+  3: 'Χωρίς ΦΠΑ - άρθρο 13 του Κώδικα ΦΠΑ',
+  4: 'Χωρίς ΦΠΑ - άρθρο 14 του Κώδικα ΦΠΑ',
+  5: 'Χωρίς ΦΠΑ - άρθρο 16 του Κώδικα ΦΠΑ',
+  6: 'Χωρίς ΦΠΑ - άρθρο 19 του Κώδικα ΦΠΑ',
+  7: 'Χωρίς ΦΠΑ - άρθρο 22 του Κώδικα ΦΠΑ',
+  8: 'Χωρίς ΦΠΑ - άρθρο 24 του Κώδικα ΦΠΑ',
+  9: 'Χωρίς ΦΠΑ - άρθρο 25 του Κώδικα ΦΠΑ',
+  10: 'Χωρίς ΦΠΑ - άρθρο 26 του Κώδικα ΦΠΑ',
+  11: 'Χωρίς ΦΠΑ - άρθρο 27 του Κώδικα ΦΠΑ',
+  12: 'Χωρίς ΦΠΑ - άρθρο 27 - Πλοία Ανοικτής Θαλάσσης του Κώδικα ΦΠΑ',
+  13: 'Χωρίς ΦΠΑ - άρθρο 27.1.γ - Πλοία Ανοικτής Θαλάσσης του Κώδικα ΦΠΑ',
+  14: 'Χωρίς ΦΠΑ - άρθρο 28 του Κώδικα ΦΠΑ',
+  15: 'Χωρίς ΦΠΑ - άρθρο 39 του Κώδικα ΦΠΑ',
+  16: 'Χωρίς ΦΠΑ - άρθρο 39α του Κώδικα ΦΠΑ',
+  17: 'Χωρίς ΦΠΑ - άρθρο 40 του Κώδικα ΦΠΑ',
+  18: 'Χωρίς ΦΠΑ - άρθρο 41 του Κώδικα ΦΠΑ',
+  19: 'Χωρίς ΦΠΑ - άρθρο 47 του Κώδικα ΦΠΑ',
+  20: 'ΦΠΑ εμπεριεχόμενος - άρθρο 43 του Κώδικα ΦΠΑ',
+  21: 'ΦΠΑ εμπεριεχόμενος - άρθρο 44 του Κώδικα ΦΠΑ',
+  22: 'ΦΠΑ εμπεριεχόμενος - άρθρο 45 του Κώδικα ΦΠΑ',
+  23: 'ΦΠΑ εμπεριεχόμενος - άρθρο 46 του Κώδικα ΦΠΑ',
+  24: 'Χωρίς ΦΠΑ - άρθρο 6 του Κώδικα ΦΠΑ',
+  25: 'Χωρίς ΦΠΑ - ΠΟΛ.1029/1995',
+  26: 'Χωρίς ΦΠΑ - ΠΟΛ.1167/2015',
+  27: 'Λοιπές Εξαιρέσεις ΦΠΑ',
+  28: 'Χωρίς ΦΠΑ - άρθρο 24 περ. β\' παρ.1 του Κώδικα ΦΠΑ (Tax Free)',
+  29: 'Χωρίς ΦΠΑ - άρθρο 47β του Κώδικα ΦΠΑ (OSS μη ενωσιακό σχήμα)',
+  30: 'Χωρίς ΦΠΑ - άρθρο 47γ του Κώδικα ΦΠΑ (OSS ενωσιακό σχήμα)',
+  31: 'Χωρίς ΦΠΑ - άρθρο 47δ του Κώδικα ΦΠΑ (IOSS)'
+});
+
+// Άρθρο Κώδικα ΦΠΑ → κατηγορία εξαίρεσης (για αιτιολογίες σε ελεύθερο κείμενο)
+export const VAT_EXEMPTION_ARTICLES = Object.freeze({
+  '2': 1,
+  '3': 1,
+  '5': 2,
+  '6': 24,
+  '13': 3,
+  '14': 4,
+  '16': 5,
+  '19': 6,
+  '22': 7,
+  '24': 8,
+  '25': 9,
+  '26': 10,
+  '27': 11,
+  '28': 14,
+  '39': 15,
+  '39α': 16,
+  '40': 17,
+  '41': 18,
+  '43': 20,
+  '44': 21,
+  '45': 22,
+  '46': 23,
+  '47': 19,
+  '47β': 29,
+  '47γ': 30,
+  '47δ': 31
+});
+
+/**
+ * Κατηγορίες χαρακτηρισμού εσόδων
+ */
+export const INCOME_CLASSIFICATION_CATEGORIES = Object.freeze({
+  category1_1: 'Έσοδα από Πώληση Εμπορευμάτων',
+  category1_2: 'Έσοδα από Πώληση Προϊόντων',
+  category1_3: 'Έσοδα από Παροχή Υπηρεσιών',
+  category1_4: 'Έσοδα από Πώληση Παγίων',
+  category1_5: 'Λοιπά Έσοδα / Κέρδη',
+  category1_6: 'Αυτοπαραδόσεις / Ιδιοχρησιμοποιήσεις',
+  category1_7: 'Έσοδα για λ/σμο τρίτων',
+  category1_8: 'Έσοδα προηγούμενων χρήσεων',
+  category1_9: 'Έσοδα επόμενων χρήσεων',
+  category1_10: 'Λοιπές Εγγραφές Τακτοποίησης Εσόδων',
+  category1_95: 'Λοιπά Πληροφοριακά Στοιχεία Εσόδων'
+});
+
+// Κατηγορίες τακτοποίησης: επιτρέπονται με κάθε τύπο χαρακτηρισμού
+export const INCOME_ADJUSTMENT_CATEGORIES = Object.freeze(['category1_8', 'category1_9', 'category1_10']);
+
+const SALES_CATEGORIES = ['category1_1', 'category1_2', 'category1_3'];
+const SELF_DELIVERY_CATEGORIES = ['category1_6'];
+const OTHER_INCOME_CATEGORIES = ['category1_5'];
+
+/**
+ * Τύποι χαρακτηρισμού εσόδων (Ε3) με τις κατηγορίες που δέχονται
+ * Η πρώτη κατηγορία είναι η προεπιλογή όταν η γραμμή δεν ορίζει κατηγορία
+ */
+export const INCOME_CLASSIFICATION_TYPES = Object.freeze({
+  E3_106: { description: 'Ιδιοπαραγωγή παγίων - Αυτοπαραδόσεις - Καταστροφές αποθεμάτων/Εμπορεύματα', categories: SELF_DELIVERY_CATEGORIES },
+  E3_205: { description: 'Ιδιοπαραγωγή παγίων - Αυτοπαραδόσεις - Καταστροφές αποθεμάτων/Πρώτες ύλες και λοιπά υλικά', categories: SELF_DELIVERY_CATEGORIES },
+  E3_210: { description: 'Ιδιοπαραγωγή παγίων - Αυτοπαραδόσεις - Καταστροφές αποθεμάτων/Προϊόντα και παραγωγή σε εξέλιξη', categories: SELF_DELIVERY_CATEGORIES },
+  E3_305: { description: 'Ιδιοπαραγωγή παγίων - Αυτοπαραδόσεις - Καταστροφές αποθεμάτων/Πρώτες ύλες και λοιπά υλικά (Γεωργικές)', categories: SELF_DELIVERY_CATEGORIES },
+  E3_310: { description: 'Ιδιοπαραγωγή παγίων - Αυτοπαραδόσεις - Καταστροφές αποθεμάτων/Προϊόντα και παραγωγή σε εξέλιξη (Γεωργικές)', categories: SELF_DELIVERY_CATEGORIES },
+  E3_318: { description: 'Ιδιοπαραγωγή παγίων - Αυτοπαραδόσεις - Καταστροφές αποθεμάτων/Έξοδα παραγωγής (Γεωργικές)', categories: SELF_DELIVERY_CATEGORIES },
+
+  E3_561_001: { description: 'Πωλήσεις αγαθών και υπηρεσιών Χονδρικές - Επιτηδευματιών', categories: SALES_CATEGORIES },
+  E3_561_002: { description: 'Πωλήσεις αγαθών και υπηρεσιών Χονδρικές βάσει άρθρου 39α παρ 5 του Κώδικα ΦΠΑ', categories: SALES_CATEGORIES },
+  E3_561_003: { description: 'Πωλήσεις αγαθών και υπηρεσιών Λιανικές - Ιδιωτική Πελατεία', categories: SALES_CATEGORIES },
+  E3_561_004: { description: 'Πωλήσεις αγαθών και υπηρεσιών Λιανικές βάσει άρθρου 39α παρ 5 του Κώδικα ΦΠΑ', categories: SALES_CATEGORIES },
+  E3_561_005: { description: 'Πωλήσεις αγαθών και υπηρεσιών Εξωτερικού Ενδοκοινοτικές', categories: SALES_CATEGORIES },
+  E3_561_006: { description: 'Πωλήσεις αγαθών και υπηρεσιών Εξωτερικού Τρίτες Χώρες', categories: SALES_CATEGORIES },
+  E3_561_007: { description: 'Πωλήσεις αγαθών και υπηρεσιών Λοιπά', categories: SALES_CATEGORIES },
+
+  E3_562: { description: 'Λοιπά συνήθη έσοδα', categories: OTHER_INCOME_CATEGORIES },
+  E3_563: { description: 'Πιστωτικοί τόκοι και συναφή έσοδα', categories: OTHER_INCOME_CATEGORIES },
+  E3_564: { description: 'Πιστωτικές συναλλαγματικές διαφορές', categories: OTHER_INCOME_CATEGORIES },
+  E3_565: { description: 'Έσοδα συμμετοχών', categories: OTHER_INCOME_CATEGORIES },
+  E3_566: { description: 'Κέρδη από διάθεση μη κυκλοφορούντων περιουσιακών στοιχείων', categories: ['category1_5', 'category1_4'] },
+  E3_567: { description: 'Κέρδη από αναστροφή προβλέψεων και απομειώσεων', categories: OTHER_INCOME_CATEGORIES },
+  E3_568: { description: 'Κέρδη από επιμέτρηση στην εύλογη αξία', categories: OTHER_INCOME_CATEGORIES },
+  E3_570: { description: 'Ασυνήθη έσοδα και κέρδη', categories: OTHER_INCOME_CATEGORIES },
+  E3_595: { description: 'Έξοδα σε ιδιοπαραγωγή', categories: SELF_DELIVERY_CATEGORIES },
+  E3_596: { description: 'Επιδοτήσεις - Επιχορηγήσεις', categories: OTHER_INCOME_CATEGORIES },
+  E3_597: { description: 'Επιδοτήσεις - Επιχορηγήσεις για επενδυτικούς σκοπούς - κάλυψη δαπανών', categories: OTHER_INCOME_CATEGORIES },
+
+  E3_880_001: { description: 'Πωλήσεις Παγίων Χονδρικές', categories: ['category1_4'] },
+  E3_880_002: { description: 'Πωλήσεις Παγίων Λιανικές', categories: ['category1_4'] },
+  E3_880_003: { description: 'Πωλήσεις Παγίων Εξωτερικού Ενδοκοινοτικές', categories: ['category1_4'] },
+  E3_880_004: { description: 'Πωλήσεις Παγίων Εξωτερικού Τρίτες Χώρες', categories: ['category1_4'] },
+
+  E3_881_001: { description: 'Πωλήσεις για λογ/σμο Τρίτων Χονδρικές', categories: ['category1_7'] },
+  E3_881_002: { description: 'Πωλήσεις για λογ/σμο Τρίτων Λιανικές', categories: ['category1_7'] },
+  E3_881_003: { description: 'Πωλήσεις για λογ/σμο Τρίτων Εξωτερικού Ενδοκοινοτικές', categories: ['category1_7'] },
+  E3_881_004: { description: 'Πωλήσεις για λογ/σμο Τρίτων Εξωτερικού Τρίτες Χώρες', categories: ['category1_7'] },
+
+  E3_598_001: { description: 'Πωλήσεις αγαθών που υπάγονται σε ΕΦΚ', categories: ['category1_1', 'category1_2'] },
+  E3_598_003: { description: 'Πωλήσεις για λογαριασμό αγροτών μέσω αγροτικού συνεταιρισμού κ.λπ.', categories: ['category1_1', 'category1_2'] }
+});
+
+/**
+ * Κατηγορίες παρακρατούμενων φόρων (rate null: ποσό)
+ */
+export const WITHHOLDING_CATEGORIES = Object.freeze({
+  1: { rate: 15, description: 'Περιπτ. β\' - Τόκοι - 15%' },
+  2: { rate: 20, description: 'Περιπτ. γ\' - Δικαιώματα - 20%' },
+  3: { rate: 20, description: 'Περιπτ. δ\' - Αμοιβές Συμβουλών Διοίκησης - 20%' },
+  4: { rate: 3, description: 'Περιπτ. δ\' - Τεχνικά Έργα - 3%' },
+  5: { rate: 1, description: 'Υγρά καύσιμα και προϊόντα καπνοβιομηχανίας 1%' },
+  6: { rate: 4, description: 'Λοιπά Αγαθά 4%' },
+  7: { rate: 8, description: 'Παροχή Υπηρεσιών 8%' },
+  8: { rate: 4, description: 'Προκαταβλητέος Φόρος Αρχιτεκτόνων και Μηχανικών επί Συμβατικών Αμοιβών, για Εκπόνηση Μελετών και Σχεδίων 4%' },
+  9: { rate: 10, description: 'Προκαταβλητέος Φόρος Αρχιτεκτόνων και Μηχανικών επί Συμβατικών Αμοιβών, που αφορούν οποιασδήποτε άλλης φύσης έργα 10%' },
+  10: { rate: 15, description: 'Προκαταβλητέος Φόρος στις Αμοιβές Δικηγόρων 15%' },
+  11: { rate: null, description: 'Παρακράτηση Φόρου Μισθωτών Υπηρεσιών παρ. 1 αρ. 15 ν. 4172/2013' },
+  12: { rate: 15, description: 'Παρακράτηση Φόρου Μισθωτών Υπηρεσιών παρ. 2 αρ. 15 ν. 4172/2013 - Αξιωματικών Εμπορικού Ναυτικού 15%' },
+  13: { rate: 10, description: 'Παρακράτηση Φόρου Μισθωτών Υπηρεσιών παρ. 2 αρ. 15 ν. 4172/2013 - Κατώτερο Πλήρωμα Εμπορικού Ναυτικού 10%' },
+  14: { rate: null, description: 'Παρακράτηση Ειδικής Εισφοράς Αλληλεγγύης' },
+  15: { rate: null, description: 'Παρακράτηση Φόρου Αποζημίωσης λόγω Διακοπής Σχέσης Εργασίας παρ. 3 αρ. 15 ν. 4172/2013' },
+  16: { rate: null, description: 'Παρακρατήσεις συναλλαγών αλλοδαπής βάσει συμβάσεων αποφυγής διπλής φορολογίας (ΣΑΔΦ)' },
+  17: { rate: null, description: 'Λοιπές Παρακρατήσεις Φόρου' },
+  18: { rate: 5, description: 'Παρακράτηση Φόρου Μερίσματα περ.α παρ. 1 αρ. 64 ν. 4172/2013 - 5%' }
+});
+
+/**
+ * Κατηγορίες χαρτοσήμου (rate null: ποσό)
+ */
+export const STAMP_DUTY_CATEGORIES = Object.freeze({
+  1: { rate: 1.2, description: 'Συντελεστής 1,2%' },
+  2: { rate: 2.4, description: 'Συντελεστής 2,4%' },
+  3: { rate: 3.6, description: 'Συντελεστής 3,6%' },
+  4: { rate: null, description: 'Λοιπές περιπτώσεις Χαρτοσήμου' }
+});
+
+/**
+ * Κατηγορίες τελών (rate null: ποσό)
+ */
+export const FEES_CATEGORIES = Object.freeze({
+  1: { rate: 12, description: 'Για μηνιαίο λογαριασμό μέχρι και 50 ευρώ 12%' },
+  2: { rate: 15, description: 'Για μηνιαίο λογαριασμό από 50,01 μέχρι και 100 ευρώ 15%' },
+  3: { rate: 18, description: 'Για μηνιαίο λογαριασμό από 100,01 μέχρι και 150 ευρώ 18%' },
+  4: { rate: 20, description: 'Για μηνιαίο λογαριασμό από 150,01 ευρώ και άνω 20%' },
+  5: { rate: 12, description: 'Τέλος καρτοκινητής επί της αξίας του χρόνου ομιλίας (12%)' },
+  6: { rate: 10, description: 'Τέλος στη συνδρομητική τηλεόραση 10%' },
+  7: { rate: 5, description: 'Τέλος συνδρομητών σταθερής τηλεφωνίας 5%' },
+  8: { rate: null, description: 'Περιβαλλοντικό Τέλος & πλαστικής σακούλας ν. 2339/2001 αρ. 6α 0,07 ευρώ ανά τεμάχιο' },
+  9: { rate: 2, description: 'Εισφορά δακοκτονίας 2%' },
+  10: { rate: null, description: 'Λοιπά τέλη' },
+  11: { rate: null, description: 'Τέλη Λοιπών Φόρων' },
+  12: { rate: null, description: 'Εισφορά δακοκτονίας' }
+});
+
+/**
+ * Τρόποι πληρωμής
+ */
+export const PAYMENT_METHODS = Object.freeze({
+  1: 'Επαγ. Λογαριασμός Πληρωμών Ημεδαπής',
+  2: 'Επαγ. Λογαριασμός Πληρωμών Αλλοδαπής',
+  3: 'Μετρητά',
+  4: 'Επιταγή',
+  5: 'Επί Πιστώσει',
+  6: 'Web Banking',
+  7: 'POS / e-POS',
+  8: 'Άμεσες Πληρωμές IRIS'
+});
+
+// Κράτη μέλη ΕΕ (ISO 3166-1 alpha-2)
+export const EU_COUNTRIES = Object.freeze([
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+]);
+
+// Ονομασίες χωρών που αποθηκεύονται στις εταιρείες (πεζά, χωρίς τόνους)
+const COUNTRY_NAMES = {
+  'ελλαδα': 'GR',
+  'greece': 'GR',
+  'hellas': 'GR',
+  'κυπρος': 'CY',
+  'cyprus': 'CY',
+  'γερμανια': 'DE',
+  'germany': 'DE',
+  'ιταλια': 'IT',
+  'italy': 'IT',
+  'γαλλια': 'FR',
+  'france': 'FR',
+  'βουλγαρια': 'BG',
+  'bulgaria': 'BG',
+  'ισπανια': 'ES',
+  'spain': 'ES',
+  'ολλανδια': 'NL',
+  'netherlands': 'NL',
+  'βελγιο': 'BE',
+  'belgium': 'BE',
+  'αυστρια': 'AT',
+  'austria': 'AT',
+  'ρουμανια': 'RO',
+  'romania': 'RO',
+  'ηνωμενο βασιλειο': 'GB',
+  'united kingdom': 'GB',
+  'ηπα': 'US',
+  'usa': 'US',
+  'united states': 'US',
+  'τουρκια': 'TR',
+  'turkey': 'TR',
+  'αλβανια': 'AL',
+  'albania': 'AL',
+  'βορεια μακεδονια': 'MK',
+  'north macedonia': 'MK',
+  'ελβετια': 'CH',
+  'switzerland': 'CH'
+};
+
+/**
+ * Helpers
+ */
+export const mydataCodes = {
+  /**
+   * Αφαίρεση τόνων και μετατροπή σε πεζά για συγκρίσεις κειμένου
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  },
+
+  /**
+   * Κωδικός χώρας ISO από κωδικό ή ονομασία (Ελλάδα → GR)
+   * @param {string} country
+   * @returns {string|null}
+   */
+  countryCode(country) {
+    if (!country) return 'GR';
+
+    const value = String(country).trim();
+    if (/^[A-Za-z]{2}$/.test(value)) {
+      const code = value.toUpperCase();
+      // Το EL είναι πρόθεμα ΑΦΜ, όχι κωδικός χώρας
+      return code === 'EL' ? 'GR' : code;
+    }
+
+    return COUNTRY_NAMES[this.normalize(value)] || null;
+  },
+
+  /**
+   * Εσωτερικό / ΕΕ / τρίτη χώρα
+   * @param {string} code - ISO κωδικός
+   * @returns {'domestic'|'eu'|'third'}
+   */
+  countryScope(code) {
+    if (code === 'GR') return 'domestic';
+    return EU_COUNTRIES.includes(code) ? 'eu' : 'third';
+  },
+
+  /**
+   * Κατηγορία εξαίρεσης ΦΠΑ από αιτιολογία που αναφέρει άρθρο του Κώδικα ΦΠΑ
+   * @param {string} reason - π.χ. "Απαλλαγή άρθρο 39α"
+   * @returns {number|null}
+   */
+  exemptionFromReason(reason) {
+    const match = this.normalize(reason).match(/αρθρ\S*\s*(\d+)\s*([α-ω])?(?![α-ω\d])/);
+    if (!match) return null;
+
+    const article = match[2] ? `${match[1]}${match[2]}` : match[1];
+    return VAT_EXEMPTION_ARTICLES[article] || VAT_EXEMPTION_ARTICLES[match[1]] || null;
+  }
+};
+
+export default {
+  INVOICE_TYPES,
+  VAT_CATEGORIES,
+  VAT_RATE_CATEGORIES,
+  VAT_EXEMPTION_CATEGORIES,
+  VAT_EXEMPTION_ARTICLES,
+  INCOME_CLASSIFICATION_CATEGORIES,
+  INCOME_ADJUSTMENT_CATEGORIES,
+  INCOME_CLASSIFICATION_TYPES,
+  WITHHOLDING_CATEGORIES,
+  STAMP_DUTY_CATEGORIES,
+  FEES_CATEGORIES,
+  PAYMENT_METHODS,
+  EU_COUNTRIES,
+  mydataCodes
+};
@@ -0,0 +1,38 @@
+// utils/qrCode.js
+// QR code rendering for myDATA URLs on PDFs and receipts
+
+import QRCode from 'qrcode';
+
+// Αρκετό περιθώριο λάθους για εκτυπώσεις θερμικών εκτυπωτών
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'M',
+  margin: 1,
+  width: 240
+};
+
+/**
+ * Render a URL as a PNG QR code
+ * @param {string} url - URL to encode (e.g. the AADE qrUrl)
+ * @param {Object} options - qrcode rendering options
+ * @returns {Promise<Buffer|null>} PNG buffer, null when there is no URL
+ */
+export const qrCodeBuffer = async (url, options = {}) => {
+  if (!url) return null;
+  return QRCode.toBuffer(url, { ...QR_OPTIONS, ...options, type: 'png' });
+};
+
+/**
+ * Render a URL as a PNG data URL (HTML templates)
+ * @param {string} url - URL to encode
+ * @param {Object} options - qrcode rendering options
+ * @returns {Promise<string|null>} data:image/png;base64 URL, null when there is no URL
+ */
+export const qrCodeDataUrl = async (url, options = {}) => {
+  if (!url) return null;
+  return QRCode.toDataURL(url, { ...QR_OPTIONS, ...options, type: 'image/png' });
+};
+
+export default {
+  qrCodeBuffer,
+  qrCodeDataUrl
+};
@@ -0,0 +1,145 @@
+// utils/tenantContext.js
+// Tenant (εταιρεία του χρήστη) ανά request μέσω AsyncLocalStorage και αυτόματος περιορισμός των queries
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { Op } from 'sequelize';
+import { AppError } from '../middleware/errorHandler.js';
+
+const storage = new AsyncLocalStorage();
+
+// Header με τον οποίο ο super-admin επιλέγει tenant ('*': όλοι οι tenants)
+export const TENANT_HEADER = 'x-tenant-id';
+export const ALL_TENANTS = '*';
+
+/**
+ * Run a function inside a tenant context (everything awaited inside inherits it)
+ * @param {Object} context - { tenantId, userId, bypass }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export const runWithTenant = (context, fn) => storage.run(context, fn);
+
+/**
+ * Run a function without tenant scoping (explicit bypass, e.g. platform-wide jobs)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export const runWithoutTenantScope = (fn) => {
+  const current = storage.getStore();
+  return storage.run({ ...current, bypass: true }, fn);
+};
+
+/**
+ * Current tenant context
+ * @returns {Object|undefined} { tenantId, userId, bypass }
+ */
+export const getTenantContext = () => storage.getStore();
+
+/**
+ * Tenant that constrains queries right now
+ * @returns {string|null|undefined} Tenant id, null for users without a company, undefined when unscoped
+ */
+export const getTenantId = () => {
+  const context = storage.getStore();
+  if (!context || context.bypass) return undefined;
+  return context.tenantId;
+};
+
+/**
+ * Tenant part of cache keys and rooms (a super-admin may act in several tenants)
+ * @returns {string} Tenant id, 'default' for users without a company, 'all' when bypassing, 'none' outside a request
+ */
+export const getTenantCacheScope = () => {
+  const context = storage.getStore();
+  if (!context) return 'none';
+  if (context.bypass) return 'all';
+  return context.tenantId || 'default';
+};
+
+const isScoped = () => getTenantId() !== undefined;
+
+const constrain = (attribute) => (options) => {
+  if (!isScoped()) return;
+
+  const condition = { [attribute]: getTenantId() };
+  options.where = options.where ? { [Op.and]: [options.where, condition] } : condition;
+};
+
+// Τα include δεν περνούν από το beforeFind του δικού τους model: περιορίζονται από τον γονέα
+const constrainIncludes = (includes = []) => {
+  includes.forEach(include => {
+    const attribute = include.model?.tenantAttribute;
+
+    if (attribute) {
+      // Χωρίς ρητό required ένα include με where γίνεται INNER JOIN· ο περιορισμός δεν αλλάζει το join
+      if (include.required === undefined) include.required = Boolean(include.where);
+      constrain(attribute)(include);
+    }
+
+    constrainIncludes(include.include);
+  });
+};
+
+const scopedInstances = new WeakSet();
+
+const registerIncludeScope = (sequelize) => {
+  if (scopedInstances.has(sequelize)) return;
+
+  sequelize.addHook('beforeFindAfterExpandIncludeAll', 'tenantScope', (options) => {
+    if (isScoped()) constrainIncludes(options.include);
+  });
+  scopedInstances.add(sequelize);
+};
+
+/**
+ * Constrain every query of a model to the current tenant.
+ * Reads, counts and bulk writes get a WHERE on the tenant column; new rows are stamped with it,
+ * and the model is also constrained when it is included in a query of another model.
+ * Outside a request (cron jobs, scripts) nothing is constrained.
+ * @param {Model} model - Sequelize model
+ * @param {string} attribute - Tenant attribute (default tenantId)
+ */
+export const registerTenantScope = (model, attribute = 'tenantId') => {
+  const scope = constrain(attribute);
+
+  model.addHook('beforeFind', 'tenantScope', scope);
+  model.addHook('beforeCount', 'tenantScope', scope);
+  model.addHook('beforeBulkUpdate', 'tenantScope', scope);
+  model.addHook('beforeBulkDestroy', 'tenantScope', scope);
+
+  model.addHook('beforeCreate', 'tenantScope', (instance) => {
+    if (isScoped()) instance.set(attribute, getTenantId());
+  });
+
+  model.addHook('beforeBulkCreate', 'tenantScope', (instances) => {
+    if (isScoped()) instances.forEach(instance => instance.set(attribute, getTenantId()));
+  });
+
+  model.addHook('beforeUpdate', 'tenantScope', (instance) => {
+    if (isScoped() && instance.changed(attribute)) {
+      throw new AppError('Records cannot be moved to another tenant', 403);
+    }
+  });
+
+  // sum/min/max περνούν από το aggregate χωρίς hooks
+  const aggregate = model.aggregate.bind(model);
+  model.aggregate = (field, aggregateFunction, options = {}) => {
+    const scoped = { ...options };
+    scope(scoped);
+    return aggregate(field, aggregateFunction, scoped);
+  };
+
+  model.tenantAttribute = attribute;
+  registerIncludeScope(model.sequelize);
+};
+
+export default {
+  TENANT_HEADER,
+  ALL_TENANTS,
+  runWithTenant,
+  runWithoutTenantScope,
+  getTenantContext,
+  getTenantId,
+  getTenantCacheScope,
+  registerTenantScope
+};
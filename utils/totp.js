@@ -0,0 +1,172 @@
+// utils/totp.js
+// TOTP (RFC 6238) για εφαρμογές authenticator: base32 secrets, κωδικοί 6 ψηφίων ανά 30 δευτερόλεπτα
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DEFAULTS = {
+  digits: 6,
+  period: 30,
+  // Ανοχή ±1 βήμα για αποκλίσεις ρολογιού του κινητού
+  window: 1
+};
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} size - Secret length in bytes (20 = 160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Time step (counter) for a moment in time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} period - Step length in seconds
+ * @returns {number} Counter
+ */
+export const getTimeStep = (timestamp = Date.now(), period = TOTP_DEFAULTS.period) => {
+  return Math.floor(timestamp / 1000 / period);
+};
+
+/**
+ * HOTP code for a counter (RFC 4226, HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter / time step
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+export const generateHotp = (secret, counter, digits = TOTP_DEFAULTS.digits) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * TOTP code for a moment in time
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code within the allowed window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timestamp, window }
+ * @returns {number|null} Matched time step (to reject replays), null when invalid
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+  const { timestamp = Date.now(), window = TOTP_DEFAULTS.window } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DEFAULTS.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(timestamp);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (scanned as a QR code)
+ * @param {Object} params - { secret, account, issuer }
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.period)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,114 @@
+// utils/usageMeter.js
+// Μέτρηση χρήσης ανά tenant και περίοδο χρέωσης: κάθε νέα εγγραφή αυξάνει τον μετρητή της περιόδου
+
+import crypto from 'crypto';
+import moment from 'moment';
+import { logWarning } from '../middleware/logger.js';
+
+// Τύποι που μετρούν στο όριο τιμολογίων του πακέτου (όχι προσφορές, παραγγελίες, δελτία, πιστωτικά)
+export const METERED_INVOICE_TYPES = ['invoice', 'receipt'];
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Monthly billing period that contains a date, anchored on the subscription start
+ * (start 31/01 → periods 28/02, 31/03, ...)
+ * @param {Date|string} anchorDate - Subscription start date
+ * @param {Date} date - Date inside the period (default now)
+ * @returns {Object} { start, end } as YYYY-MM-DD (end inclusive)
+ */
+export const getBillingPeriod = (anchorDate, date = new Date()) => {
+  const anchor = moment(anchorDate || date).startOf('day');
+  const day = moment(date).startOf('day');
+
+  let months = Math.max(day.diff(anchor, 'months'), 0);
+  if (anchor.clone().add(months, 'months').isAfter(day)) months = Math.max(months - 1, 0);
+
+  const start = anchor.clone().add(months, 'months');
+  const end = anchor.clone().add(months + 1, 'months').subtract(1, 'day');
+
+  return { start: start.format(DATE_FORMAT), end: end.format(DATE_FORMAT) };
+};
+
+/**
+ * Add to the tenant's counter for the current billing period (atomic upsert)
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} usage - { tenantId, metric, quantity, date }
+ * @param {Object} options - { transaction }
+ */
+export const incrementUsage = async (sequelize, { tenantId, metric, quantity = 1, date = new Date() }, options = {}) => {
+  const { Company } = sequelize.models;
+  const tenant = await Company.findOne({
+    where: { id: tenantId },
+    attributes: ['id', 'subscriptionStartDate'],
+    hooks: false,
+    transaction: options.transaction
+  });
+  if (!tenant) return;
+
+  const period = getBillingPeriod(tenant.subscriptionStartDate, date);
+
+  await sequelize.query(
+    `INSERT INTO usage_counters (id, tenant_id, metric, period_start, period_end, count, created_at, updated_at)
+     VALUES (:id, :tenantId, :metric, :start, :end, :quantity, NOW(), NOW())
+     ON CONFLICT (tenant_id, metric, period_start)
+     DO UPDATE SET count = usage_counters.count + EXCLUDED.count, updated_at = NOW()`,
+    {
+      replacements: {
+        id: crypto.randomUUID(),
+        tenantId,
+        metric,
+        start: period.start,
+        end: period.end,
+        quantity
+      },
+      transaction: options.transaction
+    }
+  );
+};
+
+/**
+ * Count new rows of a model towards a tenant metric.
+ * Inside a transaction the counter is updated in a savepoint of it: rolled back creates are not
+ * counted, the plan check of a concurrent create (waiting on the tenant lock) sees the new count
+ * once the create commits, and a metering failure never breaks the create itself.
+ * @param {Model} model - Sequelize model with a tenant attribute
+ * @param {string} metric - Metric name
+ * @param {Function} counts - Optional filter (instance) => boolean
+ */
+export const registerUsageMeter = (model, metric, counts = () => true) => {
+  const attribute = model.tenantAttribute || 'tenantId';
+
+  const record = (tenantId, quantity, transaction) => {
+    const increment = transaction
+      ? model.sequelize.transaction({ transaction }, savepoint =>
+        incrementUsage(model.sequelize, { tenantId, metric, quantity }, { transaction: savepoint }))
+      : incrementUsage(model.sequelize, { tenantId, metric, quantity });
+
+    return increment.catch(error => logWarning('Usage metering failed', { metric, tenantId, error: error.message }));
+  };
+
+  const meter = async (instances, options) => {
+    const byTenant = new Map();
+    instances
+      .filter(instance => instance.get(attribute) && counts(instance))
+      .forEach(instance => {
+        const tenantId = instance.get(attribute);
+        byTenant.set(tenantId, (byTenant.get(tenantId) || 0) + 1);
+      });
+
+    for (const [tenantId, quantity] of byTenant) {
+      await record(tenantId, quantity, options.transaction);
+    }
+  };
+
+  model.addHook('afterCreate', 'usageMeter', (instance, options) => meter([instance], options));
+  model.addHook('afterBulkCreate', 'usageMeter', (instances, options) => meter(instances, options));
+};
+
+export default {
+  METERED_INVOICE_TYPES,
+  getBillingPeriod,
+  incrementUsage,
+  registerUsageMeter
+};